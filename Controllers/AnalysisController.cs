@@ -31,17 +31,13 @@ namespace Optimarr.Controllers
                 }
 
                 var startTime = DateTime.UtcNow;
-                var report = await Task.Run(() => 
-                    _analyzerService.AnalyzeVideo(request.VideoPath, request.SubtitlePath));
+                var (videoInfo, compatibilityResult) = await Task.Run(() => 
+                    _analyzerService.AnalyzeVideoStructured(request.VideoPath, request.SubtitlePath));
                 var duration = (DateTime.UtcNow - startTime).TotalSeconds;
 
                 _logger.LogInformation("Analysis completed successfully in {Duration:F2}s for: {VideoPath}", duration, request.VideoPath);
 
-                return Ok(new AnalysisResponse
-                {
-                    Report = report,
-                    Success = true
-                });
+                return Ok(BuildResponse(request.VideoPath, videoInfo, compatibilityResult));
             }
             catch (Exception ex)
             {
@@ -51,6 +47,8 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("analyze-file")]
+        [DisableRequestSizeLimit]
+        [RequestFormLimits(MultipartBodyLengthLimit = long.MaxValue)]
         public async Task<ActionResult<AnalysisResponse>> AnalyzeUploadedFile(IFormFile videoFile, IFormFile? subtitleFile)
         {
             _logger.LogInformation("File upload analysis request received. Video: {FileName} ({Size} bytes), Subtitle: {SubtitleFileName}",
@@ -88,17 +86,22 @@ namespace Optimarr.Controllers
                 try
                 {
                     var startTime = DateTime.UtcNow;
-                    var report = await Task.Run(() => 
-                        _analyzerService.AnalyzeVideo(tempVideoPath, tempSubtitlePath));
+                    var (videoInfo, compatibilityResult) = await Task.Run(() => 
+                        _analyzerService.AnalyzeVideoStructured(tempVideoPath, tempSubtitlePath));
                     var duration = (DateTime.UtcNow - startTime).TotalSeconds;
 
                     _logger.LogInformation("Uploaded file analysis completed successfully in {Duration:F2}s", duration);
 
-                    return Ok(new AnalysisResponse
+                    // Temp files are deleted below, so report the names the user uploaded instead
+                    if (subtitleFile != null && tempSubtitlePath != null)
                     {
-                        Report = report,
-                        Success = true
-                    });
+                        foreach (var track in videoInfo.SubtitleTracks.Where(t => t.FilePath == tempSubtitlePath))
+                        {
+                            track.FilePath = subtitleFile.FileName;
+                        }
+                    }
+
+                    return Ok(BuildResponse(videoFile.FileName, videoInfo, compatibilityResult));
                 }
                 finally
                 {
@@ -128,6 +131,78 @@ namespace Optimarr.Controllers
                 return StatusCode(500, new { error = ex.Message });
             }
         }
+
+        /// <summary>
+        /// Builds the response for an ad-hoc analysis. The Video payload uses the same shape as
+        /// a stored VideoAnalysis so the UI can render it with the library media info view,
+        /// but it is never persisted.
+        /// </summary>
+        private AnalysisResponse BuildResponse(string filePath, VideoInfo videoInfo, CompatibilityResult compatibilityResult)
+        {
+            var jsonOptions = new System.Text.Json.JsonSerializerOptions
+            {
+                PropertyNamingPolicy = System.Text.Json.JsonNamingPolicy.CamelCase
+            };
+
+            var report = new ReportGenerator().GenerateReport(videoInfo, compatibilityResult);
+
+            var video = new VideoAnalysis
+            {
+                FilePath = filePath,
+                FileName = Path.GetFileName(filePath),
+                FileSize = videoInfo.FileSize,
+                Duration = videoInfo.Duration,
+                Container = videoInfo.Container,
+                VideoCodec = videoInfo.VideoCodec,
+                VideoCodecTag = videoInfo.VideoCodecTag,
+                IsCodecTagCorrect = videoInfo.IsCodecTagCorrect,
+                BitDepth = videoInfo.BitDepth,
+                Width = videoInfo.Width,
+                Height = videoInfo.Height,
+                FrameRate = videoInfo.FrameRate,
+                IsHDR = videoInfo.IsHDR,
+                HDRType = videoInfo.HDRType,
+                IsFastStart = videoInfo.IsFastStart,
+                AudioCodecs = string.Join(",", videoInfo.AudioTracks.Select(a => a.Codec).Distinct()),
+                AudioTrackCount = videoInfo.AudioTracks.Count,
+                AudioTracksJson = System.Text.Json.JsonSerializer.Serialize(videoInfo.AudioTracks, jsonOptions),
+                SubtitleFormats = string.Join(",", videoInfo.SubtitleTracks.Select(s =>
+                    s.IsEmbedded ? s.Format : $"{s.Format} (External)").Distinct()),
+                SubtitleTrackCount = videoInfo.SubtitleTracks.Count,
+                SubtitleTracksJson = System.Text.Json.JsonSerializer.Serialize(videoInfo.SubtitleTracks, jsonOptions),
+                OverallScore = MediaPropertyRatingService.ParseScore(compatibilityResult.OverallScore),
+                CompatibilityRating = compatibilityResult.CompatibilityRating,
+                Issues = System.Text.Json.JsonSerializer.Serialize(compatibilityResult.Issues),
+                Recommendations = System.Text.Json.JsonSerializer.Serialize(compatibilityResult.Recommendations),
+                ClientResults = System.Text.Json.JsonSerializer.Serialize(compatibilityResult.ClientResults),
+                FullReport = report,
+                AnalyzedAt = DateTime.UtcNow
+            };
+
+            // Same sanity checks the library scanner uses to flag unreadable files
+            if (string.IsNullOrWhiteSpace(videoInfo.VideoCodec) && string.IsNullOrWhiteSpace(videoInfo.Container))
+            {
+                video.IsBroken = true;
+                video.BrokenReason = "No video codec or container information found";
+            }
+            else if (videoInfo.Width == 0 || videoInfo.Height == 0)
+            {
+                video.IsBroken = true;
+                video.BrokenReason = "Invalid video resolution (width or height is 0)";
+            }
+            else if (videoInfo.Duration <= 0)
+            {
+                video.IsBroken = true;
+                video.BrokenReason = "Invalid duration (duration is 0 or negative)";
+            }
+
+            return new AnalysisResponse
+            {
+                Report = report,
+                Success = true,
+                Video = video
+            };
+        }
     }
 
     public class AnalysisRequest
@@ -140,6 +215,7 @@ namespace Optimarr.Controllers
     {
         public string Report { get; set; } = string.Empty;
         public bool Success { get; set; }
+        public VideoAnalysis? Video { get; set; }
     }
 }
 
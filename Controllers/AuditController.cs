@@ -0,0 +1,97 @@
+using Microsoft.AspNetCore.Mvc;
+using Optimarr.Models;
+using Optimarr.Services;
+
+namespace Optimarr.Controllers
+{
+    [ApiController]
+    [Route("api/[controller]")]
+    public class AuditController : ControllerBase
+    {
+        private readonly AuditLogService _auditLogService;
+        private readonly ILogger<AuditController> _logger;
+
+        public AuditController(AuditLogService auditLogService, ILogger<AuditController> logger)
+        {
+            _auditLogService = auditLogService;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Audit entries, newest first. success: true for succeeded, false for failed actions; from/to are UTC.
+        /// </summary>
+        [HttpGet]
+        public async Task<ActionResult<AuditLogPage>> GetEntries(
+            [FromQuery] string? category = null,
+            [FromQuery] string? actor = null,
+            [FromQuery] bool? success = null,
+            [FromQuery] string? search = null,
+            [FromQuery] DateTime? from = null,
+            [FromQuery] DateTime? to = null,
+            [FromQuery] int page = 1,
+            [FromQuery] int pageSize = 50)
+        {
+            try
+            {
+                return Ok(await _auditLogService.QueryAsync(category, actor, success, search, from, to, page, pageSize));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error loading audit log");
+                return StatusCode(500, new { error = $"Failed to load audit log: {ex.Message}" });
+            }
+        }
+
+        /// <summary>
+        /// Categories and actors that appear in the log, for the Activity view's filters
+        /// </summary>
+        [HttpGet("filters")]
+        public async Task<ActionResult<AuditLogFilterOptions>> GetFilterOptions()
+        {
+            try
+            {
+                return Ok(await _auditLogService.GetFilterOptionsAsync());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error loading audit log filters");
+                return StatusCode(500, new { error = $"Failed to load audit log filters: {ex.Message}" });
+            }
+        }
+
+        [HttpGet("settings")]
+        public ActionResult<object> GetSettings()
+        {
+            return Ok(new { retentionDays = _auditLogService.GetRetentionDays() });
+        }
+
+        /// <summary>
+        /// Sets how many days entries are kept (0 = forever). Older entries are deleted right away.
+        /// </summary>
+        [HttpPut("settings")]
+        [Audited("Settings", "Change audit log retention")]
+        public async Task<ActionResult> SaveSettings([FromBody] AuditSettingsRequest request)
+        {
+            if (request.RetentionDays < 0 || request.RetentionDays > 3650)
+            {
+                return BadRequest(new { error = "Retention must be between 0 (keep forever) and 3650 days" });
+            }
+
+            try
+            {
+                await _auditLogService.SaveRetentionDaysAsync(request.RetentionDays, HttpContext.RequestAborted);
+                return Ok(new { message = request.RetentionDays == 0 ? "Audit entries are kept forever" : $"Audit entries are kept for {request.RetentionDays} days" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error saving audit log settings");
+                return StatusCode(500, new { error = $"Failed to save audit log settings: {ex.Message}" });
+            }
+        }
+    }
+
+    public class AuditSettingsRequest
+    {
+        public int RetentionDays { get; set; } = AuditLogService.DefaultRetentionDays;
+    }
+}
@@ -0,0 +1,249 @@
+using Microsoft.AspNetCore.Authentication;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Optimarr.Models;
+using Optimarr.Services;
+
+namespace Optimarr.Controllers
+{
+    [ApiController]
+    [Route("api/[controller]")]
+    public class AuthController : ControllerBase
+    {
+        private const int MinimumPasswordLength = 8;
+
+        private readonly AuthService _authService;
+        private readonly ILogger<AuthController> _logger;
+
+        public AuthController(AuthService authService, ILogger<AuthController> logger)
+        {
+            _authService = authService;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Whether the web UI may be used as is or has to show the login page
+        /// </summary>
+        [AllowAnonymous]
+        [HttpGet("status")]
+        public ActionResult<AuthStatusResponse> GetStatus()
+        {
+            var settings = _authService.GetSettings();
+            var authenticated = User.Identity?.IsAuthenticated == true;
+            var localBypass = settings.Enabled && !authenticated && settings.BypassLocalAddresses && AuthService.IsLocalRequest(HttpContext);
+
+            return Ok(new AuthStatusResponse
+            {
+                Enabled = settings.Enabled,
+                Authenticated = authenticated,
+                Username = authenticated ? User.Identity?.Name : null,
+                AuthMethod = authenticated ? User.FindFirst(AuthService.AuthMethodClaim)?.Value : null,
+                LocalBypass = localBypass,
+                AccessGranted = !settings.Enabled || authenticated || localBypass
+            });
+        }
+
+        [AllowAnonymous]
+        [HttpPost("login")]
+        [Audited("Security", "Sign in")]
+        public async Task<ActionResult> Login([FromBody] LoginRequest request)
+        {
+            var settings = _authService.GetSettings();
+            if (!settings.Enabled)
+            {
+                return BadRequest(new { error = "Authentication is not enabled" });
+            }
+
+            if (!_authService.ValidateCredentials(request.Username, request.Password))
+            {
+                _logger.LogWarning("Failed login for {Username} from {RemoteIp}", request.Username, HttpContext.Connection.RemoteIpAddress);
+                // Slows down password guessing
+                await Task.Delay(1000);
+                return Unauthorized(new { error = "Invalid username or password" });
+            }
+
+            await HttpContext.SignInAsync(AuthService.CookieScheme, _authService.CreateSessionPrincipal(), new AuthenticationProperties
+            {
+                IsPersistent = request.RememberMe
+            });
+
+            _logger.LogInformation("{Username} signed in from {RemoteIp}", settings.Username, HttpContext.Connection.RemoteIpAddress);
+            return Ok(new { message = "Signed in" });
+        }
+
+        [AllowAnonymous]
+        [HttpPost("logout")]
+        public async Task<ActionResult> Logout()
+        {
+            await HttpContext.SignOutAsync(AuthService.CookieScheme);
+            return Ok(new { message = "Signed out" });
+        }
+
+        [HttpGet("settings")]
+        public ActionResult<object> GetSettings()
+        {
+            var settings = _authService.GetSettings();
+            return Ok(new
+            {
+                enabled = settings.Enabled,
+                username = settings.Username,
+                hasPassword = !string.IsNullOrEmpty(settings.PasswordHash),
+                bypassLocalAddresses = settings.BypassLocalAddresses
+            });
+        }
+
+        /// <summary>
+        /// Saves the user and access settings. An empty password keeps the current one. The browser saving
+        /// them is signed in with the new credentials, so enabling authentication does not lock it out.
+        /// </summary>
+        [HttpPost("settings")]
+        [Audited("Security", "Change authentication settings")]
+        public async Task<ActionResult> SaveSettings([FromBody] AuthSettingsRequest request)
+        {
+            try
+            {
+                var current = _authService.GetSettings();
+                var username = request.Username?.Trim() ?? string.Empty;
+
+                if (request.Enabled && string.IsNullOrEmpty(username))
+                {
+                    return BadRequest(new { error = "Username is required" });
+                }
+                if (!string.IsNullOrEmpty(request.Password) && request.Password.Length < MinimumPasswordLength)
+                {
+                    return BadRequest(new { error = $"Password must be at least {MinimumPasswordLength} characters" });
+                }
+                if (request.Enabled && string.IsNullOrEmpty(request.Password) && string.IsNullOrEmpty(current.PasswordHash))
+                {
+                    return BadRequest(new { error = "A password is required to enable authentication" });
+                }
+
+                await _authService.SaveSettingsAsync(request.Enabled, username, request.Password, request.BypassLocalAddresses);
+
+                if (request.Enabled)
+                {
+                    await HttpContext.SignInAsync(AuthService.CookieScheme, _authService.CreateSessionPrincipal());
+                }
+
+                return Ok(new { message = request.Enabled ? "Authentication settings saved" : "Authentication disabled" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error saving authentication settings");
+                return StatusCode(500, new { error = $"Failed to save authentication settings: {ex.Message}" });
+            }
+        }
+
+        [HttpGet("keys")]
+        public async Task<ActionResult<List<ApiKeyResponse>>> GetApiKeys()
+        {
+            try
+            {
+                var keys = await _authService.GetApiKeysAsync();
+                return Ok(keys.Select(k => ToResponse(k, null)).ToList());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error loading API keys");
+                return StatusCode(500, new { error = $"Failed to load API keys: {ex.Message}" });
+            }
+        }
+
+        /// <summary>
+        /// Creates an API key. The response is the only time the key itself is returned.
+        /// </summary>
+        [HttpPost("keys")]
+        [Audited("Security", "Create API key")]
+        public async Task<ActionResult<ApiKeyResponse>> CreateApiKey([FromBody] ApiKeyRequest request)
+        {
+            if (string.IsNullOrWhiteSpace(request.Name))
+            {
+                return BadRequest(new { error = "Name is required" });
+            }
+
+            try
+            {
+                var (apiKey, key) = await _authService.CreateApiKeyAsync(request.Name);
+                return Ok(ToResponse(apiKey, key));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error creating API key");
+                return StatusCode(500, new { error = $"Failed to create API key: {ex.Message}" });
+            }
+        }
+
+        [HttpDelete("keys/{id}")]
+        [Audited("Security", "Revoke API key")]
+        public async Task<ActionResult> DeleteApiKey(int id)
+        {
+            try
+            {
+                if (!await _authService.DeleteApiKeyAsync(id))
+                {
+                    return NotFound(new { error = "API key not found" });
+                }
+
+                return Ok(new { message = "API key revoked" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error deleting API key {KeyId}", id);
+                return StatusCode(500, new { error = $"Failed to delete API key: {ex.Message}" });
+            }
+        }
+
+        private static ApiKeyResponse ToResponse(ApiKey apiKey, string? key)
+        {
+            return new ApiKeyResponse
+            {
+                Id = apiKey.Id,
+                Name = apiKey.Name,
+                KeyPrefix = apiKey.KeyPrefix,
+                Key = key,
+                CreatedAt = apiKey.CreatedAt,
+                LastUsedAt = apiKey.LastUsedAt
+            };
+        }
+    }
+
+    public class AuthStatusResponse
+    {
+        public bool Enabled { get; set; }
+        public bool Authenticated { get; set; }
+        public string? Username { get; set; }
+        public string? AuthMethod { get; set; } // "session" or "apikey"
+        public bool LocalBypass { get; set; } // Allowed without signing in because the request is local
+        public bool AccessGranted { get; set; }
+    }
+
+    public class LoginRequest
+    {
+        public string Username { get; set; } = string.Empty;
+        public string Password { get; set; } = string.Empty;
+        public bool RememberMe { get; set; }
+    }
+
+    public class AuthSettingsRequest
+    {
+        public bool Enabled { get; set; }
+        public string? Username { get; set; }
+        public string? Password { get; set; } // Empty keeps the current password
+        public bool BypassLocalAddresses { get; set; } = true;
+    }
+
+    public class ApiKeyRequest
+    {
+        public string Name { get; set; } = string.Empty;
+    }
+
+    public class ApiKeyResponse
+    {
+        public int Id { get; set; }
+        public string Name { get; set; } = string.Empty;
+        public string KeyPrefix { get; set; } = string.Empty;
+        public string? Key { get; set; } // Only set in the response that created the key
+        public DateTime CreatedAt { get; set; }
+        public DateTime? LastUsedAt { get; set; }
+    }
+}
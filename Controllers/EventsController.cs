@@ -0,0 +1,94 @@
+using System.Threading.Channels;
+using Microsoft.AspNetCore.Mvc;
+using Optimarr.Services;
+
+namespace Optimarr.Controllers
+{
+    [ApiController]
+    [Route("api/[controller]")]
+    public class EventsController : ControllerBase
+    {
+        // Comment line sent when idle so proxies don't close the connection
+        private static readonly TimeSpan KeepAliveInterval = TimeSpan.FromSeconds(20);
+
+        private readonly LiveUpdateService _liveUpdateService;
+        private readonly ILogger<EventsController> _logger;
+
+        public EventsController(LiveUpdateService liveUpdateService, ILogger<EventsController> logger)
+        {
+            _liveUpdateService = liveUpdateService;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Server-Sent Events stream of live updates: scan-progress, processing-count, match-progress,
+        /// playback-sync, migration and library-activity. Each event's data is the full current state of that item.
+        /// </summary>
+        [HttpGet]
+        public async Task GetEvents()
+        {
+            var cancellationToken = HttpContext.RequestAborted;
+
+            Response.ContentType = "text/event-stream";
+            Response.Headers.CacheControl = "no-cache";
+            Response.Headers["X-Accel-Buffering"] = "no"; // Disable nginx response buffering
+
+            using var subscription = _liveUpdateService.Subscribe();
+
+            try
+            {
+                // Tell EventSource how long to wait before reconnecting
+                await Response.WriteAsync("retry: 5000\n\n", cancellationToken);
+                await Response.Body.FlushAsync(cancellationToken);
+
+                while (!cancellationToken.IsCancellationRequested)
+                {
+                    if (!await WaitForEventAsync(subscription.Reader, cancellationToken))
+                    {
+                        await Response.WriteAsync(": keep-alive\n\n", cancellationToken);
+                        await Response.Body.FlushAsync(cancellationToken);
+                        continue;
+                    }
+
+                    while (subscription.Reader.TryRead(out var liveEvent))
+                    {
+                        await Response.WriteAsync($"event: {liveEvent.Type}\ndata: {liveEvent.Data}\n\n", cancellationToken);
+                    }
+                    await Response.Body.FlushAsync(cancellationToken);
+                }
+            }
+            catch (OperationCanceledException)
+            {
+                // Browser closed the connection
+            }
+            catch (ChannelClosedException)
+            {
+                // Subscription ended while shutting down
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Live update stream closed with an error");
+            }
+        }
+
+        // True when an event is ready, false when the keep-alive interval passed first
+        private static async Task<bool> WaitForEventAsync(ChannelReader<LiveUpdateEvent> reader, CancellationToken cancellationToken)
+        {
+            using var timeout = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+            timeout.CancelAfter(KeepAliveInterval);
+
+            try
+            {
+                if (!await reader.WaitToReadAsync(timeout.Token))
+                {
+                    throw new ChannelClosedException();
+                }
+                return true;
+            }
+            catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+            {
+                return false;
+            }
+        }
+    }
+}
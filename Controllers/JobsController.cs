@@ -0,0 +1,184 @@
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using Optimarr.Data;
+using Optimarr.Models;
+using Optimarr.Services;
+
+namespace Optimarr.Controllers
+{
+    [ApiController]
+    [Route("api/[controller]")]
+    public class JobsController : ControllerBase
+    {
+        private readonly AppDbContext _dbContext;
+        private readonly OptimizationJobService _optimizationJobService;
+        private readonly ILogger<JobsController> _logger;
+
+        public JobsController(AppDbContext dbContext, OptimizationJobService optimizationJobService, ILogger<JobsController> logger)
+        {
+            _dbContext = dbContext;
+            _optimizationJobService = optimizationJobService;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Lists optimization jobs, queued and running first, then the most recently finished
+        /// </summary>
+        [HttpGet]
+        public async Task<ActionResult<OptimizationJobListResponse>> GetJobs([FromQuery] int limit = 100)
+        {
+            try
+            {
+                limit = Math.Clamp(limit, 1, 500);
+
+                var active = await _dbContext.OptimizationJobs
+                    .AsNoTracking()
+                    .Where(j => j.Status == OptimizationJobStatus.Queued || j.Status == OptimizationJobStatus.Running)
+                    .OrderBy(j => j.CreatedAt)
+                    .ThenBy(j => j.Id)
+                    .ToListAsync();
+                var finished = await _dbContext.OptimizationJobs
+                    .AsNoTracking()
+                    .Where(j => j.Status != OptimizationJobStatus.Queued && j.Status != OptimizationJobStatus.Running)
+                    .OrderByDescending(j => j.CompletedAt ?? j.CreatedAt)
+                    .Take(limit)
+                    .ToListAsync();
+
+                return Ok(new OptimizationJobListResponse
+                {
+                    Current = _optimizationJobService.GetCurrentJob(),
+                    Jobs = active.Concat(finished).Select(ToResponse).ToList()
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error loading optimization jobs");
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
+        /// <summary>
+        /// Queues lossless fixes for the given videos. Videos that need a re-encode are skipped with the reason.
+        /// </summary>
+        [HttpPost]
+        [Audited("Jobs", "Queue optimization jobs")]
+        public async Task<ActionResult<OptimizationQueueResult>> QueueJobs([FromBody] QueueOptimizationRequest request)
+        {
+            try
+            {
+                if (request.VideoIds == null || request.VideoIds.Count == 0)
+                {
+                    return BadRequest(new { error = "No videos selected" });
+                }
+
+                var result = await _optimizationJobService.EnqueueAsync(request.VideoIds, request.DryRun);
+                return Ok(result);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error queueing optimization jobs");
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
+        [HttpPost("{id}/cancel")]
+        [Audited("Jobs", "Cancel job")]
+        public async Task<ActionResult> CancelJob(int id)
+        {
+            try
+            {
+                if (!await _dbContext.OptimizationJobs.AnyAsync(j => j.Id == id))
+                {
+                    return NotFound(new { error = "Job not found" });
+                }
+
+                if (!await _optimizationJobService.CancelAsync(id))
+                {
+                    return BadRequest(new { error = "Job has already finished" });
+                }
+
+                return Ok(new { message = "Job cancelled" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error cancelling optimization job {JobId}", id);
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
+        /// <summary>
+        /// Removes completed, failed and cancelled jobs from the list
+        /// </summary>
+        [HttpDelete]
+        [Audited("Jobs", "Clear finished jobs")]
+        public async Task<ActionResult> ClearFinishedJobs()
+        {
+            try
+            {
+                var finished = await _dbContext.OptimizationJobs
+                    .Where(j => j.Status != OptimizationJobStatus.Queued && j.Status != OptimizationJobStatus.Running)
+                    .ToListAsync();
+                _dbContext.OptimizationJobs.RemoveRange(finished);
+                await _dbContext.SaveChangesAsync();
+
+                return Ok(new { removed = finished.Count });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error clearing optimization jobs");
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
+        private static OptimizationJobResponse ToResponse(OptimizationJob job)
+        {
+            return new OptimizationJobResponse
+            {
+                Id = job.Id,
+                VideoId = job.VideoAnalysisId,
+                FileName = job.FileName,
+                FilePath = job.FilePath,
+                OutputPath = job.OutputPath,
+                Status = job.Status,
+                DryRun = job.DryRun,
+                Fixes = job.Fixes.Split(',', StringSplitOptions.RemoveEmptyEntries).ToList(),
+                Message = job.Message,
+                OriginalSize = job.OriginalSize,
+                OutputSize = job.OutputSize,
+                CreatedAt = job.CreatedAt,
+                StartedAt = job.StartedAt,
+                CompletedAt = job.CompletedAt
+            };
+        }
+    }
+
+    public class QueueOptimizationRequest
+    {
+        public List<int> VideoIds { get; set; } = new();
+        public bool DryRun { get; set; }
+    }
+
+    public class OptimizationJobListResponse
+    {
+        public OptimizationJobProgress? Current { get; set; }
+        public List<OptimizationJobResponse> Jobs { get; set; } = new();
+    }
+
+    public class OptimizationJobResponse
+    {
+        public int Id { get; set; }
+        public int? VideoId { get; set; }
+        public string FileName { get; set; } = string.Empty;
+        public string FilePath { get; set; } = string.Empty;
+        public string? OutputPath { get; set; }
+        public OptimizationJobStatus Status { get; set; }
+        public bool DryRun { get; set; }
+        public List<string> Fixes { get; set; } = new();
+        public string? Message { get; set; }
+        public long? OriginalSize { get; set; }
+        public long? OutputSize { get; set; }
+        public DateTime CreatedAt { get; set; }
+        public DateTime? StartedAt { get; set; }
+        public DateTime? CompletedAt { get; set; }
+    }
+}
@@ -24,6 +24,17 @@ namespace Optimarr.Controllers
         private readonly IConfiguration _configuration;
         private readonly IWebHostEnvironment _environment;
         private readonly IServiceScopeFactory _scopeFactory;
+        private readonly VideoFilterService _videoFilterService;
+        private readonly VideoExportService _videoExportService;
+        private readonly LibraryReportService _libraryReportService;
+        private readonly LibraryWatcherService _libraryWatcherService;
+        private readonly FfmpegPlannerService _ffmpegPlannerService;
+        private readonly DeviceProfileRatingService _deviceProfileRatingService;
+        private readonly RatingSimulationService _ratingSimulationService;
+        private readonly SettingsBackupService _settingsBackupService;
+        private readonly LibrarySnapshotService _librarySnapshotService;
+        private readonly VideoAnalysisHistoryService _videoAnalysisHistoryService;
+        private readonly DuplicateDetectionService _duplicateDetectionService;
 
         public LibraryController(
             AppDbContext dbContext,
@@ -32,7 +43,18 @@ namespace Optimarr.Controllers
             ILogger<LibraryController> logger,
             IConfiguration configuration,
             IWebHostEnvironment environment,
-            IServiceScopeFactory scopeFactory)
+            IServiceScopeFactory scopeFactory,
+            VideoFilterService videoFilterService,
+            VideoExportService videoExportService,
+            LibraryReportService libraryReportService,
+            LibraryWatcherService libraryWatcherService,
+            FfmpegPlannerService ffmpegPlannerService,
+            DeviceProfileRatingService deviceProfileRatingService,
+            RatingSimulationService ratingSimulationService,
+            SettingsBackupService settingsBackupService,
+            LibrarySnapshotService librarySnapshotService,
+            VideoAnalysisHistoryService videoAnalysisHistoryService,
+            DuplicateDetectionService duplicateDetectionService)
         {
             _dbContext = dbContext;
             _scannerService = scannerService;
@@ -41,6 +63,17 @@ namespace Optimarr.Controllers
             _configuration = configuration;
             _environment = environment;
             _scopeFactory = scopeFactory;
+            _videoFilterService = videoFilterService;
+            _videoExportService = videoExportService;
+            _libraryReportService = libraryReportService;
+            _libraryWatcherService = libraryWatcherService;
+            _ffmpegPlannerService = ffmpegPlannerService;
+            _deviceProfileRatingService = deviceProfileRatingService;
+            _ratingSimulationService = ratingSimulationService;
+            _settingsBackupService = settingsBackupService;
+            _librarySnapshotService = librarySnapshotService;
+            _videoAnalysisHistoryService = videoAnalysisHistoryService;
+            _duplicateDetectionService = duplicateDetectionService;
         }
 
         // Helper method to calculate OverallScore dynamically based on current thresholds
@@ -59,62 +92,18 @@ namespace Optimarr.Controllers
                 return "Poor";
         }
 
-        // Reconstruct VideoInfo from VideoAnalysis database record
-        private VideoInfo ReconstructVideoInfo(VideoAnalysis video)
-        {
-            var videoInfo = new VideoInfo
-            {
-                FilePath = video.FilePath,
-                Container = video.Container,
-                VideoCodec = video.VideoCodec,
-                VideoCodecTag = video.VideoCodecTag,
-                IsCodecTagCorrect = video.IsCodecTagCorrect,
-                BitDepth = video.BitDepth,
-                Width = video.Width,
-                Height = video.Height,
-                FrameRate = video.FrameRate,
-                IsHDR = video.IsHDR,
-                HDRType = video.HDRType,
-                IsFastStart = video.IsFastStart,
-                FileSize = video.FileSize,
-                Duration = video.Duration
-            };
+        // Device profiles share the global weights and thresholds, so their ratings are redone as well
+        private async Task MarkDeviceProfileRatingsStaleAsync(AppDbContext dbContext)
+        {
+            var profiles = await dbContext.DeviceProfiles.ToListAsync();
+            if (profiles.Count == 0) return;
 
-            // Reconstruct audio tracks from JSON
-            if (!string.IsNullOrEmpty(video.AudioTracksJson))
+            foreach (var profile in profiles)
             {
-                try
-                {
-                    videoInfo.AudioTracks = System.Text.Json.JsonSerializer.Deserialize<List<AudioTrack>>(
-                        video.AudioTracksJson,
-                        new System.Text.Json.JsonSerializerOptions { PropertyNameCaseInsensitive = true }
-                    ) ?? new List<AudioTrack>();
-                }
-                catch (Exception ex)
-                {
-                    _logger.LogWarning(ex, "Failed to deserialize audio tracks for video ID {Id}", video.Id);
-                    videoInfo.AudioTracks = new List<AudioTrack>();
-                }
+                profile.UpdatedAt = DateTime.UtcNow;
             }
-
-            // Reconstruct subtitle tracks from JSON
-            if (!string.IsNullOrEmpty(video.SubtitleTracksJson))
-            {
-                try
-                {
-                    videoInfo.SubtitleTracks = System.Text.Json.JsonSerializer.Deserialize<List<SubtitleTrack>>(
-                        video.SubtitleTracksJson,
-                        new System.Text.Json.JsonSerializerOptions { PropertyNameCaseInsensitive = true }
-                    ) ?? new List<SubtitleTrack>();
-                }
-                catch (Exception ex)
-                {
-                    _logger.LogWarning(ex, "Failed to deserialize subtitle tracks for video ID {Id}", video.Id);
-                    videoInfo.SubtitleTracks = new List<SubtitleTrack>();
-                }
-            }
-
-            return videoInfo;
+            await dbContext.SaveChangesAsync();
+            _deviceProfileRatingService.RequestRefresh();
         }
 
         // Recalculate compatibility for all videos in the database
@@ -155,7 +144,7 @@ namespace Optimarr.Controllers
                         try
                         {
                             // Reconstruct VideoInfo from database record
-                            var videoInfo = ReconstructVideoInfo(video);
+                            var videoInfo = MediaPropertyRatingService.ReconstructVideoInfo(video, _logger);
 
                             // Recalculate compatibility using new media property-based rating system
                             var compatibilityResult = videoAnalyzer.RecalculateCompatibility(videoInfo);
@@ -166,7 +155,7 @@ namespace Optimarr.Controllers
                             video.DirectPlayClients = 0;
                             video.RemuxClients = 0;
                             video.TranscodeClients = 0;
-                            video.OverallScore = ParseScore(compatibilityResult.OverallScore);
+                            video.OverallScore = MediaPropertyRatingService.ParseScore(compatibilityResult.OverallScore);
                             video.Issues = System.Text.Json.JsonSerializer.Serialize(compatibilityResult.Issues);
                             video.Recommendations = System.Text.Json.JsonSerializer.Serialize(compatibilityResult.Recommendations);
                             // Clear old ClientResults (deprecated)
@@ -201,18 +190,6 @@ namespace Optimarr.Controllers
             }
         }
 
-        // Helper to parse CompatibilityScore enum from string
-        private CompatibilityScore ParseScore(string score)
-        {
-            return score switch
-            {
-                "Optimal" => CompatibilityScore.Optimal,
-                "Good" => CompatibilityScore.Good,
-                "Poor" => CompatibilityScore.Poor,
-                _ => CompatibilityScore.Unknown
-            };
-        }
-
         [HttpGet("processing/count")]
         public async Task<ActionResult<int>> GetProcessingCount()
         {
@@ -294,6 +271,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("processing/videos/rescan")]
+        [Audited("Videos", "Rescan processing videos")]
         public async Task<ActionResult> RescanProcessingVideos([FromBody] RedownloadRequest request)
         {
             if (request.VideoIds == null || request.VideoIds.Count == 0)
@@ -306,6 +284,7 @@ namespace Optimarr.Controllers
             var results = new List<RescanResult>();
             var serviceProvider = HttpContext.RequestServices;
             var videoAnalyzer = serviceProvider.GetRequiredService<VideoAnalyzerService>();
+            var notificationService = serviceProvider.GetRequiredService<NotificationService>();
 
             // Load all videos from database - must be in Processing status
             var videos = await _dbContext.VideoAnalyses
@@ -455,6 +434,11 @@ namespace Optimarr.Controllers
                         result.Success = true;
                         result.Message = "Video rescanned successfully";
                         _logger.LogInformation("Successfully rescanned processing video ID {VideoId}", video.Id);
+
+                        if (!isBroken)
+                        {
+                            notificationService.PublishRedownloadVerified(video);
+                        }
                     }
                     catch (Exception ex)
                     {
@@ -487,6 +471,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("processing/videos/delete")]
+        [Audited("Videos", "Delete processing videos")]
         public async Task<ActionResult> DeleteProcessingVideos([FromBody] RedownloadRequest request)
         {
             if (request.VideoIds == null || request.VideoIds.Count == 0)
@@ -520,6 +505,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("scan")]
+        [Audited("Library", "Add library and scan")]
         public async Task<ActionResult<LibraryScan>> StartScan([FromBody] ScanRequest request)
         {
             _logger.LogInformation("Library scan requested for path: {Path}", request.Path);
@@ -537,6 +523,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("rescan/{libraryPathId}")]
+        [Audited("Library", "Rescan library")]
         public async Task<ActionResult<LibraryScan>> RescanLibrary(int libraryPathId)
         {
             _logger.LogInformation("Rescan requested for library path ID: {Id}", libraryPathId);
@@ -565,6 +552,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("rescan")]
+        [Audited("Library", "Rescan all libraries")]
         public async Task<ActionResult<LibraryScan>> RescanLibraryByPath([FromBody] RescanRequest request)
         {
             _logger.LogInformation("Rescan requested for path: {Path}", request.Path);
@@ -689,6 +677,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpDelete("paths/{id}")]
+        [Audited("Library", "Delete library")]
         public async Task<ActionResult> DeleteLibraryPath(int id)
         {
             _logger.LogInformation("Delete requested for library path ID: {Id}", id);
@@ -751,6 +740,11 @@ namespace Optimarr.Controllers
                 _dbContext.LibraryPaths.Remove(libraryPath);
                 await _dbContext.SaveChangesAsync();
 
+                if (libraryPath.WatchEnabled)
+                {
+                    await _libraryWatcherService.RefreshWatchersAsync();
+                }
+
                 _logger.LogInformation("Library path {Id} deleted successfully", id);
                 return Ok(new { message = "Library deleted successfully" });
             }
@@ -769,6 +763,10 @@ namespace Optimarr.Controllers
                 .OrderByDescending(lp => lp.LastScannedAt ?? lp.CreatedAt)
                 .ToListAsync();
             
+            var schedules = await _dbContext.LibraryScanSchedules
+                .ToDictionaryAsync(s => s.LibraryPathId);
+            var watchedIds = _libraryWatcherService.GetWatchedLibraryPathIds();
+            
             var result = new List<LibraryPathInfo>();
             foreach (var lp in libraryPaths)
             {
@@ -793,13 +791,164 @@ namespace Optimarr.Controllers
                     LatestScanStartedAt = latestScan?.StartedAt,
                     LatestScanCompletedAt = latestScan?.CompletedAt,
                     LatestScanProcessedFiles = latestScan?.ProcessedFiles ?? 0,
-                    LatestScanFailedFiles = latestScan?.FailedFiles ?? 0
+                    LatestScanFailedFiles = latestScan?.FailedFiles ?? 0,
+                    ScanSchedule = schedules.TryGetValue(lp.Id, out var schedule) ? ToScanScheduleInfo(lp.Id, schedule) : null,
+                    WatchEnabled = lp.WatchEnabled,
+                    IsWatching = watchedIds.Contains(lp.Id)
                 });
             }
             
             return Ok(result);
         }
 
+        [HttpPut("paths/{id}/watch")]
+        [Audited("Library", "Change folder watching")]
+        public async Task<ActionResult> SetWatchMode(int id, [FromBody] WatchModeRequest request)
+        {
+            try
+            {
+                var libraryPath = await _dbContext.LibraryPaths.FindAsync(id);
+                if (libraryPath == null)
+                {
+                    return NotFound(new { error = $"Library path with ID {id} not found" });
+                }
+
+                libraryPath.WatchEnabled = request.Enabled;
+                await _dbContext.SaveChangesAsync();
+                await _libraryWatcherService.RefreshWatchersAsync();
+
+                var isWatching = _libraryWatcherService.GetWatchedLibraryPathIds().Contains(id);
+                _logger.LogInformation("Watch mode for library path {Id} set to {Enabled} (watching: {Watching})", id, request.Enabled, isWatching);
+                return Ok(new { watchEnabled = libraryPath.WatchEnabled, isWatching });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error changing watch mode for library path {Id}", id);
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
+        [HttpGet("watch/activity")]
+        public ActionResult<List<LibraryActivity>> GetWatchActivity([FromQuery] int limit = 20)
+        {
+            return Ok(_libraryWatcherService.GetRecentActivity(Math.Clamp(limit, 1, 50)));
+        }
+
+        [HttpGet("paths/{id}/schedule")]
+        public async Task<ActionResult<ScanScheduleInfo>> GetScanSchedule(int id)
+        {
+            if (!await _dbContext.LibraryPaths.AnyAsync(lp => lp.Id == id))
+            {
+                return NotFound(new { error = $"Library path with ID {id} not found" });
+            }
+
+            var schedule = await _dbContext.LibraryScanSchedules.FirstOrDefaultAsync(s => s.LibraryPathId == id);
+            return Ok(ToScanScheduleInfo(id, schedule));
+        }
+
+        [HttpPut("paths/{id}/schedule")]
+        [Audited("Library", "Set scan schedule")]
+        public async Task<ActionResult<ScanScheduleInfo>> SaveScanSchedule(int id, [FromBody] ScanScheduleRequest request)
+        {
+            try
+            {
+                if (!await _dbContext.LibraryPaths.AnyAsync(lp => lp.Id == id))
+                {
+                    return NotFound(new { error = $"Library path with ID {id} not found" });
+                }
+
+                if (!CronSchedule.TryParse(request.CronExpression, out var cron, out var cronError))
+                {
+                    return BadRequest(new { error = cronError });
+                }
+
+                var nextRunAt = cron!.GetNextOccurrence(DateTime.UtcNow, TimeZoneInfo.Local);
+                if (nextRunAt == null)
+                {
+                    return BadRequest(new { error = "Cron expression never matches a date" });
+                }
+
+                var schedule = await _dbContext.LibraryScanSchedules.FirstOrDefaultAsync(s => s.LibraryPathId == id);
+                if (schedule == null)
+                {
+                    schedule = new LibraryScanSchedule { LibraryPathId = id };
+                    _dbContext.LibraryScanSchedules.Add(schedule);
+                }
+
+                schedule.CronExpression = cron.Expression;
+                schedule.IsEnabled = request.IsEnabled;
+                schedule.NextRunAt = request.IsEnabled ? nextRunAt : null;
+                schedule.UpdatedAt = DateTime.UtcNow;
+                await _dbContext.SaveChangesAsync();
+
+                _logger.LogInformation("Saved scan schedule for library path {Id}: {Cron} (enabled: {Enabled}, next run: {NextRun})",
+                    id, schedule.CronExpression, schedule.IsEnabled, schedule.NextRunAt);
+                return Ok(ToScanScheduleInfo(id, schedule));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error saving scan schedule for library path {Id}", id);
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
+        [HttpDelete("paths/{id}/schedule")]
+        [Audited("Library", "Remove scan schedule")]
+        public async Task<ActionResult> DeleteScanSchedule(int id)
+        {
+            var schedule = await _dbContext.LibraryScanSchedules.FirstOrDefaultAsync(s => s.LibraryPathId == id);
+            if (schedule == null)
+            {
+                return NotFound(new { error = $"No scan schedule for library path {id}" });
+            }
+
+            _dbContext.LibraryScanSchedules.Remove(schedule);
+            await _dbContext.SaveChangesAsync();
+            return Ok(new { message = "Scan schedule removed" });
+        }
+
+        [HttpGet("paths/{id}/schedule/runs")]
+        public async Task<ActionResult<List<ScheduledScanRunInfo>>> GetScheduledScanRuns(int id, [FromQuery] int limit = 20)
+        {
+            var runs = await _dbContext.ScheduledScanRuns
+                .AsNoTracking()
+                .Include(r => r.LibraryScan)
+                .Where(r => r.LibraryPathId == id)
+                .OrderByDescending(r => r.StartedAt)
+                .Take(Math.Clamp(limit, 1, 200))
+                .ToListAsync();
+
+            return Ok(runs.Select(r => new ScheduledScanRunInfo
+            {
+                Id = r.Id,
+                ScheduledFor = r.ScheduledFor,
+                StartedAt = r.StartedAt,
+                Status = r.Status.ToString(),
+                Message = r.Message,
+                LibraryScanId = r.LibraryScanId,
+                ScanStatus = r.LibraryScan?.Status.ToString(),
+                ScanCompletedAt = r.LibraryScan?.CompletedAt,
+                TotalFiles = r.LibraryScan?.TotalFiles,
+                FailedFiles = r.LibraryScan?.FailedFiles,
+                AnalyzedFiles = r.AnalyzedFiles,
+                UnchangedFiles = r.UnchangedFiles
+            }).ToList());
+        }
+
+        private static ScanScheduleInfo ToScanScheduleInfo(int libraryPathId, LibraryScanSchedule? schedule)
+        {
+            return new ScanScheduleInfo
+            {
+                LibraryPathId = libraryPathId,
+                Exists = schedule != null,
+                IsEnabled = schedule?.IsEnabled ?? false,
+                CronExpression = schedule?.CronExpression,
+                NextRunAt = schedule?.NextRunAt,
+                LastRunAt = schedule?.LastRunAt,
+                LastScanId = schedule?.LastScanId
+            };
+        }
+
         [HttpGet("scans")]
         public async Task<ActionResult<List<LibraryScan>>> GetScans()
         {
@@ -882,14 +1031,19 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("scans/{id}/cancel")]
+        [Audited("Library", "Cancel scan")]
         public async Task<ActionResult> CancelScan(int id)
         {
             await _scannerService.CancelScan(id);
             return Ok(new { message = "Scan cancellation requested" });
         }
 
+        /// <summary>
+        /// Library statistics. With a profileId, the optimal/good/poor counts use that device profile's ratings,
+        /// falling back to the global rating for videos the profile has not rated yet.
+        /// </summary>
         [HttpGet("dashboard/stats")]
-        public async Task<ActionResult<DashboardStats>> GetDashboardStats()
+        public async Task<ActionResult<DashboardStats>> GetDashboardStats([FromQuery] int? profileId = null)
         {
             try
             {
@@ -906,10 +1060,22 @@ namespace Optimarr.Controllers
                 
                 // Calculate counts efficiently by loading only necessary fields (excluding broken videos)
                 // Use CompatibilityRating (0-100 scale) and OverallScore if available
-                var videoScores = await _dbContext.VideoAnalyses
-                    .Where(v => !v.IsBroken)
-                    .Select(v => new { v.CompatibilityRating, v.OverallScore })
-                    .ToListAsync();
+                var videoScores = profileId.HasValue
+                    ? await _dbContext.VideoAnalyses
+                        .Where(v => !v.IsBroken)
+                        .Select(v => new
+                        {
+                            CompatibilityRating = _dbContext.VideoProfileRatings
+                                .Where(r => r.VideoAnalysisId == v.Id && r.DeviceProfileId == profileId.Value)
+                                .Select(r => (int?)r.CompatibilityRating)
+                                .FirstOrDefault() ?? v.CompatibilityRating,
+                            v.OverallScore
+                        })
+                        .ToListAsync()
+                    : await _dbContext.VideoAnalyses
+                        .Where(v => !v.IsBroken)
+                        .Select(v => new { v.CompatibilityRating, v.OverallScore })
+                        .ToListAsync();
                 
                 // Count videos based on rating thresholds (0-100 scale)
                 var optimalCount = videoScores.Count(v => v.CompatibilityRating >= optimalThreshold);
@@ -1165,50 +1331,87 @@ namespace Optimarr.Controllers
             });
         }
 
-        [HttpGet("dashboard/issues")]
-        public async Task<ActionResult<object>> GetTopIssues([FromQuery] int limit = 10)
+        /// <summary>
+        /// Daily library snapshots for the trend charts, oldest first. days limits the range to the last N days;
+        /// 0 returns every snapshot.
+        /// </summary>
+        [HttpGet("dashboard/trends")]
+        public async Task<ActionResult<List<LibraryTrendPoint>>> GetDashboardTrends([FromQuery] int days = 90)
         {
-            var videos = await _dbContext.VideoAnalyses
-                .Where(v => v.OverallScore == CompatibilityScore.Poor || v.OverallScore == CompatibilityScore.Good)
-                .OrderByDescending(v => v.CompatibilityRating)
-                .ThenBy(v => v.FileName)
-                .Take(limit)
-                .Select(v => new IssueSummary
-                {
-                    Id = v.Id,
-                    FileName = v.FileName,
-                    FilePath = v.FilePath,
-                    VideoCodec = v.VideoCodec,
-                    Container = v.Container,
-                    OverallScore = v.OverallScore.ToString(),
-                    CompatibilityRating = v.CompatibilityRating,
-                    IsHDR = v.IsHDR
-                })
-                .ToListAsync();
+            if (days < 0)
+            {
+                return BadRequest(new { error = "days must be 0 (all) or more" });
+            }
 
-            // Calculate optimization summary
-            var allVideos = await _dbContext.VideoAnalyses.ToListAsync();
-            var totalVideos = allVideos.Count;
-            var poorVideos = allVideos.Count(v => v.OverallScore == CompatibilityScore.Poor);
-            var goodVideos = allVideos.Count(v => v.OverallScore == CompatibilityScore.Good);
-            var optimalVideos = allVideos.Count(v => v.OverallScore == CompatibilityScore.Optimal);
-            
-            // Calculate videos that could benefit from optimization (Poor + some Good)
-            var videosNeedingOptimization = poorVideos;
+            try
+            {
+                var query = _dbContext.LibrarySnapshots.AsNoTracking();
+                if (days > 0)
+                {
+                    var from = DateTime.Now.Date.AddDays(-(days - 1));
+                    query = query.Where(s => s.Date >= from);
+                }
 
-            return Ok(new
+                var snapshots = await query.OrderBy(s => s.Date).ToListAsync();
+                return Ok(snapshots.Select(LibrarySnapshotService.ToTrendPoint).ToList());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error loading dashboard trends");
+                return StatusCode(500, new { error = $"Failed to load dashboard trends: {ex.Message}" });
+            }
+        }
+
+        /// <summary>
+        /// Captures today's snapshot now instead of waiting for the hourly refresh
+        /// </summary>
+        [HttpPost("dashboard/trends/snapshot")]
+        public async Task<ActionResult<LibraryTrendPoint>> CaptureDashboardSnapshot()
+        {
+            try
+            {
+                var snapshot = await _librarySnapshotService.CaptureSnapshotAsync(HttpContext.RequestAborted);
+                return Ok(LibrarySnapshotService.ToTrendPoint(snapshot));
+            }
+            catch (Exception ex)
             {
-                issues = videos,
-                optimizationSummary = new
+                _logger.LogError(ex, "Error capturing library snapshot");
+                return StatusCode(500, new { error = $"Failed to capture library snapshot: {ex.Message}" });
+            }
+        }
+
+        [HttpGet("dashboard/issues")]
+        public async Task<ActionResult<TopIssuesResult>> GetTopIssues([FromQuery] int limit = 10, [FromQuery] int? profileId = null)
+        {
+            return Ok(await _libraryReportService.GetTopIssuesAsync(limit, profileId));
+        }
+
+        /// <summary>
+        /// Library-wide compatibility report: score distribution, common issues, codec/container breakdowns
+        /// and the worst offenders. Returned as a self-contained HTML download, or as JSON with format=json.
+        /// With a profileId, ratings are against that device profile instead of the global settings.
+        /// </summary>
+        [HttpGet("report")]
+        public async Task<IActionResult> GetLibraryReport([FromQuery] string format = "html", [FromQuery] int worstOffenders = 50, [FromQuery] int? profileId = null)
+        {
+            try
+            {
+                var report = await _libraryReportService.BuildReportAsync(Math.Clamp(worstOffenders, 1, 1000), profileId);
+
+                if (string.Equals(format, "json", StringComparison.OrdinalIgnoreCase))
                 {
-                    totalVideos,
-                    optimalVideos,
-                    goodVideos,
-                    poorVideos,
-                    videosNeedingOptimization,
-                    optimizationPotential = totalVideos > 0 ? Math.Round((double)videosNeedingOptimization / totalVideos * 100, 1) : 0
+                    return Ok(report);
                 }
-            });
+
+                var html = new ReportGenerator().GenerateLibraryReportHtml(report);
+                var fileName = $"optimarr-library-report-{DateTime.Now:yyyyMMdd-HHmm}.html";
+                return File(System.Text.Encoding.UTF8.GetBytes(html), "text/html; charset=utf-8", fileName);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error generating library report");
+                return StatusCode(500, new { error = "Failed to generate library report", message = ex.Message });
+            }
         }
 
 
@@ -1230,302 +1433,37 @@ namespace Optimarr.Controllers
             [FromQuery] string? hdrSdr = null,
             [FromQuery] int? bitDepth = null,
             [FromQuery] string? subtitleFormat = null,
-            [FromQuery] string? bitrateRange = null)
+            [FromQuery] string? bitrateRange = null,
+            [FromQuery] int? profileId = null)
         {
             try
             {
-                var query = _dbContext.VideoAnalyses.AsQueryable();
-
-                if (!string.IsNullOrEmpty(codec))
-                    query = query.Where(v => v.VideoCodec == codec);
-                
-                if (!string.IsNullOrEmpty(container))
-                    query = query.Where(v => v.Container == container);
-
-                string? libraryPathFilter = null;
-                if (libraryPathId.HasValue)
-                {
-                    // Get the library path from LibraryPath table
-                    var libraryPath = await _dbContext.LibraryPaths
-                        .FirstOrDefaultAsync(lp => lp.Id == libraryPathId.Value);
-                    
-                    if (libraryPath != null)
-                    {
-                        libraryPathFilter = libraryPath.Path;
-                    }
-                    else
-                    {
-                        // If library path not found, return empty result
-                        libraryPathFilter = string.Empty; // Will result in no matches
-                    }
-                }
-                
-                if (libraryPathFilter != null)
-                {
-                    // Filter by matching the LibraryScan's LibraryPath string with the LibraryPath's Path
-                    var filterPath = libraryPathFilter; // Capture for closure
-                    query = query.Where(v => v.LibraryScan != null && v.LibraryScan.LibraryPath == filterPath);
-                }
-
-                if (!string.IsNullOrEmpty(search))
-                {
-                    var searchLower = search.ToLowerInvariant();
-                    query = query.Where(v => 
-                        (v.FileName != null && v.FileName.ToLower().Contains(searchLower)) ||
-                        (v.FilePath != null && v.FilePath.ToLower().Contains(searchLower)) ||
-                        (v.VideoCodec != null && v.VideoCodec.ToLower().Contains(searchLower)) ||
-                        (v.Container != null && v.Container.ToLower().Contains(searchLower)) ||
-                        (v.AudioCodecs != null && v.AudioCodecs.ToLower().Contains(searchLower)) ||
-                        (v.SubtitleFormats != null && v.SubtitleFormats.ToLower().Contains(searchLower)));
-                }
-
-                // Filter by broken status
-                if (isBroken.HasValue)
-                {
-                    query = query.Where(v => v.IsBroken == isBroken.Value);
-                }
-                // If filtering by score and broken filter is not explicitly set to true, exclude broken videos
-                else if (!string.IsNullOrEmpty(score))
-                {
-                    // When filtering by score (Poor/Good/Optimal), exclude broken videos unless explicitly requested
-                    query = query.Where(v => !v.IsBroken);
-                }
-
-                // Filter by Servarr sync status
-                if (!string.IsNullOrEmpty(servarrFilter))
-                {
-                    var filterLower = servarrFilter.ToLowerInvariant();
-                    if (filterLower == "synced")
-                    {
-                        // Show only videos that have been synced with Sonarr or Radarr
-                        query = query.Where(v => !string.IsNullOrEmpty(v.ServarrType));
-                    }
-                    else if (filterLower == "not-synced")
-                    {
-                        // Show only videos that have NOT been synced
-                        query = query.Where(v => string.IsNullOrEmpty(v.ServarrType));
-                    }
-                    // If filter is something else, ignore it (show all)
-                }
-
-                // Filter by audio codec
-                if (!string.IsNullOrEmpty(audioCodec))
-                {
-                    query = query.Where(v => v.AudioCodecs != null && v.AudioCodecs.Contains(audioCodec));
-                }
-
-                // Filter by audio channels (mono/stereo/surround)
-                // Note: This will be applied after loading videos since we need to parse JSON
-                bool needsAudioChannelFilter = !string.IsNullOrEmpty(audioChannel);
-                string? audioChannelFilterValue = audioChannel?.ToLowerInvariant();
-
-                // Filter by HDR/SDR
-                if (!string.IsNullOrEmpty(hdrSdr))
-                {
-                    var hdrFilter = hdrSdr.ToLowerInvariant();
-                    if (hdrFilter == "hdr")
-                    {
-                        query = query.Where(v => v.IsHDR);
-                    }
-                    else if (hdrFilter == "sdr")
-                    {
-                        query = query.Where(v => !v.IsHDR);
-                    }
-                }
-
-                // Filter by bit depth
-                if (bitDepth.HasValue)
-                {
-                    query = query.Where(v => v.BitDepth == bitDepth.Value);
-                }
-
-                // Filter by subtitle format
-                if (!string.IsNullOrEmpty(subtitleFormat))
-                {
-                    query = query.Where(v => v.SubtitleFormats != null && v.SubtitleFormats.Contains(subtitleFormat));
-                }
-
-                // Filter by bitrate range
-                // Note: This will be applied after loading videos since bitrate needs to be calculated
-                bool needsBitrateFilter = !string.IsNullOrEmpty(bitrateRange);
-                string? bitrateRangeFilterValue = bitrateRange;
-
-                // Load all matching videos to recalculate scores and filter
-                // Note: We'll apply sorting after filtering and score recalculation
-                var allVideos = await query.ToListAsync();
-
-                // Apply audio channel filter
-                if (needsAudioChannelFilter && !string.IsNullOrEmpty(audioChannelFilterValue))
-                {
-                    allVideos = allVideos.Where(v =>
-                    {
-                        if (string.IsNullOrEmpty(v.AudioTracksJson))
-                            return false;
-
-                        try
-                        {
-                            var options = new System.Text.Json.JsonSerializerOptions
-                            {
-                                PropertyNameCaseInsensitive = true
-                            };
-                            var audioTracks = System.Text.Json.JsonSerializer.Deserialize<List<AudioTrack>>(v.AudioTracksJson, options);
-                            if (audioTracks == null || audioTracks.Count == 0)
-                                return false;
-
-                            var primaryTrack = audioTracks[0];
-                            var channels = primaryTrack.Channels;
-
-                            return audioChannelFilterValue switch
-                            {
-                                "mono" => channels == 1,
-                                "stereo" => channels == 2,
-                                "surround" => channels >= 6,
-                                _ => false
-                            };
-                        }
-                        catch
-                        {
-                            return false;
-                        }
-                    }).ToList();
-                }
-
-                // Apply bitrate range filter
-                if (needsBitrateFilter && !string.IsNullOrEmpty(bitrateRangeFilterValue))
-                {
-                    allVideos = allVideos.Where(v =>
-                    {
-                        if (v.Duration <= 0 || v.FileSize <= 0)
-                            return false;
-
-                        double durationSeconds = v.Duration;
-                        
-                        // Detect if duration might be in wrong unit
-                        var initialBitrateMbps = (v.FileSize * 8.0) / (durationSeconds * 1_000_000.0);
-                        
-                        // If bitrate is unreasonably high (> 1000 Mbps), try converting from milliseconds
-                        if (initialBitrateMbps > 1000.0 && durationSeconds > 0)
-                        {
-                            var correctedDurationSeconds = durationSeconds / 1000.0;
-                            var correctedBitrateMbps = (v.FileSize * 8.0) / (correctedDurationSeconds * 1_000_000.0);
-                            
-                            if (correctedBitrateMbps <= 500.0 && correctedDurationSeconds >= 1.0 && correctedDurationSeconds <= 864000)
-                            {
-                                durationSeconds = correctedDurationSeconds;
-                                initialBitrateMbps = correctedBitrateMbps;
-                            }
-                        }
-                        
-                        // Validate duration is reasonable
-                        if (durationSeconds < 1.0 || durationSeconds > 864000)
-                            return false;
-
-                        var bitrateMbps = initialBitrateMbps;
-                        
-                        // Relaxed sanity check
-                        if (bitrateMbps > 500 || bitrateMbps < 0.01)
-                            return false;
-
-                        return bitrateRangeFilterValue switch
-                        {
-                            "0-5" => bitrateMbps < 5,
-                            "5-10" => bitrateMbps >= 5 && bitrateMbps < 10,
-                            "10-20" => bitrateMbps >= 10 && bitrateMbps < 20,
-                            "20-50" => bitrateMbps >= 20 && bitrateMbps < 50,
-                            "50+" => bitrateMbps >= 50,
-                            _ => false
-                        };
-                    }).ToList();
-                }
-
-                // Recalculate OverallScore dynamically based on current thresholds
-                foreach (var video in allVideos)
-                {
-                    try
-                    {
-                        var recalculatedScore = CalculateOverallScore(
-                            video.CompatibilityRating, 
-                            0, 
-                            video.VideoCodec, 
-                            video.BitDepth);
-                        
-                        if (Enum.TryParse<CompatibilityScore>(recalculatedScore, true, out var parsedScore))
-                        {
-                            video.OverallScore = parsedScore;
-                        }
-                        else
-                        {
-                            _logger.LogWarning("Failed to parse score '{Score}' for video {VideoId}, defaulting to Unknown", 
-                                recalculatedScore, video.Id);
-                            video.OverallScore = CompatibilityScore.Unknown;
-                        }
-                    }
-                    catch (Exception ex)
-                    {
-                        _logger.LogWarning(ex, "Error recalculating score for video {VideoId}, defaulting to Unknown", video.Id);
-                        video.OverallScore = CompatibilityScore.Unknown;
-                    }
-                }
+                var allVideos = await _videoFilterService.GetFilteredVideosAsync(new VideoFilterCriteria
+                {
+                    LibraryPathId = libraryPathId,
+                    Codec = codec,
+                    Container = container,
+                    Score = score,
+                    Search = search,
+                    IsBroken = isBroken,
+                    ServarrFilter = servarrFilter,
+                    AudioCodec = audioCodec,
+                    AudioChannel = audioChannel,
+                    HdrSdr = hdrSdr,
+                    BitDepth = bitDepth,
+                    SubtitleFormat = subtitleFormat,
+                    BitrateRange = bitrateRange,
+                    ProfileId = profileId
+                });
 
-                // Apply score filter after recalculation if specified
-                if (!string.IsNullOrEmpty(score))
-                {
-                    var targetScore = score.Trim();
-                    allVideos = allVideos.Where(v => 
-                    {
-                        try
-                        {
-                            var calculatedScore = CalculateOverallScore(v.CompatibilityRating, 0, v.VideoCodec, v.BitDepth);
-                            return calculatedScore.Equals(targetScore, StringComparison.OrdinalIgnoreCase);
-                        }
-                        catch
-                        {
-                            return false;
-                        }
-                    }).ToList();
-                }
-
-                // Deduplicate videos by title (without extension)
-                // Group by normalized title and keep only the best one per title
-                var deduplicatedVideos = allVideos
-                    .GroupBy(v => NormalizeTitle(v.FileName ?? string.Empty))
-                    .Select(g => g.OrderByDescending(v => 
-                        // Priority: 1) Not broken, 2) Higher compatibility rating, 3) More recent analysis
-                        (v.IsBroken ? 0 : 1) * 1000000 +
-                        v.CompatibilityRating * 1000 +
-                        v.AnalyzedAt.Ticks
-                    ).First())
-                    .ToList();
+                // Deduplicate videos by title (without extension), keeping the best one per title
+                var deduplicatedVideos = VideoFilterService.DeduplicateByTitle(allVideos);
 
                 // Calculate total after deduplication
                 var total = deduplicatedVideos.Count;
 
                 // Apply sorting
-                var sortByLower = (sortBy ?? "analyzedAt").ToLowerInvariant();
-                var sortOrderLower = (sortOrder ?? "desc").ToLowerInvariant();
-                var isDescending = sortOrderLower == "desc";
-
-                var sortedVideos = sortByLower switch
-                {
-                    "filename" => isDescending 
-                        ? deduplicatedVideos.OrderByDescending(v => v.FileName ?? string.Empty).ToList()
-                        : deduplicatedVideos.OrderBy(v => v.FileName ?? string.Empty).ToList(),
-                    "filesize" => isDescending 
-                        ? deduplicatedVideos.OrderByDescending(v => v.FileSize).ToList()
-                        : deduplicatedVideos.OrderBy(v => v.FileSize).ToList(),
-                    "compatibilityrating" => isDescending 
-                        ? deduplicatedVideos.OrderByDescending(v => v.CompatibilityRating).ToList()
-                        : deduplicatedVideos.OrderBy(v => v.CompatibilityRating).ToList(),
-                    "duration" => isDescending 
-                        ? deduplicatedVideos.OrderByDescending(v => v.Duration).ToList()
-                        : deduplicatedVideos.OrderBy(v => v.Duration).ToList(),
-                    "width" => isDescending 
-                        ? deduplicatedVideos.OrderByDescending(v => v.Width * v.Height).ToList() // Sort by total pixels
-                        : deduplicatedVideos.OrderBy(v => v.Width * v.Height).ToList(),
-                    "analyzedat" or _ => isDescending 
-                        ? deduplicatedVideos.OrderByDescending(v => v.AnalyzedAt).ToList()
-                        : deduplicatedVideos.OrderBy(v => v.AnalyzedAt).ToList()
-                };
+                var sortedVideos = VideoFilterService.Sort(deduplicatedVideos, sortBy, sortOrder);
 
                 // Apply pagination after sorting
                 var videos = sortedVideos
@@ -1563,247 +1501,125 @@ namespace Optimarr.Controllers
             [FromQuery] string? hdrSdr = null,
             [FromQuery] int? bitDepth = null,
             [FromQuery] string? subtitleFormat = null,
-            [FromQuery] string? bitrateRange = null)
+            [FromQuery] string? bitrateRange = null,
+            [FromQuery] int? profileId = null)
         {
             try
             {
-                var query = _dbContext.VideoAnalyses.AsQueryable();
-
-                if (!string.IsNullOrEmpty(codec))
-                    query = query.Where(v => v.VideoCodec == codec);
-                
-                if (!string.IsNullOrEmpty(container))
-                    query = query.Where(v => v.Container == container);
-
-                string? libraryPathFilter = null;
-                if (libraryPathId.HasValue)
-                {
-                    var libraryPath = await _dbContext.LibraryPaths
-                        .FirstOrDefaultAsync(lp => lp.Id == libraryPathId.Value);
-                    
-                    if (libraryPath != null)
-                    {
-                        libraryPathFilter = libraryPath.Path;
-                    }
-                    else
-                    {
-                        libraryPathFilter = string.Empty;
-                    }
-                }
-                
-                if (libraryPathFilter != null)
-                {
-                    var filterPath = libraryPathFilter;
-                    query = query.Where(v => v.LibraryScan != null && v.LibraryScan.LibraryPath == filterPath);
-                }
-
-                if (!string.IsNullOrEmpty(search))
-                {
-                    var searchLower = search.ToLowerInvariant();
-                    query = query.Where(v => 
-                        (v.FileName != null && v.FileName.ToLower().Contains(searchLower)) ||
-                        (v.FilePath != null && v.FilePath.ToLower().Contains(searchLower)) ||
-                        (v.VideoCodec != null && v.VideoCodec.ToLower().Contains(searchLower)) ||
-                        (v.Container != null && v.Container.ToLower().Contains(searchLower)) ||
-                        (v.AudioCodecs != null && v.AudioCodecs.ToLower().Contains(searchLower)) ||
-                        (v.SubtitleFormats != null && v.SubtitleFormats.ToLower().Contains(searchLower)));
-                }
-
-                if (isBroken.HasValue)
-                {
-                    query = query.Where(v => v.IsBroken == isBroken.Value);
-                }
-                // If filtering by score and broken filter is not explicitly set to true, exclude broken videos
-                else if (!string.IsNullOrEmpty(score))
-                {
-                    // When filtering by score (Poor/Good/Optimal), exclude broken videos unless explicitly requested
-                    query = query.Where(v => !v.IsBroken);
-                }
-
-                if (!string.IsNullOrEmpty(servarrFilter))
-                {
-                    var filterLower = servarrFilter.ToLowerInvariant();
-                    if (filterLower == "synced")
-                    {
-                        query = query.Where(v => !string.IsNullOrEmpty(v.ServarrType));
-                    }
-                    else if (filterLower == "not-synced")
-                    {
-                        query = query.Where(v => string.IsNullOrEmpty(v.ServarrType));
-                    }
-                }
-
-                // Apply new filters (same as GetVideos but simplified for ID-only query)
-                if (!string.IsNullOrEmpty(audioCodec))
-                {
-                    query = query.Where(v => v.AudioCodecs != null && v.AudioCodecs.Contains(audioCodec));
-                }
-
-                if (!string.IsNullOrEmpty(hdrSdr))
-                {
-                    var hdrFilter = hdrSdr.ToLowerInvariant();
-                    if (hdrFilter == "hdr")
-                    {
-                        query = query.Where(v => v.IsHDR);
-                    }
-                    else if (hdrFilter == "sdr")
-                    {
-                        query = query.Where(v => !v.IsHDR);
-                    }
-                }
-
-                if (bitDepth.HasValue)
-                {
-                    query = query.Where(v => v.BitDepth == bitDepth.Value);
-                }
-
-                if (!string.IsNullOrEmpty(subtitleFormat))
-                {
-                    query = query.Where(v => v.SubtitleFormats != null && v.SubtitleFormats.Contains(subtitleFormat));
-                }
-
-                // Load all matching videos to recalculate scores and filter
-                var allVideos = await query.ToListAsync();
-
-                // Apply audio channel filter if needed (requires JSON parsing)
-                if (!string.IsNullOrEmpty(audioChannel))
-                {
-                    var channelFilter = audioChannel.ToLowerInvariant();
-                    allVideos = allVideos.Where(v =>
-                    {
-                        if (string.IsNullOrEmpty(v.AudioTracksJson))
-                            return false;
-
-                        try
-                        {
-                            var options = new System.Text.Json.JsonSerializerOptions
-                            {
-                                PropertyNameCaseInsensitive = true
-                            };
-                            var audioTracks = System.Text.Json.JsonSerializer.Deserialize<List<AudioTrack>>(v.AudioTracksJson, options);
-                            if (audioTracks == null || audioTracks.Count == 0)
-                                return false;
-
-                            var primaryTrack = audioTracks[0];
-                            var channels = primaryTrack.Channels;
+                var allVideos = await _videoFilterService.GetFilteredVideosAsync(new VideoFilterCriteria
+                {
+                    LibraryPathId = libraryPathId,
+                    Codec = codec,
+                    Container = container,
+                    Score = score,
+                    Search = search,
+                    IsBroken = isBroken,
+                    ServarrFilter = servarrFilter,
+                    AudioCodec = audioCodec,
+                    AudioChannel = audioChannel,
+                    HdrSdr = hdrSdr,
+                    BitDepth = bitDepth,
+                    SubtitleFormat = subtitleFormat,
+                    BitrateRange = bitrateRange,
+                    ProfileId = profileId
+                });
 
-                            return channelFilter switch
-                            {
-                                "mono" => channels == 1,
-                                "stereo" => channels == 2,
-                                "surround" => channels >= 6,
-                                _ => false
-                            };
-                        }
-                        catch
-                        {
-                            return false;
-                        }
-                    }).ToList();
-                }
+                // Return just the IDs
+                var ids = allVideos.Select(v => v.Id).ToList();
+                return Ok(ids);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error getting video IDs");
+                return StatusCode(500, new { error = "Failed to get video IDs", message = ex.Message });
+            }
+        }
 
-                // Apply bitrate range filter if needed (requires calculation)
-                if (!string.IsNullOrEmpty(bitrateRange))
-                {
-                    allVideos = allVideos.Where(v =>
-                    {
-                        if (v.Duration <= 0 || v.FileSize <= 0)
-                            return false;
+        /// <summary>
+        /// Streams every video matching the Browse filters (not just one page) as CSV or JSON,
+        /// deduplicated and sorted the same way as /videos.
+        /// </summary>
+        [HttpGet("videos/export")]
+        public async Task<IActionResult> ExportVideos(
+            [FromQuery] string format = "csv",
+            [FromQuery] string? codec = null,
+            [FromQuery] string? container = null,
+            [FromQuery] string? score = null,
+            [FromQuery] int? libraryPathId = null,
+            [FromQuery] string? search = null,
+            [FromQuery] string? sortBy = "analyzedAt",
+            [FromQuery] string? sortOrder = "desc",
+            [FromQuery] bool? isBroken = null,
+            [FromQuery] string? servarrFilter = null,
+            [FromQuery] string? audioCodec = null,
+            [FromQuery] string? audioChannel = null,
+            [FromQuery] string? hdrSdr = null,
+            [FromQuery] int? bitDepth = null,
+            [FromQuery] string? subtitleFormat = null,
+            [FromQuery] string? bitrateRange = null,
+            [FromQuery] int? profileId = null)
+        {
+            format = format.ToLowerInvariant();
+            if (format != "csv" && format != "json")
+            {
+                return BadRequest(new { error = "Format must be 'csv' or 'json'" });
+            }
 
-                        double durationSeconds = v.Duration;
-                        
-                        // Detect if duration might be in wrong unit
-                        var initialBitrateMbps = (v.FileSize * 8.0) / (durationSeconds * 1_000_000.0);
-                        
-                        // If bitrate is unreasonably high (> 1000 Mbps), try converting from milliseconds
-                        if (initialBitrateMbps > 1000.0 && durationSeconds > 0)
-                        {
-                            var correctedDurationSeconds = durationSeconds / 1000.0;
-                            var correctedBitrateMbps = (v.FileSize * 8.0) / (correctedDurationSeconds * 1_000_000.0);
-                            
-                            if (correctedBitrateMbps <= 500.0 && correctedDurationSeconds >= 1.0 && correctedDurationSeconds <= 864000)
-                            {
-                                durationSeconds = correctedDurationSeconds;
-                                initialBitrateMbps = correctedBitrateMbps;
-                            }
-                        }
-                        
-                        // Validate duration is reasonable
-                        if (durationSeconds < 1.0 || durationSeconds > 864000)
-                            return false;
+            List<VideoAnalysis> videos;
+            try
+            {
+                var allVideos = await _videoFilterService.GetFilteredVideosAsync(new VideoFilterCriteria
+                {
+                    LibraryPathId = libraryPathId,
+                    Codec = codec,
+                    Container = container,
+                    Score = score,
+                    Search = search,
+                    IsBroken = isBroken,
+                    ServarrFilter = servarrFilter,
+                    AudioCodec = audioCodec,
+                    AudioChannel = audioChannel,
+                    HdrSdr = hdrSdr,
+                    BitDepth = bitDepth,
+                    SubtitleFormat = subtitleFormat,
+                    BitrateRange = bitrateRange,
+                    ProfileId = profileId
+                });
 
-                        var bitrateMbps = initialBitrateMbps;
-                        
-                        // Relaxed sanity check
-                        if (bitrateMbps > 500 || bitrateMbps < 0.01)
-                            return false;
+                videos = VideoFilterService.Sort(VideoFilterService.DeduplicateByTitle(allVideos), sortBy, sortOrder);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error loading videos for export");
+                return StatusCode(500, new { error = "Failed to export videos", message = ex.Message });
+            }
 
-                        return bitrateRange switch
-                        {
-                            "0-5" => bitrateMbps < 5,
-                            "5-10" => bitrateMbps >= 5 && bitrateMbps < 10,
-                            "10-20" => bitrateMbps >= 10 && bitrateMbps < 20,
-                            "20-50" => bitrateMbps >= 20 && bitrateMbps < 50,
-                            "50+" => bitrateMbps >= 50,
-                            _ => false
-                        };
-                    }).ToList();
-                }
+            var fileName = $"optimarr-export-{DateTime.Now:yyyyMMdd-HHmmss}.{format}";
+            Response.ContentType = format == "csv" ? "text/csv; charset=utf-8" : "application/json; charset=utf-8";
+            Response.Headers.ContentDisposition = $"attachment; filename=\"{fileName}\"";
 
-                // Recalculate OverallScore dynamically based on current thresholds
-                foreach (var video in allVideos)
+            try
+            {
+                if (format == "csv")
                 {
-                    try
-                    {
-                        var recalculatedScore = CalculateOverallScore(
-                            video.CompatibilityRating, 
-                            0, 
-                            video.VideoCodec, 
-                            video.BitDepth);
-                        
-                        if (Enum.TryParse<CompatibilityScore>(recalculatedScore, true, out var parsedScore))
-                        {
-                            video.OverallScore = parsedScore;
-                        }
-                        else
-                        {
-                            video.OverallScore = CompatibilityScore.Unknown;
-                        }
-                    }
-                    catch (Exception ex)
-                    {
-                        _logger.LogWarning(ex, "Error recalculating score for video {VideoId}, defaulting to Unknown", video.Id);
-                        video.OverallScore = CompatibilityScore.Unknown;
-                    }
+                    await _videoExportService.WriteCsvAsync(Response.Body, videos, HttpContext.RequestAborted);
                 }
-
-                // Apply score filter after recalculation if specified
-                if (!string.IsNullOrEmpty(score))
+                else
                 {
-                    var targetScore = score.Trim();
-                    allVideos = allVideos.Where(v => 
-                    {
-                        try
-                        {
-                            var calculatedScore = CalculateOverallScore(v.CompatibilityRating, 0, v.VideoCodec, v.BitDepth);
-                            return calculatedScore.Equals(targetScore, StringComparison.OrdinalIgnoreCase);
-                        }
-                        catch
-                        {
-                            return false;
-                        }
-                    }).ToList();
+                    await _videoExportService.WriteJsonAsync(Response.Body, videos, HttpContext.RequestAborted);
                 }
-
-                // Return just the IDs
-                var ids = allVideos.Select(v => v.Id).ToList();
-                return Ok(ids);
+            }
+            catch (OperationCanceledException)
+            {
+                _logger.LogInformation("Video export cancelled by client");
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "Error getting video IDs");
-                return StatusCode(500, new { error = "Failed to get video IDs", message = ex.Message });
+                // Headers are already sent at this point, so the error can only be logged
+                _logger.LogError(ex, "Error writing video export");
             }
+
+            return new EmptyResult();
         }
 
         [HttpGet("videos/filters")]
@@ -1882,6 +1698,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("settings/rating")]
+        [Audited("Settings", "Change rating settings")]
         public async Task<ActionResult> SaveRatingSettings([FromBody] RatingSettings settings)
         {
             try
@@ -1981,6 +1798,7 @@ namespace Optimarr.Controllers
                         var configuration = scope.ServiceProvider.GetRequiredService<IConfiguration>();
                         
                         await RecalculateCompatibilityForAllVideosAsync(dbContext, videoAnalyzer, logger, configuration);
+                        await MarkDeviceProfileRatingsStaleAsync(dbContext);
                     }
                     catch (Exception ex)
                     {
@@ -2040,6 +1858,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("settings/media-properties")]
+        [Audited("Settings", "Change media property settings")]
         public async Task<ActionResult> SaveMediaPropertySettings([FromBody] MediaPropertySettingsRequest request)
         {
             try
@@ -2316,6 +2135,7 @@ namespace Optimarr.Controllers
                         var configuration = scope.ServiceProvider.GetRequiredService<IConfiguration>();
                         
                         await RecalculateCompatibilityForAllVideosAsync(dbContext, videoAnalyzer, logger, configuration);
+                        await MarkDeviceProfileRatingsStaleAsync(dbContext);
                     }
                     catch (Exception ex)
                     {
@@ -2332,6 +2152,144 @@ namespace Optimarr.Controllers
             }
         }
 
+        /// <summary>
+        /// Rates the library in memory with unsaved settings and reports how many videos move between Optimal,
+        /// Good and Poor, with sample files. Omitted parts of the request keep the saved values; nothing is persisted.
+        /// </summary>
+        [HttpPost("settings/media-properties/simulate")]
+        public async Task<ActionResult<RatingSimulationResult>> SimulateMediaPropertySettings([FromBody] MediaPropertySettingsRequest request)
+        {
+            try
+            {
+                if (request.Thresholds != null && request.Thresholds.Optimal < request.Thresholds.Good)
+                {
+                    return BadRequest(new { error = "Optimal threshold must be greater than or equal to Good threshold" });
+                }
+
+                var result = await _ratingSimulationService.SimulateAsync(request.Properties, request.Weights, request.Thresholds, cancellationToken: HttpContext.RequestAborted);
+                return Ok(result);
+            }
+            catch (OperationCanceledException)
+            {
+                _logger.LogInformation("Rating simulation cancelled by client");
+                return StatusCode(499, new { error = "Request was cancelled" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error simulating media property settings");
+                return StatusCode(500, new { error = $"Failed to simulate media property settings: {ex.Message}" });
+            }
+        }
+
+        /// <summary>
+        /// Translates a Jellyfin DeviceProfile (XML or JSON) into media property settings and lists what would
+        /// change in the global settings or in a device profile. Nothing is saved; the client applies the result
+        /// through the regular settings or profile endpoints.
+        /// </summary>
+        [HttpPost("settings/media-properties/import-jellyfin/preview")]
+        public async Task<ActionResult<JellyfinProfileImportPreview>> PreviewJellyfinProfileImport([FromBody] JellyfinProfileImportRequest request)
+        {
+            try
+            {
+                MediaPropertySettings current;
+                if (request.ProfileId.HasValue)
+                {
+                    var profile = await _dbContext.DeviceProfiles.AsNoTracking().FirstOrDefaultAsync(p => p.Id == request.ProfileId.Value);
+                    if (profile == null)
+                    {
+                        return NotFound(new { error = "Device profile not found" });
+                    }
+                    current = DeviceProfileRatingService.ReadProperties(profile);
+                }
+                else
+                {
+                    current = new MediaPropertyRatingService(_configuration, _logger).LoadMediaPropertySettings();
+                }
+
+                return Ok(new JellyfinProfileImporter().Import(request.Content, current));
+            }
+            catch (FormatException ex)
+            {
+                return BadRequest(new { error = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error importing Jellyfin device profile");
+                return StatusCode(500, new { error = $"Failed to import Jellyfin device profile: {ex.Message}" });
+            }
+        }
+
+        /// <summary>
+        /// Exports media properties, rating weights and thresholds, Jellyfin/Sonarr/Radarr connections and path
+        /// mappings as one versioned bundle. API keys and passwords are left out unless includeSecrets is set.
+        /// </summary>
+        [HttpGet("settings/backup")]
+        public async Task<ActionResult<SettingsBackup>> ExportSettingsBackup([FromQuery] bool includeSecrets = false)
+        {
+            try
+            {
+                return Ok(await _settingsBackupService.ExportAsync(includeSecrets));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error exporting settings backup");
+                return StatusCode(500, new { error = $"Failed to export settings: {ex.Message}" });
+            }
+        }
+
+        [HttpPost("settings/backup/validate")]
+        public ActionResult<SettingsBackupValidation> ValidateSettingsBackup([FromBody] SettingsBackup bundle)
+        {
+            return Ok(_settingsBackupService.Validate(bundle));
+        }
+
+        /// <summary>
+        /// Restores the sections chosen in Modes ("merge", "replace" or "skip"). Restoring rating settings
+        /// recalculates compatibility for all videos, as saving them does.
+        /// </summary>
+        [HttpPost("settings/backup/restore")]
+        [Audited("Settings", "Restore settings backup")]
+        public async Task<ActionResult<SettingsRestoreResult>> RestoreSettingsBackup([FromBody] SettingsRestoreRequest request)
+        {
+            try
+            {
+                var result = await _settingsBackupService.RestoreAsync(request.Bundle, request.Modes);
+
+                if (result.RatingSettingsChanged)
+                {
+                    _ = Task.Run(async () =>
+                    {
+                        try
+                        {
+                            using var scope = _scopeFactory.CreateScope();
+                            var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+                            var videoAnalyzer = scope.ServiceProvider.GetRequiredService<VideoAnalyzerService>();
+                            var logger = scope.ServiceProvider.GetRequiredService<ILogger<LibraryController>>();
+                            var configuration = scope.ServiceProvider.GetRequiredService<IConfiguration>();
+
+                            await RecalculateCompatibilityForAllVideosAsync(dbContext, videoAnalyzer, logger, configuration);
+                            await MarkDeviceProfileRatingsStaleAsync(dbContext);
+                        }
+                        catch (Exception ex)
+                        {
+                            _logger.LogError(ex, "Error recalculating compatibility after settings restore");
+                        }
+                    });
+                }
+
+                return Ok(result);
+            }
+            catch (InvalidOperationException ex)
+            {
+                return BadRequest(new { error = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error restoring settings backup");
+                return StatusCode(500, new { error = $"Failed to restore settings: {ex.Message}" });
+            }
+        }
+
         public class MediaPropertySettingsRequest
         {
             public MediaPropertySettings? Properties { get; set; }
@@ -2339,6 +2297,18 @@ namespace Optimarr.Controllers
             public RatingThresholds? Thresholds { get; set; }
         }
 
+        public class SettingsRestoreRequest
+        {
+            public SettingsBackup Bundle { get; set; } = new();
+            public Dictionary<string, string> Modes { get; set; } = new(); // Section key → "merge", "replace" or "skip"
+        }
+
+        public class JellyfinProfileImportRequest
+        {
+            public string Content { get; set; } = string.Empty; // DeviceProfile XML or JSON
+            public int? ProfileId { get; set; } // Compare against a device profile instead of the global settings
+        }
+
         private List<string> FindAllExternalSubtitles(string videoPath)
         {
             var foundSubtitles = new List<string>();
@@ -2525,6 +2495,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("videos/{id}/rescan")]
+        [Audited("Videos", "Rescan video")]
         public async Task<ActionResult<VideoAnalysis>> RescanVideo(int id)
         {
             try
@@ -2733,6 +2704,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("webhook/tdarr")]
+        [Audited("Webhooks", "Tdarr webhook")]
         public async Task<ActionResult> TdarrWebhook([FromBody] TdarrWebhookRequest request)
         {
             try
@@ -2846,7 +2818,7 @@ namespace Optimarr.Controllers
                         videoToRescan.DirectPlayClients = compatibilityResult.ClientResults.Values.Count(r => r.Status == "Direct Play");
                         videoToRescan.RemuxClients = compatibilityResult.ClientResults.Values.Count(r => r.Status == "Remux");
                         videoToRescan.TranscodeClients = compatibilityResult.ClientResults.Values.Count(r => r.Status == "Transcode");
-                        videoToRescan.OverallScore = ParseScore(compatibilityResult.OverallScore);
+                        videoToRescan.OverallScore = MediaPropertyRatingService.ParseScore(compatibilityResult.OverallScore);
                         videoToRescan.Issues = System.Text.Json.JsonSerializer.Serialize(compatibilityResult.Issues);
                         videoToRescan.Recommendations = System.Text.Json.JsonSerializer.Serialize(compatibilityResult.Recommendations);
                         videoToRescan.ClientResults = System.Text.Json.JsonSerializer.Serialize(compatibilityResult.ClientResults);
@@ -2879,6 +2851,64 @@ namespace Optimarr.Controllers
             }
         }
 
+        /// <summary>
+        /// Sonarr Connect webhook (Settings → Connect → Webhook, On Import/Upgrade/Rename/Delete).
+        /// Handled in the background so Sonarr isn't kept waiting on the analysis.
+        /// </summary>
+        [HttpPost("webhook/sonarr")]
+        [Audited("Webhooks", "Sonarr webhook")]
+        public ActionResult SonarrWebhook([FromBody] SonarrWebhookPayload payload)
+        {
+            return AcceptServarrWebhook("Sonarr", payload?.EventType, service => service.HandleSonarrAsync(payload!));
+        }
+
+        /// <summary>
+        /// Radarr Connect webhook (Settings → Connect → Webhook, On Import/Upgrade/Rename/Delete)
+        /// </summary>
+        [HttpPost("webhook/radarr")]
+        [Audited("Webhooks", "Radarr webhook")]
+        public ActionResult RadarrWebhook([FromBody] RadarrWebhookPayload payload)
+        {
+            return AcceptServarrWebhook("Radarr", payload?.EventType, service => service.HandleRadarrAsync(payload!));
+        }
+
+        private ActionResult AcceptServarrWebhook(string servarrType, string? eventType, Func<ServarrWebhookService, Task<ServarrWebhookResult>> handle)
+        {
+            if (string.IsNullOrEmpty(eventType))
+            {
+                return BadRequest(new { error = "Invalid request: eventType is required" });
+            }
+
+            _logger.LogInformation("Received {ServarrType} webhook: {EventType}", servarrType, eventType);
+
+            if (eventType == "Test")
+            {
+                return Ok(new { message = $"{servarrType} webhook received" });
+            }
+
+            _ = Task.Run(async () =>
+            {
+                try
+                {
+                    using var scope = _scopeFactory.CreateScope();
+                    var webhookService = scope.ServiceProvider.GetRequiredService<ServarrWebhookService>();
+                    var result = await handle(webhookService);
+
+                    foreach (var file in result.Files)
+                    {
+                        _logger.LogInformation("{ServarrType} {EventType} webhook: {Action} {FilePath} {Message}",
+                            servarrType, eventType, file.Action, file.FilePath, file.Message ?? string.Empty);
+                    }
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error processing {ServarrType} {EventType} webhook", servarrType, eventType);
+                }
+            });
+
+            return Ok(new { message = $"{servarrType} {eventType} notification received. Processing in the background." });
+        }
+
         // Helper method to normalize file paths for comparison
         private string NormalizePath(string path)
         {
@@ -2892,29 +2922,8 @@ namespace Optimarr.Controllers
                 .ToLowerInvariant();
         }
 
-        // Helper method to extract and normalize title from filename (without extension)
-        private string NormalizeTitle(string fileName)
-        {
-            if (string.IsNullOrEmpty(fileName))
-                return string.Empty;
-
-            try
-            {
-                // Get filename without extension
-                var title = System.IO.Path.GetFileNameWithoutExtension(fileName);
-                if (string.IsNullOrEmpty(title))
-                    return string.Empty;
-
-                // Normalize: lowercase, trim whitespace
-                return title.Trim().ToLowerInvariant();
-            }
-            catch
-            {
-                return fileName.ToLowerInvariant();
-            }
-        }
-
         [HttpPost("videos/rescan")]
+        [Audited("Videos", "Rescan videos")]
         public async Task<ActionResult> RescanVideos([FromBody] RedownloadRequest request)
         {
             if (request.VideoIds == null || request.VideoIds.Count == 0)
@@ -3104,6 +3113,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("videos/rescan-broken")]
+        [Audited("Videos", "Rescan broken videos")]
         public async Task<ActionResult<object>> RescanAllBrokenVideos()
         {
             try
@@ -3312,6 +3322,128 @@ namespace Optimarr.Controllers
             }
         }
 
+        /// <summary>
+        /// ffmpeg commands for the video's recommendations (remux, fast start, retag, audio/subtitle conversion, transcode)
+        /// </summary>
+        [HttpGet("videos/{id}/ffmpeg-plan")]
+        public async Task<ActionResult<FfmpegPlan>> GetFfmpegPlan(int id)
+        {
+            try
+            {
+                var video = await _dbContext.VideoAnalyses.FirstOrDefaultAsync(v => v.Id == id);
+                if (video == null)
+                {
+                    return NotFound(new { error = $"Video with ID {id} not found" });
+                }
+
+                return Ok(_ffmpegPlannerService.BuildPlan(video));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error building ffmpeg plan for video ID {Id}", id);
+                return StatusCode(500, new { error = $"Failed to build ffmpeg plan: {ex.Message}" });
+            }
+        }
+
+        /// <summary>
+        /// The current analysis (id 0) and every analysis a rescan replaced, newest first
+        /// </summary>
+        [HttpGet("videos/{id}/history")]
+        public async Task<ActionResult<List<VideoAnalysisVersion>>> GetVideoAnalysisHistory(int id)
+        {
+            try
+            {
+                var versions = await _videoAnalysisHistoryService.GetVersionsAsync(id);
+                if (versions == null)
+                {
+                    return NotFound(new { error = $"Video with ID {id} not found" });
+                }
+
+                return Ok(versions);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error loading analysis history for video ID {Id}", id);
+                return StatusCode(500, new { error = $"Failed to load analysis history: {ex.Message}" });
+            }
+        }
+
+        /// <summary>
+        /// Field, track and issue differences between two analyses of a video. Use 0 for the current analysis.
+        /// </summary>
+        [HttpGet("videos/{id}/history/diff")]
+        public async Task<ActionResult<VideoAnalysisDiff>> GetVideoAnalysisDiff(int id, [FromQuery] int from, [FromQuery] int to = VideoAnalysisHistoryService.CurrentVersionId)
+        {
+            try
+            {
+                var diff = await _videoAnalysisHistoryService.GetDiffAsync(id, from, to);
+                if (diff == null)
+                {
+                    return NotFound(new { error = $"Analysis {from} or {to} not found for video ID {id}" });
+                }
+
+                return Ok(diff);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error comparing analyses for video ID {Id}", id);
+                return StatusCode(500, new { error = $"Failed to compare analyses: {ex.Message}" });
+            }
+        }
+
+        /// <summary>
+        /// Movies and episodes with more than one copy, grouped by Radarr/Sonarr ID or by parsed title,
+        /// with a suggested copy to keep. matchType: Radarr, Sonarr or Title (default all).
+        /// </summary>
+        [HttpGet("videos/duplicates")]
+        public async Task<ActionResult<DuplicateReport>> GetDuplicates([FromQuery] string? matchType = null)
+        {
+            try
+            {
+                var validTypes = new[] { "Radarr", "Sonarr", "Title" };
+                if (!string.IsNullOrEmpty(matchType) && !validTypes.Contains(matchType, StringComparer.OrdinalIgnoreCase))
+                {
+                    return BadRequest(new { error = $"Invalid match type '{matchType}'. Use Radarr, Sonarr or Title." });
+                }
+
+                return Ok(await _duplicateDetectionService.FindDuplicatesAsync(matchType));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error finding duplicate videos");
+                return StatusCode(500, new { error = $"Failed to find duplicates: {ex.Message}" });
+            }
+        }
+
+        /// <summary>
+        /// Shell script with the combined ffmpeg command of each selected video, in the given order
+        /// </summary>
+        [HttpPost("videos/ffmpeg-script")]
+        public async Task<IActionResult> GetFfmpegScript([FromBody] RedownloadRequest request)
+        {
+            if (request.VideoIds == null || request.VideoIds.Count == 0)
+            {
+                return BadRequest(new { error = "No video IDs provided" });
+            }
+
+            try
+            {
+                var videos = await _dbContext.VideoAnalyses
+                    .Where(v => request.VideoIds.Contains(v.Id))
+                    .ToListAsync();
+                var order = request.VideoIds.Distinct().Select((id, index) => (id, index)).ToDictionary(x => x.id, x => x.index);
+
+                var script = _ffmpegPlannerService.BuildScript(videos.OrderBy(v => order[v.Id]));
+                var fileName = $"optimarr-ffmpeg-{DateTime.Now:yyyyMMdd-HHmm}.sh";
+                return File(System.Text.Encoding.UTF8.GetBytes(script), "text/x-shellscript; charset=utf-8", fileName);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error generating ffmpeg script for {Count} videos", request.VideoIds.Count);
+                return StatusCode(500, new { error = $"Failed to generate ffmpeg script: {ex.Message}" });
+            }
+        }
+
         [HttpGet("videos/{id}")]
         public async Task<ActionResult<VideoAnalysis>> GetVideo(int id)
         {
@@ -3368,7 +3500,8 @@ namespace Optimarr.Controllers
             bool fileExists, 
             SonarrService sonarrService, 
             VideoAnalysis video, 
-            RedownloadResult result)
+            RedownloadResult result,
+            List<RedownloadCase> openedCases)
         {
             try
             {
@@ -3393,13 +3526,14 @@ namespace Optimarr.Controllers
                 }
 
                 // Trigger search
-                var searchTriggered = await sonarrService.TriggerEpisodeSearch(episode.Id);
-                if (searchTriggered)
+                var command = await sonarrService.TriggerEpisodeSearch(episode.Id);
+                if (command != null)
                 {
-                    // Mark video as Processing instead of removing it
+                    // Mark video as Processing instead of removing it; RedownloadService follows the case
                     video.ProcessingStatus = ProcessingStatus.Processing;
                     video.ProcessingStartedAt = DateTime.UtcNow;
-                    _logger.LogInformation("Marked video {VideoId} as Processing (will be rescanned after 24h)", video.Id);
+                    lock (openedCases) { openedCases.Add(RedownloadCase.Open(video, "Sonarr", episode.Id, episode.EpisodeFileId, command)); }
+                    _logger.LogInformation("Marked video {VideoId} as Processing (redownload case opened)", video.Id);
                     
                     result.Success = true;
                     result.Message = "Redownload triggered in Sonarr";
@@ -3426,7 +3560,8 @@ namespace Optimarr.Controllers
             bool fileExists, 
             RadarrService radarrService, 
             VideoAnalysis video, 
-            RedownloadResult result)
+            RedownloadResult result,
+            List<RedownloadCase> openedCases)
         {
             try
             {
@@ -3451,13 +3586,14 @@ namespace Optimarr.Controllers
                 }
 
                 // Trigger search
-                var searchTriggered = await radarrService.TriggerMovieSearch(movie.Id);
-                if (searchTriggered)
+                var command = await radarrService.TriggerMovieSearch(movie.Id);
+                if (command != null)
                 {
-                    // Mark video as Processing instead of removing it
+                    // Mark video as Processing instead of removing it; RedownloadService follows the case
                     video.ProcessingStatus = ProcessingStatus.Processing;
                     video.ProcessingStartedAt = DateTime.UtcNow;
-                    _logger.LogInformation("Marked video {VideoId} as Processing (will be rescanned after 24h)", video.Id);
+                    lock (openedCases) { openedCases.Add(RedownloadCase.Open(video, "Radarr", movie.Id, movie.MovieFile?.Id, command)); }
+                    _logger.LogInformation("Marked video {VideoId} as Processing (redownload case opened)", video.Id);
                     
                     result.Success = true;
                     result.Message = "Redownload triggered in Radarr";
@@ -3479,6 +3615,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("videos/redownload")]
+        [Audited("Videos", "Trigger redownload")]
         public async Task<ActionResult> RedownloadVideos([FromBody] RedownloadRequest request)
         {
             if (request.VideoIds == null || request.VideoIds.Count == 0)
@@ -3489,6 +3626,7 @@ namespace Optimarr.Controllers
             _logger.LogInformation("Redownload requested for {Count} videos", request.VideoIds.Count);
 
             var results = new List<RedownloadResult>();
+            var openedCases = new List<RedownloadCase>();
             var sonarrService = HttpContext.RequestServices.GetService<SonarrService>();
             var radarrService = HttpContext.RequestServices.GetService<RadarrService>();
 
@@ -3537,7 +3675,7 @@ namespace Optimarr.Controllers
                                     _logger.LogInformation("Using stored Sonarr match: EpisodeId={EpisodeId}, FilePath={FilePath}", 
                                         episode.Id, filePath);
                                     
-                                    processed = await ProcessSonarrRedownload(episode, filePath, fileExists, sonarrService, video, result);
+                                    processed = await ProcessSonarrRedownload(episode, filePath, fileExists, sonarrService, video, result, openedCases);
                                     if (processed)
                                     {
                                         lock (results) { results.Add(result); }
@@ -3557,7 +3695,7 @@ namespace Optimarr.Controllers
                                     _logger.LogInformation("Using stored Radarr match: MovieId={MovieId}, FilePath={FilePath}", 
                                         movie.Id, filePath);
                                     
-                                    processed = await ProcessRadarrRedownload(movie, filePath, fileExists, radarrService, video, result);
+                                    processed = await ProcessRadarrRedownload(movie, filePath, fileExists, radarrService, video, result, openedCases);
                                     if (processed)
                                     {
                                         lock (results) { results.Add(result); }
@@ -3576,7 +3714,7 @@ namespace Optimarr.Controllers
                                 _logger.LogInformation("Found Sonarr match by path search: EpisodeId={EpisodeId}, FilePath={FilePath}", 
                                     episode.Id, filePath);
                                 
-                                processed = await ProcessSonarrRedownload(episode, filePath, fileExists, sonarrService, video, result);
+                                processed = await ProcessSonarrRedownload(episode, filePath, fileExists, sonarrService, video, result, openedCases);
                                 if (processed)
                                 {
                                     lock (results) { results.Add(result); }
@@ -3593,7 +3731,7 @@ namespace Optimarr.Controllers
                                 _logger.LogInformation("Found Radarr match by path search: MovieId={MovieId}, FilePath={FilePath}", 
                                     movie.Id, filePath);
                                 
-                                processed = await ProcessRadarrRedownload(movie, filePath, fileExists, radarrService, video, result);
+                                processed = await ProcessRadarrRedownload(movie, filePath, fileExists, radarrService, video, result, openedCases);
                                 if (processed)
                                 {
                                     lock (results) { results.Add(result); }
@@ -3623,8 +3761,36 @@ namespace Optimarr.Controllers
             });
 
             await Task.WhenAll(tasks);
+
+            if (openedCases.Count > 0)
+            {
+                // A new redownload of the same video replaces its open case
+                var caseVideoIds = openedCases.Select(c => c.VideoAnalysisId).ToList();
+                var replacedCases = await _dbContext.RedownloadCases
+                    .Where(c => caseVideoIds.Contains(c.VideoAnalysisId) &&
+                                (c.Status == RedownloadCaseStatus.Searching || c.Status == RedownloadCaseStatus.Downloading))
+                    .ToListAsync();
+                foreach (var replaced in replacedCases)
+                {
+                    replaced.Status = RedownloadCaseStatus.Cancelled;
+                    replaced.QueueStatus = null;
+                    replaced.CompletedAt = DateTime.UtcNow;
+                    replaced.Message = "Replaced by a new redownload";
+                }
+
+                _dbContext.RedownloadCases.AddRange(openedCases);
+            }
             await _dbContext.SaveChangesAsync();
 
+            if (openedCases.Count > 0)
+            {
+                foreach (var result in results)
+                {
+                    result.CaseId = openedCases.FirstOrDefault(c => c.VideoAnalysisId == result.VideoId)?.Id;
+                }
+                HttpContext.RequestServices.GetRequiredService<RedownloadService>().RequestCheck();
+            }
+
             var successCount = results.Count(r => r.Success);
             return Ok(new
             {
@@ -3661,6 +3827,7 @@ namespace Optimarr.Controllers
         public bool Success { get; set; }
         public string Message { get; set; } = string.Empty;
         public string? Service { get; set; }
+        public int? CaseId { get; set; } // Redownload case that follows the new download
     }
 
     public class RescanResult
@@ -3699,6 +3866,47 @@ namespace Optimarr.Controllers
         public DateTime? LatestScanCompletedAt { get; set; }
         public int LatestScanProcessedFiles { get; set; }
         public int LatestScanFailedFiles { get; set; }
+        public ScanScheduleInfo? ScanSchedule { get; set; }
+        public bool WatchEnabled { get; set; }
+        public bool IsWatching { get; set; } // False when watch mode is on but the watcher couldn't start
+    }
+
+    public class WatchModeRequest
+    {
+        public bool Enabled { get; set; }
+    }
+
+    public class ScanScheduleInfo
+    {
+        public int LibraryPathId { get; set; }
+        public bool Exists { get; set; }
+        public bool IsEnabled { get; set; }
+        public string? CronExpression { get; set; }
+        public DateTime? NextRunAt { get; set; }
+        public DateTime? LastRunAt { get; set; }
+        public int? LastScanId { get; set; }
+    }
+
+    public class ScanScheduleRequest
+    {
+        public string CronExpression { get; set; } = string.Empty;
+        public bool IsEnabled { get; set; } = true;
+    }
+
+    public class ScheduledScanRunInfo
+    {
+        public int Id { get; set; }
+        public DateTime ScheduledFor { get; set; }
+        public DateTime StartedAt { get; set; }
+        public string Status { get; set; } = string.Empty;
+        public string? Message { get; set; }
+        public int? LibraryScanId { get; set; }
+        public string? ScanStatus { get; set; }
+        public DateTime? ScanCompletedAt { get; set; }
+        public int? TotalFiles { get; set; }
+        public int? FailedFiles { get; set; }
+        public int? AnalyzedFiles { get; set; }
+        public int? UnchangedFiles { get; set; }
     }
 
     public class DashboardStats
@@ -3733,18 +3941,6 @@ namespace Optimarr.Controllers
         public int Count { get; set; }
     }
 
-    public class IssueSummary
-    {
-        public int Id { get; set; }
-        public string FileName { get; set; } = string.Empty;
-        public string FilePath { get; set; } = string.Empty;
-        public string VideoCodec { get; set; } = string.Empty;
-        public string Container { get; set; } = string.Empty;
-        public string OverallScore { get; set; } = string.Empty;
-        public int CompatibilityRating { get; set; }
-        public bool IsHDR { get; set; }
-    }
-
     public class PagedResult<T>
     {
         public List<T> Items { get; set; } = new();
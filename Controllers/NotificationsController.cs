@@ -0,0 +1,269 @@
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using Optimarr.Data;
+using Optimarr.Models;
+using Optimarr.Services;
+
+namespace Optimarr.Controllers
+{
+    [ApiController]
+    [Route("api/[controller]")]
+    public class NotificationsController : ControllerBase
+    {
+        private readonly AppDbContext _dbContext;
+        private readonly NotificationService _notificationService;
+        private readonly ILogger<NotificationsController> _logger;
+
+        public NotificationsController(AppDbContext dbContext, NotificationService notificationService, ILogger<NotificationsController> logger)
+        {
+            _dbContext = dbContext;
+            _notificationService = notificationService;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Lists notification targets. SMTP passwords are never returned, only whether one is set.
+        /// </summary>
+        [HttpGet]
+        public async Task<ActionResult<List<NotificationTargetResponse>>> GetTargets()
+        {
+            try
+            {
+                var targets = await _dbContext.NotificationTargets
+                    .AsNoTracking()
+                    .OrderBy(t => t.Name)
+                    .ToListAsync();
+
+                return Ok(targets.Select(ToResponse).ToList());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error loading notification targets");
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
+        [HttpPost]
+        [Audited("Notifications", "Create notification")]
+        public async Task<ActionResult<NotificationTargetResponse>> CreateTarget([FromBody] NotificationTargetRequest request)
+        {
+            try
+            {
+                var error = Validate(request);
+                if (error != null)
+                {
+                    return BadRequest(new { error });
+                }
+
+                var target = new NotificationTarget();
+                Apply(request, target);
+                _dbContext.NotificationTargets.Add(target);
+                await _dbContext.SaveChangesAsync();
+
+                _logger.LogInformation("Added {Type} notification target {Name}", target.Type, target.Name);
+                return Ok(ToResponse(target));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error creating notification target");
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
+        /// <summary>
+        /// Updates a target. An empty SMTP password keeps the stored one.
+        /// </summary>
+        [HttpPut("{id}")]
+        [Audited("Notifications", "Update notification")]
+        public async Task<ActionResult<NotificationTargetResponse>> UpdateTarget(int id, [FromBody] NotificationTargetRequest request)
+        {
+            try
+            {
+                var target = await _dbContext.NotificationTargets.FirstOrDefaultAsync(t => t.Id == id);
+                if (target == null)
+                {
+                    return NotFound(new { error = "Notification target not found" });
+                }
+
+                var error = Validate(request);
+                if (error != null)
+                {
+                    return BadRequest(new { error });
+                }
+
+                Apply(request, target);
+                target.UpdatedAt = DateTime.UtcNow;
+                await _dbContext.SaveChangesAsync();
+
+                return Ok(ToResponse(target));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error updating notification target {TargetId}", id);
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
+        [HttpDelete("{id}")]
+        [Audited("Notifications", "Delete notification")]
+        public async Task<ActionResult> DeleteTarget(int id)
+        {
+            try
+            {
+                var target = await _dbContext.NotificationTargets.FirstOrDefaultAsync(t => t.Id == id);
+                if (target == null)
+                {
+                    return NotFound(new { error = "Notification target not found" });
+                }
+
+                _dbContext.NotificationTargets.Remove(target);
+                await _dbContext.SaveChangesAsync();
+
+                return Ok(new { message = "Notification target deleted" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error deleting notification target {TargetId}", id);
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
+        /// <summary>
+        /// Sends a test notification using the settings as entered, so a target can be checked before it is saved.
+        /// With an id and no password, the stored SMTP password is used.
+        /// </summary>
+        [HttpPost("test")]
+        public async Task<ActionResult> SendTest([FromBody] NotificationTargetRequest request)
+        {
+            var error = Validate(request);
+            if (error != null)
+            {
+                return BadRequest(new { error });
+            }
+
+            var target = new NotificationTarget();
+            if (request.Id.HasValue)
+            {
+                var stored = await _dbContext.NotificationTargets.AsNoTracking().FirstOrDefaultAsync(t => t.Id == request.Id.Value);
+                target.SmtpPassword = stored?.SmtpPassword;
+            }
+            Apply(request, target);
+
+            try
+            {
+                await _notificationService.SendTestAsync(target, HttpContext.RequestAborted);
+                return Ok(new { message = $"Test notification sent to {target.Name}" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Test notification to {Name} failed", target.Name);
+                return BadRequest(new { error = $"Test notification failed: {ex.Message}" });
+            }
+        }
+
+        private static string? Validate(NotificationTargetRequest request)
+        {
+            if (string.IsNullOrWhiteSpace(request.Name))
+            {
+                return "Name is required";
+            }
+
+            if (request.Type == NotificationTargetType.Email)
+            {
+                if (string.IsNullOrWhiteSpace(request.SmtpHost) || string.IsNullOrWhiteSpace(request.EmailFrom) || string.IsNullOrWhiteSpace(request.EmailTo))
+                {
+                    return "SMTP host, sender and recipient are required for email";
+                }
+                return null;
+            }
+
+            if (!Uri.TryCreate(request.Url, UriKind.Absolute, out var uri) || (uri.Scheme != Uri.UriSchemeHttp && uri.Scheme != Uri.UriSchemeHttps))
+            {
+                return "A valid http(s) webhook URL is required";
+            }
+
+            return null;
+        }
+
+        private static void Apply(NotificationTargetRequest request, NotificationTarget target)
+        {
+            target.Name = request.Name.Trim();
+            target.Type = request.Type;
+            target.Enabled = request.Enabled;
+            target.Url = request.Type == NotificationTargetType.Email ? null : request.Url?.Trim();
+            target.Events = string.Join(",", request.Events.Distinct());
+            target.RatingThreshold = Math.Clamp(request.RatingThreshold, 0, 100);
+            target.SmtpHost = request.SmtpHost?.Trim();
+            target.SmtpPort = request.SmtpPort > 0 ? request.SmtpPort : 587;
+            target.SmtpUseSsl = request.SmtpUseSsl;
+            target.SmtpUsername = request.SmtpUsername?.Trim();
+            if (!string.IsNullOrEmpty(request.SmtpPassword))
+            {
+                target.SmtpPassword = request.SmtpPassword;
+            }
+            target.EmailFrom = request.EmailFrom?.Trim();
+            target.EmailTo = request.EmailTo?.Trim();
+        }
+
+        private static NotificationTargetResponse ToResponse(NotificationTarget target)
+        {
+            return new NotificationTargetResponse
+            {
+                Id = target.Id,
+                Name = target.Name,
+                Type = target.Type,
+                Enabled = target.Enabled,
+                Url = target.Url,
+                Events = NotificationService.ParseEvents(target.Events),
+                RatingThreshold = target.RatingThreshold,
+                SmtpHost = target.SmtpHost,
+                SmtpPort = target.SmtpPort,
+                SmtpUseSsl = target.SmtpUseSsl,
+                SmtpUsername = target.SmtpUsername,
+                HasSmtpPassword = !string.IsNullOrEmpty(target.SmtpPassword),
+                EmailFrom = target.EmailFrom,
+                EmailTo = target.EmailTo,
+                LastSentAt = target.LastSentAt,
+                LastError = target.LastError
+            };
+        }
+    }
+
+    public class NotificationTargetRequest
+    {
+        public int? Id { get; set; } // Test only: stored target whose SMTP password to reuse
+        public string Name { get; set; } = string.Empty;
+        public NotificationTargetType Type { get; set; }
+        public bool Enabled { get; set; } = true;
+        public string? Url { get; set; }
+        public List<NotificationEvent> Events { get; set; } = new();
+        public int RatingThreshold { get; set; } = 60;
+        public string? SmtpHost { get; set; }
+        public int SmtpPort { get; set; } = 587;
+        public bool SmtpUseSsl { get; set; } = true;
+        public string? SmtpUsername { get; set; }
+        public string? SmtpPassword { get; set; }
+        public string? EmailFrom { get; set; }
+        public string? EmailTo { get; set; }
+    }
+
+    public class NotificationTargetResponse
+    {
+        public int Id { get; set; }
+        public string Name { get; set; } = string.Empty;
+        public NotificationTargetType Type { get; set; }
+        public bool Enabled { get; set; }
+        public string? Url { get; set; }
+        public List<NotificationEvent> Events { get; set; } = new();
+        public int RatingThreshold { get; set; }
+        public string? SmtpHost { get; set; }
+        public int SmtpPort { get; set; }
+        public bool SmtpUseSsl { get; set; }
+        public string? SmtpUsername { get; set; }
+        public bool HasSmtpPassword { get; set; }
+        public string? EmailFrom { get; set; }
+        public string? EmailTo { get; set; }
+        public DateTime? LastSentAt { get; set; }
+        public string? LastError { get; set; }
+    }
+}
@@ -19,6 +19,10 @@ namespace Optimarr.Controllers
         private readonly ILogger<PlaybackController> _logger;
         private readonly IConfiguration _configuration;
         private readonly IWebHostEnvironment _environment;
+        private readonly ClientMatrixService _clientMatrixService;
+        private readonly PlaybackSyncProgressService _syncProgressService;
+        private readonly NotificationService _notificationService;
+        private readonly PlaybackTrendService _playbackTrendService;
 
         public PlaybackController(
             AppDbContext dbContext,
@@ -26,7 +30,11 @@ namespace Optimarr.Controllers
             VideoAnalyzerService videoAnalyzer,
             ILogger<PlaybackController> logger,
             IConfiguration configuration,
-            IWebHostEnvironment environment)
+            IWebHostEnvironment environment,
+            ClientMatrixService clientMatrixService,
+            PlaybackSyncProgressService syncProgressService,
+            NotificationService notificationService,
+            PlaybackTrendService playbackTrendService)
         {
             _dbContext = dbContext;
             _jellyfinService = jellyfinService;
@@ -34,64 +42,10 @@ namespace Optimarr.Controllers
             _logger = logger;
             _configuration = configuration;
             _environment = environment;
-        }
-
-        // Reconstruct VideoInfo from VideoAnalysis database record
-        private VideoInfo ReconstructVideoInfo(VideoAnalysis video)
-        {
-            var videoInfo = new VideoInfo
-            {
-                FilePath = video.FilePath,
-                Container = video.Container,
-                VideoCodec = video.VideoCodec,
-                VideoCodecTag = video.VideoCodecTag,
-                IsCodecTagCorrect = video.IsCodecTagCorrect,
-                BitDepth = video.BitDepth,
-                Width = video.Width,
-                Height = video.Height,
-                FrameRate = video.FrameRate,
-                IsHDR = video.IsHDR,
-                HDRType = video.HDRType,
-                IsFastStart = video.IsFastStart,
-                FileSize = video.FileSize,
-                Duration = video.Duration
-            };
-
-            // Reconstruct audio tracks from JSON
-            if (!string.IsNullOrEmpty(video.AudioTracksJson))
-            {
-                try
-                {
-                    videoInfo.AudioTracks = System.Text.Json.JsonSerializer.Deserialize<List<AudioTrack>>(
-                        video.AudioTracksJson,
-                        new System.Text.Json.JsonSerializerOptions { PropertyNameCaseInsensitive = true }
-                    ) ?? new List<AudioTrack>();
-                }
-                catch (Exception ex)
-                {
-                    _logger.LogWarning(ex, "Failed to deserialize audio tracks for video ID {Id}", video.Id);
-                    videoInfo.AudioTracks = new List<AudioTrack>();
-                }
-            }
-
-            // Reconstruct subtitle tracks from JSON
-            if (!string.IsNullOrEmpty(video.SubtitleTracksJson))
-            {
-                try
-                {
-                    videoInfo.SubtitleTracks = System.Text.Json.JsonSerializer.Deserialize<List<SubtitleTrack>>(
-                        video.SubtitleTracksJson,
-                        new System.Text.Json.JsonSerializerOptions { PropertyNameCaseInsensitive = true }
-                    ) ?? new List<SubtitleTrack>();
-                }
-                catch (Exception ex)
-                {
-                    _logger.LogWarning(ex, "Failed to deserialize subtitle tracks for video ID {Id}", video.Id);
-                    videoInfo.SubtitleTracks = new List<SubtitleTrack>();
-                }
-            }
-
-            return videoInfo;
+            _clientMatrixService = clientMatrixService;
+            _syncProgressService = syncProgressService;
+            _notificationService = notificationService;
+            _playbackTrendService = playbackTrendService;
         }
 
         // Recalculate compatibility for all videos in the database
@@ -122,14 +76,14 @@ namespace Optimarr.Controllers
                         try
                         {
                             // Reconstruct VideoInfo from database record
-                            var videoInfo = ReconstructVideoInfo(video);
+                            var videoInfo = MediaPropertyRatingService.ReconstructVideoInfo(video, _logger);
 
                             // Recalculate compatibility using current settings
                             var compatibilityResult = _videoAnalyzer.RecalculateCompatibility(videoInfo);
 
                             // Update video record with new compatibility data
                             video.CompatibilityRating = compatibilityResult.CompatibilityRating;
-                            video.OverallScore = ParseScore(compatibilityResult.OverallScore);
+                            video.OverallScore = MediaPropertyRatingService.ParseScore(compatibilityResult.OverallScore);
                             video.Issues = System.Text.Json.JsonSerializer.Serialize(compatibilityResult.Issues);
                             video.Recommendations = System.Text.Json.JsonSerializer.Serialize(compatibilityResult.Recommendations);
                             // Clear old client-based fields (deprecated)
@@ -167,18 +121,6 @@ namespace Optimarr.Controllers
             }
         }
 
-        // Helper to parse CompatibilityScore enum from string
-        private CompatibilityScore ParseScore(string score)
-        {
-            return score switch
-            {
-                "Optimal" => CompatibilityScore.Optimal,
-                "Good" => CompatibilityScore.Good,
-                "Poor" => CompatibilityScore.Poor,
-                _ => CompatibilityScore.Unknown
-            };
-        }
-
         [HttpGet("status")]
         public ActionResult<object> GetStatus()
         {
@@ -203,6 +145,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("settings")]
+        [Audited("Settings", "Change playback settings")]
         public async Task<ActionResult> SaveJellyfinSettings([FromBody] JellyfinSettingsRequest request)
         {
             try
@@ -371,6 +314,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("sync")]
+        [Audited("Integrations", "Sync playback history")]
         public async Task<ActionResult<object>> SyncPlaybackHistory([FromQuery] int? days = null)
         {
             if (!_jellyfinService.IsEnabled || !_jellyfinService.IsConnected)
@@ -378,6 +322,8 @@ namespace Optimarr.Controllers
                 return BadRequest(new { error = "Jellyfin service is not enabled or connected" });
             }
 
+            var syncId = _syncProgressService.CreateProgress();
+
             try
             {
                 // If days is null, sync all historical data
@@ -397,6 +343,8 @@ namespace Optimarr.Controllers
                 await foreach (var item in _jellyfinService.GetPlaybackHistoryStreamAsync(startDate, DateTime.UtcNow))
                 {
                     totalProcessed++;
+                    _syncProgressService.UpdateProgress(syncId, totalProcessed, syncedCount, matchedCount, skippedCount, item.ItemName);
+
                     if (string.IsNullOrEmpty(item.Path))
                     {
                         skippedCount++;
@@ -472,8 +420,12 @@ namespace Optimarr.Controllers
                 _logger.LogInformation("Synced {SyncedCount} playback records, matched {MatchedCount} with local libraries, skipped {SkippedCount} (duplicates or invalid), total processed: {TotalProcessed}", 
                     syncedCount, matchedCount, skippedCount, totalProcessed);
 
+                _syncProgressService.UpdateProgress(syncId, totalProcessed, syncedCount, matchedCount, skippedCount);
+                _syncProgressService.CompleteProgress(syncId);
+
                 return Ok(new
                 {
+                    syncId,
                     synced = syncedCount,
                     matched = matchedCount,
                     skipped = skippedCount,
@@ -483,10 +435,30 @@ namespace Optimarr.Controllers
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Error syncing playback history");
+                _syncProgressService.FailProgress(syncId, ex.Message);
+                _notificationService.Publish(
+                    NotificationEvent.PlaybackSyncFailed,
+                    "Playback sync failed",
+                    $"Syncing playback history from Jellyfin failed: {ex.Message}");
                 return StatusCode(500, new { error = ex.Message });
             }
         }
 
+        /// <summary>
+        /// Progress of a playback history sync. Live updates push the same data as "playback-sync" events.
+        /// </summary>
+        [HttpGet("sync/progress/{syncId}")]
+        public ActionResult<PlaybackSyncProgress> GetSyncProgress(string syncId)
+        {
+            var progress = _syncProgressService.GetProgress(syncId);
+            if (progress == null)
+            {
+                return NotFound(new { error = "Sync not found" });
+            }
+
+            return Ok(progress);
+        }
+
         private async Task MatchPlaybackWithLibrary(PlaybackHistory playback)
         {
             if (string.IsNullOrEmpty(playback.FilePath)) return;
@@ -728,6 +700,44 @@ namespace Optimarr.Controllers
             }
         }
 
+        /// <summary>
+        /// Playbacks per play method over time. bucket: day, week or month; splitBy: none, client, device,
+        /// user or library; days limits the range to the last N days, 0 returns all playback history.
+        /// </summary>
+        [HttpGet("statistics/trends")]
+        public async Task<ActionResult<PlaybackTrendReport>> GetPlaybackTrends(
+            [FromQuery] string bucket = "week",
+            [FromQuery] string splitBy = "none",
+            [FromQuery] int days = 90,
+            [FromQuery] int? libraryPathId = null)
+        {
+            bucket = bucket.ToLowerInvariant();
+            splitBy = splitBy.ToLowerInvariant();
+
+            if (!PlaybackTrendService.Buckets.Contains(bucket))
+            {
+                return BadRequest(new { error = $"bucket must be one of: {string.Join(", ", PlaybackTrendService.Buckets)}" });
+            }
+            if (!PlaybackTrendService.SplitModes.Contains(splitBy))
+            {
+                return BadRequest(new { error = $"splitBy must be one of: {string.Join(", ", PlaybackTrendService.SplitModes)}" });
+            }
+            if (days < 0)
+            {
+                return BadRequest(new { error = "days must be 0 (all) or more" });
+            }
+
+            try
+            {
+                return Ok(await _playbackTrendService.GetTrendsAsync(bucket, splitBy, days, libraryPathId));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error getting playback trends");
+                return StatusCode(500, new { error = $"Failed to load playback trends: {ex.Message}" });
+            }
+        }
+
         [HttpGet("clients/used")]
         public async Task<ActionResult<object>> GetUsedClients()
         {
@@ -950,7 +960,45 @@ namespace Optimarr.Controllers
             }
         }
 
+        [HttpGet("client-matrix")]
+        public async Task<ActionResult<LibraryClientMatrix>> GetClientMatrix(
+            [FromQuery] int? libraryPathId = null,
+            [FromQuery] string? groupBy = "client")
+        {
+            try
+            {
+                var matrix = await _clientMatrixService.GetLibraryMatrixAsync(libraryPathId, groupBy);
+                return Ok(matrix);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error building client matrix");
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
+        [HttpGet("client-matrix/video/{videoId}")]
+        public async Task<ActionResult<VideoClientMatrix>> GetClientMatrixForVideo(int videoId, [FromQuery] string? groupBy = "client")
+        {
+            try
+            {
+                var matrix = await _clientMatrixService.GetVideoMatrixAsync(videoId, groupBy);
+                if (matrix == null)
+                {
+                    return NotFound(new { error = "Video not found" });
+                }
+
+                return Ok(matrix);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error building client matrix for video {VideoId}", videoId);
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
         [HttpPost("rematch")]
+        [Audited("Integrations", "Rematch playback history")]
         public async Task<ActionResult<object>> RematchPlaybackHistory()
         {
             try
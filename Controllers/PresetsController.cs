@@ -0,0 +1,277 @@
+using System.Text.Json;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using Optimarr.Data;
+using Optimarr.Models;
+using Optimarr.Services;
+
+namespace Optimarr.Controllers
+{
+    [ApiController]
+    [Route("api/[controller]")]
+    public class PresetsController : ControllerBase
+    {
+        private static readonly JsonSerializerOptions FilterJsonOptions = new() { PropertyNameCaseInsensitive = true };
+
+        private readonly AppDbContext _dbContext;
+        private readonly VideoFilterService _videoFilterService;
+        private readonly ILogger<PresetsController> _logger;
+
+        public PresetsController(AppDbContext dbContext, VideoFilterService videoFilterService, ILogger<PresetsController> logger)
+        {
+            _dbContext = dbContext;
+            _videoFilterService = videoFilterService;
+            _logger = logger;
+        }
+
+        [HttpGet]
+        public async Task<ActionResult<List<FilterPresetResponse>>> GetPresets()
+        {
+            try
+            {
+                var presets = await _dbContext.FilterPresets
+                    .AsNoTracking()
+                    .OrderBy(p => p.Name)
+                    .ToListAsync();
+
+                return Ok(presets.Select(ToResponse).ToList());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error loading filter presets");
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
+        [HttpGet("{id}")]
+        public async Task<ActionResult<FilterPresetResponse>> GetPreset(int id)
+        {
+            try
+            {
+                var preset = await _dbContext.FilterPresets.AsNoTracking().FirstOrDefaultAsync(p => p.Id == id);
+                if (preset == null)
+                {
+                    return NotFound(new { error = "Preset not found" });
+                }
+
+                return Ok(ToResponse(preset));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error loading filter preset {PresetId}", id);
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
+        /// <summary>
+        /// Number of videos Browse currently shows for the preset. Each count runs the full filter,
+        /// so the UI asks for them one preset at a time and caches them.
+        /// </summary>
+        [HttpGet("{id}/count")]
+        public async Task<ActionResult<int>> GetPresetCount(int id)
+        {
+            try
+            {
+                var preset = await _dbContext.FilterPresets.AsNoTracking().FirstOrDefaultAsync(p => p.Id == id);
+                if (preset == null)
+                {
+                    return NotFound(new { error = "Preset not found" });
+                }
+
+                var videos = await _videoFilterService.GetFilteredVideosAsync(ParseFilters(preset.FiltersJson));
+                return Ok(VideoFilterService.DeduplicateByTitle(videos).Count);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error counting videos for filter preset {PresetId}", id);
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
+        /// <summary>
+        /// IDs of every video matching the preset, for bulk actions (rescan, redownload)
+        /// </summary>
+        [HttpGet("{id}/ids")]
+        public async Task<ActionResult<List<int>>> GetPresetVideoIds(int id)
+        {
+            try
+            {
+                var preset = await _dbContext.FilterPresets.AsNoTracking().FirstOrDefaultAsync(p => p.Id == id);
+                if (preset == null)
+                {
+                    return NotFound(new { error = "Preset not found" });
+                }
+
+                var videos = await _videoFilterService.GetFilteredVideosAsync(ParseFilters(preset.FiltersJson));
+                return Ok(videos.Select(v => v.Id).ToList());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error getting video IDs for filter preset {PresetId}", id);
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
+        [HttpPost]
+        [Audited("Presets", "Create preset")]
+        public async Task<ActionResult<FilterPresetResponse>> CreatePreset([FromBody] FilterPresetRequest request)
+        {
+            try
+            {
+                var validationError = await ValidateRequestAsync(request, null);
+                if (validationError != null)
+                {
+                    return BadRequest(new { error = validationError });
+                }
+
+                var preset = new FilterPreset { CreatedAt = DateTime.UtcNow };
+                ApplyRequest(preset, request);
+
+                _dbContext.FilterPresets.Add(preset);
+                await _dbContext.SaveChangesAsync();
+
+                _logger.LogInformation("Created filter preset {PresetName} ({PresetId})", preset.Name, preset.Id);
+                return Ok(ToResponse(preset));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error creating filter preset");
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
+        [HttpPut("{id}")]
+        [Audited("Presets", "Update preset")]
+        public async Task<ActionResult<FilterPresetResponse>> UpdatePreset(int id, [FromBody] FilterPresetRequest request)
+        {
+            try
+            {
+                var preset = await _dbContext.FilterPresets.FirstOrDefaultAsync(p => p.Id == id);
+                if (preset == null)
+                {
+                    return NotFound(new { error = "Preset not found" });
+                }
+
+                var validationError = await ValidateRequestAsync(request, id);
+                if (validationError != null)
+                {
+                    return BadRequest(new { error = validationError });
+                }
+
+                ApplyRequest(preset, request);
+                await _dbContext.SaveChangesAsync();
+
+                _logger.LogInformation("Updated filter preset {PresetName} ({PresetId})", preset.Name, preset.Id);
+                return Ok(ToResponse(preset));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error updating filter preset {PresetId}", id);
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
+        [HttpDelete("{id}")]
+        [Audited("Presets", "Delete preset")]
+        public async Task<ActionResult> DeletePreset(int id)
+        {
+            try
+            {
+                var preset = await _dbContext.FilterPresets.FirstOrDefaultAsync(p => p.Id == id);
+                if (preset == null)
+                {
+                    return NotFound(new { error = "Preset not found" });
+                }
+
+                _dbContext.FilterPresets.Remove(preset);
+                await _dbContext.SaveChangesAsync();
+
+                _logger.LogInformation("Deleted filter preset {PresetName} ({PresetId})", preset.Name, preset.Id);
+                return Ok(new { message = "Preset deleted" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error deleting filter preset {PresetId}", id);
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
+        private async Task<string?> ValidateRequestAsync(FilterPresetRequest request, int? existingId)
+        {
+            var name = request.Name?.Trim();
+            if (string.IsNullOrEmpty(name))
+            {
+                return "Preset name is required";
+            }
+
+            var nameLower = name.ToLower();
+            var nameTaken = await _dbContext.FilterPresets
+                .AnyAsync(p => p.Name.ToLower() == nameLower && p.Id != (existingId ?? 0));
+
+            return nameTaken ? $"A preset named '{name}' already exists" : null;
+        }
+
+        private static void ApplyRequest(FilterPreset preset, FilterPresetRequest request)
+        {
+            preset.Name = request.Name!.Trim();
+            preset.Description = string.IsNullOrWhiteSpace(request.Description) ? null : request.Description.Trim();
+            preset.FiltersJson = JsonSerializer.Serialize(request.Filters ?? new VideoFilterCriteria());
+            preset.SortBy = string.IsNullOrWhiteSpace(request.SortBy) ? null : request.SortBy;
+            preset.SortOrder = string.IsNullOrWhiteSpace(request.SortOrder) ? null : request.SortOrder;
+            preset.UpdatedAt = DateTime.UtcNow;
+        }
+
+        private static FilterPresetResponse ToResponse(FilterPreset preset)
+        {
+            return new FilterPresetResponse
+            {
+                Id = preset.Id,
+                Name = preset.Name,
+                Description = preset.Description,
+                Filters = ParseFilters(preset.FiltersJson),
+                SortBy = preset.SortBy,
+                SortOrder = preset.SortOrder,
+                CreatedAt = preset.CreatedAt,
+                UpdatedAt = preset.UpdatedAt
+            };
+        }
+
+        private static VideoFilterCriteria ParseFilters(string? json)
+        {
+            if (string.IsNullOrWhiteSpace(json))
+            {
+                return new VideoFilterCriteria();
+            }
+
+            try
+            {
+                return JsonSerializer.Deserialize<VideoFilterCriteria>(json, FilterJsonOptions) ?? new VideoFilterCriteria();
+            }
+            catch (JsonException)
+            {
+                return new VideoFilterCriteria();
+            }
+        }
+    }
+
+    public class FilterPresetRequest
+    {
+        public string? Name { get; set; }
+        public string? Description { get; set; }
+        public VideoFilterCriteria? Filters { get; set; }
+        public string? SortBy { get; set; }
+        public string? SortOrder { get; set; }
+    }
+
+    public class FilterPresetResponse
+    {
+        public int Id { get; set; }
+        public string Name { get; set; } = string.Empty;
+        public string? Description { get; set; }
+        public VideoFilterCriteria Filters { get; set; } = new();
+        public string? SortBy { get; set; }
+        public string? SortOrder { get; set; }
+        public DateTime CreatedAt { get; set; }
+        public DateTime UpdatedAt { get; set; }
+    }
+}
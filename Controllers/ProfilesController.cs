@@ -0,0 +1,339 @@
+using System.Text.Json;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using Optimarr.Data;
+using Optimarr.Models;
+using Optimarr.Services;
+
+namespace Optimarr.Controllers
+{
+    [ApiController]
+    [Route("api/[controller]")]
+    public class ProfilesController : ControllerBase
+    {
+        private static readonly string[] OverrideCategories = { "Video", "Audio", "Container", "Subtitle", "BitDepth" };
+        private static readonly string[] SupportLevels = { "Supported", "Partial", "Unsupported" };
+
+        private readonly AppDbContext _dbContext;
+        private readonly DeviceProfileRatingService _ratingService;
+        private readonly IConfiguration _configuration;
+        private readonly ILogger<ProfilesController> _logger;
+
+        public ProfilesController(AppDbContext dbContext, DeviceProfileRatingService ratingService, IConfiguration configuration, ILogger<ProfilesController> logger)
+        {
+            _dbContext = dbContext;
+            _ratingService = ratingService;
+            _configuration = configuration;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Lists device profiles with how many videos have an up-to-date rating against each
+        /// </summary>
+        [HttpGet]
+        public async Task<ActionResult<List<DeviceProfileResponse>>> GetProfiles()
+        {
+            try
+            {
+                var profiles = await _dbContext.DeviceProfiles
+                    .AsNoTracking()
+                    .OrderBy(p => p.Name)
+                    .ToListAsync();
+
+                var totalVideos = await _dbContext.VideoAnalyses.CountAsync(v => !v.IsBroken);
+                var responses = new List<DeviceProfileResponse>();
+                foreach (var profile in profiles)
+                {
+                    responses.Add(await ToResponseAsync(profile, totalVideos));
+                }
+
+                return Ok(responses);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error loading device profiles");
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
+        [HttpGet("{id}")]
+        public async Task<ActionResult<DeviceProfileResponse>> GetProfile(int id)
+        {
+            try
+            {
+                var profile = await _dbContext.DeviceProfiles.AsNoTracking().FirstOrDefaultAsync(p => p.Id == id);
+                if (profile == null)
+                {
+                    return NotFound(new { error = "Device profile not found" });
+                }
+
+                var totalVideos = await _dbContext.VideoAnalyses.CountAsync(v => !v.IsBroken);
+                return Ok(await ToResponseAsync(profile, totalVideos));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error loading device profile {ProfileId}", id);
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
+        /// <summary>
+        /// Creates a profile. Without properties, it starts as a copy of the global media property settings.
+        /// </summary>
+        [HttpPost]
+        [Audited("Profiles", "Create profile")]
+        public async Task<ActionResult<DeviceProfileResponse>> CreateProfile([FromBody] DeviceProfileRequest request)
+        {
+            try
+            {
+                var error = await ValidateAsync(request, null);
+                if (error != null)
+                {
+                    return BadRequest(new { error });
+                }
+
+                request.Properties ??= new MediaPropertyRatingService(_configuration, _logger).LoadMediaPropertySettings();
+
+                var profile = new DeviceProfile();
+                Apply(request, profile);
+                _dbContext.DeviceProfiles.Add(profile);
+                await _dbContext.SaveChangesAsync();
+
+                _logger.LogInformation("Added device profile {Name}", profile.Name);
+                _ratingService.RequestRefresh();
+
+                var totalVideos = await _dbContext.VideoAnalyses.CountAsync(v => !v.IsBroken);
+                return Ok(await ToResponseAsync(profile, totalVideos));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error creating device profile");
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
+        /// <summary>
+        /// Updates a profile. Its ratings are recalculated in the background.
+        /// </summary>
+        [HttpPut("{id}")]
+        [Audited("Profiles", "Update profile")]
+        public async Task<ActionResult<DeviceProfileResponse>> UpdateProfile(int id, [FromBody] DeviceProfileRequest request)
+        {
+            try
+            {
+                var profile = await _dbContext.DeviceProfiles.FirstOrDefaultAsync(p => p.Id == id);
+                if (profile == null)
+                {
+                    return NotFound(new { error = "Device profile not found" });
+                }
+
+                var error = await ValidateAsync(request, id);
+                if (error != null)
+                {
+                    return BadRequest(new { error });
+                }
+
+                Apply(request, profile);
+                profile.UpdatedAt = DateTime.UtcNow;
+                await _dbContext.SaveChangesAsync();
+
+                _ratingService.RequestRefresh();
+
+                var totalVideos = await _dbContext.VideoAnalyses.CountAsync(v => !v.IsBroken);
+                return Ok(await ToResponseAsync(profile, totalVideos));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error updating device profile {ProfileId}", id);
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
+        [HttpDelete("{id}")]
+        [Audited("Profiles", "Delete profile")]
+        public async Task<ActionResult> DeleteProfile(int id)
+        {
+            try
+            {
+                var profile = await _dbContext.DeviceProfiles.FirstOrDefaultAsync(p => p.Id == id);
+                if (profile == null)
+                {
+                    return NotFound(new { error = "Device profile not found" });
+                }
+
+                // Ratings are removed by the cascade
+                _dbContext.DeviceProfiles.Remove(profile);
+                await _dbContext.SaveChangesAsync();
+
+                return Ok(new { message = "Device profile deleted" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error deleting device profile {ProfileId}", id);
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
+        /// <summary>
+        /// A video's rating against every device profile, for the media info view
+        /// </summary>
+        [HttpGet("video/{videoId}")]
+        public async Task<ActionResult<List<VideoProfileRatingResponse>>> GetVideoRatings(int videoId)
+        {
+            try
+            {
+                var ratings = await _dbContext.VideoProfileRatings
+                    .AsNoTracking()
+                    .Where(r => r.VideoAnalysisId == videoId && r.DeviceProfile != null)
+                    .Select(r => new
+                    {
+                        r.DeviceProfileId,
+                        ProfileName = r.DeviceProfile!.Name,
+                        r.CompatibilityRating,
+                        r.Issues,
+                        r.RatedAt
+                    })
+                    .ToListAsync();
+
+                // Score from the current thresholds, as in Browse
+                var thresholds = new MediaPropertyRatingService(_configuration, _logger).LoadRatingThresholds();
+                return Ok(ratings
+                    .OrderBy(r => r.ProfileName)
+                    .Select(r => new VideoProfileRatingResponse
+                    {
+                        ProfileId = r.DeviceProfileId,
+                        ProfileName = r.ProfileName,
+                        CompatibilityRating = r.CompatibilityRating,
+                        OverallScore = r.CompatibilityRating >= thresholds.Optimal
+                            ? CompatibilityScore.Optimal
+                            : r.CompatibilityRating >= thresholds.Good
+                                ? CompatibilityScore.Good
+                                : CompatibilityScore.Poor,
+                        Issues = ParseList(r.Issues),
+                        RatedAt = r.RatedAt
+                    })
+                    .ToList());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error loading device profile ratings for video {VideoId}", videoId);
+                return StatusCode(500, new { error = ex.Message });
+            }
+        }
+
+        private async Task<string?> ValidateAsync(DeviceProfileRequest request, int? id)
+        {
+            if (string.IsNullOrWhiteSpace(request.Name))
+            {
+                return "Name is required";
+            }
+
+            var name = request.Name.Trim();
+            if (await _dbContext.DeviceProfiles.AnyAsync(p => p.Name == name && p.Id != id))
+            {
+                return $"A device profile named \"{name}\" already exists";
+            }
+
+            foreach (var item in request.Overrides)
+            {
+                if (string.IsNullOrWhiteSpace(item.Codec))
+                {
+                    return "Every override needs a value";
+                }
+                if (!OverrideCategories.Contains(item.Category, StringComparer.OrdinalIgnoreCase))
+                {
+                    return $"Unknown override category \"{item.Category}\"";
+                }
+                if (!SupportLevels.Contains(item.SupportLevel, StringComparer.OrdinalIgnoreCase))
+                {
+                    return $"Unknown support level \"{item.SupportLevel}\"";
+                }
+            }
+
+            return null;
+        }
+
+        private static void Apply(DeviceProfileRequest request, DeviceProfile profile)
+        {
+            profile.Name = request.Name.Trim();
+            profile.Description = string.IsNullOrWhiteSpace(request.Description) ? null : request.Description.Trim();
+            if (request.Properties != null)
+            {
+                profile.PropertiesJson = JsonSerializer.Serialize(request.Properties);
+            }
+            profile.OverridesJson = JsonSerializer.Serialize(request.Overrides
+                .Select(o => new CompatibilityOverride
+                {
+                    Codec = o.Codec.Trim(),
+                    Client = profile.Name,
+                    SupportLevel = SupportLevels.First(l => l.Equals(o.SupportLevel, StringComparison.OrdinalIgnoreCase)),
+                    Category = OverrideCategories.First(c => c.Equals(o.Category, StringComparison.OrdinalIgnoreCase))
+                })
+                .ToList());
+        }
+
+        private async Task<DeviceProfileResponse> ToResponseAsync(DeviceProfile profile, int totalVideos)
+        {
+            var ratedCount = await _dbContext.VideoProfileRatings
+                .CountAsync(r => r.DeviceProfileId == profile.Id && r.RatedAt >= profile.UpdatedAt);
+
+            return new DeviceProfileResponse
+            {
+                Id = profile.Id,
+                Name = profile.Name,
+                Description = profile.Description,
+                Properties = DeviceProfileRatingService.ReadProperties(profile),
+                Overrides = DeviceProfileRatingService.ReadOverrides(profile),
+                CreatedAt = profile.CreatedAt,
+                UpdatedAt = profile.UpdatedAt,
+                RatedCount = Math.Min(ratedCount, totalVideos),
+                TotalVideos = totalVideos
+            };
+        }
+
+        private static List<string> ParseList(string json)
+        {
+            if (string.IsNullOrEmpty(json)) return new List<string>();
+
+            try
+            {
+                return JsonSerializer.Deserialize<List<string>>(json) ?? new List<string>();
+            }
+            catch (JsonException)
+            {
+                return new List<string>();
+            }
+        }
+    }
+
+    public class DeviceProfileRequest
+    {
+        public string Name { get; set; } = string.Empty;
+        public string? Description { get; set; }
+        public MediaPropertySettings? Properties { get; set; } // Null on create copies the global settings
+        public List<CompatibilityOverride> Overrides { get; set; } = new();
+    }
+
+    public class DeviceProfileResponse
+    {
+        public int Id { get; set; }
+        public string Name { get; set; } = string.Empty;
+        public string? Description { get; set; }
+        public MediaPropertySettings Properties { get; set; } = new();
+        public List<CompatibilityOverride> Overrides { get; set; } = new();
+        public DateTime CreatedAt { get; set; }
+        public DateTime UpdatedAt { get; set; }
+        public int RatedCount { get; set; } // Videos with an up-to-date rating against this profile
+        public int TotalVideos { get; set; } // Non-broken videos
+    }
+
+    public class VideoProfileRatingResponse
+    {
+        public int ProfileId { get; set; }
+        public string ProfileName { get; set; } = string.Empty;
+        public int CompatibilityRating { get; set; }
+        public CompatibilityScore OverallScore { get; set; }
+        public List<string> Issues { get; set; } = new();
+        public DateTime RatedAt { get; set; }
+    }
+}
@@ -0,0 +1,119 @@
+using Microsoft.AspNetCore.Mvc;
+using Optimarr.Models;
+using Optimarr.Services;
+
+namespace Optimarr.Controllers
+{
+    [ApiController]
+    [Route("api/[controller]")]
+    public class RedownloadsController : ControllerBase
+    {
+        private readonly RedownloadService _redownloadService;
+        private readonly ILogger<RedownloadsController> _logger;
+
+        public RedownloadsController(RedownloadService redownloadService, ILogger<RedownloadsController> logger)
+        {
+            _redownloadService = redownloadService;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Redownload cases, newest first. status: open, cancelled, Improved, Unchanged, Worse or NeverArrived.
+        /// </summary>
+        [HttpGet]
+        public async Task<ActionResult<RedownloadCasePage>> GetCases([FromQuery] string? status = null, [FromQuery] int page = 1, [FromQuery] int pageSize = 50)
+        {
+            try
+            {
+                return Ok(await _redownloadService.GetCasesAsync(status, page, pageSize));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error loading redownload cases");
+                return StatusCode(500, new { error = $"Failed to load redownloads: {ex.Message}" });
+            }
+        }
+
+        /// <summary>
+        /// A case with the old and new analysis compared
+        /// </summary>
+        [HttpGet("{id}")]
+        public async Task<ActionResult<RedownloadCaseDetail>> GetCase(int id)
+        {
+            try
+            {
+                var detail = await _redownloadService.GetCaseAsync(id);
+                if (detail == null)
+                {
+                    return NotFound(new { error = "Redownload not found" });
+                }
+                return Ok(detail);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error loading redownload case {CaseId}", id);
+                return StatusCode(500, new { error = $"Failed to load redownload: {ex.Message}" });
+            }
+        }
+
+        [HttpPost("{id}/cancel")]
+        [Audited("Videos", "Cancel redownload")]
+        public async Task<ActionResult> CancelCase(int id)
+        {
+            try
+            {
+                if (!await _redownloadService.CancelAsync(id))
+                {
+                    return NotFound(new { error = "No open redownload with this ID" });
+                }
+                return Ok(new { message = "Redownload cancelled" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error cancelling redownload case {CaseId}", id);
+                return StatusCode(500, new { error = $"Failed to cancel redownload: {ex.Message}" });
+            }
+        }
+
+        /// <summary>
+        /// Checks open cases with Sonarr/Radarr now instead of on the next round
+        /// </summary>
+        [HttpPost("check")]
+        public ActionResult CheckNow()
+        {
+            _redownloadService.RequestCheck();
+            return Ok(new { message = "Checking open redownloads" });
+        }
+
+        [HttpGet("settings")]
+        public ActionResult<RedownloadSettings> GetSettings()
+        {
+            return Ok(_redownloadService.GetSettings());
+        }
+
+        [HttpPut("settings")]
+        [Audited("Settings", "Change redownload settings")]
+        public async Task<ActionResult> SaveSettings([FromBody] RedownloadSettings settings)
+        {
+            if (settings.WaitHours < 1 || settings.WaitHours > RedownloadService.MaxWaitHours)
+            {
+                return BadRequest(new { error = $"Wait period must be between 1 and {RedownloadService.MaxWaitHours} hours" });
+            }
+            if (settings.MaxAttempts < 1 || settings.MaxAttempts > RedownloadService.MaxAttemptsLimit)
+            {
+                return BadRequest(new { error = $"Searches must be between 1 and {RedownloadService.MaxAttemptsLimit}" });
+            }
+
+            try
+            {
+                await _redownloadService.SaveSettingsAsync(settings);
+                return Ok(new { message = "Redownload settings saved" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error saving redownload settings");
+                return StatusCode(500, new { error = $"Failed to save redownload settings: {ex.Message}" });
+            }
+        }
+    }
+}
@@ -63,6 +63,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("sonarr/analyze-series/{seriesId}")]
+        [Audited("Integrations", "Analyze Sonarr series")]
         public async Task<ActionResult> AnalyzeSonarrSeries(int seriesId)
         {
             _logger.LogInformation("Sonarr series analysis requested for series ID: {SeriesId}", seriesId);
@@ -104,6 +105,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("radarr/analyze-movie/{movieId}")]
+        [Audited("Integrations", "Analyze Radarr movie")]
         public async Task<ActionResult> AnalyzeRadarrMovie(int movieId)
         {
             _logger.LogInformation("Radarr movie analysis requested for movie ID: {MovieId}", movieId);
@@ -203,6 +205,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("radarr/sync")]
+        [Audited("Integrations", "Sync Radarr")]
         public async Task<ActionResult> SyncRadarr()
         {
             _logger.LogInformation("Radarr library sync requested");
@@ -226,6 +229,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("sonarr/sync")]
+        [Audited("Integrations", "Sync Sonarr")]
         public async Task<ActionResult> SyncSonarr()
         {
             _logger.LogInformation("Sonarr library sync requested");
@@ -249,6 +253,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("sync-all")]
+        [Audited("Integrations", "Sync Sonarr and Radarr")]
         public async Task<ActionResult> SyncAll()
         {
             _logger.LogInformation("Full Servarr library sync requested");
@@ -289,6 +294,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("sonarr/settings")]
+        [Audited("Settings", "Change Sonarr settings")]
         public async Task<ActionResult> SaveSonarrSettings([FromBody] ServarrSettingsRequest request)
         {
             try
@@ -391,6 +397,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("radarr/settings")]
+        [Audited("Settings", "Change Radarr settings")]
         public async Task<ActionResult> SaveRadarrSettings([FromBody] ServarrSettingsRequest request)
         {
             try
@@ -512,6 +519,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("sonarr/path-mappings")]
+        [Audited("Settings", "Change Sonarr path mappings")]
         public async Task<ActionResult> SaveSonarrPathMappings([FromBody] List<PathMappingRequest> mappings)
         {
             try
@@ -644,6 +652,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("radarr/path-mappings")]
+        [Audited("Settings", "Change Radarr path mappings")]
         public async Task<ActionResult> SaveRadarrPathMappings([FromBody] List<PathMappingRequest> mappings)
         {
             try
@@ -746,6 +755,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("match-videos")]
+        [Audited("Integrations", "Match videos to Sonarr/Radarr")]
         public Task<ActionResult> MatchVideosWithServarr()
         {
             _logger.LogInformation("Video matching with Servarr requested");
@@ -834,6 +844,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("match-videos/{libraryPathId}")]
+        [Audited("Integrations", "Match library videos to Sonarr/Radarr")]
         public async Task<ActionResult> MatchVideosForLibraryPath(int libraryPathId)
         {
             _logger.LogInformation("Video matching for library path {LibraryPathId} requested", libraryPathId);
@@ -1,4 +1,5 @@
 using System.Reflection;
+using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
 using Optimarr.Services;
 
@@ -15,6 +16,7 @@ namespace Optimarr.Controllers
             _logger = logger;
         }
 
+        [AllowAnonymous]
         [HttpGet("health")]
         public ActionResult<object> GetHealth()
         {
@@ -25,6 +27,7 @@ namespace Optimarr.Controllers
             });
         }
 
+        [AllowAnonymous]
         [HttpGet("migration")]
         public ActionResult<object> GetMigrationStatus()
         {
@@ -41,6 +44,7 @@ namespace Optimarr.Controllers
             return Ok(progress);
         }
 
+        [AllowAnonymous]
         [HttpGet("version")]
         public ActionResult<object> GetVersion()
         {
@@ -78,6 +82,7 @@ namespace Optimarr.Controllers
         }
 
         [HttpPost("reboot")]
+        [Audited("System", "Reboot")]
         public ActionResult Reboot()
         {
             _logger.LogWarning("Reboot requested by user");
@@ -14,6 +14,61 @@ namespace Optimarr.Data
         public DbSet<LibraryPath> LibraryPaths { get; set; }
         public DbSet<FailedFile> FailedFiles { get; set; }
         public DbSet<PlaybackHistory> PlaybackHistories { get; set; }
+        public DbSet<FilterPreset> FilterPresets { get; set; }
+        public DbSet<LibraryScanSchedule> LibraryScanSchedules { get; set; }
+        public DbSet<ScheduledScanRun> ScheduledScanRuns { get; set; }
+        public DbSet<OptimizationJob> OptimizationJobs { get; set; }
+        public DbSet<NotificationTarget> NotificationTargets { get; set; }
+        public DbSet<DeviceProfile> DeviceProfiles { get; set; }
+        public DbSet<VideoProfileRating> VideoProfileRatings { get; set; }
+        public DbSet<LibrarySnapshot> LibrarySnapshots { get; set; }
+        public DbSet<VideoAnalysisHistory> VideoAnalysisHistories { get; set; }
+        public DbSet<ApiKey> ApiKeys { get; set; }
+        public DbSet<AuditLogEntry> AuditLogEntries { get; set; }
+        public DbSet<RedownloadCase> RedownloadCases { get; set; }
+
+        public override int SaveChanges(bool acceptAllChangesOnSuccess)
+        {
+            RecordAnalysisHistory();
+            return base.SaveChanges(acceptAllChangesOnSuccess);
+        }
+
+        public override Task<int> SaveChangesAsync(bool acceptAllChangesOnSuccess, CancellationToken cancellationToken = default)
+        {
+            RecordAnalysisHistory();
+            return base.SaveChangesAsync(acceptAllChangesOnSuccess, cancellationToken);
+        }
+
+        /// <summary>
+        /// Every rescan path (single and bulk rescans, Tdarr and Servarr webhooks, processing and scheduled
+        /// rescans) overwrites the tracked VideoAnalysis and sets a new AnalyzedAt. Keep the values being
+        /// replaced as a VideoAnalysisHistory row, unless the rescan found exactly the same analysis.
+        /// </summary>
+        private void RecordAnalysisHistory()
+        {
+            var reanalyzed = ChangeTracker.Entries<VideoAnalysis>()
+                .Where(e => e.State == EntityState.Modified)
+                .ToList();
+
+            foreach (var entry in reanalyzed)
+            {
+                var analyzedAt = entry.Property(v => v.AnalyzedAt);
+                if (!analyzedAt.IsModified || analyzedAt.OriginalValue == default || analyzedAt.OriginalValue == analyzedAt.CurrentValue)
+                {
+                    continue;
+                }
+
+                var previous = VideoAnalysisHistory.FromAnalysis((VideoAnalysis)entry.OriginalValues.ToObject());
+                if (!VideoAnalysisDiff.Compare(previous, VideoAnalysisHistory.FromAnalysis(entry.Entity)).HasChanges)
+                {
+                    continue;
+                }
+
+                previous.VideoAnalysisId = entry.Entity.Id;
+                previous.ReplacedAt = DateTime.UtcNow;
+                VideoAnalysisHistories.Add(previous);
+            }
+        }
 
         protected override void OnModelCreating(ModelBuilder modelBuilder)
         {
@@ -89,6 +144,152 @@ namespace Optimarr.Data
                     .HasForeignKey(e => e.LibraryPathId)
                     .OnDelete(DeleteBehavior.SetNull);
             });
+
+            // FilterPreset configuration
+            modelBuilder.Entity<FilterPreset>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.HasIndex(e => e.Name);
+            });
+
+            // LibraryScanSchedule configuration
+            modelBuilder.Entity<LibraryScanSchedule>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.HasIndex(e => e.LibraryPathId).IsUnique();
+                entity.HasIndex(e => e.NextRunAt);
+                entity.HasOne(e => e.LibraryPath)
+                    .WithMany()
+                    .HasForeignKey(e => e.LibraryPathId)
+                    .OnDelete(DeleteBehavior.Cascade);
+            });
+
+            // ScheduledScanRun configuration
+            modelBuilder.Entity<ScheduledScanRun>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.HasIndex(e => new { e.LibraryPathId, e.StartedAt });
+                entity.HasIndex(e => e.LibraryScanId);
+                entity.HasOne(e => e.LibraryPath)
+                    .WithMany()
+                    .HasForeignKey(e => e.LibraryPathId)
+                    .OnDelete(DeleteBehavior.Cascade);
+                entity.HasOne(e => e.LibraryScan)
+                    .WithMany()
+                    .HasForeignKey(e => e.LibraryScanId)
+                    .OnDelete(DeleteBehavior.SetNull);
+                entity.Property(e => e.Status)
+                    .HasConversion<string>()
+                    .HasMaxLength(50);
+            });
+
+            // OptimizationJob configuration
+            modelBuilder.Entity<OptimizationJob>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.HasIndex(e => e.Status);
+                entity.HasIndex(e => e.VideoAnalysisId);
+                entity.HasOne(e => e.VideoAnalysis)
+                    .WithMany()
+                    .HasForeignKey(e => e.VideoAnalysisId)
+                    .OnDelete(DeleteBehavior.SetNull);
+                entity.Property(e => e.Status)
+                    .HasConversion<string>()
+                    .HasMaxLength(50);
+            });
+
+            // NotificationTarget configuration
+            modelBuilder.Entity<NotificationTarget>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.Property(e => e.Type)
+                    .HasConversion<string>()
+                    .HasMaxLength(50);
+            });
+
+            // DeviceProfile configuration
+            modelBuilder.Entity<DeviceProfile>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.HasIndex(e => e.Name).IsUnique();
+            });
+
+            // VideoProfileRating configuration
+            modelBuilder.Entity<VideoProfileRating>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.HasIndex(e => new { e.VideoAnalysisId, e.DeviceProfileId }).IsUnique();
+                entity.HasIndex(e => e.DeviceProfileId);
+                entity.HasOne(e => e.VideoAnalysis)
+                    .WithMany()
+                    .HasForeignKey(e => e.VideoAnalysisId)
+                    .OnDelete(DeleteBehavior.Cascade);
+                entity.HasOne(e => e.DeviceProfile)
+                    .WithMany()
+                    .HasForeignKey(e => e.DeviceProfileId)
+                    .OnDelete(DeleteBehavior.Cascade);
+                entity.Property(e => e.OverallScore)
+                    .HasConversion<string>()
+                    .HasMaxLength(50);
+            });
+
+            // VideoAnalysisHistory configuration
+            modelBuilder.Entity<VideoAnalysisHistory>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.HasIndex(e => new { e.VideoAnalysisId, e.AnalyzedAt });
+                entity.HasOne(e => e.VideoAnalysis)
+                    .WithMany()
+                    .HasForeignKey(e => e.VideoAnalysisId)
+                    .OnDelete(DeleteBehavior.Cascade);
+                entity.Property(e => e.OverallScore)
+                    .HasConversion<string>()
+                    .HasMaxLength(50);
+            });
+
+            // LibrarySnapshot configuration
+            modelBuilder.Entity<LibrarySnapshot>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.HasIndex(e => e.Date).IsUnique();
+            });
+
+            // ApiKey configuration
+            modelBuilder.Entity<ApiKey>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.HasIndex(e => e.KeyHash).IsUnique();
+            });
+
+            // AuditLogEntry configuration
+            modelBuilder.Entity<AuditLogEntry>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.HasIndex(e => e.Timestamp);
+                entity.HasIndex(e => new { e.Category, e.Timestamp });
+            });
+
+            // RedownloadCase configuration
+            modelBuilder.Entity<RedownloadCase>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.HasIndex(e => e.Status);
+                entity.HasIndex(e => e.VideoAnalysisId);
+                entity.HasOne(e => e.VideoAnalysis)
+                    .WithMany()
+                    .HasForeignKey(e => e.VideoAnalysisId)
+                    .OnDelete(DeleteBehavior.SetNull);
+                entity.HasOne(e => e.NewVideoAnalysis)
+                    .WithMany()
+                    .HasForeignKey(e => e.NewVideoAnalysisId)
+                    .OnDelete(DeleteBehavior.SetNull);
+                entity.Property(e => e.Status)
+                    .HasConversion<string>()
+                    .HasMaxLength(50);
+                entity.Property(e => e.Verdict)
+                    .HasConversion<string>()
+                    .HasMaxLength(50);
+            });
         }
     }
 }
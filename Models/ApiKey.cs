@@ -0,0 +1,23 @@
+using System;
+using System.ComponentModel.DataAnnotations;
+
+namespace Optimarr.Models
+{
+    /// <summary>
+    /// A key for one integration (a script, Sonarr/Radarr webhooks, Tdarr, ...) sent in the X-Api-Key header
+    /// when authentication is enabled. Only a SHA-256 hash of the key is stored; the key itself is shown once
+    /// when it is created.
+    /// </summary>
+    public class ApiKey
+    {
+        public int Id { get; set; }
+
+        [Required]
+        public string Name { get; set; } = string.Empty;
+        public string KeyHash { get; set; } = string.Empty; // Hex SHA-256 of the key
+        public string KeyPrefix { get; set; } = string.Empty; // First characters, to tell keys apart in the list
+
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+        public DateTime? LastUsedAt { get; set; }
+    }
+}
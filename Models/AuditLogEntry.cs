@@ -0,0 +1,45 @@
+using System;
+using System.Collections.Generic;
+
+namespace Optimarr.Models
+{
+    /// <summary>
+    /// One state-changing API call: who made it, what was sent and how it ended. Recorded by
+    /// AuditActionFilter for actions marked [Audited]; pruned after AuditLog:RetentionDays.
+    /// </summary>
+    public class AuditLogEntry
+    {
+        public int Id { get; set; }
+        public DateTime Timestamp { get; set; } = DateTime.UtcNow;
+
+        public string Category { get; set; } = string.Empty; // Library, Videos, Settings, Security, ...
+        public string Action { get; set; } = string.Empty; // e.g. "Delete library"
+
+        public string Actor { get; set; } = string.Empty; // Username, API key name, "Local network" or "Anonymous"
+        public string AuthMethod { get; set; } = string.Empty; // session, apikey, local or none
+        public string? RemoteIp { get; set; }
+
+        public string HttpMethod { get; set; } = string.Empty;
+        public string Path { get; set; } = string.Empty;
+        public string? Payload { get; set; } // Action arguments as JSON, secrets masked, truncated
+
+        public int StatusCode { get; set; }
+        public bool Success { get; set; }
+        public string? Message { get; set; } // The response's message or error
+        public long DurationMs { get; set; }
+    }
+
+    public class AuditLogPage
+    {
+        public int TotalCount { get; set; }
+        public int Page { get; set; }
+        public int PageSize { get; set; }
+        public List<AuditLogEntry> Entries { get; set; } = new();
+    }
+
+    public class AuditLogFilterOptions
+    {
+        public List<string> Categories { get; set; } = new();
+        public List<string> Actors { get; set; } = new();
+    }
+}
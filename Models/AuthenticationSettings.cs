@@ -0,0 +1,15 @@
+namespace Optimarr.Models
+{
+    /// <summary>
+    /// The "Authentication" section of appsettings.json. Authentication is off until a user is set up; with
+    /// BypassLocalAddresses, requests from the local network need no login or API key (like Sonarr/Radarr's
+    /// "Disabled for Local Addresses").
+    /// </summary>
+    public class AuthenticationSettings
+    {
+        public bool Enabled { get; set; }
+        public string Username { get; set; } = string.Empty;
+        public string PasswordHash { get; set; } = string.Empty; // pbkdf2-sha256$iterations$salt$hash
+        public bool BypassLocalAddresses { get; set; } = true;
+    }
+}
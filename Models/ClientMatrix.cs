@@ -0,0 +1,46 @@
+using System;
+using System.Collections.Generic;
+
+namespace Optimarr.Models
+{
+    /// <summary>
+    /// Direct Play / Remux / Transcode outcome for one client (or device) and one video
+    /// </summary>
+    public class ClientMatrixCell
+    {
+        public string Status { get; set; } = "Unknown"; // Direct Play, Remux, Transcode, Unknown
+        public string Source { get; set; } = "None"; // Observed, Stored, Similar, None
+        public int SampleCount { get; set; }
+        public DateTime? LastSeen { get; set; }
+        public string? Reason { get; set; }
+    }
+
+    public class VideoClientMatrix
+    {
+        public int VideoId { get; set; }
+        public string GroupBy { get; set; } = "client";
+        public List<string> Clients { get; set; } = new();
+        public Dictionary<string, ClientMatrixCell> Cells { get; set; } = new();
+    }
+
+    /// <summary>
+    /// Number of videos per outcome for one client (or device) across a library
+    /// </summary>
+    public class LibraryClientMatrixColumn
+    {
+        public string Client { get; set; } = string.Empty;
+        public int DirectPlay { get; set; }
+        public int Remux { get; set; }
+        public int Transcode { get; set; }
+        public int Unknown { get; set; }
+        public int Observed { get; set; } // Videos with actual playback (or stored results) on this client
+    }
+
+    public class LibraryClientMatrix
+    {
+        public int? LibraryPathId { get; set; }
+        public string GroupBy { get; set; } = "client";
+        public int TotalVideos { get; set; }
+        public List<LibraryClientMatrixColumn> Columns { get; set; } = new();
+    }
+}
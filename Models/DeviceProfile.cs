@@ -0,0 +1,45 @@
+using System;
+using System.ComponentModel.DataAnnotations;
+
+namespace Optimarr.Models
+{
+    /// <summary>
+    /// A named playback target (e.g. Shield, Apple TV, browser) with its own supported properties.
+    /// Every video is rated against each profile in addition to the global MediaPropertySettings.
+    /// </summary>
+    public class DeviceProfile
+    {
+        public int Id { get; set; }
+
+        [Required]
+        public string Name { get; set; } = string.Empty;
+        public string? Description { get; set; }
+
+        public string PropertiesJson { get; set; } = "{}"; // Serialized MediaPropertySettings
+        public string OverridesJson { get; set; } = "[]"; // Serialized List<CompatibilityOverride>
+
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+        public DateTime UpdatedAt { get; set; } = DateTime.UtcNow; // Ratings older than this are recalculated
+    }
+
+    /// <summary>
+    /// A video's compatibility rating against one device profile
+    /// </summary>
+    public class VideoProfileRating
+    {
+        public int Id { get; set; }
+
+        public int VideoAnalysisId { get; set; }
+        public virtual VideoAnalysis? VideoAnalysis { get; set; }
+
+        public int DeviceProfileId { get; set; }
+        public virtual DeviceProfile? DeviceProfile { get; set; }
+
+        public int CompatibilityRating { get; set; } // 0-100, same scale as VideoAnalysis.CompatibilityRating
+        public CompatibilityScore OverallScore { get; set; }
+        public string Issues { get; set; } = string.Empty; // JSON array
+        public string Recommendations { get; set; } = string.Empty; // JSON array
+
+        public DateTime RatedAt { get; set; } = DateTime.UtcNow;
+    }
+}
@@ -0,0 +1,54 @@
+using System;
+using System.Collections.Generic;
+
+namespace Optimarr.Models
+{
+    /// <summary>
+    /// Videos that are copies of the same movie or episode. How the group was found:
+    /// "Radarr" (same RadarrMovieId), "Sonarr" (same SonarrEpisodeId) or "Title" (same normalized
+    /// title and year, or series and episode, parsed from the file and folder names).
+    /// </summary>
+    public class DuplicateGroup
+    {
+        public string Key { get; set; } = string.Empty;
+        public string MatchType { get; set; } = string.Empty; // Radarr, Sonarr or Title
+        public string Title { get; set; } = string.Empty;
+        public int? Year { get; set; }
+        public int? SeasonNumber { get; set; }
+        public int? EpisodeNumber { get; set; }
+        public List<DuplicateVersion> Versions { get; set; } = new(); // Suggested copy first
+        public int SuggestedKeepId { get; set; }
+        public List<string> SuggestionReasons { get; set; } = new();
+        public long ReclaimableSize { get; set; } // Size of every version except the suggested one
+    }
+
+    public class DuplicateVersion
+    {
+        public int Id { get; set; }
+        public string FilePath { get; set; } = string.Empty;
+        public string FileName { get; set; } = string.Empty;
+        public string? LibraryName { get; set; } // Library path containing the file, null if none does
+        public long FileSize { get; set; }
+        public int CompatibilityRating { get; set; }
+        public string OverallScore { get; set; } = string.Empty;
+        public string VideoCodec { get; set; } = string.Empty;
+        public string Container { get; set; } = string.Empty;
+        public int Width { get; set; }
+        public int Height { get; set; }
+        public int BitDepth { get; set; }
+        public bool IsHDR { get; set; }
+        public string HDRType { get; set; } = string.Empty;
+        public string AudioCodecs { get; set; } = string.Empty;
+        public bool IsBroken { get; set; }
+        public DateTime AnalyzedAt { get; set; }
+        public bool MatchedByTitle { get; set; } // In a Radarr/Sonarr group only through the title fallback
+    }
+
+    public class DuplicateReport
+    {
+        public int TotalGroups { get; set; }
+        public int TotalVersions { get; set; }
+        public long ReclaimableSize { get; set; }
+        public List<DuplicateGroup> Groups { get; set; } = new();
+    }
+}
@@ -0,0 +1,39 @@
+using System.Collections.Generic;
+
+namespace Optimarr.Models
+{
+    /// <summary>
+    /// ffmpeg commands that apply a video's recommendations: one command per fix plus a combined
+    /// command that applies all of them in a single pass
+    /// </summary>
+    public class FfmpegPlan
+    {
+        public int VideoId { get; set; }
+        public string FileName { get; set; } = string.Empty;
+        public string FilePath { get; set; } = string.Empty;
+        public string? OutputPath { get; set; } // Written next to the original, which is never overwritten
+        public string? Command { get; set; } // All steps in one pass, null when there is nothing to run
+        public bool RequiresReencode { get; set; }
+        public List<FfmpegPlanStep> Steps { get; set; } = new();
+        public List<string> Notes { get; set; } = new(); // Recommendations without an ffmpeg fix, and caveats
+    }
+
+    public class FfmpegPlanStep
+    {
+        public FfmpegFixKind Kind { get; set; }
+        public string Title { get; set; } = string.Empty;
+        public List<string> Reasons { get; set; } = new(); // The recommendations this step addresses
+        public string Command { get; set; } = string.Empty; // This fix on its own
+        public bool RequiresReencode { get; set; }
+    }
+
+    public enum FfmpegFixKind
+    {
+        Remux,
+        FastStart,
+        Retag,
+        ConvertAudio,
+        ConvertSubtitles,
+        Transcode
+    }
+}
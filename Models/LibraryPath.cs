@@ -21,6 +21,8 @@ namespace Optimarr.Models
         
         public int TotalFiles { get; set; }
         public long TotalSize { get; set; }
+
+        public bool WatchEnabled { get; set; } // Analyze added files as soon as they appear (LibraryWatcherService)
         
         // Radarr/Sonarr integration
         public string? ServarrType { get; set; } // "Radarr" or "Sonarr"
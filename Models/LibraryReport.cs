@@ -0,0 +1,82 @@
+using System;
+using System.Collections.Generic;
+
+namespace Optimarr.Models
+{
+    /// <summary>
+    /// Library-wide compatibility report, rendered as a self-contained HTML file for the dashboard download
+    /// </summary>
+    public class LibraryReport
+    {
+        public DateTime GeneratedAt { get; set; } = DateTime.UtcNow;
+        public int TotalVideos { get; set; }
+        public int BrokenCount { get; set; }
+        public long TotalSize { get; set; }
+        public double TotalDuration { get; set; }
+        public int OptimalThreshold { get; set; }
+        public int GoodThreshold { get; set; }
+        public string? ProfileName { get; set; } // Device profile the ratings are against, null for the global settings
+
+        public List<ReportCount> ScoreDistribution { get; set; } = new(); // Optimal / Good / Poor (broken excluded)
+        public List<ReportCount> RatingDistribution { get; set; } = new(); // 0-100 rating in buckets of 10
+        public List<ReportCount> CommonIssues { get; set; } = new(); // Most frequent issue messages
+        public List<ReportCount> CodecBreakdown { get; set; } = new();
+        public List<ReportCount> ContainerBreakdown { get; set; } = new();
+        public TopIssuesResult TopIssues { get; set; } = new();
+        public List<ReportVideo> WorstOffenders { get; set; } = new();
+    }
+
+    public class ReportCount
+    {
+        public string Label { get; set; } = string.Empty;
+        public int Count { get; set; }
+    }
+
+    public class ReportVideo
+    {
+        public int Id { get; set; }
+        public string FileName { get; set; } = string.Empty;
+        public string FilePath { get; set; } = string.Empty;
+        public string? ServarrType { get; set; } // "Sonarr" or "Radarr"
+        public string? ServarrTitle { get; set; } // e.g. "Show S01E02" or "Movie (2020)"
+        public string VideoCodec { get; set; } = string.Empty;
+        public string Container { get; set; } = string.Empty;
+        public string AudioCodecs { get; set; } = string.Empty;
+        public string SubtitleFormats { get; set; } = string.Empty;
+        public bool IsHDR { get; set; }
+        public int CompatibilityRating { get; set; }
+        public string OverallScore { get; set; } = string.Empty;
+        public List<string> Issues { get; set; } = new();
+    }
+
+    /// <summary>
+    /// Result of /api/library/dashboard/issues, also included in the library report
+    /// </summary>
+    public class TopIssuesResult
+    {
+        public List<IssueSummary> Issues { get; set; } = new();
+        public OptimizationSummary OptimizationSummary { get; set; } = new();
+    }
+
+    public class IssueSummary
+    {
+        public int Id { get; set; }
+        public string FileName { get; set; } = string.Empty;
+        public string FilePath { get; set; } = string.Empty;
+        public string VideoCodec { get; set; } = string.Empty;
+        public string Container { get; set; } = string.Empty;
+        public string OverallScore { get; set; } = string.Empty;
+        public int CompatibilityRating { get; set; }
+        public bool IsHDR { get; set; }
+    }
+
+    public class OptimizationSummary
+    {
+        public int TotalVideos { get; set; }
+        public int OptimalVideos { get; set; }
+        public int GoodVideos { get; set; }
+        public int PoorVideos { get; set; }
+        public int VideosNeedingOptimization { get; set; }
+        public double OptimizationPotential { get; set; }
+    }
+}
@@ -0,0 +1,53 @@
+using System;
+using System.ComponentModel.DataAnnotations;
+
+namespace Optimarr.Models
+{
+    public class LibraryScanSchedule
+    {
+        public int Id { get; set; }
+
+        public int LibraryPathId { get; set; }
+        public virtual LibraryPath? LibraryPath { get; set; }
+
+        [Required]
+        public string CronExpression { get; set; } = "0 3 * * *"; // minute hour day-of-month month day-of-week, server local time
+
+        public bool IsEnabled { get; set; } = true;
+
+        public DateTime? NextRunAt { get; set; } // UTC, null when disabled
+        public DateTime? LastRunAt { get; set; }
+        public int? LastScanId { get; set; }
+
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+        public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+    }
+
+    public class ScheduledScanRun
+    {
+        public int Id { get; set; }
+
+        public int LibraryPathId { get; set; }
+        public virtual LibraryPath? LibraryPath { get; set; }
+
+        public int? LibraryScanId { get; set; } // Null when the run didn't start a scan
+        public virtual LibraryScan? LibraryScan { get; set; }
+
+        public DateTime ScheduledFor { get; set; }
+        public DateTime StartedAt { get; set; }
+
+        public ScheduledScanRunStatus Status { get; set; } = ScheduledScanRunStatus.Started;
+        public string? Message { get; set; }
+
+        // Filled in by the scanner when the scan finishes
+        public int? AnalyzedFiles { get; set; } // New files plus files that changed since they were analyzed
+        public int? UnchangedFiles { get; set; }
+    }
+
+    public enum ScheduledScanRunStatus
+    {
+        Started,
+        Skipped,
+        Failed
+    }
+}
@@ -0,0 +1,49 @@
+using System;
+using System.Collections.Generic;
+
+namespace Optimarr.Models
+{
+    /// <summary>
+    /// The key library numbers for one day, used for the dashboard trend charts. There is one row per
+    /// local date; today's row is refreshed during the day, so past rows hold the numbers at the end of
+    /// their day. Counts use the global media property ratings and the thresholds at capture time.
+    /// </summary>
+    public class LibrarySnapshot
+    {
+        public int Id { get; set; }
+
+        public DateTime Date { get; set; } // Local date, time part is always midnight
+        public DateTime CapturedAt { get; set; } = DateTime.UtcNow;
+
+        public int TotalVideos { get; set; }
+        public int OptimalCount { get; set; } // Optimal/Good/Poor exclude broken videos
+        public int GoodCount { get; set; }
+        public int PoorCount { get; set; }
+        public int BrokenCount { get; set; }
+        public int HdrCount { get; set; }
+        public int SdrCount { get; set; }
+        public long TotalSize { get; set; }
+
+        public string CodecDistributionJson { get; set; } = "{}"; // Serialized Dictionary<string, int>
+        public string ContainerDistributionJson { get; set; } = "{}"; // Serialized Dictionary<string, int>
+    }
+
+    /// <summary>
+    /// A snapshot as returned by the trends API, with the distributions deserialized
+    /// </summary>
+    public class LibraryTrendPoint
+    {
+        public DateTime Date { get; set; }
+        public DateTime CapturedAt { get; set; }
+        public int TotalVideos { get; set; }
+        public int OptimalCount { get; set; }
+        public int GoodCount { get; set; }
+        public int PoorCount { get; set; }
+        public int BrokenCount { get; set; }
+        public int HdrCount { get; set; }
+        public int SdrCount { get; set; }
+        public long TotalSize { get; set; }
+        public Dictionary<string, int> CodecDistribution { get; set; } = new();
+        public Dictionary<string, int> ContainerDistribution { get; set; } = new();
+    }
+}
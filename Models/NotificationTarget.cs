@@ -0,0 +1,68 @@
+using System;
+using System.ComponentModel.DataAnnotations;
+
+namespace Optimarr.Models
+{
+    /// <summary>
+    /// Where outbound notifications go (generic JSON webhook, Discord, Slack or email) and which events it receives
+    /// </summary>
+    public class NotificationTarget
+    {
+        public int Id { get; set; }
+
+        [Required]
+        public string Name { get; set; } = string.Empty;
+        public NotificationTargetType Type { get; set; } = NotificationTargetType.Webhook;
+        public bool Enabled { get; set; } = true;
+
+        public string? Url { get; set; } // Webhook, Discord and Slack
+
+        public string Events { get; set; } = string.Empty; // Comma-separated NotificationEvent names
+        public int RatingThreshold { get; set; } = 60; // LowRatingImport fires below this compatibility rating
+
+        // Email only
+        public string? SmtpHost { get; set; }
+        public int SmtpPort { get; set; } = 587;
+        public bool SmtpUseSsl { get; set; } = true;
+        public string? SmtpUsername { get; set; }
+        public string? SmtpPassword { get; set; }
+        public string? EmailFrom { get; set; }
+        public string? EmailTo { get; set; } // Comma-separated addresses
+
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+        public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+        public DateTime? LastSentAt { get; set; }
+        public string? LastError { get; set; } // Cleared by the next successful send
+    }
+
+    public enum NotificationTargetType
+    {
+        Webhook,
+        Discord,
+        Slack,
+        Email
+    }
+
+    public enum NotificationEvent
+    {
+        ScanCompleted,
+        ScanFailed,
+        LowRatingImport,
+        FileBroken,
+        RedownloadVerified,
+        PlaybackSyncFailed
+    }
+
+    /// <summary>
+    /// One outbound notification, rendered per target type by NotificationService
+    /// </summary>
+    public class Notification
+    {
+        public NotificationEvent Event { get; set; }
+        public string Title { get; set; } = string.Empty;
+        public string Message { get; set; } = string.Empty;
+        public DateTime Timestamp { get; set; } = DateTime.UtcNow;
+        public int? Rating { get; set; } // Compared against each target's RatingThreshold for LowRatingImport
+        public Dictionary<string, string> Data { get; set; } = new();
+    }
+}
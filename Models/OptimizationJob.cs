@@ -0,0 +1,43 @@
+using System;
+using System.ComponentModel.DataAnnotations;
+
+namespace Optimarr.Models
+{
+    /// <summary>
+    /// A lossless fix (remux to MP4, fast start, retag) run by the local ffmpeg job queue
+    /// </summary>
+    public class OptimizationJob
+    {
+        public int Id { get; set; }
+
+        public int? VideoAnalysisId { get; set; } // Null once the video's analysis is deleted
+        public virtual VideoAnalysis? VideoAnalysis { get; set; }
+
+        [Required]
+        public string FilePath { get; set; } = string.Empty; // Original file when the job was queued
+        public string FileName { get; set; } = string.Empty;
+        public string? OutputPath { get; set; } // Replaced file, differs from FilePath after a remux to MP4
+
+        public OptimizationJobStatus Status { get; set; } = OptimizationJobStatus.Queued;
+        public bool DryRun { get; set; } // Convert and verify, but keep the original
+
+        public string Fixes { get; set; } = string.Empty; // Comma-separated FfmpegFixKind names
+        public string? Message { get; set; } // Result summary or error
+
+        public long? OriginalSize { get; set; }
+        public long? OutputSize { get; set; }
+
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+        public DateTime? StartedAt { get; set; }
+        public DateTime? CompletedAt { get; set; }
+    }
+
+    public enum OptimizationJobStatus
+    {
+        Queued,
+        Running,
+        Completed,
+        Failed,
+        Cancelled
+    }
+}
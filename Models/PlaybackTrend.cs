@@ -0,0 +1,38 @@
+using System;
+using System.Collections.Generic;
+
+namespace Optimarr.Models
+{
+    /// <summary>
+    /// Playbacks per play method in one day, week (starting Monday) or month, by UTC start time
+    /// </summary>
+    public class PlaybackTrendBucket
+    {
+        public DateTime Start { get; set; }
+        public int Total { get; set; }
+        public int DirectPlay { get; set; }
+        public int DirectStream { get; set; }
+        public int Transcode { get; set; }
+    }
+
+    /// <summary>
+    /// One client, device, user or library with its own buckets. "Other" sums the groups past the limit.
+    /// </summary>
+    public class PlaybackTrendGroup
+    {
+        public string Name { get; set; } = string.Empty;
+        public int Total { get; set; }
+        public int Transcode { get; set; }
+        public List<PlaybackTrendBucket> Buckets { get; set; } = new();
+    }
+
+    public class PlaybackTrendReport
+    {
+        public string Bucket { get; set; } = "day"; // day, week or month
+        public string SplitBy { get; set; } = "none"; // none, client, device, user or library
+        public DateTime? From { get; set; } // Start of the first bucket; null when there is no playback in range
+        public DateTime? To { get; set; }
+        public List<PlaybackTrendBucket> Buckets { get; set; } = new(); // Every bucket in range, empty ones included
+        public List<PlaybackTrendGroup> Groups { get; set; } = new(); // Largest first; empty without a split
+    }
+}
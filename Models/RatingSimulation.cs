@@ -0,0 +1,47 @@
+using System.Collections.Generic;
+
+namespace Optimarr.Models
+{
+    /// <summary>
+    /// What-if result of rating the library with unsaved media property settings, weights and thresholds
+    /// </summary>
+    public class RatingSimulationResult
+    {
+        public int TotalVideos { get; set; } // Non-broken videos
+        public int ChangedRatings { get; set; } // Videos whose 0-100 rating changes
+        public int ChangedScores { get; set; } // Videos that move between Optimal, Good and Poor
+        public double AverageRatingBefore { get; set; }
+        public double AverageRatingAfter { get; set; }
+        public RatingSimulationCounts Before { get; set; } = new();
+        public RatingSimulationCounts After { get; set; } = new();
+        public List<RatingSimulationTransition> Transitions { get; set; } = new(); // Only moves between different scores
+        public List<RatingSimulationSample> Samples { get; set; } = new(); // Score changes first, then the largest rating changes
+    }
+
+    public class RatingSimulationCounts
+    {
+        public int Optimal { get; set; }
+        public int Good { get; set; }
+        public int Poor { get; set; }
+    }
+
+    public class RatingSimulationTransition
+    {
+        public string From { get; set; } = string.Empty;
+        public string To { get; set; } = string.Empty;
+        public int Count { get; set; }
+    }
+
+    public class RatingSimulationSample
+    {
+        public int Id { get; set; }
+        public string FileName { get; set; } = string.Empty;
+        public string FilePath { get; set; } = string.Empty;
+        public int RatingBefore { get; set; }
+        public int RatingAfter { get; set; }
+        public string ScoreBefore { get; set; } = string.Empty;
+        public string ScoreAfter { get; set; } = string.Empty;
+        public List<string> NewIssues { get; set; } = new();
+        public List<string> ResolvedIssues { get; set; } = new();
+    }
+}
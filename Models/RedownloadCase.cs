@@ -0,0 +1,159 @@
+using System;
+using System.Collections.Generic;
+using System.Text.Json;
+
+namespace Optimarr.Models
+{
+    /// <summary>
+    /// One redownload of a movie or episode, from the Sonarr/Radarr search to the verdict on the new file.
+    /// The old analysis is kept as a snapshot, so the case survives the old VideoAnalysis row being deleted.
+    /// Followed by RedownloadService.
+    /// </summary>
+    public class RedownloadCase
+    {
+        public int Id { get; set; }
+
+        public int? VideoAnalysisId { get; set; } // The redownloaded video; null once its analysis is deleted
+        public virtual VideoAnalysis? VideoAnalysis { get; set; }
+
+        public string ServarrType { get; set; } = string.Empty; // Sonarr or Radarr
+        public int ServarrItemId { get; set; } // Sonarr episode ID or Radarr movie ID
+        public int? OldServarrFileId { get; set; } // Episode/movie file that was deleted; a file with another ID is the new one
+        public string Title { get; set; } = string.Empty; // "Series S01E02" or "Movie (2020)"
+
+        public string OldFilePath { get; set; } = string.Empty;
+        public string OldAnalysisJson { get; set; } = string.Empty; // VideoAnalysisHistory snapshot of the old file
+
+        public RedownloadCaseStatus Status { get; set; } = RedownloadCaseStatus.Searching;
+        public int Attempts { get; set; } = 1; // Searches started, including the first
+        public int? CommandId { get; set; } // Latest Sonarr/Radarr search command
+        public string? CommandStatus { get; set; }
+        public string? QueueStatus { get; set; } // e.g. "downloading 45%", while a release is in the download queue
+        public string? DownloadTitle { get; set; } // Release name of the last grab
+        public DateTime? GrabbedAt { get; set; }
+
+        public int? NewVideoAnalysisId { get; set; }
+        public virtual VideoAnalysis? NewVideoAnalysis { get; set; }
+        public string? NewFilePath { get; set; }
+        public string? NewAnalysisJson { get; set; } // Snapshot of the new file when the case was verified
+
+        public RedownloadVerdict? Verdict { get; set; }
+        public string? Message { get; set; } // Last status detail or the reason for the verdict
+
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+        public DateTime LastSearchAt { get; set; } = DateTime.UtcNow; // The wait period counts from here
+        public DateTime? LastCheckedAt { get; set; }
+        public DateTime? CompletedAt { get; set; }
+
+        /// <summary>
+        /// A case for a video whose file was just deleted in Sonarr/Radarr and searched for again
+        /// </summary>
+        public static RedownloadCase Open(VideoAnalysis video, string servarrType, int servarrItemId, int? oldServarrFileId, ServarrCommand command)
+        {
+            return new RedownloadCase
+            {
+                VideoAnalysisId = video.Id,
+                ServarrType = servarrType,
+                ServarrItemId = servarrItemId,
+                OldServarrFileId = oldServarrFileId,
+                Title = DescribeTitle(video),
+                OldFilePath = video.FilePath,
+                OldAnalysisJson = JsonSerializer.Serialize(VideoAnalysisHistory.FromAnalysis(video)),
+                CommandId = command.Id > 0 ? command.Id : null,
+                CommandStatus = string.IsNullOrEmpty(command.Status) ? "Search started" : $"Search {command.Status}"
+            };
+        }
+
+        private static string DescribeTitle(VideoAnalysis video)
+        {
+            if (!string.IsNullOrEmpty(video.SonarrSeriesTitle) && video.SonarrSeasonNumber.HasValue && video.SonarrEpisodeNumber.HasValue)
+            {
+                return $"{video.SonarrSeriesTitle} S{video.SonarrSeasonNumber:00}E{video.SonarrEpisodeNumber:00}";
+            }
+            if (!string.IsNullOrEmpty(video.RadarrMovieTitle))
+            {
+                return video.RadarrYear.HasValue ? $"{video.RadarrMovieTitle} ({video.RadarrYear})" : video.RadarrMovieTitle;
+            }
+            return video.FileName;
+        }
+    }
+
+    public enum RedownloadCaseStatus
+    {
+        Searching, // Search sent, nothing grabbed yet
+        Downloading, // A release is in the Sonarr/Radarr queue
+        Completed, // Verdict reached
+        Cancelled
+    }
+
+    public enum RedownloadVerdict
+    {
+        Improved,
+        Unchanged,
+        Worse,
+        NeverArrived
+    }
+
+    /// <summary>
+    /// Redownload section of appsettings.json
+    /// </summary>
+    public class RedownloadSettings
+    {
+        public int WaitHours { get; set; } = 24; // How long to wait for a file after each search
+        public int MaxAttempts { get; set; } = 3; // Searches before giving up, including the first
+    }
+
+    /// <summary>
+    /// One row of the redownload history, with the old and new file's rating and score
+    /// </summary>
+    public class RedownloadCaseSummary
+    {
+        public int Id { get; set; }
+        public int? VideoAnalysisId { get; set; }
+        public int? NewVideoAnalysisId { get; set; }
+        public string ServarrType { get; set; } = string.Empty;
+        public string Title { get; set; } = string.Empty;
+        public string OldFilePath { get; set; } = string.Empty;
+        public string? NewFilePath { get; set; }
+        public string Status { get; set; } = string.Empty;
+        public string? Verdict { get; set; }
+        public int Attempts { get; set; }
+        public int MaxAttempts { get; set; }
+        public string? CommandStatus { get; set; }
+        public string? QueueStatus { get; set; }
+        public string? DownloadTitle { get; set; }
+        public string? Message { get; set; }
+        public int? OldRating { get; set; }
+        public string? OldScore { get; set; }
+        public bool OldIsBroken { get; set; }
+        public int? NewRating { get; set; }
+        public string? NewScore { get; set; }
+        public bool NewIsBroken { get; set; }
+        public DateTime CreatedAt { get; set; }
+        public DateTime LastSearchAt { get; set; }
+        public DateTime? WaitUntil { get; set; } // When an open case is retried or given up, unless a release is downloading
+        public DateTime? GrabbedAt { get; set; }
+        public DateTime? LastCheckedAt { get; set; }
+        public DateTime? CompletedAt { get; set; }
+    }
+
+    /// <summary>
+    /// A case with the old and new analysis compared field by field
+    /// </summary>
+    public class RedownloadCaseDetail
+    {
+        public RedownloadCaseSummary Case { get; set; } = new();
+        public VideoAnalysisVersion? Before { get; set; }
+        public VideoAnalysisVersion? After { get; set; }
+        public VideoAnalysisDiff? Diff { get; set; }
+    }
+
+    public class RedownloadCasePage
+    {
+        public int TotalCount { get; set; }
+        public int Page { get; set; }
+        public int PageSize { get; set; }
+        public List<RedownloadCaseSummary> Cases { get; set; } = new();
+        public Dictionary<string, int> Counts { get; set; } = new(); // Open, Improved, Unchanged, Worse, NeverArrived, Cancelled
+    }
+}
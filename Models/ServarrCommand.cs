@@ -0,0 +1,33 @@
+using System;
+
+namespace Optimarr.Models
+{
+    /// <summary>
+    /// A Sonarr/Radarr command (/api/v3/command), e.g. the EpisodeSearch or MoviesSearch started by a redownload
+    /// </summary>
+    public class ServarrCommand
+    {
+        public int Id { get; set; }
+        public string Name { get; set; } = string.Empty;
+        public string Status { get; set; } = string.Empty; // queued, started, completed, failed, aborted, cancelled, orphaned
+        public string? Result { get; set; } // unknown, successful, unsuccessful
+        public string? Message { get; set; }
+        public DateTime? Ended { get; set; }
+    }
+
+    /// <summary>
+    /// A grabbed release in the Sonarr/Radarr download queue (/api/v3/queue/details). Only the fields Optimarr uses.
+    /// </summary>
+    public class ServarrQueueItem
+    {
+        public int Id { get; set; }
+        public string? Title { get; set; } // Release name
+        public string? Status { get; set; } // queued, paused, downloading, completed, delay, warning, failed, ...
+        public string? TrackedDownloadStatus { get; set; } // ok, warning, error
+        public string? TrackedDownloadState { get; set; } // downloading, importPending, importing, imported, failedPending, failed
+        public double Size { get; set; }
+        public double Sizeleft { get; set; }
+        public string? ErrorMessage { get; set; }
+        public string? DownloadClient { get; set; }
+    }
+}
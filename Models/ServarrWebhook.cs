@@ -0,0 +1,85 @@
+using System.Collections.Generic;
+using System.Text.Json;
+
+namespace Optimarr.Models
+{
+    /// <summary>
+    /// Sonarr Connect → Webhook payload. Only the fields Optimarr uses; paths are as Sonarr sees them.
+    /// </summary>
+    public class SonarrWebhookPayload
+    {
+        public string EventType { get; set; } = string.Empty; // Test, Download, Rename, EpisodeFileDelete, SeriesDelete, ...
+        public SonarrWebhookSeries? Series { get; set; }
+        public List<SonarrWebhookEpisode> Episodes { get; set; } = new();
+        public ServarrWebhookFile? EpisodeFile { get; set; }
+        public string? DeleteReason { get; set; } // EpisodeFileDelete: manual, missingFromDisk, upgrade, ...
+        public bool IsUpgrade { get; set; }
+        public List<ServarrWebhookFile> RenamedEpisodeFiles { get; set; } = new();
+
+        // A list of replaced files on Download, a boolean on SeriesDelete
+        public JsonElement DeletedFiles { get; set; }
+    }
+
+    public class SonarrWebhookSeries
+    {
+        public int Id { get; set; }
+        public string Title { get; set; } = string.Empty;
+        public string? Path { get; set; }
+    }
+
+    public class SonarrWebhookEpisode
+    {
+        public int Id { get; set; }
+        public int EpisodeNumber { get; set; }
+        public int SeasonNumber { get; set; }
+        public string? Title { get; set; }
+    }
+
+    /// <summary>
+    /// Radarr Connect → Webhook payload. Only the fields Optimarr uses; paths are as Radarr sees them.
+    /// </summary>
+    public class RadarrWebhookPayload
+    {
+        public string EventType { get; set; } = string.Empty; // Test, Download, Rename, MovieFileDelete, MovieDelete, ...
+        public RadarrWebhookMovie? Movie { get; set; }
+        public ServarrWebhookFile? MovieFile { get; set; }
+        public string? DeleteReason { get; set; } // MovieFileDelete: manual, missingFromDisk, upgrade, ...
+        public bool IsUpgrade { get; set; }
+        public List<ServarrWebhookFile> RenamedMovieFiles { get; set; } = new();
+
+        // A list of replaced files on Download, a boolean on MovieDelete
+        public JsonElement DeletedFiles { get; set; }
+    }
+
+    public class RadarrWebhookMovie
+    {
+        public int Id { get; set; }
+        public string Title { get; set; } = string.Empty;
+        public int? Year { get; set; }
+        public string? FolderPath { get; set; }
+    }
+
+    public class ServarrWebhookFile
+    {
+        public int Id { get; set; }
+        public string? Path { get; set; }
+        public string? PreviousPath { get; set; } // Rename events only
+    }
+
+    /// <summary>
+    /// What a webhook changed, per file (paths after path mapping)
+    /// </summary>
+    public class ServarrWebhookResult
+    {
+        public string EventType { get; set; } = string.Empty;
+        public List<ServarrWebhookFileResult> Files { get; set; } = new();
+    }
+
+    public class ServarrWebhookFileResult
+    {
+        public string FilePath { get; set; } = string.Empty;
+        public string Action { get; set; } = string.Empty; // analyzed, renamed, removed, skipped
+        public int? VideoId { get; set; }
+        public string? Message { get; set; }
+    }
+}
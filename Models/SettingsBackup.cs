@@ -0,0 +1,47 @@
+using System;
+using System.Collections.Generic;
+using System.Text.Json.Nodes;
+
+namespace Optimarr.Models
+{
+    /// <summary>
+    /// Versioned settings bundle for backup and restore. Each section holds the matching appsettings.json
+    /// section as-is (PascalCase keys); "browser" holds the Settings page's localStorage copy and is only
+    /// restored by the browser.
+    /// </summary>
+    public class SettingsBackup
+    {
+        public string Format { get; set; } = string.Empty; // Always "optimarr-settings"
+        public int Version { get; set; }
+        public DateTime ExportedAt { get; set; }
+        public string? AppVersion { get; set; }
+        public bool IncludesSecrets { get; set; } // False when API keys and passwords were left out
+        public Dictionary<string, JsonNode?> Sections { get; set; } = new();
+    }
+
+    public class SettingsBackupSectionInfo
+    {
+        public string Key { get; set; } = string.Empty;
+        public string Label { get; set; } = string.Empty;
+        public bool HasSecrets { get; set; } // Secrets missing from the bundle keep their current values on restore
+    }
+
+    public class SettingsBackupValidation
+    {
+        public bool Valid { get; set; }
+        public List<string> Errors { get; set; } = new();
+        public int Version { get; set; }
+        public DateTime ExportedAt { get; set; }
+        public string? AppVersion { get; set; }
+        public bool IncludesSecrets { get; set; }
+        public List<SettingsBackupSectionInfo> Sections { get; set; } = new(); // Sections present in the bundle
+    }
+
+    public class SettingsRestoreResult
+    {
+        public List<string> Merged { get; set; } = new();
+        public List<string> Replaced { get; set; } = new();
+        public List<string> Skipped { get; set; } = new();
+        public bool RatingSettingsChanged { get; set; } // Media properties, weights or thresholds were restored
+    }
+}
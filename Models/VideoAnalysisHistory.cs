@@ -0,0 +1,256 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Text.Json;
+
+namespace Optimarr.Models
+{
+    /// <summary>
+    /// A previous analysis of a video, kept when a rescan overwrites the VideoAnalysis row. Recorded by
+    /// AppDbContext whenever a saved VideoAnalysis gets a new AnalyzedAt and the analysis itself changed.
+    /// The full report and per-client results are not kept.
+    /// </summary>
+    public class VideoAnalysisHistory
+    {
+        public int Id { get; set; }
+
+        public int VideoAnalysisId { get; set; }
+        public virtual VideoAnalysis? VideoAnalysis { get; set; }
+
+        public DateTime AnalyzedAt { get; set; } // When this version was analyzed
+        public DateTime ReplacedAt { get; set; } = DateTime.UtcNow; // When a rescan replaced it
+
+        public long FileSize { get; set; }
+        public double Duration { get; set; }
+        public string Container { get; set; } = string.Empty;
+        public string VideoCodec { get; set; } = string.Empty;
+        public string VideoCodecTag { get; set; } = string.Empty;
+        public bool IsCodecTagCorrect { get; set; } = true;
+        public int BitDepth { get; set; }
+        public int Width { get; set; }
+        public int Height { get; set; }
+        public double FrameRate { get; set; }
+        public bool IsHDR { get; set; }
+        public string HDRType { get; set; } = string.Empty;
+        public bool IsFastStart { get; set; }
+
+        public string AudioCodecs { get; set; } = string.Empty;
+        public int AudioTrackCount { get; set; }
+        public string AudioTracksJson { get; set; } = string.Empty;
+        public string SubtitleFormats { get; set; } = string.Empty;
+        public int SubtitleTrackCount { get; set; }
+        public string SubtitleTracksJson { get; set; } = string.Empty;
+
+        public CompatibilityScore OverallScore { get; set; }
+        public int CompatibilityRating { get; set; }
+        public string Issues { get; set; } = string.Empty; // JSON array
+
+        public bool IsBroken { get; set; }
+        public string? BrokenReason { get; set; }
+
+        public static VideoAnalysisHistory FromAnalysis(VideoAnalysis video)
+        {
+            return new VideoAnalysisHistory
+            {
+                VideoAnalysisId = video.Id,
+                AnalyzedAt = video.AnalyzedAt,
+                FileSize = video.FileSize,
+                Duration = video.Duration,
+                Container = video.Container,
+                VideoCodec = video.VideoCodec,
+                VideoCodecTag = video.VideoCodecTag,
+                IsCodecTagCorrect = video.IsCodecTagCorrect,
+                BitDepth = video.BitDepth,
+                Width = video.Width,
+                Height = video.Height,
+                FrameRate = video.FrameRate,
+                IsHDR = video.IsHDR,
+                HDRType = video.HDRType,
+                IsFastStart = video.IsFastStart,
+                AudioCodecs = video.AudioCodecs,
+                AudioTrackCount = video.AudioTrackCount,
+                AudioTracksJson = video.AudioTracksJson,
+                SubtitleFormats = video.SubtitleFormats,
+                SubtitleTrackCount = video.SubtitleTrackCount,
+                SubtitleTracksJson = video.SubtitleTracksJson,
+                OverallScore = video.OverallScore,
+                CompatibilityRating = video.CompatibilityRating,
+                Issues = video.Issues,
+                IsBroken = video.IsBroken,
+                BrokenReason = video.BrokenReason
+            };
+        }
+    }
+
+    /// <summary>
+    /// One entry in a video's analysis history list. Id 0 is the current analysis.
+    /// </summary>
+    public class VideoAnalysisVersion
+    {
+        public int Id { get; set; }
+        public bool IsCurrent { get; set; }
+        public DateTime AnalyzedAt { get; set; }
+        public DateTime? ReplacedAt { get; set; }
+        public string Container { get; set; } = string.Empty;
+        public string VideoCodec { get; set; } = string.Empty;
+        public long FileSize { get; set; }
+        public int CompatibilityRating { get; set; }
+        public string OverallScore { get; set; } = string.Empty;
+        public bool IsBroken { get; set; }
+    }
+
+    public class VideoAnalysisFieldChange
+    {
+        public string Field { get; set; } = string.Empty; // camelCase VideoAnalysis property, or "resolution"
+        public string Label { get; set; } = string.Empty;
+        public object? Before { get; set; }
+        public object? After { get; set; }
+    }
+
+    /// <summary>
+    /// Field-level differences between two analyses of the same video, from the older to the newer one
+    /// </summary>
+    public class VideoAnalysisDiff
+    {
+        public int FromId { get; set; }
+        public int ToId { get; set; }
+        public DateTime FromAnalyzedAt { get; set; }
+        public DateTime ToAnalyzedAt { get; set; }
+        public List<VideoAnalysisFieldChange> Changes { get; set; } = new();
+        public List<string> AudioTracksAdded { get; set; } = new();
+        public List<string> AudioTracksRemoved { get; set; } = new();
+        public List<string> SubtitleTracksAdded { get; set; } = new();
+        public List<string> SubtitleTracksRemoved { get; set; } = new();
+        public List<string> IssuesAdded { get; set; } = new();
+        public List<string> IssuesRemoved { get; set; } = new();
+
+        public bool HasChanges =>
+            Changes.Count > 0 ||
+            AudioTracksAdded.Count > 0 || AudioTracksRemoved.Count > 0 ||
+            SubtitleTracksAdded.Count > 0 || SubtitleTracksRemoved.Count > 0 ||
+            IssuesAdded.Count > 0 || IssuesRemoved.Count > 0;
+
+        private static readonly JsonSerializerOptions TrackParseOptions = new() { PropertyNameCaseInsensitive = true };
+
+        /// <summary>
+        /// Compares the analysis fields, tracks and issues of two versions. AppDbContext uses it to skip
+        /// recording a rescan that found nothing new.
+        /// </summary>
+        public static VideoAnalysisDiff Compare(VideoAnalysisHistory from, VideoAnalysisHistory to)
+        {
+            var diff = new VideoAnalysisDiff
+            {
+                FromAnalyzedAt = from.AnalyzedAt,
+                ToAnalyzedAt = to.AnalyzedAt
+            };
+
+            void Add(string field, string label, object? before, object? after)
+            {
+                if (!Equals(before, after))
+                {
+                    diff.Changes.Add(new VideoAnalysisFieldChange { Field = field, Label = label, Before = before, After = after });
+                }
+            }
+
+            // Durations and frame rates are rounded so probe noise does not show up as a change
+            Add("videoCodec", "Video Codec", from.VideoCodec, to.VideoCodec);
+            Add("videoCodecTag", "Codec Tag", from.VideoCodecTag, to.VideoCodecTag);
+            Add("isCodecTagCorrect", "Codec Tag Correct", from.IsCodecTagCorrect, to.IsCodecTagCorrect);
+            Add("container", "Container", from.Container, to.Container);
+            Add("fileSize", "File Size", from.FileSize, to.FileSize);
+            Add("duration", "Duration", Math.Round(from.Duration, 1), Math.Round(to.Duration, 1));
+            Add("resolution", "Resolution", $"{from.Width}x{from.Height}", $"{to.Width}x{to.Height}");
+            Add("frameRate", "Frame Rate", Math.Round(from.FrameRate, 3), Math.Round(to.FrameRate, 3));
+            Add("bitDepth", "Bit Depth", from.BitDepth, to.BitDepth);
+            Add("isHDR", "HDR", from.IsHDR, to.IsHDR);
+            Add("hdrType", "HDR Type", from.HDRType, to.HDRType);
+            Add("isFastStart", "Fast Start", from.IsFastStart, to.IsFastStart);
+            Add("audioTrackCount", "Audio Tracks", from.AudioTrackCount, to.AudioTrackCount);
+            Add("subtitleTrackCount", "Subtitle Tracks", from.SubtitleTrackCount, to.SubtitleTrackCount);
+            Add("compatibilityRating", "Rating", from.CompatibilityRating, to.CompatibilityRating);
+            Add("overallScore", "Score", from.OverallScore.ToString(), to.OverallScore.ToString());
+            Add("isBroken", "Broken", from.IsBroken, to.IsBroken);
+            Add("brokenReason", "Broken Reason", from.BrokenReason ?? string.Empty, to.BrokenReason ?? string.Empty);
+
+            var audioBefore = DescribeAudioTracks(from.AudioTracksJson);
+            var audioAfter = DescribeAudioTracks(to.AudioTracksJson);
+            diff.AudioTracksAdded = Subtract(audioAfter, audioBefore);
+            diff.AudioTracksRemoved = Subtract(audioBefore, audioAfter);
+
+            var subtitlesBefore = DescribeSubtitleTracks(from.SubtitleTracksJson);
+            var subtitlesAfter = DescribeSubtitleTracks(to.SubtitleTracksJson);
+            diff.SubtitleTracksAdded = Subtract(subtitlesAfter, subtitlesBefore);
+            diff.SubtitleTracksRemoved = Subtract(subtitlesBefore, subtitlesAfter);
+
+            var issuesBefore = ReadStringList(from.Issues);
+            var issuesAfter = ReadStringList(to.Issues);
+            diff.IssuesAdded = issuesAfter.Except(issuesBefore).ToList();
+            diff.IssuesRemoved = issuesBefore.Except(issuesAfter).ToList();
+
+            return diff;
+        }
+
+        // Items of source that are not matched by an equal item in other, keeping duplicates (two identical
+        // AAC tracks replaced by one still shows one removed track)
+        private static List<string> Subtract(List<string> source, List<string> other)
+        {
+            var remaining = other.GroupBy(x => x).ToDictionary(g => g.Key, g => g.Count());
+            var result = new List<string>();
+            foreach (var item in source)
+            {
+                if (remaining.TryGetValue(item, out var count) && count > 0)
+                {
+                    remaining[item] = count - 1;
+                }
+                else
+                {
+                    result.Add(item);
+                }
+            }
+            return result;
+        }
+
+        private static List<string> DescribeAudioTracks(string json)
+        {
+            return ReadList<AudioTrack>(json)
+                .Select(t => string.Join(" ", new[]
+                {
+                    t.Codec,
+                    t.Channels > 0 ? $"{t.Channels}ch" : null,
+                    string.IsNullOrWhiteSpace(t.Language) ? null : t.Language
+                }.Where(part => !string.IsNullOrWhiteSpace(part))))
+                .ToList();
+        }
+
+        private static List<string> DescribeSubtitleTracks(string json)
+        {
+            return ReadList<SubtitleTrack>(json)
+                .Select(t => string.Join(" ", new[]
+                {
+                    t.Format,
+                    string.IsNullOrWhiteSpace(t.Language) ? null : t.Language,
+                    t.IsEmbedded ? null : "(External)"
+                }.Where(part => !string.IsNullOrWhiteSpace(part))))
+                .ToList();
+        }
+
+        private static List<string> ReadStringList(string json) => ReadList<string>(json);
+
+        private static List<T> ReadList<T>(string json)
+        {
+            if (string.IsNullOrWhiteSpace(json))
+            {
+                return new List<T>();
+            }
+
+            try
+            {
+                return JsonSerializer.Deserialize<List<T>>(json, TrackParseOptions) ?? new List<T>();
+            }
+            catch (JsonException)
+            {
+                return new List<T>();
+            }
+        }
+    }
+}
@@ -0,0 +1,47 @@
+using System;
+using System.ComponentModel.DataAnnotations;
+
+namespace Optimarr.Models
+{
+    /// <summary>
+    /// Browse filters for the video list. Property names match the /api/library/videos query parameters.
+    /// </summary>
+    public class VideoFilterCriteria
+    {
+        public int? LibraryPathId { get; set; }
+        public string? Codec { get; set; }
+        public string? Container { get; set; }
+        public string? Score { get; set; } // Optimal, Good, Poor
+        public string? Search { get; set; }
+        public bool? IsBroken { get; set; }
+        public string? ServarrFilter { get; set; } // synced, not-synced
+        public string? AudioCodec { get; set; }
+        public string? AudioChannel { get; set; } // mono, stereo, surround
+        public string? HdrSdr { get; set; } // hdr, sdr
+        public int? BitDepth { get; set; }
+        public string? SubtitleFormat { get; set; }
+        public string? BitrateRange { get; set; } // 0-5, 5-10, 10-20, 20-50, 50+
+        public int? ProfileId { get; set; } // Rate against this device profile instead of the global settings
+    }
+
+    /// <summary>
+    /// Named, saved Browse filter combination ("smart collection")
+    /// </summary>
+    public class FilterPreset
+    {
+        public int Id { get; set; }
+
+        [Required]
+        public string Name { get; set; } = string.Empty;
+
+        public string? Description { get; set; }
+
+        public string FiltersJson { get; set; } = "{}"; // Serialized VideoFilterCriteria
+
+        public string? SortBy { get; set; }
+        public string? SortOrder { get; set; }
+
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+        public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+    }
+}
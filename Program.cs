@@ -5,6 +5,9 @@ using System.Text.Json.Serialization;
 using Serilog;
 using Serilog.Events;
 using Microsoft.EntityFrameworkCore;
+using Microsoft.AspNetCore.Authentication;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.DataProtection;
 using System.Linq;
 
 // Configure Serilog
@@ -214,8 +217,21 @@ try
         new RadarrService(sp.GetRequiredService<IConfiguration>(), 
             sp.GetService<ILogger<RadarrService>>()));
     builder.Services.AddScoped<ServarrSyncService>();
+    builder.Services.AddScoped<ServarrWebhookService>();
     builder.Services.AddScoped<VideoServarrMatcherService>();
     builder.Services.AddSingleton<VideoMatchingProgressService>();
+    builder.Services.AddSingleton<PlaybackSyncProgressService>();
+    builder.Services.AddScoped<ClientMatrixService>();
+    builder.Services.AddScoped<PlaybackTrendService>();
+    builder.Services.AddScoped<VideoFilterService>();
+    builder.Services.AddScoped<VideoExportService>();
+    builder.Services.AddScoped<FfmpegPlannerService>();
+    builder.Services.AddScoped<LibraryReportService>();
+    builder.Services.AddScoped<RatingSimulationService>();
+    builder.Services.AddSingleton<AppSettingsFileService>();
+    builder.Services.AddScoped<SettingsBackupService>();
+    builder.Services.AddScoped<VideoAnalysisHistoryService>();
+    builder.Services.AddScoped<DuplicateDetectionService>();
     builder.Services.AddSingleton<JellyfinService>(sp => 
         new JellyfinService(sp.GetRequiredService<IConfiguration>(), 
             sp.GetService<ILogger<JellyfinService>>()));
@@ -224,6 +240,90 @@ try
     builder.Services.AddHostedService<DatabaseMigrationService>();
     builder.Services.AddHostedService<PlaybackSyncService>();
     builder.Services.AddHostedService<ProcessingRescanService>();
+    builder.Services.AddHostedService<ScheduledScanService>();
+
+    // Library watch mode: the controller refreshes the same instance that runs the watchers
+    builder.Services.AddSingleton<LibraryWatcherService>();
+    builder.Services.AddHostedService(sp => sp.GetRequiredService<LibraryWatcherService>());
+
+    // Optimization jobs: the controller queues and cancels on the same instance that runs ffmpeg
+    builder.Services.AddSingleton<OptimizationJobService>();
+    builder.Services.AddHostedService(sp => sp.GetRequiredService<OptimizationJobService>());
+
+    // Notifications: scanners and sync services publish to the same instance that delivers them
+    builder.Services.AddSingleton<NotificationService>();
+    builder.Services.AddHostedService(sp => sp.GetRequiredService<NotificationService>());
+
+    // Device profile ratings: controllers request a refresh on the instance that rates in the background
+    builder.Services.AddSingleton<DeviceProfileRatingService>();
+    builder.Services.AddHostedService(sp => sp.GetRequiredService<DeviceProfileRatingService>());
+
+    // Library snapshots: the dashboard can capture today's snapshot on the instance that records them hourly
+    builder.Services.AddSingleton<LibrarySnapshotService>();
+    builder.Services.AddHostedService(sp => sp.GetRequiredService<LibrarySnapshotService>());
+
+    // Redownload cases: the redownload endpoint wakes the same instance that follows them
+    builder.Services.AddSingleton<RedownloadService>();
+    builder.Services.AddHostedService(sp => sp.GetRequiredService<RedownloadService>());
+
+    // Audit log: [Audited] actions record on the same instance that prunes old entries daily
+    builder.Services.AddSingleton<AuditLogService>();
+    builder.Services.AddHostedService(sp => sp.GetRequiredService<AuditLogService>());
+
+    // Live updates: one instance serves both the collection loop and /api/events subscribers
+    builder.Services.AddSingleton<LiveUpdateService>();
+    builder.Services.AddHostedService(sp => sp.GetRequiredService<LiveUpdateService>());
+
+    // Authentication (optional, off until a user is set up in Settings): cookie sessions for the web UI and
+    // API keys for scripts and webhooks. The fallback policy covers every endpoint without [AllowAnonymous];
+    // AccessAuthorizationHandler lets requests through while authentication is disabled or for local addresses.
+    builder.Services.AddScoped<AuthService>();
+    builder.Services.AddDataProtection()
+        .SetApplicationName("Optimarr")
+        .PersistKeysToFileSystem(new DirectoryInfo(Path.Combine(dataDir, "keys")));
+    builder.Services.AddAuthentication(AuthService.PolicyScheme)
+        .AddPolicyScheme(AuthService.PolicyScheme, AuthService.PolicyScheme, options =>
+        {
+            options.ForwardDefaultSelector = context =>
+                ApiKeyAuthenticationHandler.GetApiKey(context.Request) != null ? AuthService.ApiKeyScheme : AuthService.CookieScheme;
+        })
+        .AddCookie(AuthService.CookieScheme, options =>
+        {
+            options.Cookie.Name = "Optimarr.Session";
+            options.Cookie.HttpOnly = true;
+            options.Cookie.SameSite = SameSiteMode.Lax;
+            options.ExpireTimeSpan = TimeSpan.FromDays(30);
+            options.SlidingExpiration = true;
+            // The SPA shows its own login page, so API calls get status codes instead of redirects
+            options.Events.OnRedirectToLogin = context =>
+            {
+                context.Response.StatusCode = StatusCodes.Status401Unauthorized;
+                return Task.CompletedTask;
+            };
+            options.Events.OnRedirectToAccessDenied = context =>
+            {
+                context.Response.StatusCode = StatusCodes.Status403Forbidden;
+                return Task.CompletedTask;
+            };
+            // Changing the username or password ends existing sessions
+            options.Events.OnValidatePrincipal = context =>
+            {
+                var settings = AuthService.ReadSettings(context.HttpContext.RequestServices.GetRequiredService<IConfiguration>());
+                if (context.Principal == null || !AuthService.IsSessionValid(context.Principal, settings))
+                {
+                    context.RejectPrincipal();
+                }
+                return Task.CompletedTask;
+            };
+        })
+        .AddScheme<AuthenticationSchemeOptions, ApiKeyAuthenticationHandler>(AuthService.ApiKeyScheme, null);
+    builder.Services.AddSingleton<IAuthorizationHandler, AccessAuthorizationHandler>();
+    builder.Services.AddAuthorization(options =>
+    {
+        options.FallbackPolicy = new AuthorizationPolicyBuilder()
+            .AddRequirements(new AccessRequirement())
+            .Build();
+    });
 
     // CORS for local development
     builder.Services.AddCors(options =>
@@ -334,12 +434,13 @@ try
     app.UseDefaultFiles();
     app.UseStaticFiles();
 
+    app.UseAuthentication();
     app.UseAuthorization();
 
     app.MapControllers();
 
-    // Fallback to index.html for SPA routing
-    app.MapFallbackToFile("index.html");
+    // Fallback to index.html for SPA routing (the SPA shows the login page itself)
+    app.MapFallbackToFile("index.html").AllowAnonymous();
 
     Log.Information("optimarr application started successfully");
     app.Run();
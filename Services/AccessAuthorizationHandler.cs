@@ -0,0 +1,40 @@
+using Microsoft.AspNetCore.Authorization;
+
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// Requirement of the fallback authorization policy, so it covers every endpoint without [AllowAnonymous]
+    /// </summary>
+    public class AccessRequirement : IAuthorizationRequirement
+    {
+    }
+
+    /// <summary>
+    /// Grants access when authentication is disabled, when the request is signed in or carries a valid API
+    /// key, or when it comes from a local address and the local bypass is on. Settings are read on every
+    /// request, so changes apply without a restart.
+    /// </summary>
+    public class AccessAuthorizationHandler : AuthorizationHandler<AccessRequirement>
+    {
+        private readonly IConfiguration _configuration;
+
+        public AccessAuthorizationHandler(IConfiguration configuration)
+        {
+            _configuration = configuration;
+        }
+
+        protected override Task HandleRequirementAsync(AuthorizationHandlerContext context, AccessRequirement requirement)
+        {
+            var settings = AuthService.ReadSettings(_configuration);
+
+            if (!settings.Enabled ||
+                context.User.Identity?.IsAuthenticated == true ||
+                (settings.BypassLocalAddresses && context.Resource is HttpContext httpContext && AuthService.IsLocalRequest(httpContext)))
+            {
+                context.Succeed(requirement);
+            }
+
+            return Task.CompletedTask;
+        }
+    }
+}
@@ -0,0 +1,59 @@
+using System.Security.Claims;
+using System.Text.Encodings.Web;
+using Microsoft.AspNetCore.Authentication;
+using Microsoft.Extensions.Options;
+
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// Authenticates requests carrying an API key in the X-Api-Key header (or the apikey query parameter).
+    /// Requests without a key are left to the cookie session.
+    /// </summary>
+    public class ApiKeyAuthenticationHandler : AuthenticationHandler<AuthenticationSchemeOptions>
+    {
+        private readonly AuthService _authService;
+
+        public ApiKeyAuthenticationHandler(
+            IOptionsMonitor<AuthenticationSchemeOptions> options,
+            ILoggerFactory logger,
+            UrlEncoder encoder,
+            AuthService authService)
+            : base(options, logger, encoder)
+        {
+            _authService = authService;
+        }
+
+        public static string? GetApiKey(HttpRequest request)
+        {
+            var key = request.Headers[AuthService.ApiKeyHeader].ToString();
+            if (string.IsNullOrWhiteSpace(key))
+            {
+                key = request.Query[AuthService.ApiKeyQueryParameter].ToString();
+            }
+            return string.IsNullOrWhiteSpace(key) ? null : key;
+        }
+
+        protected override async Task<AuthenticateResult> HandleAuthenticateAsync()
+        {
+            var key = GetApiKey(Request);
+            if (key == null)
+            {
+                return AuthenticateResult.NoResult();
+            }
+
+            var apiKey = await _authService.FindApiKeyAsync(key);
+            if (apiKey == null)
+            {
+                Logger.LogWarning("Rejected invalid API key from {RemoteIp} for {Path}", Context.Connection.RemoteIpAddress, Request.Path);
+                return AuthenticateResult.Fail("Invalid API key");
+            }
+
+            var identity = new ClaimsIdentity(new[]
+            {
+                new Claim(ClaimTypes.Name, apiKey.Name),
+                new Claim(AuthService.AuthMethodClaim, "apikey")
+            }, Scheme.Name);
+            return AuthenticateResult.Success(new AuthenticationTicket(new ClaimsPrincipal(identity), Scheme.Name));
+        }
+    }
+}
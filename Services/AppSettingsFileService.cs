@@ -0,0 +1,99 @@
+using System.Text.Json;
+using System.Text.Json.Nodes;
+
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// Reads and writes appsettings.json for the services that save settings (authentication, audit log
+    /// retention, redownloads, settings restore). Updates are read-modify-write under one lock, so two saves
+    /// at the same time cannot drop each other's section, and the configuration is reloaded afterwards.
+    /// </summary>
+    public class AppSettingsFileService
+    {
+        private static readonly JsonSerializerOptions WriteOptions = new() { WriteIndented = true };
+
+        private readonly IConfiguration _configuration;
+        private readonly IWebHostEnvironment _environment;
+        private readonly ILogger<AppSettingsFileService> _logger;
+        private readonly SemaphoreSlim _lock = new(1, 1);
+
+        public AppSettingsFileService(IConfiguration configuration, IWebHostEnvironment environment, ILogger<AppSettingsFileService> logger)
+        {
+            _configuration = configuration;
+            _environment = environment;
+            _logger = logger;
+        }
+
+        // Same lookup as the other settings endpoints: config/appsettings.json, then the root file
+        public string GetAppSettingsPath()
+        {
+            var configAppsettingsPath = Path.Combine(_environment.ContentRootPath, "config", "appsettings.json");
+            var rootAppsettingsPath = Path.Combine(_environment.ContentRootPath, "appsettings.json");
+
+            if (File.Exists(configAppsettingsPath)) return configAppsettingsPath;
+            if (File.Exists(rootAppsettingsPath)) return rootAppsettingsPath;
+            return configAppsettingsPath;
+        }
+
+        /// <summary>
+        /// The current file contents; empty when there is no file yet
+        /// </summary>
+        public async Task<JsonObject> ReadAsync(CancellationToken cancellationToken = default)
+        {
+            var path = GetAppSettingsPath();
+            if (!File.Exists(path))
+            {
+                return new JsonObject();
+            }
+
+            return JsonNode.Parse(await File.ReadAllTextAsync(path, cancellationToken)) as JsonObject ?? new JsonObject();
+        }
+
+        public Task UpdateAsync(Action<JsonObject> update, CancellationToken cancellationToken = default)
+        {
+            return UpdateAsync(root =>
+            {
+                update(root);
+                return true;
+            }, cancellationToken);
+        }
+
+        /// <summary>
+        /// Applies update to the current file contents and writes them back, unless update returns false.
+        /// An exception thrown by update leaves the file as it was.
+        /// </summary>
+        public async Task UpdateAsync(Func<JsonObject, bool> update, CancellationToken cancellationToken = default)
+        {
+            await _lock.WaitAsync(cancellationToken);
+            try
+            {
+                var root = await ReadAsync(cancellationToken);
+                if (!update(root))
+                {
+                    return;
+                }
+
+                var path = GetAppSettingsPath();
+                var directory = Path.GetDirectoryName(path);
+                if (!string.IsNullOrEmpty(directory))
+                {
+                    Directory.CreateDirectory(directory);
+                }
+                await File.WriteAllTextAsync(path, root.ToJsonString(WriteOptions), cancellationToken);
+            }
+            finally
+            {
+                _lock.Release();
+            }
+
+            if (_configuration is IConfigurationRoot configRoot)
+            {
+                configRoot.Reload();
+            }
+            else
+            {
+                _logger.LogWarning("Configuration is not IConfigurationRoot, cannot reload. Changes may not take effect until restart.");
+            }
+        }
+    }
+}
@@ -0,0 +1,220 @@
+using System.Diagnostics;
+using System.Text.Json;
+using System.Text.Json.Nodes;
+using System.Text.Json.Serialization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.Filters;
+using Microsoft.AspNetCore.Mvc.Infrastructure;
+using Optimarr.Models;
+
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// Records the action in the audit log: [Audited("Library", "Delete library")]
+    /// </summary>
+    [AttributeUsage(AttributeTargets.Method)]
+    public class AuditedAttribute : TypeFilterAttribute
+    {
+        public AuditedAttribute(string category, string action) : base(typeof(AuditActionFilter))
+        {
+            Arguments = new object[] { category, action };
+        }
+    }
+
+    /// <summary>
+    /// Writes an AuditLogEntry for an [Audited] action once it has run: the caller (signed-in user, API key,
+    /// local bypass or anonymous), the action arguments with secrets masked, and the status code and
+    /// message of the response.
+    /// </summary>
+    public class AuditActionFilter : IAsyncActionFilter
+    {
+        private const int MaxPayloadLength = 4000;
+        private const int MaxMessageLength = 1000;
+        private const string Mask = "***";
+
+        // Property names whose string values are replaced with Mask (apiKey, password, passwordHash, smtpPassword, ...)
+        private static readonly string[] SecretNameParts = { "password", "apikey", "secret", "token" };
+
+        private static readonly JsonSerializerOptions SerializerOptions = new()
+        {
+            PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+            Converters = { new JsonStringEnumConverter() }
+        };
+
+        private readonly string _category;
+        private readonly string _action;
+        private readonly AuditLogService _auditLogService;
+        private readonly IConfiguration _configuration;
+        private readonly ILogger<AuditActionFilter> _logger;
+
+        public AuditActionFilter(string category, string action, AuditLogService auditLogService, IConfiguration configuration, ILogger<AuditActionFilter> logger)
+        {
+            _category = category;
+            _action = action;
+            _auditLogService = auditLogService;
+            _configuration = configuration;
+            _logger = logger;
+        }
+
+        public async Task OnActionExecutionAsync(ActionExecutingContext context, ActionExecutionDelegate next)
+        {
+            var payload = SerializePayload(context.ActionArguments);
+            var stopwatch = Stopwatch.StartNew();
+
+            var executed = await next();
+            stopwatch.Stop();
+
+            var httpContext = context.HttpContext;
+            var (actor, authMethod) = GetActor(httpContext);
+            int statusCode;
+            string? message;
+
+            if (executed.Exception != null && !executed.ExceptionHandled)
+            {
+                statusCode = StatusCodes.Status500InternalServerError;
+                message = executed.Exception.Message;
+            }
+            else
+            {
+                statusCode = executed.Result is IStatusCodeActionResult result ? result.StatusCode ?? StatusCodes.Status200OK : StatusCodes.Status200OK;
+                message = ReadMessage((executed.Result as ObjectResult)?.Value);
+            }
+
+            await _auditLogService.RecordAsync(new AuditLogEntry
+            {
+                Category = _category,
+                Action = _action,
+                Actor = actor,
+                AuthMethod = authMethod,
+                RemoteIp = httpContext.Connection.RemoteIpAddress?.ToString(),
+                HttpMethod = httpContext.Request.Method,
+                Path = httpContext.Request.Path + MaskQueryString(httpContext.Request.QueryString.Value),
+                Payload = payload,
+                StatusCode = statusCode,
+                Success = statusCode < 400,
+                Message = Truncate(message, MaxMessageLength),
+                DurationMs = stopwatch.ElapsedMilliseconds
+            });
+        }
+
+        private (string Actor, string AuthMethod) GetActor(HttpContext httpContext)
+        {
+            var user = httpContext.User;
+            if (user.Identity?.IsAuthenticated == true)
+            {
+                return (user.Identity.Name ?? "Unknown", user.FindFirst(AuthService.AuthMethodClaim)?.Value ?? "session");
+            }
+
+            var settings = AuthService.ReadSettings(_configuration);
+            if (settings.Enabled && settings.BypassLocalAddresses && AuthService.IsLocalRequest(httpContext))
+            {
+                return ("Local network", "local");
+            }
+
+            return ("Anonymous", "none");
+        }
+
+        private string? SerializePayload(IDictionary<string, object?> arguments)
+        {
+            var values = arguments
+                .Where(a => a.Value != null && a.Value is not CancellationToken && a.Value is not IFormFile && a.Value is not Stream)
+                .ToDictionary(a => a.Key, a => a.Value);
+            if (values.Count == 0)
+            {
+                return null;
+            }
+
+            try
+            {
+                var node = JsonSerializer.SerializeToNode(values, SerializerOptions);
+                MaskSecrets(node);
+                return Truncate(node?.ToJsonString(), MaxPayloadLength);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogDebug(ex, "Could not serialize audit payload for {Action}", _action);
+                return null;
+            }
+        }
+
+        private static void MaskSecrets(JsonNode? node)
+        {
+            if (node is JsonObject obj)
+            {
+                foreach (var property in obj.ToList())
+                {
+                    var name = property.Key.ToLowerInvariant();
+                    if (SecretNameParts.Any(name.Contains) && property.Value is JsonValue value &&
+                        value.TryGetValue<string>(out var text) && !string.IsNullOrEmpty(text))
+                    {
+                        obj[property.Key] = Mask;
+                    }
+                    else
+                    {
+                        MaskSecrets(property.Value);
+                    }
+                }
+            }
+            else if (node is JsonArray array)
+            {
+                foreach (var item in array)
+                {
+                    MaskSecrets(item);
+                }
+            }
+        }
+
+        // Webhook senders may pass their API key as ?apikey=, which must not end up in the log
+        private static string MaskQueryString(string? queryString)
+        {
+            if (string.IsNullOrEmpty(queryString))
+            {
+                return string.Empty;
+            }
+
+            var parameters = queryString.TrimStart('?').Split('&').Select(parameter =>
+            {
+                var separator = parameter.IndexOf('=');
+                if (separator < 0)
+                {
+                    return parameter;
+                }
+
+                var name = Uri.UnescapeDataString(parameter[..separator]).ToLowerInvariant();
+                return SecretNameParts.Any(name.Contains) ? $"{parameter[..separator]}={Mask}" : parameter;
+            });
+            return "?" + string.Join("&", parameters);
+        }
+
+        // The "error" or "message" of responses like new { error = "..." }
+        private static string? ReadMessage(object? value)
+        {
+            if (value == null)
+            {
+                return null;
+            }
+            if (value is string text)
+            {
+                return text;
+            }
+
+            try
+            {
+                if (JsonSerializer.SerializeToNode(value, SerializerOptions) is JsonObject obj)
+                {
+                    return (obj["error"] ?? obj["message"]) is JsonValue message && message.TryGetValue<string>(out var result) ? result : null;
+                }
+            }
+            catch (Exception)
+            {
+                // Responses that cannot be serialized here have no message to record
+            }
+            return null;
+        }
+
+        private static string? Truncate(string? value, int maxLength)
+        {
+            return value == null || value.Length <= maxLength ? value : value[..maxLength] + "…";
+        }
+    }
+}
@@ -0,0 +1,194 @@
+using System.Text.Json.Nodes;
+using Microsoft.EntityFrameworkCore;
+using Optimarr.Data;
+using Optimarr.Models;
+
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// Stores and queries the audit log (AuditLogEntries) and deletes entries older than
+    /// AuditLog:RetentionDays once a day. Entries are written in their own scope, so a failed action's
+    /// half-saved changes never ride along with its audit entry.
+    /// </summary>
+    public class AuditLogService : BackgroundService
+    {
+        public const int DefaultRetentionDays = 90;
+        private const int PruneBatchSize = 1000;
+        private static readonly TimeSpan PruneInterval = TimeSpan.FromDays(1);
+
+        private readonly IServiceScopeFactory _scopeFactory;
+        private readonly IConfiguration _configuration;
+        private readonly AppSettingsFileService _appSettingsFile;
+        private readonly ILogger<AuditLogService> _logger;
+
+        public AuditLogService(IServiceScopeFactory scopeFactory, IConfiguration configuration, AppSettingsFileService appSettingsFile, ILogger<AuditLogService> logger)
+        {
+            _scopeFactory = scopeFactory;
+            _configuration = configuration;
+            _appSettingsFile = appSettingsFile;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Days entries are kept; 0 keeps them forever
+        /// </summary>
+        public int GetRetentionDays()
+        {
+            return Math.Max(0, _configuration.GetValue("AuditLog:RetentionDays", DefaultRetentionDays));
+        }
+
+        public async Task RecordAsync(AuditLogEntry entry)
+        {
+            try
+            {
+                using var scope = _scopeFactory.CreateScope();
+                var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+                dbContext.AuditLogEntries.Add(entry);
+                await dbContext.SaveChangesAsync();
+            }
+            catch (Exception ex)
+            {
+                // Losing an audit entry must not fail the action it describes
+                _logger.LogError(ex, "Error recording audit entry {Category}/{Action} by {Actor}", entry.Category, entry.Action, entry.Actor);
+            }
+        }
+
+        /// <summary>
+        /// Entries matching the filters, newest first. success null means both; search matches the action,
+        /// path, payload and message.
+        /// </summary>
+        public async Task<AuditLogPage> QueryAsync(string? category, string? actor, bool? success, string? search, DateTime? from, DateTime? to, int page, int pageSize)
+        {
+            using var scope = _scopeFactory.CreateScope();
+            var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+
+            var query = dbContext.AuditLogEntries.AsNoTracking().AsQueryable();
+            if (!string.IsNullOrEmpty(category))
+            {
+                query = query.Where(e => e.Category == category);
+            }
+            if (!string.IsNullOrEmpty(actor))
+            {
+                query = query.Where(e => e.Actor == actor);
+            }
+            if (success.HasValue)
+            {
+                query = query.Where(e => e.Success == success.Value);
+            }
+            if (from.HasValue)
+            {
+                query = query.Where(e => e.Timestamp >= from.Value);
+            }
+            if (to.HasValue)
+            {
+                query = query.Where(e => e.Timestamp < to.Value);
+            }
+            if (!string.IsNullOrWhiteSpace(search))
+            {
+                var term = search.Trim().ToLower();
+                query = query.Where(e =>
+                    e.Action.ToLower().Contains(term) ||
+                    e.Path.ToLower().Contains(term) ||
+                    (e.Payload != null && e.Payload.ToLower().Contains(term)) ||
+                    (e.Message != null && e.Message.ToLower().Contains(term)));
+            }
+
+            page = Math.Max(1, page);
+            pageSize = Math.Clamp(pageSize, 1, 200);
+
+            return new AuditLogPage
+            {
+                TotalCount = await query.CountAsync(),
+                Page = page,
+                PageSize = pageSize,
+                Entries = await query
+                    .OrderByDescending(e => e.Timestamp)
+                    .ThenByDescending(e => e.Id)
+                    .Skip((page - 1) * pageSize)
+                    .Take(pageSize)
+                    .ToListAsync()
+            };
+        }
+
+        public async Task<AuditLogFilterOptions> GetFilterOptionsAsync()
+        {
+            using var scope = _scopeFactory.CreateScope();
+            var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+
+            return new AuditLogFilterOptions
+            {
+                Categories = await dbContext.AuditLogEntries.Select(e => e.Category).Distinct().OrderBy(c => c).ToListAsync(),
+                Actors = await dbContext.AuditLogEntries.Select(e => e.Actor).Distinct().OrderBy(a => a).ToListAsync()
+            };
+        }
+
+        /// <summary>
+        /// Writes AuditLog:RetentionDays to appsettings.json and prunes right away
+        /// </summary>
+        public async Task SaveRetentionDaysAsync(int retentionDays, CancellationToken cancellationToken = default)
+        {
+            await _appSettingsFile.UpdateAsync(root =>
+            {
+                root["AuditLog"] = new JsonObject { ["RetentionDays"] = retentionDays };
+            }, cancellationToken);
+
+            _logger.LogInformation("Audit log retention set to {Days} day(s)", retentionDays);
+            await PruneAsync(cancellationToken);
+        }
+
+        public async Task<int> PruneAsync(CancellationToken cancellationToken = default)
+        {
+            var retentionDays = GetRetentionDays();
+            if (retentionDays == 0)
+            {
+                return 0;
+            }
+
+            var cutoff = DateTime.UtcNow.AddDays(-retentionDays);
+            var deleted = 0;
+
+            using var scope = _scopeFactory.CreateScope();
+            var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+
+            while (!cancellationToken.IsCancellationRequested)
+            {
+                var expired = await dbContext.AuditLogEntries
+                    .Where(e => e.Timestamp < cutoff)
+                    .OrderBy(e => e.Id)
+                    .Take(PruneBatchSize)
+                    .ToListAsync(cancellationToken);
+                if (expired.Count == 0)
+                {
+                    break;
+                }
+
+                dbContext.AuditLogEntries.RemoveRange(expired);
+                await dbContext.SaveChangesAsync(cancellationToken);
+                deleted += expired.Count;
+            }
+
+            if (deleted > 0)
+            {
+                _logger.LogInformation("Deleted {Count} audit entries older than {Days} day(s)", deleted, retentionDays);
+            }
+            return deleted;
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            while (!stoppingToken.IsCancellationRequested)
+            {
+                try
+                {
+                    await PruneAsync(stoppingToken);
+                }
+                catch (Exception ex) when (ex is not OperationCanceledException)
+                {
+                    _logger.LogError(ex, "Error pruning the audit log");
+                }
+
+                await Task.Delay(PruneInterval, stoppingToken);
+            }
+        }
+    }
+}
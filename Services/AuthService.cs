@@ -0,0 +1,283 @@
+using System.Net;
+using System.Net.Sockets;
+using System.Security.Claims;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json.Nodes;
+using Microsoft.AspNetCore.Authentication.Cookies;
+using Microsoft.EntityFrameworkCore;
+using Optimarr.Data;
+using Optimarr.Models;
+
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// Optional authentication: one local user (PBKDF2 password hash in appsettings.json) who signs in to a
+    /// cookie session, and API keys for scripts and webhooks. Access itself is checked by
+    /// AccessAuthorizationHandler, which applies to every endpoint not marked [AllowAnonymous].
+    /// </summary>
+    public class AuthService
+    {
+        public const string SectionName = "Authentication";
+        public const string PolicyScheme = "Optimarr";
+        public const string CookieScheme = CookieAuthenticationDefaults.AuthenticationScheme;
+        public const string ApiKeyScheme = "ApiKey";
+        public const string ApiKeyHeader = "X-Api-Key";
+        public const string ApiKeyQueryParameter = "apikey"; // For webhook senders that cannot set headers
+        public const string AuthMethodClaim = "optimarr:auth_method"; // "session" or "apikey"
+        public const string SessionStampClaim = "optimarr:session_stamp";
+
+        private const int PasswordIterations = 100_000;
+        private static readonly TimeSpan ApiKeyUsageInterval = TimeSpan.FromMinutes(1);
+
+        private readonly AppDbContext _dbContext;
+        private readonly IConfiguration _configuration;
+        private readonly AppSettingsFileService _appSettingsFile;
+        private readonly ILogger<AuthService> _logger;
+
+        public AuthService(AppDbContext dbContext, IConfiguration configuration, AppSettingsFileService appSettingsFile, ILogger<AuthService> logger)
+        {
+            _dbContext = dbContext;
+            _configuration = configuration;
+            _appSettingsFile = appSettingsFile;
+            _logger = logger;
+        }
+
+        public static AuthenticationSettings ReadSettings(IConfiguration configuration)
+        {
+            var section = configuration.GetSection(SectionName);
+            var settings = new AuthenticationSettings
+            {
+                Enabled = section.GetValue("Enabled", false),
+                Username = section["Username"] ?? string.Empty,
+                PasswordHash = section["PasswordHash"] ?? string.Empty,
+                BypassLocalAddresses = section.GetValue("BypassLocalAddresses", true)
+            };
+
+            // A half-configured section (e.g. edited by hand) must not lock everyone out
+            if (string.IsNullOrEmpty(settings.Username) || string.IsNullOrEmpty(settings.PasswordHash))
+            {
+                settings.Enabled = false;
+            }
+
+            return settings;
+        }
+
+        public AuthenticationSettings GetSettings() => ReadSettings(_configuration);
+
+        public bool ValidateCredentials(string? username, string? password)
+        {
+            var settings = GetSettings();
+            if (string.IsNullOrEmpty(username) || string.IsNullOrEmpty(password))
+            {
+                return false;
+            }
+
+            // Always hash, so a wrong username takes as long as a wrong password
+            var passwordMatches = VerifyPassword(password, settings.PasswordHash);
+            return passwordMatches && string.Equals(username, settings.Username, StringComparison.OrdinalIgnoreCase);
+        }
+
+        public ClaimsPrincipal CreateSessionPrincipal()
+        {
+            var settings = GetSettings();
+            var identity = new ClaimsIdentity(new[]
+            {
+                new Claim(ClaimTypes.Name, settings.Username),
+                new Claim(AuthMethodClaim, "session"),
+                new Claim(SessionStampClaim, GetSessionStamp(settings))
+            }, CookieScheme);
+            return new ClaimsPrincipal(identity);
+        }
+
+        /// <summary>
+        /// False once the username or password changed after the session was issued, which signs out
+        /// every other browser.
+        /// </summary>
+        public static bool IsSessionValid(ClaimsPrincipal principal, AuthenticationSettings settings)
+        {
+            return principal.FindFirst(SessionStampClaim)?.Value == GetSessionStamp(settings);
+        }
+
+        private static string GetSessionStamp(AuthenticationSettings settings)
+        {
+            var bytes = SHA256.HashData(Encoding.UTF8.GetBytes($"{settings.Username.ToLowerInvariant()}\n{settings.PasswordHash}"));
+            return Convert.ToHexString(bytes, 0, 8);
+        }
+
+        /// <summary>
+        /// Writes the Authentication section. A null or empty password keeps the stored hash.
+        /// </summary>
+        public async Task SaveSettingsAsync(bool enabled, string username, string? newPassword, bool bypassLocalAddresses)
+        {
+            var current = GetSettings();
+            var passwordHash = string.IsNullOrEmpty(newPassword)
+                ? _configuration[$"{SectionName}:PasswordHash"] ?? string.Empty
+                : HashPassword(newPassword);
+
+            await _appSettingsFile.UpdateAsync(root =>
+            {
+                root[SectionName] = new JsonObject
+                {
+                    ["Enabled"] = enabled,
+                    ["Username"] = username.Trim(),
+                    ["PasswordHash"] = passwordHash,
+                    ["BypassLocalAddresses"] = bypassLocalAddresses
+                };
+            });
+
+            _logger.LogInformation("Authentication settings saved (enabled: {Enabled}, bypass local addresses: {Bypass}, password changed: {PasswordChanged})",
+                enabled, bypassLocalAddresses, !string.IsNullOrEmpty(newPassword));
+            if (current.Enabled != enabled)
+            {
+                _logger.LogWarning("Authentication {State}", enabled ? "enabled" : "disabled");
+            }
+        }
+
+        public static string HashPassword(string password)
+        {
+            var salt = RandomNumberGenerator.GetBytes(16);
+            var hash = Rfc2898DeriveBytes.Pbkdf2(password, salt, PasswordIterations, HashAlgorithmName.SHA256, 32);
+            return $"pbkdf2-sha256${PasswordIterations}${Convert.ToBase64String(salt)}${Convert.ToBase64String(hash)}";
+        }
+
+        public static bool VerifyPassword(string password, string storedHash)
+        {
+            var parts = storedHash.Split('$');
+            if (parts.Length != 4 || parts[0] != "pbkdf2-sha256" || !int.TryParse(parts[1], out var iterations))
+            {
+                // Still do the work, so an unset password does not answer faster
+                Rfc2898DeriveBytes.Pbkdf2(password, new byte[16], PasswordIterations, HashAlgorithmName.SHA256, 32);
+                return false;
+            }
+
+            try
+            {
+                var salt = Convert.FromBase64String(parts[2]);
+                var expected = Convert.FromBase64String(parts[3]);
+                var actual = Rfc2898DeriveBytes.Pbkdf2(password, salt, iterations, HashAlgorithmName.SHA256, expected.Length);
+                return CryptographicOperations.FixedTimeEquals(actual, expected);
+            }
+            catch (FormatException)
+            {
+                return false;
+            }
+        }
+
+        public async Task<List<ApiKey>> GetApiKeysAsync()
+        {
+            return await _dbContext.ApiKeys
+                .AsNoTracking()
+                .OrderBy(k => k.Name)
+                .ToListAsync();
+        }
+
+        /// <summary>
+        /// Creates a key and returns it with the plain key, which is not stored and cannot be shown again
+        /// </summary>
+        public async Task<(ApiKey ApiKey, string Key)> CreateApiKeyAsync(string name)
+        {
+            var key = Convert.ToHexString(RandomNumberGenerator.GetBytes(16)).ToLowerInvariant();
+            var apiKey = new ApiKey
+            {
+                Name = name.Trim(),
+                KeyHash = HashApiKey(key),
+                KeyPrefix = key[..6]
+            };
+
+            _dbContext.ApiKeys.Add(apiKey);
+            await _dbContext.SaveChangesAsync();
+
+            _logger.LogInformation("Created API key {Name} ({Prefix}...)", apiKey.Name, apiKey.KeyPrefix);
+            return (apiKey, key);
+        }
+
+        public async Task<bool> DeleteApiKeyAsync(int id)
+        {
+            var apiKey = await _dbContext.ApiKeys.FirstOrDefaultAsync(k => k.Id == id);
+            if (apiKey == null)
+            {
+                return false;
+            }
+
+            _dbContext.ApiKeys.Remove(apiKey);
+            await _dbContext.SaveChangesAsync();
+
+            _logger.LogInformation("Revoked API key {Name} ({Prefix}...)", apiKey.Name, apiKey.KeyPrefix);
+            return true;
+        }
+
+        /// <summary>
+        /// The API key matching key, or null. Records when the key was last used (at most once a minute).
+        /// </summary>
+        public async Task<ApiKey?> FindApiKeyAsync(string key)
+        {
+            var keyHash = HashApiKey(key.Trim());
+            var apiKey = await _dbContext.ApiKeys.FirstOrDefaultAsync(k => k.KeyHash == keyHash);
+            if (apiKey == null)
+            {
+                return null;
+            }
+
+            if (apiKey.LastUsedAt == null || DateTime.UtcNow - apiKey.LastUsedAt.Value > ApiKeyUsageInterval)
+            {
+                apiKey.LastUsedAt = DateTime.UtcNow;
+                await _dbContext.SaveChangesAsync();
+            }
+
+            return apiKey;
+        }
+
+        private static string HashApiKey(string key)
+        {
+            return Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(key))).ToLowerInvariant();
+        }
+
+        /// <summary>
+        /// Whether the request comes from the local network. Behind a reverse proxy on the local network every
+        /// request comes from the proxy, so the last X-Forwarded-For entry (the one the proxy added) decides.
+        /// </summary>
+        public static bool IsLocalRequest(HttpContext context)
+        {
+            var address = context.Connection.RemoteIpAddress;
+            if (address == null || !IsLocalAddress(address))
+            {
+                return false;
+            }
+
+            var forwardedFor = context.Request.Headers["X-Forwarded-For"].ToString();
+            if (!string.IsNullOrWhiteSpace(forwardedFor))
+            {
+                var client = forwardedFor.Split(',').Last().Trim();
+                return IPAddress.TryParse(client, out var clientAddress) && IsLocalAddress(clientAddress);
+            }
+
+            return true;
+        }
+
+        // Loopback, private IPv4 ranges, link-local and IPv6 unique local addresses
+        public static bool IsLocalAddress(IPAddress address)
+        {
+            if (address.IsIPv4MappedToIPv6)
+            {
+                address = address.MapToIPv4();
+            }
+
+            if (IPAddress.IsLoopback(address))
+            {
+                return true;
+            }
+
+            if (address.AddressFamily == AddressFamily.InterNetwork)
+            {
+                var bytes = address.GetAddressBytes();
+                return bytes[0] == 10 ||
+                       (bytes[0] == 172 && bytes[1] >= 16 && bytes[1] <= 31) ||
+                       (bytes[0] == 192 && bytes[1] == 168) ||
+                       (bytes[0] == 169 && bytes[1] == 254);
+            }
+
+            return address.IsIPv6LinkLocal || address.IsIPv6SiteLocal || address.IsIPv6UniqueLocal;
+        }
+    }
+}
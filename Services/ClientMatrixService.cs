@@ -0,0 +1,338 @@
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using Optimarr.Data;
+using Optimarr.Models;
+
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// Builds per-client Direct Play / Remux / Transcode matrices for a video or a whole library.
+    /// Since 1.2.0 the analyzer no longer predicts client behaviour from a hardcoded table, so cells come from
+    /// (in order of preference) observed Jellyfin playback of the video, ClientResults stored by scans made
+    /// before 1.2.0, and observed playback of other files with the same media profile.
+    /// </summary>
+    public class ClientMatrixService
+    {
+        public const string DirectPlay = "Direct Play";
+        public const string Remux = "Remux";
+        public const string Transcode = "Transcode";
+        public const string Unknown = "Unknown";
+
+        private readonly AppDbContext _dbContext;
+        private readonly ILogger<ClientMatrixService> _logger;
+
+        public ClientMatrixService(AppDbContext dbContext, ILogger<ClientMatrixService> logger)
+        {
+            _dbContext = dbContext;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Builds the matrix for a single video. Returns null if the video does not exist.
+        /// </summary>
+        public async Task<VideoClientMatrix?> GetVideoMatrixAsync(int videoId, string? groupBy = null)
+        {
+            var video = await _dbContext.VideoAnalyses
+                .AsNoTracking()
+                .FirstOrDefaultAsync(v => v.Id == videoId);
+
+            if (video == null)
+            {
+                return null;
+            }
+
+            var mode = NormalizeGroupBy(groupBy);
+            var samples = await LoadPlaybackSamplesAsync(mode);
+            var matrix = new VideoClientMatrix { VideoId = videoId, GroupBy = mode };
+
+            // Stored results are keyed by client name, so they only apply when grouping by client
+            if (mode == "client")
+            {
+                foreach (var (client, result) in ParseClientResults(video.ClientResults))
+                {
+                    matrix.Cells[client] = new ClientMatrixCell
+                    {
+                        Status = result.Status,
+                        Source = "Stored",
+                        SampleCount = 1,
+                        Reason = string.IsNullOrEmpty(result.Reason) ? null : result.Reason
+                    };
+                }
+            }
+
+            // Actual playback of this file always wins over stored or predicted results
+            foreach (var group in samples.Where(s => s.VideoId == videoId).GroupBy(s => s.Key))
+            {
+                var latest = group.OrderByDescending(s => s.StartTime).First();
+                matrix.Cells[group.Key] = new ClientMatrixCell
+                {
+                    Status = latest.Status,
+                    Source = "Observed",
+                    SampleCount = group.Count(),
+                    LastSeen = latest.StartTime,
+                    Reason = latest.TranscodeReason
+                };
+            }
+
+            var profile = GetProfileKey(video.Container, video.VideoCodec, video.BitDepth, video.IsHDR, video.AudioCodecs);
+            var similarGroups = samples
+                .Where(s => s.VideoId != videoId && s.Profile == profile)
+                .GroupBy(s => s.Key);
+
+            foreach (var group in similarGroups)
+            {
+                if (matrix.Cells.ContainsKey(group.Key))
+                {
+                    continue;
+                }
+
+                // One vote per similar file (its latest playback on this client)
+                var perVideo = group
+                    .GroupBy(s => s.VideoId)
+                    .Select(g => g.OrderByDescending(s => s.StartTime).First())
+                    .ToList();
+
+                matrix.Cells[group.Key] = new ClientMatrixCell
+                {
+                    Status = PredictStatus(perVideo.Select(s => s.Status)),
+                    Source = "Similar",
+                    SampleCount = perVideo.Count,
+                    LastSeen = perVideo.Max(s => s.StartTime)
+                };
+            }
+
+            // Show every known client so missing data is visible as well
+            matrix.Clients = samples.Select(s => s.Key)
+                .Concat(matrix.Cells.Keys)
+                .Distinct()
+                .OrderBy(c => c, StringComparer.OrdinalIgnoreCase)
+                .ToList();
+
+            return matrix;
+        }
+
+        /// <summary>
+        /// Counts videos per outcome for every client (or device), optionally limited to one library
+        /// </summary>
+        public async Task<LibraryClientMatrix> GetLibraryMatrixAsync(int? libraryPathId = null, string? groupBy = null)
+        {
+            var mode = NormalizeGroupBy(groupBy);
+            var query = _dbContext.VideoAnalyses.AsNoTracking().Where(v => !v.IsBroken);
+
+            if (libraryPathId.HasValue)
+            {
+                var libraryPath = await _dbContext.LibraryPaths
+                    .AsNoTracking()
+                    .FirstOrDefaultAsync(lp => lp.Id == libraryPathId.Value);
+                var filterPath = libraryPath?.Path ?? string.Empty;
+                query = query.Where(v => v.LibraryScan != null && v.LibraryScan.LibraryPath == filterPath);
+            }
+
+            var videos = await query
+                .Select(v => new
+                {
+                    v.Id,
+                    v.Container,
+                    v.VideoCodec,
+                    v.BitDepth,
+                    v.IsHDR,
+                    v.AudioCodecs,
+                    v.ClientResults
+                })
+                .ToListAsync();
+
+            var samples = await LoadPlaybackSamplesAsync(mode);
+
+            // Latest observed outcome per video and client
+            var observed = samples
+                .GroupBy(s => (s.VideoId, s.Key))
+                .ToDictionary(g => g.Key, g => g.OrderByDescending(s => s.StartTime).First());
+
+            // Observed outcomes per media profile and client, one vote per video
+            var profileOutcomes = observed.Values
+                .GroupBy(s => (s.Profile, s.Key))
+                .ToDictionary(g => g.Key, g => PredictStatus(g.Select(s => s.Status)));
+
+            var stored = mode == "client"
+                ? videos.ToDictionary(v => v.Id, v => ParseClientResults(v.ClientResults))
+                : new Dictionary<int, Dictionary<string, ClientCompatibility>>();
+
+            var clients = samples.Select(s => s.Key)
+                .Concat(stored.Values.SelectMany(r => r.Keys))
+                .Distinct()
+                .OrderBy(c => c, StringComparer.OrdinalIgnoreCase)
+                .ToList();
+
+            var matrix = new LibraryClientMatrix
+            {
+                LibraryPathId = libraryPathId,
+                GroupBy = mode,
+                TotalVideos = videos.Count
+            };
+
+            foreach (var client in clients)
+            {
+                var column = new LibraryClientMatrixColumn { Client = client };
+
+                foreach (var video in videos)
+                {
+                    string status;
+                    if (observed.TryGetValue((video.Id, client), out var sample))
+                    {
+                        status = sample.Status;
+                        column.Observed++;
+                    }
+                    else if (stored.TryGetValue(video.Id, out var results) && results.TryGetValue(client, out var result))
+                    {
+                        status = result.Status;
+                        column.Observed++;
+                    }
+                    else
+                    {
+                        var profile = GetProfileKey(video.Container, video.VideoCodec, video.BitDepth, video.IsHDR, video.AudioCodecs);
+                        status = profileOutcomes.TryGetValue((profile, client), out var predicted) ? predicted : Unknown;
+                    }
+
+                    switch (status)
+                    {
+                        case DirectPlay: column.DirectPlay++; break;
+                        case Remux: column.Remux++; break;
+                        case Transcode: column.Transcode++; break;
+                        default: column.Unknown++; break;
+                    }
+                }
+
+                matrix.Columns.Add(column);
+            }
+
+            _logger.LogDebug("Built client matrix for {VideoCount} videos and {ClientCount} clients (library: {LibraryPathId}, groupBy: {GroupBy})",
+                videos.Count, clients.Count, libraryPathId?.ToString() ?? "all", mode);
+
+            return matrix;
+        }
+
+        private async Task<List<PlaybackSample>> LoadPlaybackSamplesAsync(string mode)
+        {
+            var rows = await _dbContext.PlaybackHistories
+                .AsNoTracking()
+                .Where(p => p.VideoAnalysisId != null && p.VideoAnalysis != null)
+                .Select(p => new
+                {
+                    VideoId = p.VideoAnalysisId!.Value,
+                    p.ClientName,
+                    p.DeviceName,
+                    p.PlayMethod,
+                    p.IsDirectPlay,
+                    p.IsDirectStream,
+                    p.IsTranscode,
+                    p.TranscodeReason,
+                    p.PlaybackStartTime,
+                    p.VideoAnalysis!.Container,
+                    p.VideoAnalysis.VideoCodec,
+                    p.VideoAnalysis.BitDepth,
+                    p.VideoAnalysis.IsHDR,
+                    p.VideoAnalysis.AudioCodecs
+                })
+                .ToListAsync();
+
+            return rows.Select(r => new PlaybackSample
+            {
+                VideoId = r.VideoId,
+                Key = mode == "device"
+                    ? (string.IsNullOrWhiteSpace(r.DeviceName) ? (r.ClientName ?? Unknown) : r.DeviceName)
+                    : (string.IsNullOrWhiteSpace(r.ClientName) ? Unknown : r.ClientName),
+                Status = r.IsTranscode ? Transcode
+                    : r.IsDirectStream ? Remux
+                    : r.IsDirectPlay ? DirectPlay
+                    : MapPlayMethod(r.PlayMethod),
+                TranscodeReason = r.IsTranscode && !string.IsNullOrEmpty(r.TranscodeReason) ? r.TranscodeReason : null,
+                StartTime = r.PlaybackStartTime,
+                Profile = GetProfileKey(r.Container, r.VideoCodec, r.BitDepth, r.IsHDR, r.AudioCodecs)
+            }).ToList();
+        }
+
+        private static string NormalizeGroupBy(string? groupBy)
+        {
+            return string.Equals(groupBy, "device", StringComparison.OrdinalIgnoreCase) ? "device" : "client";
+        }
+
+        private static string MapPlayMethod(string? playMethod)
+        {
+            return (playMethod ?? string.Empty).ToLowerInvariant() switch
+            {
+                "directplay" => DirectPlay,
+                "directstream" => Remux,
+                "transcode" => Transcode,
+                _ => Unknown
+            };
+        }
+
+        // Files sharing these properties are expected to play the same way on a given client
+        private static string GetProfileKey(string? container, string? videoCodec, int bitDepth, bool isHdr, string? audioCodecs)
+        {
+            var audio = string.Join(",", (audioCodecs ?? string.Empty)
+                .Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+                .Select(a => a.ToUpperInvariant())
+                .Distinct()
+                .OrderBy(a => a));
+
+            return $"{container?.ToUpperInvariant()}|{videoCodec?.ToUpperInvariant()}|{bitDepth}|{isHdr}|{audio}";
+        }
+
+        // Most common outcome wins; ties go to the worse outcome
+        private static string PredictStatus(IEnumerable<string> statuses)
+        {
+            return statuses
+                .Where(s => s != Unknown)
+                .GroupBy(s => s)
+                .OrderByDescending(g => g.Count())
+                .ThenByDescending(g => GetSeverity(g.Key))
+                .Select(g => g.Key)
+                .FirstOrDefault() ?? Unknown;
+        }
+
+        private static int GetSeverity(string status)
+        {
+            return status switch
+            {
+                DirectPlay => 0,
+                Remux => 1,
+                Transcode => 2,
+                _ => -1
+            };
+        }
+
+        private Dictionary<string, ClientCompatibility> ParseClientResults(string? json)
+        {
+            if (string.IsNullOrWhiteSpace(json) || json == "{}")
+            {
+                return new Dictionary<string, ClientCompatibility>();
+            }
+
+            try
+            {
+                var results = System.Text.Json.JsonSerializer.Deserialize<Dictionary<string, ClientCompatibility>>(json)
+                    ?? new Dictionary<string, ClientCompatibility>();
+
+                return results
+                    .Where(r => r.Value != null && GetSeverity(r.Value.Status) >= 0)
+                    .ToDictionary(r => r.Key, r => r.Value);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogDebug(ex, "Could not parse stored ClientResults");
+                return new Dictionary<string, ClientCompatibility>();
+            }
+        }
+
+        private class PlaybackSample
+        {
+            public int VideoId { get; set; }
+            public string Key { get; set; } = string.Empty;
+            public string Status { get; set; } = Unknown;
+            public string? TranscodeReason { get; set; }
+            public DateTime StartTime { get; set; }
+            public string Profile { get; set; } = string.Empty;
+        }
+    }
+}
@@ -0,0 +1,199 @@
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// Five-field cron expression: minute, hour, day of month, month, day of week (0-7, 0 and 7 are Sunday).
+    /// Fields accept *, single values, ranges (1-5), lists (1,15) and steps (*/15, 0-30/10).
+    /// The shortcuts @hourly, @daily (@nightly), @weekly and @monthly are also accepted.
+    /// </summary>
+    public class CronSchedule
+    {
+        private static readonly Dictionary<string, string> Shortcuts = new(StringComparer.OrdinalIgnoreCase)
+        {
+            ["@hourly"] = "0 * * * *",
+            ["@daily"] = "0 0 * * *",
+            ["@nightly"] = "0 3 * * *",
+            ["@weekly"] = "0 3 * * 0",
+            ["@monthly"] = "0 3 1 * *"
+        };
+
+        // Schedules that never match (e.g. February 30th) stop searching after this long
+        private static readonly TimeSpan MaxSearchRange = TimeSpan.FromDays(366 * 5);
+
+        private readonly bool[] _minutes = new bool[60];
+        private readonly bool[] _hours = new bool[24];
+        private readonly bool[] _daysOfMonth = new bool[32];
+        private readonly bool[] _months = new bool[13];
+        private readonly bool[] _daysOfWeek = new bool[7];
+        private bool _dayOfMonthRestricted;
+        private bool _dayOfWeekRestricted;
+
+        private CronSchedule(string expression)
+        {
+            Expression = expression;
+        }
+
+        public string Expression { get; }
+
+        public static bool TryParse(string? expression, out CronSchedule? schedule, out string? error)
+        {
+            schedule = null;
+            error = null;
+
+            if (string.IsNullOrWhiteSpace(expression))
+            {
+                error = "Cron expression is required";
+                return false;
+            }
+
+            var trimmed = expression.Trim();
+            var fields = (Shortcuts.TryGetValue(trimmed, out var expanded) ? expanded : trimmed)
+                .Split(' ', StringSplitOptions.RemoveEmptyEntries);
+            if (fields.Length != 5)
+            {
+                error = "Cron expression must have 5 fields: minute hour day-of-month month day-of-week";
+                return false;
+            }
+
+            var result = new CronSchedule(trimmed);
+            var daysOfWeek = new bool[8];
+            if (!TryParseField(fields[0], 0, 59, result._minutes, "minute", out error) ||
+                !TryParseField(fields[1], 0, 23, result._hours, "hour", out error) ||
+                !TryParseField(fields[2], 1, 31, result._daysOfMonth, "day of month", out error) ||
+                !TryParseField(fields[3], 1, 12, result._months, "month", out error) ||
+                !TryParseField(fields[4], 0, 7, daysOfWeek, "day of week", out error))
+            {
+                return false;
+            }
+
+            for (var day = 0; day < 7; day++)
+            {
+                result._daysOfWeek[day] = daysOfWeek[day];
+            }
+            result._daysOfWeek[0] |= daysOfWeek[7];
+
+            // Standard cron: when both day fields are restricted, a day matching either one runs
+            result._dayOfMonthRestricted = !fields[2].StartsWith('*');
+            result._dayOfWeekRestricted = !fields[4].StartsWith('*');
+
+            schedule = result;
+            return true;
+        }
+
+        /// <summary>
+        /// First run strictly after the given UTC time, evaluated in the given time zone. Returns UTC,
+        /// or null when the expression never matches.
+        /// </summary>
+        public DateTime? GetNextOccurrence(DateTime afterUtc, TimeZoneInfo timeZone)
+        {
+            var local = TimeZoneInfo.ConvertTimeFromUtc(DateTime.SpecifyKind(afterUtc, DateTimeKind.Utc), timeZone);
+            var candidate = new DateTime(local.Year, local.Month, local.Day, local.Hour, local.Minute, 0, DateTimeKind.Unspecified)
+                .AddMinutes(1);
+            var limit = candidate + MaxSearchRange;
+
+            while (candidate < limit)
+            {
+                if (!_months[candidate.Month])
+                {
+                    candidate = new DateTime(candidate.Year, candidate.Month, 1).AddMonths(1);
+                    continue;
+                }
+
+                if (!MatchesDay(candidate))
+                {
+                    candidate = candidate.Date.AddDays(1);
+                    continue;
+                }
+
+                if (!_hours[candidate.Hour])
+                {
+                    candidate = candidate.Date.AddHours(candidate.Hour + 1);
+                    continue;
+                }
+
+                // Local times skipped by a daylight saving change don't exist, move past them
+                if (!_minutes[candidate.Minute] || timeZone.IsInvalidTime(candidate))
+                {
+                    candidate = candidate.AddMinutes(1);
+                    continue;
+                }
+
+                return TimeZoneInfo.ConvertTimeToUtc(candidate, timeZone);
+            }
+
+            return null;
+        }
+
+        private bool MatchesDay(DateTime date)
+        {
+            var dayOfMonth = _daysOfMonth[date.Day];
+            var dayOfWeek = _daysOfWeek[(int)date.DayOfWeek];
+
+            if (_dayOfMonthRestricted && _dayOfWeekRestricted)
+            {
+                return dayOfMonth || dayOfWeek;
+            }
+            return dayOfMonth && dayOfWeek;
+        }
+
+        private static bool TryParseField(string field, int min, int max, bool[] values, string name, out string? error)
+        {
+            error = null;
+
+            foreach (var part in field.Split(','))
+            {
+                var rangePart = part;
+                var step = 1;
+
+                var slashIndex = part.IndexOf('/');
+                if (slashIndex >= 0)
+                {
+                    if (!int.TryParse(part[(slashIndex + 1)..], out step) || step < 1)
+                    {
+                        error = $"Invalid step in {name} field: '{part}'";
+                        return false;
+                    }
+                    rangePart = part[..slashIndex];
+                }
+
+                int start, end;
+                if (rangePart == "*")
+                {
+                    start = min;
+                    end = max;
+                }
+                else if (rangePart.Contains('-'))
+                {
+                    var bounds = rangePart.Split('-');
+                    if (bounds.Length != 2 || !int.TryParse(bounds[0], out start) || !int.TryParse(bounds[1], out end))
+                    {
+                        error = $"Invalid range in {name} field: '{part}'";
+                        return false;
+                    }
+                }
+                else if (int.TryParse(rangePart, out start))
+                {
+                    // "5/15" means every 15 starting at 5
+                    end = slashIndex >= 0 ? max : start;
+                }
+                else
+                {
+                    error = $"Invalid value in {name} field: '{part}'";
+                    return false;
+                }
+
+                if (start < min || end > max || start > end)
+                {
+                    error = $"Value out of range in {name} field: '{part}' (allowed {min}-{max})";
+                    return false;
+                }
+
+                for (var value = start; value <= end; value += step)
+                {
+                    values[value] = true;
+                }
+            }
+
+            return true;
+        }
+    }
+}
@@ -79,6 +79,10 @@ namespace Optimarr.Services
                     return;
                 }
 
+                // Tables and columns added after the initial schema. EnsureCreated does nothing for an existing
+                // database, so create them here before any of the column migrations below return early.
+                await EnsureFeatureTablesAsync(database, cancellationToken);
+
                 // Check if SQL migration needs to be applied (for Servarr fields)
                 var needsServarrMigration = await CheckIfServarrMigrationNeededAsync(database, cancellationToken);
                 if (needsServarrMigration)
@@ -263,6 +267,273 @@ namespace Optimarr.Services
             }
         }
 
+        // CREATE statements for tables that were added to AppDbContext after release. They must match
+        // the model configuration in AppDbContext and be safe to run on every startup.
+        private static readonly string[] FeatureTableStatements =
+        {
+            @"CREATE TABLE IF NOT EXISTS FilterPresets (
+                Id INTEGER NOT NULL CONSTRAINT PK_FilterPresets PRIMARY KEY AUTOINCREMENT,
+                Name TEXT NOT NULL,
+                Description TEXT NULL,
+                FiltersJson TEXT NOT NULL,
+                SortBy TEXT NULL,
+                SortOrder TEXT NULL,
+                CreatedAt TEXT NOT NULL,
+                UpdatedAt TEXT NOT NULL
+            )",
+            "CREATE INDEX IF NOT EXISTS IX_FilterPresets_Name ON FilterPresets(Name)",
+            @"CREATE TABLE IF NOT EXISTS LibraryScanSchedules (
+                Id INTEGER NOT NULL CONSTRAINT PK_LibraryScanSchedules PRIMARY KEY AUTOINCREMENT,
+                LibraryPathId INTEGER NOT NULL,
+                CronExpression TEXT NOT NULL,
+                IsEnabled INTEGER NOT NULL,
+                NextRunAt TEXT NULL,
+                LastRunAt TEXT NULL,
+                LastScanId INTEGER NULL,
+                CreatedAt TEXT NOT NULL,
+                UpdatedAt TEXT NOT NULL,
+                CONSTRAINT FK_LibraryScanSchedules_LibraryPaths_LibraryPathId FOREIGN KEY (LibraryPathId) REFERENCES LibraryPaths (Id) ON DELETE CASCADE
+            )",
+            "CREATE UNIQUE INDEX IF NOT EXISTS IX_LibraryScanSchedules_LibraryPathId ON LibraryScanSchedules(LibraryPathId)",
+            "CREATE INDEX IF NOT EXISTS IX_LibraryScanSchedules_NextRunAt ON LibraryScanSchedules(NextRunAt)",
+            @"CREATE TABLE IF NOT EXISTS ScheduledScanRuns (
+                Id INTEGER NOT NULL CONSTRAINT PK_ScheduledScanRuns PRIMARY KEY AUTOINCREMENT,
+                LibraryPathId INTEGER NOT NULL,
+                LibraryScanId INTEGER NULL,
+                ScheduledFor TEXT NOT NULL,
+                StartedAt TEXT NOT NULL,
+                Status TEXT NOT NULL,
+                Message TEXT NULL,
+                AnalyzedFiles INTEGER NULL,
+                UnchangedFiles INTEGER NULL,
+                CONSTRAINT FK_ScheduledScanRuns_LibraryPaths_LibraryPathId FOREIGN KEY (LibraryPathId) REFERENCES LibraryPaths (Id) ON DELETE CASCADE,
+                CONSTRAINT FK_ScheduledScanRuns_LibraryScans_LibraryScanId FOREIGN KEY (LibraryScanId) REFERENCES LibraryScans (Id) ON DELETE SET NULL
+            )",
+            "CREATE INDEX IF NOT EXISTS IX_ScheduledScanRuns_LibraryPathId_StartedAt ON ScheduledScanRuns(LibraryPathId, StartedAt)",
+            "CREATE INDEX IF NOT EXISTS IX_ScheduledScanRuns_LibraryScanId ON ScheduledScanRuns(LibraryScanId)",
+            @"CREATE TABLE IF NOT EXISTS OptimizationJobs (
+                Id INTEGER NOT NULL CONSTRAINT PK_OptimizationJobs PRIMARY KEY AUTOINCREMENT,
+                VideoAnalysisId INTEGER NULL,
+                FilePath TEXT NOT NULL,
+                FileName TEXT NOT NULL,
+                OutputPath TEXT NULL,
+                Status TEXT NOT NULL,
+                DryRun INTEGER NOT NULL,
+                Fixes TEXT NOT NULL,
+                Message TEXT NULL,
+                OriginalSize INTEGER NULL,
+                OutputSize INTEGER NULL,
+                CreatedAt TEXT NOT NULL,
+                StartedAt TEXT NULL,
+                CompletedAt TEXT NULL,
+                CONSTRAINT FK_OptimizationJobs_VideoAnalyses_VideoAnalysisId FOREIGN KEY (VideoAnalysisId) REFERENCES VideoAnalyses (Id) ON DELETE SET NULL
+            )",
+            "CREATE INDEX IF NOT EXISTS IX_OptimizationJobs_Status ON OptimizationJobs(Status)",
+            "CREATE INDEX IF NOT EXISTS IX_OptimizationJobs_VideoAnalysisId ON OptimizationJobs(VideoAnalysisId)",
+            @"CREATE TABLE IF NOT EXISTS NotificationTargets (
+                Id INTEGER NOT NULL CONSTRAINT PK_NotificationTargets PRIMARY KEY AUTOINCREMENT,
+                Name TEXT NOT NULL,
+                Type TEXT NOT NULL,
+                Enabled INTEGER NOT NULL,
+                Url TEXT NULL,
+                Events TEXT NOT NULL,
+                RatingThreshold INTEGER NOT NULL,
+                SmtpHost TEXT NULL,
+                SmtpPort INTEGER NOT NULL,
+                SmtpUseSsl INTEGER NOT NULL,
+                SmtpUsername TEXT NULL,
+                SmtpPassword TEXT NULL,
+                EmailFrom TEXT NULL,
+                EmailTo TEXT NULL,
+                CreatedAt TEXT NOT NULL,
+                UpdatedAt TEXT NOT NULL,
+                LastSentAt TEXT NULL,
+                LastError TEXT NULL
+            )",
+            @"CREATE TABLE IF NOT EXISTS DeviceProfiles (
+                Id INTEGER NOT NULL CONSTRAINT PK_DeviceProfiles PRIMARY KEY AUTOINCREMENT,
+                Name TEXT NOT NULL,
+                Description TEXT NULL,
+                PropertiesJson TEXT NOT NULL,
+                OverridesJson TEXT NOT NULL,
+                CreatedAt TEXT NOT NULL,
+                UpdatedAt TEXT NOT NULL
+            )",
+            "CREATE UNIQUE INDEX IF NOT EXISTS IX_DeviceProfiles_Name ON DeviceProfiles(Name)",
+            @"CREATE TABLE IF NOT EXISTS VideoProfileRatings (
+                Id INTEGER NOT NULL CONSTRAINT PK_VideoProfileRatings PRIMARY KEY AUTOINCREMENT,
+                VideoAnalysisId INTEGER NOT NULL,
+                DeviceProfileId INTEGER NOT NULL,
+                CompatibilityRating INTEGER NOT NULL,
+                OverallScore TEXT NOT NULL,
+                Issues TEXT NOT NULL,
+                Recommendations TEXT NOT NULL,
+                RatedAt TEXT NOT NULL,
+                CONSTRAINT FK_VideoProfileRatings_VideoAnalyses_VideoAnalysisId FOREIGN KEY (VideoAnalysisId) REFERENCES VideoAnalyses (Id) ON DELETE CASCADE,
+                CONSTRAINT FK_VideoProfileRatings_DeviceProfiles_DeviceProfileId FOREIGN KEY (DeviceProfileId) REFERENCES DeviceProfiles (Id) ON DELETE CASCADE
+            )",
+            "CREATE UNIQUE INDEX IF NOT EXISTS IX_VideoProfileRatings_VideoAnalysisId_DeviceProfileId ON VideoProfileRatings(VideoAnalysisId, DeviceProfileId)",
+            "CREATE INDEX IF NOT EXISTS IX_VideoProfileRatings_DeviceProfileId ON VideoProfileRatings(DeviceProfileId)",
+            @"CREATE TABLE IF NOT EXISTS LibrarySnapshots (
+                Id INTEGER NOT NULL CONSTRAINT PK_LibrarySnapshots PRIMARY KEY AUTOINCREMENT,
+                Date TEXT NOT NULL,
+                CapturedAt TEXT NOT NULL,
+                TotalVideos INTEGER NOT NULL,
+                OptimalCount INTEGER NOT NULL,
+                GoodCount INTEGER NOT NULL,
+                PoorCount INTEGER NOT NULL,
+                BrokenCount INTEGER NOT NULL,
+                HdrCount INTEGER NOT NULL,
+                SdrCount INTEGER NOT NULL,
+                TotalSize INTEGER NOT NULL,
+                CodecDistributionJson TEXT NOT NULL,
+                ContainerDistributionJson TEXT NOT NULL
+            )",
+            "CREATE UNIQUE INDEX IF NOT EXISTS IX_LibrarySnapshots_Date ON LibrarySnapshots(Date)",
+            @"CREATE TABLE IF NOT EXISTS VideoAnalysisHistories (
+                Id INTEGER NOT NULL CONSTRAINT PK_VideoAnalysisHistories PRIMARY KEY AUTOINCREMENT,
+                VideoAnalysisId INTEGER NOT NULL,
+                AnalyzedAt TEXT NOT NULL,
+                ReplacedAt TEXT NOT NULL,
+                FileSize INTEGER NOT NULL,
+                Duration REAL NOT NULL,
+                Container TEXT NOT NULL,
+                VideoCodec TEXT NOT NULL,
+                VideoCodecTag TEXT NOT NULL,
+                IsCodecTagCorrect INTEGER NOT NULL,
+                BitDepth INTEGER NOT NULL,
+                Width INTEGER NOT NULL,
+                Height INTEGER NOT NULL,
+                FrameRate REAL NOT NULL,
+                IsHDR INTEGER NOT NULL,
+                HDRType TEXT NOT NULL,
+                IsFastStart INTEGER NOT NULL,
+                AudioCodecs TEXT NOT NULL,
+                AudioTrackCount INTEGER NOT NULL,
+                AudioTracksJson TEXT NOT NULL,
+                SubtitleFormats TEXT NOT NULL,
+                SubtitleTrackCount INTEGER NOT NULL,
+                SubtitleTracksJson TEXT NOT NULL,
+                OverallScore TEXT NOT NULL,
+                CompatibilityRating INTEGER NOT NULL,
+                Issues TEXT NOT NULL,
+                IsBroken INTEGER NOT NULL,
+                BrokenReason TEXT NULL,
+                CONSTRAINT FK_VideoAnalysisHistories_VideoAnalyses_VideoAnalysisId FOREIGN KEY (VideoAnalysisId) REFERENCES VideoAnalyses (Id) ON DELETE CASCADE
+            )",
+            "CREATE INDEX IF NOT EXISTS IX_VideoAnalysisHistories_VideoAnalysisId_AnalyzedAt ON VideoAnalysisHistories(VideoAnalysisId, AnalyzedAt)",
+            @"CREATE TABLE IF NOT EXISTS ApiKeys (
+                Id INTEGER NOT NULL CONSTRAINT PK_ApiKeys PRIMARY KEY AUTOINCREMENT,
+                Name TEXT NOT NULL,
+                KeyHash TEXT NOT NULL,
+                KeyPrefix TEXT NOT NULL,
+                CreatedAt TEXT NOT NULL,
+                LastUsedAt TEXT NULL
+            )",
+            "CREATE UNIQUE INDEX IF NOT EXISTS IX_ApiKeys_KeyHash ON ApiKeys(KeyHash)",
+            @"CREATE TABLE IF NOT EXISTS AuditLogEntries (
+                Id INTEGER NOT NULL CONSTRAINT PK_AuditLogEntries PRIMARY KEY AUTOINCREMENT,
+                Timestamp TEXT NOT NULL,
+                Category TEXT NOT NULL,
+                Action TEXT NOT NULL,
+                Actor TEXT NOT NULL,
+                AuthMethod TEXT NOT NULL,
+                RemoteIp TEXT NULL,
+                HttpMethod TEXT NOT NULL,
+                Path TEXT NOT NULL,
+                Payload TEXT NULL,
+                StatusCode INTEGER NOT NULL,
+                Success INTEGER NOT NULL,
+                Message TEXT NULL,
+                DurationMs INTEGER NOT NULL
+            )",
+            "CREATE INDEX IF NOT EXISTS IX_AuditLogEntries_Timestamp ON AuditLogEntries(Timestamp)",
+            "CREATE INDEX IF NOT EXISTS IX_AuditLogEntries_Category_Timestamp ON AuditLogEntries(Category, Timestamp)",
+            @"CREATE TABLE IF NOT EXISTS RedownloadCases (
+                Id INTEGER NOT NULL CONSTRAINT PK_RedownloadCases PRIMARY KEY AUTOINCREMENT,
+                VideoAnalysisId INTEGER NULL,
+                ServarrType TEXT NOT NULL,
+                ServarrItemId INTEGER NOT NULL,
+                OldServarrFileId INTEGER NULL,
+                Title TEXT NOT NULL,
+                OldFilePath TEXT NOT NULL,
+                OldAnalysisJson TEXT NOT NULL,
+                Status TEXT NOT NULL,
+                Attempts INTEGER NOT NULL,
+                CommandId INTEGER NULL,
+                CommandStatus TEXT NULL,
+                QueueStatus TEXT NULL,
+                DownloadTitle TEXT NULL,
+                GrabbedAt TEXT NULL,
+                NewVideoAnalysisId INTEGER NULL,
+                NewFilePath TEXT NULL,
+                NewAnalysisJson TEXT NULL,
+                Verdict TEXT NULL,
+                Message TEXT NULL,
+                CreatedAt TEXT NOT NULL,
+                LastSearchAt TEXT NOT NULL,
+                LastCheckedAt TEXT NULL,
+                CompletedAt TEXT NULL,
+                CONSTRAINT FK_RedownloadCases_VideoAnalyses_VideoAnalysisId FOREIGN KEY (VideoAnalysisId) REFERENCES VideoAnalyses (Id) ON DELETE SET NULL,
+                CONSTRAINT FK_RedownloadCases_VideoAnalyses_NewVideoAnalysisId FOREIGN KEY (NewVideoAnalysisId) REFERENCES VideoAnalyses (Id) ON DELETE SET NULL
+            )",
+            "CREATE INDEX IF NOT EXISTS IX_RedownloadCases_Status ON RedownloadCases(Status)",
+            "CREATE INDEX IF NOT EXISTS IX_RedownloadCases_VideoAnalysisId ON RedownloadCases(VideoAnalysisId)",
+            "CREATE INDEX IF NOT EXISTS IX_RedownloadCases_NewVideoAnalysisId ON RedownloadCases(NewVideoAnalysisId)"
+        };
+
+        // Columns added to existing tables after release, as (table, column, definition). Each is only
+        // added when the table exists and the column is missing.
+        private static readonly (string Table, string Column, string Definition)[] FeatureColumns =
+        {
+            ("LibraryPaths", "WatchEnabled", "INTEGER NOT NULL DEFAULT 0")
+        };
+
+        private async Task EnsureFeatureTablesAsync(DatabaseFacade database, CancellationToken cancellationToken)
+        {
+            var connection = database.GetDbConnection();
+            await connection.OpenAsync(cancellationToken);
+
+            try
+            {
+                foreach (var statement in FeatureTableStatements)
+                {
+                    using var command = connection.CreateCommand();
+                    command.CommandText = statement;
+                    await command.ExecuteNonQueryAsync(cancellationToken);
+                }
+
+                _logger.LogDebug("Ensured {Count} feature table statement(s)", FeatureTableStatements.Length);
+
+                foreach (var (table, column, definition) in FeatureColumns)
+                {
+                    using var checkCommand = connection.CreateCommand();
+                    checkCommand.CommandText = $@"
+                        SELECT
+                            (SELECT COUNT(*) FROM sqlite_master WHERE type='table' AND name='{table}'),
+                            (SELECT COUNT(*) FROM pragma_table_info('{table}') WHERE name='{column}')";
+
+                    using (var reader = await checkCommand.ExecuteReaderAsync(cancellationToken))
+                    {
+                        await reader.ReadAsync(cancellationToken);
+                        if (reader.GetInt32(0) == 0 || reader.GetInt32(1) > 0)
+                        {
+                            continue;
+                        }
+                    }
+
+                    _logger.LogInformation("Adding {Column} column to {Table} table", column, table);
+                    using var addColumnCommand = connection.CreateCommand();
+                    addColumnCommand.CommandText = $"ALTER TABLE {table} ADD COLUMN {column} {definition}";
+                    await addColumnCommand.ExecuteNonQueryAsync(cancellationToken);
+                }
+            }
+            finally
+            {
+                await connection.CloseAsync();
+            }
+        }
+
         private async Task<bool> CheckIfServarrMigrationNeededAsync(DatabaseFacade database, CancellationToken cancellationToken)
         {
             try
@@ -974,7 +1245,7 @@ COMMIT;";
                         try
                         {
                             // Reconstruct VideoInfo from database record
-                            var videoInfo = ReconstructVideoInfo(video);
+                            var videoInfo = MediaPropertyRatingService.ReconstructVideoInfo(video, _logger);
 
                             // Recalculate compatibility using new media property-based system
                             var compatibilityResult = videoAnalyzer.RecalculateCompatibility(videoInfo);
@@ -985,7 +1256,7 @@ COMMIT;";
                             video.DirectPlayClients = 0;
                             video.RemuxClients = 0;
                             video.TranscodeClients = 0;
-                            video.OverallScore = ParseScore(compatibilityResult.OverallScore);
+                            video.OverallScore = MediaPropertyRatingService.ParseScore(compatibilityResult.OverallScore);
                             video.Issues = System.Text.Json.JsonSerializer.Serialize(compatibilityResult.Issues);
                             video.Recommendations = System.Text.Json.JsonSerializer.Serialize(compatibilityResult.Recommendations);
                             // Clear old ClientResults (deprecated)
@@ -1015,74 +1286,6 @@ COMMIT;";
                 // Don't throw - migration failure shouldn't prevent app startup
             }
         }
-
-        private VideoInfo ReconstructVideoInfo(VideoAnalysis video)
-        {
-            var videoInfo = new VideoInfo
-            {
-                FilePath = video.FilePath,
-                Container = video.Container,
-                VideoCodec = video.VideoCodec,
-                VideoCodecTag = video.VideoCodecTag,
-                IsCodecTagCorrect = video.IsCodecTagCorrect,
-                BitDepth = video.BitDepth,
-                Width = video.Width,
-                Height = video.Height,
-                FrameRate = video.FrameRate,
-                IsHDR = video.IsHDR,
-                HDRType = video.HDRType,
-                IsFastStart = video.IsFastStart,
-                FileSize = video.FileSize,
-                Duration = video.Duration
-            };
-
-            // Reconstruct audio tracks from JSON
-            if (!string.IsNullOrEmpty(video.AudioTracksJson))
-            {
-                try
-                {
-                    videoInfo.AudioTracks = System.Text.Json.JsonSerializer.Deserialize<List<AudioTrack>>(
-                        video.AudioTracksJson,
-                        new System.Text.Json.JsonSerializerOptions { PropertyNameCaseInsensitive = true }
-                    ) ?? new List<AudioTrack>();
-                }
-                catch (Exception ex)
-                {
-                    _logger.LogWarning(ex, "Failed to deserialize audio tracks for video ID {Id}", video.Id);
-                    videoInfo.AudioTracks = new List<AudioTrack>();
-                }
-            }
-
-            // Reconstruct subtitle tracks from JSON
-            if (!string.IsNullOrEmpty(video.SubtitleTracksJson))
-            {
-                try
-                {
-                    videoInfo.SubtitleTracks = System.Text.Json.JsonSerializer.Deserialize<List<SubtitleTrack>>(
-                        video.SubtitleTracksJson,
-                        new System.Text.Json.JsonSerializerOptions { PropertyNameCaseInsensitive = true }
-                    ) ?? new List<SubtitleTrack>();
-                }
-                catch (Exception ex)
-                {
-                    _logger.LogWarning(ex, "Failed to deserialize subtitle tracks for video ID {Id}", video.Id);
-                    videoInfo.SubtitleTracks = new List<SubtitleTrack>();
-                }
-            }
-
-            return videoInfo;
-        }
-
-        private CompatibilityScore ParseScore(string score)
-        {
-            return score switch
-            {
-                "Optimal" => CompatibilityScore.Optimal,
-                "Good" => CompatibilityScore.Good,
-                "Poor" => CompatibilityScore.Poor,
-                _ => CompatibilityScore.Unknown
-            };
-        }
     }
 
     public class MigrationProgress
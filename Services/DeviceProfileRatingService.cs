@@ -0,0 +1,176 @@
+using System.Text.Json;
+using Microsoft.EntityFrameworkCore;
+using Optimarr.Data;
+using Optimarr.Models;
+
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// Keeps every video's rating against each device profile up to date.
+    ///
+    /// A rating is stale when it is missing, older than the video's last analysis or older than the
+    /// profile's UpdatedAt. Stale ratings are recalculated in batches in the background, either when
+    /// woken by RequestRefresh (profile or rating settings saved) or on a periodic sweep that picks
+    /// up newly analyzed files.
+    /// </summary>
+    public class DeviceProfileRatingService : BackgroundService
+    {
+        private const int BatchSize = 200;
+        private static readonly TimeSpan IdleInterval = TimeSpan.FromMinutes(5);
+
+        private static readonly JsonSerializerOptions ProfileJsonOptions = new() { PropertyNameCaseInsensitive = true };
+
+        private readonly IServiceScopeFactory _scopeFactory;
+        private readonly IConfiguration _configuration;
+        private readonly ILogger<DeviceProfileRatingService> _logger;
+
+        private readonly SemaphoreSlim _wakeSignal = new(0);
+
+        public DeviceProfileRatingService(IServiceScopeFactory scopeFactory, IConfiguration configuration, ILogger<DeviceProfileRatingService> logger)
+        {
+            _scopeFactory = scopeFactory;
+            _configuration = configuration;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Wakes the service to rate stale videos now instead of on the next sweep
+        /// </summary>
+        public void RequestRefresh()
+        {
+            if (_wakeSignal.CurrentCount == 0)
+            {
+                _wakeSignal.Release();
+            }
+        }
+
+        public static MediaPropertySettings ReadProperties(DeviceProfile profile)
+        {
+            try
+            {
+                return JsonSerializer.Deserialize<MediaPropertySettings>(profile.PropertiesJson, ProfileJsonOptions) ?? new MediaPropertySettings();
+            }
+            catch (JsonException)
+            {
+                return new MediaPropertySettings();
+            }
+        }
+
+        public static List<CompatibilityOverride> ReadOverrides(DeviceProfile profile)
+        {
+            try
+            {
+                return JsonSerializer.Deserialize<List<CompatibilityOverride>>(profile.OverridesJson, ProfileJsonOptions) ?? new List<CompatibilityOverride>();
+            }
+            catch (JsonException)
+            {
+                return new List<CompatibilityOverride>();
+            }
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            _logger.LogInformation("Device profile rating service started");
+
+            // Wait a bit before the first pass over the library to let the app fully start
+            await Task.Delay(TimeSpan.FromSeconds(20), stoppingToken);
+
+            while (!stoppingToken.IsCancellationRequested)
+            {
+                try
+                {
+                    await RateStaleVideosAsync(stoppingToken);
+                }
+                catch (Exception ex) when (ex is not OperationCanceledException)
+                {
+                    _logger.LogError(ex, "Error rating videos against device profiles");
+                }
+
+                await _wakeSignal.WaitAsync(IdleInterval, stoppingToken);
+            }
+        }
+
+        private async Task RateStaleVideosAsync(CancellationToken cancellationToken)
+        {
+            List<DeviceProfile> profiles;
+            using (var scope = _scopeFactory.CreateScope())
+            {
+                var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+                profiles = await dbContext.DeviceProfiles.AsNoTracking().ToListAsync(cancellationToken);
+            }
+
+            if (profiles.Count == 0)
+            {
+                return;
+            }
+
+            var ratingService = new MediaPropertyRatingService(_configuration, _logger);
+            var weights = ratingService.LoadRatingWeights();
+            var thresholds = ratingService.LoadRatingThresholds();
+
+            foreach (var profile in profiles)
+            {
+                var properties = ReadProperties(profile);
+                var overrides = ReadOverrides(profile);
+                var rated = 0;
+                var lastId = 0;
+
+                while (!cancellationToken.IsCancellationRequested)
+                {
+                    using var scope = _scopeFactory.CreateScope();
+                    var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+
+                    var profileId = profile.Id;
+                    var profileUpdatedAt = profile.UpdatedAt;
+                    var videos = await dbContext.VideoAnalyses
+                        .AsNoTracking()
+                        .Where(v => v.Id > lastId && !v.IsBroken)
+                        .Where(v => !dbContext.VideoProfileRatings.Any(r =>
+                            r.VideoAnalysisId == v.Id &&
+                            r.DeviceProfileId == profileId &&
+                            r.RatedAt >= v.AnalyzedAt &&
+                            r.RatedAt >= profileUpdatedAt))
+                        .OrderBy(v => v.Id)
+                        .Take(BatchSize)
+                        .ToListAsync(cancellationToken);
+
+                    if (videos.Count == 0)
+                    {
+                        break;
+                    }
+                    lastId = videos[^1].Id;
+
+                    var videoIds = videos.Select(v => v.Id).ToList();
+                    var existing = await dbContext.VideoProfileRatings
+                        .Where(r => r.DeviceProfileId == profileId && videoIds.Contains(r.VideoAnalysisId))
+                        .ToDictionaryAsync(r => r.VideoAnalysisId, cancellationToken);
+
+                    foreach (var video in videos)
+                    {
+                        var result = ratingService.CalculateRating(MediaPropertyRatingService.ReconstructVideoInfo(video, _logger), properties, overrides, weights, thresholds);
+
+                        if (!existing.TryGetValue(video.Id, out var rating))
+                        {
+                            rating = new VideoProfileRating { VideoAnalysisId = video.Id, DeviceProfileId = profileId };
+                            dbContext.VideoProfileRatings.Add(rating);
+                        }
+
+                        rating.CompatibilityRating = result.CompatibilityRating;
+                        rating.OverallScore = Enum.TryParse<CompatibilityScore>(result.OverallScore, out var score) ? score : CompatibilityScore.Unknown;
+                        rating.Issues = JsonSerializer.Serialize(result.Issues);
+                        rating.Recommendations = JsonSerializer.Serialize(result.Recommendations);
+                        rating.RatedAt = DateTime.UtcNow;
+                    }
+
+                    await dbContext.SaveChangesAsync(cancellationToken);
+                    rated += videos.Count;
+                }
+
+                if (rated > 0)
+                {
+                    _logger.LogInformation("Rated {Count} video(s) against device profile {Name}", rated, profile.Name);
+                }
+            }
+        }
+    }
+}
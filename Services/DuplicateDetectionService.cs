@@ -0,0 +1,334 @@
+using System.Text.RegularExpressions;
+using Microsoft.EntityFrameworkCore;
+using Optimarr.Data;
+using Optimarr.Models;
+
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// Finds videos that are copies of the same movie or episode, in the same or different libraries.
+    ///
+    /// Videos matched to Radarr or Sonarr are grouped by RadarrMovieId or SonarrEpisodeId. Unmatched videos
+    /// fall back to a title key parsed from the file name (or the movie/series folder): title and year for
+    /// movies, series and SxxEyy for episodes, else the file name itself like Browse's deduplication. An
+    /// unmatched copy whose title key equals a matched group's title joins that group.
+    /// </summary>
+    public class DuplicateDetectionService
+    {
+        private static readonly Regex EpisodePattern = new(
+            @"^(?<title>.*?)[\s._\-]*S(?<season>\d{1,2})[\s._\-]?E(?<episode>\d{1,3})",
+            RegexOptions.IgnoreCase | RegexOptions.Compiled);
+        // Last year in the name wins, so "Blade Runner 2049 (2017)" is 2017
+        private static readonly Regex YearPattern = new(
+            @"^(?<title>.+)[\s._\-\(\[]+(?<year>(?:19|20)\d{2})(?=[\s._\-\)\]]|$)",
+            RegexOptions.Compiled);
+        private static readonly Regex SeasonFolderPattern = new(@"^(season\s*\d+|specials)$", RegexOptions.IgnoreCase | RegexOptions.Compiled);
+        private static readonly Regex NonAlphanumeric = new(@"[^a-z0-9]+", RegexOptions.Compiled);
+
+        private readonly AppDbContext _dbContext;
+        private readonly ILogger<DuplicateDetectionService> _logger;
+
+        public DuplicateDetectionService(AppDbContext dbContext, ILogger<DuplicateDetectionService> logger)
+        {
+            _dbContext = dbContext;
+            _logger = logger;
+        }
+
+        private record TitleKey(string Key, string Title, int? Year, int? Season, int? Episode);
+
+        private class GroupBuilder
+        {
+            public string MatchType { get; init; } = string.Empty;
+            public TitleKey? Title { get; set; }
+            public List<DuplicateVersion> Versions { get; } = new();
+        }
+
+        /// <summary>
+        /// Groups with at least two versions, largest reclaimable size first. matchType limits the result
+        /// to Radarr, Sonarr or Title groups.
+        /// </summary>
+        public async Task<DuplicateReport> FindDuplicatesAsync(string? matchType = null, CancellationToken cancellationToken = default)
+        {
+            var videos = await _dbContext.VideoAnalyses
+                .AsNoTracking()
+                .Select(v => new
+                {
+                    v.Id,
+                    v.FilePath,
+                    v.FileName,
+                    v.FileSize,
+                    v.CompatibilityRating,
+                    v.OverallScore,
+                    v.VideoCodec,
+                    v.Container,
+                    v.Width,
+                    v.Height,
+                    v.BitDepth,
+                    v.IsHDR,
+                    v.HDRType,
+                    v.AudioCodecs,
+                    v.IsBroken,
+                    v.AnalyzedAt,
+                    v.RadarrMovieId,
+                    v.RadarrMovieTitle,
+                    v.RadarrYear,
+                    v.SonarrEpisodeId,
+                    v.SonarrSeriesTitle,
+                    v.SonarrSeasonNumber,
+                    v.SonarrEpisodeNumber
+                })
+                .ToListAsync(cancellationToken);
+
+            // Longest path first, so nested libraries resolve to the innermost one
+            var libraries = (await _dbContext.LibraryPaths.AsNoTracking().ToListAsync(cancellationToken))
+                .OrderByDescending(l => l.Path.Length)
+                .ToList();
+
+            var groups = new Dictionary<string, GroupBuilder>();
+            var servarrGroupsByTitle = new Dictionary<string, string>();
+
+            foreach (var video in videos.Where(v => v.RadarrMovieId.HasValue || v.SonarrEpisodeId.HasValue))
+            {
+                var isMovie = video.RadarrMovieId.HasValue;
+                var groupKey = isMovie ? $"radarr:{video.RadarrMovieId}" : $"sonarr:{video.SonarrEpisodeId}";
+                if (!groups.TryGetValue(groupKey, out var group))
+                {
+                    group = new GroupBuilder { MatchType = isMovie ? "Radarr" : "Sonarr" };
+                    groups[groupKey] = group;
+                }
+
+                var titleKey = isMovie
+                    ? MovieKey(video.RadarrMovieTitle, video.RadarrYear)
+                    : EpisodeKey(video.SonarrSeriesTitle, video.SonarrSeasonNumber, video.SonarrEpisodeNumber);
+                if (titleKey != null)
+                {
+                    group.Title ??= titleKey;
+                    servarrGroupsByTitle.TryAdd(titleKey.Key, groupKey);
+                }
+            }
+
+            foreach (var video in videos)
+            {
+                var version = new DuplicateVersion
+                {
+                    Id = video.Id,
+                    FilePath = video.FilePath,
+                    FileName = video.FileName,
+                    LibraryName = libraries.FirstOrDefault(l => IsInLibrary(video.FilePath, l.Path))?.Name,
+                    FileSize = video.FileSize,
+                    CompatibilityRating = video.CompatibilityRating,
+                    OverallScore = video.OverallScore.ToString(),
+                    VideoCodec = video.VideoCodec,
+                    Container = video.Container,
+                    Width = video.Width,
+                    Height = video.Height,
+                    BitDepth = video.BitDepth,
+                    IsHDR = video.IsHDR,
+                    HDRType = video.HDRType,
+                    AudioCodecs = video.AudioCodecs,
+                    IsBroken = video.IsBroken,
+                    AnalyzedAt = video.AnalyzedAt
+                };
+
+                if (video.RadarrMovieId.HasValue)
+                {
+                    groups[$"radarr:{video.RadarrMovieId}"].Versions.Add(version);
+                    continue;
+                }
+                if (video.SonarrEpisodeId.HasValue)
+                {
+                    groups[$"sonarr:{video.SonarrEpisodeId}"].Versions.Add(version);
+                    continue;
+                }
+
+                var titleKey = ParseTitleKey(video.FilePath);
+                if (servarrGroupsByTitle.TryGetValue(titleKey.Key, out var servarrGroupKey))
+                {
+                    version.MatchedByTitle = true;
+                    groups[servarrGroupKey].Versions.Add(version);
+                    continue;
+                }
+
+                var groupKey = $"title:{titleKey.Key}";
+                if (!groups.TryGetValue(groupKey, out var group))
+                {
+                    group = new GroupBuilder { MatchType = "Title", Title = titleKey };
+                    groups[groupKey] = group;
+                }
+                group.Versions.Add(version);
+            }
+
+            var result = groups
+                .Where(g => g.Value.Versions.Count > 1)
+                .Where(g => string.IsNullOrEmpty(matchType) || string.Equals(g.Value.MatchType, matchType, StringComparison.OrdinalIgnoreCase))
+                .Select(g => BuildGroup(g.Key, g.Value))
+                .OrderByDescending(g => g.ReclaimableSize)
+                .ThenBy(g => g.Title)
+                .ToList();
+
+            _logger.LogInformation("Found {Groups} duplicate group(s) among {Videos} videos", result.Count, videos.Count);
+
+            return new DuplicateReport
+            {
+                TotalGroups = result.Count,
+                TotalVersions = result.Sum(g => g.Versions.Count),
+                ReclaimableSize = result.Sum(g => g.ReclaimableSize),
+                Groups = result
+            };
+        }
+
+        private static DuplicateGroup BuildGroup(string key, GroupBuilder builder)
+        {
+            // Same priority as Browse's deduplication (working file, then rating), then picture and size
+            var ranked = builder.Versions
+                .OrderBy(v => v.IsBroken)
+                .ThenByDescending(v => v.CompatibilityRating)
+                .ThenByDescending(v => (long)v.Width * v.Height)
+                .ThenByDescending(v => v.IsHDR)
+                .ThenBy(v => v.FileSize)
+                .ThenByDescending(v => v.AnalyzedAt)
+                .ToList();
+            var keep = ranked[0];
+
+            return new DuplicateGroup
+            {
+                Key = key,
+                MatchType = builder.MatchType,
+                Title = builder.Title?.Title ?? Path.GetFileNameWithoutExtension(keep.FileName),
+                Year = builder.Title?.Year,
+                SeasonNumber = builder.Title?.Season,
+                EpisodeNumber = builder.Title?.Episode,
+                Versions = ranked,
+                SuggestedKeepId = keep.Id,
+                SuggestionReasons = GetSuggestionReasons(ranked),
+                ReclaimableSize = ranked.Skip(1).Sum(v => v.FileSize)
+            };
+        }
+
+        private static List<string> GetSuggestionReasons(List<DuplicateVersion> ranked)
+        {
+            var keep = ranked[0];
+            var runnerUp = ranked[1];
+            var reasons = new List<string>();
+
+            if (runnerUp.IsBroken)
+            {
+                reasons.Add(ranked.Skip(1).All(v => v.IsBroken) ? "The only copy that is not broken" : "Not broken");
+            }
+            else if (keep.CompatibilityRating > runnerUp.CompatibilityRating)
+            {
+                reasons.Add($"Highest compatibility rating ({keep.CompatibilityRating} vs {runnerUp.CompatibilityRating})");
+            }
+            else if ((long)keep.Width * keep.Height > (long)runnerUp.Width * runnerUp.Height)
+            {
+                reasons.Add($"Same rating, higher resolution ({keep.Width}x{keep.Height} vs {runnerUp.Width}x{runnerUp.Height})");
+            }
+            else if (keep.IsHDR && !runnerUp.IsHDR)
+            {
+                reasons.Add("Same rating and resolution, HDR");
+            }
+            else if (keep.FileSize < runnerUp.FileSize)
+            {
+                reasons.Add("Same rating and resolution, smallest file");
+            }
+            else
+            {
+                reasons.Add("Copies are equivalent, most recently analyzed");
+            }
+
+            // Point out what the suggestion gives up, so the choice can be overridden knowingly
+            var sharper = ranked.Skip(1).Where(v => !v.IsBroken && (long)v.Width * v.Height > (long)keep.Width * keep.Height).MaxBy(v => (long)v.Width * v.Height);
+            if (sharper != null)
+            {
+                reasons.Add($"{sharper.FileName} has a higher resolution ({sharper.Width}x{sharper.Height}) but a lower rating");
+            }
+            if (!keep.IsHDR && ranked.Skip(1).Any(v => !v.IsBroken && v.IsHDR))
+            {
+                reasons.Add("Another copy is HDR");
+            }
+
+            return reasons;
+        }
+
+        private static bool IsInLibrary(string filePath, string libraryPath)
+        {
+            var root = libraryPath.TrimEnd('/', '\\');
+            return filePath.StartsWith(root + "/", StringComparison.OrdinalIgnoreCase) ||
+                   filePath.StartsWith(root + "\\", StringComparison.OrdinalIgnoreCase);
+        }
+
+        private static string NormalizeTitle(string title)
+        {
+            return NonAlphanumeric.Replace(title.ToLowerInvariant().Replace("&", " and "), " ").Trim();
+        }
+
+        // Separators in release names become spaces for display ("The.Matrix" -> "The Matrix")
+        private static string CleanTitle(string title)
+        {
+            return Regex.Replace(title.Replace('.', ' ').Replace('_', ' '), @"\s+", " ").Trim(' ', '-', '(', '[');
+        }
+
+        private static TitleKey? MovieKey(string? title, int? year)
+        {
+            if (string.IsNullOrWhiteSpace(title) || !year.HasValue)
+            {
+                return null;
+            }
+            return new TitleKey($"movie:{NormalizeTitle(title)}:{year}", title, year, null, null);
+        }
+
+        private static TitleKey? EpisodeKey(string? series, int? season, int? episode)
+        {
+            if (string.IsNullOrWhiteSpace(series) || !season.HasValue || !episode.HasValue)
+            {
+                return null;
+            }
+            return new TitleKey($"episode:{NormalizeTitle(series)}:s{season}e{episode}", series, null, season, episode);
+        }
+
+        /// <summary>
+        /// Title key for a file that is not matched to Radarr or Sonarr. Never null: without a recognizable
+        /// title the key is the file name, which only groups files that are named exactly alike.
+        /// </summary>
+        private static TitleKey ParseTitleKey(string filePath)
+        {
+            var name = Path.GetFileNameWithoutExtension(filePath);
+            var folder = Path.GetFileName(Path.GetDirectoryName(filePath) ?? string.Empty);
+
+            var episode = EpisodePattern.Match(name);
+            if (episode.Success)
+            {
+                var series = CleanTitle(episode.Groups["title"].Value);
+                if (series.Length == 0)
+                {
+                    // "S01E02.mkv" inside "Series/Season 1" or directly inside "Series"
+                    var seriesFolder = SeasonFolderPattern.IsMatch(folder)
+                        ? Path.GetFileName(Path.GetDirectoryName(Path.GetDirectoryName(filePath)) ?? string.Empty)
+                        : folder;
+                    series = CleanTitle(seriesFolder);
+                }
+
+                var key = EpisodeKey(series, int.Parse(episode.Groups["season"].Value), int.Parse(episode.Groups["episode"].Value));
+                if (key != null)
+                {
+                    return key;
+                }
+            }
+
+            foreach (var candidate in new[] { name, folder })
+            {
+                var year = YearPattern.Match(candidate);
+                if (year.Success)
+                {
+                    var key = MovieKey(CleanTitle(year.Groups["title"].Value), int.Parse(year.Groups["year"].Value));
+                    if (key != null)
+                    {
+                        return key;
+                    }
+                }
+            }
+
+            return new TitleKey($"file:{name.Trim().ToLowerInvariant()}", CleanTitle(name), null, null, null);
+        }
+    }
+}
@@ -0,0 +1,529 @@
+using System.Text;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Optimarr.Models;
+
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// Turns the stored recommendations of a video into ffmpeg commands (remux to MP4, fast start,
+    /// hvc1 retagging, AAC audio, text subtitle conversion, H.264 transcode). Commands never overwrite
+    /// the original: output goes to "&lt;name&gt;.optimized.&lt;ext&gt;" next to it.
+    /// </summary>
+    public class FfmpegPlannerService
+    {
+        private const string OutputSuffix = ".optimized";
+        private const int TranscodeCrf = 20;
+
+        private static readonly HashSet<string> Mp4Containers = new(StringComparer.OrdinalIgnoreCase)
+        {
+            "MP4", "M4V", "MOV", "MPEG-4", "QUICKTIME"
+        };
+
+        private static readonly HashSet<string> BitmapSubtitleFormats = new(StringComparer.OrdinalIgnoreCase)
+        {
+            "PGSSUB", "PGS", "VobSub", "DVB"
+        };
+
+        // Closed captions live inside the video stream, ffmpeg doesn't see them as subtitle streams
+        private static readonly HashSet<string> ClosedCaptionFormats = new(StringComparer.OrdinalIgnoreCase)
+        {
+            "EIA-608", "EIA-708"
+        };
+
+        private static readonly HashSet<FfmpegFixKind> LosslessFixes = new()
+        {
+            FfmpegFixKind.Remux, FfmpegFixKind.FastStart, FfmpegFixKind.Retag
+        };
+
+        // Streams that can be copied into MP4 as they are
+        private static readonly HashSet<string> Mp4AudioCodecs = new(StringComparer.OrdinalIgnoreCase)
+        {
+            "AAC", "AC3", "EAC3", "MP3", "FLAC", "Opus", "ALAC"
+        };
+
+        private static readonly HashSet<string> Mp4TextSubtitleFormats = new(StringComparer.OrdinalIgnoreCase)
+        {
+            "SRT", "VTT", "MP4TT", "TXTT"
+        };
+
+        // Only muxed into MP4 by ffmpeg with -strict experimental
+        private static readonly string[] ExperimentalMp4AudioCodecs = { "DTS", "TRUEHD", "MLP", "VORBIS" };
+
+        // HDR to SDR, otherwise 10-bit HDR sources look washed out once converted to 8-bit
+        private const string ToneMapFilter =
+            "zscale=t=linear:npl=100,format=gbrpf32le,zscale=p=bt709,tonemap=tonemap=hable:desat=0,zscale=t=bt709:m=bt709:r=tv,format=yuv420p";
+
+        private static readonly Regex ShellSafe = new(@"^[A-Za-z0-9_./:=+,@%-]+$", RegexOptions.Compiled);
+
+        private readonly IConfiguration _configuration;
+        private readonly ILogger<FfmpegPlannerService> _logger;
+
+        public FfmpegPlannerService(IConfiguration configuration, ILogger<FfmpegPlannerService> logger)
+        {
+            _configuration = configuration;
+            _logger = logger;
+        }
+
+        public FfmpegPlan BuildPlan(VideoAnalysis video)
+        {
+            var ratingService = new MediaPropertyRatingService(_configuration, _logger);
+            return BuildPlan(video, ratingService.LoadMediaPropertySettings(), ratingService.LoadRatingWeights());
+        }
+
+        /// <summary>
+        /// Shell script running the combined command of every video that has something to fix.
+        /// Videos without a fix are listed as comments at the end.
+        /// </summary>
+        public string BuildScript(IEnumerable<VideoAnalysis> videos)
+        {
+            var ratingService = new MediaPropertyRatingService(_configuration, _logger);
+            var settings = ratingService.LoadMediaPropertySettings();
+            var weights = ratingService.LoadRatingWeights();
+
+            var plans = videos.Select(v => BuildPlan(v, settings, weights)).ToList();
+            var runnable = plans.Where(p => p.Command != null).ToList();
+
+            var script = new StringBuilder();
+            script.Append("#!/bin/sh\n");
+            script.Append($"# Generated by Optimarr on {DateTime.Now:yyyy-MM-dd HH:mm}\n");
+            script.Append($"# {runnable.Count} of {plans.Count} selected video(s) have an ffmpeg fix.\n");
+            script.Append($"# Output is written next to each original as <name>{OutputSuffix}.<ext>; originals are not modified.\n");
+            script.Append("# Check the results, then replace the originals yourself. Existing outputs are skipped (-n),\n");
+            script.Append("# so the script can be run again after an interruption.\n");
+
+            for (var i = 0; i < runnable.Count; i++)
+            {
+                var plan = runnable[i];
+                script.Append('\n');
+                script.Append($"# [{i + 1}/{runnable.Count}] {ToComment(plan.FileName)}{(plan.RequiresReencode ? " (re-encodes video, slow)" : string.Empty)}\n");
+                foreach (var step in plan.Steps)
+                {
+                    script.Append($"#   {step.Title}\n");
+                }
+                foreach (var note in plan.Notes)
+                {
+                    script.Append($"#   Note: {ToComment(note)}\n");
+                }
+                script.Append($"{plan.Command} || echo {Quote($"Failed: {plan.FilePath}")} >&2\n");
+            }
+
+            var skipped = plans.Where(p => p.Command == null).ToList();
+            if (skipped.Count > 0)
+            {
+                script.Append("\n# Nothing to run for:\n");
+                foreach (var plan in skipped)
+                {
+                    var reason = plan.Notes.FirstOrDefault() ?? "No recommendations with an ffmpeg fix";
+                    script.Append($"#   {ToComment(plan.FileName)}: {ToComment(reason)}\n");
+                }
+            }
+
+            _logger.LogInformation("Generated ffmpeg script with {Commands} command(s) for {Videos} video(s)", runnable.Count, plans.Count);
+            return script.ToString();
+        }
+
+        /// <summary>
+        /// The fixes of the plan that only rewrite the container (remux to MP4, fast start, retag), as run by
+        /// the optimization job queue. Empty, with the reason, when everything left needs a re-encode or
+        /// would lose a stream.
+        /// </summary>
+        public List<FfmpegFixKind> GetLosslessFixes(VideoAnalysis video, out string? reason)
+        {
+            var plan = BuildPlan(video);
+            reason = null;
+
+            if (video.IsBroken)
+            {
+                reason = plan.Notes.FirstOrDefault();
+                return new List<FfmpegFixKind>();
+            }
+
+            var fixes = plan.Steps.Select(s => s.Kind).Where(LosslessFixes.Contains).ToList();
+            if (fixes.Count == 0)
+            {
+                reason = plan.Steps.Count > 0 ? "Remaining fixes need a re-encode" : "Nothing to fix";
+                return fixes;
+            }
+
+            if (fixes.Contains(FfmpegFixKind.Remux))
+            {
+                var audio = MediaPropertyRatingService.ParseAudioTracks(video).Select(t => t.Codec).Where(codec => !Mp4AudioCodecs.Contains(codec)).Distinct().ToList();
+                var subtitles = GetSubtitleStreams(video).Select(t => t.Format).Where(format => !Mp4TextSubtitleFormats.Contains(format)).Distinct().ToList();
+
+                if (GetMp4CodecTag(video.VideoCodec) == null)
+                    reason = $"{video.VideoCodec} video can't be stored in MP4";
+                else if (audio.Count > 0)
+                    reason = $"{string.Join(", ", audio)} audio doesn't fit in MP4 without re-encoding";
+                else if (subtitles.Count > 0)
+                    reason = $"{string.Join(", ", subtitles)} subtitles would be lost or lose their styling in MP4";
+
+                if (reason != null)
+                {
+                    // Fast start and retag only apply to MP4 sources, so nothing else is left
+                    return new List<FfmpegFixKind>();
+                }
+            }
+
+            return fixes;
+        }
+
+        /// <summary>
+        /// ffmpeg arguments (without the executable) applying the fixes and writing to outputPath, with an
+        /// explicit output format for paths whose extension ffmpeg can't guess from (e.g. temp files)
+        /// </summary>
+        public List<string> BuildArguments(VideoAnalysis video, IReadOnlyCollection<FfmpegFixKind> fixes, string outputPath, string? outputFormat = null)
+        {
+            var ratingService = new MediaPropertyRatingService(_configuration, _logger);
+            var context = new PlanContext(video, MediaPropertyRatingService.ParseAudioTracks(video), GetSubtitleStreams(video),
+                ratingService.LoadMediaPropertySettings(), ratingService.LoadRatingWeights(), new FfmpegPlan());
+            return BuildArguments(context, fixes, outputPath, outputFormat);
+        }
+
+        /// <summary>
+        /// Where the fixed file belongs once it replaces the original: the same path, with an .mp4 extension after a remux
+        /// </summary>
+        public static string GetReplacementPath(string filePath, IReadOnlyCollection<FfmpegFixKind> fixes)
+        {
+            return fixes.Contains(FfmpegFixKind.Remux) ? Path.ChangeExtension(filePath, ".mp4") : filePath;
+        }
+
+        private FfmpegPlan BuildPlan(VideoAnalysis video, MediaPropertySettings settings, RatingWeights weights)
+        {
+            var plan = new FfmpegPlan
+            {
+                VideoId = video.Id,
+                FileName = video.FileName,
+                FilePath = video.FilePath
+            };
+
+            if (video.IsBroken)
+            {
+                plan.Notes.Add($"File could not be analyzed{(string.IsNullOrEmpty(video.BrokenReason) ? string.Empty : $": {video.BrokenReason}")}");
+                return plan;
+            }
+
+            var context = new PlanContext(video, MediaPropertyRatingService.ParseAudioTracks(video), GetSubtitleStreams(video), settings, weights, plan);
+
+            foreach (var recommendation in ParseRecommendations(video.Recommendations))
+            {
+                var kind = GetFixKind(recommendation, context);
+                if (kind == null)
+                {
+                    AddNote(plan, recommendation.Contains("HDR", StringComparison.OrdinalIgnoreCase)
+                        ? $"{recommendation}: needs a different source, ffmpeg can't add HDR"
+                        : $"{recommendation}: no ffmpeg command for this");
+                    continue;
+                }
+
+                var step = plan.Steps.FirstOrDefault(s => s.Kind == kind);
+                if (step == null)
+                {
+                    step = new FfmpegPlanStep { Kind = kind.Value };
+                    plan.Steps.Add(step);
+                }
+                step.Reasons.Add(recommendation);
+            }
+
+            if (plan.Steps.Count == 0)
+            {
+                return plan;
+            }
+
+            foreach (var step in plan.Steps)
+            {
+                step.Title = GetStepTitle(step.Kind, context);
+                step.Command = BuildCommand(context, new[] { step.Kind }, out _);
+                step.RequiresReencode = step.Kind == FfmpegFixKind.Transcode;
+            }
+
+            plan.Command = BuildCommand(context, plan.Steps.Select(s => s.Kind).ToList(), out var outputPath);
+            plan.OutputPath = outputPath;
+            plan.RequiresReencode = plan.Steps.Any(s => s.RequiresReencode);
+
+            return plan;
+        }
+
+        private static FfmpegFixKind? GetFixKind(string recommendation, PlanContext context)
+        {
+            bool Mentions(string text) => recommendation.Contains(text, StringComparison.OrdinalIgnoreCase);
+
+            if (Mentions("video codec") || Mentions("8-bit"))
+                return FfmpegFixKind.Transcode;
+            if (Mentions("reducing bitrate"))
+            {
+                context.LimitBitrate = true;
+                return FfmpegFixKind.Transcode;
+            }
+            if (Mentions("container"))
+                return context.SourceIsMp4 ? null : FfmpegFixKind.Remux;
+            if (Mentions("audio codec"))
+                return context.AudioToConvert.Count > 0 ? FfmpegFixKind.ConvertAudio : null;
+            if (Mentions("subtitle format"))
+                return FfmpegFixKind.ConvertSubtitles;
+            if (Mentions("codec tag"))
+                return context.SourceIsMp4 && GetMp4CodecTag(context.Video.VideoCodec) != null ? FfmpegFixKind.Retag : null;
+            if (Mentions("fast start"))
+                return context.SourceIsMp4 ? FfmpegFixKind.FastStart : null;
+
+            return null;
+        }
+
+        private static string GetStepTitle(FfmpegFixKind kind, PlanContext context)
+        {
+            return kind switch
+            {
+                FfmpegFixKind.Remux => $"Remux {context.Video.Container} to MP4",
+                FfmpegFixKind.FastStart => "Move the index to the start of the file (fast start)",
+                FfmpegFixKind.Retag => $"Retag {context.Video.VideoCodecTag} as {GetMp4CodecTag(context.Video.VideoCodec)}",
+                FfmpegFixKind.ConvertAudio => $"Add AAC copies of {string.Join(", ", context.AudioToConvert.Select(i => context.AudioTracks[i].Codec).Distinct())} audio, keeping the originals",
+                FfmpegFixKind.ConvertSubtitles => "Convert subtitles to a supported text format",
+                FfmpegFixKind.Transcode => context.LimitBitrate ? "Re-encode video to H.264 8-bit with a bitrate cap" : "Re-encode video to H.264 8-bit",
+                _ => kind.ToString()
+            };
+        }
+
+        private static string BuildCommand(PlanContext context, IReadOnlyCollection<FfmpegFixKind> fixes, out string outputPath)
+        {
+            var toMp4 = context.SourceIsMp4 || fixes.Contains(FfmpegFixKind.Remux);
+            outputPath = GetOutputPath(context.Video.FilePath, toMp4, context.SourceIsMp4);
+
+            var args = BuildArguments(context, fixes, outputPath, null);
+            args.Insert(0, "ffmpeg");
+            return string.Join(" ", args.Select(Quote));
+        }
+
+        private static List<string> BuildArguments(PlanContext context, IReadOnlyCollection<FfmpegFixKind> fixes, string outputPath, string? outputFormat)
+        {
+            var video = context.Video;
+            var toMp4 = context.SourceIsMp4 || fixes.Contains(FfmpegFixKind.Remux);
+            var transcode = fixes.Contains(FfmpegFixKind.Transcode);
+            var convertAudio = fixes.Contains(FfmpegFixKind.ConvertAudio);
+            var convertSubtitles = fixes.Contains(FfmpegFixKind.ConvertSubtitles);
+
+            var args = new List<string> { "-hide_banner", "-n", "-i", video.FilePath, "-map", "0:v:0" };
+            var codecArgs = new List<string> { "-c", "copy" };
+
+            // Video
+            if (transcode)
+            {
+                codecArgs.AddRange(new[] { "-c:v", "libx264", "-preset", "slow", "-crf", TranscodeCrf.ToString(), "-pix_fmt", "yuv420p" });
+                if (video.IsHDR)
+                {
+                    codecArgs.AddRange(new[] { "-vf", ToneMapFilter });
+                }
+                if (context.LimitBitrate)
+                {
+                    // Leave room for the audio tracks below the rating threshold
+                    var maxRate = Math.Max(1, (int)(context.Weights.HighBitrateThresholdMbps * 0.8));
+                    codecArgs.AddRange(new[] { "-maxrate", $"{maxRate}M", "-bufsize", $"{maxRate * 2}M" });
+                }
+            }
+            else if (toMp4 && GetMp4CodecTag(video.VideoCodec) is { } tag)
+            {
+                // ffmpeg writes HEVC as hev1 by default, which Apple devices refuse to play
+                codecArgs.AddRange(new[] { "-tag:v", tag });
+            }
+
+            // Audio: AAC copies first so they become the default track, followed by the untouched originals
+            if (convertAudio)
+            {
+                for (var i = 0; i < context.AudioToConvert.Count; i++)
+                {
+                    var track = context.AudioTracks[context.AudioToConvert[i]];
+                    var channels = track.Channels > 0 ? Math.Min(track.Channels, 8) : 2;
+                    args.AddRange(new[] { "-map", $"0:a:{context.AudioToConvert[i]}" });
+                    codecArgs.AddRange(new[] { $"-c:a:{i}", "aac", $"-b:a:{i}", $"{channels * 64}k" });
+                }
+                codecArgs.AddRange(new[] { "-disposition:a", "0", "-disposition:a:0", "default" });
+            }
+            args.AddRange(new[] { "-map", "0:a?" });
+
+            // Subtitles
+            if (toMp4)
+            {
+                // MP4 only holds mov_text; bitmap subtitles can't be converted without OCR
+                var mapped = 0;
+                for (var i = 0; i < context.SubtitleTracks.Count; i++)
+                {
+                    if (BitmapSubtitleFormats.Contains(context.SubtitleTracks[i].Format))
+                    {
+                        continue;
+                    }
+                    args.AddRange(new[] { "-map", $"0:s:{i}" });
+                    mapped++;
+                }
+                if (mapped > 0)
+                {
+                    codecArgs.AddRange(new[] { "-c:s", "mov_text" });
+                }
+
+                var dropped = context.SubtitleTracks.Where(s => BitmapSubtitleFormats.Contains(s.Format)).Select(s => s.Format).Distinct().ToList();
+                if (dropped.Count > 0 && !context.SourceIsMp4)
+                {
+                    AddNote(context.Plan, $"{string.Join(", ", dropped)} subtitles can't be stored in MP4 and are left out of the output");
+                }
+            }
+            else
+            {
+                args.AddRange(new[] { "-map", "0:s?", "-map", "0:t?" });
+                if (convertSubtitles)
+                {
+                    for (var i = 0; i < context.SubtitleTracks.Count; i++)
+                    {
+                        var track = context.SubtitleTracks[i];
+                        if (IsSupported(context.Settings.SubtitleFormats, track.Format))
+                        {
+                            continue;
+                        }
+                        if (BitmapSubtitleFormats.Contains(track.Format))
+                        {
+                            AddNote(context.Plan, $"{track.Format} subtitles are images and need OCR (e.g. Subtitle Edit) to become SRT");
+                            continue;
+                        }
+                        codecArgs.AddRange(new[] { $"-c:s:{i}", "srt" });
+                    }
+                }
+            }
+
+            args.AddRange(codecArgs);
+
+            if (toMp4)
+            {
+                args.AddRange(new[] { "-movflags", "+faststart" });
+                var keptOriginals = context.AudioTracks.Select(t => t.Codec.ToUpperInvariant());
+                if (keptOriginals.Any(codec => ExperimentalMp4AudioCodecs.Any(experimental => codec.Contains(experimental))))
+                {
+                    args.AddRange(new[] { "-strict", "experimental" });
+                }
+            }
+
+            if (outputFormat != null)
+            {
+                args.AddRange(new[] { "-f", outputFormat });
+            }
+
+            args.Add(outputPath);
+            return args;
+        }
+
+        private static string GetOutputPath(string filePath, bool toMp4, bool sourceIsMp4)
+        {
+            var sourceExtension = Path.GetExtension(filePath);
+            // Matroska holds any codec, so everything that isn't going to MP4 ends up there
+            var extension = toMp4
+                ? (sourceIsMp4 && !string.IsNullOrEmpty(sourceExtension) ? sourceExtension : ".mp4")
+                : ".mkv";
+            var fileName = Path.GetFileNameWithoutExtension(filePath) + OutputSuffix + extension;
+            var directory = Path.GetDirectoryName(filePath);
+            return string.IsNullOrEmpty(directory) ? fileName : Path.Combine(directory, fileName);
+        }
+
+        private static string? GetMp4CodecTag(string videoCodec)
+        {
+            var codec = videoCodec.ToUpperInvariant();
+            if (codec.Contains("H.265") || codec.Contains("HEVC"))
+                return "hvc1";
+            if (codec.Contains("H.264") || codec.Contains("AVC"))
+                return "avc1";
+            if (codec.Contains("VP9"))
+                return "vp09";
+            if (codec.Contains("AV1"))
+                return "av01";
+            return null;
+        }
+
+        // Same lookup as MediaPropertyRatingService: unknown names are unsupported
+        private static bool IsSupported(Dictionary<string, bool> supported, string name)
+        {
+            return !string.IsNullOrEmpty(name) && supported.TryGetValue(name, out var isSupported) && isSupported;
+        }
+
+        private static void AddNote(FfmpegPlan plan, string note)
+        {
+            if (!plan.Notes.Contains(note))
+            {
+                plan.Notes.Add(note);
+            }
+        }
+
+        // POSIX shell quoting, plain arguments are left as they are for readability
+        private static string Quote(string value)
+        {
+            return ShellSafe.IsMatch(value) ? value : $"'{value.Replace("'", "'\\''")}'";
+        }
+
+        private static string ToComment(string text)
+        {
+            return text.Replace('\r', ' ').Replace('\n', ' ');
+        }
+
+        private static List<string> ParseRecommendations(string recommendationsJson)
+        {
+            if (string.IsNullOrWhiteSpace(recommendationsJson))
+                return new List<string>();
+
+            try
+            {
+                return JsonSerializer.Deserialize<List<string>>(recommendationsJson)?
+                    .Where(r => !string.IsNullOrWhiteSpace(r))
+                    .ToList() ?? new List<string>();
+            }
+            catch (JsonException)
+            {
+                return new List<string>();
+            }
+        }
+
+        // Only tracks ffmpeg sees as subtitle streams, in stream order
+        private static List<SubtitleTrack> GetSubtitleStreams(VideoAnalysis video)
+        {
+            return MediaPropertyRatingService.ParseSubtitleTracks(video)
+                .Where(s => s.IsEmbedded && !ClosedCaptionFormats.Contains(s.Format))
+                .ToList();
+        }
+
+        private class PlanContext
+        {
+            public PlanContext(
+                VideoAnalysis video,
+                List<AudioTrack> audioTracks,
+                List<SubtitleTrack> subtitleTracks,
+                MediaPropertySettings settings,
+                RatingWeights weights,
+                FfmpegPlan plan)
+            {
+                Video = video;
+                AudioTracks = audioTracks;
+                SubtitleTracks = subtitleTracks;
+                Settings = settings;
+                Weights = weights;
+                Plan = plan;
+                SourceIsMp4 = Mp4Containers.Contains(video.Container);
+
+                // Tracks the current settings don't support; if the settings changed since the scan, anything but AAC
+                AudioToConvert = Enumerable.Range(0, audioTracks.Count)
+                    .Where(i => !IsSupported(settings.AudioCodecs, audioTracks[i].Codec))
+                    .ToList();
+                if (AudioToConvert.Count == 0)
+                {
+                    AudioToConvert = Enumerable.Range(0, audioTracks.Count)
+                        .Where(i => !string.Equals(audioTracks[i].Codec, "AAC", StringComparison.OrdinalIgnoreCase))
+                        .ToList();
+                }
+            }
+
+            public VideoAnalysis Video { get; }
+            public List<AudioTrack> AudioTracks { get; }
+            public List<SubtitleTrack> SubtitleTracks { get; }
+            public MediaPropertySettings Settings { get; }
+            public RatingWeights Weights { get; }
+            public FfmpegPlan Plan { get; }
+            public bool SourceIsMp4 { get; }
+            public List<int> AudioToConvert { get; }
+            public bool LimitBitrate { get; set; }
+        }
+    }
+}
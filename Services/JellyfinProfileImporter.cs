@@ -0,0 +1,441 @@
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using System.Xml;
+using System.Xml.Linq;
+using Optimarr.Models;
+
+namespace Optimarr.Services
+{
+    public class JellyfinProfileImportPreview
+    {
+        public string? ProfileName { get; set; }
+        public MediaPropertySettings Properties { get; set; } = new(); // Complete map to apply
+        public List<MediaPropertyChange> Changes { get; set; } = new(); // Only values that differ from the current map
+        public List<string> Notes { get; set; } = new(); // Parts of the profile that could not be translated exactly
+    }
+
+    public class MediaPropertyChange
+    {
+        public string Category { get; set; } = string.Empty; // VideoCodecs, AudioCodecs, Containers, SubtitleFormats, BitDepths
+        public string Key { get; set; } = string.Empty;
+        public bool? Current { get; set; } // Null when the value is new
+        public bool Imported { get; set; }
+    }
+
+    /// <summary>
+    /// Translates a Jellyfin DeviceProfile (XML or JSON) into the MediaPropertySettings maps used by the rating engine.
+    ///
+    /// Video DirectPlayProfiles decide the supported containers and codecs, VideoBitDepth and VideoProfile conditions
+    /// in CodecProfiles decide the bit depths, and SubtitleProfiles decide the subtitle formats (burn-in only counts
+    /// as unsupported). Every value of the current map is kept and recomputed, so the result is complete.
+    /// </summary>
+    public class JellyfinProfileImporter
+    {
+        private static readonly Dictionary<string, string> VideoCodecNames = new(StringComparer.OrdinalIgnoreCase)
+        {
+            ["h264"] = "H.264", ["avc"] = "H.264",
+            ["hevc"] = "H.265", ["h265"] = "H.265",
+            ["vp9"] = "VP9", ["vp8"] = "VP8", ["av1"] = "AV1",
+            ["mpeg4"] = "MPEG-4", ["mpeg2video"] = "MPEG-2", ["vc1"] = "VC-1"
+        };
+
+        private static readonly Dictionary<string, string> AudioCodecNames = new(StringComparer.OrdinalIgnoreCase)
+        {
+            ["aac"] = "AAC", ["mp3"] = "MP3", ["mp2"] = "MP2",
+            ["ac3"] = "AC3", ["eac3"] = "EAC3", ["dts"] = "DTS", ["dca"] = "DTS", ["truehd"] = "TrueHD",
+            ["flac"] = "FLAC", ["alac"] = "ALAC", ["opus"] = "Opus", ["vorbis"] = "Vorbis"
+        };
+
+        private static readonly Dictionary<string, string> ContainerNames = new(StringComparer.OrdinalIgnoreCase)
+        {
+            ["mp4"] = "MP4", ["m4v"] = "M4V", ["mov"] = "MOV",
+            ["mkv"] = "MKV", ["matroska"] = "MKV", ["webm"] = "WebM",
+            ["ts"] = "TS", ["mpegts"] = "TS", ["m2ts"] = "TS",
+            ["avi"] = "AVI", ["ogg"] = "OGG", ["ogv"] = "OGG"
+        };
+
+        private static readonly Dictionary<string, string> SubtitleFormatNames = new(StringComparer.OrdinalIgnoreCase)
+        {
+            ["srt"] = "SRT", ["subrip"] = "SRT", ["vtt"] = "VTT", ["webvtt"] = "VTT",
+            ["ass"] = "ASS", ["ssa"] = "SSA", ["pgssub"] = "PGSSUB", ["pgs"] = "PGSSUB",
+            ["dvdsub"] = "VobSub", ["vobsub"] = "VobSub", ["sub"] = "VobSub", ["mov_text"] = "MP4TT"
+        };
+
+        private static readonly Regex BitDepthKey = new(@"^(?<codec>.+) (?<depth>\d+)-bit$", RegexOptions.Compiled);
+
+        private record DirectPlayRule(string Type, List<string> Containers, List<string> VideoCodecs, List<string> AudioCodecs);
+        private record CodecCondition(string Condition, string Property, string Value);
+        private record CodecRule(string Type, List<string> Codecs, List<CodecCondition> Conditions, bool HasApplyConditions);
+        private record SubtitleRule(string Format, string Method);
+        private record ParsedProfile(string? Name, List<DirectPlayRule> DirectPlay, List<CodecRule> Codecs, List<SubtitleRule> Subtitles);
+
+        /// <summary>
+        /// Builds the imported map and its differences from the current one. Throws FormatException for content
+        /// that is not a Jellyfin DeviceProfile.
+        /// </summary>
+        public JellyfinProfileImportPreview Import(string content, MediaPropertySettings current)
+        {
+            if (string.IsNullOrWhiteSpace(content))
+            {
+                throw new FormatException("The profile is empty");
+            }
+
+            var trimmed = content.TrimStart();
+            var profile = trimmed.StartsWith('<') ? ParseXml(trimmed) : ParseJson(trimmed);
+            if (profile.DirectPlay.Count == 0 && profile.Subtitles.Count == 0)
+            {
+                throw new FormatException("No DirectPlayProfiles or SubtitleProfiles found. Is this a Jellyfin DeviceProfile?");
+            }
+
+            var preview = new JellyfinProfileImportPreview { ProfileName = profile.Name };
+            preview.Properties = Translate(profile, current, preview.Notes);
+            preview.Changes = Diff(current, preview.Properties);
+            return preview;
+        }
+
+        private static MediaPropertySettings Translate(ParsedProfile profile, MediaPropertySettings current, List<string> notes)
+        {
+            var videoRules = profile.DirectPlay.Where(r => string.IsNullOrEmpty(r.Type) || r.Type.Equals("Video", StringComparison.OrdinalIgnoreCase)).ToList();
+            if (videoRules.Count == 0 && profile.DirectPlay.Count > 0)
+            {
+                notes.Add("The profile has no Video DirectPlayProfiles, so no container or codec is direct played");
+            }
+
+            // An empty codec list in a DirectPlayProfile means any codec
+            var anyVideoCodec = videoRules.Any(r => r.VideoCodecs.Count == 0);
+            var anyAudioCodec = videoRules.Any(r => r.AudioCodecs.Count == 0);
+            var containers = MapAll(videoRules.SelectMany(r => r.Containers), ContainerNames, "container", notes);
+            var videoCodecs = MapAll(videoRules.SelectMany(r => r.VideoCodecs), VideoCodecNames, "video codec", notes);
+            var audioCodecs = MapAll(videoRules.SelectMany(r => r.AudioCodecs), AudioCodecNames, "audio codec", notes);
+
+            // Highest bit depth per video codec; the empty key holds limits that apply to every codec
+            var maxBitDepths = new Dictionary<string, int>(StringComparer.OrdinalIgnoreCase);
+            foreach (var rule in profile.Codecs.Where(r => r.Type.Equals("Video", StringComparison.OrdinalIgnoreCase)))
+            {
+                var limit = GetBitDepthLimit(rule.Conditions);
+                if (limit == null) continue;
+
+                if (rule.HasApplyConditions)
+                {
+                    notes.Add($"Skipped a conditional bit depth limit for {(rule.Codecs.Count > 0 ? string.Join(", ", rule.Codecs) : "all codecs")} (ApplyConditions are not supported)");
+                    continue;
+                }
+
+                var codecs = rule.Codecs.Count == 0
+                    ? new List<string> { string.Empty }
+                    : rule.Codecs.Select(c => VideoCodecNames.TryGetValue(c, out var name) ? name : c.ToUpperInvariant()).ToList();
+                foreach (var codec in codecs)
+                {
+                    maxBitDepths[codec] = maxBitDepths.TryGetValue(codec, out var existing) ? Math.Min(existing, limit.Value) : limit.Value;
+                }
+            }
+
+            int? GetMaxBitDepth(string codec)
+            {
+                int? max = maxBitDepths.TryGetValue(string.Empty, out var all) ? all : null;
+                if (maxBitDepths.TryGetValue(codec, out var specific))
+                {
+                    max = max.HasValue ? Math.Min(max.Value, specific) : specific;
+                }
+                return max;
+            }
+
+            bool IsVideoCodecSupported(string codec) => anyVideoCodec || videoCodecs.Contains(codec);
+
+            var result = new MediaPropertySettings();
+
+            // Video codecs: "H.265" style keys follow the codec list, "H.265 10-bit" style keys also the bit depth limit
+            foreach (var key in current.VideoCodecs.Keys)
+            {
+                var match = BitDepthKey.Match(key);
+                if (match.Success)
+                {
+                    var codec = match.Groups["codec"].Value;
+                    var max = GetMaxBitDepth(codec);
+                    result.VideoCodecs[key] = IsVideoCodecSupported(codec) && (max == null || int.Parse(match.Groups["depth"].Value) <= max.Value);
+                }
+                else
+                {
+                    result.VideoCodecs[key] = IsVideoCodecSupported(key);
+                }
+            }
+            foreach (var codec in videoCodecs)
+            {
+                result.VideoCodecs.TryAdd(codec, true);
+                var max = GetMaxBitDepth(codec);
+                if (max.HasValue && max.Value < 10)
+                {
+                    // Without these, 10-bit files would fall back to the plain codec key and count as supported
+                    result.VideoCodecs.TryAdd($"{codec} 8-bit", max.Value >= 8);
+                    result.VideoCodecs.TryAdd($"{codec} 10-bit", false);
+                }
+            }
+
+            foreach (var key in current.AudioCodecs.Keys)
+            {
+                result.AudioCodecs[key] = anyAudioCodec || audioCodecs.Contains(key);
+            }
+            foreach (var codec in audioCodecs)
+            {
+                result.AudioCodecs.TryAdd(codec, true);
+            }
+
+            foreach (var key in current.Containers.Keys)
+            {
+                result.Containers[key] = containers.Contains(key);
+            }
+            foreach (var container in containers)
+            {
+                result.Containers.TryAdd(container, true);
+            }
+
+            // Burned-in (Encode) subtitles need a transcode, every other delivery method plays the format as is
+            var subtitleFormats = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+            foreach (var rule in profile.Subtitles)
+            {
+                var format = MapName(rule.Format, SubtitleFormatNames, "subtitle format", notes);
+                if (format != null && !rule.Method.Equals("Encode", StringComparison.OrdinalIgnoreCase))
+                {
+                    subtitleFormats.Add(format);
+                }
+            }
+            foreach (var key in current.SubtitleFormats.Keys)
+            {
+                result.SubtitleFormats[key] = subtitleFormats.Contains(key);
+            }
+            foreach (var format in subtitleFormats)
+            {
+                result.SubtitleFormats.TryAdd(format, true);
+            }
+
+            // A bit depth is supported when at least one supported video codec plays it
+            var supportedCodecs = anyVideoCodec
+                ? result.VideoCodecs.Keys.Where(k => !BitDepthKey.IsMatch(k)).Append(string.Empty).ToList()
+                : videoCodecs.ToList();
+            var bitDepthKeys = current.BitDepths.Keys.Union(new[] { "8", "10", "12" }).ToList();
+            foreach (var key in bitDepthKeys)
+            {
+                if (!int.TryParse(key, out var depth))
+                {
+                    result.BitDepths[key] = current.BitDepths.TryGetValue(key, out var keep) && keep;
+                    continue;
+                }
+                result.BitDepths[key] = supportedCodecs.Any(codec => GetMaxBitDepth(codec) is not int max || depth <= max);
+            }
+
+            return result;
+        }
+
+        // VideoBitDepth limits directly; a VideoProfile list without a 10-bit profile (e.g. "main" for HEVC) means 8-bit
+        private static int? GetBitDepthLimit(List<CodecCondition> conditions)
+        {
+            int? limit = null;
+            foreach (var condition in conditions)
+            {
+                int? value = null;
+                if (condition.Property.Equals("VideoBitDepth", StringComparison.OrdinalIgnoreCase))
+                {
+                    var values = condition.Value.Split('|', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+                        .Select(v => int.TryParse(v, out var parsed) ? parsed : (int?)null)
+                        .Where(v => v.HasValue)
+                        .Select(v => v!.Value)
+                        .ToList();
+                    if (values.Count > 0 && condition.Condition is "LessThanEqual" or "Equals" or "EqualsAny")
+                    {
+                        value = values.Max();
+                    }
+                }
+                else if (condition.Property.Equals("VideoProfile", StringComparison.OrdinalIgnoreCase)
+                    && condition.Condition is "Equals" or "EqualsAny")
+                {
+                    var profiles = condition.Value.Split('|', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+                    if (profiles.Length > 0 && !profiles.Any(p => p.Contains("10")))
+                    {
+                        value = 8;
+                    }
+                }
+
+                if (value.HasValue)
+                {
+                    limit = limit.HasValue ? Math.Min(limit.Value, value.Value) : value.Value;
+                }
+            }
+            return limit;
+        }
+
+        private static HashSet<string> MapAll(IEnumerable<string> names, Dictionary<string, string> known, string kind, List<string> notes)
+        {
+            var result = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+            foreach (var name in names.Distinct(StringComparer.OrdinalIgnoreCase))
+            {
+                var mapped = MapName(name, known, kind, notes);
+                if (mapped != null)
+                {
+                    result.Add(mapped);
+                }
+            }
+            return result;
+        }
+
+        private static string? MapName(string name, Dictionary<string, string> known, string kind, List<string> notes)
+        {
+            if (string.IsNullOrWhiteSpace(name)) return null;
+
+            if (known.TryGetValue(name, out var mapped))
+            {
+                return mapped;
+            }
+
+            var fallback = name.ToUpperInvariant();
+            var note = $"Unknown {kind} \"{name}\" imported as \"{fallback}\"";
+            if (!notes.Contains(note))
+            {
+                notes.Add(note);
+            }
+            return fallback;
+        }
+
+        private static List<MediaPropertyChange> Diff(MediaPropertySettings current, MediaPropertySettings imported)
+        {
+            var changes = new List<MediaPropertyChange>();
+            void Compare(string category, Dictionary<string, bool> before, Dictionary<string, bool> after)
+            {
+                foreach (var (key, value) in after.OrderBy(e => e.Key, StringComparer.OrdinalIgnoreCase))
+                {
+                    var exists = before.TryGetValue(key, out var previous);
+                    if (!exists || previous != value)
+                    {
+                        changes.Add(new MediaPropertyChange { Category = category, Key = key, Current = exists ? previous : null, Imported = value });
+                    }
+                }
+            }
+
+            Compare(nameof(MediaPropertySettings.VideoCodecs), current.VideoCodecs, imported.VideoCodecs);
+            Compare(nameof(MediaPropertySettings.AudioCodecs), current.AudioCodecs, imported.AudioCodecs);
+            Compare(nameof(MediaPropertySettings.Containers), current.Containers, imported.Containers);
+            Compare(nameof(MediaPropertySettings.SubtitleFormats), current.SubtitleFormats, imported.SubtitleFormats);
+            Compare(nameof(MediaPropertySettings.BitDepths), current.BitDepths, imported.BitDepths);
+            return changes;
+        }
+
+        private static List<string> SplitList(string? value)
+        {
+            return (value ?? string.Empty)
+                .Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+                .ToList();
+        }
+
+        private static ParsedProfile ParseXml(string content)
+        {
+            XDocument document;
+            try
+            {
+                document = XDocument.Parse(content);
+            }
+            catch (XmlException ex)
+            {
+                throw new FormatException($"Invalid XML: {ex.Message}", ex);
+            }
+
+            var root = document.Root ?? throw new FormatException("Invalid XML: no root element");
+
+            // Attributes (Jellyfin's XML profiles) or child elements, matched case-insensitively and without namespace
+            static string? Get(XElement element, string name) =>
+                element.Attributes().FirstOrDefault(a => a.Name.LocalName.Equals(name, StringComparison.OrdinalIgnoreCase))?.Value
+                ?? element.Elements().FirstOrDefault(e => e.Name.LocalName.Equals(name, StringComparison.OrdinalIgnoreCase))?.Value;
+
+            IEnumerable<XElement> Descendants(string name) =>
+                root.DescendantsAndSelf().Where(e => e.Name.LocalName.Equals(name, StringComparison.OrdinalIgnoreCase));
+
+            static IEnumerable<XElement> Children(XElement element, string name) =>
+                element.Elements().Where(e => e.Name.LocalName.Equals(name, StringComparison.OrdinalIgnoreCase));
+
+            List<CodecCondition> ReadConditions(XElement parent, string listName) =>
+                Children(parent, listName)
+                    .SelectMany(list => list.Elements())
+                    .Select(c => new CodecCondition(Get(c, "Condition") ?? string.Empty, Get(c, "Property") ?? string.Empty, Get(c, "Value") ?? string.Empty))
+                    .ToList();
+
+            return new ParsedProfile(
+                Get(root, "Name"),
+                Descendants("DirectPlayProfile")
+                    .Select(e => new DirectPlayRule(Get(e, "Type") ?? string.Empty, SplitList(Get(e, "Container")), SplitList(Get(e, "VideoCodec")), SplitList(Get(e, "AudioCodec"))))
+                    .ToList(),
+                Descendants("CodecProfile")
+                    .Select(e => new CodecRule(Get(e, "Type") ?? string.Empty, SplitList(Get(e, "Codec")), ReadConditions(e, "Conditions"), ReadConditions(e, "ApplyConditions").Count > 0))
+                    .ToList(),
+                Descendants("SubtitleProfile")
+                    .Select(e => new SubtitleRule(Get(e, "Format") ?? string.Empty, Get(e, "Method") ?? string.Empty))
+                    .ToList());
+        }
+
+        private static ParsedProfile ParseJson(string content)
+        {
+            JsonDocument document;
+            try
+            {
+                document = JsonDocument.Parse(content, new JsonDocumentOptions { AllowTrailingCommas = true, CommentHandling = JsonCommentHandling.Skip });
+            }
+            catch (JsonException ex)
+            {
+                throw new FormatException($"Invalid JSON: {ex.Message}", ex);
+            }
+
+            using (document)
+            {
+                var root = document.RootElement;
+                if (root.ValueKind != JsonValueKind.Object)
+                {
+                    throw new FormatException("Invalid JSON: expected a DeviceProfile object");
+                }
+
+                // Accept the profile itself or an object wrapping it (e.g. { "DeviceProfile": { ... } })
+                if (TryGetProperty(root, "DeviceProfile", out var wrapped) && wrapped.ValueKind == JsonValueKind.Object)
+                {
+                    root = wrapped;
+                }
+
+                static string? GetString(JsonElement element, string name) =>
+                    TryGetProperty(element, name, out var value) && value.ValueKind != JsonValueKind.Null
+                        ? value.ValueKind == JsonValueKind.String ? value.GetString() : value.ToString()
+                        : null;
+
+                static IEnumerable<JsonElement> GetArray(JsonElement element, string name) =>
+                    TryGetProperty(element, name, out var value) && value.ValueKind == JsonValueKind.Array
+                        ? value.EnumerateArray().Where(e => e.ValueKind == JsonValueKind.Object).ToList()
+                        : Enumerable.Empty<JsonElement>();
+
+                List<CodecCondition> ReadConditions(JsonElement parent, string name) =>
+                    GetArray(parent, name)
+                        .Select(c => new CodecCondition(GetString(c, "Condition") ?? string.Empty, GetString(c, "Property") ?? string.Empty, GetString(c, "Value") ?? string.Empty))
+                        .ToList();
+
+                return new ParsedProfile(
+                    GetString(root, "Name"),
+                    GetArray(root, "DirectPlayProfiles")
+                        .Select(e => new DirectPlayRule(GetString(e, "Type") ?? string.Empty, SplitList(GetString(e, "Container")), SplitList(GetString(e, "VideoCodec")), SplitList(GetString(e, "AudioCodec"))))
+                        .ToList(),
+                    GetArray(root, "CodecProfiles")
+                        .Select(e => new CodecRule(GetString(e, "Type") ?? string.Empty, SplitList(GetString(e, "Codec")), ReadConditions(e, "Conditions"), ReadConditions(e, "ApplyConditions").Count > 0))
+                        .ToList(),
+                    GetArray(root, "SubtitleProfiles")
+                        .Select(e => new SubtitleRule(GetString(e, "Format") ?? string.Empty, GetString(e, "Method") ?? string.Empty))
+                        .ToList());
+            }
+        }
+
+        private static bool TryGetProperty(JsonElement element, string name, out JsonElement value)
+        {
+            foreach (var property in element.EnumerateObject())
+            {
+                if (property.Name.Equals(name, StringComparison.OrdinalIgnoreCase))
+                {
+                    value = property.Value;
+                    return true;
+                }
+            }
+            value = default;
+            return false;
+        }
+    }
+}
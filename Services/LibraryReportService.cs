@@ -0,0 +1,264 @@
+using System.Text.Json;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Optimarr.Data;
+using Optimarr.Models;
+
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// Collects library-wide statistics for the dashboard issue list and the downloadable library report
+    /// </summary>
+    public class LibraryReportService
+    {
+        private const int BreakdownLimit = 15;
+        private const int CommonIssuesLimit = 15;
+
+        private readonly AppDbContext _dbContext;
+        private readonly VideoFilterService _videoFilterService;
+        private readonly IConfiguration _configuration;
+        private readonly ILogger<LibraryReportService> _logger;
+
+        public LibraryReportService(
+            AppDbContext dbContext,
+            VideoFilterService videoFilterService,
+            IConfiguration configuration,
+            ILogger<LibraryReportService> logger)
+        {
+            _dbContext = dbContext;
+            _videoFilterService = videoFilterService;
+            _configuration = configuration;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Good/Poor videos with the highest ratings (closest to Optimal) plus a summary of how many need optimization.
+        /// With a profileId, ratings are against that device profile.
+        /// </summary>
+        public async Task<TopIssuesResult> GetTopIssuesAsync(int limit = 10, int? profileId = null)
+        {
+            if (profileId.HasValue)
+            {
+                return await GetProfileTopIssuesAsync(limit, profileId.Value);
+            }
+
+            var issues = await _dbContext.VideoAnalyses
+                .Where(v => v.OverallScore == CompatibilityScore.Poor || v.OverallScore == CompatibilityScore.Good)
+                .OrderByDescending(v => v.CompatibilityRating)
+                .ThenBy(v => v.FileName)
+                .Take(limit)
+                .Select(v => new IssueSummary
+                {
+                    Id = v.Id,
+                    FileName = v.FileName,
+                    FilePath = v.FilePath,
+                    VideoCodec = v.VideoCodec,
+                    Container = v.Container,
+                    OverallScore = v.OverallScore.ToString(),
+                    CompatibilityRating = v.CompatibilityRating,
+                    IsHDR = v.IsHDR
+                })
+                .ToListAsync();
+
+            var scores = await _dbContext.VideoAnalyses.Select(v => v.OverallScore).ToListAsync();
+            var totalVideos = scores.Count;
+            var poorVideos = scores.Count(s => s == CompatibilityScore.Poor);
+
+            return new TopIssuesResult
+            {
+                Issues = issues,
+                OptimizationSummary = new OptimizationSummary
+                {
+                    TotalVideos = totalVideos,
+                    OptimalVideos = scores.Count(s => s == CompatibilityScore.Optimal),
+                    GoodVideos = scores.Count(s => s == CompatibilityScore.Good),
+                    PoorVideos = poorVideos,
+                    // Videos that could benefit from optimization
+                    VideosNeedingOptimization = poorVideos,
+                    OptimizationPotential = totalVideos > 0 ? Math.Round((double)poorVideos / totalVideos * 100, 1) : 0
+                }
+            };
+        }
+
+        // Profile ratings only exist in VideoProfileRatings, so these are scored in memory through the filter service
+        private async Task<TopIssuesResult> GetProfileTopIssuesAsync(int limit, int profileId)
+        {
+            var videos = await _videoFilterService.GetFilteredVideosAsync(new VideoFilterCriteria { ProfileId = profileId });
+            return BuildTopIssues(videos, limit);
+        }
+
+        // Top issues and summary of videos already loaded (and scored) by the filter service
+        private static TopIssuesResult BuildTopIssues(List<VideoAnalysis> videos, int limit = 10)
+        {
+            var issues = videos
+                .Where(v => v.OverallScore == CompatibilityScore.Poor || v.OverallScore == CompatibilityScore.Good)
+                .OrderByDescending(v => v.CompatibilityRating)
+                .ThenBy(v => v.FileName)
+                .Take(limit)
+                .Select(v => new IssueSummary
+                {
+                    Id = v.Id,
+                    FileName = v.FileName,
+                    FilePath = v.FilePath,
+                    VideoCodec = v.VideoCodec,
+                    Container = v.Container,
+                    OverallScore = v.OverallScore.ToString(),
+                    CompatibilityRating = v.CompatibilityRating,
+                    IsHDR = v.IsHDR
+                })
+                .ToList();
+
+            var totalVideos = videos.Count;
+            var poorVideos = videos.Count(v => v.OverallScore == CompatibilityScore.Poor);
+
+            return new TopIssuesResult
+            {
+                Issues = issues,
+                OptimizationSummary = new OptimizationSummary
+                {
+                    TotalVideos = totalVideos,
+                    OptimalVideos = videos.Count(v => v.OverallScore == CompatibilityScore.Optimal),
+                    GoodVideos = videos.Count(v => v.OverallScore == CompatibilityScore.Good),
+                    PoorVideos = poorVideos,
+                    VideosNeedingOptimization = poorVideos,
+                    OptimizationPotential = totalVideos > 0 ? Math.Round((double)poorVideos / totalVideos * 100, 1) : 0
+                }
+            };
+        }
+
+        /// <summary>
+        /// Builds the library-wide report. Scores use the current rating thresholds, as in Browse.
+        /// </summary>
+        public async Task<LibraryReport> BuildReportAsync(int worstOffendersLimit = 50, int? profileId = null)
+        {
+            var thresholds = new MediaPropertyRatingService(_configuration, _logger).LoadRatingThresholds();
+            var videos = await _videoFilterService.GetFilteredVideosAsync(new VideoFilterCriteria { ProfileId = profileId });
+            var playable = videos.Where(v => !v.IsBroken).ToList();
+
+            var report = new LibraryReport
+            {
+                GeneratedAt = DateTime.UtcNow,
+                TotalVideos = videos.Count,
+                BrokenCount = videos.Count - playable.Count,
+                TotalSize = videos.Sum(v => v.FileSize),
+                TotalDuration = videos.Sum(v => v.Duration),
+                OptimalThreshold = thresholds.Optimal,
+                GoodThreshold = thresholds.Good,
+                ProfileName = profileId.HasValue
+                    ? await _dbContext.DeviceProfiles.Where(p => p.Id == profileId.Value).Select(p => p.Name).FirstOrDefaultAsync()
+                    : null,
+                // Same playable videos and scores as the distributions below, not the stored OverallScore
+                TopIssues = BuildTopIssues(playable),
+                CodecBreakdown = CountBy(videos, v => v.VideoCodec),
+                ContainerBreakdown = CountBy(videos, v => v.Container)
+            };
+
+            report.ScoreDistribution = new[] { CompatibilityScore.Optimal, CompatibilityScore.Good, CompatibilityScore.Poor }
+                .Select(score => new ReportCount { Label = score.ToString(), Count = playable.Count(v => v.OverallScore == score) })
+                .ToList();
+
+            // 0-9, 10-19, ... 90-100
+            report.RatingDistribution = Enumerable.Range(0, 10)
+                .Select(bucket => new ReportCount
+                {
+                    Label = bucket == 9 ? "90-100" : $"{bucket * 10}-{bucket * 10 + 9}",
+                    Count = playable.Count(v => Math.Clamp(v.CompatibilityRating / 10, 0, 9) == bucket)
+                })
+                .ToList();
+
+            var issuesByVideo = playable.ToDictionary(v => v.Id, v => ParseIssues(v.Issues));
+
+            report.CommonIssues = issuesByVideo.Values
+                .SelectMany(issues => issues.Distinct())
+                .GroupBy(issue => issue)
+                .Select(g => new ReportCount { Label = g.Key, Count = g.Count() })
+                .OrderByDescending(c => c.Count)
+                .ThenBy(c => c.Label)
+                .Take(CommonIssuesLimit)
+                .ToList();
+
+            report.WorstOffenders = playable
+                .Where(v => v.OverallScore != CompatibilityScore.Optimal)
+                .OrderBy(v => v.CompatibilityRating)
+                .ThenBy(v => v.FileName)
+                .Take(worstOffendersLimit)
+                .Select(v => new ReportVideo
+                {
+                    Id = v.Id,
+                    FileName = v.FileName,
+                    FilePath = v.FilePath,
+                    ServarrType = v.ServarrType,
+                    ServarrTitle = GetServarrTitle(v),
+                    VideoCodec = v.VideoCodec,
+                    Container = v.Container,
+                    AudioCodecs = v.AudioCodecs,
+                    SubtitleFormats = v.SubtitleFormats,
+                    IsHDR = v.IsHDR,
+                    CompatibilityRating = v.CompatibilityRating,
+                    OverallScore = v.OverallScore.ToString(),
+                    Issues = issuesByVideo[v.Id]
+                })
+                .ToList();
+
+            _logger.LogInformation("Built library report for {TotalVideos} videos", report.TotalVideos);
+            return report;
+        }
+
+        // Sonarr: "Series S01E02", Radarr: "Movie (2020)"
+        public static string? GetServarrTitle(VideoAnalysis video)
+        {
+            if (!string.IsNullOrEmpty(video.SonarrSeriesTitle))
+            {
+                return $"{video.SonarrSeriesTitle} S{video.SonarrSeasonNumber ?? 0:00}E{video.SonarrEpisodeNumber ?? 0:00}";
+            }
+
+            if (!string.IsNullOrEmpty(video.RadarrMovieTitle))
+            {
+                return video.RadarrYear.HasValue ? $"{video.RadarrMovieTitle} ({video.RadarrYear})" : video.RadarrMovieTitle;
+            }
+
+            return null;
+        }
+
+        private static List<ReportCount> CountBy(IEnumerable<VideoAnalysis> videos, Func<VideoAnalysis, string?> selector)
+        {
+            var counts = videos
+                .Select(selector)
+                .Select(value => string.IsNullOrEmpty(value) || value == "NULL" ? "Unknown" : value)
+                .GroupBy(value => value)
+                .Select(g => new ReportCount { Label = g.Key, Count = g.Count() })
+                .OrderByDescending(c => c.Count)
+                .ToList();
+
+            if (counts.Count <= BreakdownLimit)
+            {
+                return counts;
+            }
+
+            // Fold the long tail into "Other" so the report stays readable
+            var top = counts.Take(BreakdownLimit - 1).ToList();
+            top.Add(new ReportCount { Label = "Other", Count = counts.Skip(BreakdownLimit - 1).Sum(c => c.Count) });
+            return top;
+        }
+
+        private static List<string> ParseIssues(string? issuesJson)
+        {
+            if (string.IsNullOrWhiteSpace(issuesJson))
+            {
+                return new List<string>();
+            }
+
+            try
+            {
+                return JsonSerializer.Deserialize<List<string>>(issuesJson)?
+                    .Where(i => !string.IsNullOrWhiteSpace(i))
+                    .ToList() ?? new List<string>();
+            }
+            catch (JsonException)
+            {
+                return new List<string>();
+            }
+        }
+    }
+}
@@ -19,6 +19,7 @@ namespace Optimarr.Services
         private readonly VideoAnalyzerService _videoAnalyzer;
         private readonly ILogger<LibraryScannerService> _logger;
         private readonly IServiceScopeFactory _serviceScopeFactory;
+        private readonly NotificationService _notificationService;
         private readonly ConcurrentDictionary<int, CancellationTokenSource> _scanCancellationTokens = new();
         private DateTime _scanStartTime;
 
@@ -29,15 +30,22 @@ namespace Optimarr.Services
             AppDbContext dbContext,
             VideoAnalyzerService videoAnalyzer,
             ILogger<LibraryScannerService> logger,
-            IServiceScopeFactory serviceScopeFactory)
+            IServiceScopeFactory serviceScopeFactory,
+            NotificationService notificationService)
         {
             _dbContext = dbContext;
             _videoAnalyzer = videoAnalyzer;
             _logger = logger;
             _serviceScopeFactory = serviceScopeFactory;
+            _notificationService = notificationService;
         }
 
-        public async Task<LibraryScan> StartScanAsync(string libraryPath, string? libraryName = null, string? category = "Misc")
+        /// <summary>
+        /// Starts a background scan of a library path. Files that already have an analysis are skipped,
+        /// unless reanalyzeChanged is set: then files whose size or modification time changed since they
+        /// were analyzed are analyzed again (used by scheduled scans).
+        /// </summary>
+        public async Task<LibraryScan> StartScanAsync(string libraryPath, string? libraryName = null, string? category = "Misc", bool reanalyzeChanged = false)
         {
             _logger.LogInformation("Starting library scan for path: {Path}", libraryPath);
 
@@ -131,7 +139,7 @@ namespace Optimarr.Services
                     _logger.LogInformation(">>> BACKGROUND TASK: VideoAnalyzerService obtained for scan ID: {ScanId}", scanIdForTask);
                     
                     _logger.LogInformation(">>> BACKGROUND TASK: All services obtained, calling ExecuteScanAsync for scan ID: {ScanId}", scanIdForTask);
-                    await ExecuteScanAsync(scanIdForTask, scopedDbContext, scopedVideoAnalyzer);
+                    await ExecuteScanAsync(scanIdForTask, scopedDbContext, scopedVideoAnalyzer, reanalyzeChanged);
                     _logger.LogInformation(">>> BACKGROUND TASK: ExecuteScanAsync completed for scan ID: {ScanId}", scanIdForTask);
                 }
                 catch (Exception ex)
@@ -170,6 +178,49 @@ namespace Optimarr.Services
             return scan;
         }
 
+        /// <summary>
+        /// Analyzes a single file outside of a full scan (used by the library watcher and webhooks). The analysis is
+        /// stored under the given scan; an existing analysis is only replaced if the file changed. New files that
+        /// rate poorly raise a LowRatingImport notification.
+        /// </summary>
+        public async Task<bool> AnalyzeFileAsync(string filePath, int scanId)
+        {
+            return await AnalyzeAndStoreAsync(filePath, scanId, _dbContext, _videoAnalyzer, reanalyzeChanged: true, notifyImport: true);
+        }
+
+        /// <summary>
+        /// Scan that single-file analyses of a library are stored under: its latest scan, or an empty
+        /// completed scan when the library was never scanned. Library filters go through the scan's path.
+        /// </summary>
+        public async Task<int> GetLibraryScanIdAsync(string libraryPath, CancellationToken cancellationToken = default)
+        {
+            var scanId = await _dbContext.LibraryScans
+                .Where(s => s.LibraryPath == libraryPath)
+                .OrderByDescending(s => s.StartedAt)
+                .Select(s => (int?)s.Id)
+                .FirstOrDefaultAsync(cancellationToken);
+            if (scanId != null)
+            {
+                return scanId.Value;
+            }
+
+            var scan = new LibraryScan
+            {
+                LibraryPath = libraryPath,
+                StartedAt = DateTime.UtcNow,
+                CompletedAt = DateTime.UtcNow,
+                Status = ScanStatus.Completed
+            };
+            _dbContext.LibraryScans.Add(scan);
+            await _dbContext.SaveChangesAsync(cancellationToken);
+            return scan.Id;
+        }
+
+        public static bool IsVideoFile(string filePath)
+        {
+            return VideoExtensions.Contains(Path.GetExtension(filePath).ToLowerInvariant());
+        }
+
         public async Task CancelScan(int scanId)
         {
             _logger.LogInformation("Cancelling scan: {ScanId}", scanId);
@@ -215,7 +266,7 @@ namespace Optimarr.Services
         }
 
 
-        private async Task ExecuteScanAsync(int scanId, AppDbContext dbContext, VideoAnalyzerService videoAnalyzer)
+        private async Task ExecuteScanAsync(int scanId, AppDbContext dbContext, VideoAnalyzerService videoAnalyzer, bool reanalyzeChanged)
         {
             Console.WriteLine($"[{DateTime.UtcNow:yyyy-MM-dd HH:mm:ss.fff}] ExecuteScanAsync START for scan {scanId}");
             _logger.LogCritical("=== SCAN START: ExecuteScanAsync called for scan ID: {ScanId} ===", scanId);
@@ -324,6 +375,7 @@ namespace Optimarr.Services
                     // Thread-safe counters for parallel processing
                     var processedCount = 0;
                     var failedCount = 0;
+                    var unchangedCount = 0;
                     var lockObject = new object();
                     var failedFiles = new ConcurrentBag<(string FilePath, string FileName, string ErrorMessage, string ErrorType, long? FileSize)>();
 
@@ -419,7 +471,10 @@ namespace Optimarr.Services
 
                                     // Analyze the file (this is CPU/IO intensive work)
                                     var analysisStartTime = DateTime.UtcNow;
-                                    await AnalyzeAndStoreAsync(filePath, scanId, taskDbContext, taskVideoAnalyzer);
+                                    if (!await AnalyzeAndStoreAsync(filePath, scanId, taskDbContext, taskVideoAnalyzer, reanalyzeChanged))
+                                    {
+                                        Interlocked.Increment(ref unchangedCount);
+                                    }
                                     var analysisDuration = DateTime.UtcNow - analysisStartTime;
 
                                     // Increment processed count AFTER successful analysis
@@ -561,8 +616,17 @@ namespace Optimarr.Services
                     await dbContext.SaveChangesAsync();
 
                     _logger.LogInformation("=== STEP 4: File processing loop completed ===");
-                    _logger.LogInformation("Final stats - Processed: {Processed}, Failed: {Failed}, Total: {Total}", 
-                        processed, failed, scan.TotalFiles);
+                    _logger.LogInformation("Final stats - Processed: {Processed}, Failed: {Failed}, Unchanged: {Unchanged}, Total: {Total}", 
+                        processed, failed, unchangedCount, scan.TotalFiles);
+
+                    // Scheduled runs record how much of the library actually needed analysis
+                    var scheduledRun = await dbContext.ScheduledScanRuns.FirstOrDefaultAsync(r => r.LibraryScanId == scanId);
+                    if (scheduledRun != null)
+                    {
+                        scheduledRun.AnalyzedFiles = processed - unchangedCount;
+                        scheduledRun.UnchangedFiles = unchangedCount;
+                        await dbContext.SaveChangesAsync();
+                    }
 
                     _logger.LogInformation("=== STEP 5: Marking scan as completed ===");
                     scan.Status = ScanStatus.Completed;
@@ -573,6 +637,19 @@ namespace Optimarr.Services
                     _logger.LogInformation("=== SCAN COMPLETE: Scan {ScanId} finished successfully ===", scanId);
                     _logger.LogInformation("Duration: {Duration}, Processed: {Processed}, Failed: {Failed}, Total: {Total}", 
                         totalDuration, processed, failed, scan.TotalFiles);
+
+                    _notificationService.Publish(
+                        NotificationEvent.ScanCompleted,
+                        "Library scan completed",
+                        $"Scan of {scan.LibraryPath} finished: {processed} processed, {failed} failed.",
+                        new Dictionary<string, string>
+                        {
+                            ["Library"] = scan.LibraryPath,
+                            ["Processed"] = processed.ToString(),
+                            ["Failed"] = failed.ToString(),
+                            ["Total files"] = scan.TotalFiles.ToString(),
+                            ["Duration"] = totalDuration.ToString(@"hh\:mm\:ss")
+                        });
                     
                     // Update LibraryPath record with scan results
                     try
@@ -629,6 +706,12 @@ namespace Optimarr.Services
                         failedScan.CompletedAt = DateTime.UtcNow;
                         await dbContext.SaveChangesAsync();
                         _logger.LogInformation("Scan failure saved to database");
+
+                        _notificationService.Publish(
+                            NotificationEvent.ScanFailed,
+                            "Library scan failed",
+                            $"Scan of {failedScan.LibraryPath} failed: {failedScan.ErrorMessage}",
+                            new Dictionary<string, string> { ["Library"] = failedScan.LibraryPath });
                     }
                 }
                 catch (Exception dbEx)
@@ -661,7 +744,8 @@ namespace Optimarr.Services
             }
         }
 
-        private async Task AnalyzeAndStoreAsync(string filePath, int scanId, AppDbContext dbContext, VideoAnalyzerService videoAnalyzer)
+        // Returns false when the file was skipped because its existing analysis was kept
+        private async Task<bool> AnalyzeAndStoreAsync(string filePath, int scanId, AppDbContext dbContext, VideoAnalyzerService videoAnalyzer, bool reanalyzeChanged, bool notifyImport = false)
         {
             _logger.LogInformation(">>> AnalyzeAndStoreAsync START for: {FileName}", Path.GetFileName(filePath));
             
@@ -672,10 +756,17 @@ namespace Optimarr.Services
 
             if (existing != null)
             {
-                _logger.LogInformation("File already analyzed (ID: {Id}), skipping: {FilePath}", existing.Id, filePath);
-                return;
+                if (!reanalyzeChanged || !HasFileChangedSinceAnalysis(existing, filePath))
+                {
+                    _logger.LogInformation("File already analyzed (ID: {Id}), skipping: {FilePath}", existing.Id, filePath);
+                    return false;
+                }
+
+                _logger.LogInformation("File changed since it was analyzed (ID: {Id}), re-analyzing: {FilePath}", existing.Id, filePath);
             }
 
+            var wasBroken = existing?.IsBroken ?? false;
+
             try
             {
                 // Check if file exists before attempting analysis
@@ -683,7 +774,7 @@ namespace Optimarr.Services
                 if (!File.Exists(filePath))
                 {
                     _logger.LogWarning("File does not exist, skipping: {FilePath}", filePath);
-                    return;
+                    return false;
                 }
                 _logger.LogDebug("File exists and is accessible");
 
@@ -813,7 +904,7 @@ namespace Optimarr.Services
                     {
                         PropertyNamingPolicy = System.Text.Json.JsonNamingPolicy.CamelCase
                     }),
-                    OverallScore = ParseScore(compatibilityResult.OverallScore),
+                    OverallScore = MediaPropertyRatingService.ParseScore(compatibilityResult.OverallScore),
                     CompatibilityRating = compatibilityResult.CompatibilityRating,
                     DirectPlayClients = compatibilityResult.ClientResults.Values.Count(r => r.Status == "Direct Play"),
                     RemuxClients = compatibilityResult.ClientResults.Values.Count(r => r.Status == "Remux"),
@@ -828,16 +919,46 @@ namespace Optimarr.Services
                     LibraryScanId = scanId
                 };
 
-                _logger.LogDebug(">>> Adding VideoAnalysis to database context");
                 _logger.LogInformation(">>> Saving video with {SubtitleCount} subtitle track(s). Formats: {Formats}", 
                     videoInfo.SubtitleTracks.Count, string.Join(", ", videoInfo.SubtitleTracks.Select(s => s.Format).Distinct()));
-                dbContext.VideoAnalyses.Add(analysis);
+                if (existing != null)
+                {
+                    // Re-analysis keeps the record (and its Servarr match and processing state)
+                    _logger.LogDebug(">>> Updating existing VideoAnalysis (ID: {Id})", existing.Id);
+                    CopyAnalysisResults(analysis, existing);
+                    analysis = existing;
+                }
+                else
+                {
+                    _logger.LogDebug(">>> Adding VideoAnalysis to database context");
+                    dbContext.VideoAnalyses.Add(analysis);
+                }
                 
                 _logger.LogDebug(">>> Saving VideoAnalysis to database");
                 await dbContext.SaveChangesAsync();
                 _logger.LogInformation(">>> VideoAnalysis saved successfully (ID: {Id}) for: {FileName}", 
                     analysis.Id, Path.GetFileName(filePath));
                 _logger.LogInformation(">>> AnalyzeAndStoreAsync COMPLETE for: {FileName}", Path.GetFileName(filePath));
+
+                if (existing != null && isBroken && !wasBroken)
+                {
+                    PublishFileBroken(analysis);
+                }
+                else if (notifyImport && existing == null && !isBroken)
+                {
+                    _notificationService.Publish(
+                        NotificationEvent.LowRatingImport,
+                        "Low compatibility import",
+                        $"{analysis.FileName} was analyzed with a compatibility rating of {analysis.CompatibilityRating}/100.",
+                        new Dictionary<string, string>
+                        {
+                            ["File"] = analysis.FilePath,
+                            ["Rating"] = $"{analysis.CompatibilityRating}/100",
+                            ["Video"] = $"{analysis.VideoCodec} {analysis.Width}x{analysis.Height}",
+                            ["Container"] = analysis.Container
+                        },
+                        analysis.CompatibilityRating);
+                }
             }
             catch (Exception ex)
             {
@@ -864,11 +985,13 @@ namespace Optimarr.Services
                     var existingBroken = await dbContext.VideoAnalyses
                         .FirstOrDefaultAsync(a => a.FilePath == filePath);
                     
+                    var turnedBroken = existingBroken != null && !existingBroken.IsBroken;
                     if (existingBroken != null)
                     {
                         // Update existing record
                         existingBroken.IsBroken = true;
                         existingBroken.BrokenReason = brokenAnalysis.BrokenReason;
+                        existingBroken.FileSize = brokenAnalysis.FileSize;
                         existingBroken.AnalyzedAt = DateTime.UtcNow;
                     }
                     else
@@ -878,6 +1001,11 @@ namespace Optimarr.Services
                     
                     await dbContext.SaveChangesAsync();
                     _logger.LogWarning(">>> Stored broken file record for: {FilePath}", filePath);
+
+                    if (turnedBroken)
+                    {
+                        PublishFileBroken(existingBroken!);
+                    }
                 }
                 catch (Exception saveEx)
                 {
@@ -885,6 +1013,68 @@ namespace Optimarr.Services
                     // Don't throw - we've logged the error
                 }
             }
+
+            return true;
+        }
+
+        private void PublishFileBroken(VideoAnalysis analysis)
+        {
+            _notificationService.Publish(
+                NotificationEvent.FileBroken,
+                "File turned broken",
+                $"{analysis.FileName} was analyzed again and is now broken: {analysis.BrokenReason}",
+                new Dictionary<string, string>
+                {
+                    ["File"] = analysis.FilePath,
+                    ["Reason"] = analysis.BrokenReason ?? string.Empty
+                });
+        }
+
+        private static bool HasFileChangedSinceAnalysis(VideoAnalysis analysis, string filePath)
+        {
+            var fileInfo = new FileInfo(filePath);
+            if (!fileInfo.Exists)
+            {
+                return false;
+            }
+
+            return fileInfo.Length != analysis.FileSize || fileInfo.LastWriteTimeUtc > analysis.AnalyzedAt;
+        }
+
+        private static void CopyAnalysisResults(VideoAnalysis source, VideoAnalysis target)
+        {
+            target.FileName = source.FileName;
+            target.FileSize = source.FileSize;
+            target.Duration = source.Duration;
+            target.Container = source.Container;
+            target.VideoCodec = source.VideoCodec;
+            target.VideoCodecTag = source.VideoCodecTag;
+            target.IsCodecTagCorrect = source.IsCodecTagCorrect;
+            target.BitDepth = source.BitDepth;
+            target.Width = source.Width;
+            target.Height = source.Height;
+            target.FrameRate = source.FrameRate;
+            target.IsHDR = source.IsHDR;
+            target.HDRType = source.HDRType;
+            target.IsFastStart = source.IsFastStart;
+            target.AudioCodecs = source.AudioCodecs;
+            target.AudioTrackCount = source.AudioTrackCount;
+            target.AudioTracksJson = source.AudioTracksJson;
+            target.SubtitleFormats = source.SubtitleFormats;
+            target.SubtitleTrackCount = source.SubtitleTrackCount;
+            target.SubtitleTracksJson = source.SubtitleTracksJson;
+            target.OverallScore = source.OverallScore;
+            target.CompatibilityRating = source.CompatibilityRating;
+            target.DirectPlayClients = source.DirectPlayClients;
+            target.RemuxClients = source.RemuxClients;
+            target.TranscodeClients = source.TranscodeClients;
+            target.Issues = source.Issues;
+            target.Recommendations = source.Recommendations;
+            target.ClientResults = source.ClientResults;
+            target.FullReport = source.FullReport;
+            target.IsBroken = source.IsBroken;
+            target.BrokenReason = source.BrokenReason;
+            target.AnalyzedAt = source.AnalyzedAt;
         }
 
         private IEnumerable<string> GetVideoFiles(string directory)
@@ -892,7 +1082,7 @@ namespace Optimarr.Services
             try
             {
                 return Directory.EnumerateFiles(directory, "*.*", SearchOption.AllDirectories)
-                    .Where(f => VideoExtensions.Contains(Path.GetExtension(f).ToLowerInvariant()));
+                    .Where(IsVideoFile);
             }
             catch (Exception ex)
             {
@@ -1093,18 +1283,6 @@ namespace Optimarr.Services
             var allSubtitles = FindAllExternalSubtitles(videoFilePath);
             return allSubtitles.FirstOrDefault();
         }
-
-
-        private CompatibilityScore ParseScore(string score)
-        {
-            return score.ToUpperInvariant() switch
-            {
-                "OPTIMAL" => CompatibilityScore.Optimal,
-                "GOOD" => CompatibilityScore.Good,
-                "POOR" => CompatibilityScore.Poor,
-                _ => CompatibilityScore.Unknown
-            };
-        }
     }
 }
 
@@ -0,0 +1,144 @@
+using System.Text.Json;
+using Microsoft.EntityFrameworkCore;
+using Optimarr.Data;
+using Optimarr.Models;
+
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// Records the daily library snapshots behind the dashboard trend charts (LibrarySnapshots).
+    ///
+    /// Today's snapshot is captured at startup and refreshed every hour, so each day keeps the numbers it
+    /// ended with. Days on which Optimarr was not running have no snapshot; the charts connect the days
+    /// around them.
+    /// </summary>
+    public class LibrarySnapshotService : BackgroundService
+    {
+        private static readonly TimeSpan CaptureInterval = TimeSpan.FromHours(1);
+
+        private readonly IServiceScopeFactory _scopeFactory;
+        private readonly IConfiguration _configuration;
+        private readonly ILogger<LibrarySnapshotService> _logger;
+
+        public LibrarySnapshotService(IServiceScopeFactory scopeFactory, IConfiguration configuration, ILogger<LibrarySnapshotService> logger)
+        {
+            _scopeFactory = scopeFactory;
+            _configuration = configuration;
+            _logger = logger;
+        }
+
+        public static LibraryTrendPoint ToTrendPoint(LibrarySnapshot snapshot)
+        {
+            return new LibraryTrendPoint
+            {
+                Date = snapshot.Date,
+                CapturedAt = snapshot.CapturedAt,
+                TotalVideos = snapshot.TotalVideos,
+                OptimalCount = snapshot.OptimalCount,
+                GoodCount = snapshot.GoodCount,
+                PoorCount = snapshot.PoorCount,
+                BrokenCount = snapshot.BrokenCount,
+                HdrCount = snapshot.HdrCount,
+                SdrCount = snapshot.SdrCount,
+                TotalSize = snapshot.TotalSize,
+                CodecDistribution = ReadDistribution(snapshot.CodecDistributionJson),
+                ContainerDistribution = ReadDistribution(snapshot.ContainerDistributionJson)
+            };
+        }
+
+        private static Dictionary<string, int> ReadDistribution(string json)
+        {
+            try
+            {
+                return JsonSerializer.Deserialize<Dictionary<string, int>>(json) ?? new Dictionary<string, int>();
+            }
+            catch (JsonException)
+            {
+                return new Dictionary<string, int>();
+            }
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            _logger.LogInformation("Library snapshot service started");
+
+            while (!stoppingToken.IsCancellationRequested)
+            {
+                try
+                {
+                    await CaptureSnapshotAsync(stoppingToken);
+                }
+                catch (Exception ex) when (ex is not OperationCanceledException)
+                {
+                    _logger.LogError(ex, "Error capturing library snapshot");
+                }
+
+                await Task.Delay(CaptureInterval, stoppingToken);
+            }
+        }
+
+        /// <summary>
+        /// Creates or refreshes today's snapshot from the current library
+        /// </summary>
+        public async Task<LibrarySnapshot> CaptureSnapshotAsync(CancellationToken cancellationToken = default)
+        {
+            using var scope = _scopeFactory.CreateScope();
+            var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+
+            var thresholds = new MediaPropertyRatingService(_configuration, _logger).LoadRatingThresholds();
+            var optimalThreshold = thresholds.Optimal;
+            var goodThreshold = thresholds.Good;
+
+            // Same counting rules as GET /api/library/dashboard/stats without a device profile
+            var totalVideos = await dbContext.VideoAnalyses.CountAsync(cancellationToken);
+            var brokenCount = await dbContext.VideoAnalyses.CountAsync(v => v.IsBroken, cancellationToken);
+            var optimalCount = await dbContext.VideoAnalyses
+                .CountAsync(v => !v.IsBroken && v.CompatibilityRating >= optimalThreshold, cancellationToken);
+            var goodCount = await dbContext.VideoAnalyses
+                .CountAsync(v => !v.IsBroken && v.CompatibilityRating >= goodThreshold && v.CompatibilityRating < optimalThreshold, cancellationToken);
+            var poorCount = await dbContext.VideoAnalyses
+                .CountAsync(v => !v.IsBroken && v.CompatibilityRating < goodThreshold, cancellationToken);
+            var hdrCount = await dbContext.VideoAnalyses.CountAsync(v => v.IsHDR, cancellationToken);
+            var totalSize = await dbContext.VideoAnalyses.SumAsync(v => v.FileSize, cancellationToken);
+
+            var codecDistribution = await dbContext.VideoAnalyses
+                .Where(v => !string.IsNullOrEmpty(v.VideoCodec) && v.VideoCodec != "NULL")
+                .GroupBy(v => v.VideoCodec)
+                .Select(g => new { Codec = g.Key, Count = g.Count() })
+                .ToDictionaryAsync(x => x.Codec, x => x.Count, cancellationToken);
+
+            var containerDistribution = await dbContext.VideoAnalyses
+                .Where(v => !string.IsNullOrEmpty(v.Container) && v.Container != "NULL")
+                .GroupBy(v => v.Container)
+                .Select(g => new { Container = g.Key, Count = g.Count() })
+                .ToDictionaryAsync(x => x.Container, x => x.Count, cancellationToken);
+
+            var today = DateTime.Now.Date;
+            var snapshot = await dbContext.LibrarySnapshots.FirstOrDefaultAsync(s => s.Date == today, cancellationToken);
+            if (snapshot == null)
+            {
+                snapshot = new LibrarySnapshot { Date = today };
+                dbContext.LibrarySnapshots.Add(snapshot);
+            }
+
+            snapshot.CapturedAt = DateTime.UtcNow;
+            snapshot.TotalVideos = totalVideos;
+            snapshot.OptimalCount = optimalCount;
+            snapshot.GoodCount = goodCount;
+            snapshot.PoorCount = poorCount;
+            snapshot.BrokenCount = brokenCount;
+            snapshot.HdrCount = hdrCount;
+            snapshot.SdrCount = totalVideos - hdrCount - brokenCount;
+            snapshot.TotalSize = totalSize;
+            snapshot.CodecDistributionJson = JsonSerializer.Serialize(codecDistribution);
+            snapshot.ContainerDistributionJson = JsonSerializer.Serialize(containerDistribution);
+
+            await dbContext.SaveChangesAsync(cancellationToken);
+
+            _logger.LogDebug("Captured library snapshot for {Date:yyyy-MM-dd}: {Total} videos, {Optimal} optimal, {Good} good, {Poor} poor",
+                today, totalVideos, optimalCount, goodCount, poorCount);
+
+            return snapshot;
+        }
+    }
+}
@@ -0,0 +1,533 @@
+using System.Collections.Concurrent;
+using Microsoft.EntityFrameworkCore;
+using Optimarr.Data;
+using Optimarr.Models;
+
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// One entry of the "recently added" feed on the Library tab
+    /// </summary>
+    public class LibraryActivity
+    {
+        public long Id { get; set; }
+        public string Type { get; set; } = "added"; // added, updated, renamed, removed
+        public string Status { get; set; } = "waiting"; // waiting, analyzing, done, failed
+        public int LibraryPathId { get; set; }
+        public string LibraryName { get; set; } = string.Empty;
+        public string FilePath { get; set; } = string.Empty;
+        public string FileName { get; set; } = string.Empty;
+        public string? PreviousPath { get; set; }
+        public int? VideoId { get; set; }
+        public string? OverallScore { get; set; }
+        public string? Error { get; set; }
+        public DateTime Timestamp { get; set; } = DateTime.UtcNow;
+    }
+
+    /// <summary>
+    /// Watch mode for libraries (LibraryPath.WatchEnabled). A FileSystemWatcher per watched library reports
+    /// created, changed, renamed and deleted video files. New and changed files are analyzed once they have
+    /// stopped growing for QuietPeriod; deleted files have their VideoAnalysis removed; renames keep the
+    /// existing analysis under the new path.
+    ///
+    /// All database work happens on the service loop, one file at a time, so a large import doesn't
+    /// compete with itself. Files are not analyzed while a full scan of their library is running.
+    /// </summary>
+    public class LibraryWatcherService : BackgroundService
+    {
+        private static readonly TimeSpan CheckInterval = TimeSpan.FromSeconds(2);
+        private static readonly TimeSpan QuietPeriod = TimeSpan.FromSeconds(10);
+        private const int MaxActivityItems = 50;
+
+        private readonly IServiceScopeFactory _scopeFactory;
+        private readonly ILogger<LibraryWatcherService> _logger;
+
+        private readonly ConcurrentDictionary<int, LibraryWatcher> _watchers = new();
+        private readonly ConcurrentQueue<FileChange> _changes = new();
+        private readonly Dictionary<string, PendingFile> _pendingFiles = new(); // Only used by the service loop
+        private readonly SemaphoreSlim _refreshLock = new(1, 1);
+        private readonly LinkedList<LibraryActivity> _activity = new();
+        private long _nextActivityId;
+        private volatile bool _refreshRequested;
+
+        public LibraryWatcherService(IServiceScopeFactory scopeFactory, ILogger<LibraryWatcherService> logger)
+        {
+            _scopeFactory = scopeFactory;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Recently detected file changes, newest first
+        /// </summary>
+        public List<LibraryActivity> GetRecentActivity(int limit = MaxActivityItems)
+        {
+            lock (_activity)
+            {
+                return _activity.Take(limit).Select(CopyActivity).ToList();
+            }
+        }
+
+        public List<int> GetWatchedLibraryPathIds() => _watchers.Keys.ToList();
+
+        /// <summary>
+        /// Starts or stops watchers to match the active libraries with WatchEnabled set.
+        /// Call after a library's watch mode changes or a library is deleted.
+        /// </summary>
+        public async Task RefreshWatchersAsync(CancellationToken cancellationToken = default)
+        {
+            await _refreshLock.WaitAsync(cancellationToken);
+            try
+            {
+                _refreshRequested = false;
+
+                using var scope = _scopeFactory.CreateScope();
+                var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+                var libraries = await dbContext.LibraryPaths
+                    .AsNoTracking()
+                    .Where(lp => lp.IsActive && lp.WatchEnabled)
+                    .ToListAsync(cancellationToken);
+
+                foreach (var (libraryPathId, watcher) in _watchers)
+                {
+                    var library = libraries.FirstOrDefault(lp => lp.Id == libraryPathId);
+                    if (library == null || library.Path != watcher.Path || watcher.Failed)
+                    {
+                        _watchers.TryRemove(libraryPathId, out _);
+                        watcher.Dispose();
+                        _logger.LogInformation("Stopped watching library {Path}", watcher.Path);
+                    }
+                }
+
+                foreach (var library in libraries.Where(lp => !_watchers.ContainsKey(lp.Id)))
+                {
+                    if (!Directory.Exists(library.Path))
+                    {
+                        _logger.LogWarning("Cannot watch library {Path}: directory does not exist", library.Path);
+                        continue;
+                    }
+
+                    try
+                    {
+                        _watchers[library.Id] = CreateWatcher(library);
+                        _logger.LogInformation("Watching library {Name} ({Path}) for new files", library.Name, library.Path);
+                    }
+                    catch (Exception ex)
+                    {
+                        _logger.LogError(ex, "Error starting file watcher for library {Path}", library.Path);
+                    }
+                }
+            }
+            finally
+            {
+                _refreshLock.Release();
+            }
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            try
+            {
+                await RefreshWatchersAsync(stoppingToken);
+            }
+            catch (Exception ex) when (ex is not OperationCanceledException)
+            {
+                _logger.LogError(ex, "Error starting library watchers");
+            }
+
+            while (!stoppingToken.IsCancellationRequested)
+            {
+                try
+                {
+                    if (_refreshRequested)
+                    {
+                        await RefreshWatchersAsync(stoppingToken);
+                    }
+
+                    await ApplyChangesAsync(stoppingToken);
+                    await AnalyzeSettledFilesAsync(stoppingToken);
+                }
+                catch (Exception ex) when (ex is not OperationCanceledException)
+                {
+                    _logger.LogError(ex, "Error processing library watcher changes");
+                }
+
+                await Task.Delay(CheckInterval, stoppingToken);
+            }
+        }
+
+        public override async Task StopAsync(CancellationToken cancellationToken)
+        {
+            foreach (var watcher in _watchers.Values)
+            {
+                watcher.Dispose();
+            }
+            _watchers.Clear();
+
+            await base.StopAsync(cancellationToken);
+        }
+
+        private LibraryWatcher CreateWatcher(LibraryPath library)
+        {
+            var fileSystemWatcher = new FileSystemWatcher(library.Path)
+            {
+                IncludeSubdirectories = true,
+                NotifyFilter = NotifyFilters.FileName | NotifyFilters.DirectoryName | NotifyFilters.Size | NotifyFilters.LastWrite,
+                InternalBufferSize = 64 * 1024 // Maximum; large imports produce many events at once
+            };
+
+            var watcher = new LibraryWatcher(library.Id, library.Name, library.Path, fileSystemWatcher);
+
+            fileSystemWatcher.Created += (_, e) => _changes.Enqueue(new FileChange(watcher, WatcherChangeTypes.Created, e.FullPath, null));
+            fileSystemWatcher.Changed += (_, e) => _changes.Enqueue(new FileChange(watcher, WatcherChangeTypes.Changed, e.FullPath, null));
+            fileSystemWatcher.Deleted += (_, e) => _changes.Enqueue(new FileChange(watcher, WatcherChangeTypes.Deleted, e.FullPath, null));
+            fileSystemWatcher.Renamed += (_, e) => _changes.Enqueue(new FileChange(watcher, WatcherChangeTypes.Renamed, e.FullPath, e.OldFullPath));
+            fileSystemWatcher.Error += (_, e) =>
+            {
+                // Buffer overflows lose events; anything missed is picked up by the next scan
+                _logger.LogWarning(e.GetException(), "File watcher error for library {Path}, restarting watcher", watcher.Path);
+                watcher.Failed = true;
+                _refreshRequested = true;
+            };
+
+            fileSystemWatcher.EnableRaisingEvents = true;
+            return watcher;
+        }
+
+        private async Task ApplyChangesAsync(CancellationToken cancellationToken)
+        {
+            if (_changes.IsEmpty)
+            {
+                return;
+            }
+
+            using var scope = _scopeFactory.CreateScope();
+            var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+
+            while (_changes.TryDequeue(out var change))
+            {
+                switch (change.ChangeType)
+                {
+                    case WatcherChangeTypes.Created:
+                    case WatcherChangeTypes.Changed:
+                        if (LibraryScannerService.IsVideoFile(change.Path))
+                        {
+                            await TrackPendingFileAsync(dbContext, change.Watcher, change.Path, cancellationToken);
+                        }
+                        else if (change.ChangeType == WatcherChangeTypes.Created && Directory.Exists(change.Path))
+                        {
+                            // A folder moved into the library only raises an event for the folder itself
+                            foreach (var filePath in EnumerateVideoFiles(change.Path))
+                            {
+                                await TrackPendingFileAsync(dbContext, change.Watcher, filePath, cancellationToken);
+                            }
+                        }
+                        break;
+
+                    case WatcherChangeTypes.Deleted:
+                        await RemoveAnalysesAsync(dbContext, change.Watcher, change.Path, cancellationToken);
+                        break;
+
+                    case WatcherChangeTypes.Renamed:
+                        await ApplyRenameAsync(dbContext, change.Watcher, change.OldPath!, change.Path, cancellationToken);
+                        break;
+                }
+            }
+        }
+
+        private async Task TrackPendingFileAsync(AppDbContext dbContext, LibraryWatcher watcher, string filePath, CancellationToken cancellationToken)
+        {
+            if (_pendingFiles.TryGetValue(filePath, out var pending))
+            {
+                pending.LastEventAt = DateTime.UtcNow;
+                return;
+            }
+
+            var isAnalyzed = await dbContext.VideoAnalyses.AnyAsync(v => v.FilePath == filePath, cancellationToken);
+            var activity = AddActivity(watcher, isAnalyzed ? "updated" : "added", filePath);
+            _pendingFiles[filePath] = new PendingFile(watcher, filePath, activity.Id);
+        }
+
+        private async Task RemoveAnalysesAsync(AppDbContext dbContext, LibraryWatcher watcher, string path, CancellationToken cancellationToken)
+        {
+            // The path may have been a file or a whole folder; by now it's gone, so check both
+            var folderPrefix = path.TrimEnd(Path.DirectorySeparatorChar) + Path.DirectorySeparatorChar;
+            foreach (var pendingPath in _pendingFiles.Keys.Where(p => p == path || p.StartsWith(folderPrefix)).ToList())
+            {
+                var pending = _pendingFiles[pendingPath];
+                _pendingFiles.Remove(pendingPath);
+                UpdateActivity(pending.ActivityId, a => { a.Status = "failed"; a.Error = "Deleted before it could be analyzed"; });
+            }
+
+            var analyses = await dbContext.VideoAnalyses
+                .Where(v => v.FilePath == path || v.FilePath.StartsWith(folderPrefix))
+                .ToListAsync(cancellationToken);
+            if (analyses.Count == 0)
+            {
+                return;
+            }
+
+            dbContext.VideoAnalyses.RemoveRange(analyses);
+            await dbContext.SaveChangesAsync(cancellationToken);
+            _logger.LogInformation("Removed {Count} analysis record(s) for deleted path {Path}", analyses.Count, path);
+
+            foreach (var analysis in analyses.Take(MaxActivityItems))
+            {
+                var activity = AddActivity(watcher, "removed", analysis.FilePath);
+                UpdateActivity(activity.Id, a => a.Status = "done");
+            }
+        }
+
+        private async Task ApplyRenameAsync(AppDbContext dbContext, LibraryWatcher watcher, string oldPath, string newPath, CancellationToken cancellationToken)
+        {
+            var wasVideo = LibraryScannerService.IsVideoFile(oldPath);
+            var isVideo = LibraryScannerService.IsVideoFile(newPath);
+
+            if (Directory.Exists(newPath))
+            {
+                await RenameFolderAsync(dbContext, oldPath, newPath, cancellationToken);
+                return;
+            }
+
+            if (!isVideo)
+            {
+                // e.g. "movie.mkv" renamed to "movie.mkv.bak": no longer part of the library
+                if (wasVideo)
+                {
+                    await RemoveAnalysesAsync(dbContext, watcher, oldPath, cancellationToken);
+                }
+                return;
+            }
+
+            if (!wasVideo)
+            {
+                // Downloaders often write "movie.mkv.part" and rename it when done
+                await TrackPendingFileAsync(dbContext, watcher, newPath, cancellationToken);
+                return;
+            }
+
+            if (_pendingFiles.Remove(oldPath, out var pending))
+            {
+                _pendingFiles[newPath] = pending with { FilePath = newPath };
+                UpdateActivity(pending.ActivityId, a => { a.FilePath = newPath; a.FileName = Path.GetFileName(newPath); });
+                return;
+            }
+
+            var existing = await dbContext.VideoAnalyses.FirstOrDefaultAsync(v => v.FilePath == oldPath, cancellationToken);
+            if (existing == null)
+            {
+                await TrackPendingFileAsync(dbContext, watcher, newPath, cancellationToken);
+                return;
+            }
+
+            // Same file under a new name: keep the analysis, Servarr match and playback links
+            existing.FilePath = newPath;
+            existing.FileName = Path.GetFileName(newPath);
+            await dbContext.SaveChangesAsync(cancellationToken);
+
+            var activity = AddActivity(watcher, "renamed", newPath);
+            UpdateActivity(activity.Id, a =>
+            {
+                a.Status = "done";
+                a.PreviousPath = oldPath;
+                a.VideoId = existing.Id;
+                a.OverallScore = existing.OverallScore.ToString();
+            });
+        }
+
+        private async Task RenameFolderAsync(AppDbContext dbContext, string oldPath, string newPath, CancellationToken cancellationToken)
+        {
+            var oldPrefix = oldPath.TrimEnd(Path.DirectorySeparatorChar) + Path.DirectorySeparatorChar;
+            var newPrefix = newPath.TrimEnd(Path.DirectorySeparatorChar) + Path.DirectorySeparatorChar;
+
+            foreach (var pendingPath in _pendingFiles.Keys.Where(p => p.StartsWith(oldPrefix)).ToList())
+            {
+                _pendingFiles.Remove(pendingPath, out var pending);
+                var movedPath = newPrefix + pendingPath[oldPrefix.Length..];
+                _pendingFiles[movedPath] = pending! with { FilePath = movedPath };
+            }
+
+            var analyses = await dbContext.VideoAnalyses
+                .Where(v => v.FilePath.StartsWith(oldPrefix))
+                .ToListAsync(cancellationToken);
+            foreach (var analysis in analyses)
+            {
+                analysis.FilePath = newPrefix + analysis.FilePath[oldPrefix.Length..];
+            }
+
+            if (analyses.Count > 0)
+            {
+                await dbContext.SaveChangesAsync(cancellationToken);
+                _logger.LogInformation("Moved {Count} analysis record(s) from {OldPath} to {NewPath}", analyses.Count, oldPath, newPath);
+            }
+        }
+
+        private async Task AnalyzeSettledFilesAsync(CancellationToken cancellationToken)
+        {
+            var now = DateTime.UtcNow;
+            foreach (var pending in _pendingFiles.Values.Where(p => now - p.LastEventAt >= QuietPeriod).ToList())
+            {
+                cancellationToken.ThrowIfCancellationRequested();
+
+                var fileInfo = new FileInfo(pending.FilePath);
+                if (!fileInfo.Exists)
+                {
+                    // Moved or deleted before it settled; the delete/rename event handles it
+                    _pendingFiles.Remove(pending.FilePath);
+                    continue;
+                }
+
+                // Still being copied: Changed events aren't raised reliably on every platform, so compare sizes too
+                if (fileInfo.Length != pending.LastSize)
+                {
+                    pending.LastSize = fileInfo.Length;
+                    pending.LastEventAt = DateTime.UtcNow;
+                    continue;
+                }
+
+                await AnalyzePendingFileAsync(pending, cancellationToken);
+            }
+        }
+
+        private async Task AnalyzePendingFileAsync(PendingFile pending, CancellationToken cancellationToken)
+        {
+            using var scope = _scopeFactory.CreateScope();
+            var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+            var scannerService = scope.ServiceProvider.GetRequiredService<LibraryScannerService>();
+            var libraryPath = pending.Watcher.Path;
+
+            var scanRunning = await dbContext.LibraryScans
+                .AnyAsync(s => s.LibraryPath == libraryPath && (s.Status == ScanStatus.Running || s.Status == ScanStatus.Pending), cancellationToken);
+            if (scanRunning)
+            {
+                // Analyzed afterwards (and skipped then if the scan already picked it up)
+                pending.LastEventAt = DateTime.UtcNow;
+                return;
+            }
+
+            _pendingFiles.Remove(pending.FilePath);
+            UpdateActivity(pending.ActivityId, a => a.Status = "analyzing");
+
+            try
+            {
+                var scanId = await scannerService.GetLibraryScanIdAsync(libraryPath, cancellationToken);
+
+                _logger.LogInformation("Analyzing new file in watched library {Library}: {FilePath}", pending.Watcher.Name, pending.FilePath);
+                await scannerService.AnalyzeFileAsync(pending.FilePath, scanId);
+
+                var analysis = await dbContext.VideoAnalyses
+                    .AsNoTracking()
+                    .FirstOrDefaultAsync(v => v.FilePath == pending.FilePath, cancellationToken);
+                UpdateActivity(pending.ActivityId, a =>
+                {
+                    a.Status = analysis != null && !analysis.IsBroken ? "done" : "failed";
+                    a.VideoId = analysis?.Id;
+                    a.OverallScore = analysis?.OverallScore.ToString();
+                    a.Error = analysis == null ? "Analysis was not stored" : analysis.BrokenReason;
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error analyzing watched file {FilePath}", pending.FilePath);
+                UpdateActivity(pending.ActivityId, a => { a.Status = "failed"; a.Error = ex.Message; });
+            }
+        }
+
+        private IEnumerable<string> EnumerateVideoFiles(string directory)
+        {
+            try
+            {
+                return Directory.EnumerateFiles(directory, "*.*", SearchOption.AllDirectories)
+                    .Where(LibraryScannerService.IsVideoFile)
+                    .ToList();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Error enumerating files in new folder: {Directory}", directory);
+                return Enumerable.Empty<string>();
+            }
+        }
+
+        private LibraryActivity AddActivity(LibraryWatcher watcher, string type, string filePath)
+        {
+            var activity = new LibraryActivity
+            {
+                Id = Interlocked.Increment(ref _nextActivityId),
+                Type = type,
+                LibraryPathId = watcher.LibraryPathId,
+                LibraryName = watcher.Name,
+                FilePath = filePath,
+                FileName = Path.GetFileName(filePath)
+            };
+
+            lock (_activity)
+            {
+                _activity.AddFirst(activity);
+                while (_activity.Count > MaxActivityItems)
+                {
+                    _activity.RemoveLast();
+                }
+            }
+            return activity;
+        }
+
+        private void UpdateActivity(long activityId, Action<LibraryActivity> update)
+        {
+            lock (_activity)
+            {
+                var activity = _activity.FirstOrDefault(a => a.Id == activityId);
+                if (activity != null)
+                {
+                    update(activity);
+                }
+            }
+        }
+
+        private static LibraryActivity CopyActivity(LibraryActivity activity) => new()
+        {
+            Id = activity.Id,
+            Type = activity.Type,
+            Status = activity.Status,
+            LibraryPathId = activity.LibraryPathId,
+            LibraryName = activity.LibraryName,
+            FilePath = activity.FilePath,
+            FileName = activity.FileName,
+            PreviousPath = activity.PreviousPath,
+            VideoId = activity.VideoId,
+            OverallScore = activity.OverallScore,
+            Error = activity.Error,
+            Timestamp = activity.Timestamp
+        };
+
+        private sealed class LibraryWatcher : IDisposable
+        {
+            private readonly FileSystemWatcher _fileSystemWatcher;
+
+            public LibraryWatcher(int libraryPathId, string name, string path, FileSystemWatcher fileSystemWatcher)
+            {
+                LibraryPathId = libraryPathId;
+                Name = string.IsNullOrEmpty(name) ? path : name;
+                Path = path;
+                _fileSystemWatcher = fileSystemWatcher;
+            }
+
+            public int LibraryPathId { get; }
+            public string Name { get; }
+            public string Path { get; }
+            public bool Failed { get; set; }
+
+            public void Dispose()
+            {
+                _fileSystemWatcher.EnableRaisingEvents = false;
+                _fileSystemWatcher.Dispose();
+            }
+        }
+
+        private sealed record FileChange(LibraryWatcher Watcher, WatcherChangeTypes ChangeType, string Path, string? OldPath);
+
+        private sealed record PendingFile(LibraryWatcher Watcher, string FilePath, long ActivityId)
+        {
+            public DateTime LastEventAt { get; set; } = DateTime.UtcNow;
+            public long LastSize { get; set; } = -1;
+        }
+    }
+}
@@ -0,0 +1,373 @@
+using System.Collections.Concurrent;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using System.Threading.Channels;
+using Microsoft.EntityFrameworkCore;
+using Optimarr.Data;
+using Optimarr.Models;
+
+namespace Optimarr.Services
+{
+    public class LiveUpdateEvent
+    {
+        public string Type { get; set; } = string.Empty; // scan-progress, processing-count, match-progress, playback-sync, migration, library-activity, optimization-jobs
+        public string Data { get; set; } = "{}"; // JSON payload
+    }
+
+    /// <summary>
+    /// Scan progress as pushed to the browser. Same fields as /api/library/scans/{id}, without the file lists.
+    /// </summary>
+    public class ScanProgressUpdate
+    {
+        public int Id { get; set; }
+        public string LibraryPath { get; set; } = string.Empty;
+        public string Status { get; set; } = string.Empty;
+        public DateTime StartedAt { get; set; }
+        public DateTime? CompletedAt { get; set; }
+        public int TotalFiles { get; set; }
+        public int ProcessedFiles { get; set; }
+        public int FailedFiles { get; set; }
+        public string? ErrorMessage { get; set; }
+        public double Progress { get; set; }
+        public TimeSpan ElapsedTime { get; set; }
+        public double FilesPerSecond { get; set; }
+        public TimeSpan EstimatedTimeRemaining { get; set; }
+        public string? CurrentFile { get; set; }
+    }
+
+    /// <summary>
+    /// Single server push channel for the web UI (served as Server-Sent Events by EventsController).
+    ///
+    /// While at least one browser is connected, the service collects scan, match, playback sync,
+    /// migration, processing, watched-library and optimization job state once per second and sends only what changed. Every open tab
+    /// shares this one collection loop, instead of each tab polling the API on its own timers.
+    /// </summary>
+    public class LiveUpdateService : BackgroundService
+    {
+        private static readonly TimeSpan CollectInterval = TimeSpan.FromSeconds(1);
+        private static readonly TimeSpan ProcessingCountInterval = TimeSpan.FromSeconds(5);
+
+        private static readonly JsonSerializerOptions JsonOptions = new()
+        {
+            PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+            Converters = { new JsonStringEnumConverter() }
+        };
+
+        private readonly IServiceScopeFactory _scopeFactory;
+        private readonly VideoMatchingProgressService _matchProgressService;
+        private readonly PlaybackSyncProgressService _syncProgressService;
+        private readonly LibraryWatcherService _libraryWatcherService;
+        private readonly OptimizationJobService _optimizationJobService;
+        private readonly ILogger<LiveUpdateService> _logger;
+
+        private readonly ConcurrentDictionary<Guid, Channel<LiveUpdateEvent>> _subscribers = new();
+        private readonly SemaphoreSlim _wakeSignal = new(0);
+
+        // Last payload sent per key (e.g. "scan-progress:12"), used for change detection and to
+        // bring newly connected tabs up to date. Written only by the collection loop.
+        private readonly ConcurrentDictionary<string, LiveUpdateEvent> _lastEvents = new();
+        private readonly HashSet<int> _trackedScanIds = new();
+        private readonly HashSet<string> _trackedMatchIds = new();
+        private readonly HashSet<string> _trackedSyncIds = new();
+        private DateTime _lastProcessingCountAt = DateTime.MinValue;
+
+        public LiveUpdateService(
+            IServiceScopeFactory scopeFactory,
+            VideoMatchingProgressService matchProgressService,
+            PlaybackSyncProgressService syncProgressService,
+            LibraryWatcherService libraryWatcherService,
+            OptimizationJobService optimizationJobService,
+            ILogger<LiveUpdateService> logger)
+        {
+            _scopeFactory = scopeFactory;
+            _matchProgressService = matchProgressService;
+            _syncProgressService = syncProgressService;
+            _libraryWatcherService = libraryWatcherService;
+            _optimizationJobService = optimizationJobService;
+            _logger = logger;
+        }
+
+        public int SubscriberCount => _subscribers.Count;
+
+        /// <summary>
+        /// Registers a connected browser. The returned subscription starts with the current state of
+        /// everything in progress; dispose it when the connection closes.
+        /// </summary>
+        public LiveUpdateSubscription Subscribe()
+        {
+            // Slow readers lose old updates rather than growing memory; every event carries full state
+            var channel = Channel.CreateBounded<LiveUpdateEvent>(new BoundedChannelOptions(256)
+            {
+                FullMode = BoundedChannelFullMode.DropOldest,
+                SingleReader = true
+            });
+
+            foreach (var liveEvent in _lastEvents.Values)
+            {
+                channel.Writer.TryWrite(liveEvent);
+            }
+
+            var id = Guid.NewGuid();
+            _subscribers[id] = channel;
+            _wakeSignal.Release();
+
+            _logger.LogDebug("Live update client connected ({Count} connected)", _subscribers.Count);
+            return new LiveUpdateSubscription(channel.Reader, () =>
+            {
+                if (_subscribers.TryRemove(id, out var removed))
+                {
+                    removed.Writer.TryComplete();
+                    _logger.LogDebug("Live update client disconnected ({Count} connected)", _subscribers.Count);
+                }
+            });
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            while (!stoppingToken.IsCancellationRequested)
+            {
+                try
+                {
+                    await _wakeSignal.WaitAsync(CollectInterval, stoppingToken);
+
+                    if (_subscribers.IsEmpty)
+                    {
+                        // Nobody is listening: stop querying, and start from scratch on the next connect
+                        ResetState();
+                        continue;
+                    }
+
+                    await CollectAsync(stoppingToken);
+                }
+                catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+                {
+                    break;
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error collecting live updates");
+                    await Task.Delay(TimeSpan.FromSeconds(5), stoppingToken);
+                }
+            }
+        }
+
+        private async Task CollectAsync(CancellationToken cancellationToken)
+        {
+            using var scope = _scopeFactory.CreateScope();
+            var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+
+            await CollectScansAsync(dbContext, cancellationToken);
+
+            if (DateTime.UtcNow - _lastProcessingCountAt >= ProcessingCountInterval || !_lastEvents.ContainsKey("processing-count"))
+            {
+                var count = await dbContext.VideoAnalyses.CountAsync(v => v.ProcessingStatus == ProcessingStatus.Processing, cancellationToken);
+                Publish("processing-count", "processing-count", new { count });
+                _lastProcessingCountAt = DateTime.UtcNow;
+            }
+
+            CollectMatches();
+            CollectPlaybackSyncs();
+            CollectMigration();
+
+            // Recently added feed of watched libraries, sent whole (it is capped at a few dozen entries)
+            Publish("library-activity", "library-activity", new { items = _libraryWatcherService.GetRecentActivity(20) });
+
+            var queued = await dbContext.OptimizationJobs.CountAsync(j => j.Status == OptimizationJobStatus.Queued, cancellationToken);
+            Publish("optimization-jobs", "optimization-jobs", new { current = _optimizationJobService.GetCurrentJob(), queued });
+        }
+
+        private async Task CollectScansAsync(AppDbContext dbContext, CancellationToken cancellationToken)
+        {
+            // Running scans, plus scans that were running on the last pass so their final status is sent
+            var trackedIds = _trackedScanIds.ToList();
+            var scans = await dbContext.LibraryScans
+                .AsNoTracking()
+                .Where(s => s.Status == ScanStatus.Running || s.Status == ScanStatus.Pending || trackedIds.Contains(s.Id))
+                .ToListAsync(cancellationToken);
+
+            foreach (var scan in scans)
+            {
+                var isActive = scan.Status == ScanStatus.Running || scan.Status == ScanStatus.Pending;
+                var key = $"scan-progress:{scan.Id}";
+                Publish("scan-progress", key, ToScanProgressUpdate(scan), isFinal: !isActive);
+
+                if (isActive)
+                    _trackedScanIds.Add(scan.Id);
+                else
+                    _trackedScanIds.Remove(scan.Id);
+            }
+
+            // Deleted while running
+            foreach (var missingId in trackedIds.Where(id => scans.All(s => s.Id != id)))
+            {
+                _trackedScanIds.Remove(missingId);
+                _lastEvents.TryRemove($"scan-progress:{missingId}", out _);
+            }
+        }
+
+        private void CollectMatches()
+        {
+            var activeMatchId = _matchProgressService.GetActiveMatchId();
+            if (activeMatchId != null)
+            {
+                _trackedMatchIds.Add(activeMatchId);
+            }
+
+            foreach (var matchId in _trackedMatchIds.ToList())
+            {
+                var progress = _matchProgressService.GetProgress(matchId);
+                var key = $"match-progress:{matchId}";
+                if (progress == null)
+                {
+                    _trackedMatchIds.Remove(matchId);
+                    _lastEvents.TryRemove(key, out _);
+                    continue;
+                }
+
+                var isFinal = progress.Status != "running";
+                Publish("match-progress", key, new
+                {
+                    matchId,
+                    progress.Status,
+                    progress.Total,
+                    progress.Processed,
+                    progress.Matched,
+                    progress.Errors,
+                    progress.CurrentItem,
+                    progress.ErrorMessage,
+                    progress.StartTime,
+                    progress.EndTime
+                }, isFinal);
+
+                if (isFinal)
+                {
+                    _trackedMatchIds.Remove(matchId);
+                }
+            }
+        }
+
+        private void CollectPlaybackSyncs()
+        {
+            foreach (var syncId in _syncProgressService.GetActiveSyncIds())
+            {
+                _trackedSyncIds.Add(syncId);
+            }
+
+            foreach (var syncId in _trackedSyncIds.ToList())
+            {
+                var progress = _syncProgressService.GetProgress(syncId);
+                var key = $"playback-sync:{syncId}";
+                if (progress == null)
+                {
+                    _trackedSyncIds.Remove(syncId);
+                    _lastEvents.TryRemove(key, out _);
+                    continue;
+                }
+
+                var isFinal = progress.Status != "running";
+                Publish("playback-sync", key, progress, isFinal);
+
+                if (isFinal)
+                {
+                    _trackedSyncIds.Remove(syncId);
+                }
+            }
+        }
+
+        private void CollectMigration()
+        {
+            var progress = DatabaseMigrationService.GetMigrationProgress();
+            if (progress == null)
+            {
+                return;
+            }
+
+            try
+            {
+                Publish("migration", "migration", progress);
+            }
+            catch (InvalidOperationException)
+            {
+                // The migration list was modified while serializing; the next pass picks it up
+            }
+        }
+
+        /// <summary>
+        /// Sends the payload to every subscriber if it differs from what was last sent for the key.
+        /// Final events (finished scans, matches, syncs) are not kept for tabs that connect later.
+        /// </summary>
+        private void Publish(string type, string key, object data, bool isFinal = false)
+        {
+            var json = JsonSerializer.Serialize(data, JsonOptions);
+            if (_lastEvents.TryGetValue(key, out var last) && last.Data == json)
+            {
+                return;
+            }
+
+            var liveEvent = new LiveUpdateEvent { Type = type, Data = json };
+            if (isFinal)
+                _lastEvents.TryRemove(key, out _);
+            else
+                _lastEvents[key] = liveEvent;
+
+            foreach (var channel in _subscribers.Values)
+            {
+                channel.Writer.TryWrite(liveEvent);
+            }
+        }
+
+        private void ResetState()
+        {
+            _lastEvents.Clear();
+            _trackedScanIds.Clear();
+            _trackedMatchIds.Clear();
+            _trackedSyncIds.Clear();
+            _lastProcessingCountAt = DateTime.MinValue;
+        }
+
+        private static ScanProgressUpdate ToScanProgressUpdate(LibraryScan scan)
+        {
+            var elapsed = (scan.CompletedAt ?? DateTime.UtcNow) - scan.StartedAt;
+            var filesPerSecond = elapsed.TotalSeconds > 0 && scan.ProcessedFiles > 0
+                ? scan.ProcessedFiles / elapsed.TotalSeconds
+                : 0;
+            var remainingFiles = scan.TotalFiles - scan.ProcessedFiles;
+
+            return new ScanProgressUpdate
+            {
+                Id = scan.Id,
+                LibraryPath = scan.LibraryPath,
+                Status = scan.Status.ToString(),
+                StartedAt = scan.StartedAt,
+                CompletedAt = scan.CompletedAt,
+                TotalFiles = scan.TotalFiles,
+                ProcessedFiles = scan.ProcessedFiles,
+                FailedFiles = scan.FailedFiles,
+                ErrorMessage = scan.ErrorMessage,
+                Progress = scan.TotalFiles > 0 ? Math.Round((double)scan.ProcessedFiles / scan.TotalFiles * 100, 2) : 0,
+                // Whole seconds, the UI doesn't show more precision
+                ElapsedTime = TimeSpan.FromSeconds(Math.Floor(elapsed.TotalSeconds)),
+                FilesPerSecond = Math.Round(filesPerSecond, 2),
+                EstimatedTimeRemaining = filesPerSecond > 0 && remainingFiles > 0
+                    ? TimeSpan.FromSeconds(Math.Round(remainingFiles / filesPerSecond))
+                    : TimeSpan.Zero,
+                CurrentFile = scan.CurrentProcessingFile ?? "Initializing..."
+            };
+        }
+    }
+
+    public sealed class LiveUpdateSubscription : IDisposable
+    {
+        private readonly Action _unsubscribe;
+
+        public LiveUpdateSubscription(ChannelReader<LiveUpdateEvent> reader, Action unsubscribe)
+        {
+            Reader = reader;
+            _unsubscribe = unsubscribe;
+        }
+
+        public ChannelReader<LiveUpdateEvent> Reader { get; }
+
+        public void Dispose() => _unsubscribe();
+    }
+}
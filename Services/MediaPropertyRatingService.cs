@@ -12,6 +12,8 @@ namespace Optimarr.Services
     /// </summary>
     public class MediaPropertyRatingService
     {
+        private static readonly System.Text.Json.JsonSerializerOptions TrackJsonOptions = new() { PropertyNameCaseInsensitive = true };
+
         private readonly IConfiguration? _configuration;
         private readonly ILogger? _logger;
 
@@ -21,47 +23,159 @@ namespace Optimarr.Services
             _logger = logger;
         }
 
+        /// <summary>
+        /// Rebuild the VideoInfo of a stored analysis, so it can be rated again without probing the file
+        /// </summary>
+        public static VideoInfo ReconstructVideoInfo(VideoAnalysis video, ILogger? logger = null)
+        {
+            var videoInfo = new VideoInfo
+            {
+                FilePath = video.FilePath,
+                Container = video.Container,
+                VideoCodec = video.VideoCodec,
+                VideoCodecTag = video.VideoCodecTag,
+                IsCodecTagCorrect = video.IsCodecTagCorrect,
+                BitDepth = video.BitDepth,
+                Width = video.Width,
+                Height = video.Height,
+                FrameRate = video.FrameRate,
+                IsHDR = video.IsHDR,
+                HDRType = video.HDRType,
+                IsFastStart = video.IsFastStart,
+                FileSize = video.FileSize,
+                Duration = video.Duration
+            };
+
+            videoInfo.AudioTracks = ParseAudioTracks(video, logger);
+            videoInfo.SubtitleTracks = ParseSubtitleTracks(video, logger);
+
+            return videoInfo;
+        }
+
+        /// <summary>
+        /// Audio tracks stored with an analysis; empty when there are none or they cannot be read
+        /// </summary>
+        public static List<AudioTrack> ParseAudioTracks(VideoAnalysis video, ILogger? logger = null)
+        {
+            if (string.IsNullOrWhiteSpace(video.AudioTracksJson))
+                return new List<AudioTrack>();
+
+            try
+            {
+                return System.Text.Json.JsonSerializer.Deserialize<List<AudioTrack>>(video.AudioTracksJson, TrackJsonOptions) ?? new List<AudioTrack>();
+            }
+            catch (Exception ex)
+            {
+                logger?.LogWarning(ex, "Failed to deserialize audio tracks for video ID {Id}", video.Id);
+                return new List<AudioTrack>();
+            }
+        }
+
+        /// <summary>
+        /// Subtitle tracks stored with an analysis, external ones included; empty when there are none or they cannot be read
+        /// </summary>
+        public static List<SubtitleTrack> ParseSubtitleTracks(VideoAnalysis video, ILogger? logger = null)
+        {
+            if (string.IsNullOrWhiteSpace(video.SubtitleTracksJson))
+                return new List<SubtitleTrack>();
+
+            try
+            {
+                return System.Text.Json.JsonSerializer.Deserialize<List<SubtitleTrack>>(video.SubtitleTracksJson, TrackJsonOptions) ?? new List<SubtitleTrack>();
+            }
+            catch (Exception ex)
+            {
+                logger?.LogWarning(ex, "Failed to deserialize subtitle tracks for video ID {Id}", video.Id);
+                return new List<SubtitleTrack>();
+            }
+        }
+
+        /// <summary>
+        /// The CompatibilityScore of a CompatibilityResult.OverallScore ("Optimal", "Good", "Poor"); Unknown otherwise
+        /// </summary>
+        public static CompatibilityScore ParseScore(string score)
+        {
+            return score.ToUpperInvariant() switch
+            {
+                "OPTIMAL" => CompatibilityScore.Optimal,
+                "GOOD" => CompatibilityScore.Good,
+                "POOR" => CompatibilityScore.Poor,
+                _ => CompatibilityScore.Unknown
+            };
+        }
+
         /// <summary>
         /// Calculate compatibility rating for a video based on its properties
         /// </summary>
         public CompatibilityResult CalculateRating(VideoInfo videoInfo)
+        {
+            return CalculateRating(videoInfo, LoadMediaPropertySettings(), null, LoadRatingWeights(), LoadRatingThresholds());
+        }
+
+        /// <summary>
+        /// Calculate compatibility rating against a specific property map (e.g. a device profile).
+        /// Overrides take precedence over the map; a "Partial" override costs half the weight of an unsupported property.
+        /// Weights and thresholds are loaded from configuration when not given.
+        /// </summary>
+        public CompatibilityResult CalculateRating(
+            VideoInfo videoInfo,
+            MediaPropertySettings propertySettings,
+            IEnumerable<CompatibilityOverride>? overrides,
+            RatingWeights? weights = null,
+            RatingThresholds? thresholds = null)
         {
             var result = new CompatibilityResult();
             var issues = new List<string>();
             var recommendations = new List<string>();
 
-            // Load settings
-            var propertySettings = LoadMediaPropertySettings();
-            var weights = LoadRatingWeights();
-            var thresholds = LoadRatingThresholds();
+            var overrideList = overrides?.ToList() ?? new List<CompatibilityOverride>();
+            weights ??= LoadRatingWeights();
+            thresholds ??= LoadRatingThresholds();
 
             // Start with a perfect score
             int rating = 100;
 
             // Check video codec
-            var videoCodecSupported = IsVideoCodecSupported(videoInfo.VideoCodec, videoInfo.BitDepth, propertySettings);
-            if (!videoCodecSupported)
+            var videoCodecSupport = GetSupportLevel(overrideList, "Video",
+                new[] { $"{videoInfo.VideoCodec} {videoInfo.BitDepth}-bit", videoInfo.VideoCodec },
+                IsVideoCodecSupported(videoInfo.VideoCodec, videoInfo.BitDepth, propertySettings));
+            if (videoCodecSupport == SupportLevel.Unsupported)
             {
                 rating -= weights.UnsupportedVideoCodec;
                 issues.Add($"{videoInfo.VideoCodec} {videoInfo.BitDepth}-bit video codec is not supported");
                 recommendations.Add($"Re-encode to a supported video codec (e.g., H.264 8-bit)");
             }
+            else if (videoCodecSupport == SupportLevel.Partial)
+            {
+                rating -= weights.UnsupportedVideoCodec / 2;
+                issues.Add($"{videoInfo.VideoCodec} {videoInfo.BitDepth}-bit video codec is only partially supported");
+            }
 
             // Check container
-            var containerSupported = IsContainerSupported(videoInfo.Container, propertySettings);
-            if (!containerSupported)
+            var containerSupport = GetSupportLevel(overrideList, "Container",
+                new[] { videoInfo.Container },
+                IsContainerSupported(videoInfo.Container, propertySettings));
+            if (containerSupport == SupportLevel.Unsupported)
             {
                 rating -= weights.UnsupportedContainer;
                 issues.Add($"{videoInfo.Container} container is not supported");
                 recommendations.Add($"Use a supported container (e.g., MP4)");
             }
+            else if (containerSupport == SupportLevel.Partial)
+            {
+                rating -= weights.UnsupportedContainer / 2;
+                issues.Add($"{videoInfo.Container} container is only partially supported");
+            }
 
             // Check audio codecs
-            var unsupportedAudioCodecs = videoInfo.AudioTracks
-                .Where(track => !IsAudioCodecSupported(track.Codec, propertySettings))
+            var audioCodecSupport = videoInfo.AudioTracks
                 .Select(track => track.Codec)
                 .Distinct()
-                .ToList();
+                .ToDictionary(codec => codec, codec => GetSupportLevel(overrideList, "Audio",
+                    new[] { codec },
+                    IsAudioCodecSupported(codec, propertySettings)));
+            var unsupportedAudioCodecs = audioCodecSupport.Where(a => a.Value == SupportLevel.Unsupported).Select(a => a.Key).ToList();
+            var partialAudioCodecs = audioCodecSupport.Where(a => a.Value == SupportLevel.Partial).Select(a => a.Key).ToList();
 
             if (unsupportedAudioCodecs.Any())
             {
@@ -70,13 +184,21 @@ namespace Optimarr.Services
                 issues.Add($"{codecList} audio codec(s) are not supported");
                 recommendations.Add($"Use supported audio codecs (e.g., AAC)");
             }
+            else if (partialAudioCodecs.Any())
+            {
+                rating -= weights.UnsupportedAudioCodec / 2;
+                issues.Add($"{string.Join(", ", partialAudioCodecs)} audio codec(s) are only partially supported");
+            }
 
             // Check subtitle formats
-            var unsupportedSubtitleFormats = videoInfo.SubtitleTracks
-                .Where(track => !IsSubtitleFormatSupported(track.Format, propertySettings))
+            var subtitleFormatSupport = videoInfo.SubtitleTracks
                 .Select(track => track.Format)
                 .Distinct()
-                .ToList();
+                .ToDictionary(format => format, format => GetSupportLevel(overrideList, "Subtitle",
+                    new[] { format },
+                    IsSubtitleFormatSupported(format, propertySettings)));
+            var unsupportedSubtitleFormats = subtitleFormatSupport.Where(s => s.Value == SupportLevel.Unsupported).Select(s => s.Key).ToList();
+            var partialSubtitleFormats = subtitleFormatSupport.Where(s => s.Value == SupportLevel.Partial).Select(s => s.Key).ToList();
 
             if (unsupportedSubtitleFormats.Any())
             {
@@ -85,15 +207,27 @@ namespace Optimarr.Services
                 issues.Add($"{formatList} subtitle format(s) are not supported");
                 recommendations.Add($"Use supported subtitle formats (e.g., SRT, VTT)");
             }
+            else if (partialSubtitleFormats.Any())
+            {
+                rating -= weights.UnsupportedSubtitleFormat / 2;
+                issues.Add($"{string.Join(", ", partialSubtitleFormats)} subtitle format(s) are only partially supported");
+            }
 
             // Check bit depth
-            var bitDepthSupported = IsBitDepthSupported(videoInfo.BitDepth, propertySettings);
-            if (!bitDepthSupported)
+            var bitDepthSupport = GetSupportLevel(overrideList, "BitDepth",
+                new[] { videoInfo.BitDepth.ToString() },
+                IsBitDepthSupported(videoInfo.BitDepth, propertySettings));
+            if (bitDepthSupport == SupportLevel.Unsupported)
             {
                 rating -= weights.UnsupportedBitDepth;
                 issues.Add($"{videoInfo.BitDepth}-bit depth is not supported");
                 recommendations.Add($"Use 8-bit depth for maximum compatibility");
             }
+            else if (bitDepthSupport == SupportLevel.Partial)
+            {
+                rating -= weights.UnsupportedBitDepth / 2;
+                issues.Add($"{videoInfo.BitDepth}-bit depth is only partially supported");
+            }
 
             // Check additional factors
             // Stereo sound (2 channels or less) - penalize only if ALL audio tracks are stereo
@@ -211,6 +345,36 @@ namespace Optimarr.Services
             return result;
         }
 
+        private enum SupportLevel
+        {
+            Supported,
+            Partial,
+            Unsupported
+        }
+
+        /// <summary>
+        /// Support level for one property: the first override matching the category and one of the keys
+        /// (most specific first) wins, otherwise the property map decides
+        /// </summary>
+        private static SupportLevel GetSupportLevel(List<CompatibilityOverride> overrides, string category, IEnumerable<string> keys, bool supportedBySettings)
+        {
+            foreach (var key in keys)
+            {
+                if (string.IsNullOrEmpty(key)) continue;
+
+                var match = overrides.FirstOrDefault(o =>
+                    string.Equals(o.Category, category, StringComparison.OrdinalIgnoreCase) &&
+                    string.Equals(o.Codec, key, StringComparison.OrdinalIgnoreCase));
+                if (match == null) continue;
+
+                if (string.Equals(match.SupportLevel, "Unsupported", StringComparison.OrdinalIgnoreCase)) return SupportLevel.Unsupported;
+                if (string.Equals(match.SupportLevel, "Partial", StringComparison.OrdinalIgnoreCase)) return SupportLevel.Partial;
+                return SupportLevel.Supported;
+            }
+
+            return supportedBySettings ? SupportLevel.Supported : SupportLevel.Unsupported;
+        }
+
         private bool IsVideoCodecSupported(string codec, int bitDepth, MediaPropertySettings settings)
         {
             if (string.IsNullOrEmpty(codec)) return false;
@@ -0,0 +1,281 @@
+using System.Net;
+using System.Net.Mail;
+using System.Text;
+using System.Text.Json;
+using System.Threading.Channels;
+using Microsoft.EntityFrameworkCore;
+using Optimarr.Data;
+using Optimarr.Models;
+
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// Sends outbound notifications (generic JSON webhook, Discord, Slack, SMTP email) for library events.
+    ///
+    /// Publish never blocks the caller: notifications are queued and delivered in the background to
+    /// every enabled target subscribed to the event. Each target records its last send time and error.
+    /// </summary>
+    public class NotificationService : BackgroundService
+    {
+        private static readonly JsonSerializerOptions PayloadJsonOptions = new() { PropertyNamingPolicy = JsonNamingPolicy.CamelCase };
+
+        private readonly IServiceScopeFactory _scopeFactory;
+        private readonly ILogger<NotificationService> _logger;
+        private readonly HttpClient _httpClient = new() { Timeout = TimeSpan.FromSeconds(15) };
+
+        // Notifications are best effort, so a flood (e.g. many broken files in one scan) drops the oldest
+        private readonly Channel<Notification> _queue = Channel.CreateBounded<Notification>(new BoundedChannelOptions(500)
+        {
+            FullMode = BoundedChannelFullMode.DropOldest,
+            SingleReader = true
+        });
+
+        public NotificationService(IServiceScopeFactory scopeFactory, ILogger<NotificationService> logger)
+        {
+            _scopeFactory = scopeFactory;
+            _logger = logger;
+        }
+
+        public void Publish(Notification notification)
+        {
+            _queue.Writer.TryWrite(notification);
+        }
+
+        public void Publish(NotificationEvent notificationEvent, string title, string message, Dictionary<string, string>? data = null, int? rating = null)
+        {
+            Publish(new Notification
+            {
+                Event = notificationEvent,
+                Title = title,
+                Message = message,
+                Rating = rating,
+                Data = data ?? new Dictionary<string, string>()
+            });
+        }
+
+        /// <summary>
+        /// A video that was being redownloaded (processing) has been rescanned and is no longer broken
+        /// </summary>
+        public void PublishRedownloadVerified(VideoAnalysis video)
+        {
+            Publish(
+                NotificationEvent.RedownloadVerified,
+                "Redownload verified",
+                $"{video.FileName} was re-analyzed after redownload with a compatibility rating of {video.CompatibilityRating}/100.",
+                new Dictionary<string, string>
+                {
+                    ["File"] = video.FilePath,
+                    ["Rating"] = $"{video.CompatibilityRating}/100",
+                    ["Score"] = video.OverallScore.ToString()
+                });
+        }
+
+        /// <summary>
+        /// Sends a test notification to a target right away. Throws if delivery fails.
+        /// </summary>
+        public Task SendTestAsync(NotificationTarget target, CancellationToken cancellationToken = default)
+        {
+            var notification = new Notification
+            {
+                Event = NotificationEvent.ScanCompleted,
+                Title = "Optimarr test notification",
+                Message = $"Notification target \"{target.Name}\" is set up correctly."
+            };
+            return SendAsync(target, notification, cancellationToken);
+        }
+
+        public static List<NotificationEvent> ParseEvents(string? events)
+        {
+            return (events ?? string.Empty)
+                .Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+                .Select(e => Enum.TryParse<NotificationEvent>(e, true, out var parsed) ? parsed : (NotificationEvent?)null)
+                .Where(e => e.HasValue)
+                .Select(e => e!.Value)
+                .Distinct()
+                .ToList();
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            _logger.LogInformation("Notification service started");
+
+            try
+            {
+                await foreach (var notification in _queue.Reader.ReadAllAsync(stoppingToken))
+                {
+                    try
+                    {
+                        await DeliverAsync(notification, stoppingToken);
+                    }
+                    catch (Exception ex) when (ex is not OperationCanceledException)
+                    {
+                        _logger.LogError(ex, "Error delivering {Event} notification", notification.Event);
+                    }
+                }
+            }
+            catch (OperationCanceledException)
+            {
+                // Shutting down
+            }
+        }
+
+        private async Task DeliverAsync(Notification notification, CancellationToken cancellationToken)
+        {
+            using var scope = _scopeFactory.CreateScope();
+            var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+
+            var targets = (await dbContext.NotificationTargets.Where(t => t.Enabled).ToListAsync(cancellationToken))
+                .Where(t => ParseEvents(t.Events).Contains(notification.Event))
+                .Where(t => notification.Event != NotificationEvent.LowRatingImport
+                    || (notification.Rating.HasValue && notification.Rating.Value < t.RatingThreshold))
+                .ToList();
+
+            if (targets.Count == 0)
+            {
+                return;
+            }
+
+            foreach (var target in targets)
+            {
+                try
+                {
+                    await SendAsync(target, notification, cancellationToken);
+                    target.LastSentAt = DateTime.UtcNow;
+                    target.LastError = null;
+                }
+                catch (Exception ex) when (ex is not OperationCanceledException || !cancellationToken.IsCancellationRequested)
+                {
+                    _logger.LogWarning(ex, "Failed to send {Event} notification to {Target}", notification.Event, target.Name);
+                    target.LastError = ex.Message;
+                }
+            }
+
+            await dbContext.SaveChangesAsync(cancellationToken);
+        }
+
+        private async Task SendAsync(NotificationTarget target, Notification notification, CancellationToken cancellationToken)
+        {
+            if (target.Type == NotificationTargetType.Email)
+            {
+                await SendEmailAsync(target, notification, cancellationToken);
+                return;
+            }
+
+            if (string.IsNullOrWhiteSpace(target.Url))
+            {
+                throw new InvalidOperationException("Webhook URL is not set");
+            }
+
+            object payload = target.Type switch
+            {
+                NotificationTargetType.Discord => BuildDiscordPayload(notification),
+                NotificationTargetType.Slack => new { text = $"*{notification.Title}*\n{FormatPlainText(notification)}" },
+                _ => new
+                {
+                    @event = notification.Event.ToString(),
+                    title = notification.Title,
+                    message = notification.Message,
+                    timestamp = notification.Timestamp,
+                    data = notification.Data
+                }
+            };
+
+            var json = JsonSerializer.Serialize(payload, PayloadJsonOptions);
+            using var content = new StringContent(json, Encoding.UTF8, "application/json");
+            using var response = await _httpClient.PostAsync(target.Url, content, cancellationToken);
+            if (!response.IsSuccessStatusCode)
+            {
+                var body = await response.Content.ReadAsStringAsync(cancellationToken);
+                throw new HttpRequestException($"{(int)response.StatusCode} {response.ReasonPhrase}: {Truncate(body, 200)}");
+            }
+        }
+
+        private static object BuildDiscordPayload(Notification notification)
+        {
+            return new
+            {
+                username = "Optimarr",
+                embeds = new[]
+                {
+                    new
+                    {
+                        title = Truncate(notification.Title, 256),
+                        description = Truncate(notification.Message, 4000),
+                        color = GetDiscordColor(notification.Event),
+                        timestamp = notification.Timestamp.ToString("o"),
+                        fields = notification.Data.Take(25).Select(d => new
+                        {
+                            name = Truncate(d.Key, 256),
+                            value = Truncate(string.IsNullOrEmpty(d.Value) ? "-" : d.Value, 1024),
+                            inline = d.Value.Length <= 40
+                        }).ToArray()
+                    }
+                }
+            };
+        }
+
+        private static int GetDiscordColor(NotificationEvent notificationEvent) => notificationEvent switch
+        {
+            NotificationEvent.ScanCompleted => 0x2ECC71,
+            NotificationEvent.RedownloadVerified => 0x2ECC71,
+            NotificationEvent.LowRatingImport => 0xF1C40F,
+            _ => 0xE74C3C
+        };
+
+        private static async Task SendEmailAsync(NotificationTarget target, Notification notification, CancellationToken cancellationToken)
+        {
+            if (string.IsNullOrWhiteSpace(target.SmtpHost) || string.IsNullOrWhiteSpace(target.EmailFrom) || string.IsNullOrWhiteSpace(target.EmailTo))
+            {
+                throw new InvalidOperationException("SMTP host, sender and recipient are required");
+            }
+
+            using var message = new MailMessage
+            {
+                From = new MailAddress(target.EmailFrom),
+                Subject = $"[Optimarr] {notification.Title}",
+                Body = FormatPlainText(notification)
+            };
+            foreach (var recipient in target.EmailTo.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries))
+            {
+                message.To.Add(recipient);
+            }
+
+            using var client = new SmtpClient(target.SmtpHost, target.SmtpPort)
+            {
+                EnableSsl = target.SmtpUseSsl,
+                Timeout = 15000
+            };
+            if (!string.IsNullOrEmpty(target.SmtpUsername))
+            {
+                client.Credentials = new NetworkCredential(target.SmtpUsername, target.SmtpPassword);
+            }
+
+            await client.SendMailAsync(message, cancellationToken);
+        }
+
+        private static string FormatPlainText(Notification notification)
+        {
+            var text = new StringBuilder(notification.Message);
+            if (notification.Data.Count > 0)
+            {
+                text.AppendLine();
+                foreach (var (key, value) in notification.Data)
+                {
+                    text.AppendLine().Append(key).Append(": ").Append(value);
+                }
+            }
+            return text.ToString();
+        }
+
+        private static string Truncate(string value, int maxLength)
+        {
+            return value.Length <= maxLength ? value : value[..(maxLength - 1)] + "…";
+        }
+
+        public override void Dispose()
+        {
+            _httpClient.Dispose();
+            base.Dispose();
+        }
+    }
+}
@@ -0,0 +1,590 @@
+using System.ComponentModel;
+using System.Diagnostics;
+using System.Text.Json;
+using Microsoft.EntityFrameworkCore;
+using Optimarr.Data;
+using Optimarr.Models;
+
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// The job currently running, as shown in the Jobs panel and pushed as "optimization-jobs" live updates
+    /// </summary>
+    public class OptimizationJobProgress
+    {
+        public int JobId { get; set; }
+        public string FileName { get; set; } = string.Empty;
+        public bool DryRun { get; set; }
+        public string Stage { get; set; } = "converting"; // converting, verifying, replacing, analyzing
+        public double Progress { get; set; } // 0-100, for the converting stage
+    }
+
+    public class OptimizationQueueResult
+    {
+        public List<int> JobIds { get; set; } = new();
+        public List<OptimizationQueueSkip> Skipped { get; set; } = new();
+    }
+
+    public class OptimizationQueueSkip
+    {
+        public int VideoId { get; set; }
+        public string FileName { get; set; } = string.Empty;
+        public string Reason { get; set; } = string.Empty;
+    }
+
+    /// <summary>
+    /// Runs lossless fixes (remux to MP4, fast start, retag) with a local ffmpeg, one job at a time.
+    ///
+    /// Each job writes to a hidden temp file next to the original, checks the output with mediainfo
+    /// (duration, video codec, track counts, fast start), then renames it over the original and
+    /// re-analyzes the file. Dry runs stop after the check and delete the temp file.
+    /// </summary>
+    public class OptimizationJobService : BackgroundService
+    {
+        private const string TempFilePrefix = ".optimarr-";
+        private static readonly TimeSpan IdleInterval = TimeSpan.FromSeconds(30);
+
+        private static readonly JsonSerializerOptions TrackParseOptions = new() { PropertyNameCaseInsensitive = true };
+
+        private readonly IServiceScopeFactory _scopeFactory;
+        private readonly IConfiguration _configuration;
+        private readonly ILogger<OptimizationJobService> _logger;
+
+        private readonly SemaphoreSlim _wakeSignal = new(0);
+        private readonly object _currentLock = new();
+        private OptimizationJobProgress? _currentJob;
+        private CancellationTokenSource? _currentCancellation;
+
+        public OptimizationJobService(IServiceScopeFactory scopeFactory, IConfiguration configuration, ILogger<OptimizationJobService> logger)
+        {
+            _scopeFactory = scopeFactory;
+            _configuration = configuration;
+            _logger = logger;
+        }
+
+        private string FfmpegPath => _configuration["Optimization:FfmpegPath"] is { Length: > 0 } path ? path : "ffmpeg";
+
+        public OptimizationJobProgress? GetCurrentJob()
+        {
+            lock (_currentLock)
+            {
+                return _currentJob == null ? null : new OptimizationJobProgress
+                {
+                    JobId = _currentJob.JobId,
+                    FileName = _currentJob.FileName,
+                    DryRun = _currentJob.DryRun,
+                    Stage = _currentJob.Stage,
+                    Progress = Math.Round(_currentJob.Progress, 1)
+                };
+            }
+        }
+
+        /// <summary>
+        /// Queues a job for each video that has lossless fixes. Videos that are broken, already queued or
+        /// need a re-encode are returned as skipped with the reason.
+        /// </summary>
+        public async Task<OptimizationQueueResult> EnqueueAsync(IEnumerable<int> videoIds, bool dryRun)
+        {
+            using var scope = _scopeFactory.CreateScope();
+            var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+            var planner = scope.ServiceProvider.GetRequiredService<FfmpegPlannerService>();
+
+            var ids = videoIds.Distinct().ToList();
+            var videos = await dbContext.VideoAnalyses.Where(v => ids.Contains(v.Id)).ToDictionaryAsync(v => v.Id);
+            var activeVideoIds = (await dbContext.OptimizationJobs
+                .Where(j => j.VideoAnalysisId != null && (j.Status == OptimizationJobStatus.Queued || j.Status == OptimizationJobStatus.Running))
+                .Select(j => j.VideoAnalysisId!.Value)
+                .ToListAsync())
+                .ToHashSet();
+
+            var result = new OptimizationQueueResult();
+            var jobs = new List<OptimizationJob>();
+            foreach (var id in ids)
+            {
+                if (!videos.TryGetValue(id, out var video))
+                {
+                    result.Skipped.Add(new OptimizationQueueSkip { VideoId = id, Reason = "Video not found" });
+                    continue;
+                }
+
+                string? reason = null;
+                var fixes = activeVideoIds.Contains(id) ? new List<FfmpegFixKind>() : planner.GetLosslessFixes(video, out reason);
+                if (fixes.Count == 0)
+                {
+                    result.Skipped.Add(new OptimizationQueueSkip
+                    {
+                        VideoId = id,
+                        FileName = video.FileName,
+                        Reason = activeVideoIds.Contains(id) ? "Already queued" : reason ?? "Nothing to fix"
+                    });
+                    continue;
+                }
+
+                jobs.Add(new OptimizationJob
+                {
+                    VideoAnalysisId = video.Id,
+                    FilePath = video.FilePath,
+                    FileName = video.FileName,
+                    DryRun = dryRun,
+                    Fixes = string.Join(",", fixes)
+                });
+            }
+
+            if (jobs.Count > 0)
+            {
+                dbContext.OptimizationJobs.AddRange(jobs);
+                await dbContext.SaveChangesAsync();
+                result.JobIds = jobs.Select(j => j.Id).ToList();
+                _logger.LogInformation("Queued {Count} optimization job(s){DryRun}", jobs.Count, dryRun ? " (dry run)" : string.Empty);
+                _wakeSignal.Release();
+            }
+
+            return result;
+        }
+
+        /// <summary>
+        /// Cancels a queued job, or stops ffmpeg for the running one. Returns false if the job already finished.
+        /// </summary>
+        public async Task<bool> CancelAsync(int jobId)
+        {
+            lock (_currentLock)
+            {
+                if (_currentJob?.JobId == jobId && _currentCancellation != null)
+                {
+                    _currentCancellation.Cancel();
+                    return true;
+                }
+            }
+
+            using var scope = _scopeFactory.CreateScope();
+            var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+            var job = await dbContext.OptimizationJobs.FirstOrDefaultAsync(j => j.Id == jobId);
+            if (job == null || job.Status != OptimizationJobStatus.Queued)
+            {
+                return false;
+            }
+
+            job.Status = OptimizationJobStatus.Cancelled;
+            job.CompletedAt = DateTime.UtcNow;
+            job.Message = "Cancelled before it started";
+            await dbContext.SaveChangesAsync();
+            return true;
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            _logger.LogInformation("Optimization job service started");
+
+            try
+            {
+                await RecoverInterruptedJobsAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error recovering interrupted optimization jobs");
+            }
+
+            while (!stoppingToken.IsCancellationRequested)
+            {
+                int? jobId = null;
+                try
+                {
+                    using (var scope = _scopeFactory.CreateScope())
+                    {
+                        var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+                        jobId = await dbContext.OptimizationJobs
+                            .Where(j => j.Status == OptimizationJobStatus.Queued)
+                            .OrderBy(j => j.CreatedAt)
+                            .ThenBy(j => j.Id)
+                            .Select(j => (int?)j.Id)
+                            .FirstOrDefaultAsync(stoppingToken);
+                    }
+
+                    if (jobId != null)
+                    {
+                        await RunJobAsync(jobId.Value, stoppingToken);
+                        continue;
+                    }
+                }
+                catch (Exception ex) when (ex is not OperationCanceledException)
+                {
+                    _logger.LogError(ex, "Error processing optimization job queue");
+                }
+
+                await _wakeSignal.WaitAsync(IdleInterval, stoppingToken);
+            }
+        }
+
+        // Jobs still marked Running were cut off by a crash; their original is untouched unless the final rename happened
+        private async Task RecoverInterruptedJobsAsync()
+        {
+            using var scope = _scopeFactory.CreateScope();
+            var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+
+            var interrupted = await dbContext.OptimizationJobs
+                .Where(j => j.Status == OptimizationJobStatus.Running)
+                .ToListAsync();
+            foreach (var job in interrupted)
+            {
+                DeleteTempFile(job);
+                job.Status = OptimizationJobStatus.Failed;
+                job.CompletedAt = DateTime.UtcNow;
+                job.Message = "Interrupted: Optimarr stopped while the job was running";
+            }
+
+            if (interrupted.Count > 0)
+            {
+                await dbContext.SaveChangesAsync();
+                _logger.LogWarning("Marked {Count} interrupted optimization job(s) as failed", interrupted.Count);
+            }
+        }
+
+        private async Task RunJobAsync(int jobId, CancellationToken stoppingToken)
+        {
+            using var scope = _scopeFactory.CreateScope();
+            var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+
+            var job = await dbContext.OptimizationJobs.FirstOrDefaultAsync(j => j.Id == jobId, stoppingToken);
+            if (job == null || job.Status != OptimizationJobStatus.Queued)
+            {
+                return;
+            }
+
+            using var cancellation = CancellationTokenSource.CreateLinkedTokenSource(stoppingToken);
+            lock (_currentLock)
+            {
+                _currentJob = new OptimizationJobProgress { JobId = job.Id, FileName = job.FileName, DryRun = job.DryRun };
+                _currentCancellation = cancellation;
+            }
+
+            job.Status = OptimizationJobStatus.Running;
+            job.StartedAt = DateTime.UtcNow;
+            await dbContext.SaveChangesAsync(stoppingToken);
+            _logger.LogInformation("Starting optimization job {JobId}{DryRun}: {FilePath}", job.Id, job.DryRun ? " (dry run)" : string.Empty, job.FilePath);
+
+            try
+            {
+                job.Message = await ProcessJobAsync(job, scope.ServiceProvider, cancellation.Token);
+                job.Status = OptimizationJobStatus.Completed;
+                _logger.LogInformation("Optimization job {JobId} completed: {Message}", job.Id, job.Message);
+            }
+            catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+            {
+                // Shutting down: run it again on the next start
+                job.Status = OptimizationJobStatus.Queued;
+                job.StartedAt = null;
+            }
+            catch (OperationCanceledException)
+            {
+                job.Status = OptimizationJobStatus.Cancelled;
+                job.Message = "Cancelled, the original was not modified";
+                _logger.LogInformation("Optimization job {JobId} cancelled", job.Id);
+            }
+            catch (Exception ex)
+            {
+                job.Status = OptimizationJobStatus.Failed;
+                job.Message = ex.Message;
+                _logger.LogError(ex, "Optimization job {JobId} failed for {FilePath}", job.Id, job.FilePath);
+            }
+            finally
+            {
+                DeleteTempFile(job);
+                lock (_currentLock)
+                {
+                    _currentJob = null;
+                    _currentCancellation = null;
+                }
+            }
+
+            if (job.Status != OptimizationJobStatus.Queued)
+            {
+                job.CompletedAt = DateTime.UtcNow;
+            }
+            await dbContext.SaveChangesAsync(CancellationToken.None);
+        }
+
+        /// <summary>
+        /// Converts, verifies and (unless it is a dry run) replaces the original. Returns the result summary.
+        /// </summary>
+        private async Task<string> ProcessJobAsync(OptimizationJob job, IServiceProvider services, CancellationToken cancellationToken)
+        {
+            var dbContext = services.GetRequiredService<AppDbContext>();
+            var planner = services.GetRequiredService<FfmpegPlannerService>();
+
+            var video = job.VideoAnalysisId == null
+                ? null
+                : await dbContext.VideoAnalyses.FirstOrDefaultAsync(v => v.Id == job.VideoAnalysisId, cancellationToken);
+            if (video == null)
+            {
+                throw new InvalidOperationException("The video's analysis was deleted");
+            }
+            if (!File.Exists(video.FilePath))
+            {
+                throw new InvalidOperationException($"File not found: {video.FilePath}");
+            }
+
+            // Planned again: the file may have been replaced or re-analyzed since it was queued
+            var fixes = planner.GetLosslessFixes(video, out var reason);
+            if (fixes.Count == 0)
+            {
+                return $"Nothing to do: {reason}";
+            }
+            job.Fixes = string.Join(",", fixes);
+
+            var sourcePath = video.FilePath;
+            var targetPath = FfmpegPlannerService.GetReplacementPath(sourcePath, fixes);
+            if (targetPath != sourcePath && File.Exists(targetPath))
+            {
+                throw new InvalidOperationException($"{Path.GetFileName(targetPath)} already exists next to the original");
+            }
+
+            var tempPath = GetTempPath(job);
+            DeleteTempFile(job);
+            job.OriginalSize = new FileInfo(sourcePath).Length;
+
+            var outputFormat = string.Equals(Path.GetExtension(targetPath), ".mov", StringComparison.OrdinalIgnoreCase) ? "mov" : "mp4";
+            var arguments = planner.BuildArguments(video, fixes, tempPath, outputFormat);
+            arguments.InsertRange(0, new[] { "-progress", "pipe:1", "-nostats" });
+
+            SetStage("converting");
+            await RunFfmpegAsync(arguments, video.Duration, cancellationToken);
+
+            SetStage("verifying");
+            job.OutputSize = VerifyOutput(services.GetRequiredService<VideoAnalyzerService>(), video, tempPath);
+            var sizes = $"{FormatSize(job.OriginalSize.Value)} → {FormatSize(job.OutputSize.Value)}";
+
+            if (job.DryRun)
+            {
+                return $"Dry run: {DescribeFixes(fixes)} verified ({sizes}), the original was kept";
+            }
+
+            // Past this point the job finishes even if cancelled, so the library is never left half-replaced
+            cancellationToken.ThrowIfCancellationRequested();
+            SetStage("replacing");
+
+            if (targetPath == sourcePath)
+            {
+                // Same directory, so this is a rename that replaces the original in one step
+                File.Move(tempPath, sourcePath, overwrite: true);
+            }
+            else
+            {
+                File.Move(tempPath, targetPath);
+                video.FilePath = targetPath;
+                video.FileName = Path.GetFileName(targetPath);
+                await dbContext.SaveChangesAsync(CancellationToken.None);
+                File.Delete(sourcePath);
+            }
+            job.OutputPath = targetPath;
+
+            SetStage("analyzing");
+            if (video.LibraryScanId is int scanId)
+            {
+                var scannerService = services.GetRequiredService<LibraryScannerService>();
+                await scannerService.AnalyzeFileAsync(targetPath, scanId);
+            }
+
+            return $"{DescribeFixes(fixes)} ({sizes})";
+        }
+
+        private async Task RunFfmpegAsync(List<string> arguments, double durationSeconds, CancellationToken cancellationToken)
+        {
+            var startInfo = new ProcessStartInfo
+            {
+                FileName = FfmpegPath,
+                RedirectStandardOutput = true,
+                RedirectStandardError = true,
+                UseShellExecute = false,
+                CreateNoWindow = true
+            };
+            foreach (var argument in arguments)
+            {
+                startInfo.ArgumentList.Add(argument);
+            }
+
+            using var process = new Process { StartInfo = startInfo };
+            try
+            {
+                process.Start();
+            }
+            catch (Win32Exception ex)
+            {
+                throw new InvalidOperationException($"Could not start ffmpeg ({FfmpegPath}). Install ffmpeg or set Optimization:FfmpegPath.", ex);
+            }
+
+            // Only the last lines matter for the error message
+            var errorLines = new Queue<string>();
+            var errorTask = Task.Run(async () =>
+            {
+                string? line;
+                while ((line = await process.StandardError.ReadLineAsync()) != null)
+                {
+                    errorLines.Enqueue(line);
+                    if (errorLines.Count > 5)
+                    {
+                        errorLines.Dequeue();
+                    }
+                }
+            });
+
+            using (cancellationToken.Register(() =>
+            {
+                try
+                {
+                    process.Kill(entireProcessTree: true);
+                }
+                catch (InvalidOperationException)
+                {
+                    // Already exited
+                }
+            }))
+            {
+                // -progress writes key=value lines; out_time_us is the position in the output
+                string? line;
+                while ((line = await process.StandardOutput.ReadLineAsync()) != null)
+                {
+                    if (durationSeconds > 0 && line.StartsWith("out_time_us=") && long.TryParse(line["out_time_us=".Length..], out var microseconds))
+                    {
+                        SetProgress(Math.Clamp(microseconds / 1_000_000.0 / durationSeconds * 100, 0, 100));
+                    }
+                }
+
+                await process.WaitForExitAsync(CancellationToken.None);
+                await errorTask;
+            }
+
+            cancellationToken.ThrowIfCancellationRequested();
+            if (process.ExitCode != 0)
+            {
+                var error = string.Join(" ", errorLines).Trim();
+                throw new InvalidOperationException($"ffmpeg failed with exit code {process.ExitCode}{(error.Length > 0 ? $": {error}" : string.Empty)}");
+            }
+        }
+
+        /// <summary>
+        /// Checks the converted file against the original analysis and returns its size
+        /// </summary>
+        private static long VerifyOutput(VideoAnalyzerService analyzer, VideoAnalysis original, string outputPath)
+        {
+            var outputFile = new FileInfo(outputPath);
+            if (!outputFile.Exists || outputFile.Length == 0)
+            {
+                throw new InvalidOperationException("Verification failed: ffmpeg produced no output");
+            }
+
+            var (output, _) = analyzer.AnalyzeVideoStructured(outputPath);
+
+            var durationTolerance = Math.Max(1.0, original.Duration * 0.005);
+            if (Math.Abs(output.Duration - original.Duration) > durationTolerance)
+            {
+                throw new InvalidOperationException($"Verification failed: duration is {output.Duration:F1}s, the original is {original.Duration:F1}s");
+            }
+            if (!string.Equals(output.VideoCodec, original.VideoCodec, StringComparison.OrdinalIgnoreCase))
+            {
+                throw new InvalidOperationException($"Verification failed: video codec is {output.VideoCodec}, the original is {original.VideoCodec}");
+            }
+            if (output.AudioTracks.Count != original.AudioTrackCount)
+            {
+                throw new InvalidOperationException($"Verification failed: {output.AudioTracks.Count} audio track(s), the original has {original.AudioTrackCount}");
+            }
+
+            var originalSubtitles = CountEmbeddedSubtitles(original);
+            var outputSubtitles = output.SubtitleTracks.Count(s => s.IsEmbedded);
+            if (outputSubtitles != originalSubtitles)
+            {
+                throw new InvalidOperationException($"Verification failed: {outputSubtitles} subtitle track(s), the original has {originalSubtitles}");
+            }
+
+            // The analyzer only runs these checks for containers it recognizes as MP4
+            if (!output.IsCodecTagCorrect && !string.IsNullOrEmpty(output.VideoCodecTag))
+            {
+                throw new InvalidOperationException($"Verification failed: codec tag is still {output.VideoCodecTag}");
+            }
+            if ((output.Container == "MP4" || output.Container == "M4V" || output.Container == "MOV") && !output.IsFastStart)
+            {
+                throw new InvalidOperationException("Verification failed: output is not fast start");
+            }
+
+            return outputFile.Length;
+        }
+
+        private static int CountEmbeddedSubtitles(VideoAnalysis video)
+        {
+            if (string.IsNullOrWhiteSpace(video.SubtitleTracksJson))
+                return 0;
+
+            try
+            {
+                return (JsonSerializer.Deserialize<List<SubtitleTrack>>(video.SubtitleTracksJson, TrackParseOptions) ?? new List<SubtitleTrack>())
+                    .Count(s => s.IsEmbedded);
+            }
+            catch (JsonException)
+            {
+                return 0;
+            }
+        }
+
+        private static string DescribeFixes(List<FfmpegFixKind> fixes)
+        {
+            return string.Join(", ", fixes.Select(fix => fix switch
+            {
+                FfmpegFixKind.Remux => "remuxed to MP4",
+                FfmpegFixKind.FastStart => "fast start",
+                FfmpegFixKind.Retag => "retagged",
+                _ => fix.ToString()
+            }));
+        }
+
+        private static string FormatSize(long bytes)
+        {
+            return bytes >= 1024L * 1024 * 1024
+                ? $"{bytes / 1024.0 / 1024 / 1024:F2} GB"
+                : $"{bytes / 1024.0 / 1024:F1} MB";
+        }
+
+        // Hidden, with an extension the scanner and library watcher ignore
+        private static string GetTempPath(OptimizationJob job)
+        {
+            var directory = Path.GetDirectoryName(job.FilePath) ?? string.Empty;
+            return Path.Combine(directory, $"{TempFilePrefix}{job.Id}-{Path.GetFileNameWithoutExtension(job.FilePath)}.tmp");
+        }
+
+        private void DeleteTempFile(OptimizationJob job)
+        {
+            var tempPath = GetTempPath(job);
+            try
+            {
+                if (File.Exists(tempPath))
+                {
+                    File.Delete(tempPath);
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Could not delete temp file {TempPath}", tempPath);
+            }
+        }
+
+        private void SetStage(string stage)
+        {
+            lock (_currentLock)
+            {
+                if (_currentJob != null)
+                {
+                    _currentJob.Stage = stage;
+                }
+            }
+        }
+
+        private void SetProgress(double progress)
+        {
+            lock (_currentLock)
+            {
+                if (_currentJob != null)
+                {
+                    _currentJob.Progress = progress;
+                }
+            }
+        }
+    }
+}
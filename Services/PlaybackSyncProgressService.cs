@@ -0,0 +1,127 @@
+using System.Collections.Concurrent;
+
+namespace Optimarr.Services
+{
+    public class PlaybackSyncProgress
+    {
+        public string SyncId { get; set; } = string.Empty;
+        public string Status { get; set; } = "running"; // running, completed, error
+        public int Processed { get; set; }
+        public int Synced { get; set; }
+        public int Matched { get; set; }
+        public int Skipped { get; set; }
+        public string? CurrentItem { get; set; }
+        public string? Error { get; set; }
+        public DateTime StartTime { get; set; } = DateTime.UtcNow;
+        public DateTime? EndTime { get; set; }
+    }
+
+    /// <summary>
+    /// Tracks running Jellyfin playback history syncs so their progress can be pushed to the browser
+    /// </summary>
+    public class PlaybackSyncProgressService
+    {
+        private readonly ConcurrentDictionary<string, PlaybackSyncProgress> _progress = new();
+        private readonly ILogger<PlaybackSyncProgressService> _logger;
+
+        public PlaybackSyncProgressService(ILogger<PlaybackSyncProgressService> logger)
+        {
+            _logger = logger;
+        }
+
+        public string CreateProgress()
+        {
+            CleanupOldProgress();
+
+            var syncId = Guid.NewGuid().ToString("N");
+            _progress[syncId] = new PlaybackSyncProgress { SyncId = syncId };
+            _logger.LogDebug("Created progress tracker for playback sync {SyncId}", syncId);
+            return syncId;
+        }
+
+        public PlaybackSyncProgress? GetProgress(string syncId)
+        {
+            if (_progress.TryGetValue(syncId, out var progress))
+            {
+                // Snapshot, the sync keeps updating the tracked instance
+                lock (progress)
+                {
+                    return new PlaybackSyncProgress
+                    {
+                        SyncId = progress.SyncId,
+                        Status = progress.Status,
+                        Processed = progress.Processed,
+                        Synced = progress.Synced,
+                        Matched = progress.Matched,
+                        Skipped = progress.Skipped,
+                        CurrentItem = progress.CurrentItem,
+                        Error = progress.Error,
+                        StartTime = progress.StartTime,
+                        EndTime = progress.EndTime
+                    };
+                }
+            }
+            return null;
+        }
+
+        public List<string> GetActiveSyncIds()
+        {
+            return _progress
+                .Where(kvp => kvp.Value.Status == "running")
+                .Select(kvp => kvp.Key)
+                .ToList();
+        }
+
+        public void UpdateProgress(string syncId, int processed, int synced, int matched, int skipped, string? currentItem = null)
+        {
+            if (_progress.TryGetValue(syncId, out var progress))
+            {
+                lock (progress)
+                {
+                    progress.Processed = processed;
+                    progress.Synced = synced;
+                    progress.Matched = matched;
+                    progress.Skipped = skipped;
+                    progress.CurrentItem = currentItem;
+                }
+            }
+        }
+
+        public void CompleteProgress(string syncId)
+        {
+            if (_progress.TryGetValue(syncId, out var progress))
+            {
+                lock (progress)
+                {
+                    progress.Status = "completed";
+                    progress.CurrentItem = null;
+                    progress.EndTime = DateTime.UtcNow;
+                }
+            }
+        }
+
+        public void FailProgress(string syncId, string error)
+        {
+            if (_progress.TryGetValue(syncId, out var progress))
+            {
+                lock (progress)
+                {
+                    progress.Status = "error";
+                    progress.Error = error;
+                    progress.EndTime = DateTime.UtcNow;
+                }
+                _logger.LogWarning("Playback sync {SyncId} failed: {Error}", syncId, error);
+            }
+        }
+
+        // Finished syncs are kept for an hour so late pollers still see the result
+        private void CleanupOldProgress()
+        {
+            var cutoff = DateTime.UtcNow.AddHours(-1);
+            foreach (var kvp in _progress.Where(kvp => kvp.Value.Status != "running" && (kvp.Value.EndTime ?? kvp.Value.StartTime) < cutoff))
+            {
+                _progress.TryRemove(kvp.Key, out _);
+            }
+        }
+    }
+}
@@ -49,6 +49,7 @@ namespace Optimarr.Services
             using var scope = _serviceProvider.CreateScope();
             var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
             var jellyfinService = scope.ServiceProvider.GetRequiredService<JellyfinService>();
+            var notificationService = scope.ServiceProvider.GetRequiredService<NotificationService>();
 
             if (!jellyfinService.IsEnabled || !jellyfinService.IsConnected)
             {
@@ -164,6 +165,10 @@ namespace Optimarr.Services
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Error in automatic playback history sync");
+                notificationService.Publish(
+                    Models.NotificationEvent.PlaybackSyncFailed,
+                    "Playback sync failed",
+                    $"Automatic playback history sync from Jellyfin failed: {ex.Message}");
             }
         }
 
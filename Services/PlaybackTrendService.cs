@@ -0,0 +1,174 @@
+using Microsoft.EntityFrameworkCore;
+using Optimarr.Data;
+using Optimarr.Models;
+
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// Buckets playback history by day, week or month for the Playback dashboard trend chart, optionally
+    /// split by client, device, user or library, so a drop in transcoding after a codec cleanup or a client
+    /// change shows up. Buckets use UTC start times, like the synced Jellyfin history.
+    /// </summary>
+    public class PlaybackTrendService
+    {
+        public static readonly string[] Buckets = { "day", "week", "month" };
+        public static readonly string[] SplitModes = { "none", "client", "device", "user", "library" };
+
+        private const int MaxGroups = 6;
+        private const string OtherGroup = "Other";
+
+        private readonly AppDbContext _dbContext;
+
+        public PlaybackTrendService(AppDbContext dbContext)
+        {
+            _dbContext = dbContext;
+        }
+
+        /// <summary>
+        /// Playbacks of the last days (0 = all) per bucket. bucket and splitBy must be one of Buckets and SplitModes.
+        /// </summary>
+        public async Task<PlaybackTrendReport> GetTrendsAsync(string bucket, string splitBy, int days, int? libraryPathId = null)
+        {
+            var report = new PlaybackTrendReport { Bucket = bucket, SplitBy = splitBy };
+
+            var query = _dbContext.PlaybackHistories.AsNoTracking();
+            if (libraryPathId.HasValue)
+            {
+                query = query.Where(p => p.LibraryPathId == libraryPathId.Value);
+            }
+
+            var today = DateTime.UtcNow.Date;
+            DateTime? since = days > 0 ? GetBucketStart(today.AddDays(-(days - 1)), bucket) : null;
+            if (since.HasValue)
+            {
+                query = query.Where(p => p.PlaybackStartTime >= since.Value);
+            }
+
+            var rows = await query
+                .Select(p => new
+                {
+                    p.PlaybackStartTime,
+                    p.IsDirectPlay,
+                    p.IsDirectStream,
+                    p.IsTranscode,
+                    p.ClientName,
+                    p.DeviceName,
+                    p.JellyfinUserName,
+                    LibraryName = p.LibraryPath != null ? p.LibraryPath.Name : null
+                })
+                .ToListAsync();
+
+            if (rows.Count == 0)
+            {
+                return report;
+            }
+
+            var from = since ?? GetBucketStart(rows.Min(r => r.PlaybackStartTime), bucket);
+            var to = GetBucketStart(today, bucket);
+            var starts = new List<DateTime>();
+            for (var start = from; start <= to; start = NextBucket(start, bucket))
+            {
+                starts.Add(start);
+            }
+
+            report.From = from;
+            report.To = to;
+
+            var samples = rows.Select(r => new TrendSample(
+                GetBucketStart(r.PlaybackStartTime, bucket),
+                r.IsDirectPlay,
+                r.IsDirectStream,
+                r.IsTranscode,
+                splitBy switch
+                {
+                    "client" => r.ClientName,
+                    "device" => r.DeviceName,
+                    "user" => r.JellyfinUserName,
+                    "library" => r.LibraryName ?? "Not in a library",
+                    _ => null
+                })).ToList();
+
+            report.Buckets = CountBuckets(samples, starts);
+            if (splitBy == "none")
+            {
+                return report;
+            }
+
+            // The groups with the most playbacks get their own series; the rest are summed into "Other"
+            var ranked = samples
+                .GroupBy(s => string.IsNullOrWhiteSpace(s.Group) ? "Unknown" : s.Group)
+                .OrderByDescending(g => g.Count())
+                .ThenBy(g => g.Key)
+                .ToList();
+            var shown = ranked.Take(MaxGroups).ToList();
+            var other = ranked.Skip(MaxGroups).SelectMany(g => g).ToList();
+
+            foreach (var group in shown)
+            {
+                report.Groups.Add(ToGroup(group.Key, group.ToList(), starts));
+            }
+            if (other.Count > 0)
+            {
+                report.Groups.Add(ToGroup(OtherGroup, other, starts));
+            }
+
+            return report;
+        }
+
+        /// <summary>
+        /// The day, Monday or first of the month a time falls in. The result has no DateTimeKind, so it is
+        /// serialized without an offset and the browser shows the same calendar date.
+        /// </summary>
+        public static DateTime GetBucketStart(DateTime time, string bucket)
+        {
+            var date = DateTime.SpecifyKind(time.Date, DateTimeKind.Unspecified);
+            return bucket switch
+            {
+                // Weeks start on Monday
+                "week" => date.AddDays(-(((int)date.DayOfWeek + 6) % 7)),
+                "month" => new DateTime(date.Year, date.Month, 1),
+                _ => date
+            };
+        }
+
+        private static DateTime NextBucket(DateTime start, string bucket)
+        {
+            return bucket switch
+            {
+                "week" => start.AddDays(7),
+                "month" => start.AddMonths(1),
+                _ => start.AddDays(1)
+            };
+        }
+
+        private static PlaybackTrendGroup ToGroup(string name, List<TrendSample> samples, List<DateTime> starts)
+        {
+            return new PlaybackTrendGroup
+            {
+                Name = name,
+                Total = samples.Count,
+                Transcode = samples.Count(s => s.IsTranscode),
+                Buckets = CountBuckets(samples, starts)
+            };
+        }
+
+        private static List<PlaybackTrendBucket> CountBuckets(List<TrendSample> samples, List<DateTime> starts)
+        {
+            var byStart = samples.ToLookup(s => s.BucketStart);
+            return starts.Select(start =>
+            {
+                var inBucket = byStart[start].ToList();
+                return new PlaybackTrendBucket
+                {
+                    Start = start,
+                    Total = inBucket.Count,
+                    DirectPlay = inBucket.Count(s => s.IsDirectPlay),
+                    DirectStream = inBucket.Count(s => s.IsDirectStream),
+                    Transcode = inBucket.Count(s => s.IsTranscode)
+                };
+            }).ToList();
+        }
+
+        private record TrendSample(DateTime BucketStart, bool IsDirectPlay, bool IsDirectStream, bool IsTranscode, string? Group);
+    }
+}
@@ -15,13 +15,16 @@ using System.Threading.Tasks;
 
 namespace Optimarr.Services
 {
+    /// <summary>
+    /// Rescans videos left in Processing for longer than Redownload:WaitHours. Videos with an open redownload
+    /// case are left to RedownloadService; this covers cancelled cases and videos marked before cases existed.
+    /// </summary>
     public class ProcessingRescanService : BackgroundService
     {
         private readonly IServiceProvider _serviceProvider;
         private readonly ILogger<ProcessingRescanService> _logger;
         private readonly IConfiguration _configuration;
         private readonly TimeSpan _checkInterval = TimeSpan.FromHours(1); // Check every hour
-        private readonly TimeSpan _rescanDelay = TimeSpan.FromHours(24); // Rescan after 24 hours
 
         public ProcessingRescanService(
             IServiceProvider serviceProvider,
@@ -77,16 +80,23 @@ namespace Optimarr.Services
             using var scope = _serviceProvider.CreateScope();
             var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
             var videoAnalyzer = scope.ServiceProvider.GetRequiredService<VideoAnalyzerService>();
+            var notificationService = scope.ServiceProvider.GetRequiredService<NotificationService>();
             var reportGenerator = new ReportGenerator();
 
             try
             {
-                // Find videos that have been in Processing state for 24+ hours
-                var cutoffTime = DateTime.UtcNow - _rescanDelay;
+                // Find videos that have been in Processing state for longer than the redownload wait period
+                var rescanDelay = TimeSpan.FromHours(RedownloadService.ReadSettings(_configuration).WaitHours);
+                var cutoffTime = DateTime.UtcNow - rescanDelay;
+                var trackedVideoIds = dbContext.RedownloadCases
+                    .Where(c => c.VideoAnalysisId != null &&
+                                (c.Status == RedownloadCaseStatus.Searching || c.Status == RedownloadCaseStatus.Downloading))
+                    .Select(c => c.VideoAnalysisId!.Value);
                 var processingVideos = await dbContext.VideoAnalyses
                     .Where(v => v.ProcessingStatus == ProcessingStatus.Processing &&
                                 v.ProcessingStartedAt.HasValue &&
-                                v.ProcessingStartedAt.Value <= cutoffTime)
+                                v.ProcessingStartedAt.Value <= cutoffTime &&
+                                !trackedVideoIds.Contains(v.Id))
                     .ToListAsync(cancellationToken);
 
                 if (processingVideos.Count == 0)
@@ -96,7 +106,7 @@ namespace Optimarr.Services
                 }
 
                 _logger.LogInformation("Found {Count} processing video(s) ready for rescan (marked {Hours} hours ago or earlier)", 
-                    processingVideos.Count, _rescanDelay.TotalHours);
+                    processingVideos.Count, rescanDelay.TotalHours);
 
                 // Rescan each video
                 int successCount = 0;
@@ -211,6 +221,8 @@ namespace Optimarr.Services
                         await dbContext.SaveChangesAsync(cancellationToken);
                         successCount++;
                         _logger.LogInformation("Successfully rescanned processing video {VideoId}", video.Id);
+
+                        notificationService.PublishRedownloadVerified(video);
                     }
                     catch (Exception ex)
                     {
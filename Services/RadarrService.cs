@@ -1,5 +1,6 @@
 using System.Net.Http.Headers;
 using System.Text.Json;
+using Optimarr.Models;
 
 namespace Optimarr.Services
 {
@@ -273,10 +274,13 @@ namespace Optimarr.Services
             }
         }
 
-        public async Task<bool> TriggerMovieSearch(int movieId)
+        /// <summary>
+        /// Starts a MoviesSearch command. Returns the command, whose ID can be followed with GetCommand, or null on failure.
+        /// </summary>
+        public async Task<ServarrCommand?> TriggerMovieSearch(int movieId)
         {
             if (!_isEnabled || !_isConnected)
-                return false;
+                return null;
 
             EnsureApiKeyHeader();
 
@@ -292,15 +296,82 @@ namespace Optimarr.Services
                     System.Text.Encoding.UTF8, "application/json");
                 
                 var response = await _httpClient.PostAsync("/api/v3/command", content);
-                return response.IsSuccessStatusCode;
+                if (!response.IsSuccessStatusCode)
+                {
+                    _logger?.LogWarning("Radarr MoviesSearch for movie {MovieId} failed: {StatusCode}", movieId, response.StatusCode);
+                    return null;
+                }
+
+                var command = JsonSerializer.Deserialize<ServarrCommand>(await response.Content.ReadAsStringAsync(), new JsonSerializerOptions
+                {
+                    PropertyNameCaseInsensitive = true
+                });
+                return command ?? new ServarrCommand { Name = "MoviesSearch" };
             }
             catch (Exception ex)
             {
                 _logger?.LogError(ex, "Error triggering Radarr movie search: {MovieId}", movieId);
-                return false;
+                return null;
             }
         }
 
+        public async Task<ServarrCommand?> GetCommand(int commandId)
+        {
+            if (!_isEnabled || !_isConnected)
+                return null;
+
+            EnsureApiKeyHeader();
+
+            try
+            {
+                var response = await _httpClient.GetAsync($"/api/v3/command/{commandId}");
+                if (response.IsSuccessStatusCode)
+                {
+                    var content = await response.Content.ReadAsStringAsync();
+                    return JsonSerializer.Deserialize<ServarrCommand>(content, new JsonSerializerOptions
+                    {
+                        PropertyNameCaseInsensitive = true
+                    });
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger?.LogError(ex, "Error getting Radarr command {CommandId}", commandId);
+            }
+
+            return null;
+        }
+
+        /// <summary>
+        /// Releases of the movie in the download queue (grabbed, downloading or waiting for import)
+        /// </summary>
+        public async Task<List<ServarrQueueItem>> GetQueue(int movieId)
+        {
+            if (!_isEnabled || !_isConnected)
+                return new List<ServarrQueueItem>();
+
+            EnsureApiKeyHeader();
+
+            try
+            {
+                var response = await _httpClient.GetAsync($"/api/v3/queue/details?movieId={movieId}");
+                if (response.IsSuccessStatusCode)
+                {
+                    var content = await response.Content.ReadAsStringAsync();
+                    return JsonSerializer.Deserialize<List<ServarrQueueItem>>(content, new JsonSerializerOptions
+                    {
+                        PropertyNameCaseInsensitive = true
+                    }) ?? new List<ServarrQueueItem>();
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger?.LogError(ex, "Error getting Radarr queue for movie {MovieId}", movieId);
+            }
+
+            return new List<ServarrQueueItem>();
+        }
+
         private string NormalizePath(string path)
         {
             if (string.IsNullOrEmpty(path)) return string.Empty;
@@ -0,0 +1,180 @@
+using Microsoft.EntityFrameworkCore;
+using Optimarr.Data;
+using Optimarr.Models;
+
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// Rates the whole library in memory with proposed media property settings, weights and thresholds, without
+    /// saving anything. Both sides are recalculated, so the result only reflects the settings change and not
+    /// ratings that are stale from older analyses.
+    /// </summary>
+    public class RatingSimulationService
+    {
+        private const int BatchSize = 500;
+
+        private readonly AppDbContext _dbContext;
+        private readonly IConfiguration _configuration;
+        private readonly ILogger<RatingSimulationService> _logger;
+
+        public RatingSimulationService(AppDbContext dbContext, IConfiguration configuration, ILogger<RatingSimulationService> logger)
+        {
+            _dbContext = dbContext;
+            _configuration = configuration;
+            _logger = logger;
+        }
+
+        private record ChangedVideo(int Id, string FileName, string FilePath, int RatingBefore, int RatingAfter, string ScoreBefore, string ScoreAfter);
+
+        /// <summary>
+        /// Null arguments keep the saved values
+        /// </summary>
+        public async Task<RatingSimulationResult> SimulateAsync(
+            MediaPropertySettings? properties,
+            RatingWeights? weights,
+            RatingThresholds? thresholds,
+            int sampleLimit = 25,
+            CancellationToken cancellationToken = default)
+        {
+            var ratingService = new MediaPropertyRatingService(_configuration, _logger);
+            var currentProperties = ratingService.LoadMediaPropertySettings();
+            var currentWeights = ratingService.LoadRatingWeights();
+            var currentThresholds = ratingService.LoadRatingThresholds();
+            var proposedProperties = properties ?? currentProperties;
+            var proposedWeights = weights ?? currentWeights;
+            var proposedThresholds = thresholds ?? currentThresholds;
+
+            var result = new RatingSimulationResult();
+            var transitions = new Dictionary<(string From, string To), int>();
+            var changed = new List<ChangedVideo>();
+            long ratingSumBefore = 0;
+            long ratingSumAfter = 0;
+            var lastId = 0;
+
+            while (true)
+            {
+                var videos = await _dbContext.VideoAnalyses
+                    .AsNoTracking()
+                    .Where(v => v.Id > lastId && !v.IsBroken)
+                    .OrderBy(v => v.Id)
+                    .Take(BatchSize)
+                    .ToListAsync(cancellationToken);
+
+                if (videos.Count == 0)
+                {
+                    break;
+                }
+                lastId = videos[^1].Id;
+
+                foreach (var video in videos)
+                {
+                    var videoInfo = MediaPropertyRatingService.ReconstructVideoInfo(video, _logger);
+                    var before = ratingService.CalculateRating(videoInfo, currentProperties, null, currentWeights, currentThresholds).CompatibilityRating;
+                    var after = ratingService.CalculateRating(videoInfo, proposedProperties, null, proposedWeights, proposedThresholds).CompatibilityRating;
+                    var scoreBefore = GetScore(before, currentThresholds);
+                    var scoreAfter = GetScore(after, proposedThresholds);
+
+                    result.TotalVideos++;
+                    ratingSumBefore += before;
+                    ratingSumAfter += after;
+                    Count(result.Before, scoreBefore);
+                    Count(result.After, scoreAfter);
+
+                    if (scoreBefore != scoreAfter)
+                    {
+                        result.ChangedScores++;
+                        transitions[(scoreBefore, scoreAfter)] = transitions.GetValueOrDefault((scoreBefore, scoreAfter)) + 1;
+                    }
+                    if (before != after)
+                    {
+                        result.ChangedRatings++;
+                    }
+                    if (scoreBefore != scoreAfter || before != after)
+                    {
+                        changed.Add(new ChangedVideo(video.Id, video.FileName, video.FilePath, before, after, scoreBefore, scoreAfter));
+                    }
+                }
+            }
+
+            if (result.TotalVideos > 0)
+            {
+                result.AverageRatingBefore = Math.Round((double)ratingSumBefore / result.TotalVideos, 1);
+                result.AverageRatingAfter = Math.Round((double)ratingSumAfter / result.TotalVideos, 1);
+            }
+
+            result.Transitions = transitions
+                .OrderByDescending(t => t.Value)
+                .Select(t => new RatingSimulationTransition { From = t.Key.From, To = t.Key.To, Count = t.Value })
+                .ToList();
+
+            var samples = changed
+                .OrderByDescending(c => c.ScoreBefore != c.ScoreAfter)
+                .ThenByDescending(c => Math.Abs(c.RatingAfter - c.RatingBefore))
+                .ThenBy(c => c.FileName)
+                .Take(sampleLimit)
+                .ToList();
+
+            // Issues are only compared for the samples, so the whole library's issue lists are never held in memory
+            var sampleIds = samples.Select(s => s.Id).ToList();
+            var sampleVideos = await _dbContext.VideoAnalyses
+                .AsNoTracking()
+                .Where(v => sampleIds.Contains(v.Id))
+                .ToDictionaryAsync(v => v.Id, cancellationToken);
+
+            foreach (var sample in samples)
+            {
+                var entry = new RatingSimulationSample
+                {
+                    Id = sample.Id,
+                    FileName = sample.FileName,
+                    FilePath = sample.FilePath,
+                    RatingBefore = sample.RatingBefore,
+                    RatingAfter = sample.RatingAfter,
+                    ScoreBefore = sample.ScoreBefore,
+                    ScoreAfter = sample.ScoreAfter
+                };
+
+                if (sampleVideos.TryGetValue(sample.Id, out var video))
+                {
+                    var videoInfo = MediaPropertyRatingService.ReconstructVideoInfo(video, _logger);
+                    var issuesBefore = ratingService.CalculateRating(videoInfo, currentProperties, null, currentWeights, currentThresholds).Issues;
+                    var issuesAfter = ratingService.CalculateRating(videoInfo, proposedProperties, null, proposedWeights, proposedThresholds).Issues;
+                    entry.NewIssues = issuesAfter.Except(issuesBefore).ToList();
+                    entry.ResolvedIssues = issuesBefore.Except(issuesAfter).ToList();
+                }
+
+                result.Samples.Add(entry);
+            }
+
+            _logger.LogInformation("Simulated rating change for {Total} videos: {ChangedScores} change score, {ChangedRatings} change rating",
+                result.TotalVideos, result.ChangedScores, result.ChangedRatings);
+
+            return result;
+        }
+
+        private static string GetScore(int rating, RatingThresholds thresholds)
+        {
+            if (rating >= thresholds.Optimal)
+                return nameof(CompatibilityScore.Optimal);
+            if (rating >= thresholds.Good)
+                return nameof(CompatibilityScore.Good);
+            return nameof(CompatibilityScore.Poor);
+        }
+
+        private static void Count(RatingSimulationCounts counts, string score)
+        {
+            switch (score)
+            {
+                case nameof(CompatibilityScore.Optimal):
+                    counts.Optimal++;
+                    break;
+                case nameof(CompatibilityScore.Good):
+                    counts.Good++;
+                    break;
+                default:
+                    counts.Poor++;
+                    break;
+            }
+        }
+    }
+}
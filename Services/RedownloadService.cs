@@ -0,0 +1,572 @@
+using System.Text.Json;
+using System.Text.Json.Nodes;
+using Microsoft.EntityFrameworkCore;
+using Optimarr.Data;
+using Optimarr.Models;
+
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// Follows each redownload (RedownloadCases) from the Sonarr/Radarr search to a verdict on the new file.
+    ///
+    /// Open cases are checked every few minutes. Once Sonarr/Radarr reports a file other than the deleted one,
+    /// it is analyzed and compared with the old analysis: improved, unchanged or worse. Until then the case
+    /// shows the search command and download queue. When nothing arrived within Redownload:WaitHours of the
+    /// last search and nothing is downloading, the search is repeated until Redownload:MaxAttempts searches
+    /// were made, and then the case ends as never arrived.
+    /// </summary>
+    public class RedownloadService : BackgroundService
+    {
+        public const string SectionName = "Redownload";
+        public const int MaxWaitHours = 720;
+        public const int MaxAttemptsLimit = 10;
+        private static readonly TimeSpan CheckInterval = TimeSpan.FromMinutes(5);
+
+        private readonly IServiceScopeFactory _scopeFactory;
+        private readonly IConfiguration _configuration;
+        private readonly AppSettingsFileService _appSettingsFile;
+        private readonly ILogger<RedownloadService> _logger;
+
+        private readonly SemaphoreSlim _wakeSignal = new(0);
+
+        public RedownloadService(IServiceScopeFactory scopeFactory, IConfiguration configuration, AppSettingsFileService appSettingsFile, ILogger<RedownloadService> logger)
+        {
+            _scopeFactory = scopeFactory;
+            _configuration = configuration;
+            _appSettingsFile = appSettingsFile;
+            _logger = logger;
+        }
+
+        public static RedownloadSettings ReadSettings(IConfiguration configuration)
+        {
+            var defaults = new RedownloadSettings();
+            var section = configuration.GetSection(SectionName);
+            return new RedownloadSettings
+            {
+                WaitHours = Math.Clamp(section.GetValue("WaitHours", defaults.WaitHours), 1, MaxWaitHours),
+                MaxAttempts = Math.Clamp(section.GetValue("MaxAttempts", defaults.MaxAttempts), 1, MaxAttemptsLimit)
+            };
+        }
+
+        public RedownloadSettings GetSettings() => ReadSettings(_configuration);
+
+        /// <summary>
+        /// Wakes the service to check open cases now instead of on the next round
+        /// </summary>
+        public void RequestCheck()
+        {
+            if (_wakeSignal.CurrentCount == 0)
+            {
+                _wakeSignal.Release();
+            }
+        }
+
+        /// <summary>
+        /// Writes the Redownload section of appsettings.json. Open cases use the new values from their next check.
+        /// </summary>
+        public async Task SaveSettingsAsync(RedownloadSettings settings)
+        {
+            await _appSettingsFile.UpdateAsync(root =>
+            {
+                root[SectionName] = new JsonObject
+                {
+                    ["WaitHours"] = settings.WaitHours,
+                    ["MaxAttempts"] = settings.MaxAttempts
+                };
+            });
+
+            _logger.LogInformation("Redownload settings saved: wait {WaitHours} h, {MaxAttempts} attempt(s)", settings.WaitHours, settings.MaxAttempts);
+            RequestCheck();
+        }
+
+        /// <summary>
+        /// Cases newest first. filter is "open", "cancelled" or a verdict (Improved, Unchanged, Worse, NeverArrived).
+        /// </summary>
+        public async Task<RedownloadCasePage> GetCasesAsync(string? filter, int page, int pageSize)
+        {
+            using var scope = _scopeFactory.CreateScope();
+            var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+
+            var query = dbContext.RedownloadCases.AsNoTracking().AsQueryable();
+            if (string.Equals(filter, "open", StringComparison.OrdinalIgnoreCase))
+            {
+                query = query.Where(c => c.Status == RedownloadCaseStatus.Searching || c.Status == RedownloadCaseStatus.Downloading);
+            }
+            else if (string.Equals(filter, "cancelled", StringComparison.OrdinalIgnoreCase))
+            {
+                query = query.Where(c => c.Status == RedownloadCaseStatus.Cancelled);
+            }
+            else if (Enum.TryParse<RedownloadVerdict>(filter, true, out var verdict))
+            {
+                query = query.Where(c => c.Verdict == verdict);
+            }
+
+            page = Math.Max(1, page);
+            pageSize = Math.Clamp(pageSize, 1, 200);
+
+            var totalCount = await query.CountAsync();
+            var cases = await query
+                .OrderByDescending(c => c.CreatedAt)
+                .ThenByDescending(c => c.Id)
+                .Skip((page - 1) * pageSize)
+                .Take(pageSize)
+                .ToListAsync();
+
+            var statuses = await dbContext.RedownloadCases
+                .GroupBy(c => new { c.Status, c.Verdict })
+                .Select(g => new { g.Key.Status, g.Key.Verdict, Count = g.Count() })
+                .ToListAsync();
+
+            var settings = GetSettings();
+            return new RedownloadCasePage
+            {
+                TotalCount = totalCount,
+                Page = page,
+                PageSize = pageSize,
+                Cases = cases.Select(c => ToSummary(c, settings)).ToList(),
+                Counts = new Dictionary<string, int>
+                {
+                    ["Open"] = statuses.Where(s => IsOpen(s.Status)).Sum(s => s.Count),
+                    [nameof(RedownloadVerdict.Improved)] = statuses.Where(s => s.Verdict == RedownloadVerdict.Improved).Sum(s => s.Count),
+                    [nameof(RedownloadVerdict.Unchanged)] = statuses.Where(s => s.Verdict == RedownloadVerdict.Unchanged).Sum(s => s.Count),
+                    [nameof(RedownloadVerdict.Worse)] = statuses.Where(s => s.Verdict == RedownloadVerdict.Worse).Sum(s => s.Count),
+                    [nameof(RedownloadVerdict.NeverArrived)] = statuses.Where(s => s.Verdict == RedownloadVerdict.NeverArrived).Sum(s => s.Count),
+                    [nameof(RedownloadCaseStatus.Cancelled)] = statuses.Where(s => s.Status == RedownloadCaseStatus.Cancelled).Sum(s => s.Count)
+                }
+            };
+        }
+
+        /// <summary>
+        /// A case with its old and new analysis compared. Null if the case does not exist.
+        /// </summary>
+        public async Task<RedownloadCaseDetail?> GetCaseAsync(int id)
+        {
+            using var scope = _scopeFactory.CreateScope();
+            var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+
+            var redownloadCase = await dbContext.RedownloadCases.AsNoTracking().FirstOrDefaultAsync(c => c.Id == id);
+            if (redownloadCase == null)
+            {
+                return null;
+            }
+
+            var before = ReadSnapshot(redownloadCase.OldAnalysisJson);
+            var after = ReadSnapshot(redownloadCase.NewAnalysisJson);
+            return new RedownloadCaseDetail
+            {
+                Case = ToSummary(redownloadCase, GetSettings()),
+                Before = before == null ? null : VideoAnalysisHistoryService.ToVersion(before, 0, null),
+                After = after == null ? null : VideoAnalysisHistoryService.ToVersion(after, 0, null),
+                Diff = before != null && after != null ? VideoAnalysisDiff.Compare(before, after) : null
+            };
+        }
+
+        /// <summary>
+        /// Stops following an open case. False if it does not exist or is already finished.
+        /// </summary>
+        public async Task<bool> CancelAsync(int id)
+        {
+            using var scope = _scopeFactory.CreateScope();
+            var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+
+            var redownloadCase = await dbContext.RedownloadCases.FirstOrDefaultAsync(c => c.Id == id);
+            if (redownloadCase == null || !IsOpen(redownloadCase.Status))
+            {
+                return false;
+            }
+
+            redownloadCase.Status = RedownloadCaseStatus.Cancelled;
+            redownloadCase.QueueStatus = null;
+            redownloadCase.CompletedAt = DateTime.UtcNow;
+            redownloadCase.Message = "Cancelled";
+            await dbContext.SaveChangesAsync();
+
+            _logger.LogInformation("Redownload case {CaseId} ({Title}) cancelled", redownloadCase.Id, redownloadCase.Title);
+            return true;
+        }
+
+        public static bool IsOpen(RedownloadCaseStatus status)
+        {
+            return status == RedownloadCaseStatus.Searching || status == RedownloadCaseStatus.Downloading;
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            _logger.LogInformation("Redownload service started");
+
+            while (!stoppingToken.IsCancellationRequested)
+            {
+                try
+                {
+                    await CheckOpenCasesAsync(stoppingToken);
+                }
+                catch (Exception ex) when (ex is not OperationCanceledException)
+                {
+                    _logger.LogError(ex, "Error checking redownloads");
+                }
+
+                await _wakeSignal.WaitAsync(CheckInterval, stoppingToken);
+            }
+        }
+
+        private async Task CheckOpenCasesAsync(CancellationToken cancellationToken)
+        {
+            using var scope = _scopeFactory.CreateScope();
+            var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+
+            var openCases = await dbContext.RedownloadCases
+                .Where(c => c.Status == RedownloadCaseStatus.Searching || c.Status == RedownloadCaseStatus.Downloading)
+                .OrderBy(c => c.Id)
+                .ToListAsync(cancellationToken);
+            if (openCases.Count == 0)
+            {
+                return;
+            }
+
+            var settings = GetSettings();
+            _logger.LogDebug("Checking {Count} open redownload case(s)", openCases.Count);
+
+            foreach (var redownloadCase in openCases)
+            {
+                if (cancellationToken.IsCancellationRequested)
+                {
+                    break;
+                }
+
+                try
+                {
+                    await CheckCaseAsync(scope.ServiceProvider, dbContext, redownloadCase, settings, cancellationToken);
+                }
+                catch (Exception ex) when (ex is not OperationCanceledException)
+                {
+                    _logger.LogError(ex, "Error checking redownload case {CaseId} ({Title})", redownloadCase.Id, redownloadCase.Title);
+                    redownloadCase.Message = $"Check failed: {ex.Message}";
+                }
+
+                redownloadCase.LastCheckedAt = DateTime.UtcNow;
+                await dbContext.SaveChangesAsync(cancellationToken);
+            }
+        }
+
+        private async Task CheckCaseAsync(IServiceProvider services, AppDbContext dbContext, RedownloadCase redownloadCase, RedownloadSettings settings, CancellationToken cancellationToken)
+        {
+            var sonarrService = services.GetRequiredService<SonarrService>();
+            var radarrService = services.GetRequiredService<RadarrService>();
+            var isSonarr = redownloadCase.ServarrType == "Sonarr";
+
+            if (isSonarr ? !(sonarrService.IsEnabled && sonarrService.IsConnected) : !(radarrService.IsEnabled && radarrService.IsConnected))
+            {
+                // The wait period does not run out while Sonarr/Radarr cannot be asked
+                redownloadCase.Message = $"{redownloadCase.ServarrType} is not connected";
+                return;
+            }
+
+            var servarrPath = isSonarr
+                ? await FindNewEpisodeFileAsync(sonarrService, redownloadCase)
+                : await FindNewMovieFileAsync(radarrService, redownloadCase);
+            if (!string.IsNullOrEmpty(servarrPath))
+            {
+                var filePath = services.GetRequiredService<ServarrSyncService>().MapPath(servarrPath, redownloadCase.ServarrType);
+                if (File.Exists(filePath))
+                {
+                    await VerifyAsync(services, dbContext, redownloadCase, filePath, cancellationToken);
+                    return;
+                }
+
+                redownloadCase.Message = filePath == servarrPath
+                    ? $"{redownloadCase.ServarrType} has a new file at {filePath}, which was not found. Check the path mappings in Settings"
+                    : $"{redownloadCase.ServarrType} has a new file at {filePath} (mapped from {servarrPath}), which was not found";
+                return;
+            }
+
+            if (redownloadCase.CommandId is int commandId)
+            {
+                var command = isSonarr ? await sonarrService.GetCommand(commandId) : await radarrService.GetCommand(commandId);
+                if (command != null)
+                {
+                    redownloadCase.CommandStatus = DescribeCommand(command);
+                }
+            }
+
+            var queue = isSonarr
+                ? await sonarrService.GetQueue(redownloadCase.ServarrItemId)
+                : await radarrService.GetQueue(redownloadCase.ServarrItemId);
+            var queueItem = queue.FirstOrDefault();
+            if (queueItem != null)
+            {
+                if (redownloadCase.Status != RedownloadCaseStatus.Downloading || redownloadCase.DownloadTitle != queueItem.Title)
+                {
+                    redownloadCase.GrabbedAt = DateTime.UtcNow;
+                    _logger.LogInformation("Redownload case {CaseId} ({Title}): grabbed {Release}", redownloadCase.Id, redownloadCase.Title, queueItem.Title);
+                }
+
+                // A release in the queue gets as long as it needs; stuck imports show their error here
+                redownloadCase.Status = RedownloadCaseStatus.Downloading;
+                redownloadCase.DownloadTitle = queueItem.Title;
+                redownloadCase.QueueStatus = DescribeQueueItem(queueItem);
+                redownloadCase.Message = queueItem.ErrorMessage;
+                return;
+            }
+
+            if (redownloadCase.Status == RedownloadCaseStatus.Downloading)
+            {
+                redownloadCase.Status = RedownloadCaseStatus.Searching;
+                redownloadCase.QueueStatus = null;
+                redownloadCase.Message = "The download left the queue without a new file";
+            }
+
+            if (DateTime.UtcNow < redownloadCase.LastSearchAt.AddHours(settings.WaitHours))
+            {
+                return;
+            }
+
+            if (redownloadCase.Attempts < settings.MaxAttempts)
+            {
+                var command = isSonarr
+                    ? await sonarrService.TriggerEpisodeSearch(redownloadCase.ServarrItemId)
+                    : await radarrService.TriggerMovieSearch(redownloadCase.ServarrItemId);
+                if (command == null)
+                {
+                    redownloadCase.Message = $"Searching again in {redownloadCase.ServarrType} failed, trying again on the next check";
+                    return;
+                }
+
+                redownloadCase.Attempts++;
+                redownloadCase.CommandId = command.Id > 0 ? command.Id : null;
+                redownloadCase.CommandStatus = DescribeCommand(command);
+                redownloadCase.LastSearchAt = DateTime.UtcNow;
+                redownloadCase.Message = $"Nothing arrived within {settings.WaitHours} h, searched again (attempt {redownloadCase.Attempts} of {settings.MaxAttempts})";
+                _logger.LogInformation("Redownload case {CaseId} ({Title}): nothing arrived, search {Attempt} of {MaxAttempts} started",
+                    redownloadCase.Id, redownloadCase.Title, redownloadCase.Attempts, settings.MaxAttempts);
+                return;
+            }
+
+            // The old file is gone for good unless deleting it failed
+            if (redownloadCase.VideoAnalysisId is int oldVideoId)
+            {
+                var oldVideo = await dbContext.VideoAnalyses.FirstOrDefaultAsync(v => v.Id == oldVideoId, cancellationToken);
+                if (oldVideo != null && !File.Exists(oldVideo.FilePath))
+                {
+                    dbContext.VideoAnalyses.Remove(oldVideo);
+                }
+                else if (oldVideo != null)
+                {
+                    oldVideo.ProcessingStatus = ProcessingStatus.None;
+                    oldVideo.ProcessingStartedAt = null;
+                }
+            }
+
+            Complete(services, redownloadCase, RedownloadVerdict.NeverArrived,
+                $"Nothing arrived after {redownloadCase.Attempts} search(es), waiting {settings.WaitHours} h each");
+        }
+
+        private static async Task<string?> FindNewEpisodeFileAsync(SonarrService sonarrService, RedownloadCase redownloadCase)
+        {
+            var episode = await sonarrService.GetEpisode(redownloadCase.ServarrItemId);
+            if (episode == null || !episode.HasFile || episode.EpisodeFileId is not int episodeFileId || episodeFileId == redownloadCase.OldServarrFileId)
+            {
+                return null;
+            }
+
+            return (await sonarrService.GetEpisodeFile(episodeFileId))?.Path;
+        }
+
+        private static async Task<string?> FindNewMovieFileAsync(RadarrService radarrService, RedownloadCase redownloadCase)
+        {
+            var movie = await radarrService.GetMovie(redownloadCase.ServarrItemId);
+            if (movie?.MovieFile == null || movie.MovieFile.Id == redownloadCase.OldServarrFileId)
+            {
+                return null;
+            }
+
+            return movie.MovieFile.Path;
+        }
+
+        /// <summary>
+        /// Analyzes the new file (unless a webhook import already did) and compares it with the old analysis
+        /// </summary>
+        private async Task VerifyAsync(IServiceProvider services, AppDbContext dbContext, RedownloadCase redownloadCase, string filePath, CancellationToken cancellationToken)
+        {
+            var video = await dbContext.VideoAnalyses.FirstOrDefaultAsync(v => v.FilePath == filePath, cancellationToken);
+            if (video == null || video.AnalyzedAt < redownloadCase.CreatedAt)
+            {
+                var libraryPath = await services.GetRequiredService<ServarrSyncService>().FindLibraryPathAsync(filePath);
+                if (libraryPath == null)
+                {
+                    redownloadCase.Message = $"The new file {filePath} is not inside a library";
+                    return;
+                }
+
+                var scannerService = services.GetRequiredService<LibraryScannerService>();
+                var scanId = await scannerService.GetLibraryScanIdAsync(libraryPath.Path, cancellationToken);
+                await scannerService.AnalyzeFileAsync(filePath, scanId);
+
+                video = await dbContext.VideoAnalyses.FirstOrDefaultAsync(v => v.FilePath == filePath, cancellationToken);
+                if (video == null)
+                {
+                    redownloadCase.Message = $"The new file {filePath} could not be analyzed";
+                    return;
+                }
+            }
+
+            video.ProcessingStatus = ProcessingStatus.None;
+            video.ProcessingStartedAt = null;
+
+            var before = ReadSnapshot(redownloadCase.OldAnalysisJson) ?? new VideoAnalysisHistory();
+            var after = VideoAnalysisHistory.FromAnalysis(video);
+            var (verdict, reason) = Judge(before, after);
+
+            redownloadCase.NewVideoAnalysisId = video.Id;
+            redownloadCase.NewFilePath = filePath;
+            redownloadCase.NewAnalysisJson = JsonSerializer.Serialize(after);
+
+            // A new file under another name leaves the old analysis pointing at the deleted file
+            if (redownloadCase.VideoAnalysisId is int oldVideoId && oldVideoId != video.Id)
+            {
+                var oldVideo = await dbContext.VideoAnalyses.FirstOrDefaultAsync(v => v.Id == oldVideoId, cancellationToken);
+                if (oldVideo != null && !File.Exists(oldVideo.FilePath))
+                {
+                    dbContext.VideoAnalyses.Remove(oldVideo);
+                }
+            }
+
+            Complete(services, redownloadCase, verdict, reason, video.CompatibilityRating);
+        }
+
+        /// <summary>
+        /// Broken beats everything; otherwise the compatibility rating decides
+        /// </summary>
+        public static (RedownloadVerdict Verdict, string Reason) Judge(VideoAnalysisHistory before, VideoAnalysisHistory after)
+        {
+            if (after.IsBroken && before.IsBroken)
+            {
+                return (RedownloadVerdict.Unchanged, $"Still broken: {after.BrokenReason}");
+            }
+            if (after.IsBroken)
+            {
+                return (RedownloadVerdict.Worse, $"The new file is broken: {after.BrokenReason}");
+            }
+            if (before.IsBroken)
+            {
+                return (RedownloadVerdict.Improved, $"No longer broken, rating {after.CompatibilityRating}/100");
+            }
+
+            var ratings = $"rating {before.CompatibilityRating} → {after.CompatibilityRating}/100";
+            if (after.CompatibilityRating > before.CompatibilityRating)
+            {
+                return (RedownloadVerdict.Improved, $"Better {ratings}");
+            }
+            if (after.CompatibilityRating < before.CompatibilityRating)
+            {
+                return (RedownloadVerdict.Worse, $"Lower {ratings}");
+            }
+            return (RedownloadVerdict.Unchanged, $"Same rating ({after.CompatibilityRating}/100)");
+        }
+
+        private void Complete(IServiceProvider services, RedownloadCase redownloadCase, RedownloadVerdict verdict, string reason, int? rating = null)
+        {
+            redownloadCase.Status = RedownloadCaseStatus.Completed;
+            redownloadCase.Verdict = verdict;
+            redownloadCase.Message = reason;
+            redownloadCase.QueueStatus = null;
+            redownloadCase.CompletedAt = DateTime.UtcNow;
+            _logger.LogInformation("Redownload case {CaseId} ({Title}) finished: {Verdict} ({Reason})", redownloadCase.Id, redownloadCase.Title, verdict, reason);
+
+            var data = new Dictionary<string, string>
+            {
+                ["Title"] = redownloadCase.Title,
+                ["Verdict"] = verdict.ToString(),
+                ["File"] = redownloadCase.NewFilePath ?? redownloadCase.OldFilePath,
+                ["Searches"] = redownloadCase.Attempts.ToString()
+            };
+            if (rating.HasValue)
+            {
+                data["Rating"] = $"{rating}/100";
+            }
+
+            services.GetRequiredService<NotificationService>().Publish(
+                NotificationEvent.RedownloadVerified,
+                verdict switch
+                {
+                    RedownloadVerdict.Improved => "Redownload improved",
+                    RedownloadVerdict.Worse => "Redownload got worse",
+                    RedownloadVerdict.NeverArrived => "Redownload never arrived",
+                    _ => "Redownload unchanged"
+                },
+                $"{redownloadCase.Title}: {reason}",
+                data);
+        }
+
+        private static string DescribeCommand(ServarrCommand command)
+        {
+            var status = string.IsNullOrEmpty(command.Status) ? "started" : command.Status;
+            return string.IsNullOrEmpty(command.Message) ? $"Search {status}" : $"Search {status}: {command.Message}";
+        }
+
+        private static string DescribeQueueItem(ServarrQueueItem item)
+        {
+            var state = item.TrackedDownloadState ?? item.Status ?? "queued";
+            if (state == "downloading" && item.Size > 0)
+            {
+                var percent = (int)Math.Round((item.Size - item.Sizeleft) / item.Size * 100);
+                state = $"downloading {Math.Clamp(percent, 0, 100)}%";
+            }
+            return string.IsNullOrEmpty(item.DownloadClient) ? state : $"{state} ({item.DownloadClient})";
+        }
+
+        private static VideoAnalysisHistory? ReadSnapshot(string? json)
+        {
+            if (string.IsNullOrWhiteSpace(json))
+            {
+                return null;
+            }
+
+            try
+            {
+                return JsonSerializer.Deserialize<VideoAnalysisHistory>(json);
+            }
+            catch (JsonException)
+            {
+                return null;
+            }
+        }
+
+        private static RedownloadCaseSummary ToSummary(RedownloadCase redownloadCase, RedownloadSettings settings)
+        {
+            var before = ReadSnapshot(redownloadCase.OldAnalysisJson);
+            var after = ReadSnapshot(redownloadCase.NewAnalysisJson);
+            var isOpen = IsOpen(redownloadCase.Status);
+
+            return new RedownloadCaseSummary
+            {
+                Id = redownloadCase.Id,
+                VideoAnalysisId = redownloadCase.VideoAnalysisId,
+                NewVideoAnalysisId = redownloadCase.NewVideoAnalysisId,
+                ServarrType = redownloadCase.ServarrType,
+                Title = redownloadCase.Title,
+                OldFilePath = redownloadCase.OldFilePath,
+                NewFilePath = redownloadCase.NewFilePath,
+                Status = redownloadCase.Status.ToString(),
+                Verdict = redownloadCase.Verdict?.ToString(),
+                Attempts = redownloadCase.Attempts,
+                MaxAttempts = settings.MaxAttempts,
+                CommandStatus = redownloadCase.CommandStatus,
+                QueueStatus = redownloadCase.QueueStatus,
+                DownloadTitle = redownloadCase.DownloadTitle,
+                Message = redownloadCase.Message,
+                OldRating = before?.CompatibilityRating,
+                OldScore = before?.OverallScore.ToString(),
+                OldIsBroken = before?.IsBroken ?? false,
+                NewRating = after?.CompatibilityRating,
+                NewScore = after?.OverallScore.ToString(),
+                NewIsBroken = after?.IsBroken ?? false,
+                CreatedAt = redownloadCase.CreatedAt,
+                LastSearchAt = redownloadCase.LastSearchAt,
+                WaitUntil = isOpen ? redownloadCase.LastSearchAt.AddHours(settings.WaitHours) : null,
+                GrabbedAt = redownloadCase.GrabbedAt,
+                LastCheckedAt = redownloadCase.LastCheckedAt,
+                CompletedAt = redownloadCase.CompletedAt
+            };
+        }
+    }
+}
@@ -147,6 +147,185 @@ namespace Optimarr.Services
             return report.ToString();
         }
 
+        /// <summary>
+        /// Renders a library report as a single HTML file with inline styles (no external assets),
+        /// so it can be emailed, opened offline or printed to PDF.
+        /// </summary>
+        public string GenerateLibraryReportHtml(LibraryReport libraryReport)
+        {
+            var html = new StringBuilder();
+            var generatedAt = libraryReport.GeneratedAt.ToLocalTime().ToString("yyyy-MM-dd HH:mm");
+
+            html.AppendLine("<!DOCTYPE html>");
+            html.AppendLine("<html lang=\"en\">");
+            html.AppendLine("<head>");
+            html.AppendLine("<meta charset=\"utf-8\">");
+            html.AppendLine($"<title>Optimarr Library Report - {generatedAt}</title>");
+            html.AppendLine("<style>");
+            html.AppendLine(@"body { font-family: -apple-system, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; color: #1f2937; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; line-height: 1.4; }
+h1 { margin-bottom: 0.25rem; }
+h2 { border-bottom: 2px solid #e5e7eb; padding-bottom: 0.25rem; margin-top: 2rem; }
+.meta { color: #6b7280; margin-top: 0; }
+.summary { display: flex; flex-wrap: wrap; gap: 1rem; }
+.summary div { border: 1px solid #e5e7eb; border-radius: 6px; padding: 0.75rem 1rem; min-width: 130px; }
+.summary .value { font-size: 1.5rem; font-weight: 600; }
+.summary .label { color: #6b7280; font-size: 0.85rem; }
+.columns { display: flex; flex-wrap: wrap; gap: 2rem; }
+.columns > section { flex: 1 1 300px; }
+table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+th, td { text-align: left; padding: 0.35rem 0.5rem; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+th { background: #f9fafb; }
+td.num { text-align: right; white-space: nowrap; }
+.bar { background: #e5e7eb; border-radius: 3px; height: 0.8rem; min-width: 120px; }
+.bar span { display: block; height: 100%; border-radius: 3px; background: #6366f1; }
+.Optimal { color: #15803d; } .bar .Optimal { background: #22c55e; }
+.Good { color: #b45309; } .bar .Good { background: #f59e0b; }
+.Poor { color: #b91c1c; } .bar .Poor { background: #ef4444; }
+.path { color: #6b7280; font-size: 0.8rem; word-break: break-all; }
+ul.issues { margin: 0; padding-left: 1.1rem; }
+footer { margin-top: 3rem; color: #6b7280; font-size: 0.8rem; }
+@media print { body { margin: 0; max-width: none; } h2 { break-after: avoid; } tr { break-inside: avoid; } }");
+            html.AppendLine("</style>");
+            html.AppendLine("</head>");
+            html.AppendLine("<body>");
+
+            html.AppendLine("<h1>Library Compatibility Report</h1>");
+            html.AppendLine($"<p class=\"meta\">Generated by Optimarr on {generatedAt}. " +
+                (libraryReport.ProfileName != null ? $"Device profile: {Encode(libraryReport.ProfileName)}. " : "") +
+                $"Optimal: rating {libraryReport.OptimalThreshold}+, Good: {libraryReport.GoodThreshold}-{libraryReport.OptimalThreshold - 1}, Poor: below {libraryReport.GoodThreshold}.</p>");
+
+            // Summary
+            var summary = libraryReport.TopIssues.OptimizationSummary;
+            html.AppendLine("<div class=\"summary\">");
+            AppendSummaryItem(html, libraryReport.TotalVideos.ToString("N0"), "Videos");
+            foreach (var score in libraryReport.ScoreDistribution)
+            {
+                AppendSummaryItem(html, score.Count.ToString("N0"), score.Label, score.Label);
+            }
+            AppendSummaryItem(html, libraryReport.BrokenCount.ToString("N0"), "Broken");
+            AppendSummaryItem(html, $"{summary.OptimizationPotential}%", "Need optimization");
+            AppendSummaryItem(html, FormatFileSize(libraryReport.TotalSize), "Total size");
+            AppendSummaryItem(html, FormatDuration(libraryReport.TotalDuration), "Total duration");
+            html.AppendLine("</div>");
+
+            // Score distribution
+            html.AppendLine("<div class=\"columns\">");
+            html.AppendLine("<section>");
+            html.AppendLine("<h2>Score Distribution</h2>");
+            AppendCountTable(html, "Score", libraryReport.ScoreDistribution, colorByLabel: true);
+            html.AppendLine("</section>");
+            html.AppendLine("<section>");
+            html.AppendLine("<h2>Rating Distribution</h2>");
+            AppendCountTable(html, "Rating", libraryReport.RatingDistribution);
+            html.AppendLine("</section>");
+            html.AppendLine("</div>");
+
+            // Issues
+            html.AppendLine("<h2>Most Common Issues</h2>");
+            if (libraryReport.CommonIssues.Count == 0)
+            {
+                html.AppendLine("<p>No issues found.</p>");
+            }
+            else
+            {
+                AppendCountTable(html, "Issue", libraryReport.CommonIssues);
+            }
+
+            html.AppendLine("<h2>Closest to Optimal</h2>");
+            html.AppendLine("<p class=\"meta\">Good and Poor videos with the highest ratings, where a small change (such as a remux) is most likely to help.</p>");
+            if (libraryReport.TopIssues.Issues.Count == 0)
+            {
+                html.AppendLine("<p>No videos need optimization.</p>");
+            }
+            else
+            {
+                html.AppendLine("<table>");
+                html.AppendLine("<tr><th>File</th><th>Codec</th><th>Container</th><th>Score</th><th>Rating</th></tr>");
+                foreach (var issue in libraryReport.TopIssues.Issues)
+                {
+                    html.AppendLine($"<tr><td>{Encode(issue.FileName)}<div class=\"path\">{Encode(issue.FilePath)}</div></td>" +
+                        $"<td>{Encode(issue.VideoCodec)}{(issue.IsHDR ? " (HDR)" : "")}</td><td>{Encode(issue.Container)}</td>" +
+                        $"<td class=\"{Encode(issue.OverallScore)}\">{Encode(issue.OverallScore)}</td><td class=\"num\">{issue.CompatibilityRating}</td></tr>");
+                }
+                html.AppendLine("</table>");
+            }
+
+            // Breakdowns
+            html.AppendLine("<div class=\"columns\">");
+            html.AppendLine("<section>");
+            html.AppendLine("<h2>Video Codecs</h2>");
+            AppendCountTable(html, "Codec", libraryReport.CodecBreakdown);
+            html.AppendLine("</section>");
+            html.AppendLine("<section>");
+            html.AppendLine("<h2>Containers</h2>");
+            AppendCountTable(html, "Container", libraryReport.ContainerBreakdown);
+            html.AppendLine("</section>");
+            html.AppendLine("</div>");
+
+            // Worst offenders
+            html.AppendLine("<h2>Worst Offenders</h2>");
+            if (libraryReport.WorstOffenders.Count == 0)
+            {
+                html.AppendLine("<p>Every video is Optimal.</p>");
+            }
+            else
+            {
+                html.AppendLine("<table>");
+                html.AppendLine("<tr><th>Rating</th><th>Title</th><th>Video</th><th>Audio</th><th>Subtitles</th><th>Issues</th></tr>");
+                foreach (var video in libraryReport.WorstOffenders)
+                {
+                    var title = video.ServarrTitle != null
+                        ? $"{Encode(video.ServarrTitle)} <span class=\"path\">({Encode(video.ServarrType)})</span>"
+                        : Encode(video.FileName);
+
+                    html.Append($"<tr><td class=\"num {Encode(video.OverallScore)}\">{video.CompatibilityRating}</td>");
+                    html.Append($"<td>{title}<div class=\"path\">{Encode(video.FilePath)}</div></td>");
+                    html.Append($"<td>{Encode(video.VideoCodec)}{(video.IsHDR ? " (HDR)" : "")} / {Encode(video.Container)}</td>");
+                    html.Append($"<td>{Encode(video.AudioCodecs)}</td><td>{Encode(video.SubtitleFormats)}</td>");
+                    html.Append("<td><ul class=\"issues\">");
+                    foreach (var issue in video.Issues)
+                    {
+                        html.Append($"<li>{Encode(issue)}</li>");
+                    }
+                    html.AppendLine("</ul></td></tr>");
+                }
+                html.AppendLine("</table>");
+            }
+
+            html.AppendLine("<footer>Report generated by Optimarr. Client codec support: https://jellyfin.org/docs/general/clients/codec-support/</footer>");
+            html.AppendLine("</body>");
+            html.AppendLine("</html>");
+
+            return html.ToString();
+        }
+
+        private static void AppendSummaryItem(StringBuilder html, string value, string label, string? cssClass = null)
+        {
+            var classAttribute = cssClass != null ? $" class=\"value {Encode(cssClass)}\"" : " class=\"value\"";
+            html.AppendLine($"<div><div{classAttribute}>{Encode(value)}</div><div class=\"label\">{Encode(label)}</div></div>");
+        }
+
+        // Table of label/count rows with a proportional bar
+        private static void AppendCountTable(StringBuilder html, string labelHeader, List<ReportCount> counts, bool colorByLabel = false)
+        {
+            var total = counts.Sum(c => c.Count);
+            var max = counts.Count > 0 ? counts.Max(c => c.Count) : 0;
+
+            html.AppendLine("<table>");
+            html.AppendLine($"<tr><th>{Encode(labelHeader)}</th><th>Videos</th><th>%</th><th></th></tr>");
+            foreach (var count in counts)
+            {
+                var percent = total > 0 ? count.Count * 100.0 / total : 0;
+                var width = max > 0 ? count.Count * 100.0 / max : 0;
+                var barClass = colorByLabel ? $" class=\"{Encode(count.Label)}\"" : "";
+                html.AppendLine($"<tr><td>{Encode(count.Label)}</td><td class=\"num\">{count.Count:N0}</td><td class=\"num\">{percent:0.#}%</td>" +
+                    $"<td><div class=\"bar\"><span{barClass} style=\"width: {width.ToString("0.#", System.Globalization.CultureInfo.InvariantCulture)}%\"></span></div></td></tr>");
+            }
+            html.AppendLine("</table>");
+        }
+
+        private static string Encode(string? value) => System.Net.WebUtility.HtmlEncode(value ?? string.Empty);
+
         private string FormatFileSize(long bytes)
         {
             string[] sizes = { "B", "KB", "MB", "GB", "TB" };
@@ -0,0 +1,126 @@
+using Microsoft.EntityFrameworkCore;
+using Optimarr.Data;
+using Optimarr.Models;
+
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// Runs the per-library scan schedules (LibraryScanSchedules). Every minute, schedules whose NextRunAt
+    /// has passed start an incremental scan: new files are analyzed, existing ones only when their size or
+    /// modification time changed. Each run is recorded in ScheduledScanRuns.
+    ///
+    /// Schedules are evaluated in the server's local time zone. A run that was missed while Optimarr was
+    /// stopped happens once at startup, not once per missed occurrence.
+    /// </summary>
+    public class ScheduledScanService : BackgroundService
+    {
+        private static readonly TimeSpan CheckInterval = TimeSpan.FromMinutes(1);
+
+        private readonly IServiceScopeFactory _scopeFactory;
+        private readonly ILogger<ScheduledScanService> _logger;
+
+        public ScheduledScanService(IServiceScopeFactory scopeFactory, ILogger<ScheduledScanService> logger)
+        {
+            _scopeFactory = scopeFactory;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Next run time in UTC for a cron expression, or null if it is invalid or never matches
+        /// </summary>
+        private static DateTime? GetNextRunTime(string cronExpression, DateTime afterUtc)
+        {
+            return CronSchedule.TryParse(cronExpression, out var schedule, out _)
+                ? schedule!.GetNextOccurrence(afterUtc, TimeZoneInfo.Local)
+                : null;
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            _logger.LogInformation("Scheduled scan service started");
+
+            while (!stoppingToken.IsCancellationRequested)
+            {
+                try
+                {
+                    await RunDueSchedulesAsync(stoppingToken);
+                }
+                catch (Exception ex) when (ex is not OperationCanceledException)
+                {
+                    _logger.LogError(ex, "Error running scheduled scans");
+                }
+
+                await Task.Delay(CheckInterval, stoppingToken);
+            }
+        }
+
+        private async Task RunDueSchedulesAsync(CancellationToken cancellationToken)
+        {
+            using var scope = _scopeFactory.CreateScope();
+            var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+            var scannerService = scope.ServiceProvider.GetRequiredService<LibraryScannerService>();
+
+            var now = DateTime.UtcNow;
+            var dueSchedules = await dbContext.LibraryScanSchedules
+                .Include(s => s.LibraryPath)
+                .Where(s => s.IsEnabled && s.NextRunAt != null && s.NextRunAt <= now)
+                .ToListAsync(cancellationToken);
+
+            foreach (var schedule in dueSchedules)
+            {
+                var libraryPath = schedule.LibraryPath;
+                if (libraryPath == null)
+                {
+                    continue;
+                }
+
+                var run = new ScheduledScanRun
+                {
+                    LibraryPathId = libraryPath.Id,
+                    ScheduledFor = schedule.NextRunAt!.Value,
+                    StartedAt = DateTime.UtcNow
+                };
+
+                var scanInProgress = await dbContext.LibraryScans
+                    .AnyAsync(s => s.LibraryPath == libraryPath.Path && (s.Status == ScanStatus.Running || s.Status == ScanStatus.Pending), cancellationToken);
+
+                if (!libraryPath.IsActive)
+                {
+                    run.Status = ScheduledScanRunStatus.Skipped;
+                    run.Message = "Library is not active";
+                }
+                else if (scanInProgress)
+                {
+                    run.Status = ScheduledScanRunStatus.Skipped;
+                    run.Message = "A scan of this library was already running";
+                }
+                else
+                {
+                    try
+                    {
+                        _logger.LogInformation("Starting scheduled scan for library {Name} ({Path})", libraryPath.Name, libraryPath.Path);
+                        var scan = await scannerService.StartScanAsync(libraryPath.Path, libraryPath.Name, libraryPath.Category, reanalyzeChanged: true);
+                        run.LibraryScanId = scan.Id;
+                        schedule.LastScanId = scan.Id;
+                    }
+                    catch (Exception ex)
+                    {
+                        _logger.LogError(ex, "Error starting scheduled scan for library {Path}", libraryPath.Path);
+                        run.Status = ScheduledScanRunStatus.Failed;
+                        run.Message = ex.Message;
+                    }
+                }
+
+                if (run.Status == ScheduledScanRunStatus.Skipped)
+                {
+                    _logger.LogInformation("Skipped scheduled scan for library {Path}: {Reason}", libraryPath.Path, run.Message);
+                }
+
+                schedule.LastRunAt = run.StartedAt;
+                schedule.NextRunAt = GetNextRunTime(schedule.CronExpression, DateTime.UtcNow);
+                dbContext.ScheduledScanRuns.Add(run);
+                await dbContext.SaveChangesAsync(cancellationToken);
+            }
+        }
+    }
+}
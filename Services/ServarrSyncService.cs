@@ -396,7 +396,31 @@ namespace Optimarr.Services
             return path.Replace('\\', '/').TrimEnd('/').ToLowerInvariant();
         }
 
-        private string MapPath(string path, string servarrType)
+        /// <summary>
+        /// The library a mapped file path is in (the deepest one when libraries are nested), or null
+        /// </summary>
+        public async Task<LibraryPath?> FindLibraryPathAsync(string filePath)
+        {
+            var libraryPaths = await _dbContext.LibraryPaths.AsNoTracking().ToListAsync();
+            return libraryPaths
+                .Where(l => filePath.StartsWith(l.Path.TrimEnd('/', '\\') + GetSeparator(l.Path)))
+                .OrderByDescending(l => l.Path.Length)
+                .FirstOrDefault();
+        }
+
+        // Mapped paths keep the separators of the path mapping (e.g. /media on a Windows host), not the OS ones
+        public static char GetSeparator(string path)
+        {
+            if (path.Contains('/')) return '/';
+            if (path.Contains('\\')) return '\\';
+            return Path.DirectorySeparatorChar;
+        }
+
+        /// <summary>
+        /// Translates a path as Sonarr/Radarr see it into the path Optimarr sees, using the configured
+        /// path mappings (longest match first). Returns the path unchanged when no mapping applies.
+        /// </summary>
+        public string MapPath(string path, string servarrType)
         {
             if (string.IsNullOrEmpty(path)) return path;
 
@@ -418,19 +442,18 @@ namespace Optimarr.Services
                 // Check if path starts with the "from" path (with or without trailing slash)
                 if (normalizedPath == normalizedFrom || normalizedPath.StartsWith(normalizedFrom + "/"))
                 {
-                    // Replace the "from" part with the "to" part
-                    var remainingPath = normalizedPath.Length > normalizedFrom.Length 
-                        ? normalizedPath.Substring(normalizedFrom.Length) 
+                    // Replace the "from" part with the "to" part, keeping the case of both: file names
+                    // are case-sensitive on Linux
+                    var separatedPath = path.Replace('\\', '/').TrimEnd('/');
+                    var remainingPath = separatedPath.Length > normalizedFrom.Length 
+                        ? separatedPath.Substring(normalizedFrom.Length) 
                         : "";
                     
-                    var normalizedTo = NormalizePath(mapping.To);
-                    var mappedPath = normalizedTo + remainingPath;
+                    var mappedPath = mapping.To.Replace('\\', '/').TrimEnd('/') + remainingPath;
                     
-                    // Preserve original path format (case, trailing slash)
+                    // Preserve original path format (trailing slash)
                     if (path.EndsWith('/') && !mappedPath.EndsWith('/'))
                         mappedPath += '/';
-                    else if (!path.EndsWith('/') && mappedPath.EndsWith('/'))
-                        mappedPath = mappedPath.TrimEnd('/');
                     
                     _logger.LogDebug("Mapped path: {Original} -> {Mapped}", path, mappedPath);
                     return mappedPath;
@@ -0,0 +1,306 @@
+using System.Text.Json;
+using Microsoft.EntityFrameworkCore;
+using Optimarr.Data;
+using Optimarr.Models;
+
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// Applies Sonarr/Radarr Connect webhooks to the library: imported and upgraded files are analyzed
+    /// right away and linked to their series/episode or movie, renames move the analysis, and deleted
+    /// files lose theirs. Paths go through the Servarr path mappings first.
+    /// </summary>
+    public class ServarrWebhookService
+    {
+        private static readonly JsonSerializerOptions PayloadJsonOptions = new() { PropertyNameCaseInsensitive = true };
+
+        private readonly AppDbContext _dbContext;
+        private readonly LibraryScannerService _scannerService;
+        private readonly ServarrSyncService _servarrSyncService;
+        private readonly RedownloadService _redownloadService;
+        private readonly ILogger<ServarrWebhookService> _logger;
+
+        public ServarrWebhookService(
+            AppDbContext dbContext,
+            LibraryScannerService scannerService,
+            ServarrSyncService servarrSyncService,
+            RedownloadService redownloadService,
+            ILogger<ServarrWebhookService> logger)
+        {
+            _dbContext = dbContext;
+            _scannerService = scannerService;
+            _servarrSyncService = servarrSyncService;
+            _redownloadService = redownloadService;
+            _logger = logger;
+        }
+
+        public async Task<ServarrWebhookResult> HandleSonarrAsync(SonarrWebhookPayload payload)
+        {
+            var result = new ServarrWebhookResult { EventType = payload.EventType };
+
+            switch (payload.EventType)
+            {
+                case "Download":
+                    await RemoveFilesAsync(GetReplacedFiles(payload.DeletedFiles, payload.EpisodeFile), "Sonarr", result);
+                    if (payload.EpisodeFile?.Path is { Length: > 0 } importedPath)
+                    {
+                        await ImportFileAsync(importedPath, "Sonarr", video => AttachSonarr(video, payload), result);
+                    }
+                    break;
+
+                case "Rename":
+                    foreach (var file in payload.RenamedEpisodeFiles)
+                    {
+                        await RenameFileAsync(file, "Sonarr", video => AttachSonarr(video, payload), result);
+                    }
+                    break;
+
+                case "EpisodeFileDelete":
+                    // Upgrades also send a file delete, often for the imported file's own path; the
+                    // Download event's deletedFiles already covers the replaced files
+                    if (IsUpgradeDelete(payload.DeleteReason))
+                    {
+                        result.Files.Add(new ServarrWebhookFileResult
+                        {
+                            FilePath = payload.EpisodeFile?.Path is { Length: > 0 } deletedPath ? _servarrSyncService.MapPath(deletedPath, "Sonarr") : string.Empty,
+                            Action = "skipped",
+                            Message = "Deleted for an upgrade, handled by the import"
+                        });
+                    }
+                    else if (payload.EpisodeFile != null)
+                    {
+                        await RemoveFilesAsync(new List<ServarrWebhookFile> { payload.EpisodeFile }, "Sonarr", result);
+                    }
+                    break;
+
+                case "SeriesDelete":
+                    // Without deleted files the series folder is still on disk, so keep its analyses
+                    if (payload.DeletedFiles.ValueKind == JsonValueKind.True && payload.Series?.Path is { Length: > 0 } seriesPath)
+                    {
+                        await RemoveFolderAsync(seriesPath, "Sonarr", result);
+                    }
+                    break;
+            }
+
+            return result;
+        }
+
+        public async Task<ServarrWebhookResult> HandleRadarrAsync(RadarrWebhookPayload payload)
+        {
+            var result = new ServarrWebhookResult { EventType = payload.EventType };
+
+            switch (payload.EventType)
+            {
+                case "Download":
+                    await RemoveFilesAsync(GetReplacedFiles(payload.DeletedFiles, payload.MovieFile), "Radarr", result);
+                    if (payload.MovieFile?.Path is { Length: > 0 } importedPath)
+                    {
+                        await ImportFileAsync(importedPath, "Radarr", video => AttachRadarr(video, payload), result);
+                    }
+                    break;
+
+                case "Rename":
+                    foreach (var file in payload.RenamedMovieFiles)
+                    {
+                        await RenameFileAsync(file, "Radarr", video => AttachRadarr(video, payload), result);
+                    }
+                    break;
+
+                case "MovieFileDelete":
+                    // Upgrades also send a file delete, often for the imported file's own path; the
+                    // Download event's deletedFiles already covers the replaced files
+                    if (IsUpgradeDelete(payload.DeleteReason))
+                    {
+                        result.Files.Add(new ServarrWebhookFileResult
+                        {
+                            FilePath = payload.MovieFile?.Path is { Length: > 0 } deletedPath ? _servarrSyncService.MapPath(deletedPath, "Radarr") : string.Empty,
+                            Action = "skipped",
+                            Message = "Deleted for an upgrade, handled by the import"
+                        });
+                    }
+                    else if (payload.MovieFile != null)
+                    {
+                        await RemoveFilesAsync(new List<ServarrWebhookFile> { payload.MovieFile }, "Radarr", result);
+                    }
+                    break;
+
+                case "MovieDelete":
+                    if (payload.DeletedFiles.ValueKind == JsonValueKind.True && payload.Movie?.FolderPath is { Length: > 0 } folderPath)
+                    {
+                        await RemoveFolderAsync(folderPath, "Radarr", result);
+                    }
+                    break;
+            }
+
+            return result;
+        }
+
+        private async Task ImportFileAsync(string servarrPath, string servarrType, Action<VideoAnalysis> attach, ServarrWebhookResult result)
+        {
+            var filePath = _servarrSyncService.MapPath(servarrPath, servarrType);
+            var fileResult = new ServarrWebhookFileResult { FilePath = filePath };
+            result.Files.Add(fileResult);
+
+            if (!File.Exists(filePath))
+            {
+                _logger.LogWarning("{ServarrType} webhook file not found: {FilePath} (reported as {ServarrPath})", servarrType, filePath, servarrPath);
+                fileResult.Action = "skipped";
+                fileResult.Message = servarrPath == filePath
+                    ? "File not found. Check the path mappings in Settings"
+                    : $"File not found (mapped from {servarrPath})";
+                return;
+            }
+
+            var libraryPath = await _servarrSyncService.FindLibraryPathAsync(filePath);
+            if (libraryPath == null)
+            {
+                fileResult.Action = "skipped";
+                fileResult.Message = "File is not inside a library";
+                return;
+            }
+
+            var scanId = await _scannerService.GetLibraryScanIdAsync(libraryPath.Path);
+            await _scannerService.AnalyzeFileAsync(filePath, scanId);
+
+            var video = await _dbContext.VideoAnalyses.FirstOrDefaultAsync(v => v.FilePath == filePath);
+            if (video == null)
+            {
+                fileResult.Action = "skipped";
+                fileResult.Message = "Analysis was not stored";
+                return;
+            }
+            _logger.LogInformation("Analyzed {ServarrType} import {FilePath} (video ID {VideoId})", servarrType, filePath, video.Id);
+
+            attach(video);
+            await _dbContext.SaveChangesAsync();
+
+            fileResult.Action = "analyzed";
+            fileResult.VideoId = video.Id;
+
+            // A redownload waiting for this file is verified right away
+            _redownloadService.RequestCheck();
+        }
+
+        private async Task RenameFileAsync(ServarrWebhookFile file, string servarrType, Action<VideoAnalysis> attach, ServarrWebhookResult result)
+        {
+            if (string.IsNullOrEmpty(file.Path))
+            {
+                return;
+            }
+
+            var filePath = _servarrSyncService.MapPath(file.Path, servarrType);
+            var previousPath = string.IsNullOrEmpty(file.PreviousPath) ? null : _servarrSyncService.MapPath(file.PreviousPath, servarrType);
+
+            // A watched library may already have picked up the new name
+            var video = await _dbContext.VideoAnalyses.FirstOrDefaultAsync(v => v.FilePath == filePath)
+                ?? (previousPath == null ? null : await _dbContext.VideoAnalyses.FirstOrDefaultAsync(v => v.FilePath == previousPath));
+            if (video == null)
+            {
+                await ImportFileAsync(file.Path, servarrType, attach, result);
+                return;
+            }
+
+            // Same file under a new name: keep the analysis and playback links
+            video.FilePath = filePath;
+            video.FileName = Path.GetFileName(filePath);
+            attach(video);
+            await _dbContext.SaveChangesAsync();
+
+            result.Files.Add(new ServarrWebhookFileResult
+            {
+                FilePath = filePath,
+                Action = "renamed",
+                VideoId = video.Id,
+                Message = previousPath == null ? null : $"Was {previousPath}"
+            });
+        }
+
+        private async Task RemoveFilesAsync(List<ServarrWebhookFile> files, string servarrType, ServarrWebhookResult result)
+        {
+            foreach (var file in files.Where(f => !string.IsNullOrEmpty(f.Path)))
+            {
+                var filePath = _servarrSyncService.MapPath(file.Path!, servarrType);
+                var analyses = await _dbContext.VideoAnalyses.Where(v => v.FilePath == filePath).ToListAsync();
+                _dbContext.VideoAnalyses.RemoveRange(analyses);
+
+                result.Files.Add(new ServarrWebhookFileResult
+                {
+                    FilePath = filePath,
+                    Action = analyses.Count > 0 ? "removed" : "skipped",
+                    Message = analyses.Count > 0 ? null : "Not analyzed"
+                });
+            }
+
+            await _dbContext.SaveChangesAsync();
+        }
+
+        private async Task RemoveFolderAsync(string servarrPath, string servarrType, ServarrWebhookResult result)
+        {
+            var folderPath = _servarrSyncService.MapPath(servarrPath, servarrType).TrimEnd('/', '\\');
+            var folderPrefix = folderPath + ServarrSyncService.GetSeparator(folderPath);
+
+            var analyses = await _dbContext.VideoAnalyses.Where(v => v.FilePath.StartsWith(folderPrefix)).ToListAsync();
+            _dbContext.VideoAnalyses.RemoveRange(analyses);
+            await _dbContext.SaveChangesAsync();
+
+            result.Files.AddRange(analyses.Select(v => new ServarrWebhookFileResult { FilePath = v.FilePath, Action = "removed" }));
+        }
+
+        private static bool IsUpgradeDelete(string? deleteReason)
+        {
+            return string.Equals(deleteReason, "upgrade", StringComparison.OrdinalIgnoreCase);
+        }
+
+        // Files an upgrade replaced. One with the imported file's own path is re-analyzed instead, keeping its playback links.
+        private static List<ServarrWebhookFile> GetReplacedFiles(JsonElement deletedFiles, ServarrWebhookFile? importedFile)
+        {
+            if (deletedFiles.ValueKind != JsonValueKind.Array)
+            {
+                return new List<ServarrWebhookFile>();
+            }
+
+            var files = deletedFiles.Deserialize<List<ServarrWebhookFile>>(PayloadJsonOptions) ?? new List<ServarrWebhookFile>();
+            return files.Where(f => f.Path != importedFile?.Path).ToList();
+        }
+
+        // Same fields as VideoServarrMatcherService sets after a match-videos run
+        private static void AttachSonarr(VideoAnalysis video, SonarrWebhookPayload payload)
+        {
+            var episode = payload.Episodes.OrderBy(e => e.SeasonNumber).ThenBy(e => e.EpisodeNumber).FirstOrDefault();
+            if (payload.Series == null || episode == null)
+            {
+                return;
+            }
+
+            video.ServarrType = "Sonarr";
+            video.SonarrSeriesId = payload.Series.Id;
+            video.SonarrSeriesTitle = payload.Series.Title;
+            video.SonarrEpisodeId = episode.Id;
+            video.SonarrEpisodeNumber = episode.EpisodeNumber;
+            video.SonarrSeasonNumber = episode.SeasonNumber;
+            video.RadarrMovieId = null;
+            video.RadarrMovieTitle = null;
+            video.RadarrYear = null;
+            video.ServarrMatchedAt = DateTime.UtcNow;
+        }
+
+        private static void AttachRadarr(VideoAnalysis video, RadarrWebhookPayload payload)
+        {
+            if (payload.Movie == null)
+            {
+                return;
+            }
+
+            video.ServarrType = "Radarr";
+            video.RadarrMovieId = payload.Movie.Id;
+            video.RadarrMovieTitle = payload.Movie.Title;
+            video.RadarrYear = payload.Movie.Year;
+            video.SonarrSeriesId = null;
+            video.SonarrSeriesTitle = null;
+            video.SonarrEpisodeId = null;
+            video.SonarrEpisodeNumber = null;
+            video.SonarrSeasonNumber = null;
+            video.ServarrMatchedAt = DateTime.UtcNow;
+        }
+    }
+}
@@ -0,0 +1,472 @@
+using System.Reflection;
+using System.Text.Json;
+using System.Text.Json.Nodes;
+using Optimarr.Models;
+
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// Exports, validates and restores the settings stored in appsettings.json as one versioned bundle.
+    ///
+    /// Restore works per section: "merge" writes the bundle's values over the current ones and keeps the rest,
+    /// "replace" swaps the section for the bundle's. Either way, secrets missing from the bundle (exported
+    /// without secrets) keep their current values, and child sections that are their own bundle section
+    /// (e.g. Sonarr path mappings) are left alone.
+    /// </summary>
+    public class SettingsBackupService
+    {
+        public const string BundleFormat = "optimarr-settings";
+        public const int CurrentVersion = 1;
+        public const string BrowserSectionKey = "browser";
+
+        private enum SectionKind
+        {
+            Object,
+            PropertyMap, // Categories of value → supported flags (media properties)
+            PathMappings,
+            Browser
+        }
+
+        private record SectionDefinition(string Key, string Label, string[] ConfigPath, SectionKind Kind, string[] ExcludedChildren, string[] SecretKeys);
+
+        private static readonly string[] MediaPropertyCategories = { "VideoCodecs", "AudioCodecs", "Containers", "SubtitleFormats", "BitDepths" };
+
+        private static readonly SectionDefinition[] Sections =
+        {
+            new("mediaProperties", "Media Properties", new[] { "MediaPropertySettings" }, SectionKind.PropertyMap, new[] { "RatingWeights", "RatingThresholds" }, Array.Empty<string>()),
+            new("ratingWeights", "Rating Weights", new[] { "MediaPropertySettings", "RatingWeights" }, SectionKind.Object, Array.Empty<string>(), Array.Empty<string>()),
+            new("ratingThresholds", "Rating Thresholds", new[] { "MediaPropertySettings", "RatingThresholds" }, SectionKind.Object, Array.Empty<string>(), Array.Empty<string>()),
+            new("jellyfin", "Jellyfin", new[] { "Jellyfin" }, SectionKind.Object, Array.Empty<string>(), new[] { "ApiKey", "Password" }),
+            new("sonarr", "Sonarr", new[] { "Servarr", "Sonarr" }, SectionKind.Object, new[] { "PathMappings" }, new[] { "ApiKey", "BasicAuthPassword" }),
+            new("sonarrPathMappings", "Sonarr Path Mappings", new[] { "Servarr", "Sonarr", "PathMappings" }, SectionKind.PathMappings, Array.Empty<string>(), Array.Empty<string>()),
+            new("radarr", "Radarr", new[] { "Servarr", "Radarr" }, SectionKind.Object, new[] { "PathMappings" }, new[] { "ApiKey", "BasicAuthPassword" }),
+            new("radarrPathMappings", "Radarr Path Mappings", new[] { "Servarr", "Radarr", "PathMappings" }, SectionKind.PathMappings, Array.Empty<string>(), Array.Empty<string>()),
+            new(BrowserSectionKey, "Browser Settings Copy", Array.Empty<string>(), SectionKind.Browser, Array.Empty<string>(), Array.Empty<string>())
+        };
+
+        // Known setting types; other keys found in the configuration are carried along unchecked
+        private static readonly Dictionary<string, JsonValueKind> ConnectionSettingKinds = new()
+        {
+            ["BaseUrl"] = JsonValueKind.String,
+            ["ApiKey"] = JsonValueKind.String,
+            ["Username"] = JsonValueKind.String,
+            ["Password"] = JsonValueKind.String,
+            ["BasicAuthUsername"] = JsonValueKind.String,
+            ["BasicAuthPassword"] = JsonValueKind.String,
+            ["Enabled"] = JsonValueKind.True
+        };
+
+        private readonly IConfiguration _configuration;
+        private readonly AppSettingsFileService _appSettingsFile;
+        private readonly ILogger<SettingsBackupService> _logger;
+
+        public SettingsBackupService(IConfiguration configuration, AppSettingsFileService appSettingsFile, ILogger<SettingsBackupService> logger)
+        {
+            _configuration = configuration;
+            _appSettingsFile = appSettingsFile;
+            _logger = logger;
+        }
+
+        public static bool IsRatingSection(string key) => key is "mediaProperties" or "ratingWeights" or "ratingThresholds";
+
+        /// <summary>
+        /// Builds a bundle of the current settings. Rating settings are the effective ones (defaults included);
+        /// connection settings and path mappings are copied from appsettings.json.
+        /// </summary>
+        public async Task<SettingsBackup> ExportAsync(bool includeSecrets)
+        {
+            var root = await _appSettingsFile.ReadAsync();
+            var ratingService = new MediaPropertyRatingService(_configuration, _logger);
+
+            var bundle = new SettingsBackup
+            {
+                Format = BundleFormat,
+                Version = CurrentVersion,
+                ExportedAt = DateTime.UtcNow,
+                AppVersion = Assembly.GetExecutingAssembly().GetName().Version?.ToString(),
+                IncludesSecrets = includeSecrets
+            };
+
+            foreach (var section in Sections)
+            {
+                JsonNode? node = section.Key switch
+                {
+                    "mediaProperties" => JsonSerializer.SerializeToNode(ratingService.LoadMediaPropertySettings()),
+                    "ratingWeights" => JsonSerializer.SerializeToNode(ratingService.LoadRatingWeights()),
+                    "ratingThresholds" => JsonSerializer.SerializeToNode(ratingService.LoadRatingThresholds()),
+                    _ => GetNode(root, section.ConfigPath)?.DeepClone()
+                };
+
+                if (node == null || section.Kind == SectionKind.Browser) continue;
+
+                if (node is JsonObject obj)
+                {
+                    foreach (var child in section.ExcludedChildren)
+                    {
+                        obj.Remove(child);
+                    }
+                    if (!includeSecrets)
+                    {
+                        foreach (var secret in section.SecretKeys)
+                        {
+                            obj.Remove(secret);
+                        }
+                    }
+                }
+
+                bundle.Sections[section.Key] = node;
+            }
+
+            return bundle;
+        }
+
+        /// <summary>
+        /// Checks the bundle's format, version and every section's shape
+        /// </summary>
+        public SettingsBackupValidation Validate(SettingsBackup? bundle)
+        {
+            var result = new SettingsBackupValidation();
+            if (bundle == null)
+            {
+                result.Errors.Add("The file is not a settings backup");
+                return result;
+            }
+
+            result.Version = bundle.Version;
+            result.ExportedAt = bundle.ExportedAt;
+            result.AppVersion = bundle.AppVersion;
+            result.IncludesSecrets = bundle.IncludesSecrets;
+
+            if (bundle.Format != BundleFormat)
+            {
+                result.Errors.Add($"Unknown format \"{bundle.Format}\" (expected \"{BundleFormat}\")");
+                return result;
+            }
+            if (bundle.Version < 1 || bundle.Version > CurrentVersion)
+            {
+                result.Errors.Add(bundle.Version > CurrentVersion
+                    ? $"Backup version {bundle.Version} was made by a newer version of Optimarr (this one reads up to {CurrentVersion})"
+                    : $"Invalid backup version {bundle.Version}");
+                return result;
+            }
+            if (bundle.Sections.Count == 0)
+            {
+                result.Errors.Add("The backup contains no sections");
+            }
+
+            foreach (var (key, node) in bundle.Sections)
+            {
+                var section = Sections.FirstOrDefault(s => s.Key == key);
+                if (section == null)
+                {
+                    result.Errors.Add($"Unknown section \"{key}\"");
+                    continue;
+                }
+
+                var errorCount = result.Errors.Count;
+                ValidateSection(section, node, result.Errors);
+                if (result.Errors.Count == errorCount)
+                {
+                    result.Sections.Add(new SettingsBackupSectionInfo
+                    {
+                        Key = section.Key,
+                        Label = section.Label,
+                        HasSecrets = section.SecretKeys.Length > 0
+                    });
+                }
+            }
+
+            // Keep the definition order so the restore list reads like the Settings tab
+            result.Sections = result.Sections
+                .OrderBy(s => Array.FindIndex(Sections, d => d.Key == s.Key))
+                .ToList();
+            result.Valid = result.Errors.Count == 0;
+            return result;
+        }
+
+        /// <summary>
+        /// Restores the chosen sections into appsettings.json and reloads the configuration. Modes are "merge",
+        /// "replace" or "skip"; sections without a mode are skipped. The browser section is never written here.
+        /// Throws InvalidOperationException when the bundle is invalid or the result would be.
+        /// </summary>
+        public async Task<SettingsRestoreResult> RestoreAsync(SettingsBackup bundle, Dictionary<string, string> modes)
+        {
+            var validation = Validate(bundle);
+            if (!validation.Valid)
+            {
+                throw new InvalidOperationException(string.Join("; ", validation.Errors));
+            }
+
+            var result = new SettingsRestoreResult();
+            // Applied to the file under its lock, so a settings save at the same time is not lost
+            await _appSettingsFile.UpdateAsync(root =>
+            {
+                foreach (var section in Sections.Where(s => bundle.Sections.ContainsKey(s.Key)))
+                {
+                    var mode = modes.FirstOrDefault(m => m.Key.Equals(section.Key, StringComparison.OrdinalIgnoreCase)).Value?.ToLowerInvariant() ?? "skip";
+                    if (section.Kind == SectionKind.Browser || mode == "skip")
+                    {
+                        result.Skipped.Add(section.Key);
+                        continue;
+                    }
+                    if (mode != "merge" && mode != "replace")
+                    {
+                        throw new InvalidOperationException($"Unknown restore mode \"{mode}\" for section \"{section.Key}\"");
+                    }
+
+                    var incoming = bundle.Sections[section.Key]!.DeepClone();
+                    var current = GetNode(root, section.ConfigPath);
+                    var restored = mode == "replace"
+                        ? Replace(section, current, incoming)
+                        : Merge(section, current, incoming);
+                    SetNode(root, section.ConfigPath, restored);
+
+                    (mode == "replace" ? result.Replaced : result.Merged).Add(section.Key);
+                    if (IsRatingSection(section.Key))
+                    {
+                        result.RatingSettingsChanged = true;
+                    }
+                }
+
+                // Merging thresholds separately can still cross them over
+                if (GetNode(root, new[] { "MediaPropertySettings", "RatingThresholds" }) is JsonObject thresholds
+                    && TryGetInt(thresholds["Optimal"], out var optimal)
+                    && TryGetInt(thresholds["Good"], out var good)
+                    && optimal < good)
+                {
+                    throw new InvalidOperationException("The restored Optimal threshold would be below the Good threshold");
+                }
+
+                return result.Merged.Count + result.Replaced.Count > 0;
+            });
+
+            if (result.Merged.Count + result.Replaced.Count > 0)
+            {
+                _logger.LogInformation("Restored settings backup: merged {Merged}, replaced {Replaced}",
+                    string.Join(", ", result.Merged), string.Join(", ", result.Replaced));
+            }
+
+            return result;
+        }
+
+        private static JsonNode Replace(SectionDefinition section, JsonNode? current, JsonNode incoming)
+        {
+            if (incoming is JsonObject incomingObject && current is JsonObject currentObject)
+            {
+                // Children restored as their own section, and secrets left out of the bundle, stay as they are
+                foreach (var key in section.ExcludedChildren.Concat(section.SecretKeys))
+                {
+                    if (!incomingObject.ContainsKey(key) && currentObject[key] != null)
+                    {
+                        incomingObject[key] = currentObject[key]!.DeepClone();
+                    }
+                }
+            }
+            return incoming;
+        }
+
+        private static JsonNode Merge(SectionDefinition section, JsonNode? current, JsonNode incoming)
+        {
+            switch (section.Kind)
+            {
+                case SectionKind.PathMappings:
+                {
+                    // Mappings are keyed by their From path; the bundle wins on conflicts
+                    var merged = new JsonArray();
+                    var incomingMappings = (JsonArray)incoming;
+                    var incomingFrom = incomingMappings.Select(m => m?["From"]?.GetValue<string>()).ToHashSet(StringComparer.Ordinal);
+                    if (current is JsonArray currentMappings)
+                    {
+                        foreach (var mapping in currentMappings)
+                        {
+                            var from = mapping?["From"]?.GetValueKind() == JsonValueKind.String ? mapping["From"]!.GetValue<string>() : null;
+                            if (mapping != null && !incomingFrom.Contains(from))
+                            {
+                                merged.Add(mapping.DeepClone());
+                            }
+                        }
+                    }
+                    foreach (var mapping in incomingMappings)
+                    {
+                        merged.Add(mapping!.DeepClone());
+                    }
+                    return merged;
+                }
+
+                case SectionKind.PropertyMap:
+                {
+                    var merged = current is JsonObject currentObject ? (JsonObject)currentObject.DeepClone() : new JsonObject();
+                    foreach (var (category, values) in (JsonObject)incoming)
+                    {
+                        if (merged[category] is not JsonObject mergedValues)
+                        {
+                            mergedValues = new JsonObject();
+                            merged[category] = mergedValues;
+                        }
+                        foreach (var (key, value) in (JsonObject)values!)
+                        {
+                            mergedValues[key] = value?.DeepClone();
+                        }
+                    }
+                    return merged;
+                }
+
+                default:
+                {
+                    var merged = current is JsonObject currentObject ? (JsonObject)currentObject.DeepClone() : new JsonObject();
+                    foreach (var (key, value) in (JsonObject)incoming)
+                    {
+                        merged[key] = value?.DeepClone();
+                    }
+                    return merged;
+                }
+            }
+        }
+
+        private static void ValidateSection(SectionDefinition section, JsonNode? node, List<string> errors)
+        {
+            var label = section.Label;
+            switch (section.Kind)
+            {
+                case SectionKind.PropertyMap:
+                    if (node is not JsonObject categories)
+                    {
+                        errors.Add($"{label}: expected an object");
+                        return;
+                    }
+                    foreach (var (category, categoryValues) in categories)
+                    {
+                        if (!MediaPropertyCategories.Contains(category))
+                        {
+                            errors.Add($"{label}: unknown category \"{category}\"");
+                        }
+                        else if (categoryValues is not JsonObject valueMap)
+                        {
+                            errors.Add($"{label}: {category} must be an object of true/false values");
+                        }
+                        else
+                        {
+                            foreach (var (value, supported) in valueMap)
+                            {
+                                if (supported?.GetValueKind() is not (JsonValueKind.True or JsonValueKind.False))
+                                {
+                                    errors.Add($"{label}: {category}.{value} must be true or false");
+                                }
+                            }
+                        }
+                    }
+                    break;
+
+                case SectionKind.PathMappings:
+                    if (node is not JsonArray mappings)
+                    {
+                        errors.Add($"{label}: expected a list");
+                        return;
+                    }
+                    for (var i = 0; i < mappings.Count; i++)
+                    {
+                        if (mappings[i] is not JsonObject mapping
+                            || mapping["From"]?.GetValueKind() != JsonValueKind.String
+                            || mapping["To"]?.GetValueKind() != JsonValueKind.String
+                            || string.IsNullOrWhiteSpace(mapping["From"]!.GetValue<string>())
+                            || string.IsNullOrWhiteSpace(mapping["To"]!.GetValue<string>()))
+                        {
+                            errors.Add($"{label}: mapping {i + 1} needs a From and a To path");
+                        }
+                    }
+                    break;
+
+                case SectionKind.Browser:
+                    if (node is not JsonObject)
+                    {
+                        errors.Add($"{label}: expected an object");
+                    }
+                    break;
+
+                default:
+                    if (node is not JsonObject values)
+                    {
+                        errors.Add($"{label}: expected an object");
+                        return;
+                    }
+                    if (section.Key == "ratingWeights")
+                    {
+                        var weightNames = typeof(RatingWeights).GetProperties().Select(p => p.Name).ToHashSet();
+                        foreach (var (name, value) in values)
+                        {
+                            if (!weightNames.Contains(name))
+                            {
+                                errors.Add($"{label}: unknown weight \"{name}\"");
+                            }
+                            else if (value?.GetValueKind() != JsonValueKind.Number || value.GetValue<double>() < 0)
+                            {
+                                errors.Add($"{label}: {name} must be a number of 0 or more");
+                            }
+                        }
+                    }
+                    else if (section.Key == "ratingThresholds")
+                    {
+                        foreach (var name in new[] { "Optimal", "Good" })
+                        {
+                            if (values.ContainsKey(name) && (!TryGetInt(values[name], out var threshold) || threshold < 0 || threshold > 100))
+                            {
+                                errors.Add($"{label}: {name} must be a whole number from 0 to 100");
+                            }
+                        }
+                        if (TryGetInt(values["Optimal"], out var optimal) && TryGetInt(values["Good"], out var good) && optimal < good)
+                        {
+                            errors.Add($"{label}: Optimal must be greater than or equal to Good");
+                        }
+                    }
+                    else
+                    {
+                        foreach (var (name, value) in values)
+                        {
+                            if (!ConnectionSettingKinds.TryGetValue(name, out var kind)) continue;
+
+                            var actual = value?.GetValueKind();
+                            var matches = kind == JsonValueKind.True
+                                ? actual is JsonValueKind.True or JsonValueKind.False
+                                : actual == kind;
+                            if (!matches)
+                            {
+                                errors.Add($"{label}: {name} must be {(kind == JsonValueKind.True ? "true or false" : "text")}");
+                            }
+                        }
+                    }
+                    break;
+            }
+        }
+
+        private static bool TryGetInt(JsonNode? node, out int value)
+        {
+            value = 0;
+            return node?.GetValueKind() == JsonValueKind.Number && node.AsValue().TryGetValue(out value);
+        }
+
+        private static JsonNode? GetNode(JsonObject root, string[] path)
+        {
+            JsonNode? node = root;
+            foreach (var part in path)
+            {
+                node = node is JsonObject obj ? obj[part] : null;
+            }
+            return node;
+        }
+
+        private static void SetNode(JsonObject root, string[] path, JsonNode value)
+        {
+            var parent = root;
+            foreach (var part in path[..^1])
+            {
+                if (parent[part] is not JsonObject child)
+                {
+                    child = new JsonObject();
+                    parent[part] = child;
+                }
+                parent = child;
+            }
+            parent[path[^1]] = value;
+        }
+    }
+}
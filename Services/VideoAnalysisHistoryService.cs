@@ -0,0 +1,93 @@
+using Microsoft.EntityFrameworkCore;
+using Optimarr.Data;
+using Optimarr.Models;
+
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// Lists a video's previous analyses (VideoAnalysisHistories) and compares any two of them, or one with
+    /// the current analysis. Version id 0 always means the current VideoAnalysis row.
+    /// </summary>
+    public class VideoAnalysisHistoryService
+    {
+        public const int CurrentVersionId = 0;
+
+        private readonly AppDbContext _dbContext;
+
+        public VideoAnalysisHistoryService(AppDbContext dbContext)
+        {
+            _dbContext = dbContext;
+        }
+
+        /// <summary>
+        /// The current analysis followed by previous ones, newest first. Null if the video does not exist.
+        /// </summary>
+        public async Task<List<VideoAnalysisVersion>?> GetVersionsAsync(int videoId)
+        {
+            var video = await _dbContext.VideoAnalyses.AsNoTracking().FirstOrDefaultAsync(v => v.Id == videoId);
+            if (video == null)
+            {
+                return null;
+            }
+
+            var history = await _dbContext.VideoAnalysisHistories
+                .AsNoTracking()
+                .Where(h => h.VideoAnalysisId == videoId)
+                .OrderByDescending(h => h.AnalyzedAt)
+                .ThenByDescending(h => h.Id)
+                .ToListAsync();
+
+            var versions = new List<VideoAnalysisVersion> { ToVersion(VideoAnalysisHistory.FromAnalysis(video), CurrentVersionId, null) };
+            versions.AddRange(history.Select(h => ToVersion(h, h.Id, h.ReplacedAt)));
+            return versions;
+        }
+
+        /// <summary>
+        /// Differences from one version to another. Null if the video or either version does not exist.
+        /// </summary>
+        public async Task<VideoAnalysisDiff?> GetDiffAsync(int videoId, int fromId, int toId)
+        {
+            var from = await LoadVersionAsync(videoId, fromId);
+            var to = await LoadVersionAsync(videoId, toId);
+            if (from == null || to == null)
+            {
+                return null;
+            }
+
+            var diff = VideoAnalysisDiff.Compare(from, to);
+            diff.FromId = fromId;
+            diff.ToId = toId;
+            return diff;
+        }
+
+        private async Task<VideoAnalysisHistory?> LoadVersionAsync(int videoId, int versionId)
+        {
+            if (versionId == CurrentVersionId)
+            {
+                var video = await _dbContext.VideoAnalyses.AsNoTracking().FirstOrDefaultAsync(v => v.Id == videoId);
+                return video == null ? null : VideoAnalysisHistory.FromAnalysis(video);
+            }
+
+            return await _dbContext.VideoAnalysisHistories
+                .AsNoTracking()
+                .FirstOrDefaultAsync(h => h.Id == versionId && h.VideoAnalysisId == videoId);
+        }
+
+        internal static VideoAnalysisVersion ToVersion(VideoAnalysisHistory analysis, int id, DateTime? replacedAt)
+        {
+            return new VideoAnalysisVersion
+            {
+                Id = id,
+                IsCurrent = id == CurrentVersionId,
+                AnalyzedAt = analysis.AnalyzedAt,
+                ReplacedAt = replacedAt,
+                Container = analysis.Container,
+                VideoCodec = analysis.VideoCodec,
+                FileSize = analysis.FileSize,
+                CompatibilityRating = analysis.CompatibilityRating,
+                OverallScore = analysis.OverallScore.ToString(),
+                IsBroken = analysis.IsBroken
+            };
+        }
+    }
+}
@@ -0,0 +1,167 @@
+using System.Reflection;
+using System.Text;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using Microsoft.Extensions.Logging;
+using Optimarr.Models;
+
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// Writes analyzed videos as CSV or JSON directly to a stream, so large exports don't have to be
+    /// built in memory. Every VideoAnalysis field is exported, with the stored audio/subtitle track
+    /// JSON replaced by parsed tracks.
+    /// </summary>
+    public class VideoExportService
+    {
+        // Raw JSON columns are exported in parsed form instead; LibraryScan is a navigation property
+        private static readonly HashSet<string> ExcludedProperties = new()
+        {
+            nameof(VideoAnalysis.AudioTracksJson),
+            nameof(VideoAnalysis.SubtitleTracksJson),
+            nameof(VideoAnalysis.LibraryScan)
+        };
+
+        // The full text report is many lines per video, which makes spreadsheets unusable. It is in the JSON export.
+        private static readonly HashSet<string> ExcludedCsvProperties = new()
+        {
+            nameof(VideoAnalysis.FullReport)
+        };
+
+        private static readonly PropertyInfo[] ExportProperties = typeof(VideoAnalysis)
+            .GetProperties(BindingFlags.Public | BindingFlags.Instance)
+            .Where(p => p.CanRead && !ExcludedProperties.Contains(p.Name))
+            .ToArray();
+
+        private static readonly JsonSerializerOptions JsonOptions = new()
+        {
+            PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+            Converters = { new JsonStringEnumConverter() }
+        };
+
+        // Rows are flushed in batches so the client starts receiving data right away
+        private const int FlushInterval = 200;
+
+        private readonly ILogger<VideoExportService> _logger;
+
+        public VideoExportService(ILogger<VideoExportService> logger)
+        {
+            _logger = logger;
+        }
+
+        public async Task WriteCsvAsync(Stream output, IEnumerable<VideoAnalysis> videos, CancellationToken cancellationToken = default)
+        {
+            var properties = ExportProperties.Where(p => !ExcludedCsvProperties.Contains(p.Name)).ToArray();
+
+            // UTF-8 with BOM so Excel detects the encoding
+            await using var writer = new StreamWriter(output, new UTF8Encoding(true), leaveOpen: true);
+
+            var header = properties.Select(p => p.Name).Concat(new[] { "AudioTracks", "SubtitleTracks" });
+            await writer.WriteLineAsync(string.Join(",", header.Select(EscapeCsv)));
+
+            var count = 0;
+            foreach (var video in videos)
+            {
+                cancellationToken.ThrowIfCancellationRequested();
+
+                var values = properties.Select(p => FormatCsvValue(p.GetValue(video)))
+                    .Append(string.Join("; ", MediaPropertyRatingService.ParseAudioTracks(video).Select(FormatAudioTrack)))
+                    .Append(string.Join("; ", MediaPropertyRatingService.ParseSubtitleTracks(video).Select(FormatSubtitleTrack)));
+                await writer.WriteLineAsync(string.Join(",", values.Select(EscapeCsv)));
+
+                if (++count % FlushInterval == 0)
+                {
+                    await writer.FlushAsync();
+                }
+            }
+
+            await writer.FlushAsync();
+            _logger.LogInformation("Exported {Count} videos as CSV", count);
+        }
+
+        public async Task WriteJsonAsync(Stream output, IEnumerable<VideoAnalysis> videos, CancellationToken cancellationToken = default)
+        {
+            await using var writer = new Utf8JsonWriter(output, new JsonWriterOptions { Indented = true });
+
+            writer.WriteStartArray();
+
+            var count = 0;
+            foreach (var video in videos)
+            {
+                cancellationToken.ThrowIfCancellationRequested();
+
+                writer.WriteStartObject();
+                foreach (var property in ExportProperties)
+                {
+                    writer.WritePropertyName(JsonNamingPolicy.CamelCase.ConvertName(property.Name));
+                    JsonSerializer.Serialize(writer, property.GetValue(video), property.PropertyType, JsonOptions);
+                }
+
+                writer.WritePropertyName("audioTracks");
+                JsonSerializer.Serialize(writer, MediaPropertyRatingService.ParseAudioTracks(video), JsonOptions);
+                writer.WritePropertyName("subtitleTracks");
+                JsonSerializer.Serialize(writer, MediaPropertyRatingService.ParseSubtitleTracks(video), JsonOptions);
+                writer.WriteEndObject();
+
+                if (++count % FlushInterval == 0)
+                {
+                    await writer.FlushAsync(cancellationToken);
+                }
+            }
+
+            writer.WriteEndArray();
+            await writer.FlushAsync(cancellationToken);
+            _logger.LogInformation("Exported {Count} videos as JSON", count);
+        }
+
+        // e.g. "eng EAC3 6ch 640kbps"
+        private static string FormatAudioTrack(AudioTrack track)
+        {
+            var parts = new List<string>();
+            if (!string.IsNullOrWhiteSpace(track.Language)) parts.Add(track.Language);
+            if (!string.IsNullOrWhiteSpace(track.Codec)) parts.Add(track.Codec);
+            if (track.Channels > 0) parts.Add($"{track.Channels}ch");
+            if (track.Bitrate > 0) parts.Add($"{track.Bitrate / 1000}kbps");
+            return string.Join(" ", parts);
+        }
+
+        // e.g. "eng PGS" or "eng SRT (external)"
+        private static string FormatSubtitleTrack(SubtitleTrack track)
+        {
+            var parts = new List<string>();
+            if (!string.IsNullOrWhiteSpace(track.Language)) parts.Add(track.Language);
+            if (!string.IsNullOrWhiteSpace(track.Format)) parts.Add(track.Format);
+            if (!track.IsEmbedded) parts.Add("(external)");
+            return string.Join(" ", parts);
+        }
+
+        private static string FormatCsvValue(object? value)
+        {
+            return value switch
+            {
+                null => string.Empty,
+                DateTime dateTime => dateTime.ToString("o"),
+                bool boolean => boolean ? "true" : "false",
+                IFormattable formattable => formattable.ToString(null, System.Globalization.CultureInfo.InvariantCulture),
+                string text => NeutralizeFormula(text),
+                _ => value.ToString() ?? string.Empty
+            };
+        }
+
+        // Spreadsheet apps execute cells starting with these characters as formulas
+        private static string NeutralizeFormula(string text)
+        {
+            return text.Length > 0 && "=+-@".Contains(text[0]) ? "'" + text : text;
+        }
+
+        private static string EscapeCsv(string value)
+        {
+            if (value.IndexOfAny(new[] { ',', '"', '\n', '\r' }) >= 0)
+            {
+                return "\"" + value.Replace("\"", "\"\"") + "\"";
+            }
+
+            return value;
+        }
+    }
+}
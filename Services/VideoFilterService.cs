@@ -0,0 +1,362 @@
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Optimarr.Data;
+using Optimarr.Models;
+
+namespace Optimarr.Services
+{
+    /// <summary>
+    /// Applies Browse filters to the analyzed videos. Shared by the Browse list, "select all"
+    /// and saved filter presets so they always agree on which videos match.
+    /// </summary>
+    public class VideoFilterService
+    {
+        private readonly AppDbContext _dbContext;
+        private readonly IConfiguration _configuration;
+        private readonly ILogger<VideoFilterService> _logger;
+
+        public VideoFilterService(AppDbContext dbContext, IConfiguration configuration, ILogger<VideoFilterService> logger)
+        {
+            _dbContext = dbContext;
+            _configuration = configuration;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Loads all videos matching the filters. OverallScore is recalculated from the current rating thresholds.
+        /// With a ProfileId, rating, issues and recommendations are that device profile's (detached, never saved).
+        /// </summary>
+        public async Task<List<VideoAnalysis>> GetFilteredVideosAsync(VideoFilterCriteria filters)
+        {
+            var query = filters.ProfileId.HasValue
+                ? _dbContext.VideoAnalyses.AsNoTracking()
+                : _dbContext.VideoAnalyses.AsQueryable();
+
+            if (!string.IsNullOrEmpty(filters.Codec))
+                query = query.Where(v => v.VideoCodec == filters.Codec);
+
+            if (!string.IsNullOrEmpty(filters.Container))
+                query = query.Where(v => v.Container == filters.Container);
+
+            if (filters.LibraryPathId.HasValue)
+            {
+                // Get the library path from LibraryPath table
+                var libraryPath = await _dbContext.LibraryPaths
+                    .FirstOrDefaultAsync(lp => lp.Id == filters.LibraryPathId.Value);
+
+                // If library path not found, an empty path results in no matches
+                var filterPath = libraryPath?.Path ?? string.Empty;
+
+                // Filter by matching the LibraryScan's LibraryPath string with the LibraryPath's Path
+                query = query.Where(v => v.LibraryScan != null && v.LibraryScan.LibraryPath == filterPath);
+            }
+
+            if (!string.IsNullOrEmpty(filters.Search))
+            {
+                var searchLower = filters.Search.ToLowerInvariant();
+                query = query.Where(v =>
+                    (v.FileName != null && v.FileName.ToLower().Contains(searchLower)) ||
+                    (v.FilePath != null && v.FilePath.ToLower().Contains(searchLower)) ||
+                    (v.VideoCodec != null && v.VideoCodec.ToLower().Contains(searchLower)) ||
+                    (v.Container != null && v.Container.ToLower().Contains(searchLower)) ||
+                    (v.AudioCodecs != null && v.AudioCodecs.ToLower().Contains(searchLower)) ||
+                    (v.SubtitleFormats != null && v.SubtitleFormats.ToLower().Contains(searchLower)));
+            }
+
+            // Filter by broken status
+            if (filters.IsBroken.HasValue)
+            {
+                query = query.Where(v => v.IsBroken == filters.IsBroken.Value);
+            }
+            // When filtering by score (Poor/Good/Optimal), exclude broken videos unless explicitly requested
+            else if (!string.IsNullOrEmpty(filters.Score))
+            {
+                query = query.Where(v => !v.IsBroken);
+            }
+
+            // Filter by Servarr sync status (other values are ignored)
+            if (!string.IsNullOrEmpty(filters.ServarrFilter))
+            {
+                var filterLower = filters.ServarrFilter.ToLowerInvariant();
+                if (filterLower == "synced")
+                {
+                    query = query.Where(v => !string.IsNullOrEmpty(v.ServarrType));
+                }
+                else if (filterLower == "not-synced")
+                {
+                    query = query.Where(v => string.IsNullOrEmpty(v.ServarrType));
+                }
+            }
+
+            if (!string.IsNullOrEmpty(filters.AudioCodec))
+            {
+                query = query.Where(v => v.AudioCodecs != null && v.AudioCodecs.Contains(filters.AudioCodec));
+            }
+
+            if (!string.IsNullOrEmpty(filters.HdrSdr))
+            {
+                var hdrFilter = filters.HdrSdr.ToLowerInvariant();
+                if (hdrFilter == "hdr")
+                {
+                    query = query.Where(v => v.IsHDR);
+                }
+                else if (hdrFilter == "sdr")
+                {
+                    query = query.Where(v => !v.IsHDR);
+                }
+            }
+
+            if (filters.BitDepth.HasValue)
+            {
+                query = query.Where(v => v.BitDepth == filters.BitDepth.Value);
+            }
+
+            if (!string.IsNullOrEmpty(filters.SubtitleFormat))
+            {
+                query = query.Where(v => v.SubtitleFormats != null && v.SubtitleFormats.Contains(filters.SubtitleFormat));
+            }
+
+            // Audio channels and bitrate can't be filtered in SQL (JSON parsing / calculation needed)
+            var videos = await query.ToListAsync();
+
+            if (!string.IsNullOrEmpty(filters.AudioChannel))
+            {
+                var channelFilter = filters.AudioChannel.ToLowerInvariant();
+                videos = videos.Where(v => MatchesAudioChannel(v, channelFilter)).ToList();
+            }
+
+            if (!string.IsNullOrEmpty(filters.BitrateRange))
+            {
+                videos = videos.Where(v => MatchesBitrateRange(v, filters.BitrateRange)).ToList();
+            }
+
+            if (filters.ProfileId.HasValue)
+            {
+                await ApplyProfileRatingsAsync(videos, filters.ProfileId.Value);
+            }
+
+            // Recalculate OverallScore dynamically based on current thresholds
+            var thresholds = new MediaPropertyRatingService(_configuration, _logger).LoadRatingThresholds();
+            foreach (var video in videos)
+            {
+                video.OverallScore = video.CompatibilityRating >= thresholds.Optimal
+                    ? CompatibilityScore.Optimal
+                    : video.CompatibilityRating >= thresholds.Good
+                        ? CompatibilityScore.Good
+                        : CompatibilityScore.Poor;
+            }
+
+            // Apply score filter after recalculation if specified
+            if (!string.IsNullOrEmpty(filters.Score))
+            {
+                var targetScore = filters.Score.Trim();
+                videos = videos
+                    .Where(v => v.OverallScore.ToString().Equals(targetScore, StringComparison.OrdinalIgnoreCase))
+                    .ToList();
+            }
+
+            return videos;
+        }
+
+        /// <summary>
+        /// Replaces the global rating with the profile's. Videos the profile has not rated yet keep the global rating.
+        /// </summary>
+        private async Task ApplyProfileRatingsAsync(List<VideoAnalysis> videos, int profileId)
+        {
+            var ratings = await _dbContext.VideoProfileRatings
+                .AsNoTracking()
+                .Where(r => r.DeviceProfileId == profileId)
+                .ToDictionaryAsync(r => r.VideoAnalysisId);
+
+            foreach (var video in videos.Where(v => !v.IsBroken))
+            {
+                if (ratings.TryGetValue(video.Id, out var rating))
+                {
+                    video.CompatibilityRating = rating.CompatibilityRating;
+                    video.Issues = rating.Issues;
+                    video.Recommendations = rating.Recommendations;
+                }
+            }
+        }
+
+        /// <summary>
+        /// Keeps one video per title (file name without extension), preferring working files with
+        /// a higher rating and a more recent analysis. This is what Browse shows and counts.
+        /// </summary>
+        public static List<VideoAnalysis> DeduplicateByTitle(IEnumerable<VideoAnalysis> videos)
+        {
+            return videos
+                .GroupBy(v => NormalizeTitle(v.FileName ?? string.Empty))
+                .Select(g => g.OrderByDescending(v =>
+                    // Priority: 1) Not broken, 2) Higher compatibility rating, 3) More recent analysis
+                    (v.IsBroken ? 0 : 1) * 1000000 +
+                    v.CompatibilityRating * 1000 +
+                    v.AnalyzedAt.Ticks
+                ).First())
+                .ToList();
+        }
+
+        /// <summary>
+        /// Sorts videos the way Browse does. Unknown sort keys fall back to the analysis date.
+        /// </summary>
+        public static List<VideoAnalysis> Sort(List<VideoAnalysis> videos, string? sortBy, string? sortOrder)
+        {
+            var sortByLower = (sortBy ?? "analyzedAt").ToLowerInvariant();
+            var sortOrderLower = (sortOrder ?? "desc").ToLowerInvariant();
+            var isDescending = sortOrderLower == "desc";
+
+            return sortByLower switch
+            {
+                "filename" => isDescending 
+                    ? videos.OrderByDescending(v => v.FileName ?? string.Empty).ToList()
+                    : videos.OrderBy(v => v.FileName ?? string.Empty).ToList(),
+                "filesize" => isDescending 
+                    ? videos.OrderByDescending(v => v.FileSize).ToList()
+                    : videos.OrderBy(v => v.FileSize).ToList(),
+                "compatibilityrating" => isDescending 
+                    ? videos.OrderByDescending(v => v.CompatibilityRating).ToList()
+                    : videos.OrderBy(v => v.CompatibilityRating).ToList(),
+                "duration" => isDescending 
+                    ? videos.OrderByDescending(v => v.Duration).ToList()
+                    : videos.OrderBy(v => v.Duration).ToList(),
+                "width" => isDescending 
+                    ? videos.OrderByDescending(v => v.Width * v.Height).ToList() // Sort by total pixels
+                    : videos.OrderBy(v => v.Width * v.Height).ToList(),
+                "bitrate" => isDescending 
+                    ? videos.OrderByDescending(v => GetBitrateMbps(v) ?? 0).ToList()
+                    : videos.OrderBy(v => GetBitrateMbps(v) ?? 0).ToList(),
+                "bitdepth" => isDescending 
+                    ? videos.OrderByDescending(v => v.BitDepth).ToList()
+                    : videos.OrderBy(v => v.BitDepth).ToList(),
+                "hdrtype" => isDescending 
+                    ? videos.OrderByDescending(v => v.IsHDR ? v.HDRType ?? "HDR" : string.Empty).ToList()
+                    : videos.OrderBy(v => v.IsHDR ? v.HDRType ?? "HDR" : string.Empty).ToList(),
+                "audiotracks" => isDescending 
+                    ? videos.OrderByDescending(v => v.AudioTrackCount).ToList()
+                    : videos.OrderBy(v => v.AudioTrackCount).ToList(),
+                "subtitleformats" => isDescending 
+                    ? videos.OrderByDescending(v => v.SubtitleFormats ?? string.Empty).ToList()
+                    : videos.OrderBy(v => v.SubtitleFormats ?? string.Empty).ToList(),
+                "servarrtitle" => isDescending 
+                    ? videos.OrderByDescending(v => v.SonarrSeriesTitle ?? v.RadarrMovieTitle ?? string.Empty).ToList()
+                    : videos.OrderBy(v => v.SonarrSeriesTitle ?? v.RadarrMovieTitle ?? string.Empty).ToList(),
+                "videocodec" => isDescending 
+                    ? videos.OrderByDescending(v => v.VideoCodec ?? string.Empty).ToList()
+                    : videos.OrderBy(v => v.VideoCodec ?? string.Empty).ToList(),
+                "container" => isDescending 
+                    ? videos.OrderByDescending(v => v.Container ?? string.Empty).ToList()
+                    : videos.OrderBy(v => v.Container ?? string.Empty).ToList(),
+                "analyzedat" or _ => isDescending 
+                    ? videos.OrderByDescending(v => v.AnalyzedAt).ToList()
+                    : videos.OrderBy(v => v.AnalyzedAt).ToList()
+            };
+        }
+
+        private static bool MatchesAudioChannel(VideoAnalysis video, string channelFilter)
+        {
+            if (string.IsNullOrEmpty(video.AudioTracksJson))
+                return false;
+
+            try
+            {
+                var options = new System.Text.Json.JsonSerializerOptions
+                {
+                    PropertyNameCaseInsensitive = true
+                };
+                var audioTracks = System.Text.Json.JsonSerializer.Deserialize<List<AudioTrack>>(video.AudioTracksJson, options);
+                if (audioTracks == null || audioTracks.Count == 0)
+                    return false;
+
+                var channels = audioTracks[0].Channels;
+
+                return channelFilter switch
+                {
+                    "mono" => channels == 1,
+                    "stereo" => channels == 2,
+                    "surround" => channels >= 6,
+                    _ => false
+                };
+            }
+            catch
+            {
+                return false;
+            }
+        }
+
+        /// <summary>
+        /// Overall bitrate in Mbps from file size and duration, or null if it can't be determined reliably
+        /// </summary>
+        public static double? GetBitrateMbps(VideoAnalysis video)
+        {
+            if (video.Duration <= 0 || video.FileSize <= 0)
+                return null;
+
+            double durationSeconds = video.Duration;
+
+            // Detect if duration might be in wrong unit
+            var bitrateMbps = (video.FileSize * 8.0) / (durationSeconds * 1_000_000.0);
+
+            // If bitrate is unreasonably high (> 1000 Mbps), try converting from milliseconds
+            if (bitrateMbps > 1000.0)
+            {
+                var correctedDurationSeconds = durationSeconds / 1000.0;
+                var correctedBitrateMbps = (video.FileSize * 8.0) / (correctedDurationSeconds * 1_000_000.0);
+
+                if (correctedBitrateMbps <= 500.0 && correctedDurationSeconds >= 1.0 && correctedDurationSeconds <= 864000)
+                {
+                    durationSeconds = correctedDurationSeconds;
+                    bitrateMbps = correctedBitrateMbps;
+                }
+            }
+
+            // Validate duration is reasonable
+            if (durationSeconds < 1.0 || durationSeconds > 864000)
+                return null;
+
+            // Relaxed sanity check
+            if (bitrateMbps > 500 || bitrateMbps < 0.01)
+                return null;
+
+            return bitrateMbps;
+        }
+
+        private static bool MatchesBitrateRange(VideoAnalysis video, string bitrateRange)
+        {
+            var bitrateMbps = GetBitrateMbps(video);
+            if (!bitrateMbps.HasValue)
+                return false;
+
+            return bitrateRange switch
+            {
+                "0-5" => bitrateMbps < 5,
+                "5-10" => bitrateMbps >= 5 && bitrateMbps < 10,
+                "10-20" => bitrateMbps >= 10 && bitrateMbps < 20,
+                "20-50" => bitrateMbps >= 20 && bitrateMbps < 50,
+                "50+" => bitrateMbps >= 50,
+                _ => false
+            };
+        }
+
+        // Extract and normalize title from filename (without extension)
+        private static string NormalizeTitle(string fileName)
+        {
+            if (string.IsNullOrEmpty(fileName))
+                return string.Empty;
+
+            try
+            {
+                var title = System.IO.Path.GetFileNameWithoutExtension(fileName);
+                if (string.IsNullOrEmpty(title))
+                    return string.Empty;
+
+                // Normalize: lowercase, trim whitespace
+                return title.Trim().ToLowerInvariant();
+            }
+            catch
+            {
+                return fileName.ToLowerInvariant();
+            }
+        }
+    }
+}
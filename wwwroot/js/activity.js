@@ -0,0 +1,248 @@
+// Activity (audit log of state-changing actions: who did what, when, with what result)
+import { escapeHtml } from './utils.js';
+
+const PAGE_SIZE = 50;
+
+let currentPage = 1;
+let lastResult = null;
+const expandedEntries = new Set();
+
+const AUTH_METHOD_LABELS = {
+    session: 'Signed in',
+    apikey: 'API key',
+    local: 'Local bypass',
+    none: 'No authentication'
+};
+
+function formatPayload(payload) {
+    if (!payload) return '';
+    try {
+        return JSON.stringify(JSON.parse(payload), null, 2);
+    } catch (error) {
+        // Truncated payloads are no longer valid JSON
+        return payload;
+    }
+}
+
+function renderEntryDetails(entry) {
+    return `
+        <tr class="activity-details">
+            <td colspan="6">
+                <div class="activity-details-grid">
+                    <div><span class="activity-details-label">Request</span> <code>${escapeHtml(entry.httpMethod)} ${escapeHtml(entry.path)}</code></div>
+                    <div><span class="activity-details-label">Status</span> ${entry.statusCode} · ${entry.durationMs} ms</div>
+                    <div><span class="activity-details-label">Address</span> ${escapeHtml(entry.remoteIp || '—')}</div>
+                    <div><span class="activity-details-label">Via</span> ${escapeHtml(AUTH_METHOD_LABELS[entry.authMethod] || entry.authMethod)}</div>
+                </div>
+                ${entry.message ? `<p class="activity-message">${escapeHtml(entry.message)}</p>` : ''}
+                ${entry.payload ? `<pre class="activity-payload">${escapeHtml(formatPayload(entry.payload))}</pre>` : ''}
+            </td>
+        </tr>
+    `;
+}
+
+function renderEntry(entry) {
+    const expanded = expandedEntries.has(entry.id);
+    const result = entry.success
+        ? '<span class="score-badge optimal">OK</span>'
+        : `<span class="score-badge poor" title="HTTP ${entry.statusCode}">Failed</span>`;
+
+    return `
+        <tr class="activity-row" onclick="toggleActivityEntry(${entry.id})">
+            <td class="activity-time">${new Date(entry.timestamp).toLocaleString()}</td>
+            <td><span class="activity-category">${escapeHtml(entry.category)}</span></td>
+            <td>${escapeHtml(entry.action)}</td>
+            <td title="${escapeHtml(AUTH_METHOD_LABELS[entry.authMethod] || entry.authMethod)}">${escapeHtml(entry.actor)}</td>
+            <td>${result}</td>
+            <td class="activity-summary" title="${escapeHtml(entry.message || '')}">${escapeHtml(entry.message || '')}</td>
+        </tr>
+        ${expanded ? renderEntryDetails(entry) : ''}
+    `;
+}
+
+function renderPagination(result) {
+    const pagination = document.getElementById('activityPagination');
+    if (!pagination) return;
+
+    const totalPages = Math.ceil(result.totalCount / result.pageSize);
+    if (totalPages <= 1) {
+        pagination.innerHTML = '';
+        return;
+    }
+
+    let html = '';
+    if (result.page > 1) {
+        html += `<button class="btn btn-secondary" onclick="setActivityPage(${result.page - 1})">Previous</button>`;
+    }
+    html += `<span>Page ${result.page} of ${totalPages}</span>`;
+    if (result.page < totalPages) {
+        html += `<button class="btn btn-secondary" onclick="setActivityPage(${result.page + 1})">Next</button>`;
+    }
+    pagination.innerHTML = html;
+}
+
+function fillSelect(id, values, allLabel) {
+    const select = document.getElementById(id);
+    if (!select) return;
+
+    const current = select.value;
+    select.innerHTML = `<option value="">${allLabel}</option>` +
+        values.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`).join('');
+    // Keep the selection if it still exists
+    select.value = values.includes(current) ? current : '';
+}
+
+async function loadActivityFilterOptions() {
+    try {
+        const response = await fetch('/api/audit/filters');
+        if (!response.ok) return;
+
+        const options = await response.json();
+        fillSelect('activityCategoryFilter', options.categories, 'All Categories');
+        fillSelect('activityActorFilter', options.actors, 'Everyone');
+    } catch (error) {
+        console.error('Error loading activity filters:', error);
+    }
+}
+
+function buildActivityQuery() {
+    const params = new URLSearchParams({ page: currentPage, pageSize: PAGE_SIZE });
+    const category = document.getElementById('activityCategoryFilter')?.value;
+    const actor = document.getElementById('activityActorFilter')?.value;
+    const result = document.getElementById('activityResultFilter')?.value;
+    const search = document.getElementById('activitySearch')?.value.trim();
+    const from = document.getElementById('activityFrom')?.value;
+    const to = document.getElementById('activityTo')?.value;
+
+    if (category) params.set('category', category);
+    if (actor) params.set('actor', actor);
+    if (result) params.set('success', result === 'success');
+    if (search) params.set('search', search);
+    // Dates are picked in local time; the whole "to" day is included
+    if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+    if (to) {
+        const end = new Date(`${to}T00:00:00`);
+        end.setDate(end.getDate() + 1);
+        params.set('to', end.toISOString());
+    }
+    return params;
+}
+
+function renderActivityEntries(result) {
+    const container = document.getElementById('activityEntries');
+    if (!container) return;
+
+    if (result.entries.length === 0) {
+        container.innerHTML = '<div class="empty-state">No activity matches these filters</div>';
+        renderPagination(result);
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="activity-count">${result.totalCount} ${result.totalCount === 1 ? 'entry' : 'entries'} · click a row for the request details</div>
+        <div class="activity-table-wrapper">
+            <table class="data-table activity-table">
+                <thead>
+                    <tr>
+                        <th>Time</th>
+                        <th>Category</th>
+                        <th>Action</th>
+                        <th>By</th>
+                        <th>Result</th>
+                        <th>Message</th>
+                    </tr>
+                </thead>
+                <tbody>${result.entries.map(renderEntry).join('')}</tbody>
+            </table>
+        </div>
+    `;
+    renderPagination(result);
+}
+
+export async function loadActivityEntries() {
+    const container = document.getElementById('activityEntries');
+    if (!container) return;
+
+    try {
+        const response = await fetch(`/api/audit?${buildActivityQuery()}`);
+        if (!response.ok) throw new Error(`Failed to load activity: ${response.status}`);
+
+        lastResult = await response.json();
+        renderActivityEntries(lastResult);
+    } catch (error) {
+        console.error('Error loading activity:', error);
+        container.innerHTML = `<div class="error-state"><p>Error loading activity: ${escapeHtml(error.message)}</p></div>`;
+    }
+}
+
+export async function loadActivityRetention() {
+    try {
+        const response = await fetch('/api/audit/settings');
+        if (!response.ok) return;
+
+        const settings = await response.json();
+        const input = document.getElementById('activityRetentionDays');
+        if (input) input.value = settings.retentionDays;
+    } catch (error) {
+        console.error('Error loading activity retention:', error);
+    }
+}
+
+export async function saveActivityRetention() {
+    const retentionDays = parseInt(document.getElementById('activityRetentionDays').value, 10);
+    if (isNaN(retentionDays) || retentionDays < 0) {
+        alert('Enter the number of days to keep entries, or 0 to keep them forever');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/audit/settings', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ retentionDays })
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Failed to save retention');
+        }
+
+        const result = await response.json();
+        alert(result.message);
+        loadActivity();
+    } catch (error) {
+        console.error('Error saving activity retention:', error);
+        alert(`Error saving retention: ${error.message}`);
+    }
+}
+
+export function applyActivityFilters() {
+    currentPage = 1;
+    loadActivityEntries();
+}
+
+export function setActivityPage(page) {
+    currentPage = page;
+    loadActivityEntries();
+}
+
+export function toggleActivityEntry(id) {
+    if (expandedEntries.has(id)) {
+        expandedEntries.delete(id);
+    } else {
+        expandedEntries.add(id);
+    }
+    if (lastResult) renderActivityEntries(lastResult);
+}
+
+export function loadActivity() {
+    loadActivityFilterOptions();
+    loadActivityEntries();
+    loadActivityRetention();
+}
+
+window.loadActivity = loadActivity;
+window.applyActivityFilters = applyActivityFilters;
+window.setActivityPage = setActivityPage;
+window.toggleActivityEntry = toggleActivityEntry;
+window.saveActivityRetention = saveActivityRetention;
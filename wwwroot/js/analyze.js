@@ -0,0 +1,263 @@
+// Ad-hoc File Analysis Functions
+import { escapeHtml, formatFileSize } from './utils.js';
+import { renderMediaInfo, showTrackDetailsForVideo } from './media-info.js';
+
+let analyzeListenersSetup = false;
+let selectedVideoFile = null;
+let currentUploadRequest = null;
+let lastAnalyzedVideo = null;
+
+export function setupAnalyzeEventListeners() {
+    if (analyzeListenersSetup) return;
+
+    const dropZone = document.getElementById('analyzeDropZone');
+    const videoInput = document.getElementById('analyzeVideoFile');
+    const subtitleInput = document.getElementById('analyzeSubtitleFile');
+
+    if (!dropZone || !videoInput) return;
+
+    videoInput.addEventListener('change', () => {
+        if (videoInput.files && videoInput.files.length > 0) {
+            selectVideoFile(videoInput.files[0]);
+        }
+    });
+
+    if (subtitleInput) {
+        subtitleInput.addEventListener('change', () => {
+            const text = document.getElementById('analyzeSubtitleFileText');
+            if (text) {
+                text.textContent = subtitleInput.files && subtitleInput.files.length > 0
+                    ? subtitleInput.files[0].name
+                    : 'No subtitle selected';
+            }
+        });
+    }
+
+    ['dragenter', 'dragover'].forEach(eventName => {
+        dropZone.addEventListener(eventName, (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            dropZone.classList.add('drag-over');
+        });
+    });
+
+    ['dragleave', 'drop'].forEach(eventName => {
+        dropZone.addEventListener(eventName, (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            dropZone.classList.remove('drag-over');
+        });
+    });
+
+    dropZone.addEventListener('drop', (e) => {
+        const files = e.dataTransfer ? e.dataTransfer.files : null;
+        if (files && files.length > 0) {
+            selectVideoFile(files[0]);
+        }
+    });
+
+    analyzeListenersSetup = true;
+}
+
+function selectVideoFile(file) {
+    selectedVideoFile = file;
+
+    const text = document.getElementById('analyzeDropZoneText');
+    if (text) {
+        text.innerHTML = `<strong>${escapeHtml(file.name)}</strong> (${formatFileSize(file.size)})`;
+    }
+
+    const uploadBtn = document.getElementById('analyzeUploadBtn');
+    if (uploadBtn) uploadBtn.disabled = false;
+}
+
+function setUploadProgress(visible, percent = 0, message = '') {
+    const container = document.getElementById('analyzeUploadProgress');
+    const fill = document.getElementById('analyzeUploadProgressFill');
+    const text = document.getElementById('analyzeUploadProgressText');
+
+    if (container) container.style.display = visible ? 'block' : 'none';
+    if (fill) fill.style.width = `${percent}%`;
+    if (text && message) text.textContent = message;
+}
+
+export function analyzeUploadedFile() {
+    if (!selectedVideoFile) {
+        alert('Please choose a video file first');
+        return;
+    }
+
+    if (currentUploadRequest) return;
+
+    const uploadBtn = document.getElementById('analyzeUploadBtn');
+    const cancelBtn = document.getElementById('analyzeCancelUploadBtn');
+    const subtitleInput = document.getElementById('analyzeSubtitleFile');
+
+    const formData = new FormData();
+    formData.append('videoFile', selectedVideoFile);
+    if (subtitleInput && subtitleInput.files && subtitleInput.files.length > 0) {
+        formData.append('subtitleFile', subtitleInput.files[0]);
+    }
+
+    // XMLHttpRequest is used instead of fetch because fetch does not report upload progress
+    const xhr = new XMLHttpRequest();
+    currentUploadRequest = xhr;
+
+    if (uploadBtn) uploadBtn.disabled = true;
+    if (cancelBtn) cancelBtn.style.display = 'inline-flex';
+    setUploadProgress(true, 0, `Uploading ${selectedVideoFile.name}...`);
+
+    xhr.upload.addEventListener('progress', (e) => {
+        if (!e.lengthComputable) return;
+        const percent = Math.round((e.loaded / e.total) * 100);
+        setUploadProgress(true, percent, `Uploading... ${percent}% (${formatFileSize(e.loaded)} of ${formatFileSize(e.total)})`);
+    });
+
+    xhr.upload.addEventListener('load', () => {
+        setUploadProgress(true, 100, 'Upload complete, analyzing file...');
+        if (cancelBtn) cancelBtn.style.display = 'none';
+    });
+
+    const finish = () => {
+        currentUploadRequest = null;
+        if (uploadBtn) uploadBtn.disabled = !selectedVideoFile;
+        if (cancelBtn) cancelBtn.style.display = 'none';
+    };
+
+    xhr.addEventListener('load', () => {
+        finish();
+        setUploadProgress(false);
+
+        let data = null;
+        try {
+            data = JSON.parse(xhr.responseText);
+        } catch (e) {
+            // Non-JSON response, handled below
+        }
+
+        if (xhr.status < 200 || xhr.status >= 300) {
+            const message = (data && (data.error || data.message)) || `${xhr.status} ${xhr.statusText}`;
+            console.error('Error analyzing uploaded file:', message);
+            alert(`Error analyzing file: ${message}`);
+            return;
+        }
+
+        renderAnalysisResult(data);
+    });
+
+    xhr.addEventListener('error', () => {
+        finish();
+        setUploadProgress(false);
+        console.error('Network error while uploading file for analysis');
+        alert('Error uploading file: network error. Please check your connection and try again.');
+    });
+
+    xhr.addEventListener('abort', () => {
+        finish();
+        setUploadProgress(false);
+    });
+
+    xhr.open('POST', '/api/analysis/analyze-file');
+    xhr.send(formData);
+}
+
+export function cancelAnalyzeUpload() {
+    if (currentUploadRequest) {
+        currentUploadRequest.abort();
+    }
+}
+
+export async function analyzeServerPath() {
+    const videoPath = document.getElementById('analyzeVideoPath')?.value.trim();
+    const subtitlePath = document.getElementById('analyzeSubtitlePath')?.value.trim();
+    const button = document.getElementById('analyzePathBtn');
+
+    if (!videoPath) {
+        alert('Please enter a video path');
+        return;
+    }
+
+    if (button) {
+        button.disabled = true;
+        button.textContent = 'Analyzing...';
+    }
+
+    try {
+        const response = await fetch('/api/analysis/analyze', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ videoPath, subtitlePath: subtitlePath || null })
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Failed to analyze file');
+        }
+
+        const data = await response.json();
+        renderAnalysisResult(data);
+    } catch (error) {
+        console.error('Error analyzing file:', error);
+        alert(`Error analyzing file: ${error.message}`);
+    } finally {
+        if (button) {
+            button.disabled = false;
+            button.textContent = 'Analyze';
+        }
+    }
+}
+
+function renderAnalysisResult(data) {
+    const box = document.getElementById('analyzeResultBox');
+    const container = document.getElementById('analyzeResult');
+    const title = document.getElementById('analyzeResultTitle');
+
+    if (!box || !container) return;
+
+    const video = data ? data.video : null;
+    lastAnalyzedVideo = video;
+
+    if (title) {
+        title.textContent = video && video.fileName ? `Analysis Result: ${video.fileName}` : 'Analysis Result';
+    }
+
+    const mediaInfoHtml = video
+        ? renderMediaInfo(video, {
+            readOnly: true,
+            trackDetailsHandler: trackType => `showAnalyzedTrackDetails('${trackType}')`
+        })
+        : '<div class="empty-state">No structured analysis data was returned.</div>';
+
+    container.innerHTML = `
+        ${mediaInfoHtml}
+        ${data && data.report ? `
+        <details style="margin-top: 1.5rem;">
+            <summary style="cursor: pointer; color: var(--text-secondary);">Full text report</summary>
+            <pre style="margin-top: 0.75rem; padding: 1rem; background-color: var(--bg-tertiary); border: 1px solid var(--border-color); border-radius: 4px; overflow-x: auto; font-size: 0.8rem; color: var(--text-primary);">${escapeHtml(data.report)}</pre>
+        </details>
+        ` : ''}
+    `;
+
+    box.style.display = 'block';
+    box.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+export function showAnalyzedTrackDetails(trackType) {
+    if (!lastAnalyzedVideo) return;
+    showTrackDetailsForVideo(lastAnalyzedVideo, trackType);
+}
+
+export function clearAnalysisResult() {
+    const box = document.getElementById('analyzeResultBox');
+    const container = document.getElementById('analyzeResult');
+    if (box) box.style.display = 'none';
+    if (container) container.innerHTML = '';
+    lastAnalyzedVideo = null;
+}
+
+// Export to window for onclick handlers
+window.analyzeUploadedFile = analyzeUploadedFile;
+window.cancelAnalyzeUpload = cancelAnalyzeUpload;
+window.analyzeServerPath = analyzeServerPath;
+window.showAnalyzedTrackDetails = showAnalyzedTrackDetails;
+window.clearAnalysisResult = clearAnalysisResult;
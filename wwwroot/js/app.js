@@ -1,14 +1,23 @@
 // Main Application Entry Point
 import { initNavigation } from './navigation.js';
 import { loadDashboard } from './dashboard.js';
-import { loadKnownLibraries, loadRecentScans, startScanPolling, reconnectToRunningScans, startProcessingCountPolling, loadProcessingVideos } from './library.js';
+import { loadKnownLibraries, loadRecentScans, startScanPolling, reconnectToRunningScans, startProcessingCountPolling, loadProcessingVideos, initLibraryLiveUpdates } from './library.js';
 import { loadBrowseFilterOptions, loadBrowseMedia, setupBrowseEventListeners } from './browse.js';
-import { loadJellyfinSettings, loadSonarrSettings, loadRadarrSettings, loadSonarrPathMappings, loadRadarrPathMappings } from './settings.js';
+import { loadJellyfinSettings, loadSonarrSettings, loadRadarrSettings, loadSonarrPathMappings, loadRadarrPathMappings, closeRatingSimulationModal } from './settings.js';
 import { loadServarrStatus, checkActiveMatches } from './servarr.js';
 import { showAddLibraryModal, closeAddLibraryModal } from './library-modals.js';
 import { closeMediaModal, closeTrackDetailsModal, closeRatingDetailsModal } from './media-info.js';
 import { closePathBrowser as closePathBrowserModal } from './path-browser.js';
-import { checkMigrationStatus } from './migration.js';
+import { checkMigrationStatus, initMigrationLiveUpdates } from './migration.js';
+import { loadFilterPresets, loadPresetCounts } from './presets.js';
+import { closeScanScheduleModal } from './scan-schedules.js';
+import { closeNotificationTargetModal } from './notifications.js';
+import { closeDeviceProfileModal } from './profiles.js';
+import { closeJellyfinImportModal } from './jellyfin-import.js';
+import './settings-backup.js';
+import { startLiveUpdates } from './live-updates.js';
+import { initJobsLiveUpdates } from './jobs.js';
+import { initAuth } from './auth.js';
 
 // Rating Info Box Functions - Removed (banner no longer exists)
 
@@ -74,13 +83,24 @@ async function handleReboot() {
 }
 
 // Initialize application when DOM is ready
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
     // Load app version
     loadAppVersion();
+
+    // With authentication enabled, stop at the login page until signed in
+    if (!(await initAuth())) {
+        return;
+    }
     
     // Initialize navigation
     initNavigation();
     
+    // Connect the live update channel (scan/match/sync progress, processing count, migration status, jobs)
+    initLibraryLiveUpdates();
+    initMigrationLiveUpdates();
+    initJobsLiveUpdates();
+    startLiveUpdates();
+    
     // Rating settings form
     // Load Servarr status on page load
     loadServarrStatus();
@@ -111,11 +131,15 @@ document.addEventListener('DOMContentLoaded', function() {
     // Start polling for processing count
     startProcessingCountPolling();
     
+    // Load saved filter presets for the sidebar; their counts wait until Browse is opened
+    loadFilterPresets();
+    
     // Check if browse tab is active and load media
     const activeTab = document.querySelector('.nav-item.active');
     if (activeTab && activeTab.getAttribute('data-tab') === 'browse') {
         loadBrowseMedia();
         setupBrowseEventListeners();
+        loadPresetCounts();
     }
     
     // Check migration status on startup
@@ -170,11 +194,21 @@ document.addEventListener('DOMContentLoaded', function() {
         const pathModal = document.getElementById('pathBrowserModal');
         const trackModal = document.getElementById('trackDetailsModal');
         const ratingModal = document.getElementById('ratingDetailsModal');
+        const scheduleModal = document.getElementById('scanScheduleModal');
+        const notificationModal = document.getElementById('notificationTargetModal');
+        const profileModal = document.getElementById('deviceProfileModal');
+        const jellyfinImportModal = document.getElementById('jellyfinImportModal');
+        const simulationModal = document.getElementById('ratingSimulationModal');
         if (event.target === mediaModal) closeMediaModal();
         if (event.target === trackModal) closeTrackDetailsModal();
         if (event.target === addModal) closeAddLibraryModal();
         if (event.target === pathModal) closePathBrowserModal();
         if (event.target === ratingModal) closeRatingDetailsModal();
+        if (event.target === scheduleModal) closeScanScheduleModal();
+        if (event.target === notificationModal) closeNotificationTargetModal();
+        if (event.target === profileModal) closeDeviceProfileModal();
+        if (event.target === jellyfinImportModal) closeJellyfinImportModal();
+        if (event.target === simulationModal) closeRatingSimulationModal();
     });
 });
 
@@ -0,0 +1,306 @@
+// Authentication: login page, session status and the Security settings (user, local bypass, API keys)
+import { escapeHtml, formatDateTime } from './utils.js';
+
+let loginScreenShown = false;
+
+function showLoginScreen() {
+    if (loginScreenShown) return;
+    loginScreenShown = true;
+
+    const loginScreen = document.getElementById('loginScreen');
+    if (loginScreen) loginScreen.style.display = 'flex';
+    document.getElementById('loginUsername')?.focus();
+}
+
+// A session that expires while the page is open shows the login page on the next API call
+function watchForExpiredSession() {
+    const originalFetch = window.fetch.bind(window);
+    window.fetch = async (input, init) => {
+        const response = await originalFetch(input, init);
+        const url = typeof input === 'string' ? input : (input.url || String(input));
+        if (response.status === 401 && url.startsWith('/api/') && !url.startsWith('/api/auth/')) {
+            showLoginScreen();
+        }
+        return response;
+    };
+}
+
+function renderSidebarUser(status) {
+    const container = document.getElementById('sidebarUser');
+    if (!container) return;
+
+    if (status.authenticated && status.authMethod === 'session') {
+        container.innerHTML = `
+            <span class="sidebar-user-name" title="Signed in">👤 ${escapeHtml(status.username)}</span>
+            <button class="btn btn-sm btn-secondary" onclick="logout()">Log Out</button>
+        `;
+        container.style.display = 'flex';
+    } else {
+        container.style.display = 'none';
+    }
+}
+
+/**
+ * Checks whether this browser may use the UI. Resolves to false (and shows the login page) when
+ * authentication is enabled and the browser is neither signed in nor on a bypassed local address.
+ */
+export async function initAuth() {
+    watchForExpiredSession();
+
+    try {
+        const response = await fetch('/api/auth/status');
+        if (!response.ok) return true;
+
+        const status = await response.json();
+        renderSidebarUser(status);
+        if (!status.accessGranted) {
+            showLoginScreen();
+            return false;
+        }
+        return true;
+    } catch (error) {
+        console.error('Error checking authentication status:', error);
+        return true;
+    }
+}
+
+export async function submitLogin(event) {
+    event.preventDefault();
+    const errorEl = document.getElementById('loginError');
+    const button = document.getElementById('loginSubmit');
+    if (errorEl) errorEl.style.display = 'none';
+    if (button) button.disabled = true;
+
+    try {
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('loginUsername').value,
+                password: document.getElementById('loginPassword').value,
+                rememberMe: document.getElementById('loginRememberMe').checked
+            })
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Login failed');
+        }
+
+        // Start the app from scratch now that API calls are allowed
+        window.location.reload();
+    } catch (error) {
+        if (errorEl) {
+            errorEl.textContent = error.message;
+            errorEl.style.display = 'block';
+        }
+        if (button) button.disabled = false;
+    }
+}
+
+export async function logout() {
+    try {
+        await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('Error logging out:', error);
+    }
+    window.location.reload();
+}
+
+// Settings: user and local address bypass
+
+export function updateAuthFields() {
+    const enabled = document.getElementById('authEnabled')?.checked;
+    const fields = document.getElementById('authFields');
+    if (fields) fields.style.opacity = enabled ? '1' : '0.6';
+}
+
+export async function loadAuthSettings() {
+    try {
+        const response = await fetch('/api/auth/settings');
+        if (!response.ok) return;
+
+        const settings = await response.json();
+        document.getElementById('authEnabled').checked = settings.enabled;
+        document.getElementById('authUsername').value = settings.username || '';
+        document.getElementById('authPassword').value = '';
+        document.getElementById('authPasswordConfirm').value = '';
+        document.getElementById('authPassword').placeholder = settings.hasPassword ? 'Unchanged' : '';
+        document.getElementById('authBypassLocal').checked = settings.bypassLocalAddresses;
+        updateAuthFields();
+    } catch (error) {
+        console.error('Error loading authentication settings:', error);
+    }
+
+    loadApiKeys();
+}
+
+export async function saveAuthSettings() {
+    const enabled = document.getElementById('authEnabled').checked;
+    const username = document.getElementById('authUsername').value.trim();
+    const password = document.getElementById('authPassword').value;
+    const confirmPassword = document.getElementById('authPasswordConfirm').value;
+
+    if (password !== confirmPassword) {
+        alert('Passwords do not match');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/auth/settings', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                enabled,
+                username,
+                password: password || null,
+                bypassLocalAddresses: document.getElementById('authBypassLocal').checked
+            })
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Failed to save authentication settings');
+        }
+
+        const result = await response.json();
+        alert(result.message);
+        loadAuthSettings();
+
+        const statusResponse = await fetch('/api/auth/status');
+        if (statusResponse.ok) renderSidebarUser(await statusResponse.json());
+    } catch (error) {
+        console.error('Error saving authentication settings:', error);
+        alert(`Error saving authentication settings: ${error.message}`);
+    }
+}
+
+// Settings: API keys
+
+export async function loadApiKeys() {
+    const container = document.getElementById('apiKeysContainer');
+    if (!container) return;
+
+    try {
+        const response = await fetch('/api/auth/keys');
+        if (!response.ok) throw new Error(`Failed to load API keys: ${response.status}`);
+
+        const keys = await response.json();
+        if (keys.length === 0) {
+            container.innerHTML = '<div class="empty-state">No API keys yet</div>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>Key</th>
+                        <th>Created</th>
+                        <th>Last Used</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${keys.map(key => `
+                        <tr>
+                            <td>${escapeHtml(key.name)}</td>
+                            <td><code>${escapeHtml(key.keyPrefix)}…</code></td>
+                            <td>${formatDateTime(key.createdAt, 'Never')}</td>
+                            <td>${formatDateTime(key.lastUsedAt, 'Never')}</td>
+                            <td><button class="btn btn-danger btn-sm" onclick="deleteApiKey(${key.id})">Revoke</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        console.error('Error loading API keys:', error);
+        container.innerHTML = '<div class="error-state">Error loading API keys</div>';
+    }
+}
+
+export async function createApiKey() {
+    const nameInput = document.getElementById('apiKeyName');
+    const name = nameInput.value.trim();
+    if (!name) {
+        alert('Please enter a name for the key, e.g. "Sonarr webhook"');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/auth/keys', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name })
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Failed to create API key');
+        }
+
+        const created = await response.json();
+        nameInput.value = '';
+
+        // The key is only returned once
+        const createdBox = document.getElementById('apiKeyCreated');
+        if (createdBox) {
+            createdBox.innerHTML = `
+                <p>Copy the key for <strong>${escapeHtml(created.name)}</strong> now, it is not shown again:</p>
+                <div class="api-key-value">
+                    <code id="apiKeyCreatedValue">${escapeHtml(created.key)}</code>
+                    <button class="btn btn-secondary btn-sm" onclick="copyCreatedApiKey()">Copy</button>
+                </div>
+            `;
+            createdBox.style.display = 'block';
+        }
+
+        loadApiKeys();
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        alert(`Error creating API key: ${error.message}`);
+    }
+}
+
+export async function copyCreatedApiKey() {
+    const key = document.getElementById('apiKeyCreatedValue')?.textContent;
+    if (!key) return;
+
+    try {
+        await navigator.clipboard.writeText(key);
+    } catch (error) {
+        // Clipboard access needs https or localhost; fall back to selecting the key
+        const range = document.createRange();
+        range.selectNodeContents(document.getElementById('apiKeyCreatedValue'));
+        window.getSelection().removeAllRanges();
+        window.getSelection().addRange(range);
+    }
+}
+
+export async function deleteApiKey(id) {
+    if (!confirm('Revoke this API key? Anything using it will get 401 errors.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/auth/keys/${id}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Failed to revoke API key');
+        }
+        loadApiKeys();
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        alert(`Error revoking API key: ${error.message}`);
+    }
+}
+
+window.submitLogin = submitLogin;
+window.logout = logout;
+window.updateAuthFields = updateAuthFields;
+window.saveAuthSettings = saveAuthSettings;
+window.createApiKey = createApiKey;
+window.copyCreatedApiKey = copyCreatedApiKey;
+window.deleteApiKey = deleteApiKey;
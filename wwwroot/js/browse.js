@@ -1,51 +1,161 @@
 // Browse Media Functions
-import { escapeHtml, getRatingCategory, getTitleFromFileName } from './utils.js';
+import { escapeHtml, formatDuration, formatFileSize, getRatingCategory, getTitleFromFileName } from './utils.js';
 import { showMediaInfo } from './media-info.js';
+import { queueOptimization } from './jobs.js';
+import { fetchDeviceProfiles } from './profiles.js';
 
 export let browseCurrentPage = 1;
 
-export async function loadBrowseMedia() {
-    const libraryId = document.getElementById('browseLibraryFilter')?.value || '';
-    const codec = document.getElementById('browseCodecFilter')?.value || '';
-    const container = document.getElementById('browseContainerFilter')?.value || '';
-    const score = document.getElementById('browseScoreFilter')?.value || '';
-    const servarrFilter = document.getElementById('browseServarrFilter')?.value || '';
-    const audioCodec = document.getElementById('browseAudioCodecFilter')?.value || '';
-    const audioChannel = document.getElementById('browseAudioChannelFilter')?.value || '';
-    const hdrSdr = document.getElementById('browseHdrSdrFilter')?.value || '';
-    const bitDepth = document.getElementById('browseBitDepthFilter')?.value || '';
-    const subtitleFormat = document.getElementById('browseSubtitleFormatFilter')?.value || '';
-    const bitrateRange = document.getElementById('browseBitrateRangeFilter')?.value || '';
-    const search = document.getElementById('browseSearch')?.value || '';
-    const sortBy = document.getElementById('browseSortBy')?.value || 'analyzedAt';
-    const sortOrder = document.getElementById('browseSortOrder')?.value || 'desc';
-    const isBroken = document.getElementById('browseBrokenFilter')?.checked || false;
+// Items on the current page, kept so view and column changes can re-render without a refetch
+let lastBrowseItems = [];
+
+// Browse filters as they appear in the URL hash (#browse?codec=HEVC&score=Poor&page=3).
+// Parameter names match the /api/library/videos query so the hash can be passed straight through.
+const BROWSE_FILTER_FIELDS = [
+    { param: 'libraryPathId', elementId: 'browseLibraryFilter' },
+    { param: 'codec', elementId: 'browseCodecFilter' },
+    { param: 'container', elementId: 'browseContainerFilter' },
+    { param: 'score', elementId: 'browseScoreFilter' },
+    { param: 'profileId', elementId: 'browseProfileFilter' },
+    { param: 'servarrFilter', elementId: 'browseServarrFilter' },
+    { param: 'audioCodec', elementId: 'browseAudioCodecFilter' },
+    { param: 'audioChannel', elementId: 'browseAudioChannelFilter' },
+    { param: 'hdrSdr', elementId: 'browseHdrSdrFilter' },
+    { param: 'bitDepth', elementId: 'browseBitDepthFilter' },
+    { param: 'subtitleFormat', elementId: 'browseSubtitleFormatFilter' },
+    { param: 'bitrateRange', elementId: 'browseBitrateRangeFilter' },
+    { param: 'search', elementId: 'browseSearch' },
+    { param: 'sortBy', elementId: 'browseSortBy', defaultValue: 'analyzedAt' },
+    { param: 'sortOrder', elementId: 'browseSortOrder', defaultValue: 'desc' },
+    { param: 'isBroken', elementId: 'browseBrokenFilter', checkbox: true }
+];
+
+// Read the current Browse filters from the DOM, including the page number
+export function getBrowseFilterState() {
+    const state = { page: browseCurrentPage };
+    BROWSE_FILTER_FIELDS.forEach(field => {
+        const element = document.getElementById(field.elementId);
+        if (field.checkbox) {
+            state[field.param] = element?.checked || false;
+        } else {
+            state[field.param] = element?.value || field.defaultValue || '';
+        }
+    });
+    return state;
+}
+
+// Build the API query for a filter state, leaving out empty filters
+function buildBrowseQueryParams(state) {
+    const params = new URLSearchParams();
+    BROWSE_FILTER_FIELDS.forEach(field => {
+        const value = state[field.param];
+        if (field.checkbox) {
+            if (value) params.append(field.param, 'true');
+        } else if (value) {
+            params.append(field.param, value);
+        }
+    });
+    return params;
+}
+
+// Build a shareable #browse hash. Only non-default values are included, so
+// buildBrowseHash({ codec: 'HEVC' }) gives '#browse?codec=HEVC'.
+export function buildBrowseHash(filters = {}) {
+    const params = new URLSearchParams();
+    BROWSE_FILTER_FIELDS.forEach(field => {
+        const value = filters[field.param];
+        if (field.checkbox) {
+            if (value === true || value === 'true') params.append(field.param, 'true');
+        } else if (value !== undefined && value !== null && value !== '' && String(value) !== (field.defaultValue || '')) {
+            params.append(field.param, value);
+        }
+    });
+    const page = parseInt(filters.page, 10);
+    if (page > 1) params.append('page', page);
+
+    const query = params.toString();
+    return query ? `#browse?${query}` : '#browse';
+}
+
+// Parse a #browse?... hash into a complete filter state (missing values fall back to defaults)
+export function parseBrowseHash(hash) {
+    const queryIndex = (hash || '').indexOf('?');
+    const params = new URLSearchParams(queryIndex >= 0 ? hash.substring(queryIndex + 1) : '');
+    const state = { page: Math.max(1, parseInt(params.get('page'), 10) || 1) };
+    BROWSE_FILTER_FIELDS.forEach(field => {
+        if (field.checkbox) {
+            state[field.param] = params.get(field.param) === 'true';
+        } else {
+            state[field.param] = params.get(field.param) || field.defaultValue || '';
+        }
+    });
+    return state;
+}
+
+// Push a filter state into the DOM. Select options that are loaded asynchronously
+// (libraries, codecs, ...) may not exist yet, so a placeholder option is added for
+// the value and replaced once the real options arrive.
+export function applyBrowseFilterState(state) {
+    BROWSE_FILTER_FIELDS.forEach(field => {
+        const element = document.getElementById(field.elementId);
+        if (!element) return;
+
+        if (field.checkbox) {
+            element.checked = !!state[field.param];
+            return;
+        }
+
+        const value = state[field.param] || field.defaultValue || '';
+        if (element.tagName === 'SELECT' && value && !Array.from(element.options).some(o => o.value === value)) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            element.appendChild(option);
+        }
+        element.value = value;
+    });
+    setBrowsePage(state.page || 1);
+}
+
+export function restoreBrowseStateFromHash(hash = window.location.hash) {
+    applyBrowseFilterState(parseBrowseHash(hash));
+}
+
+// Mirror the current filters in the URL so the view can be bookmarked, shared and
+// navigated with back/forward. Only done while the Browse tab is visible, since
+// loadBrowseMedia is also called from other tabs to refresh results in the background.
+function updateBrowseHash(state, historyMode) {
+    if (historyMode === 'none') return;
+
+    const browseSection = document.getElementById('browse');
+    if (!browseSection || !browseSection.classList.contains('active')) return;
+
+    const hash = buildBrowseHash(state);
+    if (window.location.hash === hash) return;
+
+    if (historyMode === 'replace') {
+        history.replaceState(null, '', hash);
+    } else {
+        history.pushState(null, '', hash);
+    }
+}
+
+// historyMode: 'push' (default, a new back/forward entry), 'replace' or 'none'
+export async function loadBrowseMedia(historyMode = 'push') {
+    const state = getBrowseFilterState();
     const grid = document.getElementById('browseMediaGrid');
     
+    updateBrowseHash(state, historyMode);
+    
     if (grid) {
         grid.innerHTML = '<div class="loading-placeholder">Loading media...</div>';
     }
     
     try {
-        const params = new URLSearchParams({
-            page: browseCurrentPage,
-            pageSize: 24
-        });
-        if (libraryId) params.append('libraryPathId', libraryId);
-        if (codec) params.append('codec', codec);
-        if (container) params.append('container', container);
-        if (score) params.append('score', score);
-        if (servarrFilter) params.append('servarrFilter', servarrFilter);
-        if (audioCodec) params.append('audioCodec', audioCodec);
-        if (audioChannel) params.append('audioChannel', audioChannel);
-        if (hdrSdr) params.append('hdrSdr', hdrSdr);
-        if (bitDepth) params.append('bitDepth', bitDepth);
-        if (subtitleFormat) params.append('subtitleFormat', subtitleFormat);
-        if (bitrateRange) params.append('bitrateRange', bitrateRange);
-        if (search) params.append('search', search);
-        if (sortBy) params.append('sortBy', sortBy);
-        if (sortOrder) params.append('sortOrder', sortOrder);
-        if (isBroken) params.append('isBroken', 'true');
+        const params = buildBrowseQueryParams(state);
+        params.set('page', browseCurrentPage);
+        // The table is denser than the card grid, so show more rows per page
+        params.set('pageSize', getBrowseViewMode() === 'table' ? 100 : 24);
         
         const response = await fetch(`/api/library/videos?${params}`);
         if (!response.ok) throw new Error(`Failed to load media: ${response.status}`);
@@ -60,148 +170,29 @@ export async function loadBrowseMedia() {
             if (grid) {
                 grid.innerHTML = '<div class="empty-state"><p>No media found. Try adjusting your filters.</p></div>';
             }
+            lastBrowseItems = [];
             // Clear pagination when no results
             updateBrowsePagination({ items: [], total: 0, totalPages: 0, page: 1 });
             return;
         }
         
-        if (grid) {
-            grid.innerHTML = items.map(video => {
-                const rating = video.compatibilityRating ?? 0; // Now 0-100 scale
-                
-                // Determine audio type (surround/stereo)
-                let audioType = 'Unknown';
-                let audioCodec = 'N/A';
-                try {
-                    if (video.audioTracksJson) {
-                        const audioTracks = JSON.parse(video.audioTracksJson);
-                        if (Array.isArray(audioTracks) && audioTracks.length > 0) {
-                            // Get the first audio track for display
-                            const firstTrack = audioTracks[0];
-                            audioCodec = firstTrack.codec || firstTrack.Codec || 'N/A';
-                            
-                            // Determine if surround (channels > 2) or stereo (channels = 2)
-                            // Handle both camelCase and PascalCase property names
-                            const channelValues = audioTracks.map(t => {
-                                // Try camelCase first, then PascalCase
-                                const channels = t.channels !== undefined && t.channels !== null 
-                                    ? t.channels 
-                                    : (t.Channels !== undefined && t.Channels !== null ? t.Channels : null);
-                                return channels;
-                            }).filter(c => c !== null && c !== undefined && c > 0);
-                            
-                            if (channelValues.length === 0) {
-                                // No valid channel data, can't determine
-                                audioType = 'Unknown';
-                            } else {
-                                const maxChannels = Math.max(...channelValues);
-                                if (maxChannels > 2) {
-                                    audioType = 'Surround';
-                                } else if (maxChannels === 2) {
-                                    audioType = 'Stereo';
-                                } else if (maxChannels === 1) {
-                                    audioType = 'Mono';
-                                }
-                                
-                                // Debug logging if we detect surround but logic fails
-                                if (maxChannels > 2 && audioType !== 'Surround') {
-                                    console.warn('Audio type detection issue - maxChannels:', maxChannels, 'audioTracks:', audioTracks, 'channelValues:', channelValues);
-                                }
-                            }
-                        }
-                    }
-                } catch (e) {
-                    console.warn('Error parsing audio tracks:', e);
-                }
-                
-                // Determine quality/resolution tag
-                const height = video.height || 0;
-                let qualityTag = '';
-                if (height >= 2160) {
-                    qualityTag = '4K';
-                } else if (height >= 1440) {
-                    qualityTag = '1440p';
-                } else if (height >= 1080) {
-                    qualityTag = '1080p';
-                } else if (height >= 720) {
-                    qualityTag = '720p';
-                } else if (height >= 480) {
-                    qualityTag = '480p';
-                } else if (height > 0) {
-                    qualityTag = `${height}p`;
-                }
-                
-                // Servarr icons
-                let servarrIcons = '';
-                if (video.servarrType === 'Sonarr') {
-                    servarrIcons = '<span class="servarr-icon sonarr-icon" title="Found in Sonarr: ' + escapeHtml(video.sonarrSeriesTitle || 'Unknown Series') + ' S' + (video.sonarrSeasonNumber || '?') + 'E' + (video.sonarrEpisodeNumber || '?') + '">📺</span>';
-                } else if (video.servarrType === 'Radarr') {
-                    servarrIcons = '<span class="servarr-icon radarr-icon" title="Found in Radarr: ' + escapeHtml(video.radarrMovieTitle || 'Unknown Movie') + (video.radarrYear ? ' (' + video.radarrYear + ')' : '') + '">🎬</span>';
-                }
-                
-                // Processing status badge
-                const processingBadge = video.processingStatus === 'Processing' 
-                    ? '<span class="processing-badge" title="Video is being redownloaded, will be rescanned after 24 hours">⏳ Processing</span>' 
-                    : '';
-                
-                // Determine rating category for color coding
-                const ratingCategory = getRatingCategory(rating);
-                
-                return `
-                    <div class="media-card ${video.isBroken ? 'broken-media' : ''} ${video.processingStatus === 'Processing' ? 'processing-media' : ''}" data-video-id="${video.id}">
-                        <div class="media-card-checkbox" onclick="event.stopPropagation();">
-                            <input type="checkbox" class="browse-video-checkbox" value="${video.id}" onchange="updateBrowseSelection()">
-                        </div>
-                        <div class="media-card-content" onclick="showMediaInfo(${video.id})">
-                        <div class="media-card-header">
-                            ${servarrIcons}
-                            ${processingBadge}
-                            ${video.isBroken ? '<span class="broken-badge" title="Broken or unreadable media file">⚠️ Broken</span>' : `<span class="rating-badge rating-${ratingCategory}">${rating}/100</span>`}
-                            ${video.isHDR ? '<span class="hdr-badge">HDR</span>' : '<span class="sdr-badge">SDR</span>'}
-                            ${audioType !== 'Unknown' ? `<span class="audio-badge audio-${audioType.toLowerCase()}">${audioType}</span>` : ''}
-                            ${qualityTag ? `<span class="quality-badge">${qualityTag}</span>` : ''}
-                        </div>
-                        <div class="media-card-body">
-                            <div class="media-card-title" title="${escapeHtml(video.fileName || 'Unknown')}">
-                                ${escapeHtml(getTitleFromFileName(video.fileName))}
-                            </div>
-                            <div class="media-card-info">
-                                <div class="info-row">
-                                    <span class="info-label">Codec:</span>
-                                    <span class="info-value">${escapeHtml(video.videoCodec || 'NULL')}</span>
-                                </div>
-                                <div class="info-row">
-                                    <span class="info-label">Audio:</span>
-                                    <span class="info-value">${escapeHtml(audioCodec)}</span>
-                                </div>
-                                <div class="info-row">
-                                    <span class="info-label">Container:</span>
-                                    <span class="info-value">${escapeHtml(video.container || 'NULL')}</span>
-                                </div>
-                            </div>
-                        </div>
-                        </div>
-                    </div>
-                `;
-            }).join('');
-        }
+        lastBrowseItems = items;
+        renderBrowseItems(items);
         
         // Update pagination with the result data
         updateBrowsePagination(result);
         
         // Load library filter options if not already loaded
         const libraryFilter = document.getElementById('browseLibraryFilter');
-        if (libraryFilter && libraryFilter.querySelectorAll('option').length <= 1) {
+        if (libraryFilter && libraryFilter.dataset.loaded !== 'true') {
             loadBrowseLibraryFilters();
         }
         
         // Load codec and container filter options if not already loaded
         const codecFilter = document.getElementById('browseCodecFilter');
         const containerFilter = document.getElementById('browseContainerFilter');
-        if (codecFilter && codecFilter.querySelectorAll('option').length <= 1) {
-            loadBrowseFilterOptions();
-        }
-        if (containerFilter && containerFilter.querySelectorAll('option').length <= 1) {
+        if ((codecFilter && codecFilter.dataset.loaded !== 'true') ||
+            (containerFilter && containerFilter.dataset.loaded !== 'true')) {
             loadBrowseFilterOptions();
         }
     } catch (error) {
@@ -212,6 +203,351 @@ export async function loadBrowseMedia() {
     }
 }
 
+// Media card for the grid view
+function renderBrowseCard(video) {
+    const rating = video.compatibilityRating ?? 0; // Now 0-100 scale
+    
+    // Determine audio type (surround/stereo)
+    let audioType = 'Unknown';
+    let audioCodec = 'N/A';
+    try {
+        if (video.audioTracksJson) {
+            const audioTracks = JSON.parse(video.audioTracksJson);
+            if (Array.isArray(audioTracks) && audioTracks.length > 0) {
+                // Get the first audio track for display
+                const firstTrack = audioTracks[0];
+                audioCodec = firstTrack.codec || firstTrack.Codec || 'N/A';
+                
+                // Determine if surround (channels > 2) or stereo (channels = 2)
+                // Handle both camelCase and PascalCase property names
+                const channelValues = audioTracks.map(t => {
+                    // Try camelCase first, then PascalCase
+                    const channels = t.channels !== undefined && t.channels !== null 
+                        ? t.channels 
+                        : (t.Channels !== undefined && t.Channels !== null ? t.Channels : null);
+                    return channels;
+                }).filter(c => c !== null && c !== undefined && c > 0);
+                
+                if (channelValues.length === 0) {
+                    // No valid channel data, can't determine
+                    audioType = 'Unknown';
+                } else {
+                    const maxChannels = Math.max(...channelValues);
+                    if (maxChannels > 2) {
+                        audioType = 'Surround';
+                    } else if (maxChannels === 2) {
+                        audioType = 'Stereo';
+                    } else if (maxChannels === 1) {
+                        audioType = 'Mono';
+                    }
+                    
+                    // Debug logging if we detect surround but logic fails
+                    if (maxChannels > 2 && audioType !== 'Surround') {
+                        console.warn('Audio type detection issue - maxChannels:', maxChannels, 'audioTracks:', audioTracks, 'channelValues:', channelValues);
+                    }
+                }
+            }
+        }
+    } catch (e) {
+        console.warn('Error parsing audio tracks:', e);
+    }
+    
+    // Determine quality/resolution tag
+    const height = video.height || 0;
+    let qualityTag = '';
+    if (height >= 2160) {
+        qualityTag = '4K';
+    } else if (height >= 1440) {
+        qualityTag = '1440p';
+    } else if (height >= 1080) {
+        qualityTag = '1080p';
+    } else if (height >= 720) {
+        qualityTag = '720p';
+    } else if (height >= 480) {
+        qualityTag = '480p';
+    } else if (height > 0) {
+        qualityTag = `${height}p`;
+    }
+    
+    // Servarr icons
+    let servarrIcons = '';
+    if (video.servarrType === 'Sonarr') {
+        servarrIcons = '<span class="servarr-icon sonarr-icon" title="Found in Sonarr: ' + escapeHtml(video.sonarrSeriesTitle || 'Unknown Series') + ' S' + (video.sonarrSeasonNumber || '?') + 'E' + (video.sonarrEpisodeNumber || '?') + '">📺</span>';
+    } else if (video.servarrType === 'Radarr') {
+        servarrIcons = '<span class="servarr-icon radarr-icon" title="Found in Radarr: ' + escapeHtml(video.radarrMovieTitle || 'Unknown Movie') + (video.radarrYear ? ' (' + video.radarrYear + ')' : '') + '">🎬</span>';
+    }
+    
+    // Processing status badge
+    const processingBadge = video.processingStatus === 'Processing' 
+        ? '<span class="processing-badge" title="Video is being redownloaded, follow it in Redownloads">⏳ Processing</span>' 
+        : '';
+    
+    // Determine rating category for color coding
+    const ratingCategory = getRatingCategory(rating);
+    
+    return `
+        <div class="media-card ${video.isBroken ? 'broken-media' : ''} ${video.processingStatus === 'Processing' ? 'processing-media' : ''}" data-video-id="${video.id}">
+            <div class="media-card-checkbox" onclick="event.stopPropagation();">
+                <input type="checkbox" class="browse-video-checkbox" value="${video.id}" onchange="updateBrowseSelection()">
+            </div>
+            <div class="media-card-content" onclick="showMediaInfo(${video.id})">
+            <div class="media-card-header">
+                ${servarrIcons}
+                ${processingBadge}
+                ${video.isBroken ? '<span class="broken-badge" title="Broken or unreadable media file">⚠️ Broken</span>' : `<span class="rating-badge rating-${ratingCategory}">${rating}/100</span>`}
+                ${video.isHDR ? '<span class="hdr-badge">HDR</span>' : '<span class="sdr-badge">SDR</span>'}
+                ${audioType !== 'Unknown' ? `<span class="audio-badge audio-${audioType.toLowerCase()}">${audioType}</span>` : ''}
+                ${qualityTag ? `<span class="quality-badge">${qualityTag}</span>` : ''}
+            </div>
+            <div class="media-card-body">
+                <div class="media-card-title" title="${escapeHtml(video.fileName || 'Unknown')}">
+                    ${escapeHtml(getTitleFromFileName(video.fileName))}
+                </div>
+                <div class="media-card-info">
+                    <div class="info-row">
+                        <span class="info-label">Codec:</span>
+                        <span class="info-value">${escapeHtml(video.videoCodec || 'NULL')}</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="info-label">Audio:</span>
+                        <span class="info-value">${escapeHtml(audioCodec)}</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="info-label">Container:</span>
+                        <span class="info-value">${escapeHtml(video.container || 'NULL')}</span>
+                    </div>
+                </div>
+            </div>
+            </div>
+        </div>
+    `;
+}
+
+// Table view: Name is always shown, the other columns can be toggled.
+// sortBy values must match the sort options handled by GET /api/library/videos.
+const BROWSE_VIEW_MODE_KEY = 'browseViewMode';
+const BROWSE_COLUMNS_KEY = 'browseTableColumns';
+const DEFAULT_BROWSE_COLUMNS = ['resolution', 'videoCodec', 'container', 'duration', 'fileSize', 'rating'];
+
+const BROWSE_TABLE_COLUMNS = [
+    { key: 'resolution', label: 'Resolution', sortBy: 'width', defaultOrder: 'desc',
+        render: v => v.width && v.height ? `${v.width}×${v.height}` : '-' },
+    { key: 'videoCodec', label: 'Codec', sortBy: 'videoCodec', defaultOrder: 'asc',
+        render: v => escapeHtml(v.videoCodec || '-') },
+    { key: 'container', label: 'Container', sortBy: 'container', defaultOrder: 'asc',
+        render: v => escapeHtml(v.container || '-') },
+    { key: 'bitrate', label: 'Bitrate', sortBy: 'bitrate', defaultOrder: 'desc',
+        render: v => {
+            const mbps = getBitrateMbps(v);
+            return mbps !== null ? `${mbps.toFixed(1)} Mbps` : '-';
+        } },
+    { key: 'duration', label: 'Duration', sortBy: 'duration', defaultOrder: 'desc',
+        render: v => formatDuration(v.duration) },
+    { key: 'fileSize', label: 'Size', sortBy: 'fileSize', defaultOrder: 'desc',
+        render: v => v.fileSize ? formatFileSize(v.fileSize) : '-' },
+    { key: 'bitDepth', label: 'Bit Depth', sortBy: 'bitDepth', defaultOrder: 'desc',
+        render: v => v.bitDepth ? `${v.bitDepth}-bit` : '-' },
+    { key: 'hdrType', label: 'HDR', sortBy: 'hdrType', defaultOrder: 'desc',
+        render: v => v.isHDR ? escapeHtml(v.hdrType || 'HDR') : 'SDR' },
+    { key: 'audioTracks', label: 'Audio Tracks', sortBy: 'audioTracks', defaultOrder: 'desc',
+        render: v => {
+            const codecs = (v.audioCodecs || '').split(',').map(c => c.trim()).filter(Boolean);
+            const count = v.audioTrackCount || codecs.length;
+            return count ? `${count}${codecs.length ? ` (${escapeHtml(codecs.join(', '))})` : ''}` : '-';
+        } },
+    { key: 'subtitleFormats', label: 'Subtitles', sortBy: 'subtitleFormats', defaultOrder: 'asc',
+        render: v => escapeHtml(v.subtitleFormats || '-') },
+    { key: 'servarrTitle', label: 'Sonarr/Radarr', sortBy: 'servarrTitle', defaultOrder: 'asc',
+        render: v => {
+            if (v.servarrType === 'Sonarr') {
+                return escapeHtml(`${v.sonarrSeriesTitle || 'Unknown Series'} S${v.sonarrSeasonNumber || '?'}E${v.sonarrEpisodeNumber || '?'}`);
+            }
+            if (v.servarrType === 'Radarr') {
+                return escapeHtml(`${v.radarrMovieTitle || 'Unknown Movie'}${v.radarrYear ? ` (${v.radarrYear})` : ''}`);
+            }
+            return '-';
+        } },
+    { key: 'rating', label: 'Rating', sortBy: 'compatibilityRating', defaultOrder: 'desc',
+        render: v => v.isBroken
+            ? '<span class="broken-badge" title="Broken or unreadable media file">⚠️ Broken</span>'
+            : `<span class="rating-badge rating-${getRatingCategory(v.compatibilityRating ?? 0)}">${v.compatibilityRating ?? 0}/100</span>` },
+    { key: 'analyzedAt', label: 'Analyzed', sortBy: 'analyzedAt', defaultOrder: 'desc',
+        render: v => v.analyzedAt ? new Date(v.analyzedAt).toLocaleString() : '-' }
+];
+
+// Same calculation (including the milliseconds correction) as the server's bitrate filter
+function getBitrateMbps(video) {
+    if (!video.duration || video.duration <= 0 || !video.fileSize || video.fileSize <= 0) return null;
+
+    let durationSeconds = video.duration;
+    let mbps = (video.fileSize * 8) / (durationSeconds * 1000000);
+    if (mbps > 1000) {
+        const correctedSeconds = durationSeconds / 1000;
+        const correctedMbps = (video.fileSize * 8) / (correctedSeconds * 1000000);
+        if (correctedMbps <= 500 && correctedSeconds >= 1 && correctedSeconds <= 864000) {
+            durationSeconds = correctedSeconds;
+            mbps = correctedMbps;
+        }
+    }
+
+    if (durationSeconds < 1 || durationSeconds > 864000 || mbps > 500 || mbps < 0.01) return null;
+    return mbps;
+}
+
+export function getBrowseViewMode() {
+    return localStorage.getItem(BROWSE_VIEW_MODE_KEY) === 'table' ? 'table' : 'grid';
+}
+
+export function getBrowseTableColumns() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(BROWSE_COLUMNS_KEY));
+        if (Array.isArray(stored)) {
+            return stored.filter(key => BROWSE_TABLE_COLUMNS.some(c => c.key === key));
+        }
+    } catch (e) {
+        // Ignore invalid stored columns and use the defaults
+    }
+    return [...DEFAULT_BROWSE_COLUMNS];
+}
+
+function renderBrowseItems(items) {
+    const grid = document.getElementById('browseMediaGrid');
+    if (!grid) return;
+
+    const viewMode = getBrowseViewMode();
+    grid.classList.toggle('media-grid', viewMode === 'grid');
+    grid.classList.toggle('browse-table-wrapper', viewMode === 'table');
+    updateBrowseViewControls();
+
+    if (items.length === 0) return;
+
+    grid.innerHTML = viewMode === 'table'
+        ? renderBrowseTable(items)
+        : items.map(renderBrowseCard).join('');
+}
+
+function renderBrowseTable(items) {
+    const visibleKeys = getBrowseTableColumns();
+    const columns = BROWSE_TABLE_COLUMNS.filter(c => visibleKeys.includes(c.key));
+    const sortBy = document.getElementById('browseSortBy')?.value || 'analyzedAt';
+    const sortOrder = document.getElementById('browseSortOrder')?.value || 'desc';
+
+    const header = (label, columnSortBy) => {
+        const isSorted = columnSortBy.toLowerCase() === sortBy.toLowerCase();
+        const indicator = isSorted ? (sortOrder === 'asc' ? ' ▲' : ' ▼') : '';
+        return `<th class="sortable ${isSorted ? 'sorted' : ''}" onclick="sortBrowseTable('${columnSortBy}')" title="Sort by ${escapeHtml(label)}">${escapeHtml(label)}${indicator}</th>`;
+    };
+
+    return `
+        <table class="browse-table">
+            <thead>
+                <tr>
+                    <th class="browse-table-select"></th>
+                    ${header('Name', 'fileName')}
+                    ${columns.map(c => header(c.label, c.sortBy)).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${items.map(video => `
+                    <tr class="${video.isBroken ? 'broken-media' : ''} ${video.processingStatus === 'Processing' ? 'processing-media' : ''}" data-video-id="${video.id}" onclick="showMediaInfo(${video.id})">
+                        <td class="browse-table-select" onclick="event.stopPropagation();">
+                            <input type="checkbox" class="browse-video-checkbox" value="${video.id}" onchange="updateBrowseSelection()">
+                        </td>
+                        <td class="browse-table-name" title="${escapeHtml(video.filePath || video.fileName || 'Unknown')}">
+                            ${escapeHtml(getTitleFromFileName(video.fileName))}
+                            ${video.processingStatus === 'Processing' ? '<span class="processing-badge" title="Video is being redownloaded, follow it in Redownloads">⏳</span>' : ''}
+                        </td>
+                        ${columns.map(c => `<td>${c.render(video)}</td>`).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function updateBrowseViewControls() {
+    const viewMode = getBrowseViewMode();
+    document.getElementById('browseGridViewBtn')?.classList.toggle('active', viewMode === 'grid');
+    document.getElementById('browseTableViewBtn')?.classList.toggle('active', viewMode === 'table');
+
+    const columnPicker = document.getElementById('browseColumnPicker');
+    if (columnPicker) {
+        columnPicker.style.display = viewMode === 'table' ? 'inline-block' : 'none';
+    }
+}
+
+export function setBrowseViewMode(mode) {
+    if (mode === getBrowseViewMode()) return;
+    localStorage.setItem(BROWSE_VIEW_MODE_KEY, mode === 'table' ? 'table' : 'grid');
+    updateBrowseViewControls();
+    // Page size differs between views, so start from the first page again
+    resetBrowsePage();
+    loadBrowseMedia('replace');
+}
+
+// Clicking the sorted column flips the order, another column sorts by it in its natural order
+export function sortBrowseTable(sortBy) {
+    const sortBySelect = document.getElementById('browseSortBy');
+    const sortOrderSelect = document.getElementById('browseSortOrder');
+    if (!sortBySelect || !sortOrderSelect) return;
+
+    if (sortBySelect.value.toLowerCase() === sortBy.toLowerCase()) {
+        sortOrderSelect.value = sortOrderSelect.value === 'asc' ? 'desc' : 'asc';
+    } else {
+        const column = BROWSE_TABLE_COLUMNS.find(c => c.sortBy === sortBy);
+        sortBySelect.value = sortBy;
+        sortOrderSelect.value = column ? column.defaultOrder : 'asc';
+    }
+
+    resetBrowsePage();
+    loadBrowseMedia();
+}
+
+export function toggleBrowseColumnMenu() {
+    const menu = document.getElementById('browseColumnMenu');
+    if (!menu) return;
+
+    if (menu.style.display === 'block') {
+        menu.style.display = 'none';
+        return;
+    }
+
+    const visibleKeys = getBrowseTableColumns();
+    menu.innerHTML = BROWSE_TABLE_COLUMNS.map(c => `
+        <label class="checkbox-label">
+            <input type="checkbox" value="${c.key}" ${visibleKeys.includes(c.key) ? 'checked' : ''} onchange="toggleBrowseColumn('${c.key}', this.checked)">
+            <span>${escapeHtml(c.label)}</span>
+        </label>
+    `).join('') + `
+        <button type="button" class="btn btn-secondary btn-sm" onclick="resetBrowseColumns()">Reset to defaults</button>
+    `;
+    menu.style.display = 'block';
+}
+
+export function toggleBrowseColumn(key, visible) {
+    const keys = getBrowseTableColumns().filter(k => k !== key);
+    if (visible) keys.push(key);
+    // Keep the configured order rather than the order columns were ticked in
+    const ordered = BROWSE_TABLE_COLUMNS.map(c => c.key).filter(k => keys.includes(k));
+    localStorage.setItem(BROWSE_COLUMNS_KEY, JSON.stringify(ordered));
+    rerenderBrowseTable();
+}
+
+export function resetBrowseColumns() {
+    localStorage.removeItem(BROWSE_COLUMNS_KEY);
+    const menu = document.getElementById('browseColumnMenu');
+    if (menu) menu.style.display = 'none';
+    rerenderBrowseTable();
+}
+
+// Changing columns rebuilds the rows, so tick the selected videos again
+function rerenderBrowseTable() {
+    renderBrowseItems(lastBrowseItems);
+    document.querySelectorAll('.browse-video-checkbox').forEach(cb => {
+        cb.checked = selectedVideoIds.has(parseInt(cb.value));
+    });
+}
+
 export function updateBrowsePagination(result) {
     const pagination = document.getElementById('browsePagination');
     if (!pagination) return;
@@ -251,92 +587,79 @@ export async function loadBrowseLibraryFilters() {
         const select = document.getElementById('browseLibraryFilter');
         if (!select) return;
         
-        libraries.forEach(lib => {
-            const option = document.createElement('option');
-            option.value = lib.id;
-            option.textContent = lib.name || lib.path;
-            select.appendChild(option);
-        });
+        populateFilterSelect(select, libraries.map(lib => ({
+            value: String(lib.id),
+            label: lib.name || lib.path
+        })));
     } catch (error) {
         console.error('Error loading library filters:', error);
     }
 }
 
+// Replace a filter's options, keeping the "All ..." option and the current selection.
+// A selection restored from the URL that isn't in the list is kept as its own option.
+function populateFilterSelect(select, options) {
+    const currentValue = select.value;
+    const allOption = select.querySelector('option[value=""]');
+    select.innerHTML = '';
+    if (allOption) {
+        select.appendChild(allOption);
+    }
+    
+    options.forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    
+    if (currentValue && !options.some(o => o.value === currentValue)) {
+        const option = document.createElement('option');
+        option.value = currentValue;
+        option.textContent = currentValue;
+        select.appendChild(option);
+    }
+    select.value = currentValue;
+    select.dataset.loaded = 'true';
+}
+
 export async function loadBrowseFilterOptions() {
     try {
         const response = await fetch('/api/library/videos/filters');
         if (!response.ok) return;
         
         const filters = await response.json();
+        const toOptions = values => values.map(value => ({ value, label: value }));
         
         // Populate codec filter
         const codecSelect = document.getElementById('browseCodecFilter');
         if (codecSelect && filters.codecs) {
-            // Clear existing options except "All Codecs"
-            const allCodecsOption = codecSelect.querySelector('option[value=""]');
-            codecSelect.innerHTML = '';
-            if (allCodecsOption) {
-                codecSelect.appendChild(allCodecsOption);
-            }
-            
-            filters.codecs.forEach(codec => {
-                const option = document.createElement('option');
-                option.value = codec;
-                option.textContent = codec;
-                codecSelect.appendChild(option);
-            });
+            populateFilterSelect(codecSelect, toOptions(filters.codecs));
         }
         
         // Populate container filter
         const containerSelect = document.getElementById('browseContainerFilter');
         if (containerSelect && filters.containers) {
-            // Clear existing options except "All Containers"
-            const allContainersOption = containerSelect.querySelector('option[value=""]');
-            containerSelect.innerHTML = '';
-            if (allContainersOption) {
-                containerSelect.appendChild(allContainersOption);
-            }
-            
-            filters.containers.forEach(container => {
-                const option = document.createElement('option');
-                option.value = container;
-                option.textContent = container;
-                containerSelect.appendChild(option);
-            });
+            populateFilterSelect(containerSelect, toOptions(filters.containers));
         }
 
         // Populate audio codec filter
         const audioCodecSelect = document.getElementById('browseAudioCodecFilter');
         if (audioCodecSelect && filters.audioCodecs) {
-            const allAudioCodecsOption = audioCodecSelect.querySelector('option[value=""]');
-            audioCodecSelect.innerHTML = '';
-            if (allAudioCodecsOption) {
-                audioCodecSelect.appendChild(allAudioCodecsOption);
-            }
-            
-            filters.audioCodecs.forEach(codec => {
-                const option = document.createElement('option');
-                option.value = codec;
-                option.textContent = codec;
-                audioCodecSelect.appendChild(option);
-            });
+            populateFilterSelect(audioCodecSelect, toOptions(filters.audioCodecs));
         }
 
         // Populate subtitle format filter
         const subtitleFormatSelect = document.getElementById('browseSubtitleFormatFilter');
         if (subtitleFormatSelect && filters.subtitleFormats) {
-            const allSubtitleFormatsOption = subtitleFormatSelect.querySelector('option[value=""]');
-            subtitleFormatSelect.innerHTML = '';
-            if (allSubtitleFormatsOption) {
-                subtitleFormatSelect.appendChild(allSubtitleFormatsOption);
-            }
-            
-            filters.subtitleFormats.forEach(format => {
-                const option = document.createElement('option');
-                option.value = format;
-                option.textContent = format;
-                subtitleFormatSelect.appendChild(option);
-            });
+            populateFilterSelect(subtitleFormatSelect, toOptions(filters.subtitleFormats));
+        }
+
+        // Populate device profile filter (scores and ratings switch to the selected profile)
+        const profileSelect = document.getElementById('browseProfileFilter');
+        if (profileSelect) {
+            const profiles = await fetchDeviceProfiles();
+            populateFilterSelect(profileSelect, profiles.map(p => ({ value: String(p.id), label: p.name })));
         }
     } catch (error) {
         console.error('Error loading filter options:', error);
@@ -365,85 +688,78 @@ function debounceSearch() {
     }
     searchTimeout = setTimeout(() => {
         resetBrowsePage();
-        loadBrowseMedia();
+        // Replace rather than push so every pause while typing doesn't add a history entry
+        loadBrowseMedia('replace');
     }, 500); // Wait 500ms after user stops typing
 }
 
-// Setup event listeners for auto-search and sort changes
+// Setup event listeners for auto-search, filter and sort changes
+let browseListenersSetup = false;
 export function setupBrowseEventListeners() {
-    const searchInput = document.getElementById('browseSearch');
-    const sortBy = document.getElementById('browseSortBy');
-    const sortOrder = document.getElementById('browseSortOrder');
-    const servarrFilter = document.getElementById('browseServarrFilter');
-    const libraryFilter = document.getElementById('browseLibraryFilter');
-    const codecFilter = document.getElementById('browseCodecFilter');
-    const containerFilter = document.getElementById('browseContainerFilter');
-    const scoreFilter = document.getElementById('browseScoreFilter');
-    const brokenFilter = document.getElementById('browseBrokenFilter');
+    // switchTab calls this every time the tab is opened
+    if (browseListenersSetup) return;
     
+    const searchInput = document.getElementById('browseSearch');
     if (searchInput) {
         searchInput.addEventListener('input', () => {
             debounceSearch();
         });
     }
     
-    if (sortBy) {
-        sortBy.addEventListener('change', () => {
-            resetBrowsePage();
-            loadBrowseMedia();
-        });
-    }
-    
-    if (sortOrder) {
-        sortOrder.addEventListener('change', () => {
-            resetBrowsePage();
-            loadBrowseMedia();
-        });
-    }
-    
-    if (servarrFilter) {
-        servarrFilter.addEventListener('change', () => {
-            resetBrowsePage();
-            loadBrowseMedia();
-        });
-    }
-    
-    if (libraryFilter) {
-        libraryFilter.addEventListener('change', () => {
-            resetBrowsePage();
-            loadBrowseMedia();
-        });
-    }
-    
-    if (codecFilter) {
-        codecFilter.addEventListener('change', () => {
-            resetBrowsePage();
-            loadBrowseMedia();
-        });
-    }
-    
-    if (containerFilter) {
-        containerFilter.addEventListener('change', () => {
-            resetBrowsePage();
-            loadBrowseMedia();
+    BROWSE_FILTER_FIELDS
+        .filter(field => field.param !== 'search')
+        .forEach(field => {
+            const element = document.getElementById(field.elementId);
+            if (!element) return;
+            element.addEventListener('change', () => {
+                resetBrowsePage();
+                loadBrowseMedia();
+            });
         });
-    }
     
-    if (scoreFilter) {
-        scoreFilter.addEventListener('change', () => {
-            resetBrowsePage();
-            loadBrowseMedia();
-        });
-    }
+    // Close the column picker when clicking anywhere else
+    document.addEventListener('click', (e) => {
+        const picker = document.getElementById('browseColumnPicker');
+        const menu = document.getElementById('browseColumnMenu');
+        if (menu && picker && !picker.contains(e.target)) {
+            menu.style.display = 'none';
+        }
+    });
     
-    if (brokenFilter) {
-        brokenFilter.addEventListener('change', () => {
-            resetBrowsePage();
-            loadBrowseMedia();
-        });
+    browseListenersSetup = true;
+}
+
+// Copy a link to the current Browse view
+export async function copyBrowseLink() {
+    const url = `${window.location.origin}${window.location.pathname}${buildBrowseHash(getBrowseFilterState())}`;
+    try {
+        await navigator.clipboard.writeText(url);
+        const button = document.getElementById('copyBrowseLinkBtn');
+        if (button) {
+            const originalText = button.textContent;
+            button.textContent = 'Copied!';
+            setTimeout(() => { button.textContent = originalText; }, 1500);
+        }
+    } catch (error) {
+        // Clipboard API is unavailable on plain HTTP, fall back to a prompt the user can copy from
+        window.prompt('Copy this link:', url);
     }
 }
 
+// Download every video matching the current filters (all pages) as CSV or JSON.
+// The server streams the file, so a plain navigation is enough to trigger the download.
+export function exportBrowseResults(format = 'csv') {
+    const params = buildBrowseQueryParams(getBrowseFilterState());
+    params.append('format', format);
+
+    const link = document.createElement('a');
+    link.href = `/api/library/videos/export?${params}`;
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
 // Selection management
 let selectedVideoIds = new Set();
 
@@ -456,12 +772,16 @@ export function updateBrowseSelection() {
     const toolbar = document.querySelector('.browse-selection-toolbar');
     const redownloadBtn = document.getElementById('redownloadSelectedBtn');
     const rescanBtn = document.getElementById('rescanSelectedBtn');
+    const ffmpegScriptBtn = document.getElementById('ffmpegScriptBtn');
+    const optimizeBtn = document.getElementById('optimizeSelectedBtn');
     const selectAllCheckbox = document.getElementById('selectAllBrowse');
     
     if (countSpan) countSpan.textContent = `${count} selected`;
     if (toolbar) toolbar.style.display = count > 0 ? 'block' : 'none';
     if (redownloadBtn) redownloadBtn.disabled = count === 0;
     if (rescanBtn) rescanBtn.disabled = count === 0;
+    if (ffmpegScriptBtn) ffmpegScriptBtn.disabled = count === 0;
+    if (optimizeBtn) optimizeBtn.disabled = count === 0;
     if (selectAllCheckbox) {
         const allCheckboxes = document.querySelectorAll('.browse-video-checkbox');
         selectAllCheckbox.checked = allCheckboxes.length > 0 && allCheckboxes.length === checkboxes.length;
@@ -489,24 +809,10 @@ export function toggleSelectAllBrowse() {
 
 export async function selectAllFromAllPages() {
     try {
-        // Get current filter values
-        const libraryId = document.getElementById('browseLibraryFilter')?.value || '';
-        const codec = document.getElementById('browseCodecFilter')?.value || '';
-        const container = document.getElementById('browseContainerFilter')?.value || '';
-        const score = document.getElementById('browseScoreFilter')?.value || '';
-        const servarrFilter = document.getElementById('browseServarrFilter')?.value || '';
-        const search = document.getElementById('browseSearch')?.value || '';
-        const isBroken = document.getElementById('browseBrokenFilter')?.checked || false;
-        
-        // Build query parameters
-        const params = new URLSearchParams();
-        if (libraryId) params.append('libraryPathId', libraryId);
-        if (codec) params.append('codec', codec);
-        if (container) params.append('container', container);
-        if (score) params.append('score', score);
-        if (servarrFilter) params.append('servarrFilter', servarrFilter);
-        if (search) params.append('search', search);
-        if (isBroken) params.append('isBroken', 'true');
+        // Use the same filters as the current view (sorting and paging don't apply)
+        const params = buildBrowseQueryParams(getBrowseFilterState());
+        params.delete('sortBy');
+        params.delete('sortOrder');
         
         // Fetch all matching video IDs
         const response = await fetch(`/api/library/videos/ids?${params}`);
@@ -561,14 +867,16 @@ export function clearBrowseSelection() {
     updateBrowseSelection();
 }
 
-export async function redownloadSelected() {
-    if (selectedVideoIds.size === 0) {
+// videoIds lets other bulk targets (e.g. filter presets) reuse this instead of the current selection
+export async function redownloadSelected(videoIds = null) {
+    const ids = Array.isArray(videoIds) ? videoIds : Array.from(selectedVideoIds);
+    if (ids.length === 0) {
         alert('No videos selected');
         return;
     }
     
-    const count = selectedVideoIds.size;
-    if (!confirm(`Are you sure you want to redownload ${count} video(s)?\n\nThis will:\n- Delete the file(s) from disk\n- Remove them from Sonarr/Radarr\n- Trigger a new download\n- Mark them as Processing (will be rescanned after 24h)`)) {
+    const count = ids.length;
+    if (!confirm(`Are you sure you want to redownload ${count} video(s)?\n\nThis will:\n- Delete the file(s) from disk\n- Remove them from Sonarr/Radarr\n- Trigger a new download\n- Follow each one in Redownloads until the new file is analyzed`)) {
         return;
     }
     
@@ -582,7 +890,7 @@ export async function redownloadSelected() {
         const response = await fetch('/api/library/videos/redownload', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ videoIds: Array.from(selectedVideoIds) })
+            body: JSON.stringify({ videoIds: ids })
         });
         
         if (!response.ok) {
@@ -608,13 +916,15 @@ export async function redownloadSelected() {
     }
 }
 
-export async function rescanSelected() {
-    if (selectedVideoIds.size === 0) {
+// videoIds lets other bulk targets (e.g. filter presets) reuse this instead of the current selection
+export async function rescanSelected(videoIds = null) {
+    const ids = Array.isArray(videoIds) ? videoIds : Array.from(selectedVideoIds);
+    if (ids.length === 0) {
         alert('No videos selected');
         return;
     }
     
-    const count = selectedVideoIds.size;
+    const count = ids.length;
     if (!confirm(`Are you sure you want to rescan ${count} video(s)?\n\nThis will:\n- Re-analyze the video file(s)\n- Update compatibility information\n- This may take a while for large files`)) {
         return;
     }
@@ -629,7 +939,7 @@ export async function rescanSelected() {
         const response = await fetch('/api/library/videos/rescan', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ videoIds: Array.from(selectedVideoIds) })
+            body: JSON.stringify({ videoIds: ids })
         });
         
         if (!response.ok) {
@@ -655,6 +965,74 @@ export async function rescanSelected() {
     }
 }
 
+// Download a shell script with the ffmpeg commands for the selected videos (originals are left untouched)
+export async function downloadFfmpegScript(videoIds = null) {
+    const ids = Array.isArray(videoIds) ? videoIds : Array.from(selectedVideoIds);
+    if (ids.length === 0) {
+        alert('No videos selected');
+        return;
+    }
+    
+    const button = document.getElementById('ffmpegScriptBtn');
+    if (button) {
+        button.disabled = true;
+        button.textContent = 'Generating...';
+    }
+    
+    try {
+        const response = await fetch('/api/library/videos/ffmpeg-script', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ videoIds: ids })
+        });
+        
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || `Failed to generate script: ${response.status}`);
+        }
+        
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="?([^";]+)"?/);
+        const url = URL.createObjectURL(await response.blob());
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = match ? match[1] : 'optimarr-ffmpeg.sh';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Error downloading ffmpeg script:', error);
+        alert(`Error generating ffmpeg script: ${error.message}`);
+    } finally {
+        if (button) {
+            button.disabled = selectedVideoIds.size === 0;
+            button.textContent = 'Download ffmpeg Script';
+        }
+    }
+}
+
+// Queue the server-side lossless fixes for the selection (see jobs.js)
+export async function optimizeSelected(videoIds = null) {
+    const ids = Array.isArray(videoIds) ? videoIds : Array.from(selectedVideoIds);
+    if (ids.length === 0) {
+        alert('No videos selected');
+        return;
+    }
+    
+    const dryRunCheckbox = document.getElementById('optimizeDryRun');
+    const dryRun = dryRunCheckbox ? dryRunCheckbox.checked : false;
+    if (!dryRun && !confirm(`Queue lossless fixes for ${ids.length} video(s)?\n\nEach file is remuxed by ffmpeg, verified, and then replaces the original. MKV files become MP4. Videos that need a re-encode are skipped.`)) {
+        return;
+    }
+    
+    const result = await queueOptimization(ids, dryRun);
+    if (result && result.jobIds.length > 0) {
+        clearBrowseSelection();
+    }
+}
+
 // Export to window for onclick handlers
 window.loadBrowseMedia = loadBrowseMedia;
 window.browseCurrentPage = browseCurrentPage;
@@ -664,6 +1042,15 @@ window.toggleSelectAllBrowse = toggleSelectAllBrowse;
 window.clearBrowseSelection = clearBrowseSelection;
 window.redownloadSelected = redownloadSelected;
 window.rescanSelected = rescanSelected;
+window.downloadFfmpegScript = downloadFfmpegScript;
+window.optimizeSelected = optimizeSelected;
 window.setBrowsePage = setBrowsePage;
 window.selectAllFromAllPages = selectAllFromAllPages;
+window.copyBrowseLink = copyBrowseLink;
+window.exportBrowseResults = exportBrowseResults;
+window.setBrowseViewMode = setBrowseViewMode;
+window.sortBrowseTable = sortBrowseTable;
+window.toggleBrowseColumnMenu = toggleBrowseColumnMenu;
+window.toggleBrowseColumn = toggleBrowseColumn;
+window.resetBrowseColumns = resetBrowseColumns;
 
@@ -1,6 +1,46 @@
 // Dashboard Functions
 import { escapeHtml, formatFileSize } from './utils.js';
 import { showMediaInfo } from './media-info.js';
+import { buildBrowseHash } from './browse.js';
+import { fetchDeviceProfiles, populateProfileSelect } from './profiles.js';
+import { loadLibraryTrends } from './trends.js';
+
+const DASHBOARD_PROFILE_KEY = 'dashboardProfileId';
+
+// Device profile the dashboard rates against, '' for the global media properties
+function getDashboardProfileId() {
+    return localStorage.getItem(DASHBOARD_PROFILE_KEY) || '';
+}
+
+function getProfileQuery(prefix = '?') {
+    const profileId = getDashboardProfileId();
+    return profileId ? `${prefix}profileId=${encodeURIComponent(profileId)}` : '';
+}
+
+async function loadDashboardProfileOptions() {
+    const select = document.getElementById('dashboardProfileSelect');
+    if (!select) return;
+
+    try {
+        const profiles = await fetchDeviceProfiles();
+        populateProfileSelect(select, profiles, getDashboardProfileId());
+        // Forget a profile that has been deleted
+        if (select.value !== getDashboardProfileId()) {
+            localStorage.removeItem(DASHBOARD_PROFILE_KEY);
+        }
+    } catch (error) {
+        console.error('Error loading device profiles:', error);
+    }
+}
+
+export function setDashboardProfile(profileId) {
+    if (profileId) {
+        localStorage.setItem(DASHBOARD_PROFILE_KEY, profileId);
+    } else {
+        localStorage.removeItem(DASHBOARD_PROFILE_KEY);
+    }
+    loadDashboard();
+}
 
 export async function loadDashboard() {
     try {
@@ -13,11 +53,13 @@ export async function loadDashboard() {
             if (el) el.textContent = '...';
         });
         
+        await loadDashboardProfileOptions();
+
         // Add timeout to fetch
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
         
-        const response = await fetch('/api/library/dashboard/stats', {
+        const response = await fetch(`/api/library/dashboard/stats${getProfileQuery()}`, {
             signal: controller.signal
         });
         clearTimeout(timeoutId);
@@ -61,6 +103,10 @@ export async function loadDashboard() {
         updateSubtitleFormatChart(stats.subtitleFormatDistribution || {});
         updateBitrateRangeChart(stats.bitrateRangeDistribution || {});
         
+        loadClientMatrixLibraryOptions();
+        loadClientMatrix();
+        loadLibraryTrends();
+        
         console.log('Dashboard refreshed successfully');
     } catch (error) {
         console.error('Error loading dashboard:', error);
@@ -217,7 +263,7 @@ export function updateContainerChart(distribution) {
 
 export async function loadTopIssues() {
     try {
-        const response = await fetch('/api/library/dashboard/issues?limit=10');
+        const response = await fetch(`/api/library/dashboard/issues?limit=10${getProfileQuery('&')}`);
         if (!response.ok) throw new Error('Failed to load issues');
         
         const data = await response.json();
@@ -278,6 +324,96 @@ export async function loadTopIssues() {
     }
 }
 
+async function loadClientMatrixLibraryOptions() {
+    const select = document.getElementById('clientMatrixLibraryFilter');
+    if (!select || select.querySelectorAll('option').length > 1) return;
+    
+    try {
+        const response = await fetch('/api/library/paths');
+        if (!response.ok) return;
+        
+        const libraries = await response.json();
+        libraries.forEach(lib => {
+            const option = document.createElement('option');
+            option.value = lib.id;
+            option.textContent = lib.name || lib.path;
+            select.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Error loading client matrix library options:', error);
+    }
+}
+
+export async function loadClientMatrix() {
+    const chart = document.getElementById('clientMatrixChart');
+    if (!chart) return;
+    
+    const libraryPathId = document.getElementById('clientMatrixLibraryFilter')?.value || '';
+    const groupBy = document.getElementById('clientMatrixGroupBy')?.value || 'client';
+    
+    chart.innerHTML = '<div class="loading-placeholder">Loading client compatibility...</div>';
+    
+    try {
+        const params = new URLSearchParams({ groupBy });
+        if (libraryPathId) params.append('libraryPathId', libraryPathId);
+        
+        const response = await fetch(`/api/playback/client-matrix?${params}`);
+        if (!response.ok) throw new Error('Failed to load client compatibility');
+        
+        const matrix = await response.json();
+        const columns = matrix.columns || [];
+        const total = matrix.totalVideos || 0;
+        
+        if (columns.length === 0 || total === 0) {
+            chart.innerHTML = '<div class="empty-state"><p>No client data yet. Enable Jellyfin playback sync in Settings to see how your clients handle your library.</p></div>';
+            return;
+        }
+        
+        const rows = [
+            { key: 'directPlay', label: 'Direct Play', cssClass: 'directplay' },
+            { key: 'remux', label: 'Remux', cssClass: 'remux' },
+            { key: 'transcode', label: 'Transcode', cssClass: 'transcode' },
+            { key: 'unknown', label: 'No Data', cssClass: 'unknown' }
+        ];
+        
+        chart.innerHTML = `
+            <div class="client-matrix-wrapper">
+                <table class="client-matrix">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            ${columns.map(col => `<th title="${col.observed.toLocaleString()} of ${total.toLocaleString()} videos played on this ${groupBy}">${escapeHtml(col.client)}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr>
+                                <th class="client-matrix-row-label">${row.label}</th>
+                                ${columns.map(col => {
+                                    const count = col[row.key] || 0;
+                                    const pct = ((count / total) * 100).toFixed(1);
+                                    return `
+                                        <td class="client-matrix-cell ${count > 0 ? row.cssClass : ''}">
+                                            <div>${count.toLocaleString()}</div>
+                                            <small>${pct}%</small>
+                                        </td>
+                                    `;
+                                }).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <small class="form-help">
+                ${total.toLocaleString()} videos. Uses each video's latest playback on a ${groupBy}; videos never played there are predicted from files with the same codecs and container, or counted as No Data.
+            </small>
+        `;
+    } catch (error) {
+        console.error('Error loading client matrix:', error);
+        chart.innerHTML = `<div class="error-state">Error loading client compatibility: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
 function getCompatibilityColor(percent) {
     if (percent >= 80) return 'var(--success-color)';
     if (percent >= 60) return 'var(--accent-color)';
@@ -286,105 +422,28 @@ function getCompatibilityColor(percent) {
     return 'var(--error-color)';
 }
 
-// Make navigateToBrowseWithFilter available globally for onclick handlers
-export async function navigateToBrowseWithFilter(score) {
-    const browseTab = document.querySelector('[data-tab="browse"]');
-    if (browseTab) {
-        browseTab.click();
-        setTimeout(async () => {
-            const scoreFilter = document.getElementById('browseScoreFilter');
-            if (scoreFilter) {
-                scoreFilter.value = score || ''; // Empty string clears the filter
-                // Clear other filters
-                const codecFilter = document.getElementById('browseCodecFilter');
-                const containerFilter = document.getElementById('browseContainerFilter');
-                if (codecFilter) codecFilter.value = '';
-                if (containerFilter) containerFilter.value = '';
-                // Import dynamically to avoid circular dependency
-                const browseModule = await import('./browse.js');
-                // Reset page to 1 using the reset function (module exports are read-only)
-                browseModule.resetBrowsePage();
-                browseModule.loadBrowseFilterOptions();
-                browseModule.loadBrowseMedia();
-            }
-        }, 200);
-    }
+// Drill-downs navigate through the URL hash, so the resulting Browse view is a real
+// link (e.g. #browse?codec=HEVC) that can be bookmarked or shared. navigation.js
+// picks up the hashchange and restores the filters; anything not given is reset.
+// The dashboard's device profile carries over so the counts match what Browse shows.
+function navigateToBrowse(filters) {
+    window.location.hash = buildBrowseHash({ profileId: getDashboardProfileId(), ...filters });
 }
 
-export async function navigateToBrowseWithCodec(codec) {
-    const browseTab = document.querySelector('[data-tab="browse"]');
-    if (browseTab) {
-        browseTab.click();
-        setTimeout(async () => {
-            const codecFilter = document.getElementById('browseCodecFilter');
-            if (codecFilter) {
-                codecFilter.value = codec || ''; // Empty string clears the filter
-                // Clear other filters
-                const scoreFilter = document.getElementById('browseScoreFilter');
-                const containerFilter = document.getElementById('browseContainerFilter');
-                if (scoreFilter) scoreFilter.value = '';
-                if (containerFilter) containerFilter.value = '';
-                // Import dynamically to avoid circular dependency
-                const browseModule = await import('./browse.js');
-                // Reset page to 1
-                browseModule.resetBrowsePage();
-                browseModule.loadBrowseFilterOptions();
-                browseModule.loadBrowseMedia();
-            }
-        }, 200);
-    }
+export function navigateToBrowseWithFilter(score) {
+    navigateToBrowse({ score: score || '' });
 }
 
-export async function navigateToBrowseWithContainer(container) {
-    const browseTab = document.querySelector('[data-tab="browse"]');
-    if (browseTab) {
-        browseTab.click();
-        setTimeout(async () => {
-            const containerFilter = document.getElementById('browseContainerFilter');
-            if (containerFilter) {
-                // Handle NULL container - need to check if we can filter by empty/null
-                // For now, if container is empty or 'NULL', we'll try to set it to empty string
-                // The backend should handle filtering for null/empty containers
-                containerFilter.value = (container === 'NULL' || !container) ? '' : container;
-                // Clear other filters
-                const scoreFilter = document.getElementById('browseScoreFilter');
-                const codecFilter = document.getElementById('browseCodecFilter');
-                if (scoreFilter) scoreFilter.value = '';
-                if (codecFilter) codecFilter.value = '';
-                // Import dynamically to avoid circular dependency
-                const browseModule = await import('./browse.js');
-                // Reset page to 1
-                browseModule.resetBrowsePage();
-                browseModule.loadBrowseFilterOptions();
-                browseModule.loadBrowseMedia();
-            }
-        }, 200);
-    }
+export function navigateToBrowseWithCodec(codec) {
+    navigateToBrowse({ codec: codec || '' });
 }
 
-export async function navigateToBrowseWithBroken() {
-    const browseTab = document.querySelector('[data-tab="browse"]');
-    if (browseTab) {
-        browseTab.click();
-        setTimeout(async () => {
-            // Clear all filters
-            const scoreFilter = document.getElementById('browseScoreFilter');
-            const codecFilter = document.getElementById('browseCodecFilter');
-            const containerFilter = document.getElementById('browseContainerFilter');
-            const brokenFilter = document.getElementById('browseBrokenFilter');
-            if (scoreFilter) scoreFilter.value = '';
-            if (codecFilter) codecFilter.value = '';
-            if (containerFilter) containerFilter.value = '';
-            if (brokenFilter) brokenFilter.checked = true;
-            
-            // Import dynamically to avoid circular dependency
-            const browseModule = await import('./browse.js');
-            // Reset page to 1
-            browseModule.resetBrowsePage();
-            browseModule.loadBrowseFilterOptions();
-            browseModule.loadBrowseMedia();
-        }, 200);
-    }
+export function navigateToBrowseWithContainer(container) {
+    navigateToBrowse({ container: container === 'NULL' ? '' : (container || '') });
+}
+
+export function navigateToBrowseWithBroken() {
+    navigateToBrowse({ isBroken: true });
 }
 
 export function updateAudioCodecChart(distribution) {
@@ -627,116 +686,70 @@ export async function rescanAllBrokenVideos() {
     }
 }
 
-export async function navigateToBrowseWithAudioCodec(audioCodec) {
-    const browseTab = document.querySelector('[data-tab="browse"]');
-    if (browseTab) {
-        browseTab.click();
-        setTimeout(async () => {
-            const audioCodecFilter = document.getElementById('browseAudioCodecFilter');
-            if (audioCodecFilter) {
-                audioCodecFilter.value = audioCodec || '';
-                // Clear other filters
-                const codecFilter = document.getElementById('browseCodecFilter');
-                const containerFilter = document.getElementById('browseContainerFilter');
-                const scoreFilter = document.getElementById('browseScoreFilter');
-                if (codecFilter) codecFilter.value = '';
-                if (containerFilter) containerFilter.value = '';
-                if (scoreFilter) scoreFilter.value = '';
-                const browseModule = await import('./browse.js');
-                browseModule.resetBrowsePage();
-                browseModule.loadBrowseFilterOptions();
-                browseModule.loadBrowseMedia();
-            }
-        }, 200);
-    }
+export function navigateToBrowseWithAudioCodec(audioCodec) {
+    navigateToBrowse({ audioCodec: audioCodec || '' });
 }
 
-export async function navigateToBrowseWithAudioChannel(audioChannel) {
-    const browseTab = document.querySelector('[data-tab="browse"]');
-    if (browseTab) {
-        browseTab.click();
-        setTimeout(async () => {
-            const audioChannelFilter = document.getElementById('browseAudioChannelFilter');
-            if (audioChannelFilter) {
-                audioChannelFilter.value = audioChannel || '';
-                const browseModule = await import('./browse.js');
-                browseModule.resetBrowsePage();
-                browseModule.loadBrowseFilterOptions();
-                browseModule.loadBrowseMedia();
-            }
-        }, 200);
-    }
+export function navigateToBrowseWithAudioChannel(audioChannel) {
+    navigateToBrowse({ audioChannel: audioChannel || '' });
 }
 
-export async function navigateToBrowseWithHdrSdr(hdrSdr) {
-    const browseTab = document.querySelector('[data-tab="browse"]');
-    if (browseTab) {
-        browseTab.click();
-        setTimeout(async () => {
-            const hdrSdrFilter = document.getElementById('browseHdrSdrFilter');
-            if (hdrSdrFilter) {
-                hdrSdrFilter.value = hdrSdr || '';
-                const browseModule = await import('./browse.js');
-                browseModule.resetBrowsePage();
-                browseModule.loadBrowseFilterOptions();
-                browseModule.loadBrowseMedia();
-            }
-        }, 200);
-    }
+export function navigateToBrowseWithHdrSdr(hdrSdr) {
+    navigateToBrowse({ hdrSdr: hdrSdr || '' });
 }
 
-export async function navigateToBrowseWithBitDepth(bitDepth) {
-    const browseTab = document.querySelector('[data-tab="browse"]');
-    if (browseTab) {
-        browseTab.click();
-        setTimeout(async () => {
-            const bitDepthFilter = document.getElementById('browseBitDepthFilter');
-            if (bitDepthFilter) {
-                bitDepthFilter.value = bitDepth?.toString() || '';
-                const browseModule = await import('./browse.js');
-                browseModule.resetBrowsePage();
-                browseModule.loadBrowseFilterOptions();
-                browseModule.loadBrowseMedia();
-            }
-        }, 200);
-    }
+export function navigateToBrowseWithBitDepth(bitDepth) {
+    navigateToBrowse({ bitDepth: bitDepth?.toString() || '' });
 }
 
-export async function navigateToBrowseWithSubtitleFormat(subtitleFormat) {
-    const browseTab = document.querySelector('[data-tab="browse"]');
-    if (browseTab) {
-        browseTab.click();
-        setTimeout(async () => {
-            const subtitleFormatFilter = document.getElementById('browseSubtitleFormatFilter');
-            if (subtitleFormatFilter) {
-                subtitleFormatFilter.value = subtitleFormat || '';
-                const browseModule = await import('./browse.js');
-                browseModule.resetBrowsePage();
-                browseModule.loadBrowseFilterOptions();
-                browseModule.loadBrowseMedia();
-            }
-        }, 200);
-    }
+export function navigateToBrowseWithSubtitleFormat(subtitleFormat) {
+    navigateToBrowse({ subtitleFormat: subtitleFormat || '' });
+}
+
+export function navigateToBrowseWithBitrateRange(bitrateRange) {
+    navigateToBrowse({ bitrateRange: bitrateRange || '' });
 }
 
-export async function navigateToBrowseWithBitrateRange(bitrateRange) {
-    const browseTab = document.querySelector('[data-tab="browse"]');
-    if (browseTab) {
-        browseTab.click();
-        setTimeout(async () => {
-            const bitrateRangeFilter = document.getElementById('browseBitrateRangeFilter');
-            if (bitrateRangeFilter) {
-                bitrateRangeFilter.value = bitrateRange || '';
-                const browseModule = await import('./browse.js');
-                browseModule.resetBrowsePage();
-                browseModule.loadBrowseFilterOptions();
-                browseModule.loadBrowseMedia();
-            }
-        }, 200);
+// Download the library-wide compatibility report as a self-contained HTML file
+export async function downloadLibraryReport() {
+    const button = document.getElementById('downloadReportBtn');
+    const originalText = button ? button.textContent : '';
+    if (button) {
+        button.disabled = true;
+        button.textContent = 'Generating...';
+    }
+
+    try {
+        const response = await fetch(`/api/library/report${getProfileQuery()}`);
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.message || error.error || `Failed to generate report: ${response.status}`);
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="?([^";]+)"?/);
+        const url = URL.createObjectURL(await response.blob());
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = match ? match[1] : 'optimarr-library-report.html';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Error downloading library report:', error);
+        alert(`Error generating report: ${error.message}`);
+    } finally {
+        if (button) {
+            button.disabled = false;
+            button.textContent = originalText;
+        }
     }
 }
 
 // Export to window for onclick handlers
+window.setDashboardProfile = setDashboardProfile;
 window.navigateToBrowseWithFilter = navigateToBrowseWithFilter;
 window.navigateToBrowseWithCodec = navigateToBrowseWithCodec;
 window.navigateToBrowseWithContainer = navigateToBrowseWithContainer;
@@ -748,3 +761,5 @@ window.navigateToBrowseWithBitDepth = navigateToBrowseWithBitDepth;
 window.navigateToBrowseWithSubtitleFormat = navigateToBrowseWithSubtitleFormat;
 window.navigateToBrowseWithBitrateRange = navigateToBrowseWithBitrateRange;
 window.rescanAllBrokenVideos = rescanAllBrokenVideos;
+window.loadClientMatrix = loadClientMatrix;
+window.downloadLibraryReport = downloadLibraryReport;
@@ -0,0 +1,126 @@
+// Duplicates (movies and episodes with more than one copy, compared side by side)
+import { escapeHtml, formatFileSize } from './utils.js';
+
+const MATCH_LABELS = {
+    Radarr: 'Radarr movie',
+    Sonarr: 'Sonarr episode',
+    Title: 'Title match'
+};
+
+function describeGroupTitle(group) {
+    let title = escapeHtml(group.title);
+    if (group.seasonNumber != null && group.episodeNumber != null) {
+        const season = String(group.seasonNumber).padStart(2, '0');
+        const episode = String(group.episodeNumber).padStart(2, '0');
+        title += ` <span class="duplicate-episode">S${season}E${episode}</span>`;
+    } else if (group.year) {
+        title += ` <span class="duplicate-episode">(${group.year})</span>`;
+    }
+    return title;
+}
+
+function describeHdr(version) {
+    if (!version.isHDR) return 'SDR';
+    return escapeHtml(version.hdrType || 'HDR');
+}
+
+// One row per property, one column per copy
+function renderVersionTable(group) {
+    const rows = [
+        ['Library', v => escapeHtml(v.libraryName || '—')],
+        ['File', v => `<span class="duplicate-path" title="${escapeHtml(v.filePath)}">${escapeHtml(v.fileName)}</span>`],
+        ['Rating', v => v.isBroken
+            ? '<span class="score-badge poor">Broken</span>'
+            : `${v.compatibilityRating}/100 <span class="score-badge ${escapeHtml(v.overallScore.toLowerCase())}">${escapeHtml(v.overallScore)}</span>`],
+        ['Size', v => formatFileSize(v.fileSize)],
+        ['Video Codec', v => escapeHtml(v.videoCodec || '—')],
+        ['Resolution', v => v.width && v.height ? `${v.width}x${v.height}` : '—'],
+        ['HDR', describeHdr],
+        ['Bit Depth', v => v.bitDepth ? `${v.bitDepth}-bit` : '—'],
+        ['Audio', v => escapeHtml(v.audioCodecs || '—')],
+        ['Container', v => escapeHtml(v.container || '—')]
+    ];
+
+    const headers = group.versions.map(v => {
+        const isKeep = v.id === group.suggestedKeepId;
+        return `
+            <th class="${isKeep ? 'duplicate-keep' : ''}">
+                ${isKeep ? '<span class="score-badge optimal">Keep</span>' : ''}
+                ${v.matchedByTitle ? '<span class="duplicate-title-match" title="Not matched in Radarr/Sonarr, grouped by its file name">by title</span>' : ''}
+                <button class="btn btn-sm btn-secondary" onclick="showMediaInfo(${v.id})">Details</button>
+            </th>
+        `;
+    }).join('');
+
+    const body = rows.map(([label, render]) => `
+        <tr>
+            <th scope="row">${label}</th>
+            ${group.versions.map(v => `<td class="${v.id === group.suggestedKeepId ? 'duplicate-keep' : ''}">${render(v)}</td>`).join('')}
+        </tr>
+    `).join('');
+
+    return `
+        <div class="duplicate-table-wrapper">
+            <table class="data-table duplicate-table">
+                <thead><tr><th></th>${headers}</tr></thead>
+                <tbody>${body}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+function renderDuplicateGroup(group) {
+    return `
+        <div class="duplicate-group">
+            <div class="duplicate-group-header">
+                <div>
+                    <strong>${describeGroupTitle(group)}</strong>
+                    <span class="duplicate-match-type">${escapeHtml(MATCH_LABELS[group.matchType] || group.matchType)}</span>
+                </div>
+                <small>${group.versions.length} copies · ${formatFileSize(group.reclaimableSize)} reclaimable</small>
+            </div>
+            <ul class="duplicate-reasons">
+                ${group.suggestionReasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}
+            </ul>
+            ${renderVersionTable(group)}
+        </div>
+    `;
+}
+
+export async function loadDuplicates() {
+    const container = document.getElementById('duplicateGroups');
+    const summary = document.getElementById('duplicateSummary');
+    if (!container) return;
+
+    const matchType = document.getElementById('duplicateMatchType')?.value || '';
+    container.innerHTML = '<div class="loading-placeholder">Looking for duplicates...</div>';
+
+    try {
+        const query = matchType ? `?matchType=${encodeURIComponent(matchType)}` : '';
+        const response = await fetch(`/api/library/videos/duplicates${query}`);
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || `Failed to load duplicates: ${response.status}`);
+        }
+
+        const report = await response.json();
+        if (summary) {
+            summary.textContent = report.totalGroups > 0
+                ? `${report.totalGroups} title${report.totalGroups === 1 ? '' : 's'} with ${report.totalVersions} copies · ${formatFileSize(report.reclaimableSize)} reclaimable by keeping only the suggested copies`
+                : '';
+        }
+
+        if (report.groups.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No duplicates found. Movies and episodes with more than one analyzed copy show up here.</p></div>';
+            return;
+        }
+
+        container.innerHTML = report.groups.map(renderDuplicateGroup).join('');
+    } catch (error) {
+        console.error('Error loading duplicates:', error);
+        if (summary) summary.textContent = '';
+        container.innerHTML = `<div class="error-state">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+window.loadDuplicates = loadDuplicates;
@@ -0,0 +1,216 @@
+// Jellyfin DeviceProfile import: translate a profile into media property settings, preview the changes, then apply
+import { escapeHtml } from './utils.js';
+import { fetchDeviceProfiles, populateProfileSelect, loadDeviceProfiles } from './profiles.js';
+import { loadMediaPropertySettings } from './settings.js';
+
+const CATEGORY_LABELS = {
+    VideoCodecs: 'Video Codec',
+    AudioCodecs: 'Audio Codec',
+    Containers: 'Container',
+    SubtitleFormats: 'Subtitle Format',
+    BitDepths: 'Bit Depth'
+};
+
+let importPreview = null;
+
+function formatSupport(value) {
+    if (value === null || value === undefined) return '<span class="jellyfin-import-new">New</span>';
+    return value ? 'Supported' : 'Unsupported';
+}
+
+function resetPreview() {
+    importPreview = null;
+    document.getElementById('jellyfinImportPreview').innerHTML = '';
+    document.getElementById('jellyfinImportApply').disabled = true;
+}
+
+export async function showJellyfinImportModal() {
+    const modal = document.getElementById('jellyfinImportModal');
+    if (!modal) return;
+
+    document.getElementById('jellyfinImportContent').value = '';
+    document.getElementById('jellyfinImportFile').value = '';
+    resetPreview();
+
+    const target = document.getElementById('jellyfinImportTarget');
+    try {
+        populateProfileSelect(target, await fetchDeviceProfiles(), '');
+    } catch (error) {
+        // The global settings remain a valid target
+        console.error('Error loading device profiles:', error);
+        populateProfileSelect(target, [], '');
+    }
+
+    modal.style.display = 'block';
+}
+
+export function closeJellyfinImportModal() {
+    const modal = document.getElementById('jellyfinImportModal');
+    if (modal) modal.style.display = 'none';
+    importPreview = null;
+}
+
+export function readJellyfinImportFile(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        document.getElementById('jellyfinImportContent').value = reader.result;
+        resetPreview();
+    };
+    reader.onerror = () => alert(`Error reading ${file.name}`);
+    reader.readAsText(file);
+}
+
+// The preview belongs to one profile and one target, so editing either discards it
+export function invalidateJellyfinImportPreview() {
+    if (importPreview) resetPreview();
+}
+
+export async function previewJellyfinImport() {
+    const content = document.getElementById('jellyfinImportContent').value.trim();
+    if (!content) {
+        alert('Paste a Jellyfin DeviceProfile or choose a file first');
+        return;
+    }
+
+    const targetValue = document.getElementById('jellyfinImportTarget').value;
+    const container = document.getElementById('jellyfinImportPreview');
+    container.innerHTML = '<div class="loading-placeholder">Translating profile...</div>';
+
+    try {
+        const response = await fetch('/api/library/settings/media-properties/import-jellyfin/preview', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                content,
+                profileId: targetValue ? parseInt(targetValue, 10) : null
+            })
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to import Jellyfin profile');
+        }
+
+        importPreview = { ...(await response.json()), targetValue };
+        renderPreview();
+    } catch (error) {
+        console.error('Error previewing Jellyfin profile import:', error);
+        container.innerHTML = `<div class="error-state">${escapeHtml(error.message)}</div>`;
+        importPreview = null;
+        document.getElementById('jellyfinImportApply').disabled = true;
+    }
+}
+
+function renderPreview() {
+    const container = document.getElementById('jellyfinImportPreview');
+    const { profileName, changes, notes } = importPreview;
+
+    const notesHtml = notes.length > 0
+        ? `<ul class="jellyfin-import-notes">${notes.map(note => `<li>${escapeHtml(note)}</li>`).join('')}</ul>`
+        : '';
+
+    const summary = `
+        <p class="device-profile-note">
+            ${profileName ? `Profile <strong>${escapeHtml(profileName)}</strong>: ` : ''}
+            ${changes.length === 0 ? 'no changes.' : `${changes.length} change${changes.length === 1 ? '' : 's'}.`}
+        </p>
+    `;
+
+    const tableHtml = changes.length === 0 ? '' : `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Category</th>
+                    <th>Value</th>
+                    <th>Current</th>
+                    <th>Imported</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${changes.map(change => `
+                    <tr>
+                        <td>${escapeHtml(CATEGORY_LABELS[change.category] || change.category)}</td>
+                        <td>${escapeHtml(change.key)}</td>
+                        <td>${formatSupport(change.current)}</td>
+                        <td class="${change.imported ? 'jellyfin-import-supported' : 'jellyfin-import-unsupported'}">${formatSupport(change.imported)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    container.innerHTML = summary + notesHtml + tableHtml;
+    document.getElementById('jellyfinImportApply').disabled = changes.length === 0;
+}
+
+export async function applyJellyfinImport() {
+    if (!importPreview) return;
+
+    const targetValue = importPreview.targetValue;
+    const target = document.getElementById('jellyfinImportTarget');
+    const targetName = target.options[target.selectedIndex]?.textContent || 'the selected profile';
+    if (!confirm(`Apply ${importPreview.changes.length} change(s) to ${targetName}? Ratings will be recalculated.`)) return;
+
+    try {
+        if (targetValue) {
+            // Device profiles are replaced as a whole, so keep the name, description and overrides
+            const profileResponse = await fetch(`/api/profiles/${targetValue}`);
+            if (!profileResponse.ok) throw new Error('Failed to load device profile');
+            const profile = await profileResponse.json();
+
+            const response = await fetch(`/api/profiles/${targetValue}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    name: profile.name,
+                    description: profile.description,
+                    properties: importPreview.properties,
+                    overrides: profile.overrides
+                })
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to save device profile');
+            }
+
+            loadDeviceProfiles();
+        } else {
+            // Weights and thresholds are left out so the saved ones are kept
+            const response = await fetch('/api/library/settings/media-properties', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ properties: importPreview.properties })
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to save media property settings');
+            }
+
+            await loadMediaPropertySettings(true);
+        }
+
+        closeJellyfinImportModal();
+    } catch (error) {
+        console.error('Error applying Jellyfin profile import:', error);
+        alert(`Error applying Jellyfin profile: ${error.message}`);
+    }
+}
+
+// Export to window for onclick handlers
+window.showJellyfinImportModal = showJellyfinImportModal;
+window.closeJellyfinImportModal = closeJellyfinImportModal;
+window.readJellyfinImportFile = readJellyfinImportFile;
+window.invalidateJellyfinImportPreview = invalidateJellyfinImportPreview;
+window.previewJellyfinImport = previewJellyfinImport;
+window.applyJellyfinImport = applyJellyfinImport;
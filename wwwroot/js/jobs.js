@@ -0,0 +1,214 @@
+// Optimization Jobs (lossless remux, fast start and retag run by the server's ffmpeg)
+import { escapeHtml, formatDateTime, formatFileSize } from './utils.js';
+import { onLiveUpdate } from './live-updates.js';
+
+const FIX_LABELS = {
+    Remux: 'Remux to MP4',
+    FastStart: 'Fast start',
+    Retag: 'Codec tag'
+};
+
+const STAGE_LABELS = {
+    converting: 'Converting',
+    verifying: 'Verifying output',
+    replacing: 'Replacing original',
+    analyzing: 'Re-analyzing'
+};
+
+let lastJobsState = null; // "<current job id>:<queued count>", reloads the list when it changes
+
+function renderCurrentJob(current) {
+    const container = document.getElementById('currentOptimizationJob');
+    if (!container) return;
+
+    if (!current) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    const stage = STAGE_LABELS[current.stage] || current.stage;
+    const progress = current.stage === 'converting' ? current.progress : 100;
+    container.style.display = 'block';
+    container.innerHTML = `
+        <div class="job-progress-header">
+            <strong>${escapeHtml(current.fileName)}</strong>
+            ${current.dryRun ? '<span class="job-dry-run">Dry run</span>' : ''}
+            <button class="btn btn-sm btn-secondary" onclick="cancelOptimizationJob(${current.jobId})">Cancel</button>
+        </div>
+        <div class="progress-bar">
+            <div class="progress-fill" style="width: ${progress}%;"></div>
+        </div>
+        <div class="progress-text">${escapeHtml(stage)}${current.stage === 'converting' ? ` · ${progress.toFixed(1)}%` : '…'}</div>
+    `;
+}
+
+function renderJobsBadge(jobs) {
+    const badge = document.getElementById('jobsBadge');
+    if (!badge) return;
+
+    const active = jobs.current ? jobs.queued + 1 : jobs.queued;
+    if (active > 0) {
+        badge.textContent = active;
+        badge.style.display = 'inline-block';
+    } else {
+        badge.style.display = 'none';
+    }
+}
+
+function describeSize(job) {
+    if (!job.originalSize || !job.outputSize) return '';
+    return `${formatFileSize(job.originalSize)} → ${formatFileSize(job.outputSize)}`;
+}
+
+export async function loadOptimizationJobs() {
+    const container = document.getElementById('optimizationJobs');
+    if (!container) return;
+
+    try {
+        const response = await fetch('/api/jobs');
+        if (!response.ok) throw new Error(`Failed to load jobs: ${response.status}`);
+
+        const data = await response.json();
+        renderCurrentJob(data.current);
+
+        if (data.jobs.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No optimization jobs yet. Select videos in Browse and choose "Optimize Selected" to fix fast start, codec tags and MKV containers without re-encoding.</p></div>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>File</th>
+                        <th>Fixes</th>
+                        <th>Status</th>
+                        <th>Result</th>
+                        <th>Queued</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${data.jobs.map(job => {
+                        const status = job.status.toLowerCase();
+                        const fileName = job.videoId
+                            ? `<a href="#" onclick="showMediaInfo(${job.videoId}); return false;">${escapeHtml(job.fileName)}</a>`
+                            : escapeHtml(job.fileName);
+                        const canCancel = job.status === 'Queued' || job.status === 'Running';
+                        return `
+                            <tr>
+                                <td title="${escapeHtml(job.outputPath || job.filePath)}">
+                                    ${fileName}
+                                    ${job.dryRun ? '<span class="job-dry-run">Dry run</span>' : ''}
+                                </td>
+                                <td>${job.fixes.map(fix => escapeHtml(FIX_LABELS[fix] || fix)).join(', ')}</td>
+                                <td><span class="job-status ${escapeHtml(status)}">${escapeHtml(job.status)}</span></td>
+                                <td class="job-message">${escapeHtml(job.message || describeSize(job))}</td>
+                                <td>${formatDateTime(job.createdAt)}</td>
+                                <td>${canCancel ? `<button class="btn btn-sm btn-secondary" onclick="cancelOptimizationJob(${job.id})">Cancel</button>` : ''}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        console.error('Error loading optimization jobs:', error);
+        container.innerHTML = '<div class="error-state">Error loading optimization jobs</div>';
+    }
+}
+
+// Queues lossless fixes; videos that need a re-encode are reported back instead of queued
+export async function queueOptimization(videoIds, dryRun = false) {
+    if (!videoIds || videoIds.length === 0) {
+        alert('No videos selected');
+        return null;
+    }
+
+    try {
+        const response = await fetch('/api/jobs', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ videoIds, dryRun })
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || `Failed to queue jobs: ${response.status}`);
+        }
+
+        const result = await response.json();
+        let message = `Queued ${result.jobIds.length} job(s)${dryRun ? ' (dry run)' : ''}.`;
+        if (result.skipped.length > 0) {
+            const shown = result.skipped.slice(0, 10)
+                .map(skip => `- ${skip.fileName || `Video ${skip.videoId}`}: ${skip.reason}`);
+            if (result.skipped.length > shown.length) {
+                shown.push(`- …and ${result.skipped.length - shown.length} more`);
+            }
+            message += `\n\nSkipped ${result.skipped.length}:\n${shown.join('\n')}`;
+        }
+        if (result.jobIds.length > 0) {
+            message += '\n\nFollow progress in the Jobs tab.';
+        }
+        alert(message);
+
+        loadOptimizationJobs();
+        return result;
+    } catch (error) {
+        console.error('Error queueing optimization jobs:', error);
+        alert(`Error queueing optimization jobs: ${error.message}`);
+        return null;
+    }
+}
+
+export async function cancelOptimizationJob(jobId) {
+    if (!confirm('Cancel this job? The original file is left as it is.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/jobs/${jobId}/cancel`, { method: 'POST' });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || `Failed to cancel job: ${response.status}`);
+        }
+
+        loadOptimizationJobs();
+    } catch (error) {
+        console.error('Error cancelling optimization job:', error);
+        alert(`Error cancelling job: ${error.message}`);
+    }
+}
+
+export async function clearFinishedJobs() {
+    try {
+        const response = await fetch('/api/jobs', { method: 'DELETE' });
+        if (!response.ok) throw new Error(`Failed to clear jobs: ${response.status}`);
+
+        loadOptimizationJobs();
+    } catch (error) {
+        console.error('Error clearing optimization jobs:', error);
+        alert(`Error clearing jobs: ${error.message}`);
+    }
+}
+
+// Apply pushed job progress (see live-updates.js); the list reloads when a job starts or finishes
+export function initJobsLiveUpdates() {
+    onLiveUpdate('optimization-jobs', jobs => {
+        renderJobsBadge(jobs);
+        renderCurrentJob(jobs.current);
+
+        const state = `${jobs.current ? jobs.current.jobId : ''}:${jobs.queued}`;
+        const jobsTab = document.getElementById('jobs');
+        if (state !== lastJobsState && jobsTab && jobsTab.classList.contains('active')) {
+            loadOptimizationJobs();
+        }
+        lastJobsState = state;
+    });
+}
+
+window.loadOptimizationJobs = loadOptimizationJobs;
+window.queueOptimization = queueOptimization;
+window.cancelOptimizationJob = cancelOptimizationJob;
+window.clearFinishedJobs = clearFinishedJobs;
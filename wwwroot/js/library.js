@@ -2,6 +2,7 @@
 import { escapeHtml, formatFileSize, formatTimeSpan, getCategoryIcon } from './utils.js';
 import { loadBrowseMedia } from './browse.js';
 import { loadDashboard } from './dashboard.js';
+import { isLiveUpdatesConnected, onLiveUpdate, getLatestLiveUpdate } from './live-updates.js';
 
 // Poll for processing count and update badge
 let processingCountInterval = null;
@@ -12,9 +13,11 @@ export function startProcessingCountPolling() {
         clearInterval(processingCountInterval);
     }
     
-    // Poll immediately, then every 5 seconds
+    // Poll immediately, then every 5 seconds (skipped while live updates push the count)
     updateProcessingCount();
-    processingCountInterval = setInterval(updateProcessingCount, 5000);
+    processingCountInterval = setInterval(() => {
+        if (!isLiveUpdatesConnected()) updateProcessingCount();
+    }, 5000);
 }
 
 export function stopProcessingCountPolling() {
@@ -29,22 +32,103 @@ async function updateProcessingCount() {
         const response = await fetch('/api/library/processing/count');
         if (!response.ok) return;
         
-        const count = await response.json();
-        const badge = document.getElementById('libraryProcessingBadge');
-        
-        if (badge) {
-            if (count > 0) {
-                badge.textContent = count;
-                badge.style.display = 'inline-block';
-            } else {
-                badge.style.display = 'none';
-            }
-        }
+        renderProcessingCount(await response.json());
     } catch (error) {
         console.error('Error updating processing count:', error);
     }
 }
 
+function renderProcessingCount(count) {
+    const badge = document.getElementById('libraryProcessingBadge');
+    
+    if (badge) {
+        if (count > 0) {
+            badge.textContent = count;
+            badge.style.display = 'inline-block';
+        } else {
+            badge.style.display = 'none';
+        }
+    }
+}
+
+// Apply pushed scan progress and processing count (see live-updates.js)
+export function initLibraryLiveUpdates() {
+    onLiveUpdate('processing-count', data => renderProcessingCount(data.count));
+    
+    onLiveUpdate('scan-progress', scan => {
+        if (activeScanIntervals.has(scan.id)) {
+            updateScanProgress(scan.id, scan);
+        } else if (scan.status === 'Running' || scan.status === 'Pending') {
+            // Started elsewhere (another tab, a schedule), show it here too
+            startScanPolling(scan.id);
+        }
+    });
+
+    onLiveUpdate('library-activity', data => renderLibraryActivity(data.items));
+}
+
+// "Recently added" feed from watched libraries
+const ACTIVITY_LABELS = {
+    added: 'Added',
+    updated: 'Changed',
+    renamed: 'Renamed',
+    removed: 'Removed'
+};
+
+export async function loadLibraryActivity() {
+    try {
+        const response = await fetch('/api/library/watch/activity?limit=20');
+        if (!response.ok) throw new Error('Failed to load recent activity');
+
+        renderLibraryActivity(await response.json());
+    } catch (error) {
+        console.error('Error loading library activity:', error);
+    }
+}
+
+function renderLibraryActivity(items) {
+    const container = document.getElementById('libraryActivity');
+    if (!container) return;
+
+    if (!items || items.length === 0) {
+        container.innerHTML = '<div class="empty-state"><p>No changes detected yet. Turn on watch mode (👁) on a library to analyze new files as soon as they appear.</p></div>';
+        return;
+    }
+
+    container.innerHTML = items.map(item => {
+        let status;
+        if (item.status === 'waiting') {
+            status = '<span class="activity-status">Waiting for the file to finish copying…</span>';
+        } else if (item.status === 'analyzing') {
+            status = '<span class="activity-status">Analyzing…</span>';
+        } else if (item.status === 'failed') {
+            status = `<span class="activity-status error">${escapeHtml(item.error || 'Failed')}</span>`;
+        } else if (item.overallScore && item.type !== 'removed') {
+            status = `<span class="score-badge ${item.overallScore.toLowerCase()}">${escapeHtml(item.overallScore)}</span>`;
+        } else {
+            status = '';
+        }
+        const fileName = item.videoId && item.type !== 'removed'
+            ? `<a href="#" onclick="showMediaInfo(${item.videoId}); return false;">${escapeHtml(item.fileName)}</a>`
+            : escapeHtml(item.fileName);
+        const previous = item.previousPath
+            ? `<span class="activity-path" title="${escapeHtml(item.previousPath)}">was ${escapeHtml(item.previousPath.split(/[/\\]/).pop())}</span>`
+            : '';
+
+        return `
+            <div class="activity-item activity-${escapeHtml(item.type)}">
+                <span class="activity-type">${ACTIVITY_LABELS[item.type] || escapeHtml(item.type)}</span>
+                <div class="activity-info">
+                    <strong title="${escapeHtml(item.filePath)}">${fileName}</strong>
+                    <span class="activity-path">${escapeHtml(item.libraryName)} · ${new Date(item.timestamp).toLocaleTimeString()}</span>
+                    ${previous}
+                </div>
+                ${status}
+            </div>
+        `;
+    }).join('');
+}
+
 export async function loadProcessingVideos() {
     try {
         const response = await fetch('/api/library/processing/videos?page=1&pageSize=50');
@@ -146,6 +230,19 @@ export async function loadKnownLibraries() {
             const categoryBadge = lib.category 
                 ? `<span class="category-badge category-${lib.category.toLowerCase().replace(/\s+/g, '-')}" title="Category: ${escapeHtml(lib.category)}">${escapeHtml(lib.category)}</span>`
                 : '';
+            const watchBadge = lib.watchEnabled
+                ? `<span class="status-badge ${lib.isWatching ? 'connected' : 'disconnected'}" title="${lib.isWatching ? 'New files are analyzed as soon as they appear' : 'Watch mode is on, but the folder could not be watched'}">${lib.isWatching ? 'Watching' : 'Not watching'}</span>`
+                : '';
+            const schedule = lib.scanSchedule;
+            const scheduleStats = schedule ? `
+                            <div class="stat-item">
+                                <span class="stat-label">Next scan:</span>
+                                <span class="stat-value">${schedule.isEnabled && schedule.nextRunAt ? new Date(schedule.nextRunAt).toLocaleString() : 'Paused'}</span>
+                            </div>
+                            <div class="stat-item">
+                                <span class="stat-label">Last scheduled:</span>
+                                <span class="stat-value">${schedule.lastRunAt ? new Date(schedule.lastRunAt).toLocaleString() : 'Never'}</span>
+                            </div>` : '';
             
             return `
                 <div class="library-card">
@@ -154,12 +251,19 @@ export async function loadKnownLibraries() {
                         <strong>${escapeHtml(lib.name || lib.path)}</strong>
                         ${categoryBadge}
                         ${statusBadge}
+                        ${watchBadge}
                     </div>
                     <div class="library-card-header">
                         <div class="library-card-actions">
                             <button class="btn btn-sm btn-secondary" onclick="rescanLibrary(${lib.id}, '${escapeHtml(lib.path)}')" title="Rescan">
                                 <span class="icon">↻</span>
                             </button>
+                            <button class="btn btn-sm ${lib.watchEnabled ? 'btn-primary' : 'btn-secondary'}" onclick="toggleLibraryWatch(${lib.id}, ${!lib.watchEnabled})" title="${lib.watchEnabled ? 'Stop watching for new files' : 'Watch for new files'}">
+                                <span class="icon">👁</span>
+                            </button>
+                            <button class="btn btn-sm btn-secondary" onclick="showScanScheduleModal(${lib.id})" title="Scan schedule">
+                                <span class="icon">⏰</span>
+                            </button>
                             <button class="btn btn-sm btn-danger" onclick="deleteLibrary(${lib.id}, '${escapeHtml(lib.name || lib.path)}')" title="Delete">
                                 <span class="icon">🗑</span>
                             </button>
@@ -179,7 +283,7 @@ export async function loadKnownLibraries() {
                             <div class="stat-item">
                                 <span class="stat-label">Last scanned:</span>
                                 <span class="stat-value">${lastScanned}</span>
-                            </div>
+                            </div>${scheduleStats}
                         </div>
                     </div>
                 </div>
@@ -219,6 +323,33 @@ export async function rescanLibrary(libraryPathId, libraryPath) {
     }
 }
 
+export async function toggleLibraryWatch(libraryPathId, enabled) {
+    try {
+        const response = await fetch(`/api/library/paths/${libraryPathId}/watch`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ enabled })
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to change watch mode');
+        }
+        
+        const result = await response.json();
+        if (enabled && !result.isWatching) {
+            alert('Watch mode is on, but the library folder could not be watched. Check the logs for details.');
+        }
+        
+        loadKnownLibraries();
+    } catch (error) {
+        console.error('Watch mode error:', error);
+        alert(`Error changing watch mode: ${error.message}`);
+    }
+}
+
 export async function deleteLibrary(libraryPathId, libraryName) {
     const confirmed = confirm(`Are you sure you want to delete the library "${libraryName}"?\n\nThis will permanently delete:\n- The library configuration\n- All scan history\n- All video analysis data for this library\n\nThis action cannot be undone.`);
     
@@ -387,28 +518,46 @@ export async function startScanPolling(scanId) {
         return;
     }
     
+    // Reserve the slot before any await so concurrent calls don't create a second element
+    activeScanIntervals.set(scanId, null);
     progressDiv.style.display = 'block';
     
     // Get scan info to create progress element
-    let libraryPath = 'Unknown';
-    try {
-        const scanResponse = await fetch(`/api/library/scans/${scanId}`);
-        if (scanResponse.ok) {
-            const scan = await scanResponse.json();
-            libraryPath = scan.libraryPath || 'Unknown';
+    const liveScan = getLatestLiveUpdate('scan-progress', scanId);
+    let libraryPath = liveScan ? liveScan.libraryPath : 'Unknown';
+    if (!liveScan) {
+        try {
+            const scanResponse = await fetch(`/api/library/scans/${scanId}`);
+            if (scanResponse.ok) {
+                const scan = await scanResponse.json();
+                libraryPath = scan.libraryPath || 'Unknown';
+            }
+        } catch (error) {
+            console.error('Error fetching scan info:', error);
         }
-    } catch (error) {
-        console.error('Error fetching scan info:', error);
     }
     
     // Create progress element for this scan
     const element = createScanProgressElement(scanId, libraryPath);
     if (!element) {
         console.error('Failed to create scan progress element');
+        activeScanIntervals.delete(scanId);
         return;
     }
     
+    if (liveScan) {
+        updateScanProgress(scanId, liveScan);
+    }
+    
+    // Scan may have finished while the element was being created
+    if (!activeScanIntervals.has(scanId)) {
+        return;
+    }
+    
+    // Fallback polling, only used while live updates are disconnected
     const pollInterval = setInterval(async () => {
+        if (isLiveUpdatesConnected()) return;
+        
         try {
             const response = await fetch(`/api/library/scans/${scanId}`);
             if (!response.ok) {
@@ -418,112 +567,7 @@ export async function startScanPolling(scanId) {
                 return;
             }
             
-            const scan = await response.json();
-            
-            // Update status
-            const statusEl = document.getElementById(`scanStatus-${scanId}`);
-            const cancelBtn = document.getElementById(`cancelScanBtn-${scanId}`);
-            if (statusEl) {
-                const status = scan.status || 'Running';
-                statusEl.textContent = status;
-                statusEl.className = `scan-progress-status ${status.toLowerCase()}`;
-                
-                // Show/hide cancel button based on status
-                if (cancelBtn) {
-                    if (status === 'Running' || status === 'Pending') {
-                        cancelBtn.style.display = 'inline-flex';
-                    } else {
-                        cancelBtn.style.display = 'none';
-                    }
-                }
-            }
-            
-            // Update progress bar
-            const progressEl = document.getElementById(`scanProgressBar-${scanId}`);
-            const progressTextEl = document.getElementById(`scanProgressText-${scanId}`);
-            if (progressEl) {
-                if (scan.totalFiles > 0) {
-                    const percent = Math.round((scan.processedFiles / scan.totalFiles) * 100);
-                    progressEl.style.width = percent + '%';
-                    if (progressTextEl) {
-                        progressTextEl.textContent = `${scan.processedFiles} / ${scan.totalFiles} (${percent}%)`;
-                    }
-                } else {
-                    // Ensure progress bar is visible even when totalFiles is 0
-                    progressEl.style.width = '0%';
-                    if (progressTextEl) {
-                        progressTextEl.textContent = 'Initializing...';
-                    }
-                }
-            }
-            
-            // Update detail fields
-            const currentFileEl = document.getElementById(`currentFile-${scanId}`);
-            if (currentFileEl) {
-                const fileName = scan.currentFile || scan.lastAnalyzedFile;
-                if (fileName && fileName !== 'Initializing...') {
-                    const displayName = fileName.includes('/') || fileName.includes('\\') 
-                        ? fileName.split(/[/\\]/).pop() 
-                        : fileName;
-                    currentFileEl.textContent = displayName;
-                } else {
-                    currentFileEl.textContent = fileName || '-';
-                }
-            }
-            
-            const speedEl = document.getElementById(`scanSpeed-${scanId}`);
-            if (speedEl) {
-                if (scan.filesPerSecond && scan.filesPerSecond > 0) {
-                    speedEl.textContent = `${scan.filesPerSecond.toFixed(2)} files/sec`;
-                } else {
-                    speedEl.textContent = '-';
-                }
-            }
-            
-            const elapsedEl = document.getElementById(`scanElapsed-${scanId}`);
-            if (elapsedEl) {
-                elapsedEl.textContent = formatTimeSpan(scan.elapsedTime);
-            }
-            
-            const remainingEl = document.getElementById(`scanRemaining-${scanId}`);
-            if (remainingEl) {
-                remainingEl.textContent = formatTimeSpan(scan.estimatedTimeRemaining);
-            }
-            
-            // Handle scan completion or cancellation
-            if (scan.status === 'Completed' || scan.status === 'Failed' || scan.status === 'Cancelled') {
-                clearInterval(pollInterval);
-                activeScanIntervals.delete(scanId);
-                
-                console.log(`Scan ${scanId} ${scan.status.toLowerCase()}, refreshing dashboard...`);
-                
-                // Update status to show completion
-                if (statusEl) {
-                    statusEl.textContent = scan.status;
-                    statusEl.className = `scan-progress-status ${scan.status.toLowerCase()}`;
-                }
-                
-                // Remove progress element after a delay
-                setTimeout(() => {
-                    removeScanProgressElement(scanId);
-                    
-                    // Refresh data
-                    loadKnownLibraries();
-                    loadRecentScans();
-                    
-                    const activeTab = document.querySelector('.nav-item.active');
-                    if (activeTab && activeTab.getAttribute('data-tab') === 'browse') {
-                        loadBrowseMedia();
-                    }
-                    
-                    // Refresh dashboard
-                    setTimeout(() => {
-                        loadDashboard().catch(err => {
-                            console.error('Failed to refresh dashboard:', err);
-                        });
-                    }, 2000);
-                }, 3000);
-            }
+            updateScanProgress(scanId, await response.json());
         } catch (error) {
             console.error(`Error polling scan ${scanId} status:`, error);
             clearInterval(pollInterval);
@@ -535,6 +579,108 @@ export async function startScanPolling(scanId) {
     activeScanIntervals.set(scanId, pollInterval);
 }
 
+// Update a scan's progress element from /api/library/scans/{id} or a scan-progress live update
+function updateScanProgress(scanId, scan) {
+    // Update status
+    const statusEl = document.getElementById(`scanStatus-${scanId}`);
+    const cancelBtn = document.getElementById(`cancelScanBtn-${scanId}`);
+    if (statusEl) {
+        const status = scan.status || 'Running';
+        statusEl.textContent = status;
+        statusEl.className = `scan-progress-status ${status.toLowerCase()}`;
+        
+        // Show/hide cancel button based on status
+        if (cancelBtn) {
+            if (status === 'Running' || status === 'Pending') {
+                cancelBtn.style.display = 'inline-flex';
+            } else {
+                cancelBtn.style.display = 'none';
+            }
+        }
+    }
+    
+    // Update progress bar
+    const progressEl = document.getElementById(`scanProgressBar-${scanId}`);
+    const progressTextEl = document.getElementById(`scanProgressText-${scanId}`);
+    if (progressEl) {
+        if (scan.totalFiles > 0) {
+            const percent = Math.round((scan.processedFiles / scan.totalFiles) * 100);
+            progressEl.style.width = percent + '%';
+            if (progressTextEl) {
+                progressTextEl.textContent = `${scan.processedFiles} / ${scan.totalFiles} (${percent}%)`;
+            }
+        } else {
+            // Ensure progress bar is visible even when totalFiles is 0
+            progressEl.style.width = '0%';
+            if (progressTextEl) {
+                progressTextEl.textContent = 'Initializing...';
+            }
+        }
+    }
+    
+    // Update detail fields
+    const currentFileEl = document.getElementById(`currentFile-${scanId}`);
+    if (currentFileEl) {
+        const fileName = scan.currentFile || scan.lastAnalyzedFile;
+        if (fileName && fileName !== 'Initializing...') {
+            const displayName = fileName.includes('/') || fileName.includes('\\') 
+                ? fileName.split(/[/\\]/).pop() 
+                : fileName;
+            currentFileEl.textContent = displayName;
+        } else {
+            currentFileEl.textContent = fileName || '-';
+        }
+    }
+    
+    const speedEl = document.getElementById(`scanSpeed-${scanId}`);
+    if (speedEl) {
+        if (scan.filesPerSecond && scan.filesPerSecond > 0) {
+            speedEl.textContent = `${scan.filesPerSecond.toFixed(2)} files/sec`;
+        } else {
+            speedEl.textContent = '-';
+        }
+    }
+    
+    const elapsedEl = document.getElementById(`scanElapsed-${scanId}`);
+    if (elapsedEl) {
+        elapsedEl.textContent = formatTimeSpan(scan.elapsedTime);
+    }
+    
+    const remainingEl = document.getElementById(`scanRemaining-${scanId}`);
+    if (remainingEl) {
+        remainingEl.textContent = formatTimeSpan(scan.estimatedTimeRemaining);
+    }
+    
+    // Handle scan completion or cancellation
+    if (scan.status === 'Completed' || scan.status === 'Failed' || scan.status === 'Cancelled') {
+        clearInterval(activeScanIntervals.get(scanId));
+        activeScanIntervals.delete(scanId);
+        
+        console.log(`Scan ${scanId} ${scan.status.toLowerCase()}, refreshing dashboard...`);
+        
+        // Remove progress element after a delay
+        setTimeout(() => {
+            removeScanProgressElement(scanId);
+            
+            // Refresh data
+            loadKnownLibraries();
+            loadRecentScans();
+            
+            const activeTab = document.querySelector('.nav-item.active');
+            if (activeTab && activeTab.getAttribute('data-tab') === 'browse') {
+                loadBrowseMedia();
+            }
+            
+            // Refresh dashboard
+            setTimeout(() => {
+                loadDashboard().catch(err => {
+                    console.error('Failed to refresh dashboard:', err);
+                });
+            }, 2000);
+        }, 3000);
+    }
+}
+
 export function updateErrorsDisplay(failedFiles) {
     const errorsList = document.getElementById('errorsList');
     if (!errorsList) return;
@@ -717,6 +863,7 @@ export async function rescanAllProcessingVideos() {
 // Export to window for onclick handlers
 window.rescanLibrary = rescanLibrary;
 window.deleteLibrary = deleteLibrary;
+window.toggleLibraryWatch = toggleLibraryWatch;
 window.cancelScan = cancelScan;
 window.rescanProcessingVideo = rescanProcessingVideo;
 window.deleteProcessingVideo = deleteProcessingVideo;
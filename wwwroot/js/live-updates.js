@@ -0,0 +1,100 @@
+// Live Updates (Server-Sent Events from /api/events)
+//
+// One connection per tab carries scan progress, processing count, match progress, playback sync,
+// migration, watched-library activity and optimization job events. Modules keep their polling code as a fallback and skip it while
+// isLiveUpdatesConnected() is true.
+
+const LIVE_EVENT_TYPES = ['scan-progress', 'processing-count', 'match-progress', 'playback-sync', 'migration', 'library-activity', 'optimization-jobs'];
+const MAX_WAIT_FOR_UPDATE = 10000; // Re-check at least this often even when no event arrives
+
+let eventSource = null;
+let connected = false;
+const handlers = new Map(); // type -> Set of handlers
+const latestEvents = new Map(); // type -> Map(key -> data)
+
+function getEventKey(type, data) {
+    switch (type) {
+        case 'scan-progress': return String(data.id);
+        case 'match-progress': return data.matchId;
+        case 'playback-sync': return data.syncId;
+        default: return type;
+    }
+}
+
+function dispatch(type, data) {
+    if (!latestEvents.has(type)) latestEvents.set(type, new Map());
+    latestEvents.get(type).set(getEventKey(type, data), data);
+
+    (handlers.get(type) || []).forEach(handler => {
+        try {
+            handler(data);
+        } catch (error) {
+            console.error(`Error handling live update "${type}":`, error);
+        }
+    });
+}
+
+export function startLiveUpdates() {
+    if (eventSource || typeof EventSource === 'undefined') return;
+
+    eventSource = new EventSource('/api/events');
+
+    eventSource.onopen = () => {
+        connected = true;
+        console.log('Live updates connected');
+    };
+
+    // EventSource reconnects by itself; until it does, modules fall back to polling
+    eventSource.onerror = () => {
+        if (connected) console.warn('Live updates disconnected, falling back to polling');
+        connected = false;
+        latestEvents.clear();
+    };
+
+    LIVE_EVENT_TYPES.forEach(type => {
+        eventSource.addEventListener(type, event => {
+            try {
+                dispatch(type, JSON.parse(event.data));
+            } catch (error) {
+                console.error(`Invalid live update "${type}":`, error);
+            }
+        });
+    });
+}
+
+export function isLiveUpdatesConnected() {
+    return connected;
+}
+
+// Subscribe to one event type. Returns a function that unsubscribes.
+export function onLiveUpdate(type, handler) {
+    if (!handlers.has(type)) handlers.set(type, new Set());
+    handlers.get(type).add(handler);
+    return () => handlers.get(type).delete(handler);
+}
+
+// Most recent data received for an event type (and key, e.g. a scan ID or match ID)
+export function getLatestLiveUpdate(type, key = type) {
+    const events = latestEvents.get(type);
+    return events ? events.get(String(key)) : undefined;
+}
+
+// For progress loops: waits for the next event of a type when connected,
+// or for pollDelay milliseconds when polling.
+export function waitForLiveUpdate(type, pollDelay) {
+    if (!connected) {
+        return new Promise(resolve => setTimeout(resolve, pollDelay));
+    }
+
+    return new Promise(resolve => {
+        const timeoutId = setTimeout(() => {
+            unsubscribe();
+            resolve();
+        }, MAX_WAIT_FOR_UPDATE);
+        const unsubscribe = onLiveUpdate(type, () => {
+            clearTimeout(timeoutId);
+            unsubscribe();
+            resolve();
+        });
+    });
+}
@@ -84,418 +84,959 @@ export function getNonOptimalFields(video) {
     return nonOptimal;
 }
 
-export async function showMediaInfo(videoId) {
-    const modal = document.getElementById('mediaInfoModal');
-    const content = document.getElementById('modalMediaContent');
-    const title = document.getElementById('modalMediaTitle');
+/**
+ * Renders the media info sections for a video analysis record.
+ * Used by the media info modal and by the Analyze tab, which passes an unsaved analysis.
+ * Options:
+ *   playbackHistory     - playback entries to list (default none)
+ *   readOnly            - hide actions that need a stored video (rescan, rating details)
+ *   trackDetailsHandler - builds the onclick expression for the track sections
+ *   clientMatrix        - per-client matrix from /api/playback/client-matrix/video/{id}
+ *   ffmpegPlan          - ffmpeg commands from /api/library/videos/{id}/ffmpeg-plan
+ *   profileRatings      - ratings against each device profile from /api/profiles/video/{id}
+ *   analysisHistory     - current and previous analyses from /api/library/videos/{id}/history
+ */
+export function renderMediaInfo(video, options = {}) {
+    const playbackHistory = options.playbackHistory || [];
+    const readOnly = options.readOnly || false;
+    const clientMatrix = options.clientMatrix || null;
+    const ffmpegPlan = options.ffmpegPlan || null;
+    const profileRatings = options.profileRatings || [];
+    const analysisHistory = options.analysisHistory || [];
+    const trackDetailsHandler = options.trackDetailsHandler || (trackType => `showTrackDetails(${video.id}, '${trackType}')`);
     
-    if (!modal || !content) return;
+    // Check if file is broken
+    if (video.isBroken) {
+        return `
+            <div class="broken-media-warning" style="padding: 2rem; background-color: rgba(231, 76, 60, 0.1); border: 2px solid var(--error-color); border-radius: 8px; margin-bottom: 1.5rem;">
+                <h3 style="color: var(--error-color); margin-top: 0; display: flex; align-items: center; gap: 0.5rem;">
+                    <span>⚠️</span>
+                    <span>Broken or Unreadable Media File</span>
+                </h3>
+                <p style="color: var(--text-primary); margin: 0.5rem 0;">
+                    <strong>Reason:</strong> ${escapeHtml(video.brokenReason || 'Unknown error')}
+                </p>
+                <p style="color: var(--text-secondary); font-size: 0.875rem; margin: 0.5rem 0 0 0;">
+                    This file could not be properly analyzed. It may be corrupted, incomplete, or in an unsupported format. 
+                    Try rescanning the file or check if the file is accessible.
+                </p>
+            </div>
+            <div class="info-section">
+                <h4>File Information</h4>
+                <div class="info-item">
+                    <span class="info-label">File Path:</span>
+                    <span class="info-value">${escapeHtml(video.filePath || 'N/A')}</span>
+                </div>
+                <div class="info-item">
+                    <span class="info-label">File Size:</span>
+                    <span class="info-value">${video.fileSize ? formatFileSize(video.fileSize) : 'N/A'}</span>
+                </div>
+                <div class="info-item">
+                    <span class="info-label">Analyzed:</span>
+                    <span class="info-value">${video.analyzedAt ? new Date(video.analyzedAt).toLocaleString() : 'N/A'}</span>
+                </div>
+            </div>
+            ${readOnly ? '' : renderAnalysisHistory(video.id, analysisHistory)}
+        `;
+    }
     
-    modal.style.display = 'block';
-    content.innerHTML = '<div class="loading-placeholder">Loading media information...</div>';
+    // Determine which fields are non-optimal
+    const nonOptimal = getNonOptimalFields(video);
     
+    // Parse issues and recommendations if available (must be done before using issuesList)
+    let issuesList = [];
+    let recommendationsList = [];
     try {
-        const response = await fetch(`/api/library/videos/${videoId}`);
-        if (!response.ok) throw new Error('Failed to load media info');
-        
-        const video = await response.json();
-        title.textContent = escapeHtml(video.fileName || 'Media Information');
-        
-        // Check if file is broken
-        if (video.isBroken) {
-            content.innerHTML = `
-                <div class="broken-media-warning" style="padding: 2rem; background-color: rgba(231, 76, 60, 0.1); border: 2px solid var(--error-color); border-radius: 8px; margin-bottom: 1.5rem;">
-                    <h3 style="color: var(--error-color); margin-top: 0; display: flex; align-items: center; gap: 0.5rem;">
-                        <span>⚠️</span>
-                        <span>Broken or Unreadable Media File</span>
-                    </h3>
-                    <p style="color: var(--text-primary); margin: 0.5rem 0;">
-                        <strong>Reason:</strong> ${escapeHtml(video.brokenReason || 'Unknown error')}
-                    </p>
-                    <p style="color: var(--text-secondary); font-size: 0.875rem; margin: 0.5rem 0 0 0;">
-                        This file could not be properly analyzed. It may be corrupted, incomplete, or in an unsupported format. 
-                        Try rescanning the file or check if the file is accessible.
-                    </p>
-                </div>
-                <div class="info-section">
-                    <h4>File Information</h4>
-                    <div class="info-item">
-                        <span class="info-label">File Path:</span>
-                        <span class="info-value">${escapeHtml(video.filePath || 'N/A')}</span>
-                    </div>
-                    <div class="info-item">
-                        <span class="info-label">File Size:</span>
-                        <span class="info-value">${video.fileSize ? formatFileSize(video.fileSize) : 'N/A'}</span>
-                    </div>
-                    <div class="info-item">
-                        <span class="info-label">Analyzed:</span>
-                        <span class="info-value">${video.analyzedAt ? new Date(video.analyzedAt).toLocaleString() : 'N/A'}</span>
-                    </div>
-                </div>
-            `;
-            return;
-        }
-        
-        // Determine which fields are non-optimal
-        const nonOptimal = getNonOptimalFields(video);
-        
-        // Parse issues and recommendations if available (must be done before using issuesList)
-        let issuesList = [];
-        let recommendationsList = [];
-        try {
-            if (video.issues) {
-                const issues = typeof video.issues === 'string' ? JSON.parse(video.issues) : video.issues;
-                if (Array.isArray(issues)) {
-                    issuesList = issues;
-                }
+        if (video.issues) {
+            const issues = typeof video.issues === 'string' ? JSON.parse(video.issues) : video.issues;
+            if (Array.isArray(issues)) {
+                issuesList = issues;
             }
-            if (video.recommendations) {
-                const recommendations = typeof video.recommendations === 'string' ? JSON.parse(video.recommendations) : video.recommendations;
-                if (Array.isArray(recommendations)) {
-                    recommendationsList = recommendations;
-                }
+        }
+        if (video.recommendations) {
+            const recommendations = typeof video.recommendations === 'string' ? JSON.parse(video.recommendations) : video.recommendations;
+            if (Array.isArray(recommendations)) {
+                recommendationsList = recommendations;
             }
-        } catch (e) {
-            // Silently handle parsing errors - issues/recommendations are optional
         }
-        
-        // Helper to create info item with optional warning
-        const createInfoItem = (label, value, isNonOptimal = false, isVisualQuality = false) => {
-            let warningIcon = '';
-            if (isNonOptimal) {
-                if (isVisualQuality) {
-                    // Visual quality issues (like SDR) get a different icon/message
-                    warningIcon = '<span class="warning-icon" title="This field may have reduced visual quality compared to alternatives" style="opacity: 0.7;">💡</span>';
-                } else {
-                    // Compatibility issues get the standard warning
-                    warningIcon = '<span class="warning-icon" title="This field may cause compatibility issues">⚠️</span>';
-                }
+    } catch (e) {
+        // Silently handle parsing errors - issues/recommendations are optional
+    }
+    
+    // Helper to create info item with optional warning
+    const createInfoItem = (label, value, isNonOptimal = false, isVisualQuality = false) => {
+        let warningIcon = '';
+        if (isNonOptimal) {
+            if (isVisualQuality) {
+                // Visual quality issues (like SDR) get a different icon/message
+                warningIcon = '<span class="warning-icon" title="This field may have reduced visual quality compared to alternatives" style="opacity: 0.7;">💡</span>';
+            } else {
+                // Compatibility issues get the standard warning
+                warningIcon = '<span class="warning-icon" title="This field may cause compatibility issues">⚠️</span>';
             }
-            return `
-                <div class="info-item ${isNonOptimal ? 'non-optimal' : ''}">
-                    <span class="info-label">${escapeHtml(label)}:</span>
-                    <span class="info-value">
-                        ${warningIcon}
-                        ${value}
-                    </span>
-                </div>
-            `;
-        };
-        
-        // Check if HDR/SDR is a visual quality issue (not compatibility)
-        // The backend message is: "SDR content may have reduced visual quality compared to HDR"
-        const isHDRVisualQualityIssue = issuesList.some(issue => {
-            const issueLower = issue.toLowerCase();
-            return issueLower.includes('sdr') && (issueLower.includes('visual quality') || issueLower.includes('reduced visual quality'));
-        });
+        }
+        return `
+            <div class="info-item ${isNonOptimal ? 'non-optimal' : ''}">
+                <span class="info-label">${escapeHtml(label)}:</span>
+                <span class="info-value">
+                    ${warningIcon}
+                    ${value}
+                </span>
+            </div>
+        `;
+    };
+    
+    // Check if HDR/SDR is a visual quality issue (not compatibility)
+    // The backend message is: "SDR content may have reduced visual quality compared to HDR"
+    const isHDRVisualQualityIssue = issuesList.some(issue => {
+        const issueLower = issue.toLowerCase();
+        return issueLower.includes('sdr') && (issueLower.includes('visual quality') || issueLower.includes('reduced visual quality'));
+    });
+    
+    // Format audio codecs as a list
+    // Check each codec individually to see if it's problematic
+    const audioCodecsList = video.audioCodecs ? video.audioCodecs.split(',').map(c => c.trim()).filter(c => c) : [];
+    const problematicAudioCodecs = new Set();
+    
+    // Normalize codec names for matching (remove hyphens, spaces, dots, etc.)
+    const normalizeCodecName = (name) => {
+        let normalized = name.toLowerCase().replace(/[-\s\.]/g, '');
+        // Handle equivalent codec names
+        // EC-3 and E-AC-3 are the same (Enhanced AC-3), normalize both to 'eac3'
+        if (normalized === 'ec3' || normalized === 'eac3') {
+            normalized = 'eac3';
+        }
+        return normalized;
+    };
+    
+    // Check issues for specific problematic codecs
+    issuesList.forEach(issue => {
+        const issueLower = issue.toLowerCase();
+        let issueNormalized = normalizeCodecName(issue); // Normalize the entire issue for better matching
+        // Also normalize common codec variations in issue text for matching
+        // Replace "ec3" with "eac3" in issue text since they're equivalent (EC-3 = E-AC-3)
+        issueNormalized = issueNormalized.replace(/ec3/g, 'eac3');
+        const isAudioIssue = issueLower.includes('audio') && 
+            (issueLower.includes('not supported') || 
+             issueLower.includes('unsupported') || 
+             issueLower.includes('transcoding') ||
+             issueLower.includes('codec not supported') ||
+             issueLower.includes('audio codec not supported'));
         
-        // Format audio codecs as a list
-        // Check each codec individually to see if it's problematic
-        const audioCodecsList = video.audioCodecs ? video.audioCodecs.split(',').map(c => c.trim()).filter(c => c) : [];
-        const problematicAudioCodecs = new Set();
+        if (!isAudioIssue) return;
         
-        // Normalize codec names for matching (remove hyphens, spaces, dots, etc.)
-        const normalizeCodecName = (name) => {
-            let normalized = name.toLowerCase().replace(/[-\s\.]/g, '');
-            // Handle equivalent codec names
-            // EC-3 and E-AC-3 are the same (Enhanced AC-3), normalize both to 'eac3'
-            if (normalized === 'ec3' || normalized === 'eac3') {
-                normalized = 'eac3';
+        // Check each codec against the issue using normalized matching
+        audioCodecsList.forEach(codec => {
+            const codecLower = codec.toLowerCase();
+            const normalizedCodec = normalizeCodecName(codec);
+            
+            // Strategy 1: Direct match (case-insensitive) in original issue text
+            if (issueLower.includes(codecLower)) {
+                problematicAudioCodecs.add(codec);
+                return;
             }
-            return normalized;
-        };
-        
-        // Check issues for specific problematic codecs
-        issuesList.forEach(issue => {
-            const issueLower = issue.toLowerCase();
-            let issueNormalized = normalizeCodecName(issue); // Normalize the entire issue for better matching
-            // Also normalize common codec variations in issue text for matching
-            // Replace "ec3" with "eac3" in issue text since they're equivalent (EC-3 = E-AC-3)
-            issueNormalized = issueNormalized.replace(/ec3/g, 'eac3');
-            const isAudioIssue = issueLower.includes('audio') && 
-                (issueLower.includes('not supported') || 
-                 issueLower.includes('unsupported') || 
-                 issueLower.includes('transcoding') ||
-                 issueLower.includes('codec not supported') ||
-                 issueLower.includes('audio codec not supported'));
             
-            if (!isAudioIssue) return;
+            // Strategy 2: Normalized codec name in normalized issue text
+            // This handles cases like "ec-3" in issue matching "EC-3" codec
+            if (issueNormalized.includes(normalizedCodec)) {
+                problematicAudioCodecs.add(codec);
+                return;
+            }
             
-            // Check each codec against the issue using normalized matching
+            // Strategy 3: Check if normalized codec appears as substring in normalized issue
+            // This handles partial matches and variations
+            if (normalizedCodec.length >= 2 && issueNormalized.includes(normalizedCodec)) {
+                problematicAudioCodecs.add(codec);
+            }
+        });
+        
+        // Also check for known problematic codec patterns
+        // DTS (but not DTS-HD)
+        if (issueNormalized.includes('dts') && !issueNormalized.includes('dtshd')) {
             audioCodecsList.forEach(codec => {
-                const codecLower = codec.toLowerCase();
-                const normalizedCodec = normalizeCodecName(codec);
-                
-                // Strategy 1: Direct match (case-insensitive) in original issue text
-                if (issueLower.includes(codecLower)) {
+                const codecNormalized = normalizeCodecName(codec);
+                if (codecNormalized.includes('dts') && !codecNormalized.includes('dtshd')) {
                     problematicAudioCodecs.add(codec);
-                    return;
                 }
-                
-                // Strategy 2: Normalized codec name in normalized issue text
-                // This handles cases like "ec-3" in issue matching "EC-3" codec
-                if (issueNormalized.includes(normalizedCodec)) {
+            });
+        }
+        // AC3, EAC3, EC-3, E-AC-3 (all variations)
+        // Check normalized issue for any AC3/EAC3/EC-3 pattern
+        // Note: EC-3 and E-AC-3 are the same codec, both normalize to 'eac3'
+        // After normalization, "ec3" in issue text is replaced with "eac3"
+        if (issueNormalized.includes('ac3') || issueNormalized.includes('eac3')) {
+            audioCodecsList.forEach(codec => {
+                const codecNormalized = normalizeCodecName(codec);
+                // Match AC3 (normalizes to 'ac3')
+                // Match EAC3/E-AC-3/EC-3 (all normalize to 'eac3' after equivalence handling)
+                if (codecNormalized === 'ac3' || codecNormalized === 'eac3') {
                     problematicAudioCodecs.add(codec);
-                    return;
                 }
-                
-                // Strategy 3: Check if normalized codec appears as substring in normalized issue
-                // This handles partial matches and variations
-                if (normalizedCodec.length >= 2 && issueNormalized.includes(normalizedCodec)) {
+            });
+        }
+        // ALAC
+        if (issueNormalized.includes('alac')) {
+            audioCodecsList.forEach(codec => {
+                if (normalizeCodecName(codec).includes('alac')) {
                     problematicAudioCodecs.add(codec);
                 }
             });
-            
-            // Also check for known problematic codec patterns
-            // DTS (but not DTS-HD)
-            if (issueNormalized.includes('dts') && !issueNormalized.includes('dtshd')) {
-                audioCodecsList.forEach(codec => {
-                    const codecNormalized = normalizeCodecName(codec);
-                    if (codecNormalized.includes('dts') && !codecNormalized.includes('dtshd')) {
-                        problematicAudioCodecs.add(codec);
-                    }
-                });
-            }
-            // AC3, EAC3, EC-3, E-AC-3 (all variations)
-            // Check normalized issue for any AC3/EAC3/EC-3 pattern
-            // Note: EC-3 and E-AC-3 are the same codec, both normalize to 'eac3'
-            // After normalization, "ec3" in issue text is replaced with "eac3"
-            if (issueNormalized.includes('ac3') || issueNormalized.includes('eac3')) {
-                audioCodecsList.forEach(codec => {
-                    const codecNormalized = normalizeCodecName(codec);
-                    // Match AC3 (normalizes to 'ac3')
-                    // Match EAC3/E-AC-3/EC-3 (all normalize to 'eac3' after equivalence handling)
-                    if (codecNormalized === 'ac3' || codecNormalized === 'eac3') {
-                        problematicAudioCodecs.add(codec);
-                    }
+        }
+    });
+    
+    const audioCodecsDisplay = audioCodecsList.length > 0 
+        ? audioCodecsList.map(codec => {
+            const isProblematic = problematicAudioCodecs.has(codec);
+            return `<span class="codec-tag ${isProblematic ? 'non-optimal' : ''}">${escapeHtml(codec)}</span>`;
+        }).join(' ')
+        : 'None';
+    
+    // Check for audio track warnings (missing language)
+    let audioTracksWarning = false;
+    try {
+        const audioTracksJson = video.audioTracksJson || video.AudioTracksJson || '';
+        if (audioTracksJson && audioTracksJson.trim() !== '') {
+            const audioTracks = typeof audioTracksJson === 'string' ? JSON.parse(audioTracksJson) : audioTracksJson;
+            if (Array.isArray(audioTracks)) {
+                audioTracksWarning = audioTracks.some(track => {
+                    const language = track.language || track.Language || '';
+                    return !language.trim() || language.trim().toLowerCase() === 'unknown';
                 });
             }
-            // ALAC
-            if (issueNormalized.includes('alac')) {
-                audioCodecsList.forEach(codec => {
-                    if (normalizeCodecName(codec).includes('alac')) {
-                        problematicAudioCodecs.add(codec);
-                    }
+        }
+    } catch (e) {
+        // Ignore parsing errors
+    }
+    
+    // Format subtitle formats as a list, separating embedded and external
+    const subtitleFormatsList = video.subtitleFormats ? video.subtitleFormats.split(',').map(f => f.trim()).filter(f => f) : [];
+    const subtitleFormatsDisplay = subtitleFormatsList.length > 0 
+        ? subtitleFormatsList.map(format => {
+            const isExternal = format.includes('(External)');
+            const formatName = format.replace(' (External)', '');
+            const tagClass = nonOptimal.subtitleFormats ? 'non-optimal' : '';
+            const externalBadge = isExternal ? '<span style="font-size: 0.75rem; color: var(--accent-color); margin-left: 0.25rem;" title="External subtitle file">📄</span>' : '';
+            return `<span class="codec-tag ${tagClass}">${escapeHtml(formatName)}${externalBadge}</span>`;
+        }).join(' ')
+        : 'None';
+    
+    // Check for subtitle track warnings (missing language)
+    let subtitleTracksWarning = false;
+    try {
+        const subtitleTracksJson = video.subtitleTracksJson || video.SubtitleTracksJson || '';
+        if (subtitleTracksJson && subtitleTracksJson.trim() !== '') {
+            const subtitleTracks = typeof subtitleTracksJson === 'string' ? JSON.parse(subtitleTracksJson) : subtitleTracksJson;
+            if (Array.isArray(subtitleTracks)) {
+                subtitleTracksWarning = subtitleTracks.some(track => {
+                    const language = track.language || track.Language || '';
+                    return !language.trim() || language.trim().toLowerCase() === 'unknown';
                 });
             }
-        });
-        
-        const audioCodecsDisplay = audioCodecsList.length > 0 
-            ? audioCodecsList.map(codec => {
-                const isProblematic = problematicAudioCodecs.has(codec);
-                return `<span class="codec-tag ${isProblematic ? 'non-optimal' : ''}">${escapeHtml(codec)}</span>`;
-            }).join(' ')
-            : 'None';
-        
-        // Check for audio track warnings (missing language)
-        let audioTracksWarning = false;
-        try {
-            const audioTracksJson = video.audioTracksJson || video.AudioTracksJson || '';
-            if (audioTracksJson && audioTracksJson.trim() !== '') {
-                const audioTracks = typeof audioTracksJson === 'string' ? JSON.parse(audioTracksJson) : audioTracksJson;
-                if (Array.isArray(audioTracks)) {
-                    audioTracksWarning = audioTracks.some(track => {
-                        const language = track.language || track.Language || '';
-                        return !language.trim() || language.trim().toLowerCase() === 'unknown';
-                    });
-                }
-            }
-        } catch (e) {
-            // Ignore parsing errors
         }
+    } catch (e) {
+        // Ignore parsing errors
+    }
+    
+    // Calculate aspect ratio
+    const aspectRatio = video.width && video.height ? (video.width / video.height).toFixed(2) : 'N/A';
+    const displayAspectRatio = video.width && video.height ? 
+        (video.width >= video.height ? `${(video.width / video.height).toFixed(2)}:1` : `1:${(video.height / video.width).toFixed(2)}`) : 'N/A';
+    
+    // Calculate bitrate estimate (if file size and duration are available)
+    // Formula: (fileSize in bytes * 8 bits/byte) / (duration in seconds * 1,000,000 bits/Mbps) = Mbps
+    // Note: 1 Mbps = 1,000,000 bits per second
+    // Also correct the duration value if it seems wrong (for display purposes)
+    let estimatedBitrate = 'N/A';
+    let correctedDuration = video.duration; // Use corrected duration for display
+    
+    // First, check if duration is extremely suspicious (< 10 seconds) - always try correction
+    if (video.duration && video.duration > 0 && video.duration < 10 && video.fileSize) {
+        // For durations < 10 seconds, almost certainly wrong - try multiplying by 1000
+        const testDuration = video.duration * 1000.0;
+        const testBps = (video.fileSize * 8) / testDuration;
+        const testMbps = testBps / 1000000;
         
-        // Format subtitle formats as a list, separating embedded and external
-        const subtitleFormatsList = video.subtitleFormats ? video.subtitleFormats.split(',').map(f => f.trim()).filter(f => f) : [];
-        const subtitleFormatsDisplay = subtitleFormatsList.length > 0 
-            ? subtitleFormatsList.map(format => {
-                const isExternal = format.includes('(External)');
-                const formatName = format.replace(' (External)', '');
-                const tagClass = nonOptimal.subtitleFormats ? 'non-optimal' : '';
-                const externalBadge = isExternal ? '<span style="font-size: 0.75rem; color: var(--accent-color); margin-left: 0.25rem;" title="External subtitle file">📄</span>' : '';
-                return `<span class="codec-tag ${tagClass}">${escapeHtml(formatName)}${externalBadge}</span>`;
-            }).join(' ')
-            : 'None';
-        
-        // Check for subtitle track warnings (missing language)
-        let subtitleTracksWarning = false;
-        try {
-            const subtitleTracksJson = video.subtitleTracksJson || video.SubtitleTracksJson || '';
-            if (subtitleTracksJson && subtitleTracksJson.trim() !== '') {
-                const subtitleTracks = typeof subtitleTracksJson === 'string' ? JSON.parse(subtitleTracksJson) : subtitleTracksJson;
-                if (Array.isArray(subtitleTracks)) {
-                    subtitleTracksWarning = subtitleTracks.some(track => {
-                        const language = track.language || track.Language || '';
-                        return !language.trim() || language.trim().toLowerCase() === 'unknown';
-                    });
-                }
-            }
-        } catch (e) {
-            // Ignore parsing errors
+        // If the corrected duration gives a reasonable bitrate (< 2000 Mbps) and duration >= 10 seconds, use it
+        if (testMbps < 2000 && testMbps > 0 && testDuration >= 10) {
+            correctedDuration = testDuration;
+            console.log(`Auto-correcting extremely short duration: ${video.duration}s -> ${correctedDuration}s (bitrate: ${testMbps.toFixed(2)} Mbps)`);
         }
+    }
+    
+    if (video.fileSize && video.duration && video.duration > 0) {
+        let durationSeconds = correctedDuration; // Start with corrected duration if available
         
-        // Calculate aspect ratio
-        const aspectRatio = video.width && video.height ? (video.width / video.height).toFixed(2) : 'N/A';
-        const displayAspectRatio = video.width && video.height ? 
-            (video.width >= video.height ? `${(video.width / video.height).toFixed(2)}:1` : `1:${(video.height / video.width).toFixed(2)}`) : 'N/A';
+        // Calculate initial bitrate to check if duration unit is correct
+        const initialBps = (video.fileSize * 8) / durationSeconds;
+        const initialMbps = initialBps / 1000000;
         
-        // Calculate bitrate estimate (if file size and duration are available)
-        // Formula: (fileSize in bytes * 8 bits/byte) / (duration in seconds * 1,000,000 bits/Mbps) = Mbps
-        // Note: 1 Mbps = 1,000,000 bits per second
-        // Also correct the duration value if it seems wrong (for display purposes)
-        let estimatedBitrate = 'N/A';
-        let correctedDuration = video.duration; // Use corrected duration for display
+        // Check if duration seems wrong based on file size and bitrate
+        // Multiple heuristics to catch different cases:
+        // 1. Bitrate is unreasonably high (> 1000 Mbps)
+        // 2. Duration is very small (< 100 seconds) for a large file (> 100MB)
+        // 3. Duration is suspiciously small (< 60 seconds) for any video file
+        // 4. Duration seems too short relative to file size (heuristic: fileSize/duration ratio)
+        // 5. Duration is very small (< 10 seconds) - almost certainly wrong for any video
+        const isLargeFile = video.fileSize > 100 * 1024 * 1024; // > 100MB
+        const isSuspiciouslyShort = durationSeconds < 100 && isLargeFile;
+        const isBitrateTooHigh = initialMbps > 1000;
+        const isVeryShortForAnyFile = durationSeconds < 60; // Most videos are at least 1 minute
+        const isExtremelyShort = durationSeconds < 10; // Almost certainly wrong
         
-        // First, check if duration is extremely suspicious (< 10 seconds) - always try correction
-        if (video.duration && video.duration > 0 && video.duration < 10 && video.fileSize) {
-            // For durations < 10 seconds, almost certainly wrong - try multiplying by 1000
-            const testDuration = video.duration * 1000.0;
-            const testBps = (video.fileSize * 8) / testDuration;
-            const testMbps = testBps / 1000000;
-            
-            // If the corrected duration gives a reasonable bitrate (< 2000 Mbps) and duration >= 10 seconds, use it
-            if (testMbps < 2000 && testMbps > 0 && testDuration >= 10) {
-                correctedDuration = testDuration;
-                console.log(`Auto-correcting extremely short duration: ${video.duration}s -> ${correctedDuration}s (bitrate: ${testMbps.toFixed(2)} Mbps)`);
-            }
-        }
+        // Additional heuristic: if file size per second is unreasonably high (> 50MB/s), duration might be wrong
+        // This catches cases where duration is wrong but bitrate calculation doesn't trigger
+        const bytesPerSecond = video.fileSize / durationSeconds;
+        const mbPerSecond = bytesPerSecond / (1024 * 1024);
+        const isUnreasonableFileSizePerSecond = mbPerSecond > 50; // > 50 MB/s is very high
         
-        if (video.fileSize && video.duration && video.duration > 0) {
-            let durationSeconds = correctedDuration; // Start with corrected duration if available
-            
-            // Calculate initial bitrate to check if duration unit is correct
-            const initialBps = (video.fileSize * 8) / durationSeconds;
-            const initialMbps = initialBps / 1000000;
+        // Try correction if any suspicious condition is met
+        if (isBitrateTooHigh || isSuspiciouslyShort || isVeryShortForAnyFile || isUnreasonableFileSizePerSecond || isExtremelyShort) {
+            // Duration is likely in wrong unit
+            if (isBitrateTooHigh) {
+                console.warn(`Bitrate ${initialMbps.toFixed(2)} Mbps seems too high. Duration ${durationSeconds} might be in wrong unit.`);
+            } else if (isSuspiciouslyShort) {
+                console.warn(`Duration ${durationSeconds}s seems too short for file size ${(video.fileSize / (1024*1024)).toFixed(2)}MB. Duration might be in wrong unit.`);
+            } else if (isVeryShortForAnyFile) {
+                console.warn(`Duration ${durationSeconds}s seems suspiciously short (< 60s) for a video file. Duration might be in wrong unit.`);
+            } else if (isUnreasonableFileSizePerSecond) {
+                console.warn(`File size per second ${mbPerSecond.toFixed(2)}MB/s seems unreasonably high. Duration ${durationSeconds}s might be in wrong unit.`);
+            }
             
-            // Check if duration seems wrong based on file size and bitrate
-            // Multiple heuristics to catch different cases:
-            // 1. Bitrate is unreasonably high (> 1000 Mbps)
-            // 2. Duration is very small (< 100 seconds) for a large file (> 100MB)
-            // 3. Duration is suspiciously small (< 60 seconds) for any video file
-            // 4. Duration seems too short relative to file size (heuristic: fileSize/duration ratio)
-            // 5. Duration is very small (< 10 seconds) - almost certainly wrong for any video
-            const isLargeFile = video.fileSize > 100 * 1024 * 1024; // > 100MB
-            const isSuspiciouslyShort = durationSeconds < 100 && isLargeFile;
-            const isBitrateTooHigh = initialMbps > 1000;
-            const isVeryShortForAnyFile = durationSeconds < 60; // Most videos are at least 1 minute
-            const isExtremelyShort = durationSeconds < 10; // Almost certainly wrong
+            // Try different conversions
+            // Option 1: If duration < 1, it might be in milliseconds -> divide by 1000
+            // Option 2: If duration is small (1-100 seconds) but file is large, maybe it's actually in milliseconds -> multiply by 1000
+            // Option 3: If duration is very small (< 0.01), it might be in microseconds -> divide by 1,000,000
             
-            // Additional heuristic: if file size per second is unreasonably high (> 50MB/s), duration might be wrong
-            // This catches cases where duration is wrong but bitrate calculation doesn't trigger
-            const bytesPerSecond = video.fileSize / durationSeconds;
-            const mbPerSecond = bytesPerSecond / (1024 * 1024);
-            const isUnreasonableFileSizePerSecond = mbPerSecond > 50; // > 50 MB/s is very high
+            let foundCorrection = false;
             
-            // Try correction if any suspicious condition is met
-            if (isBitrateTooHigh || isSuspiciouslyShort || isVeryShortForAnyFile || isUnreasonableFileSizePerSecond || isExtremelyShort) {
-                // Duration is likely in wrong unit
-                if (isBitrateTooHigh) {
-                    console.warn(`Bitrate ${initialMbps.toFixed(2)} Mbps seems too high. Duration ${durationSeconds} might be in wrong unit.`);
-                } else if (isSuspiciouslyShort) {
-                    console.warn(`Duration ${durationSeconds}s seems too short for file size ${(video.fileSize / (1024*1024)).toFixed(2)}MB. Duration might be in wrong unit.`);
-                } else if (isVeryShortForAnyFile) {
-                    console.warn(`Duration ${durationSeconds}s seems suspiciously short (< 60s) for a video file. Duration might be in wrong unit.`);
-                } else if (isUnreasonableFileSizePerSecond) {
-                    console.warn(`File size per second ${mbPerSecond.toFixed(2)}MB/s seems unreasonably high. Duration ${durationSeconds}s might be in wrong unit.`);
+            if (durationSeconds < 0.01) {
+                // Very small - might be in microseconds
+                const testDuration = video.duration * 1000.0;
+                const testBps = (video.fileSize * 8) / testDuration;
+                const testMbps = testBps / 1000000;
+                if (testMbps < 1000 && testMbps > 0) {
+                    durationSeconds = testDuration;
+                    correctedDuration = durationSeconds;
+                    foundCorrection = true;
+                    console.log(`Trying microseconds conversion: ${video.duration} * 1000 = ${durationSeconds} seconds`);
                 }
+            } else if (durationSeconds < 1) {
+                // Less than 1 second - might be in milliseconds
+                const testDuration = video.duration / 1000.0;
+                const testBps = (video.fileSize * 8) / testDuration;
+                const testMbps = testBps / 1000000;
+                if (testMbps < 1000 && testMbps > 0) {
+                    durationSeconds = testDuration;
+                    correctedDuration = durationSeconds;
+                    foundCorrection = true;
+                    console.log(`Trying milliseconds conversion: ${video.duration} / 1000 = ${durationSeconds} seconds`);
+                }
+            } else if (durationSeconds < 100 || isUnreasonableFileSizePerSecond || isExtremelyShort) {
+                // Small duration (1-100 seconds) OR unreasonable file size per second OR extremely short
+                // Maybe duration is actually in milliseconds - try multiplying by 1000
+                const alternativeDuration = video.duration * 1000.0;
+                const alternativeBps = (video.fileSize * 8) / alternativeDuration;
+                const alternativeMbps = alternativeBps / 1000000;
+                const alternativeMbPerSecond = (video.fileSize / alternativeDuration) / (1024 * 1024);
                 
-                // Try different conversions
-                // Option 1: If duration < 1, it might be in milliseconds -> divide by 1000
-                // Option 2: If duration is small (1-100 seconds) but file is large, maybe it's actually in milliseconds -> multiply by 1000
-                // Option 3: If duration is very small (< 0.01), it might be in microseconds -> divide by 1,000,000
-                
-                let foundCorrection = false;
-                
-                if (durationSeconds < 0.01) {
-                    // Very small - might be in microseconds
-                    const testDuration = video.duration * 1000.0;
-                    const testBps = (video.fileSize * 8) / testDuration;
-                    const testMbps = testBps / 1000000;
-                    if (testMbps < 1000 && testMbps > 0) {
-                        durationSeconds = testDuration;
-                        correctedDuration = durationSeconds;
-                        foundCorrection = true;
-                        console.log(`Trying microseconds conversion: ${video.duration} * 1000 = ${durationSeconds} seconds`);
-                    }
-                } else if (durationSeconds < 1) {
-                    // Less than 1 second - might be in milliseconds
-                    const testDuration = video.duration / 1000.0;
-                    const testBps = (video.fileSize * 8) / testDuration;
-                    const testMbps = testBps / 1000000;
-                    if (testMbps < 1000 && testMbps > 0) {
-                        durationSeconds = testDuration;
-                        correctedDuration = durationSeconds;
-                        foundCorrection = true;
-                        console.log(`Trying milliseconds conversion: ${video.duration} / 1000 = ${durationSeconds} seconds`);
-                    }
-                } else if (durationSeconds < 100 || isUnreasonableFileSizePerSecond || isExtremelyShort) {
-                    // Small duration (1-100 seconds) OR unreasonable file size per second OR extremely short
-                    // Maybe duration is actually in milliseconds - try multiplying by 1000
-                    const alternativeDuration = video.duration * 1000.0;
-                    const alternativeBps = (video.fileSize * 8) / alternativeDuration;
-                    const alternativeMbps = alternativeBps / 1000000;
-                    const alternativeMbPerSecond = (video.fileSize / alternativeDuration) / (1024 * 1024);
-                    
-                    // For extremely short durations (< 10s), be more lenient with validation
-                    // Accept the correction if:
-                    // 1. Bitrate becomes reasonable (< 1000 Mbps)
-                    // 2. The alternative duration is at least 60 seconds (more reasonable for videos)
-                    //    OR if original was extremely short, accept if alternative is at least 10 seconds
-                    // 3. The alternative bitrate is > 0 (valid)
-                    // 4. File size per second becomes more reasonable (< 50 MB/s)
-                    const minAcceptableDuration = isExtremelyShort ? 10 : 60;
-                    if (alternativeMbps < 1000 && alternativeMbps > 0 && alternativeDuration >= minAcceptableDuration && alternativeMbPerSecond < 50) {
+                // For extremely short durations (< 10s), be more lenient with validation
+                // Accept the correction if:
+                // 1. Bitrate becomes reasonable (< 1000 Mbps)
+                // 2. The alternative duration is at least 60 seconds (more reasonable for videos)
+                //    OR if original was extremely short, accept if alternative is at least 10 seconds
+                // 3. The alternative bitrate is > 0 (valid)
+                // 4. File size per second becomes more reasonable (< 50 MB/s)
+                const minAcceptableDuration = isExtremelyShort ? 10 : 60;
+                if (alternativeMbps < 1000 && alternativeMbps > 0 && alternativeDuration >= minAcceptableDuration && alternativeMbPerSecond < 50) {
+                    durationSeconds = alternativeDuration;
+                    correctedDuration = durationSeconds;
+                    foundCorrection = true;
+                    console.log(`Trying reverse conversion (duration was incorrectly converted): ${video.duration} * 1000 = ${durationSeconds} seconds`);
+                } else if (isExtremelyShort && alternativeDuration >= 10) {
+                    // For extremely short durations, be even more lenient - just check if it's at least 10 seconds
+                    // and bitrate is reasonable
+                    if (alternativeMbps < 2000 && alternativeMbps > 0) {
                         durationSeconds = alternativeDuration;
                         correctedDuration = durationSeconds;
                         foundCorrection = true;
-                        console.log(`Trying reverse conversion (duration was incorrectly converted): ${video.duration} * 1000 = ${durationSeconds} seconds`);
-                    } else if (isExtremelyShort && alternativeDuration >= 10) {
-                        // For extremely short durations, be even more lenient - just check if it's at least 10 seconds
-                        // and bitrate is reasonable
-                        if (alternativeMbps < 2000 && alternativeMbps > 0) {
-                            durationSeconds = alternativeDuration;
-                            correctedDuration = durationSeconds;
-                            foundCorrection = true;
-                            console.log(`Trying reverse conversion (extremely short duration, lenient check): ${video.duration} * 1000 = ${durationSeconds} seconds`);
-                        }
+                        console.log(`Trying reverse conversion (extremely short duration, lenient check): ${video.duration} * 1000 = ${durationSeconds} seconds`);
                     }
                 }
-                
-                // Recalculate with corrected duration
-                const recalculatedBps = (video.fileSize * 8) / durationSeconds;
-                const recalculatedMbps = recalculatedBps / 1000000;
-                
-                // If still unreasonably high, the duration value is likely corrupted
-                if (recalculatedMbps > 1000 && foundCorrection) {
-                    console.error(`Bitrate ${recalculatedMbps.toFixed(2)} Mbps is still unreasonably high after conversion attempts. Duration value may be corrupted.`);
-                    console.error(`FileSize=${video.fileSize} bytes, OriginalDuration=${video.duration}, FinalDuration=${durationSeconds}`);
-                    // Show "N/A" or a warning instead of an impossible value
-                    estimatedBitrate = 'N/A (invalid duration)';
-                    correctedDuration = video.duration; // Revert to original
-                } else {
-                    estimatedBitrate = `${recalculatedMbps.toFixed(2)} Mbps`;
-                    // correctedDuration already set above if foundCorrection is true
-                }
+            }
+            
+            // Recalculate with corrected duration
+            const recalculatedBps = (video.fileSize * 8) / durationSeconds;
+            const recalculatedMbps = recalculatedBps / 1000000;
+            
+            // If still unreasonably high, the duration value is likely corrupted
+            if (recalculatedMbps > 1000 && foundCorrection) {
+                console.error(`Bitrate ${recalculatedMbps.toFixed(2)} Mbps is still unreasonably high after conversion attempts. Duration value may be corrupted.`);
+                console.error(`FileSize=${video.fileSize} bytes, OriginalDuration=${video.duration}, FinalDuration=${durationSeconds}`);
+                // Show "N/A" or a warning instead of an impossible value
+                estimatedBitrate = 'N/A (invalid duration)';
+                correctedDuration = video.duration; // Revert to original
             } else {
-                // Bitrate is reasonable, use as-is
-                estimatedBitrate = `${initialMbps.toFixed(2)} Mbps`;
+                estimatedBitrate = `${recalculatedMbps.toFixed(2)} Mbps`;
+                // correctedDuration already set above if foundCorrection is true
             }
+        } else {
+            // Bitrate is reasonable, use as-is
+            estimatedBitrate = `${initialMbps.toFixed(2)} Mbps`;
+        }
+        
+        // Always use the final durationSeconds value (which may have been corrected)
+        // This ensures correctedDuration matches what was used in bitrate calculation
+        correctedDuration = durationSeconds;
+        
+        // Debug logging
+        if (estimatedBitrate !== 'N/A (invalid duration)') {
+            console.log(`Bitrate calculation: FileSize=${video.fileSize} bytes, Duration=${durationSeconds} seconds, Bitrate=${estimatedBitrate}`);
+            if (correctedDuration !== video.duration) {
+                console.log(`Duration corrected for display: ${video.duration}s -> ${correctedDuration}s`);
+            }
+        }
+    }
+    
+    // Format analyzed date
+    const analyzedDate = video.analyzedAt ? new Date(video.analyzedAt).toLocaleString() : 'N/A';
+    const rescanIcon = readOnly ? '' : `<button type="button" class="rescan-icon-btn" onclick="rescanVideo(${video.id})" id="rescanVideoBtn" title="Rescan video" style="background: none; border: none; cursor: pointer; padding: 0; margin-left: 0.5rem; font-size: 1rem; color: var(--text-secondary); transition: color 0.2s;" onmouseover="this.style.color='var(--primary-color)'" onmouseout="this.style.color='var(--text-secondary)'"><span id="rescanIconSymbol" style="display: inline-block;">↻</span></button>`;
+    
+    // Servarr information
+    let servarrSection = '';
+    if (video.servarrType === 'Sonarr' && video.sonarrSeriesTitle) {
+        servarrSection = `
+            <div class="info-section servarr-section">
+                <h4 style="display: flex; align-items: center; gap: 0.5rem;">
+                    <span>📺</span>
+                    <span>Sonarr Information</span>
+                </h4>
+                ${createInfoItem('Series', escapeHtml(video.sonarrSeriesTitle || 'N/A'), false)}
+                ${video.sonarrSeasonNumber !== null && video.sonarrSeasonNumber !== undefined 
+                    ? createInfoItem('Season', video.sonarrSeasonNumber.toString(), false) 
+                    : ''}
+                ${video.sonarrEpisodeNumber !== null && video.sonarrEpisodeNumber !== undefined 
+                    ? createInfoItem('Episode', video.sonarrEpisodeNumber.toString(), false) 
+                    : ''}
+                ${video.sonarrSeriesId 
+                    ? createInfoItem('Series ID', video.sonarrSeriesId.toString(), false) 
+                    : ''}
+                ${video.servarrMatchedAt 
+                    ? createInfoItem('Matched', new Date(video.servarrMatchedAt).toLocaleString(), false) 
+                    : ''}
+            </div>
+        `;
+    } else if (video.servarrType === 'Radarr' && video.radarrMovieTitle) {
+        servarrSection = `
+            <div class="info-section servarr-section">
+                <h4 style="display: flex; align-items: center; gap: 0.5rem;">
+                    <span>🎬</span>
+                    <span>Radarr Information</span>
+                </h4>
+                ${createInfoItem('Movie', escapeHtml(video.radarrMovieTitle || 'N/A'), false)}
+                ${video.radarrYear 
+                    ? createInfoItem('Year', video.radarrYear.toString(), false) 
+                    : ''}
+                ${video.radarrMovieId 
+                    ? createInfoItem('Movie ID', video.radarrMovieId.toString(), false) 
+                    : ''}
+                ${video.servarrMatchedAt 
+                    ? createInfoItem('Matched', new Date(video.servarrMatchedAt).toLocaleString(), false) 
+                    : ''}
+            </div>
+        `;
+    }
+    
+    return `
+        <div class="media-info-grid">
+            <div class="info-section">
+                <h4>File Information</h4>
+                ${createInfoItem('File Name', escapeHtml(video.fileName || 'N/A'), false)}
+                <div class="info-item" data-field="file-path">
+                    <span class="info-label">File Path:</span>
+                    <span class="info-value" style="word-break: break-all; overflow-wrap: anywhere; text-align: left; justify-content: flex-start; max-width: 100%; white-space: normal;">
+                        <code style="font-size: 0.875rem; color: var(--text-secondary);">${escapeHtml(video.filePath || 'N/A')}</code>
+                    </span>
+                </div>
+                ${createInfoItem('File Size', formatFileSize(video.fileSize || 0), false)}
+                ${createInfoItem('Container', escapeHtml(video.container || 'NULL'), nonOptimal.container)}
+                <div class="info-item">
+                    <span class="info-label">Analyzed:</span>
+                    <span class="info-value">
+                        ${analyzedDate}${rescanIcon}
+                    </span>
+                </div>
+            </div>
+            ${servarrSection}
+            
+            <div class="info-section">
+                <h4>Video Information</h4>
+                ${createInfoItem('Codec', escapeHtml(video.videoCodec || 'NULL'), nonOptimal.videoCodec)}
+                ${video.videoCodecTag ? createInfoItem('Codec Tag', escapeHtml(video.videoCodecTag) + (video.isCodecTagCorrect ? ' ✓' : ' ⚠'), nonOptimal.codecTag) : ''}
+                ${createInfoItem('Resolution', `${video.width || 0}x${video.height || 0}`, false)}
+                ${createInfoItem('Aspect Ratio', displayAspectRatio, false)}
+                ${createInfoItem('Frame Rate', video.frameRate ? video.frameRate.toFixed(3) + ' fps' : 'N/A', false)}
+                ${createInfoItem('Bit Depth', `${video.bitDepth || 8}-bit`, nonOptimal.bitDepth)}
+                ${createInfoItem('HDR', video.isHDR ? (video.hdrType || 'Yes') : 'No', isHDRVisualQualityIssue, true)}
+                ${createInfoItem('Duration', correctedDuration && correctedDuration > 0 ? formatDuration(correctedDuration) : 'N/A', false)}
+                ${createInfoItem('Estimated Bitrate', estimatedBitrate, false)}
+                ${(video.container === 'MP4' || video.container === 'M4V' || video.container === 'MOV') 
+                    ? createInfoItem('Fast Start', video.isFastStart ? 'Yes ✓' : 'No ⚠', nonOptimal.fastStart) 
+                    : ''}
+            </div>
             
-            // Always use the final durationSeconds value (which may have been corrected)
-            // This ensures correctedDuration matches what was used in bitrate calculation
-            correctedDuration = durationSeconds;
+            <div class="info-section audio-tracks-section" ${video.audioTrackCount > 0 ? `style="cursor: pointer;" onclick="${trackDetailsHandler('audio')}" title="Click to view all audio tracks"` : ''}>
+                <h4>Audio Tracks ${audioTracksWarning ? '<span style="color: var(--warning-color); margin-left: 0.5rem;" title="Some audio tracks have missing language information">⚠️</span>' : ''} ${video.audioTrackCount > 0 ? '<span style="font-size: 0.875rem; color: var(--text-secondary); font-weight: normal;">(click to view details)</span>' : ''}</h4>
+                ${video.audioTrackCount > 0 
+                    ? `${createInfoItem('Count', video.audioTrackCount.toString(), false)}
+                       <div class="info-item">
+                           <span class="info-label">Codecs:</span>
+                           <span class="info-value" style="display: flex; flex-wrap: wrap; gap: 0.25rem;">
+                               ${audioCodecsDisplay}
+                           </span>
+                       </div>`
+                    : '<div class="info-item"><span class="info-value">No audio tracks</span></div>'
+                }
+            </div>
             
-            // Debug logging
-            if (estimatedBitrate !== 'N/A (invalid duration)') {
-                console.log(`Bitrate calculation: FileSize=${video.fileSize} bytes, Duration=${durationSeconds} seconds, Bitrate=${estimatedBitrate}`);
-                if (correctedDuration !== video.duration) {
-                    console.log(`Duration corrected for display: ${video.duration}s -> ${correctedDuration}s`);
+            <div class="info-section subtitle-tracks-section" ${video.subtitleTrackCount > 0 ? `style="cursor: pointer;" onclick="${trackDetailsHandler('subtitle')}" title="Click to view all subtitle tracks"` : ''}>
+                <h4>Subtitle Tracks ${subtitleTracksWarning ? '<span style="color: var(--warning-color); margin-left: 0.5rem;" title="Some subtitle tracks have missing language information">⚠️</span>' : ''} ${video.subtitleTrackCount > 0 ? '<span style="font-size: 0.875rem; color: var(--text-secondary); font-weight: normal;">(click to view details)</span>' : ''}</h4>
+                ${video.subtitleTrackCount > 0 
+                    ? `${createInfoItem('Count', video.subtitleTrackCount.toString(), false)}
+                       <div class="info-item">
+                           <span class="info-label">Formats:</span>
+                           <span class="info-value" style="display: flex; flex-wrap: wrap; gap: 0.25rem;">
+                               ${subtitleFormatsDisplay}
+                           </span>
+                       </div>`
+                    : '<div class="info-item"><span class="info-value">No subtitle tracks</span></div>'
                 }
+            </div>
+            
+            <div class="info-section">
+                <h4>Compatibility</h4>
+                <div class="info-item">
+                    <span class="info-label">Rating:</span>
+                    <span class="info-value">
+                        ${readOnly
+                        ? `<span class="rating-badge rating-${getRatingCategory(video.compatibilityRating ?? 0)}" style="font-size: 1.1rem; font-weight: 600;">${video.compatibilityRating ?? 0}/100</span>`
+                        : `<span class="rating-badge rating-${getRatingCategory(video.compatibilityRating ?? 0)} rating-clickable" 
+                              style="font-size: 1.1rem; font-weight: 600; cursor: pointer; text-decoration: underline;" 
+                              onclick="showRatingDetails(${video.id})" 
+                              title="Click to view rating details">${video.compatibilityRating ?? 0}/100</span>`}
+                        <span class="score-badge ${(video.overallScore || '').toLowerCase()}" style="margin-left: 0.5rem;">${escapeHtml(video.overallScore || 'Unknown')}</span>
+                    </span>
+                </div>
+                ${profileRatings.map(rating => `
+                <div class="info-item" title="${escapeHtml(rating.issues.join('\n'))}">
+                    <span class="info-label">${escapeHtml(rating.profileName)}:</span>
+                    <span class="info-value">
+                        <span class="rating-badge rating-${getRatingCategory(rating.compatibilityRating)}">${rating.compatibilityRating}/100</span>
+                        <span class="score-badge ${rating.overallScore.toLowerCase()}" style="margin-left: 0.5rem;">${escapeHtml(rating.overallScore)}</span>
+                    </span>
+                </div>`).join('')}
+            </div>
+            
+            ${clientMatrix ? renderClientMatrix(clientMatrix) : ''}
+            
+            ${playbackHistory.length > 0 ? `
+            <div class="info-section" style="grid-column: 1 / -1;">
+                <h4>Playback History (${playbackHistory.length})</h4>
+                <div style="max-height: 300px; overflow-y: auto; margin-top: 0.75rem;">
+                    <table style="width: 100%; border-collapse: collapse; font-size: 0.875rem;">
+                        <thead>
+                            <tr style="border-bottom: 1px solid var(--border-color);">
+                                <th style="text-align: left; padding: 0.5rem; color: var(--text-secondary); font-weight: 600;">Date</th>
+                                <th style="text-align: left; padding: 0.5rem; color: var(--text-secondary); font-weight: 600;">Client</th>
+                                <th style="text-align: left; padding: 0.5rem; color: var(--text-secondary); font-weight: 600;">Device</th>
+                                <th style="text-align: left; padding: 0.5rem; color: var(--text-secondary); font-weight: 600;">User</th>
+                                <th style="text-align: left; padding: 0.5rem; color: var(--text-secondary); font-weight: 600;">Method</th>
+                                <th style="text-align: left; padding: 0.5rem; color: var(--text-secondary); font-weight: 600;">Duration</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${playbackHistory.map(playback => {
+                                const playMethodClass = playback.isDirectPlay ? 'directplay' : 
+                                                       playback.isDirectStream ? 'directstream' : 
+                                                       'transcode';
+                                const playMethodLabel = playback.isDirectPlay ? 'Direct Play' : 
+                                                       playback.isDirectStream ? 'Direct Stream' : 
+                                                       'Transcode';
+                                const playMethodIcon = playback.isDirectPlay ? '✓' : 
+                                                      playback.isDirectStream ? '~' : 
+                                                      '✗';
+                                const startTime = new Date(playback.playbackStartTime);
+                                const duration = playback.playbackDuration ? formatTimeSpan(playback.playbackDuration) : '-';
+                                const transcodeReason = playback.isTranscode && playback.transcodeReason 
+                                    ? `<br><small style="color: var(--text-secondary); font-size: 0.75rem;">${escapeHtml(playback.transcodeReason)}</small>` 
+                                    : '';
+                                
+                                return `
+                                    <tr style="border-bottom: 1px solid var(--border-color);">
+                                        <td style="padding: 0.5rem; color: var(--text-primary);">${startTime.toLocaleString()}</td>
+                                        <td style="padding: 0.5rem; color: var(--text-primary);">${escapeHtml(playback.clientName || 'Unknown')}</td>
+                                        <td style="padding: 0.5rem; color: var(--text-primary);">${escapeHtml(playback.deviceName || 'Unknown')}</td>
+                                        <td style="padding: 0.5rem; color: var(--text-primary);">${escapeHtml(playback.userName || '-')}</td>
+                                        <td style="padding: 0.5rem;">
+                                            <span class="playback-method-badge ${playMethodClass}" style="font-size: 0.75rem; padding: 0.25rem 0.5rem;">
+                                                ${playMethodIcon} ${playMethodLabel}
+                                            </span>
+                                            ${transcodeReason}
+                                        </td>
+                                        <td style="padding: 0.5rem; color: var(--text-primary);">${duration}</td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+            ` : ''}
+            ${issuesList.length > 0 || recommendationsList.length > 0 ? `
+            <div class="info-section" style="grid-column: 1 / -1;">
+                ${issuesList.length > 0 ? `
+                <h4 style="color: var(--error-color); margin-top: 0;">⚠️ Issues</h4>
+                <ul style="margin: 0.5rem 0; padding-left: 1.5rem; color: var(--text-secondary);">
+                    ${issuesList.map(issue => `<li>${escapeHtml(issue)}</li>`).join('')}
+                </ul>
+                ` : ''}
+                ${recommendationsList.length > 0 ? `
+                <h4 style="color: var(--accent-color); margin-top: ${issuesList.length > 0 ? '1rem' : '0'};">💡 Recommendations</h4>
+                <ul style="margin: 0.5rem 0; padding-left: 1.5rem; color: var(--text-secondary);">
+                    ${recommendationsList.map(rec => `<li>${escapeHtml(rec)}</li>`).join('')}
+                </ul>
+                ` : ''}
+            </div>
+            ` : ''}
+            ${ffmpegPlan ? renderFfmpegPlan(ffmpegPlan) : ''}
+            ${readOnly ? '' : renderAnalysisHistory(video.id, analysisHistory)}
+        </div>
+    `;
+}
+
+function renderFfmpegCommand(command) {
+    return `
+        <div class="ffmpeg-command">
+            <pre><code>${escapeHtml(command)}</code></pre>
+            <button type="button" class="btn btn-secondary btn-sm" onclick="copyFfmpegCommand(this)">Copy</button>
+        </div>
+    `;
+}
+
+// Copyable ffmpeg commands for the recommendations: all fixes in one pass, then each fix on its own
+export function renderFfmpegPlan(plan) {
+    const steps = plan.steps || [];
+    const notes = plan.notes || [];
+    if (steps.length === 0 && notes.length === 0) return '';
+
+    // With a single fix the combined command is that fix's command
+    const single = steps.length === 1 ? steps[0] : null;
+
+    return `
+        <div class="info-section ffmpeg-plan" style="grid-column: 1 / -1;">
+            <h4>🛠️ ffmpeg Commands</h4>
+            ${plan.command ? `
+                <div class="ffmpeg-plan-step">
+                    <div class="ffmpeg-plan-title">
+                        ${single ? escapeHtml(single.title) : 'All fixes in one pass'}
+                        ${plan.requiresReencode ? '<span class="ffmpeg-plan-badge" title="Re-encodes the video stream, this can take a long time">Re-encode</span>' : ''}
+                    </div>
+                    ${single ? `<div class="ffmpeg-plan-reasons">${single.reasons.map(reason => escapeHtml(reason)).join(' · ')}</div>` : ''}
+                    ${renderFfmpegCommand(plan.command)}
+                </div>
+            ` : ''}
+            ${!single ? steps.map(step => `
+                <div class="ffmpeg-plan-step">
+                    <div class="ffmpeg-plan-title">
+                        ${escapeHtml(step.title)}
+                        ${step.requiresReencode ? '<span class="ffmpeg-plan-badge" title="Re-encodes the video stream, this can take a long time">Re-encode</span>' : ''}
+                    </div>
+                    <div class="ffmpeg-plan-reasons">${step.reasons.map(reason => escapeHtml(reason)).join(' · ')}</div>
+                    ${renderFfmpegCommand(step.command)}
+                </div>
+            `).join('') : ''}
+            ${notes.length > 0 ? `
+                <ul class="ffmpeg-plan-notes">
+                    ${notes.map(note => `<li>${escapeHtml(note)}</li>`).join('')}
+                </ul>
+            ` : ''}
+            ${plan.command ? `<small class="form-help">Output is written next to the original as ${escapeHtml(plan.outputPath || '')}. The original is not modified.</small>` : ''}
+        </div>
+    `;
+}
+
+export async function copyFfmpegCommand(button) {
+    const command = button.parentElement.querySelector('code').textContent;
+    try {
+        await navigator.clipboard.writeText(command);
+        button.textContent = 'Copied!';
+        setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+    } catch (error) {
+        // Clipboard API is unavailable on plain HTTP, fall back to a prompt the user can copy from
+        window.prompt('Copy this command:', command);
+    }
+}
+
+function formatAnalysisDate(version) {
+    return new Date(version.analyzedAt).toLocaleString();
+}
+
+// Previous analyses kept by rescans, with a picker to compare any two of them
+export function renderAnalysisHistory(videoId, versions) {
+    if (versions.length <= 1) {
+        return `
+            <div class="info-section" style="grid-column: 1 / -1;">
+                <h4>Analysis History</h4>
+                <div class="info-item"><span class="info-value">No earlier analyses. When a rescan changes anything, the previous analysis is kept here.</span></div>
+            </div>
+        `;
+    }
+
+    const options = selectedId => versions.map(version => `
+        <option value="${version.id}" ${version.id === selectedId ? 'selected' : ''}>
+            ${escapeHtml(formatAnalysisDate(version))}${version.isCurrent ? ' (current)' : ''}
+        </option>
+    `).join('');
+
+    return `
+        <div class="info-section" style="grid-column: 1 / -1;">
+            <h4>Analysis History (${versions.length})</h4>
+            <div style="max-height: 240px; overflow-y: auto; margin-top: 0.75rem;">
+                <table class="data-table analysis-history-table">
+                    <thead>
+                        <tr>
+                            <th>Analyzed</th>
+                            <th>Video</th>
+                            <th>Container</th>
+                            <th>Size</th>
+                            <th>Rating</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${versions.map(version => `
+                            <tr>
+                                <td>${escapeHtml(formatAnalysisDate(version))}${version.isCurrent ? ' <span class="analysis-history-current">current</span>' : ''}</td>
+                                <td>${escapeHtml(version.videoCodec || '-')}</td>
+                                <td>${escapeHtml(version.container || '-')}</td>
+                                <td>${formatFileSize(version.fileSize || 0)}</td>
+                                <td>
+                                    ${version.isBroken
+                                        ? '<span class="score-badge poor">Broken</span>'
+                                        : `${version.compatibilityRating}/100 <span class="score-badge ${escapeHtml(version.overallScore.toLowerCase())}">${escapeHtml(version.overallScore)}</span>`}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="analysis-history-compare">
+                <label>Compare</label>
+                <select id="analysisHistoryFrom" class="form-control" onchange="compareAnalysisVersions(${videoId})">${options(versions[1].id)}</select>
+                <label>with</label>
+                <select id="analysisHistoryTo" class="form-control" onchange="compareAnalysisVersions(${videoId})">${options(versions[0].id)}</select>
+            </div>
+            <div id="analysisHistoryDiff"><div class="loading-placeholder">Comparing...</div></div>
+        </div>
+    `;
+}
+
+function formatAnalysisValue(field, value) {
+    if (value === null || value === undefined || value === '') return '-';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    switch (field) {
+        case 'fileSize':
+            return formatFileSize(value);
+        case 'duration':
+            return formatDuration(value);
+        case 'frameRate':
+            return `${value} fps`;
+        case 'bitDepth':
+            return `${value}-bit`;
+        case 'compatibilityRating':
+            return `${value}/100`;
+        default:
+            return String(value);
+    }
+}
+
+function renderChangeList(title, added, removed) {
+    if (added.length === 0 && removed.length === 0) return '';
+    return `
+        <div class="analysis-diff-list">
+            <strong>${escapeHtml(title)}</strong>
+            <ul>
+                ${removed.map(item => `<li class="analysis-diff-removed">− ${escapeHtml(item)}</li>`).join('')}
+                ${added.map(item => `<li class="analysis-diff-added">+ ${escapeHtml(item)}</li>`).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+/**
+ * Field changes and track/issue lists of a diff from /history/diff (also used by Redownloads)
+ */
+export function renderAnalysisDiff(diff, fromLabel, toLabel) {
+    return `
+        ${diff.changes.length > 0 ? `
+            <table class="data-table analysis-diff-table">
+                <thead>
+                    <tr>
+                        <th>Field</th>
+                        <th>${escapeHtml(fromLabel)}</th>
+                        <th>${escapeHtml(toLabel)}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${diff.changes.map(change => `
+                        <tr>
+                            <td>${escapeHtml(change.label)}</td>
+                            <td class="analysis-diff-before">${escapeHtml(formatAnalysisValue(change.field, change.before))}</td>
+                            <td class="analysis-diff-after">${escapeHtml(formatAnalysisValue(change.field, change.after))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : ''}
+        ${renderChangeList('Audio tracks', diff.audioTracksAdded, diff.audioTracksRemoved)}
+        ${renderChangeList('Subtitle tracks', diff.subtitleTracksAdded, diff.subtitleTracksRemoved)}
+        ${renderChangeList('Issues', diff.issuesAdded, diff.issuesRemoved)}
+    `;
+}
+
+export async function compareAnalysisVersions(videoId) {
+    const container = document.getElementById('analysisHistoryDiff');
+    const from = document.getElementById('analysisHistoryFrom')?.value;
+    const to = document.getElementById('analysisHistoryTo')?.value;
+    if (!container || from === undefined || to === undefined) return;
+
+    if (from === to) {
+        container.innerHTML = '<div class="empty-state"><p>Pick two different analyses to compare.</p></div>';
+        return;
+    }
+
+    container.innerHTML = '<div class="loading-placeholder">Comparing...</div>';
+
+    try {
+        const response = await fetch(`/api/library/videos/${videoId}/history/diff?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`);
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Failed to compare analyses');
+        }
+
+        const diff = await response.json();
+        if (!diff.hasChanges) {
+            container.innerHTML = '<div class="empty-state"><p>No differences between these analyses.</p></div>';
+            return;
+        }
+
+        container.innerHTML = renderAnalysisDiff(diff,
+            new Date(diff.fromAnalyzedAt).toLocaleString(),
+            new Date(diff.toAnalyzedAt).toLocaleString());
+    } catch (error) {
+        console.error('Error comparing analyses:', error);
+        container.innerHTML = `<div class="error-state">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+const CLIENT_MATRIX_STATUS_CLASSES = {
+    'Direct Play': 'directplay',
+    'Remux': 'remux',
+    'Transcode': 'transcode'
+};
+
+const CLIENT_MATRIX_SOURCE_LABELS = {
+    'Observed': 'Seen in playback history',
+    'Stored': 'Stored by an older scan',
+    'Similar': 'Predicted from files with the same codecs and container'
+};
+
+// Renders the per-client Direct Play / Remux / Transcode matrix for one video
+export function renderClientMatrix(matrix) {
+    const clients = matrix.clients || [];
+    const cells = matrix.cells || {};
+    
+    if (clients.length === 0) {
+        return `
+            <div class="info-section" style="grid-column: 1 / -1;">
+                <h4>Client Compatibility</h4>
+                <div class="info-item"><span class="info-value">No client data yet. Enable Jellyfin playback sync to see how your clients handle files.</span></div>
+            </div>
+        `;
+    }
+    
+    return `
+        <div class="info-section" style="grid-column: 1 / -1;">
+            <h4>Client Compatibility</h4>
+            <div class="client-matrix-wrapper">
+                <table class="client-matrix">
+                    <thead>
+                        <tr>
+                            ${clients.map(client => `<th>${escapeHtml(client)}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr>
+                            ${clients.map(client => {
+                                const cell = cells[client];
+                                if (!cell) {
+                                    return '<td class="client-matrix-cell unknown" title="No playback of this or similar files on this client">No data</td>';
+                                }
+                                const statusClass = CLIENT_MATRIX_STATUS_CLASSES[cell.status] || 'unknown';
+                                const sourceLabel = CLIENT_MATRIX_SOURCE_LABELS[cell.source] || cell.source;
+                                const details = [
+                                    sourceLabel,
+                                    cell.sampleCount > 1 ? `${cell.sampleCount} ${cell.source === 'Similar' ? 'files' : 'playbacks'}` : '',
+                                    cell.lastSeen ? `Last seen ${new Date(cell.lastSeen).toLocaleString()}` : '',
+                                    cell.reason ? `Reason: ${cell.reason}` : ''
+                                ].filter(d => d).join('\n');
+                                return `
+                                    <td class="client-matrix-cell ${statusClass} ${cell.source === 'Similar' ? 'predicted' : ''}" title="${escapeHtml(details)}">
+                                        ${escapeHtml(cell.status)}${cell.source === 'Similar' ? ' *' : ''}
+                                    </td>
+                                `;
+                            }).join('')}
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+            <small class="form-help">Based on Jellyfin playback history. * = predicted from other files with the same codecs and container. Hover a cell for details.</small>
+        </div>
+    `;
+}
+
+export async function showMediaInfo(videoId) {
+    const modal = document.getElementById('mediaInfoModal');
+    const content = document.getElementById('modalMediaContent');
+    const title = document.getElementById('modalMediaTitle');
+    
+    if (!modal || !content) return;
+    
+    modal.style.display = 'block';
+    content.innerHTML = '<div class="loading-placeholder">Loading media information...</div>';
+    
+    try {
+        const response = await fetch(`/api/library/videos/${videoId}`);
+        if (!response.ok) throw new Error('Failed to load media info');
+        
+        const video = await response.json();
+        title.textContent = escapeHtml(video.fileName || 'Media Information');
+        
+        // Load the analyses earlier rescans replaced
+        let analysisHistory = [];
+        try {
+            const historyResponse = await fetch(`/api/library/videos/${videoId}/history`);
+            if (historyResponse.ok) {
+                analysisHistory = await historyResponse.json();
             }
+        } catch (error) {
+            console.warn('Error loading analysis history:', error);
         }
         
-        // Format analyzed date
-        const analyzedDate = video.analyzedAt ? new Date(video.analyzedAt).toLocaleString() : 'N/A';
-        const rescanIcon = `<button type="button" class="rescan-icon-btn" onclick="rescanVideo(${video.id})" id="rescanVideoBtn" title="Rescan video" style="background: none; border: none; cursor: pointer; padding: 0; margin-left: 0.5rem; font-size: 1rem; color: var(--text-secondary); transition: color 0.2s;" onmouseover="this.style.color='var(--primary-color)'" onmouseout="this.style.color='var(--text-secondary)'"><span id="rescanIconSymbol" style="display: inline-block;">↻</span></button>`;
+        // Check if file is broken
+        if (video.isBroken) {
+            content.innerHTML = renderMediaInfo(video, { analysisHistory });
+            if (analysisHistory.length > 1) compareAnalysisVersions(videoId);
+            return;
+        }
         
         // Load playback history for this video
         let playbackHistory = [];
@@ -509,202 +1050,41 @@ export async function showMediaInfo(videoId) {
             console.warn('Error loading playback history:', error);
         }
         
-        // Servarr information
-        let servarrSection = '';
-        if (video.servarrType === 'Sonarr' && video.sonarrSeriesTitle) {
-            servarrSection = `
-                <div class="info-section servarr-section">
-                    <h4 style="display: flex; align-items: center; gap: 0.5rem;">
-                        <span>📺</span>
-                        <span>Sonarr Information</span>
-                    </h4>
-                    ${createInfoItem('Series', escapeHtml(video.sonarrSeriesTitle || 'N/A'), false)}
-                    ${video.sonarrSeasonNumber !== null && video.sonarrSeasonNumber !== undefined 
-                        ? createInfoItem('Season', video.sonarrSeasonNumber.toString(), false) 
-                        : ''}
-                    ${video.sonarrEpisodeNumber !== null && video.sonarrEpisodeNumber !== undefined 
-                        ? createInfoItem('Episode', video.sonarrEpisodeNumber.toString(), false) 
-                        : ''}
-                    ${video.sonarrSeriesId 
-                        ? createInfoItem('Series ID', video.sonarrSeriesId.toString(), false) 
-                        : ''}
-                    ${video.servarrMatchedAt 
-                        ? createInfoItem('Matched', new Date(video.servarrMatchedAt).toLocaleString(), false) 
-                        : ''}
-                </div>
-            `;
-        } else if (video.servarrType === 'Radarr' && video.radarrMovieTitle) {
-            servarrSection = `
-                <div class="info-section servarr-section">
-                    <h4 style="display: flex; align-items: center; gap: 0.5rem;">
-                        <span>🎬</span>
-                        <span>Radarr Information</span>
-                    </h4>
-                    ${createInfoItem('Movie', escapeHtml(video.radarrMovieTitle || 'N/A'), false)}
-                    ${video.radarrYear 
-                        ? createInfoItem('Year', video.radarrYear.toString(), false) 
-                        : ''}
-                    ${video.radarrMovieId 
-                        ? createInfoItem('Movie ID', video.radarrMovieId.toString(), false) 
-                        : ''}
-                    ${video.servarrMatchedAt 
-                        ? createInfoItem('Matched', new Date(video.servarrMatchedAt).toLocaleString(), false) 
-                        : ''}
-                </div>
-            `;
+        // Load the per-client compatibility matrix
+        let clientMatrix = null;
+        try {
+            const matrixResponse = await fetch(`/api/playback/client-matrix/video/${videoId}`);
+            if (matrixResponse.ok) {
+                clientMatrix = await matrixResponse.json();
+            }
+        } catch (error) {
+            console.warn('Error loading client matrix:', error);
         }
         
-        content.innerHTML = `
-            <div class="media-info-grid">
-                <div class="info-section">
-                    <h4>File Information</h4>
-                    ${createInfoItem('File Name', escapeHtml(video.fileName || 'N/A'), false)}
-                    <div class="info-item" data-field="file-path">
-                        <span class="info-label">File Path:</span>
-                        <span class="info-value" style="word-break: break-all; overflow-wrap: anywhere; text-align: left; justify-content: flex-start; max-width: 100%; white-space: normal;">
-                            <code style="font-size: 0.875rem; color: var(--text-secondary);">${escapeHtml(video.filePath || 'N/A')}</code>
-                        </span>
-                    </div>
-                    ${createInfoItem('File Size', formatFileSize(video.fileSize || 0), false)}
-                    ${createInfoItem('Container', escapeHtml(video.container || 'NULL'), nonOptimal.container)}
-                    <div class="info-item">
-                        <span class="info-label">Analyzed:</span>
-                        <span class="info-value">
-                            ${analyzedDate}${rescanIcon}
-                        </span>
-                    </div>
-                </div>
-                ${servarrSection}
-                
-                <div class="info-section">
-                    <h4>Video Information</h4>
-                    ${createInfoItem('Codec', escapeHtml(video.videoCodec || 'NULL'), nonOptimal.videoCodec)}
-                    ${video.videoCodecTag ? createInfoItem('Codec Tag', escapeHtml(video.videoCodecTag) + (video.isCodecTagCorrect ? ' ✓' : ' ⚠'), nonOptimal.codecTag) : ''}
-                    ${createInfoItem('Resolution', `${video.width || 0}x${video.height || 0}`, false)}
-                    ${createInfoItem('Aspect Ratio', displayAspectRatio, false)}
-                    ${createInfoItem('Frame Rate', video.frameRate ? video.frameRate.toFixed(3) + ' fps' : 'N/A', false)}
-                    ${createInfoItem('Bit Depth', `${video.bitDepth || 8}-bit`, nonOptimal.bitDepth)}
-                    ${createInfoItem('HDR', video.isHDR ? (video.hdrType || 'Yes') : 'No', isHDRVisualQualityIssue, true)}
-                    ${createInfoItem('Duration', correctedDuration && correctedDuration > 0 ? formatDuration(correctedDuration) : 'N/A', false)}
-                    ${createInfoItem('Estimated Bitrate', estimatedBitrate, false)}
-                    ${(video.container === 'MP4' || video.container === 'M4V' || video.container === 'MOV') 
-                        ? createInfoItem('Fast Start', video.isFastStart ? 'Yes ✓' : 'No ⚠', nonOptimal.fastStart) 
-                        : ''}
-                </div>
-                
-                <div class="info-section audio-tracks-section" ${video.audioTrackCount > 0 ? `style="cursor: pointer;" onclick="showTrackDetails(${videoId}, 'audio')" title="Click to view all audio tracks"` : ''}>
-                    <h4>Audio Tracks ${audioTracksWarning ? '<span style="color: var(--warning-color); margin-left: 0.5rem;" title="Some audio tracks have missing language information">⚠️</span>' : ''} ${video.audioTrackCount > 0 ? '<span style="font-size: 0.875rem; color: var(--text-secondary); font-weight: normal;">(click to view details)</span>' : ''}</h4>
-                    ${video.audioTrackCount > 0 
-                        ? `${createInfoItem('Count', video.audioTrackCount.toString(), false)}
-                           <div class="info-item">
-                               <span class="info-label">Codecs:</span>
-                               <span class="info-value" style="display: flex; flex-wrap: wrap; gap: 0.25rem;">
-                                   ${audioCodecsDisplay}
-                               </span>
-                           </div>`
-                        : '<div class="info-item"><span class="info-value">No audio tracks</span></div>'
-                    }
-                </div>
-                
-                <div class="info-section subtitle-tracks-section" ${video.subtitleTrackCount > 0 ? `style="cursor: pointer;" onclick="showTrackDetails(${videoId}, 'subtitle')" title="Click to view all subtitle tracks"` : ''}>
-                    <h4>Subtitle Tracks ${subtitleTracksWarning ? '<span style="color: var(--warning-color); margin-left: 0.5rem;" title="Some subtitle tracks have missing language information">⚠️</span>' : ''} ${video.subtitleTrackCount > 0 ? '<span style="font-size: 0.875rem; color: var(--text-secondary); font-weight: normal;">(click to view details)</span>' : ''}</h4>
-                    ${video.subtitleTrackCount > 0 
-                        ? `${createInfoItem('Count', video.subtitleTrackCount.toString(), false)}
-                           <div class="info-item">
-                               <span class="info-label">Formats:</span>
-                               <span class="info-value" style="display: flex; flex-wrap: wrap; gap: 0.25rem;">
-                                   ${subtitleFormatsDisplay}
-                               </span>
-                           </div>`
-                        : '<div class="info-item"><span class="info-value">No subtitle tracks</span></div>'
-                    }
-                </div>
-                
-                <div class="info-section">
-                    <h4>Compatibility</h4>
-                    <div class="info-item">
-                        <span class="info-label">Rating:</span>
-                        <span class="info-value">
-                            <span class="rating-badge rating-${getRatingCategory(video.compatibilityRating ?? 0)} rating-clickable" 
-                                  style="font-size: 1.1rem; font-weight: 600; cursor: pointer; text-decoration: underline;" 
-                                  onclick="showRatingDetails(${video.id})" 
-                                  title="Click to view rating details">${video.compatibilityRating ?? 0}/100</span>
-                            <span class="score-badge ${(video.overallScore || '').toLowerCase()}" style="margin-left: 0.5rem;">${escapeHtml(video.overallScore || 'Unknown')}</span>
-                        </span>
-                    </div>
-                </div>
-                
-                ${playbackHistory.length > 0 ? `
-                <div class="info-section" style="grid-column: 1 / -1;">
-                    <h4>Playback History (${playbackHistory.length})</h4>
-                    <div style="max-height: 300px; overflow-y: auto; margin-top: 0.75rem;">
-                        <table style="width: 100%; border-collapse: collapse; font-size: 0.875rem;">
-                            <thead>
-                                <tr style="border-bottom: 1px solid var(--border-color);">
-                                    <th style="text-align: left; padding: 0.5rem; color: var(--text-secondary); font-weight: 600;">Date</th>
-                                    <th style="text-align: left; padding: 0.5rem; color: var(--text-secondary); font-weight: 600;">Client</th>
-                                    <th style="text-align: left; padding: 0.5rem; color: var(--text-secondary); font-weight: 600;">Device</th>
-                                    <th style="text-align: left; padding: 0.5rem; color: var(--text-secondary); font-weight: 600;">User</th>
-                                    <th style="text-align: left; padding: 0.5rem; color: var(--text-secondary); font-weight: 600;">Method</th>
-                                    <th style="text-align: left; padding: 0.5rem; color: var(--text-secondary); font-weight: 600;">Duration</th>
-                                </tr>
-                            </thead>
-                            <tbody>
-                                ${playbackHistory.map(playback => {
-                                    const playMethodClass = playback.isDirectPlay ? 'directplay' : 
-                                                           playback.isDirectStream ? 'directstream' : 
-                                                           'transcode';
-                                    const playMethodLabel = playback.isDirectPlay ? 'Direct Play' : 
-                                                           playback.isDirectStream ? 'Direct Stream' : 
-                                                           'Transcode';
-                                    const playMethodIcon = playback.isDirectPlay ? '✓' : 
-                                                          playback.isDirectStream ? '~' : 
-                                                          '✗';
-                                    const startTime = new Date(playback.playbackStartTime);
-                                    const duration = playback.playbackDuration ? formatTimeSpan(playback.playbackDuration) : '-';
-                                    const transcodeReason = playback.isTranscode && playback.transcodeReason 
-                                        ? `<br><small style="color: var(--text-secondary); font-size: 0.75rem;">${escapeHtml(playback.transcodeReason)}</small>` 
-                                        : '';
-                                    
-                                    return `
-                                        <tr style="border-bottom: 1px solid var(--border-color);">
-                                            <td style="padding: 0.5rem; color: var(--text-primary);">${startTime.toLocaleString()}</td>
-                                            <td style="padding: 0.5rem; color: var(--text-primary);">${escapeHtml(playback.clientName || 'Unknown')}</td>
-                                            <td style="padding: 0.5rem; color: var(--text-primary);">${escapeHtml(playback.deviceName || 'Unknown')}</td>
-                                            <td style="padding: 0.5rem; color: var(--text-primary);">${escapeHtml(playback.userName || '-')}</td>
-                                            <td style="padding: 0.5rem;">
-                                                <span class="playback-method-badge ${playMethodClass}" style="font-size: 0.75rem; padding: 0.25rem 0.5rem;">
-                                                    ${playMethodIcon} ${playMethodLabel}
-                                                </span>
-                                                ${transcodeReason}
-                                            </td>
-                                            <td style="padding: 0.5rem; color: var(--text-primary);">${duration}</td>
-                                        </tr>
-                                    `;
-                                }).join('')}
-                            </tbody>
-                        </table>
-                    </div>
-                </div>
-                ` : ''}
-                ${issuesList.length > 0 || recommendationsList.length > 0 ? `
-                <div class="info-section" style="grid-column: 1 / -1;">
-                    ${issuesList.length > 0 ? `
-                    <h4 style="color: var(--error-color); margin-top: 0;">⚠️ Issues</h4>
-                    <ul style="margin: 0.5rem 0; padding-left: 1.5rem; color: var(--text-secondary);">
-                        ${issuesList.map(issue => `<li>${escapeHtml(issue)}</li>`).join('')}
-                    </ul>
-                    ` : ''}
-                    ${recommendationsList.length > 0 ? `
-                    <h4 style="color: var(--accent-color); margin-top: ${issuesList.length > 0 ? '1rem' : '0'};">💡 Recommendations</h4>
-                    <ul style="margin: 0.5rem 0; padding-left: 1.5rem; color: var(--text-secondary);">
-                        ${recommendationsList.map(rec => `<li>${escapeHtml(rec)}</li>`).join('')}
-                    </ul>
-                    ` : ''}
-                </div>
-                ` : ''}
-            </div>
-        `;
+        // Load the ffmpeg commands for the recommendations
+        let ffmpegPlan = null;
+        try {
+            const planResponse = await fetch(`/api/library/videos/${videoId}/ffmpeg-plan`);
+            if (planResponse.ok) {
+                ffmpegPlan = await planResponse.json();
+            }
+        } catch (error) {
+            console.warn('Error loading ffmpeg plan:', error);
+        }
+        
+        // Load the ratings against each device profile
+        let profileRatings = [];
+        try {
+            const profileResponse = await fetch(`/api/profiles/video/${videoId}`);
+            if (profileResponse.ok) {
+                profileRatings = await profileResponse.json();
+            }
+        } catch (error) {
+            console.warn('Error loading device profile ratings:', error);
+        }
+        
+        content.innerHTML = renderMediaInfo(video, { playbackHistory, clientMatrix, ffmpegPlan, profileRatings, analysisHistory });
+        if (analysisHistory.length > 1) compareAnalysisVersions(videoId);
         
     } catch (error) {
         console.error('Error loading media info:', error);
@@ -964,6 +1344,16 @@ export async function showTrackDetails(videoId, trackType) {
         const video = await response.json();
         console.log('Video data received:', video);
         
+        showTrackDetailsForVideo(video, trackType);
+    } catch (error) {
+        console.error('Error loading track details:', error);
+        alert(`Error loading track details: ${error.message}`);
+    }
+}
+
+// Shows the track details modal for an already loaded video (also used for unsaved analyses)
+export function showTrackDetailsForVideo(video, trackType) {
+    try {
         let tracks = [];
         let title = '';
         let content = '';
@@ -1095,8 +1485,8 @@ export async function showTrackDetails(videoId, trackType) {
             trackModal.style.display = 'block';
         }
     } catch (error) {
-        console.error('Error loading track details:', error);
-        alert(`Error loading track details: ${error.message}`);
+        console.error('Error showing track details:', error);
+        alert(`Error showing track details: ${error.message}`);
     }
 }
 
@@ -1116,4 +1506,6 @@ window.closeRatingDetailsModal = closeRatingDetailsModal;
 window.showRatingDetails = showRatingDetails;
 window.rescanVideo = rescanVideo;
 window.showTrackDetails = showTrackDetails;
+window.copyFfmpegCommand = copyFfmpegCommand;
+window.compareAnalysisVersions = compareAnalysisVersions;
 
@@ -1,4 +1,6 @@
 // Database Migration Status Management
+import { isLiveUpdatesConnected, onLiveUpdate } from './live-updates.js';
+
 let migrationCheckInterval = null;
 
 export async function checkMigrationStatus() {
@@ -10,42 +12,51 @@ export async function checkMigrationStatus() {
             return;
         }
         
-        const progress = await response.json();
-        
-        // Don't show banner for "unknown" status (migration service hasn't started yet)
-        if (progress.status === 'unknown') {
-            hideMigrationBanner();
-            return;
-        }
-        
-        updateMigrationBanner(progress);
-        
-        // If migration is in progress, poll for updates
-        if (progress.status === 'checking' || progress.status === 'creating' || progress.status === 'migrating') {
-            if (!migrationCheckInterval) {
-                migrationCheckInterval = setInterval(checkMigrationStatus, 1000); // Poll every second
-            }
-        } else {
-            // Migration completed or error, stop polling
-            if (migrationCheckInterval) {
-                clearInterval(migrationCheckInterval);
-                migrationCheckInterval = null;
-            }
-            
-            // Hide banner after 5 seconds if completed (but not for errors)
-            if (progress.status === 'completed') {
-                setTimeout(() => {
-                    hideMigrationBanner();
-                }, 5000);
-            }
-            // Error status should persist - don't auto-hide
-        }
+        applyMigrationProgress(await response.json());
     } catch (error) {
         console.error('Error checking migration status:', error);
         hideMigrationBanner();
     }
 }
 
+// Migration status pushed by the server replaces polling while live updates are connected
+export function initMigrationLiveUpdates() {
+    onLiveUpdate('migration', applyMigrationProgress);
+}
+
+function applyMigrationProgress(progress) {
+    // Don't show banner for "unknown" status (migration service hasn't started yet)
+    if (progress.status === 'unknown') {
+        hideMigrationBanner();
+        return;
+    }
+    
+    updateMigrationBanner(progress);
+    
+    // If migration is in progress, poll for updates (skipped while live updates are connected)
+    if (progress.status === 'checking' || progress.status === 'creating' || progress.status === 'migrating') {
+        if (!migrationCheckInterval) {
+            migrationCheckInterval = setInterval(() => {
+                if (!isLiveUpdatesConnected()) checkMigrationStatus();
+            }, 1000); // Poll every second
+        }
+    } else {
+        // Migration completed or error, stop polling
+        if (migrationCheckInterval) {
+            clearInterval(migrationCheckInterval);
+            migrationCheckInterval = null;
+        }
+        
+        // Hide banner after 5 seconds if completed (but not for errors)
+        if (progress.status === 'completed') {
+            setTimeout(() => {
+                hideMigrationBanner();
+            }, 5000);
+        }
+        // Error status should persist - don't auto-hide
+    }
+}
+
 function updateMigrationBanner(progress) {
     const banner = document.getElementById('migrationBanner');
     const messageEl = document.getElementById('migrationMessage');
@@ -1,13 +1,27 @@
 // Navigation and Tab Management
-import { loadKnownLibraries, loadProcessingVideos } from './library.js';
-import { loadBrowseFilterOptions, loadBrowseMedia, setupBrowseEventListeners } from './browse.js';
+import { loadKnownLibraries, loadProcessingVideos, loadLibraryActivity } from './library.js';
+import { loadBrowseFilterOptions, loadBrowseMedia, setupBrowseEventListeners, restoreBrowseStateFromHash } from './browse.js';
 import { loadPlaybackHistory, loadPlaybackFilterOptions, setupPlaybackEventListeners, loadPlaybackDashboard } from './playback.js';
 import { loadJellyfinSettings, loadSonarrSettings, loadRadarrSettings, loadSonarrPathMappings, loadRadarrPathMappings, loadMediaPropertySettings } from './settings.js';
 import { loadDashboard } from './dashboard.js';
 import { loadServarrStatus } from './servarr.js';
+import { setupAnalyzeEventListeners } from './analyze.js';
+import { loadPresetCounts } from './presets.js';
+import { loadOptimizationJobs } from './jobs.js';
+import { loadNotificationTargets } from './notifications.js';
+import { loadDeviceProfiles } from './profiles.js';
+import { loadDuplicates } from './duplicates.js';
+import { loadAuthSettings } from './auth.js';
+import { loadActivity } from './activity.js';
+import { loadRedownloads } from './redownloads.js';
 
 let switchTabFunction = null;
 
+// Hashes look like #tab or #tab?query (the query is only used by Browse filters)
+function getTabFromHash(hash) {
+    return (hash || '').replace(/^#/, '').split('?')[0];
+}
+
 export function initNavigation() {
     // Mobile menu toggle
     const mobileMenuToggle = document.getElementById('mobileMenuToggle');
@@ -41,6 +55,11 @@ export function initNavigation() {
             return;
         }
 
+        // Record sidebar navigation in the history so back/forward move between tabs
+        if (source === 'click' && getTabFromHash(window.location.hash) !== targetTab) {
+            history.pushState(null, '', `#${targetTab}`);
+        }
+
         // Update active nav item
         navItems.forEach(n => n.classList.remove('active'));
         const activeNavItem = document.querySelector(`.nav-item[data-tab="${targetTab}"]`);
@@ -74,18 +93,36 @@ export function initNavigation() {
             } else if (targetTab === 'library') {
                 loadKnownLibraries();
                 loadProcessingVideos();
+                loadLibraryActivity();
+            } else if (targetTab === 'duplicates') {
+                loadDuplicates();
+            } else if (targetTab === 'jobs') {
+                loadOptimizationJobs();
+            } else if (targetTab === 'redownloads') {
+                loadRedownloads();
             } else if (targetTab === 'browse') {
+                // Links and back/forward carry the filters in the hash; a sidebar
+                // click keeps whatever filters were last used
+                if (source !== 'click') {
+                    restoreBrowseStateFromHash(window.location.hash);
+                }
                 // Load filters first, then media
                 loadBrowseFilterOptions();
-                loadBrowseMedia();
+                loadBrowseMedia('replace');
                 // Setup event listeners for auto-search and sort changes
                 setupBrowseEventListeners();
+                // Load preset count badges (cached, so reopening Browse does not recount)
+                loadPresetCounts();
+            } else if (targetTab === 'analyze') {
+                setupAnalyzeEventListeners();
             } else if (targetTab === 'playback') {
                 // Load playback dashboard and history
                 loadPlaybackDashboard();
                 loadPlaybackFilterOptions();
                 loadPlaybackHistory();
                 setupPlaybackEventListeners();
+            } else if (targetTab === 'activity') {
+                loadActivity();
             } else if (targetTab === 'settings') {
                 loadMediaPropertySettings();
                 loadJellyfinSettings();
@@ -94,6 +131,9 @@ export function initNavigation() {
                 loadSonarrPathMappings();
                 loadRadarrPathMappings();
                 loadServarrStatus();
+                loadDeviceProfiles();
+                loadNotificationTargets();
+                loadAuthSettings();
             }
         } else {
             console.error('Target section not found:', targetTab);
@@ -124,18 +164,18 @@ export function initNavigation() {
     window.addEventListener('hashchange', function() {
         if (hashChangeHandled) return;
         hashChangeHandled = true;
-        const hash = window.location.hash.substring(1); // Remove #
-        if (hash) {
-            switchTab(hash, 'hashchange');
+        const tab = getTabFromHash(window.location.hash);
+        if (tab) {
+            switchTab(tab, 'hashchange');
         }
         setTimeout(() => { hashChangeHandled = false; }, 100);
     });
     
     // Handle initial hash on page load
     setTimeout(function() {
-        if (window.location.hash) {
-            const hash = window.location.hash.substring(1);
-            switchTab(hash, 'initial');
+        const tab = getTabFromHash(window.location.hash);
+        if (tab) {
+            switchTab(tab, 'initial');
         }
     }, 100);
 
@@ -0,0 +1,243 @@
+// Outbound notification targets (webhook, Discord, Slack, email), managed from Settings
+import { escapeHtml, formatDateTime } from './utils.js';
+
+const EVENT_LABELS = {
+    ScanCompleted: 'Scan completed',
+    ScanFailed: 'Scan failed',
+    LowRatingImport: 'New file below rating threshold',
+    FileBroken: 'File turned broken',
+    RedownloadVerified: 'Redownload verified',
+    PlaybackSyncFailed: 'Playback sync failed'
+};
+
+const TYPE_LABELS = {
+    Webhook: 'Webhook (JSON)',
+    Discord: 'Discord',
+    Slack: 'Slack',
+    Email: 'Email (SMTP)'
+};
+
+let targets = [];
+let currentTargetId = null;
+
+export async function loadNotificationTargets() {
+    const container = document.getElementById('notificationTargetsContainer');
+    if (!container) return;
+
+    try {
+        const response = await fetch('/api/notifications');
+        if (!response.ok) throw new Error(`Failed to load notification targets: ${response.status}`);
+
+        targets = await response.json();
+        if (targets.length === 0) {
+            container.innerHTML = '<div class="empty-state">No notification targets yet</div>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>Type</th>
+                        <th>Events</th>
+                        <th>Last Sent</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${targets.map(target => `
+                        <tr class="${target.enabled ? '' : 'notification-target-disabled'}">
+                            <td>
+                                ${escapeHtml(target.name)}
+                                ${target.enabled ? '' : '<span class="notification-target-note">(disabled)</span>'}
+                            </td>
+                            <td>${escapeHtml(TYPE_LABELS[target.type] || target.type)}</td>
+                            <td>${target.events.length > 0
+                                ? target.events.map(e => escapeHtml(EVENT_LABELS[e] || e)).join(', ')
+                                : '<span class="notification-target-note">None</span>'}</td>
+                            <td>
+                                ${formatDateTime(target.lastSentAt, 'Never')}
+                                ${target.lastError ? `<div class="notification-target-error" title="${escapeHtml(target.lastError)}">Last error: ${escapeHtml(target.lastError)}</div>` : ''}
+                            </td>
+                            <td class="notification-target-actions">
+                                <button class="btn btn-secondary btn-sm" onclick="showNotificationTargetModal(${target.id})">Edit</button>
+                                <button class="btn btn-secondary btn-sm" onclick="testNotificationTarget(${target.id})">Test</button>
+                                <button class="btn btn-danger btn-sm" onclick="deleteNotificationTarget(${target.id})">Delete</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        console.error('Error loading notification targets:', error);
+        container.innerHTML = '<div class="error-state">Error loading notification targets</div>';
+    }
+}
+
+// Webhook URL for Webhook/Discord/Slack, SMTP fields for Email
+export function updateNotificationTypeFields() {
+    const isEmail = document.getElementById('notificationType').value === 'Email';
+    document.getElementById('notificationUrlGroup').style.display = isEmail ? 'none' : '';
+    document.getElementById('notificationEmailFields').style.display = isEmail ? '' : 'none';
+}
+
+export function showNotificationTargetModal(targetId = null) {
+    const modal = document.getElementById('notificationTargetModal');
+    if (!modal) return;
+
+    const target = targetId === null ? null : targets.find(t => t.id === targetId);
+    currentTargetId = target ? target.id : null;
+
+    document.getElementById('notificationTargetTitle').textContent = target ? 'Edit Notification Target' : 'Add Notification Target';
+    document.getElementById('notificationName').value = target?.name ?? '';
+    document.getElementById('notificationType').value = target?.type ?? 'Webhook';
+    document.getElementById('notificationEnabled').checked = target?.enabled ?? true;
+    document.getElementById('notificationUrl').value = target?.url ?? '';
+    document.getElementById('notificationRatingThreshold').value = target?.ratingThreshold ?? 60;
+    document.getElementById('notificationSmtpHost').value = target?.smtpHost ?? '';
+    document.getElementById('notificationSmtpPort').value = target?.smtpPort ?? 587;
+    document.getElementById('notificationSmtpUseSsl').checked = target?.smtpUseSsl ?? true;
+    document.getElementById('notificationSmtpUsername').value = target?.smtpUsername ?? '';
+    document.getElementById('notificationSmtpPassword').value = '';
+    document.getElementById('notificationSmtpPassword').placeholder = target?.hasSmtpPassword ? 'Unchanged' : '';
+    document.getElementById('notificationEmailFrom').value = target?.emailFrom ?? '';
+    document.getElementById('notificationEmailTo').value = target?.emailTo ?? '';
+
+    // New targets start with the failure events selected
+    const selected = target ? target.events : ['ScanFailed', 'FileBroken', 'PlaybackSyncFailed'];
+    document.getElementById('notificationEvents').innerHTML = Object.entries(EVENT_LABELS).map(([value, label]) => `
+        <label class="checkbox-label">
+            <input type="checkbox" name="notificationEvent" value="${value}" ${selected.includes(value) ? 'checked' : ''}>
+            <span>${escapeHtml(label)}</span>
+        </label>
+    `).join('');
+
+    updateNotificationTypeFields();
+    modal.style.display = 'block';
+}
+
+export function closeNotificationTargetModal() {
+    const modal = document.getElementById('notificationTargetModal');
+    if (modal) modal.style.display = 'none';
+    currentTargetId = null;
+}
+
+function getFormValues() {
+    return {
+        name: document.getElementById('notificationName').value.trim(),
+        type: document.getElementById('notificationType').value,
+        enabled: document.getElementById('notificationEnabled').checked,
+        url: document.getElementById('notificationUrl').value.trim(),
+        events: Array.from(document.querySelectorAll('input[name="notificationEvent"]:checked')).map(input => input.value),
+        ratingThreshold: parseInt(document.getElementById('notificationRatingThreshold').value, 10) || 0,
+        smtpHost: document.getElementById('notificationSmtpHost').value.trim(),
+        smtpPort: parseInt(document.getElementById('notificationSmtpPort').value, 10) || 587,
+        smtpUseSsl: document.getElementById('notificationSmtpUseSsl').checked,
+        smtpUsername: document.getElementById('notificationSmtpUsername').value.trim(),
+        smtpPassword: document.getElementById('notificationSmtpPassword').value,
+        emailFrom: document.getElementById('notificationEmailFrom').value.trim(),
+        emailTo: document.getElementById('notificationEmailTo').value.trim()
+    };
+}
+
+async function sendTest(body) {
+    const response = await fetch('/api/notifications/test', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+        throw new Error(result.error || 'Failed to send test notification');
+    }
+    return result.message;
+}
+
+export async function saveNotificationTarget(event) {
+    event.preventDefault();
+
+    try {
+        const isNew = currentTargetId === null;
+        const response = await fetch(isNew ? '/api/notifications' : `/api/notifications/${currentTargetId}`, {
+            method: isNew ? 'POST' : 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(getFormValues())
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to save notification target');
+        }
+
+        closeNotificationTargetModal();
+        loadNotificationTargets();
+    } catch (error) {
+        console.error('Error saving notification target:', error);
+        alert(`Error saving notification target: ${error.message}`);
+    }
+}
+
+// Tests the form as entered, before it is saved
+export async function testNotificationForm() {
+    const button = document.getElementById('notificationTestBtn');
+    button.disabled = true;
+
+    try {
+        alert(await sendTest({ ...getFormValues(), id: currentTargetId }));
+    } catch (error) {
+        console.error('Error sending test notification:', error);
+        alert(error.message);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+export async function testNotificationTarget(targetId) {
+    const target = targets.find(t => t.id === targetId);
+    if (!target) return;
+
+    try {
+        alert(await sendTest({ ...target, id: target.id, smtpPassword: '' }));
+    } catch (error) {
+        console.error('Error sending test notification:', error);
+        alert(error.message);
+    }
+}
+
+export async function deleteNotificationTarget(targetId) {
+    const target = targets.find(t => t.id === targetId);
+    if (!target || !confirm(`Delete notification target "${target.name}"?`)) return;
+
+    try {
+        const response = await fetch(`/api/notifications/${targetId}`, {
+            method: 'DELETE'
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to delete notification target');
+        }
+
+        loadNotificationTargets();
+    } catch (error) {
+        console.error('Error deleting notification target:', error);
+        alert(`Error deleting notification target: ${error.message}`);
+    }
+}
+
+// Export to window for onclick handlers
+window.loadNotificationTargets = loadNotificationTargets;
+window.showNotificationTargetModal = showNotificationTargetModal;
+window.closeNotificationTargetModal = closeNotificationTargetModal;
+window.updateNotificationTypeFields = updateNotificationTypeFields;
+window.saveNotificationTarget = saveNotificationTarget;
+window.testNotificationForm = testNotificationForm;
+window.testNotificationTarget = testNotificationTarget;
+window.deleteNotificationTarget = deleteNotificationTarget;
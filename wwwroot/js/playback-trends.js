@@ -0,0 +1,157 @@
+// Playback dashboard trend charts: play methods and transcoding per day, week or month
+import { escapeHtml } from './utils.js';
+import { renderTrendSvg, renderTrendLegend, toPercentages, SERIES_COLORS } from './trends.js';
+
+const METHOD_COLORS = {
+    directPlay: 'var(--success-color)',
+    directStream: 'var(--warning-color)',
+    transcode: 'var(--danger-color)'
+};
+
+const SPLIT_LABELS = {
+    client: 'Client',
+    device: 'Device',
+    user: 'User',
+    library: 'Library'
+};
+
+const BUCKET_LABELS = {
+    day: {
+        axis: date => date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }),
+        tooltip: date => date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })
+    },
+    week: {
+        axis: date => date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }),
+        tooltip: date => `Week of ${date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })}`
+    },
+    month: {
+        axis: date => date.toLocaleDateString(undefined, { year: 'numeric', month: 'short' }),
+        tooltip: date => date.toLocaleDateString(undefined, { year: 'numeric', month: 'long' })
+    }
+};
+
+let trendReport = null;
+
+function groupColor(group, index) {
+    return group.name === 'Other' ? SERIES_COLORS[SERIES_COLORS.length - 1] : SERIES_COLORS[index % (SERIES_COLORS.length - 1)];
+}
+
+// Share of a bucket's playbacks that were transcoded; null when nothing was played in it
+function transcodeRate(bucket) {
+    return bucket.total > 0 ? (bucket.transcode / bucket.total) * 100 : null;
+}
+
+// Each view turns the report into series: stacked areas, or lines for the transcode rate
+function buildSeries(report, view) {
+    if (view === 'methods') {
+        return [
+            { name: 'Direct Play', color: METHOD_COLORS.directPlay, values: report.buckets.map(b => b.directPlay) },
+            { name: 'Direct Stream', color: METHOD_COLORS.directStream, values: report.buckets.map(b => b.directStream) },
+            { name: 'Transcode', color: METHOD_COLORS.transcode, values: report.buckets.map(b => b.transcode) }
+        ];
+    }
+
+    const groups = report.groups.length > 0
+        ? report.groups
+        : [{ name: 'All playbacks', buckets: report.buckets }];
+
+    return groups.map((group, index) => ({
+        name: group.name,
+        color: report.groups.length > 0 ? groupColor(group, index) : METHOD_COLORS.transcode,
+        values: group.buckets.map(b => view === 'rate' ? transcodeRate(b) : b.transcode)
+    }));
+}
+
+function renderGroupTable(report) {
+    if (report.groups.length === 0) return '';
+
+    return `
+        <table class="data-table playback-trend-groups">
+            <thead>
+                <tr>
+                    <th>${escapeHtml(SPLIT_LABELS[report.splitBy] || report.splitBy)}</th>
+                    <th>Playbacks</th>
+                    <th>Transcodes</th>
+                    <th>Transcode Rate</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${report.groups.map((group, index) => `
+                    <tr>
+                        <td><span class="trend-swatch" style="background: ${groupColor(group, index)};"></span> ${escapeHtml(group.name)}</td>
+                        <td>${group.total.toLocaleString()}</td>
+                        <td>${group.transcode.toLocaleString()}</td>
+                        <td>${group.total > 0 ? `${((group.transcode / group.total) * 100).toFixed(1)}%` : '—'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+export function renderPlaybackTrends() {
+    const chart = document.getElementById('playbackTrendChart');
+    if (!chart || !trendReport) return;
+
+    const view = document.getElementById('playbackTrendView')?.value || 'methods';
+    const splitSelect = document.getElementById('playbackTrendSplit');
+    const percentToggle = document.getElementById('playbackTrendPercent');
+    // Play methods are for all playbacks; the transcode rate is a percentage already, and so is the
+    // share of a single unsplit transcode series
+    const percentFixed = view === 'rate' || (view === 'transcodes' && trendReport.groups.length === 0);
+    if (splitSelect) splitSelect.disabled = view === 'methods';
+    if (percentToggle) percentToggle.disabled = percentFixed;
+    const percent = view === 'rate' || (!percentFixed && !!percentToggle?.checked);
+
+    if (trendReport.buckets.length === 0) {
+        chart.innerHTML = '<div class="empty-state"><p>No playback in this range. Sync playback history from Jellyfin to see trends.</p></div>';
+        return;
+    }
+
+    let series = buildSeries(trendReport, view);
+    const stacked = view !== 'rate';
+    if (percent && stacked) {
+        series = toPercentages(series, trendReport.buckets.length);
+    }
+
+    const dates = trendReport.buckets.map(b => new Date(b.start));
+    const labels = BUCKET_LABELS[trendReport.bucket] || BUCKET_LABELS.day;
+    chart.innerHTML = `
+        ${renderTrendSvg(dates, series, stacked, percent, labels)}
+        ${renderTrendLegend(series, percent)}
+        ${trendReport.buckets.length === 1 ? '<p class="trend-note">Only one period in this range; pick a smaller bucket or a longer range to see a trend.</p>' : ''}
+        ${view !== 'methods' ? renderGroupTable(trendReport) : ''}
+    `;
+}
+
+export async function loadPlaybackTrends() {
+    const chart = document.getElementById('playbackTrendChart');
+    if (!chart) return;
+
+    const view = document.getElementById('playbackTrendView')?.value || 'methods';
+    const params = new URLSearchParams({
+        bucket: document.getElementById('playbackTrendBucket')?.value || 'week',
+        days: document.getElementById('playbackTrendRange')?.value ?? '90',
+        // Play methods ignore the split, so it is not worth computing
+        splitBy: view === 'methods' ? 'none' : (document.getElementById('playbackTrendSplit')?.value || 'none')
+    });
+    chart.innerHTML = '<div class="loading-placeholder">Loading trends...</div>';
+
+    try {
+        const response = await fetch(`/api/playback/statistics/trends?${params}`);
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || `Failed to load playback trends: ${response.status}`);
+        }
+
+        trendReport = await response.json();
+        renderPlaybackTrends();
+    } catch (error) {
+        console.error('Error loading playback trends:', error);
+        chart.innerHTML = `<div class="error-state">Error loading trends: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+// Export to window for onchange handlers
+window.loadPlaybackTrends = loadPlaybackTrends;
+window.renderPlaybackTrends = renderPlaybackTrends;
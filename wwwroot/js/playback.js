@@ -1,6 +1,7 @@
 // Playback History Functions
 import { escapeHtml, formatTimeSpan } from './utils.js';
 import { showMediaInfo } from './media-info.js';
+import { loadPlaybackTrends } from './playback-trends.js';
 
 export let playbackCurrentPage = 1;
 
@@ -242,6 +243,8 @@ export function setPlaybackPage(page) {
 }
 
 export async function loadPlaybackDashboard() {
+    loadPlaybackTrends();
+
     try {
         const response = await fetch('/api/playback/statistics');
         if (!response.ok) return;
@@ -0,0 +1,250 @@
+// Saved Filter Presets ("smart collections") for Browse
+import { escapeHtml } from './utils.js';
+import { buildBrowseHash, getBrowseFilterState, rescanSelected, redownloadSelected } from './browse.js';
+
+let filterPresets = [];
+
+// Counting a preset runs the full Browse filter, so counts are fetched one preset at a time once Browse
+// has been opened, and reused until the preset changes or they are a few minutes old
+const PRESET_COUNT_MAX_AGE_MS = 5 * 60 * 1000;
+const presetCounts = new Map(); // preset id -> { count, updatedAt, loadedAt }
+let presetCountsWanted = false;
+let presetCountsLoading = false;
+
+export async function loadFilterPresets() {
+    try {
+        const response = await fetch('/api/presets');
+        if (!response.ok) throw new Error(`Failed to load presets: ${response.status}`);
+
+        filterPresets = await response.json();
+        renderFilterPresets();
+        if (presetCountsWanted) {
+            loadPresetCounts();
+        }
+    } catch (error) {
+        console.error('Error loading filter presets:', error);
+    }
+}
+
+function getCachedPresetCount(preset) {
+    const cached = presetCounts.get(preset.id);
+    if (!cached || cached.updatedAt !== preset.updatedAt || Date.now() - cached.loadedAt > PRESET_COUNT_MAX_AGE_MS) {
+        return null;
+    }
+    return cached;
+}
+
+export async function loadPresetCounts() {
+    presetCountsWanted = true;
+    if (presetCountsLoading) return;
+
+    presetCountsLoading = true;
+    try {
+        // Presets can be added or removed while counting, so pick the next stale one each time round
+        let preset;
+        while ((preset = filterPresets.find(p => !getCachedPresetCount(p) && !p.countFailed))) {
+            const response = await fetch(`/api/presets/${preset.id}/count`);
+            if (!response.ok) {
+                console.error(`Failed to count preset ${preset.id}: ${response.status}`);
+                preset.countFailed = true;
+                continue;
+            }
+
+            presetCounts.set(preset.id, { count: await response.json(), updatedAt: preset.updatedAt, loadedAt: Date.now() });
+            renderFilterPresets();
+        }
+    } catch (error) {
+        console.error('Error loading preset counts:', error);
+    } finally {
+        presetCountsLoading = false;
+    }
+}
+
+function renderFilterPresets() {
+    renderPresetNav();
+    renderBrowsePresets();
+}
+
+// Presets apply through the Browse URL hash, so every preset is also a shareable link
+function getPresetHash(preset) {
+    return buildBrowseHash({
+        ...(preset.filters || {}),
+        sortBy: preset.sortBy,
+        sortOrder: preset.sortOrder
+    });
+}
+
+function formatPresetCount(preset) {
+    const cached = presetCounts.get(preset.id);
+    return cached && cached.updatedAt === preset.updatedAt ? cached.count.toLocaleString() : '…';
+}
+
+function renderPresetNav() {
+    const list = document.getElementById('presetNavList');
+    if (!list) return;
+
+    if (filterPresets.length === 0) {
+        list.innerHTML = '';
+        list.style.display = 'none';
+        return;
+    }
+
+    list.style.display = 'block';
+    list.innerHTML = filterPresets.map(preset => `
+        <a href="${escapeHtml(getPresetHash(preset))}" class="nav-subitem" title="${escapeHtml(preset.description || preset.name)}">
+            <span class="nav-text">${escapeHtml(preset.name)}</span>
+            <span class="nav-badge">${formatPresetCount(preset)}</span>
+        </a>
+    `).join('');
+}
+
+function renderBrowsePresets() {
+    const list = document.getElementById('browsePresetList');
+    if (!list) return;
+
+    if (filterPresets.length === 0) {
+        list.innerHTML = '<span class="browse-preset-empty">No saved presets yet. Set up filters and click "Save Preset".</span>';
+        return;
+    }
+
+    list.innerHTML = filterPresets.map(preset => `
+        <div class="browse-preset-chip">
+            <a href="${escapeHtml(getPresetHash(preset))}" class="browse-preset-link" title="${escapeHtml(preset.description || 'Apply this preset')}">
+                ${escapeHtml(preset.name)}
+                <span class="browse-preset-count">${formatPresetCount(preset)}</span>
+            </a>
+            <button type="button" class="browse-preset-action" onclick="rescanFilterPreset(${preset.id})" title="Rescan all videos in this preset">🔄</button>
+            <button type="button" class="browse-preset-action" onclick="redownloadFilterPreset(${preset.id})" title="Redownload all videos in this preset">⬇️</button>
+            <button type="button" class="browse-preset-action" onclick="deleteFilterPreset(${preset.id})" title="Delete this preset">✕</button>
+        </div>
+    `).join('');
+}
+
+// Browse state -> preset filters (same names as the /api/library/videos query)
+function getPresetFiltersFromBrowse(state) {
+    return {
+        libraryPathId: state.libraryPathId ? parseInt(state.libraryPathId, 10) : null,
+        codec: state.codec || null,
+        container: state.container || null,
+        score: state.score || null,
+        search: state.search || null,
+        isBroken: state.isBroken ? true : null,
+        servarrFilter: state.servarrFilter || null,
+        audioCodec: state.audioCodec || null,
+        audioChannel: state.audioChannel || null,
+        hdrSdr: state.hdrSdr || null,
+        bitDepth: state.bitDepth ? parseInt(state.bitDepth, 10) : null,
+        subtitleFormat: state.subtitleFormat || null,
+        bitrateRange: state.bitrateRange || null,
+        profileId: state.profileId ? parseInt(state.profileId, 10) : null
+    };
+}
+
+export async function saveCurrentFilterPreset() {
+    const name = prompt('Name for this preset (e.g. "HEVC 10-bit MKV with PGS"):');
+    if (!name || !name.trim()) return;
+
+    const state = getBrowseFilterState();
+    const body = {
+        name: name.trim(),
+        filters: getPresetFiltersFromBrowse(state),
+        sortBy: state.sortBy,
+        sortOrder: state.sortOrder
+    };
+
+    // Saving under an existing name replaces that preset's filters
+    const existing = filterPresets.find(p => p.name.toLowerCase() === body.name.toLowerCase());
+    if (existing && !confirm(`A preset named "${existing.name}" already exists. Replace it with the current filters?`)) {
+        return;
+    }
+    if (existing) {
+        body.description = existing.description;
+    }
+
+    try {
+        const response = await fetch(existing ? `/api/presets/${existing.id}` : '/api/presets', {
+            method: existing ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Failed to save preset');
+        }
+
+        await loadFilterPresets();
+    } catch (error) {
+        console.error('Error saving filter preset:', error);
+        alert(`Error saving preset: ${error.message}`);
+    }
+}
+
+export async function deleteFilterPreset(presetId) {
+    const preset = filterPresets.find(p => p.id === presetId);
+    if (!confirm(`Delete preset "${preset ? preset.name : presetId}"? The videos themselves are not affected.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/presets/${presetId}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Failed to delete preset');
+        }
+
+        await loadFilterPresets();
+    } catch (error) {
+        console.error('Error deleting filter preset:', error);
+        alert(`Error deleting preset: ${error.message}`);
+    }
+}
+
+async function getPresetVideoIds(presetId) {
+    const response = await fetch(`/api/presets/${presetId}/ids`);
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `Failed to fetch video IDs: ${response.status}`);
+    }
+
+    const ids = await response.json();
+    if (!Array.isArray(ids) || ids.length === 0) {
+        alert('No videos match this preset.');
+        return null;
+    }
+    return ids;
+}
+
+export async function rescanFilterPreset(presetId) {
+    try {
+        const ids = await getPresetVideoIds(presetId);
+        if (ids) {
+            await rescanSelected(ids);
+            presetCounts.delete(presetId);
+            loadPresetCounts();
+        }
+    } catch (error) {
+        console.error('Error rescanning preset:', error);
+        alert(`Error rescanning preset: ${error.message}`);
+    }
+}
+
+export async function redownloadFilterPreset(presetId) {
+    try {
+        const ids = await getPresetVideoIds(presetId);
+        if (ids) {
+            await redownloadSelected(ids);
+            presetCounts.delete(presetId);
+            loadPresetCounts();
+        }
+    } catch (error) {
+        console.error('Error redownloading preset:', error);
+        alert(`Error redownloading preset: ${error.message}`);
+    }
+}
+
+// Export to window for onclick handlers
+window.saveCurrentFilterPreset = saveCurrentFilterPreset;
+window.deleteFilterPreset = deleteFilterPreset;
+window.rescanFilterPreset = rescanFilterPreset;
+window.redownloadFilterPreset = redownloadFilterPreset;
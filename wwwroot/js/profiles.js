@@ -0,0 +1,299 @@
+// Device profiles: named property maps (Shield, Apple TV, browser, ...) that every video is rated against
+import { escapeHtml } from './utils.js';
+
+const PROPERTY_CATEGORIES = [
+    { key: 'videoCodecs', label: 'Video Codecs', placeholder: 'e.g., AV1 10-bit' },
+    { key: 'audioCodecs', label: 'Audio Codecs', placeholder: 'e.g., TrueHD' },
+    { key: 'containers', label: 'Containers', placeholder: 'e.g., WebM' },
+    { key: 'subtitleFormats', label: 'Subtitle Formats', placeholder: 'e.g., PGS' },
+    { key: 'bitDepths', label: 'Bit Depths', placeholder: 'e.g., 12' }
+];
+
+const OVERRIDE_CATEGORIES = ['Video', 'Audio', 'Container', 'Subtitle', 'BitDepth'];
+const SUPPORT_LEVELS = ['Supported', 'Partial', 'Unsupported'];
+
+let profiles = [];
+let currentProfileId = null;
+let editorProperties = {};
+let editorOverrides = [];
+
+// Shared with the Browse and Dashboard profile selects
+export async function fetchDeviceProfiles() {
+    const response = await fetch('/api/profiles');
+    if (!response.ok) throw new Error(`Failed to load device profiles: ${response.status}`);
+    return response.json();
+}
+
+// Fills a profile select, keeping its first ("global") option and the current value when it still exists
+export function populateProfileSelect(select, profileList, selectedValue = select.value) {
+    const globalOption = select.querySelector('option[value=""]');
+    select.innerHTML = '';
+    if (globalOption) select.appendChild(globalOption);
+
+    profileList.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = String(profile.id);
+        option.textContent = profile.name;
+        select.appendChild(option);
+    });
+
+    select.value = profileList.some(p => String(p.id) === String(selectedValue)) ? String(selectedValue) : '';
+}
+
+export async function loadDeviceProfiles() {
+    const container = document.getElementById('deviceProfilesContainer');
+    if (!container) return;
+
+    try {
+        profiles = await fetchDeviceProfiles();
+        if (profiles.length === 0) {
+            container.innerHTML = '<div class="empty-state">No device profiles yet. Ratings use the media properties above.</div>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>Overrides</th>
+                        <th>Rated</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${profiles.map(profile => `
+                        <tr>
+                            <td>
+                                ${escapeHtml(profile.name)}
+                                ${profile.description ? `<div class="device-profile-note">${escapeHtml(profile.description)}</div>` : ''}
+                            </td>
+                            <td>${profile.overrides.length}</td>
+                            <td>
+                                ${profile.ratedCount.toLocaleString()} / ${profile.totalVideos.toLocaleString()}
+                                ${profile.ratedCount < profile.totalVideos ? '<span class="device-profile-note">(rating...)</span>' : ''}
+                            </td>
+                            <td class="device-profile-actions">
+                                <button class="btn btn-secondary btn-sm" onclick="showDeviceProfileModal(${profile.id})">Edit</button>
+                                <button class="btn btn-danger btn-sm" onclick="deleteDeviceProfile(${profile.id})">Delete</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        console.error('Error loading device profiles:', error);
+        container.innerHTML = '<div class="error-state">Error loading device profiles</div>';
+    }
+}
+
+// New profiles start from the global media property settings
+async function loadGlobalProperties() {
+    const response = await fetch('/api/library/settings/media-properties');
+    if (!response.ok) throw new Error('Failed to load media property settings');
+    const data = await response.json();
+    const properties = data.properties || {};
+
+    const result = {};
+    PROPERTY_CATEGORIES.forEach(category => {
+        const pascalKey = category.key.charAt(0).toUpperCase() + category.key.slice(1);
+        result[category.key] = { ...(properties[category.key] || properties[pascalKey] || {}) };
+    });
+    return result;
+}
+
+function renderPropertyEditor() {
+    const container = document.getElementById('deviceProfileProperties');
+    container.innerHTML = PROPERTY_CATEGORIES.map(category => {
+        const values = editorProperties[category.key] || {};
+        const keys = Object.keys(values).sort((a, b) => a.localeCompare(b));
+        return `
+            <div class="device-profile-category">
+                <h4>${escapeHtml(category.label)}</h4>
+                <div class="device-profile-values">
+                    ${keys.map(key => `
+                        <label class="checkbox-label">
+                            <input type="checkbox" data-category="${category.key}" data-key="${escapeHtml(key)}" ${values[key] ? 'checked' : ''} onchange="toggleDeviceProfileProperty(this)">
+                            <span>${escapeHtml(key)}</span>
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="device-profile-add">
+                    <input type="text" id="deviceProfileAdd-${category.key}" class="form-control" placeholder="${escapeHtml(category.placeholder)}">
+                    <button type="button" class="btn btn-secondary btn-sm" onclick="addDeviceProfileProperty('${category.key}')">Add</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function renderOverrideEditor() {
+    const container = document.getElementById('deviceProfileOverrides');
+    if (editorOverrides.length === 0) {
+        container.innerHTML = '<div class="device-profile-note">No overrides</div>';
+        return;
+    }
+
+    container.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Category</th>
+                    <th>Value</th>
+                    <th>Support</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${editorOverrides.map((item, index) => `
+                    <tr>
+                        <td>
+                            <select class="form-control" onchange="updateDeviceProfileOverride(${index}, 'category', this.value)">
+                                ${OVERRIDE_CATEGORIES.map(c => `<option value="${c}" ${item.category === c ? 'selected' : ''}>${c}</option>`).join('')}
+                            </select>
+                        </td>
+                        <td>
+                            <input type="text" class="form-control" value="${escapeHtml(item.codec)}" placeholder="e.g., H.265 10-bit" onchange="updateDeviceProfileOverride(${index}, 'codec', this.value)">
+                        </td>
+                        <td>
+                            <select class="form-control" onchange="updateDeviceProfileOverride(${index}, 'supportLevel', this.value)">
+                                ${SUPPORT_LEVELS.map(l => `<option value="${l}" ${item.supportLevel === l ? 'selected' : ''}>${l}</option>`).join('')}
+                            </select>
+                        </td>
+                        <td>
+                            <button type="button" class="btn btn-danger btn-sm" onclick="removeDeviceProfileOverride(${index})">Remove</button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+export async function showDeviceProfileModal(profileId = null) {
+    const modal = document.getElementById('deviceProfileModal');
+    if (!modal) return;
+
+    const profile = profileId === null ? null : profiles.find(p => p.id === profileId);
+    currentProfileId = profile ? profile.id : null;
+
+    try {
+        editorProperties = profile
+            ? JSON.parse(JSON.stringify(profile.properties))
+            : await loadGlobalProperties();
+    } catch (error) {
+        console.error('Error loading media property settings:', error);
+        alert(`Error loading media property settings: ${error.message}`);
+        return;
+    }
+    PROPERTY_CATEGORIES.forEach(category => {
+        if (!editorProperties[category.key]) editorProperties[category.key] = {};
+    });
+    editorOverrides = profile ? profile.overrides.map(o => ({ ...o })) : [];
+
+    document.getElementById('deviceProfileTitle').textContent = profile ? 'Edit Device Profile' : 'Add Device Profile';
+    document.getElementById('deviceProfileName').value = profile?.name ?? '';
+    document.getElementById('deviceProfileDescription').value = profile?.description ?? '';
+
+    renderPropertyEditor();
+    renderOverrideEditor();
+    modal.style.display = 'block';
+}
+
+export function closeDeviceProfileModal() {
+    const modal = document.getElementById('deviceProfileModal');
+    if (modal) modal.style.display = 'none';
+    currentProfileId = null;
+}
+
+export function toggleDeviceProfileProperty(checkbox) {
+    editorProperties[checkbox.dataset.category][checkbox.dataset.key] = checkbox.checked;
+}
+
+export function addDeviceProfileProperty(categoryKey) {
+    const input = document.getElementById(`deviceProfileAdd-${categoryKey}`);
+    const value = input.value.trim();
+    if (!value) return;
+
+    editorProperties[categoryKey][value] = true;
+    renderPropertyEditor();
+}
+
+export function addDeviceProfileOverride() {
+    editorOverrides.push({ category: 'Video', codec: '', supportLevel: 'Unsupported' });
+    renderOverrideEditor();
+}
+
+export function updateDeviceProfileOverride(index, field, value) {
+    if (editorOverrides[index]) editorOverrides[index][field] = value;
+}
+
+export function removeDeviceProfileOverride(index) {
+    editorOverrides.splice(index, 1);
+    renderOverrideEditor();
+}
+
+export async function saveDeviceProfile(event) {
+    event.preventDefault();
+
+    try {
+        const isNew = currentProfileId === null;
+        const response = await fetch(isNew ? '/api/profiles' : `/api/profiles/${currentProfileId}`, {
+            method: isNew ? 'POST' : 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                name: document.getElementById('deviceProfileName').value.trim(),
+                description: document.getElementById('deviceProfileDescription').value.trim(),
+                properties: editorProperties,
+                overrides: editorOverrides.filter(o => o.codec.trim())
+            })
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to save device profile');
+        }
+
+        closeDeviceProfileModal();
+        loadDeviceProfiles();
+    } catch (error) {
+        console.error('Error saving device profile:', error);
+        alert(`Error saving device profile: ${error.message}`);
+    }
+}
+
+export async function deleteDeviceProfile(profileId) {
+    const profile = profiles.find(p => p.id === profileId);
+    if (!profile || !confirm(`Delete device profile "${profile.name}" and its ratings?`)) return;
+
+    try {
+        const response = await fetch(`/api/profiles/${profileId}`, {
+            method: 'DELETE'
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to delete device profile');
+        }
+
+        loadDeviceProfiles();
+    } catch (error) {
+        console.error('Error deleting device profile:', error);
+        alert(`Error deleting device profile: ${error.message}`);
+    }
+}
+
+// Export to window for onclick handlers
+window.loadDeviceProfiles = loadDeviceProfiles;
+window.showDeviceProfileModal = showDeviceProfileModal;
+window.closeDeviceProfileModal = closeDeviceProfileModal;
+window.toggleDeviceProfileProperty = toggleDeviceProfileProperty;
+window.addDeviceProfileProperty = addDeviceProfileProperty;
+window.addDeviceProfileOverride = addDeviceProfileOverride;
+window.updateDeviceProfileOverride = updateDeviceProfileOverride;
+window.removeDeviceProfileOverride = removeDeviceProfileOverride;
+window.saveDeviceProfile = saveDeviceProfile;
+window.deleteDeviceProfile = deleteDeviceProfile;
@@ -0,0 +1,370 @@
+// Redownloads (each "Redownload" sent to Sonarr/Radarr followed until the new file is analyzed and judged)
+import { escapeHtml, formatDateTime, formatFileSize } from './utils.js';
+import { renderAnalysisDiff } from './media-info.js';
+
+const PAGE_SIZE = 50;
+
+const FILTERS = [
+    { value: 'open', label: 'Open', countKey: 'Open' },
+    { value: 'Improved', label: 'Improved', countKey: 'Improved' },
+    { value: 'Unchanged', label: 'Unchanged', countKey: 'Unchanged' },
+    { value: 'Worse', label: 'Worse', countKey: 'Worse' },
+    { value: 'NeverArrived', label: 'Never arrived', countKey: 'NeverArrived' },
+    { value: 'cancelled', label: 'Cancelled', countKey: 'Cancelled' }
+];
+
+const STATUS_BADGES = {
+    Searching: '<span class="score-badge redownload-open">Searching</span>',
+    Downloading: '<span class="score-badge redownload-open">Downloading</span>',
+    Cancelled: '<span class="score-badge redownload-cancelled">Cancelled</span>'
+};
+
+const VERDICT_BADGES = {
+    Improved: '<span class="score-badge optimal">Improved</span>',
+    Unchanged: '<span class="score-badge good">Unchanged</span>',
+    Worse: '<span class="score-badge poor">Worse</span>',
+    NeverArrived: '<span class="score-badge poor">Never arrived</span>'
+};
+
+let currentPage = 1;
+let currentFilter = '';
+let lastResult = null;
+let expandedCaseId = null;
+let expandedDetail = null;
+
+function isOpen(redownloadCase) {
+    return redownloadCase.status === 'Searching' || redownloadCase.status === 'Downloading';
+}
+
+function renderOutcome(redownloadCase) {
+    if (redownloadCase.verdict) return VERDICT_BADGES[redownloadCase.verdict] || escapeHtml(redownloadCase.verdict);
+    return STATUS_BADGES[redownloadCase.status] || escapeHtml(redownloadCase.status);
+}
+
+function renderRating(rating, isBroken) {
+    if (rating === null || rating === undefined) return '<span class="redownload-muted">—</span>';
+    return isBroken ? `${rating} <span title="Broken or unplayable">⚠️</span>` : String(rating);
+}
+
+function renderProgress(redownloadCase) {
+    if (!isOpen(redownloadCase)) {
+        return escapeHtml(redownloadCase.message || (redownloadCase.completedAt ? `Finished ${formatDateTime(redownloadCase.completedAt)}` : ''));
+    }
+
+    const lines = [];
+    if (redownloadCase.queueStatus) {
+        lines.push(escapeHtml(redownloadCase.queueStatus));
+    } else if (redownloadCase.commandStatus) {
+        lines.push(`Search ${escapeHtml(redownloadCase.commandStatus)}`);
+    }
+    if (redownloadCase.message) lines.push(escapeHtml(redownloadCase.message));
+    if (redownloadCase.waitUntil) {
+        const action = redownloadCase.attempts < redownloadCase.maxAttempts ? 'Searches again' : 'Gives up';
+        lines.push(`<span class="redownload-muted">${action} ${formatDateTime(redownloadCase.waitUntil)} if nothing arrives</span>`);
+    }
+    return lines.join('<br>');
+}
+
+function renderVersion(title, version, filePath) {
+    if (!version) {
+        return `
+            <div class="redownload-version">
+                <h4>${escapeHtml(title)}</h4>
+                <p class="redownload-muted">Not analyzed yet</p>
+            </div>
+        `;
+    }
+
+    return `
+        <div class="redownload-version">
+            <h4>${escapeHtml(title)}</h4>
+            <div class="redownload-version-rating">${renderRating(version.compatibilityRating, version.isBroken)} <span class="redownload-muted">${escapeHtml(version.overallScore)}</span></div>
+            <div>${escapeHtml(version.container)} · ${escapeHtml(version.videoCodec)} · ${formatFileSize(version.fileSize)}</div>
+            ${filePath ? `<div class="redownload-path" title="${escapeHtml(filePath)}">${escapeHtml(filePath)}</div>` : ''}
+            <div class="redownload-muted">Analyzed ${formatDateTime(version.analyzedAt)}</div>
+        </div>
+    `;
+}
+
+function renderCaseDetails(redownloadCase) {
+    if (!expandedDetail || expandedDetail.case.id !== redownloadCase.id) {
+        return `
+            <tr class="redownload-details">
+                <td colspan="7"><div class="loading-placeholder">Loading...</div></td>
+            </tr>
+        `;
+    }
+
+    const { before, after, diff } = expandedDetail;
+    let comparison = '';
+    if (diff && diff.hasChanges) {
+        comparison = renderAnalysisDiff(diff, 'Before', 'After');
+    } else if (diff) {
+        comparison = '<div class="empty-state"><p>The new file analyzes the same as the old one.</p></div>';
+    }
+
+    const videoId = redownloadCase.newVideoAnalysisId || redownloadCase.videoAnalysisId;
+    return `
+        <tr class="redownload-details">
+            <td colspan="7">
+                <div class="redownload-versions">
+                    ${renderVersion('Before', before, redownloadCase.oldFilePath)}
+                    ${renderVersion('After', after, redownloadCase.newFilePath)}
+                </div>
+                ${comparison}
+                <div class="redownload-actions">
+                    ${redownloadCase.downloadTitle ? `<span class="redownload-muted">Release: ${escapeHtml(redownloadCase.downloadTitle)}</span>` : ''}
+                    ${redownloadCase.lastCheckedAt ? `<span class="redownload-muted">Last checked ${formatDateTime(redownloadCase.lastCheckedAt)}</span>` : ''}
+                    ${videoId ? `<button class="btn btn-secondary btn-sm" onclick="event.stopPropagation(); showMediaInfo(${videoId})">Media Info</button>` : ''}
+                    ${isOpen(redownloadCase) ? `<button class="btn btn-danger btn-sm" onclick="event.stopPropagation(); cancelRedownload(${redownloadCase.id})">Cancel</button>` : ''}
+                </div>
+            </td>
+        </tr>
+    `;
+}
+
+function renderCase(redownloadCase) {
+    const expanded = expandedCaseId === redownloadCase.id;
+    return `
+        <tr class="redownload-row" onclick="toggleRedownloadCase(${redownloadCase.id})">
+            <td>
+                <div class="redownload-title">${escapeHtml(redownloadCase.title)}</div>
+                ${redownloadCase.downloadTitle ? `<div class="redownload-muted redownload-path" title="${escapeHtml(redownloadCase.downloadTitle)}">${escapeHtml(redownloadCase.downloadTitle)}</div>` : ''}
+            </td>
+            <td>${escapeHtml(redownloadCase.servarrType)}</td>
+            <td>${renderOutcome(redownloadCase)}</td>
+            <td title="Searches sent">${redownloadCase.attempts}/${redownloadCase.maxAttempts}</td>
+            <td class="redownload-progress">${renderProgress(redownloadCase)}</td>
+            <td class="redownload-rating">
+                ${renderRating(redownloadCase.oldRating, redownloadCase.oldIsBroken)} → ${renderRating(redownloadCase.newRating, redownloadCase.newIsBroken)}
+            </td>
+            <td class="redownload-muted">${formatDateTime(redownloadCase.createdAt)}</td>
+        </tr>
+        ${expanded ? renderCaseDetails(redownloadCase) : ''}
+    `;
+}
+
+function renderCounts(counts) {
+    const container = document.getElementById('redownloadCounts');
+    if (!container) return;
+
+    const chips = [{ value: '', label: 'All', count: Object.values(counts).reduce((sum, count) => sum + count, 0) }]
+        .concat(FILTERS.map(filter => ({ value: filter.value, label: filter.label, count: counts[filter.countKey] || 0 })));
+
+    container.innerHTML = chips.map(chip => `
+        <button class="redownload-count${chip.value === currentFilter ? ' active' : ''}" onclick="setRedownloadFilter('${chip.value}')">
+            ${escapeHtml(chip.label)} <strong>${chip.count}</strong>
+        </button>
+    `).join('');
+}
+
+function renderPagination(result) {
+    const pagination = document.getElementById('redownloadPagination');
+    if (!pagination) return;
+
+    const totalPages = Math.ceil(result.totalCount / result.pageSize);
+    if (totalPages <= 1) {
+        pagination.innerHTML = '';
+        return;
+    }
+
+    let html = '';
+    if (result.page > 1) {
+        html += `<button class="btn btn-secondary" onclick="setRedownloadPage(${result.page - 1})">Previous</button>`;
+    }
+    html += `<span>Page ${result.page} of ${totalPages}</span>`;
+    if (result.page < totalPages) {
+        html += `<button class="btn btn-secondary" onclick="setRedownloadPage(${result.page + 1})">Next</button>`;
+    }
+    pagination.innerHTML = html;
+}
+
+function renderCases(result) {
+    const container = document.getElementById('redownloadCases');
+    if (!container) return;
+
+    renderCounts(result.counts);
+    renderPagination(result);
+
+    if (result.cases.length === 0) {
+        container.innerHTML = currentFilter
+            ? '<div class="empty-state"><p>No redownloads match this filter.</p></div>'
+            : '<div class="empty-state"><p>No redownloads yet. Select videos in Browse and choose "Redownload" to have Sonarr/Radarr search for a better release; each one is followed here until the new file is analyzed.</p></div>';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="redownload-table-wrapper">
+            <table class="data-table redownload-table">
+                <thead>
+                    <tr>
+                        <th>Title</th>
+                        <th>Service</th>
+                        <th>Outcome</th>
+                        <th>Searches</th>
+                        <th>Progress</th>
+                        <th>Rating</th>
+                        <th>Started</th>
+                    </tr>
+                </thead>
+                <tbody>${result.cases.map(renderCase).join('')}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+async function loadExpandedDetail() {
+    const id = expandedCaseId;
+    try {
+        const response = await fetch(`/api/redownloads/${id}`);
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Failed to load redownload');
+        }
+
+        const detail = await response.json();
+        // Another row may have been opened meanwhile
+        if (expandedCaseId !== id) return;
+        expandedDetail = detail;
+        if (lastResult) renderCases(lastResult);
+    } catch (error) {
+        console.error('Error loading redownload:', error);
+        expandedCaseId = null;
+        if (lastResult) renderCases(lastResult);
+        alert(`Error loading redownload: ${error.message}`);
+    }
+}
+
+export async function loadRedownloadCases() {
+    const container = document.getElementById('redownloadCases');
+    if (!container) return;
+
+    try {
+        const params = new URLSearchParams({ page: currentPage, pageSize: PAGE_SIZE });
+        if (currentFilter) params.set('status', currentFilter);
+
+        const response = await fetch(`/api/redownloads?${params}`);
+        if (!response.ok) throw new Error(`Failed to load redownloads: ${response.status}`);
+
+        lastResult = await response.json();
+        renderCases(lastResult);
+        if (expandedCaseId !== null) loadExpandedDetail();
+    } catch (error) {
+        console.error('Error loading redownloads:', error);
+        container.innerHTML = `<div class="error-state"><p>Error loading redownloads: ${escapeHtml(error.message)}</p></div>`;
+    }
+}
+
+export async function loadRedownloadSettings() {
+    try {
+        const response = await fetch('/api/redownloads/settings');
+        if (!response.ok) return;
+
+        const settings = await response.json();
+        document.getElementById('redownloadWaitHours').value = settings.waitHours;
+        document.getElementById('redownloadMaxAttempts').value = settings.maxAttempts;
+    } catch (error) {
+        console.error('Error loading redownload settings:', error);
+    }
+}
+
+export async function saveRedownloadSettings() {
+    const waitHours = parseInt(document.getElementById('redownloadWaitHours').value, 10);
+    const maxAttempts = parseInt(document.getElementById('redownloadMaxAttempts').value, 10);
+    if (isNaN(waitHours) || isNaN(maxAttempts)) {
+        alert('Enter the wait period in hours and the number of searches');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/redownloads/settings', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ waitHours, maxAttempts })
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Failed to save redownload settings');
+        }
+
+        const result = await response.json();
+        alert(result.message);
+        loadRedownloadCases();
+    } catch (error) {
+        console.error('Error saving redownload settings:', error);
+        alert(`Error saving redownload settings: ${error.message}`);
+    }
+}
+
+export async function checkRedownloadsNow() {
+    try {
+        const response = await fetch('/api/redownloads/check', { method: 'POST' });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Failed to start the check');
+        }
+
+        // The check runs in the background; give it a moment before reloading
+        setTimeout(loadRedownloadCases, 3000);
+    } catch (error) {
+        console.error('Error checking redownloads:', error);
+        alert(`Error checking redownloads: ${error.message}`);
+    }
+}
+
+export async function cancelRedownload(id) {
+    if (!confirm('Stop following this redownload? Sonarr/Radarr keep any download already grabbed.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/redownloads/${id}/cancel`, { method: 'POST' });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Failed to cancel redownload');
+        }
+        loadRedownloadCases();
+    } catch (error) {
+        console.error('Error cancelling redownload:', error);
+        alert(`Error cancelling redownload: ${error.message}`);
+    }
+}
+
+export function setRedownloadFilter(filter) {
+    currentFilter = filter;
+    currentPage = 1;
+    loadRedownloadCases();
+}
+
+export function setRedownloadPage(page) {
+    currentPage = page;
+    loadRedownloadCases();
+}
+
+export function toggleRedownloadCase(id) {
+    if (expandedCaseId === id) {
+        expandedCaseId = null;
+        expandedDetail = null;
+        if (lastResult) renderCases(lastResult);
+        return;
+    }
+
+    expandedCaseId = id;
+    expandedDetail = null;
+    if (lastResult) renderCases(lastResult);
+    loadExpandedDetail();
+}
+
+export function loadRedownloads() {
+    loadRedownloadCases();
+    loadRedownloadSettings();
+}
+
+window.loadRedownloads = loadRedownloads;
+window.setRedownloadFilter = setRedownloadFilter;
+window.setRedownloadPage = setRedownloadPage;
+window.toggleRedownloadCase = toggleRedownloadCase;
+window.cancelRedownload = cancelRedownload;
+window.checkRedownloadsNow = checkRedownloadsNow;
+window.saveRedownloadSettings = saveRedownloadSettings;
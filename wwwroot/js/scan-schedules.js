@@ -0,0 +1,188 @@
+// Scheduled library rescans (cron schedule per library, edited from the library cards)
+import { escapeHtml, formatDateTime } from './utils.js';
+import { loadKnownLibraries } from './library.js';
+
+let currentLibraryPathId = null;
+
+function renderScheduleTimes(schedule) {
+    const container = document.getElementById('scanScheduleTimes');
+    if (!container) return;
+
+    if (!schedule.exists) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="stat-item">
+            <span class="stat-label">Next run:</span>
+            <span class="stat-value">${schedule.isEnabled ? formatDateTime(schedule.nextRunAt, 'Not scheduled') : 'Paused'}</span>
+        </div>
+        <div class="stat-item">
+            <span class="stat-label">Last run:</span>
+            <span class="stat-value">${formatDateTime(schedule.lastRunAt, 'Never')}</span>
+        </div>
+    `;
+}
+
+function describeRunResult(run) {
+    if (run.status !== 'Started') {
+        return escapeHtml(run.message || run.status);
+    }
+    if (!run.libraryScanId) {
+        return 'Scan deleted';
+    }
+    if (run.analyzedFiles !== null && run.analyzedFiles !== undefined) {
+        const failed = run.failedFiles ? `, ${run.failedFiles} failed` : '';
+        return `${run.analyzedFiles} analyzed, ${run.unchangedFiles} unchanged${failed}`;
+    }
+    return `${run.totalFiles ?? 0} file(s)`;
+}
+
+async function loadScheduleRuns(libraryPathId) {
+    const container = document.getElementById('scanScheduleRuns');
+    if (!container) return;
+
+    try {
+        const response = await fetch(`/api/library/paths/${libraryPathId}/schedule/runs`);
+        if (!response.ok) throw new Error(`Failed to load run history: ${response.status}`);
+
+        const runs = await response.json();
+        if (runs.length === 0) {
+            container.innerHTML = '<div class="empty-state">No scheduled runs yet</div>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Started</th>
+                        <th>Status</th>
+                        <th>Result</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${runs.map(run => {
+                        const status = run.status === 'Started' ? (run.scanStatus || 'Deleted') : run.status;
+                        return `
+                            <tr>
+                                <td>${formatDateTime(run.startedAt)}</td>
+                                <td><span class="scan-status ${escapeHtml(status.toLowerCase())}">${escapeHtml(status)}</span></td>
+                                <td>${describeRunResult(run)}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        console.error('Error loading scheduled scan runs:', error);
+        container.innerHTML = '<div class="error-state">Error loading run history</div>';
+    }
+}
+
+export async function showScanScheduleModal(libraryPathId) {
+    const modal = document.getElementById('scanScheduleModal');
+    if (!modal) return;
+
+    currentLibraryPathId = libraryPathId;
+
+    try {
+        const response = await fetch(`/api/library/paths/${libraryPathId}/schedule`);
+        if (!response.ok) throw new Error(`Failed to load schedule: ${response.status}`);
+
+        const schedule = await response.json();
+        document.getElementById('scanScheduleEnabled').checked = schedule.exists ? schedule.isEnabled : true;
+        document.getElementById('scanScheduleCron').value = schedule.cronExpression || '0 3 * * *';
+        document.getElementById('scanScheduleDelete').style.display = schedule.exists ? '' : 'none';
+        syncScanSchedulePreset();
+        renderScheduleTimes(schedule);
+
+        modal.style.display = 'block';
+        loadScheduleRuns(libraryPathId);
+    } catch (error) {
+        console.error('Error loading scan schedule:', error);
+        alert(`Error loading scan schedule: ${error.message}`);
+    }
+}
+
+export function closeScanScheduleModal() {
+    const modal = document.getElementById('scanScheduleModal');
+    if (modal) modal.style.display = 'none';
+    currentLibraryPathId = null;
+}
+
+export function applyScanSchedulePreset() {
+    const preset = document.getElementById('scanSchedulePreset').value;
+    if (preset !== 'custom') {
+        document.getElementById('scanScheduleCron').value = preset;
+    }
+}
+
+// Select the preset matching the typed expression, or "Custom"
+export function syncScanSchedulePreset() {
+    const select = document.getElementById('scanSchedulePreset');
+    const cron = document.getElementById('scanScheduleCron').value.trim().replace(/\s+/g, ' ');
+    const matching = Array.from(select.options).find(option => option.value === cron);
+    select.value = matching ? matching.value : 'custom';
+}
+
+export async function saveScanSchedule(event) {
+    event.preventDefault();
+    if (currentLibraryPathId === null) return;
+
+    try {
+        const response = await fetch(`/api/library/paths/${currentLibraryPathId}/schedule`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                cronExpression: document.getElementById('scanScheduleCron').value.trim(),
+                isEnabled: document.getElementById('scanScheduleEnabled').checked
+            })
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to save schedule');
+        }
+
+        closeScanScheduleModal();
+        loadKnownLibraries();
+    } catch (error) {
+        console.error('Error saving scan schedule:', error);
+        alert(`Error saving scan schedule: ${error.message}`);
+    }
+}
+
+export async function deleteScanSchedule() {
+    if (currentLibraryPathId === null) return;
+    if (!confirm('Remove the scan schedule for this library?\n\nRun history is kept.')) return;
+
+    try {
+        const response = await fetch(`/api/library/paths/${currentLibraryPathId}/schedule`, {
+            method: 'DELETE'
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to remove schedule');
+        }
+
+        closeScanScheduleModal();
+        loadKnownLibraries();
+    } catch (error) {
+        console.error('Error removing scan schedule:', error);
+        alert(`Error removing scan schedule: ${error.message}`);
+    }
+}
+
+// Export to window for onclick handlers
+window.showScanScheduleModal = showScanScheduleModal;
+window.closeScanScheduleModal = closeScanScheduleModal;
+window.applyScanSchedulePreset = applyScanSchedulePreset;
+window.syncScanSchedulePreset = syncScanSchedulePreset;
+window.saveScanSchedule = saveScanSchedule;
+window.deleteScanSchedule = deleteScanSchedule;
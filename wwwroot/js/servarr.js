@@ -1,5 +1,6 @@
 // Servarr Integration Functions
 import { escapeHtml } from './utils.js';
+import { isLiveUpdatesConnected, onLiveUpdate, getLatestLiveUpdate, waitForLiveUpdate } from './live-updates.js';
 
 // Check for active matches on page load and resume polling
 export async function checkActiveMatches() {
@@ -284,6 +285,14 @@ export async function syncJellyfinPlayback(event) {
         button.style.opacity = '0.7';
     }
     if (statusSpan) statusSpan.textContent = '🔄 ';
+    
+    // The request returns when the sync is done; live updates show progress in the meantime
+    const stopProgressUpdates = onLiveUpdate('playback-sync', progress => {
+        if (statusSpan && progress.status === 'running') {
+            statusSpan.textContent = `🔄 ${progress.processed} item(s), ${progress.synced} new `;
+            statusSpan.title = progress.currentItem || '';
+        }
+    });
 
     try {
         const url = syncAll 
@@ -301,41 +310,26 @@ export async function syncJellyfinPlayback(event) {
         }
 
         const result = await response.json();
-        const syncId = result.syncId;
+        stopProgressUpdates();
         
-        if (!syncId) {
-            // Fallback to old behavior if no syncId
-            if (statusSpan) statusSpan.textContent = '✓ ';
-            const syncType = syncAll ? 'all historical data' : `last ${days} days`;
-            alert(`Playback history synced successfully!\n\nSynced: ${result.synced} records\nMatched: ${result.matched} with local libraries\nTotal: ${result.total} records found\n\nSynced: ${syncType}`);
-            
-            // Reload Jellyfin clients to show updated data
-            loadJellyfinClients();
-            
-            // Reload playback dashboard if on playback tab
-            const activeTab = document.querySelector('.nav-item.active');
-            if (activeTab && activeTab.getAttribute('data-tab') === 'playback') {
-                const { loadPlaybackDashboard, loadPlaybackHistory } = await import('./playback.js');
-                loadPlaybackDashboard();
-                loadPlaybackHistory();
-            }
-            
-            if (button) {
-                button.disabled = false;
-                button.style.opacity = '1';
-            }
-            setTimeout(() => {
-                if (statusSpan) statusSpan.textContent = '';
-            }, 5000);
-            return;
+        if (statusSpan) {
+            statusSpan.textContent = '✓ ';
+            statusSpan.title = '';
         }
+        const syncType = syncAll ? 'all historical data' : `last ${days} days`;
+        alert(`Playback history synced successfully!\n\nSynced: ${result.synced} records\nMatched: ${result.matched} with local libraries\nTotal: ${result.total} records found\n\nSynced: ${syncType}`);
         
-        // Poll for progress
-        await pollSyncProgress(syncId, statusSpan, button, syncAll, days);
+        // Reload Jellyfin clients to show updated data
+        loadJellyfinClients();
+        
+        // Reload playback dashboard if on playback tab
+        const activeTab = document.querySelector('.nav-item.active');
+        if (activeTab && activeTab.getAttribute('data-tab') === 'playback') {
+            const { loadPlaybackDashboard, loadPlaybackHistory } = await import('./playback.js');
+            loadPlaybackDashboard();
+            loadPlaybackHistory();
+        }
         
-    } catch (error) {
-        if (statusSpan) statusSpan.textContent = '✗ ';
-        alert(`Error syncing playback history: ${error.message}`);
         if (button) {
             button.disabled = false;
             button.style.opacity = '1';
@@ -343,169 +337,20 @@ export async function syncJellyfinPlayback(event) {
         setTimeout(() => {
             if (statusSpan) statusSpan.textContent = '';
         }, 5000);
-    }
-}
-
-async function pollSyncProgress(syncId, statusSpan, button, syncAll, days) {
-    const maxAttempts = 3600; // 30 minutes max (3600 * 0.5s = 30 minutes)
-    let attempts = 0;
-    let lastProcessed = 0;
-    
-    const updateStatus = (progress) => {
+    } catch (error) {
+        stopProgressUpdates();
         if (statusSpan) {
-            if (progress.status === 'completed') {
-                statusSpan.textContent = '✓ ';
-            } else if (progress.status === 'error') {
-                statusSpan.textContent = '✗ ';
-            } else {
-                const percent = progress.total > 0 
-                    ? Math.round((progress.processed / progress.total) * 100) 
-                    : 0;
-                statusSpan.textContent = `🔄 ${progress.processed}${progress.total > 0 ? `/${progress.total} user(s)` : ''} (${percent}%)`;
-                if (progress.currentItem) {
-                    statusSpan.title = progress.currentItem;
-                }
-            }
-        }
-    };
-    
-    while (attempts < maxAttempts) {
-        try {
-            const response = await fetch(`/api/playback/sync/progress/${syncId}`);
-            if (!response.ok) {
-                throw new Error('Failed to get sync progress');
-            }
-            
-            const progress = await response.json();
-            updateStatus(progress);
-            
-            // Log progress if it changed (users change less frequently)
-            if (progress.processed > lastProcessed || progress.status !== 'running') {
-                console.log(`Sync progress: ${progress.processed}/${progress.total} users processed, ${progress.synced} synced, ${progress.matched} matched. Status: ${progress.status}`);
-                lastProcessed = progress.processed;
-            }
-            
-            if (progress.status === 'completed') {
-                if (statusSpan) statusSpan.textContent = '✓ ';
-                const syncType = syncAll ? 'all historical data' : `last ${days} days`;
-                alert(`Playback history synced successfully!\n\nProcessed: ${progress.processed} user(s)\nSynced: ${progress.synced} records\nMatched: ${progress.matched} with local libraries\n\nSynced: ${syncType}`);
-                
-                // Reload Jellyfin clients to show updated data
-                loadJellyfinClients();
-                
-                // Reload playback dashboard if on playback tab
-                const activeTab = document.querySelector('.nav-item.active');
-                if (activeTab && activeTab.getAttribute('data-tab') === 'playback') {
-                    const { loadPlaybackDashboard, loadPlaybackHistory } = await import('./playback.js');
-                    loadPlaybackDashboard();
-                    loadPlaybackHistory();
-                }
-                
-                if (button) {
-                    button.disabled = false;
-                    button.style.opacity = '1';
-                }
-                setTimeout(() => {
-                    if (statusSpan) statusSpan.textContent = '';
-                }, 5000);
-                return;
-            }
-            
-            if (progress.status === 'error') {
-                if (statusSpan) statusSpan.textContent = '✗ ';
-                alert(`Error syncing playback history: ${progress.error || 'Unknown error'}`);
-                if (button) {
-                    button.disabled = false;
-                    button.style.opacity = '1';
-                }
-                setTimeout(() => {
-                    if (statusSpan) statusSpan.textContent = '';
-                }, 5000);
-                return;
-            }
-            
-            // Wait 500ms before next poll
-            await new Promise(resolve => setTimeout(resolve, 500));
-            attempts++;
-        } catch (error) {
-            console.error('Error polling sync progress:', error);
-            // Continue polling even on error
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            attempts++;
+            statusSpan.textContent = '✗ ';
+            statusSpan.title = '';
         }
-    }
-    
-    // Check if sync is still running before giving up
-    try {
-        const finalResponse = await fetch(`/api/playback/sync/progress/${syncId}`);
-        if (finalResponse.ok) {
-            const finalProgress = await finalResponse.json();
-            if (finalProgress.status === 'running' || finalProgress.status === 'fetching' || finalProgress.status === 'migrating') {
-                // Sync is still running, continue polling but with longer intervals
-                if (statusSpan) {
-                    statusSpan.textContent = '🔄 ...';
-                    statusSpan.title = 'Sync is still running in the background. Progress will update automatically.';
-                }
-                if (button) {
-                    button.disabled = false;
-                    button.style.opacity = '1';
-                }
-                
-                // Continue polling but less frequently (every 5 seconds)
-                const continuePolling = setInterval(async () => {
-                    try {
-                        const response = await fetch(`/api/playback/sync/progress/${syncId}`);
-                        if (response.ok) {
-                            const progress = await response.json();
-                            updateStatus(progress);
-                            
-                            if (progress.status === 'completed' || progress.status === 'error') {
-                                clearInterval(continuePolling);
-                                if (progress.status === 'completed') {
-                                    if (statusSpan) statusSpan.textContent = '✓ ';
-                                    const syncType = syncAll ? 'all historical data' : `last ${days} days`;
-                                    alert(`Playback history synced successfully!\n\nProcessed: ${progress.processed} user(s)\nSynced: ${progress.synced} records\nMatched: ${progress.matched} with local libraries\n\nSynced: ${syncType}`);
-                                    
-                                    loadJellyfinClients();
-                                    
-                                    const activeTab = document.querySelector('.nav-item.active');
-                                    if (activeTab && activeTab.getAttribute('data-tab') === 'playback') {
-                                        const { loadPlaybackDashboard, loadPlaybackHistory } = await import('./playback.js');
-                                        loadPlaybackDashboard();
-                                        loadPlaybackHistory();
-                                    }
-                                } else {
-                                    if (statusSpan) statusSpan.textContent = '✗ ';
-                                    alert(`Error syncing playback history: ${progress.error || 'Unknown error'}`);
-                                }
-                                
-                                if (button) {
-                                    button.disabled = false;
-                                    button.style.opacity = '1';
-                                }
-                                setTimeout(() => {
-                                    if (statusSpan) statusSpan.textContent = '';
-                                }, 5000);
-                            }
-                        }
-                    } catch (error) {
-                        console.error('Error checking sync progress:', error);
-                    }
-                }, 5000); // Poll every 5 seconds
-                
-                return; // Exit the function but keep polling in background
-            }
+        alert(`Error syncing playback history: ${error.message}`);
+        if (button) {
+            button.disabled = false;
+            button.style.opacity = '1';
         }
-    } catch (error) {
-        console.error('Error checking final sync status:', error);
-    }
-    
-    // Timeout - sync not found or completed
-    if (statusSpan) statusSpan.textContent = '⚠ ';
-    alert('Sync is taking longer than expected. It may still be running in the background. You can check the status by refreshing the page.');
-    if (button) {
-        button.disabled = false;
-        button.style.opacity = '1';
+        setTimeout(() => {
+            if (statusSpan) statusSpan.textContent = '';
+        }, 5000);
     }
 }
 
@@ -637,6 +482,18 @@ export async function matchVideosWithServarr() {
     }
 }
 
+// Latest pushed progress when live updates are connected, otherwise ask the server
+async function getMatchProgress(matchId) {
+    const liveProgress = isLiveUpdatesConnected() ? getLatestLiveUpdate('match-progress', matchId) : undefined;
+    if (liveProgress) return liveProgress;
+    
+    const response = await fetch(`/api/servarr/match-videos/progress/${matchId}`);
+    if (!response.ok) {
+        throw new Error('Failed to get match progress');
+    }
+    return response.json();
+}
+
 async function pollMatchProgress(matchId, statusSpan, button, originalButtonText) {
     const maxAttempts = 3600; // 30 minutes max (3600 * 0.5s = 30 minutes)
     let attempts = 0;
@@ -662,12 +519,7 @@ async function pollMatchProgress(matchId, statusSpan, button, originalButtonText
     
     while (attempts < maxAttempts) {
         try {
-            const response = await fetch(`/api/servarr/match-videos/progress/${matchId}`);
-            if (!response.ok) {
-                throw new Error('Failed to get match progress');
-            }
-            
-            const progress = await response.json();
+            const progress = await getMatchProgress(matchId);
             updateStatus(progress);
             
             // Log progress if it changed
@@ -721,8 +573,8 @@ async function pollMatchProgress(matchId, statusSpan, button, originalButtonText
                 return;
             }
             
-            // Wait 500ms before next poll
-            await new Promise(resolve => setTimeout(resolve, 500));
+            // Wait for the next pushed update (or 500ms when polling)
+            await waitForLiveUpdate('match-progress', 500);
             attempts++;
         } catch (error) {
             console.error('Error polling match progress:', error);
@@ -0,0 +1,226 @@
+// Settings backup and restore: one versioned JSON bundle of the server settings plus the browser's settings copy
+import { escapeHtml } from './utils.js';
+import { loadJellyfinSettings, loadSonarrSettings, loadRadarrSettings, loadSonarrPathMappings, loadRadarrPathMappings, loadMediaPropertySettings } from './settings.js';
+
+const BROWSER_SECTION = 'browser';
+const PROPERTY_STORAGE_KEY = 'optimarr_lastKnownUserPropertySettings';
+
+let restoreBundle = null;
+
+function readStoredPropertySettings() {
+    try {
+        const saved = localStorage.getItem(PROPERTY_STORAGE_KEY);
+        return saved ? JSON.parse(saved) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+export async function downloadSettingsBackup() {
+    const includeSecrets = document.getElementById('settingsBackupIncludeSecrets')?.checked ?? false;
+
+    try {
+        const response = await fetch(`/api/library/settings/backup?includeSecrets=${includeSecrets}`);
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || `Failed to export settings: ${response.status}`);
+        }
+
+        const bundle = await response.json();
+        const storedProperties = readStoredPropertySettings();
+        if (storedProperties) {
+            bundle.sections[BROWSER_SECTION] = { lastKnownUserPropertySettings: storedProperties };
+        }
+
+        const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+        const url = URL.createObjectURL(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `optimarr-settings-${stamp}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Error exporting settings:', error);
+        alert(`Error exporting settings: ${error.message}`);
+    }
+}
+
+export function readSettingsBackupFile(input) {
+    const container = document.getElementById('settingsRestoreSections');
+    restoreBundle = null;
+    container.innerHTML = '';
+
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        let bundle;
+        try {
+            bundle = JSON.parse(reader.result);
+        } catch (error) {
+            container.innerHTML = `<div class="error-state">${escapeHtml(file.name)} is not valid JSON</div>`;
+            return;
+        }
+        if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+            container.innerHTML = `<div class="error-state">${escapeHtml(file.name)} is not a settings backup</div>`;
+            return;
+        }
+        validateSettingsBackup(bundle);
+    };
+    reader.onerror = () => alert(`Error reading ${file.name}`);
+    reader.readAsText(file);
+}
+
+async function validateSettingsBackup(bundle) {
+    const container = document.getElementById('settingsRestoreSections');
+    container.innerHTML = '<div class="loading-placeholder">Checking backup...</div>';
+
+    try {
+        const response = await fetch('/api/library/settings/backup/validate', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(bundle)
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || error.title || 'The file is not a settings backup');
+        }
+
+        const validation = await response.json();
+        if (!validation.valid) {
+            container.innerHTML = `
+                <div class="error-state">
+                    This backup cannot be restored:
+                    <ul class="settings-backup-errors">${validation.errors.map(e => `<li>${escapeHtml(e)}</li>`).join('')}</ul>
+                </div>
+            `;
+            return;
+        }
+
+        restoreBundle = bundle;
+        renderRestoreSections(validation);
+    } catch (error) {
+        console.error('Error validating settings backup:', error);
+        container.innerHTML = `<div class="error-state">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function renderRestoreSections(validation) {
+    const container = document.getElementById('settingsRestoreSections');
+    const exported = validation.exportedAt ? new Date(validation.exportedAt).toLocaleString() : 'unknown date';
+
+    container.innerHTML = `
+        <p class="device-profile-note">
+            Backup from ${escapeHtml(exported)}${validation.appVersion ? ` (version ${escapeHtml(validation.appVersion)})` : ''}.
+            ${validation.includesSecrets ? 'Includes API keys and passwords.' : 'API keys and passwords were left out; the current ones are kept.'}
+        </p>
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Section</th>
+                    <th>Restore</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${validation.sections.map(section => `
+                    <tr>
+                        <td>${escapeHtml(section.label)}</td>
+                        <td>
+                            <select class="form-control settings-restore-mode" data-section="${escapeHtml(section.key)}">
+                                <option value="merge">Merge</option>
+                                <option value="replace">Replace</option>
+                                <option value="skip">Skip</option>
+                            </select>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <small class="form-help">Merge keeps current values the backup does not mention; Replace makes the section match the backup.</small>
+        <div class="form-actions">
+            <button type="button" class="btn btn-primary" onclick="restoreSettingsBackup()">Restore</button>
+        </div>
+    `;
+}
+
+// Same merge/replace rules as the server, applied to the browser's copy of the property settings
+function restoreBrowserSection(section, mode) {
+    const incoming = section?.lastKnownUserPropertySettings;
+    if (!incoming || mode === 'skip') return;
+
+    let restored = incoming;
+    if (mode === 'merge') {
+        restored = readStoredPropertySettings() || {};
+        Object.keys(incoming).forEach(category => {
+            restored[category] = { ...(restored[category] || {}), ...incoming[category] };
+        });
+    }
+
+    try {
+        localStorage.setItem(PROPERTY_STORAGE_KEY, JSON.stringify(restored));
+    } catch (e) {
+        // Ignore errors writing to localStorage
+    }
+}
+
+export async function restoreSettingsBackup() {
+    if (!restoreBundle) return;
+
+    const modes = {};
+    document.querySelectorAll('.settings-restore-mode').forEach(select => {
+        modes[select.dataset.section] = select.value;
+    });
+    const chosen = Object.values(modes).filter(mode => mode !== 'skip').length;
+    if (chosen === 0) {
+        alert('Choose at least one section to restore');
+        return;
+    }
+    if (!confirm(`Restore ${chosen} section(s) from the backup?`)) return;
+
+    try {
+        const response = await fetch('/api/library/settings/backup/restore', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ bundle: restoreBundle, modes })
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Failed to restore settings');
+        }
+
+        const result = await response.json();
+        restoreBrowserSection(restoreBundle.sections[BROWSER_SECTION], modes[BROWSER_SECTION]);
+
+        // Show the restored values everywhere on the Settings tab
+        loadJellyfinSettings();
+        loadSonarrSettings();
+        loadRadarrSettings();
+        loadSonarrPathMappings();
+        loadRadarrPathMappings();
+        await loadMediaPropertySettings(true);
+
+        restoreBundle = null;
+        document.getElementById('settingsBackupFile').value = '';
+        document.getElementById('settingsRestoreSections').innerHTML = '';
+
+        alert(`Settings restored (${result.merged.length} merged, ${result.replaced.length} replaced).` +
+            (result.ratingSettingsChanged ? ' Compatibility is being recalculated for all videos.' : ''));
+    } catch (error) {
+        console.error('Error restoring settings:', error);
+        alert(`Error restoring settings: ${error.message}`);
+    }
+}
+
+// Export to window for onclick handlers
+window.downloadSettingsBackup = downloadSettingsBackup;
+window.readSettingsBackupFile = readSettingsBackupFile;
+window.restoreSettingsBackup = restoreSettingsBackup;
@@ -95,6 +95,12 @@ export async function saveJellyfinSettings() {
 // Client Settings Functions
 
 // Sonarr Settings Functions
+// Full webhook URL as this browser reaches Optimarr (Sonarr/Radarr may need another host name)
+function renderWebhookUrl(elementId) {
+    const element = document.getElementById(elementId);
+    if (element) element.textContent = `${window.location.origin}${element.dataset.path}`;
+}
+
 export async function loadSonarrSettings() {
     try {
         const response = await fetch('/api/servarr/sonarr/settings');
@@ -109,6 +115,7 @@ export async function loadSonarrSettings() {
         if (baseUrlInput) baseUrlInput.value = settings.baseUrl || '';
         if (apiKeyInput) apiKeyInput.value = settings.apiKey || '';
         if (enabledInput) enabledInput.checked = settings.enabled || false;
+        renderWebhookUrl('sonarrWebhookUrl');
     } catch (error) {
         console.error('Error loading Sonarr settings:', error);
     }
@@ -231,6 +238,7 @@ export async function loadRadarrSettings() {
         if (baseUrlInput) baseUrlInput.value = settings.baseUrl || '';
         if (apiKeyInput) apiKeyInput.value = settings.apiKey || '';
         if (enabledInput) enabledInput.checked = settings.enabled || false;
+        renderWebhookUrl('radarrWebhookUrl');
     } catch (error) {
         console.error('Error loading Radarr settings:', error);
     }
@@ -1137,6 +1145,7 @@ function renderMediaPropertySettings() {
 
     html += '<div style="margin-top: 1.5rem;">';
     html += '<button type="button" class="btn btn-primary" onclick="saveMediaPropertySettings()">Save Media Property Settings</button>';
+    html += ' <button type="button" class="btn btn-secondary" onclick="previewRatingSimulation()">Preview Impact</button>';
     html += '</div>';
     html += '</div>';
     
@@ -1252,6 +1261,7 @@ function renderRatingWeights() {
 
     html += '<div style="margin-top: 1.5rem;">';
     html += '<button type="button" class="btn btn-primary" onclick="saveRatingWeights()">Save Rating Weights</button>';
+    html += ' <button type="button" class="btn btn-secondary" onclick="previewRatingSimulation()">Preview Impact</button>';
     html += '</div>';
     html += '</div>';
     
@@ -1365,6 +1375,7 @@ function renderRatingThresholds(thresholds) {
     
     html += '<div style="margin-top: 1.5rem;">';
     html += '<button type="button" class="btn btn-primary" onclick="saveRatingThresholds()">Save Rating Thresholds</button>';
+    html += ' <button type="button" class="btn btn-secondary" onclick="previewRatingSimulation()">Preview Impact</button>';
     html += '</div>';
     html += '</div>';
     
@@ -1449,231 +1460,241 @@ export function updateMediaPropertySetting(checkbox) {
     }
 }
 
-export async function saveMediaPropertySettings() {
-    try {
-        // CRITICAL: Read threshold values IMMEDIATELY from DOM inputs
-        // Don't rely on module variables - the DOM inputs are the source of truth
-        // This must happen FIRST, before any other processing
-        const thresholdInputs = document.querySelectorAll('.rating-threshold-input');
-        const currentDomThresholds = {};
-        thresholdInputs.forEach(input => {
-            const key = input.dataset.threshold;
-            if (key) {
-                // Read the actual current value from the input element
-                const rawValue = input.value;
-                const parsedValue = parseInt(rawValue.trim(), 10);
-                if (!isNaN(parsedValue) && parsedValue >= 0 && parsedValue <= 100) {
-                    currentDomThresholds[key] = parsedValue;
-                }
+// Builds the save request from the settings inputs; shared by saving and the impact preview.
+// Returns null (after alerting) when the inputs are invalid.
+function collectMediaPropertySettingsRequest() {
+    // CRITICAL: Read threshold values IMMEDIATELY from DOM inputs
+    // Don't rely on module variables - the DOM inputs are the source of truth
+    // This must happen FIRST, before any other processing
+    const thresholdInputs = document.querySelectorAll('.rating-threshold-input');
+    const currentDomThresholds = {};
+    thresholdInputs.forEach(input => {
+        const key = input.dataset.threshold;
+        if (key) {
+            // Read the actual current value from the input element
+            const rawValue = input.value;
+            const parsedValue = parseInt(rawValue.trim(), 10);
+            if (!isNaN(parsedValue) && parsedValue >= 0 && parsedValue <= 100) {
+                currentDomThresholds[key] = parsedValue;
             }
+        }
+    });
+    
+    // If DOM has defaults but we have last-known user values, use those instead
+    // This handles the case where inputs were reset to defaults but user had changed them
+    if (Object.keys(lastKnownUserThresholdValues).length > 0) {
+        const hasDefaults = Object.keys(currentDomThresholds).every(key => {
+            return currentDomThresholds[key] === 80 || currentDomThresholds[key] === 60;
         });
         
-        // If DOM has defaults but we have last-known user values, use those instead
-        // This handles the case where inputs were reset to defaults but user had changed them
-        if (Object.keys(lastKnownUserThresholdValues).length > 0) {
-            const hasDefaults = Object.keys(currentDomThresholds).every(key => {
-                return currentDomThresholds[key] === 80 || currentDomThresholds[key] === 60;
+        if (hasDefaults && Object.keys(currentDomThresholds).length === 2) {
+            // DOM has defaults, but user had changed values - use last known values
+            Object.keys(lastKnownUserThresholdValues).forEach(key => {
+                currentDomThresholds[key] = lastKnownUserThresholdValues[key];
             });
-            
-            if (hasDefaults && Object.keys(currentDomThresholds).length === 2) {
-                // DOM has defaults, but user had changed values - use last known values
-                Object.keys(lastKnownUserThresholdValues).forEach(key => {
-                    currentDomThresholds[key] = lastKnownUserThresholdValues[key];
-                });
-            }
         }
-        
-        // Update module variable with what we just read from DOM (or last known values)
-        if (Object.keys(currentDomThresholds).length > 0) {
-            ratingThresholds = { ...currentDomThresholds };
-        }
-        
-        // Start with current mediaPropertySettings (which may have defaults for display)
-        // This ensures we don't lose values if DOM hasn't been rendered yet
-        const properties = {
-            VideoCodecs: { ...(mediaPropertySettings?.VideoCodecs || {}) },
-            AudioCodecs: { ...(mediaPropertySettings?.AudioCodecs || {}) },
-            Containers: { ...(mediaPropertySettings?.Containers || {}) },
-            SubtitleFormats: { ...(mediaPropertySettings?.SubtitleFormats || {}) },
-            BitDepths: { ...(mediaPropertySettings?.BitDepths || {}) }
-        };
-        
-        // Read all checkbox values from DOM and override with current DOM state
-        // This ensures what user sees is what gets saved
-        const checkboxStatesFromDOM = {};
-        document.querySelectorAll('.media-property-checkbox').forEach(checkbox => {
-            const category = checkbox.dataset.category;
-            const property = checkbox.dataset.property;
-            const isSupported = checkbox.checked;
+    }
+    
+    // Update module variable with what we just read from DOM (or last known values)
+    if (Object.keys(currentDomThresholds).length > 0) {
+        ratingThresholds = { ...currentDomThresholds };
+    }
+    
+    // Start with current mediaPropertySettings (which may have defaults for display)
+    // This ensures we don't lose values if DOM hasn't been rendered yet
+    let properties = {
+        VideoCodecs: { ...(mediaPropertySettings?.VideoCodecs || {}) },
+        AudioCodecs: { ...(mediaPropertySettings?.AudioCodecs || {}) },
+        Containers: { ...(mediaPropertySettings?.Containers || {}) },
+        SubtitleFormats: { ...(mediaPropertySettings?.SubtitleFormats || {}) },
+        BitDepths: { ...(mediaPropertySettings?.BitDepths || {}) }
+    };
+    
+    // Read all checkbox values from DOM and override with current DOM state
+    // This ensures what user sees is what gets saved
+    const checkboxStatesFromDOM = {};
+    document.querySelectorAll('.media-property-checkbox').forEach(checkbox => {
+        const category = checkbox.dataset.category;
+        const property = checkbox.dataset.property;
+        const isSupported = checkbox.checked;
+        
+        if (category && property && properties[category]) {
+            properties[category][property] = isSupported;
             
-            if (category && property && properties[category]) {
-                properties[category][property] = isSupported;
-                
-                // Track checkbox states for debugging
-                if (!checkboxStatesFromDOM[category]) {
-                    checkboxStatesFromDOM[category] = {};
-                }
-                checkboxStatesFromDOM[category][property] = isSupported;
+            // Track checkbox states for debugging
+            if (!checkboxStatesFromDOM[category]) {
+                checkboxStatesFromDOM[category] = {};
             }
-        });
+            checkboxStatesFromDOM[category][property] = isSupported;
+        }
+    });
+    
+    // Ensure we have at least the structure even if empty
+    if (!properties.VideoCodecs) properties.VideoCodecs = {};
+    if (!properties.AudioCodecs) properties.AudioCodecs = {};
+    if (!properties.Containers) properties.Containers = {};
+    if (!properties.SubtitleFormats) properties.SubtitleFormats = {};
+    if (!properties.BitDepths) properties.BitDepths = {};
+    
+    // Read rating weights from DOM inputs (same as saveRatingWeights)
+    const defaults = {
+        'SurroundSound': 3,
+        'HDR': 8,
+        'HighBitrate': 5,
+        'IncorrectCodecTag': 12,
+        'UnsupportedVideoCodec': 35,
+        'UnsupportedAudioCodec': 25,
+        'UnsupportedContainer': 30,
+        'UnsupportedSubtitleFormat': 8,
+        'UnsupportedBitDepth': 18,
+        'FastStart': 5,
+        'HighBitrateThresholdMbps': 40.0
+    };
+    
+    const weights = {};
+    document.querySelectorAll('.rating-weight-input').forEach(input => {
+        const key = input.dataset.weight;
+        if (!key) return;
         
-        // Ensure we have at least the structure even if empty
-        if (!properties.VideoCodecs) properties.VideoCodecs = {};
-        if (!properties.AudioCodecs) properties.AudioCodecs = {};
-        if (!properties.Containers) properties.Containers = {};
-        if (!properties.SubtitleFormats) properties.SubtitleFormats = {};
-        if (!properties.BitDepths) properties.BitDepths = {};
-        
-        // Read rating weights from DOM inputs (same as saveRatingWeights)
-        const defaults = {
-            'SurroundSound': 3,
-            'HDR': 8,
-            'HighBitrate': 5,
-            'IncorrectCodecTag': 12,
-            'UnsupportedVideoCodec': 35,
-            'UnsupportedAudioCodec': 25,
-            'UnsupportedContainer': 30,
-            'UnsupportedSubtitleFormat': 8,
-            'UnsupportedBitDepth': 18,
-            'FastStart': 5,
-            'HighBitrateThresholdMbps': 40.0
-        };
+        const inputValue = input.value.trim();
         
-        const weights = {};
-        document.querySelectorAll('.rating-weight-input').forEach(input => {
-            const key = input.dataset.weight;
-            if (!key) return;
-            
-            const inputValue = input.value.trim();
-            
-            if (key === 'HighBitrateThresholdMbps') {
-                const parsed = parseFloat(inputValue);
-                if (!isNaN(parsed) && parsed > 0) {
-                    weights[key] = parsed;
-                } else {
-                    weights[key] = defaults[key];
-                }
+        if (key === 'HighBitrateThresholdMbps') {
+            const parsed = parseFloat(inputValue);
+            if (!isNaN(parsed) && parsed > 0) {
+                weights[key] = parsed;
             } else {
-                const parsed = parseInt(inputValue, 10);
-                if (!isNaN(parsed) && parsed >= 0) {
-                    weights[key] = parsed;
-                } else {
-                    weights[key] = defaults[key];
-                }
-            }
-        });
-        
-        // Ensure all required weight properties are present
-        Object.keys(defaults).forEach(key => {
-            if (weights[key] === undefined || weights[key] === null) {
                 weights[key] = defaults[key];
             }
-        });
-        
-        // Use the thresholds we already read at the start of the function
-        // This ensures we're using the values that were in the DOM when save was called
-        const thresholds = { ...currentDomThresholds };
-        console.log('Using thresholds read from DOM:', thresholds);
-        
-        // If we didn't get thresholds from DOM, try reading again (fallback)
-        if (Object.keys(thresholds).length === 0) {
-            console.warn('No thresholds read from DOM initially, trying again...');
-            const thresholdInputs = document.querySelectorAll('.rating-threshold-input');
-            thresholdInputs.forEach(input => {
-                const key = input.dataset.threshold;
-                if (key) {
-                    const value = parseInt(input.value.trim(), 10);
-                    if (!isNaN(value) && value >= 0 && value <= 100) {
-                        thresholds[key] = value;
-                    }
-                }
-            });
-        }
-        
-        // Validate thresholds: Optimal should be >= Good
-        if (thresholds.Optimal !== undefined && thresholds.Good !== undefined) {
-            if (thresholds.Optimal < thresholds.Good) {
-                alert('Error: Optimal threshold must be greater than or equal to Good threshold.');
-                return;
+        } else {
+            const parsed = parseInt(inputValue, 10);
+            if (!isNaN(parsed) && parsed >= 0) {
+                weights[key] = parsed;
+            } else {
+                weights[key] = defaults[key];
             }
         }
-        
-        // If thresholds are empty, use current values from module variable
-        if (Object.keys(thresholds).length === 0 && ratingThresholds) {
-            thresholds.Optimal = ratingThresholds.Optimal;
-            thresholds.Good = ratingThresholds.Good;
+    });
+    
+    // Ensure all required weight properties are present
+    Object.keys(defaults).forEach(key => {
+        if (weights[key] === undefined || weights[key] === null) {
+            weights[key] = defaults[key];
         }
-        
-        // Ensure properties are not empty - if they are, use defaults
-        // This handles the case where properties were empty in config but displayed with defaults
-        const hasAnyProperties = Object.keys(properties.VideoCodecs).length > 0 ||
-                                 Object.keys(properties.AudioCodecs).length > 0 ||
-                                 Object.keys(properties.Containers).length > 0 ||
-                                 Object.keys(properties.SubtitleFormats).length > 0 ||
-                                 Object.keys(properties.BitDepths).length > 0;
-        
-        if (!hasAnyProperties) {
-            // Properties are empty, use defaults
-            const defaultProperties = {
-                VideoCodecs: {
-                    "H.264": true,
-                    "H.264 8-bit": true,
-                    "H.265": true,
-                    "H.265 8-bit": true,
-                    "H.265 10-bit": false,
-                    "VP9": true,
-                    "AV1": false
-                },
-                AudioCodecs: {
-                    "AAC": true,
-                    "MP3": true,
-                    "AC3": false,
-                    "EAC3": false,
-                    "DTS": false,
-                    "FLAC": true,
-                    "Opus": true
-                },
-                Containers: {
-                    "MP4": true,
-                    "M4V": true,
-                    "MOV": true,
-                    "MKV": false,
-                    "WebM": true,
-                    "TS": false
-                },
-                SubtitleFormats: {
-                    "SRT": true,
-                    "VTT": true,
-                    "ASS": false,
-                    "SSA": false
-                },
-                BitDepths: {
-                    "8": true,
-                    "10": false,
-                    "12": false
+    });
+    
+    // Use the thresholds we already read at the start of the function
+    // This ensures we're using the values that were in the DOM when save was called
+    const thresholds = { ...currentDomThresholds };
+    console.log('Using thresholds read from DOM:', thresholds);
+    
+    // If we didn't get thresholds from DOM, try reading again (fallback)
+    if (Object.keys(thresholds).length === 0) {
+        console.warn('No thresholds read from DOM initially, trying again...');
+        const thresholdInputs = document.querySelectorAll('.rating-threshold-input');
+        thresholdInputs.forEach(input => {
+            const key = input.dataset.threshold;
+            if (key) {
+                const value = parseInt(input.value.trim(), 10);
+                if (!isNaN(value) && value >= 0 && value <= 100) {
+                    thresholds[key] = value;
                 }
-            };
-            properties = defaultProperties;
+            }
+        });
+    }
+    
+    // Validate thresholds: Optimal should be >= Good
+    if (thresholds.Optimal !== undefined && thresholds.Good !== undefined) {
+        if (thresholds.Optimal < thresholds.Good) {
+            alert('Error: Optimal threshold must be greater than or equal to Good threshold.');
+            return null;
         }
-        
-        // Prepare request
-        const request = {
-            properties: properties,
-            weights: weights
+    }
+    
+    // If thresholds are empty, use current values from module variable
+    if (Object.keys(thresholds).length === 0 && ratingThresholds) {
+        thresholds.Optimal = ratingThresholds.Optimal;
+        thresholds.Good = ratingThresholds.Good;
+    }
+    
+    // Ensure properties are not empty - if they are, use defaults
+    // This handles the case where properties were empty in config but displayed with defaults
+    const hasAnyProperties = Object.keys(properties.VideoCodecs).length > 0 ||
+                             Object.keys(properties.AudioCodecs).length > 0 ||
+                             Object.keys(properties.Containers).length > 0 ||
+                             Object.keys(properties.SubtitleFormats).length > 0 ||
+                             Object.keys(properties.BitDepths).length > 0;
+    
+    if (!hasAnyProperties) {
+        // Properties are empty, use defaults
+        const defaultProperties = {
+            VideoCodecs: {
+                "H.264": true,
+                "H.264 8-bit": true,
+                "H.265": true,
+                "H.265 8-bit": true,
+                "H.265 10-bit": false,
+                "VP9": true,
+                "AV1": false
+            },
+            AudioCodecs: {
+                "AAC": true,
+                "MP3": true,
+                "AC3": false,
+                "EAC3": false,
+                "DTS": false,
+                "FLAC": true,
+                "Opus": true
+            },
+            Containers: {
+                "MP4": true,
+                "M4V": true,
+                "MOV": true,
+                "MKV": false,
+                "WebM": true,
+                "TS": false
+            },
+            SubtitleFormats: {
+                "SRT": true,
+                "VTT": true,
+                "ASS": false,
+                "SSA": false
+            },
+            BitDepths: {
+                "8": true,
+                "10": false,
+                "12": false
+            }
         };
-        
-        // Always include thresholds - use what we read from DOM at the start
-        // This is the source of truth - what the user actually entered
-        if (Object.keys(thresholds).length > 0) {
-            request.thresholds = thresholds;
-        } else if (ratingThresholds && Object.keys(ratingThresholds).length > 0) {
-            // Fallback to module variable (which we updated from DOM at start)
-            request.thresholds = ratingThresholds;
-        } else {
-            // Last resort: use defaults (shouldn't happen if inputs exist)
-            request.thresholds = { Optimal: 80, Good: 60 };
-        }
-        
+        properties = defaultProperties;
+    }
+    
+    // Prepare request
+    const request = {
+        properties: properties,
+        weights: weights
+    };
+    
+    // Always include thresholds - use what we read from DOM at the start
+    // This is the source of truth - what the user actually entered
+    if (Object.keys(thresholds).length > 0) {
+        request.thresholds = thresholds;
+    } else if (ratingThresholds && Object.keys(ratingThresholds).length > 0) {
+        // Fallback to module variable (which we updated from DOM at start)
+        request.thresholds = ratingThresholds;
+    } else {
+        // Last resort: use defaults (shouldn't happen if inputs exist)
+        request.thresholds = { Optimal: 80, Good: 60 };
+    }
+
+    return { request, properties, weights, thresholds };
+}
+
+export async function saveMediaPropertySettings() {
+    try {
+        const collected = collectMediaPropertySettingsRequest();
+        if (!collected) return;
+        const { request, properties, weights, thresholds } = collected;
+
         const response = await fetch('/api/library/settings/media-properties', {
             method: 'POST',
             headers: {
@@ -1784,6 +1805,129 @@ export async function saveMediaPropertySettings() {
     }
 }
 
+// What-if: rates the library with the unsaved inputs and shows how files would move between scores
+export async function previewRatingSimulation() {
+    const modal = document.getElementById('ratingSimulationModal');
+    const container = document.getElementById('ratingSimulationResult');
+    if (!modal || !container) return;
+
+    try {
+        const collected = collectMediaPropertySettingsRequest();
+        if (!collected) return;
+
+        container.innerHTML = '<div class="loading-placeholder">Rating the library with the unsaved settings...</div>';
+        modal.style.display = 'block';
+
+        const response = await fetch('/api/library/settings/media-properties/simulate', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(collected.request)
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to simulate media property settings');
+        }
+
+        renderRatingSimulation(await response.json());
+    } catch (error) {
+        console.error('Error simulating media property settings:', error);
+        container.innerHTML = `<div class="error-state">Error: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function renderRatingSimulation(result) {
+    const container = document.getElementById('ratingSimulationResult');
+    if (result.totalVideos === 0) {
+        container.innerHTML = '<div class="empty-state">No analyzed videos to simulate.</div>';
+        return;
+    }
+
+    // More Optimal files is an improvement and more Poor files a regression; Good can go either way
+    const formatDelta = (score, before, after) => {
+        const delta = after - before;
+        if (delta === 0) return '<span class="rating-simulation-delta">±0</span>';
+        const direction = score === 'good' ? '' : (delta > 0) === (score === 'optimal') ? 'up' : 'down';
+        return `<span class="rating-simulation-delta ${direction}">${delta > 0 ? '+' : ''}${delta.toLocaleString()}</span>`;
+    };
+
+    const scoreCards = ['optimal', 'good', 'poor'].map(score => `
+        <div class="rating-simulation-card">
+            <span class="score-badge ${score}">${score.charAt(0).toUpperCase() + score.slice(1)}</span>
+            <div class="rating-simulation-count">${result.before[score].toLocaleString()} &rarr; ${result.after[score].toLocaleString()}</div>
+            ${formatDelta(score, result.before[score], result.after[score])}
+        </div>
+    `).join('');
+
+    const summary = `
+        <p class="rating-simulation-summary">
+            ${result.changedScores.toLocaleString()} of ${result.totalVideos.toLocaleString()} videos change score and
+            ${result.changedRatings.toLocaleString()} change rating. Average rating ${result.averageRatingBefore} &rarr; ${result.averageRatingAfter}.
+        </p>
+    `;
+
+    const transitions = result.transitions.length === 0 ? '' : `
+        <ul class="rating-simulation-transitions">
+            ${result.transitions.map(t => `
+                <li>
+                    <span class="score-badge ${t.from.toLowerCase()}">${escapeHtml(t.from)}</span> &rarr;
+                    <span class="score-badge ${t.to.toLowerCase()}">${escapeHtml(t.to)}</span>
+                    ${t.count.toLocaleString()} video${t.count === 1 ? '' : 's'}
+                </li>
+            `).join('')}
+        </ul>
+    `;
+
+    const samples = result.samples.length === 0 ? '<div class="empty-state">No video changes rating.</div>' : `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>File</th>
+                    <th>Rating</th>
+                    <th>Score</th>
+                    <th>Why</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${result.samples.map(sample => `
+                    <tr>
+                        <td title="${escapeHtml(sample.filePath)}">${escapeHtml(sample.fileName)}</td>
+                        <td>${sample.ratingBefore} &rarr; ${sample.ratingAfter}</td>
+                        <td>
+                            <span class="score-badge ${sample.scoreBefore.toLowerCase()}">${escapeHtml(sample.scoreBefore)}</span>
+                            ${sample.scoreBefore !== sample.scoreAfter ? `&rarr; <span class="score-badge ${sample.scoreAfter.toLowerCase()}">${escapeHtml(sample.scoreAfter)}</span>` : ''}
+                        </td>
+                        <td class="rating-simulation-issues">
+                            ${sample.newIssues.map(issue => `<div class="down">+ ${escapeHtml(issue)}</div>`).join('')}
+                            ${sample.resolvedIssues.map(issue => `<div class="up">&minus; ${escapeHtml(issue)}</div>`).join('')}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    container.innerHTML = `
+        <div class="rating-simulation-cards">${scoreCards}</div>
+        ${summary}
+        ${transitions}
+        <h4>Sample Files</h4>
+        ${samples}
+    `;
+}
+
+export function closeRatingSimulationModal() {
+    const modal = document.getElementById('ratingSimulationModal');
+    if (modal) modal.style.display = 'none';
+}
+
+export async function saveSimulatedSettings() {
+    closeRatingSimulationModal();
+    await saveMediaPropertySettings();
+}
+
 export async function saveRatingWeights() {
     // saveRatingWeights now just calls saveMediaPropertySettings
     // which reads both properties and weights from DOM
@@ -1801,4 +1945,7 @@ window.updateMediaPropertySetting = updateMediaPropertySetting;
 window.saveMediaPropertySettings = saveMediaPropertySettings;
 window.saveRatingWeights = saveRatingWeights;
 window.saveRatingThresholds = saveRatingThresholds;
+window.previewRatingSimulation = previewRatingSimulation;
+window.closeRatingSimulationModal = closeRatingSimulationModal;
+window.saveSimulatedSettings = saveSimulatedSettings;
 
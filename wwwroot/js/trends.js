@@ -0,0 +1,293 @@
+// Dashboard trend charts drawn from the daily library snapshots
+import { escapeHtml } from './utils.js';
+
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 260;
+const PADDING = { top: 12, right: 16, bottom: 28, left: 56 };
+const MAX_DISTRIBUTION_SERIES = 6;
+export const SERIES_COLORS = ['#3498db', '#27ae60', '#f39c12', '#e74c3c', '#9b59b6', '#1abc9c', '#7f8c8d'];
+
+let trendPoints = [];
+
+// Each metric turns the snapshots into named series; stacked metrics are drawn as areas, the rest as lines
+const TREND_METRICS = {
+    compatibility: {
+        stacked: true,
+        series: points => [
+            { name: 'Optimal', color: 'var(--success-color)', values: points.map(p => p.optimalCount) },
+            { name: 'Good', color: 'var(--warning-color)', values: points.map(p => p.goodCount) },
+            { name: 'Poor', color: 'var(--danger-color)', values: points.map(p => p.poorCount) },
+            { name: 'Broken', color: '#7f8c8d', values: points.map(p => p.brokenCount) }
+        ]
+    },
+    codecs: {
+        stacked: false,
+        series: points => distributionSeries(points, p => p.codecDistribution)
+    },
+    containers: {
+        stacked: false,
+        series: points => distributionSeries(points, p => p.containerDistribution)
+    },
+    hdr: {
+        stacked: true,
+        series: points => [
+            { name: 'HDR', color: 'var(--info-color)', values: points.map(p => p.hdrCount) },
+            { name: 'SDR', color: '#7f8c8d', values: points.map(p => p.sdrCount) }
+        ]
+    },
+    total: {
+        stacked: false,
+        absoluteOnly: true,
+        series: points => [
+            { name: 'Total videos', color: 'var(--info-color)', values: points.map(p => p.totalVideos) }
+        ]
+    }
+};
+
+// The largest entries in the latest snapshot get their own line, everything else is summed into "Other"
+function distributionSeries(points, getDistribution) {
+    const latest = getDistribution(points[points.length - 1]) || {};
+    const names = Object.entries(latest)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_DISTRIBUTION_SERIES)
+        .map(([name]) => name);
+
+    const series = names.map((name, index) => ({
+        name,
+        color: SERIES_COLORS[index % SERIES_COLORS.length],
+        values: points.map(p => (getDistribution(p) || {})[name] || 0)
+    }));
+
+    const other = points.map(p => Object.entries(getDistribution(p) || {})
+        .filter(([name]) => !names.includes(name))
+        .reduce((sum, [, count]) => sum + count, 0));
+    if (other.some(value => value > 0)) {
+        series.push({ name: 'Other', color: SERIES_COLORS[SERIES_COLORS.length - 1], values: other });
+    }
+
+    return series;
+}
+
+// Percentages of each snapshot's sum over all series, so library growth does not hide the mix changing
+export function toPercentages(series, count) {
+    const totals = Array.from({ length: count }, (_, i) => series.reduce((sum, s) => sum + s.values[i], 0));
+    return series.map(s => ({
+        ...s,
+        values: s.values.map((value, i) => totals[i] > 0 ? (value / totals[i]) * 100 : 0)
+    }));
+}
+
+function niceMax(value) {
+    if (value <= 0) return 1;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const step = [1, 2, 2.5, 5, 10].find(s => s * magnitude >= value);
+    return step * magnitude;
+}
+
+function formatValue(value, percent) {
+    if (value === null) return '—';
+    return percent ? `${value.toFixed(1)}%` : Math.round(value).toLocaleString();
+}
+
+function formatDate(date, options = { month: 'short', day: 'numeric' }) {
+    return date.toLocaleDateString(undefined, options);
+}
+
+const DAY_LABELS = {
+    axis: date => formatDate(date),
+    tooltip: date => formatDate(date, { year: 'numeric', month: 'short', day: 'numeric' })
+};
+
+/**
+ * Line or stacked area chart of series over dates (also used by the Playback trends). Values of line
+ * series may be null for "no data", which leaves a gap; labels formats the axis and tooltip dates.
+ */
+export function renderTrendSvg(dates, series, stacked, percent, labels = DAY_LABELS) {
+    const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+    const count = dates.length;
+
+    // Dates are spaced by time, so days without a snapshot leave a visible gap
+    const first = dates[0].getTime();
+    const span = dates[count - 1].getTime() - first;
+    const xs = dates.map(d => PADDING.left + (span > 0 ? ((d.getTime() - first) / span) * plotWidth : plotWidth / 2));
+
+    const tops = [];
+    let running = new Array(count).fill(0);
+    series.forEach(s => {
+        const bottom = running;
+        running = stacked ? bottom.map((value, i) => value + s.values[i]) : s.values;
+        tops.push({ bottom: stacked ? bottom : null, top: running });
+    });
+
+    const maxValue = percent && stacked
+        ? 100
+        : niceMax(Math.max(...tops.flatMap(t => t.top).filter(value => value !== null)));
+    const y = value => PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+
+    const gridLines = [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+        const value = maxValue * fraction;
+        const lineY = y(value).toFixed(1);
+        return `
+            <line class="trend-grid" x1="${PADDING.left}" x2="${CHART_WIDTH - PADDING.right}" y1="${lineY}" y2="${lineY}"></line>
+            <text class="trend-axis-label" x="${PADDING.left - 8}" y="${lineY}" text-anchor="end" dominant-baseline="middle">${formatValue(value, percent)}</text>
+        `;
+    }).join('');
+
+    const labelCount = Math.min(count, 6);
+    const labelIndexes = [...new Set(Array.from({ length: labelCount }, (_, i) =>
+        labelCount === 1 ? 0 : Math.round((i * (count - 1)) / (labelCount - 1))))];
+    const dateLabels = labelIndexes.map(i => `
+        <text class="trend-axis-label" x="${xs[i].toFixed(1)}" y="${CHART_HEIGHT - 8}" text-anchor="middle">${escapeHtml(labels.axis(dates[i]))}</text>
+    `).join('');
+
+    const shapes = series.map((s, index) => {
+        const top = tops[index].top.map((value, i) => `${xs[i].toFixed(1)},${y(value).toFixed(1)}`);
+        if (stacked) {
+            const bottom = tops[index].bottom.map((value, i) => `${xs[i].toFixed(1)},${y(value).toFixed(1)}`).reverse();
+            return `
+                <polygon class="trend-area" points="${[...top, ...bottom].join(' ')}" style="fill: ${s.color};"></polygon>
+                <polyline class="trend-line" points="${top.join(' ')}" style="stroke: ${s.color};"></polyline>
+            `;
+        }
+        // Null values split the line into separate runs
+        const runs = [[]];
+        tops[index].top.forEach((value, i) => {
+            if (value === null) {
+                if (runs[runs.length - 1].length > 0) runs.push([]);
+            } else {
+                runs[runs.length - 1].push(top[i]);
+            }
+        });
+        const points = top.filter((_, i) => tops[index].top[i] !== null);
+        return `
+            ${runs.filter(run => run.length > 0).map(run => `<polyline class="trend-line" points="${run.join(' ')}" style="stroke: ${s.color};"></polyline>`).join('')}
+            ${count <= 60 ? points.map(point => {
+                const [cx, cy] = point.split(',');
+                return `<circle class="trend-point" cx="${cx}" cy="${cy}" r="3" style="fill: ${s.color};"></circle>`;
+            }).join('') : ''}
+        `;
+    }).join('');
+
+    // One invisible column per snapshot carries the tooltip with every series' value for that day
+    const hoverColumns = xs.map((x, i) => {
+        const left = i === 0 ? PADDING.left : (xs[i - 1] + x) / 2;
+        const right = i === count - 1 ? CHART_WIDTH - PADDING.right : (x + xs[i + 1]) / 2;
+        const lines = series.map(s => `${s.name}: ${formatValue(s.values[i], percent)}`).join('\n');
+        return `
+            <rect class="trend-hover" x="${left.toFixed(1)}" y="${PADDING.top}" width="${Math.max(right - left, 1).toFixed(1)}" height="${plotHeight}">
+                <title>${escapeHtml(`${labels.tooltip(dates[i])}\n${lines}`)}</title>
+            </rect>
+        `;
+    }).join('');
+
+    return `
+        <svg class="trend-svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="Trend chart">
+            ${gridLines}
+            ${shapes}
+            ${dateLabels}
+            ${hoverColumns}
+        </svg>
+    `;
+}
+
+// First and last value of each series over the range, the quickest read of whether things are improving
+export function renderTrendLegend(series, percent) {
+    return `
+        <div class="trend-legend">
+            ${series.map(s => {
+                const known = s.values.filter(value => value !== null);
+                if (known.length === 0) return '';
+                const first = known[0];
+                const last = known[known.length - 1];
+                const delta = last - first;
+                const deltaText = percent ? `${delta >= 0 ? '+' : ''}${delta.toFixed(1)} pts` : `${delta >= 0 ? '+' : ''}${Math.round(delta).toLocaleString()}`;
+                return `
+                    <span class="trend-legend-item">
+                        <span class="trend-swatch" style="background: ${s.color};"></span>
+                        ${escapeHtml(s.name)}: ${formatValue(first, percent)} → ${formatValue(last, percent)}
+                        <span class="trend-delta">(${deltaText})</span>
+                    </span>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+export function renderLibraryTrends() {
+    const chart = document.getElementById('trendChart');
+    if (!chart) return;
+
+    const metricName = document.getElementById('trendMetric')?.value || 'compatibility';
+    const metric = TREND_METRICS[metricName] || TREND_METRICS.compatibility;
+    const percentToggle = document.getElementById('trendPercent');
+    if (percentToggle) percentToggle.disabled = !!metric.absoluteOnly;
+    const percent = !metric.absoluteOnly && !!percentToggle?.checked;
+
+    if (trendPoints.length === 0) {
+        chart.innerHTML = `
+            <div class="empty-state">
+                <p>No snapshots in this range yet. A snapshot of the library is recorded every hour, one per day.</p>
+                <button class="btn btn-sm btn-secondary" onclick="captureLibrarySnapshot()">Record Snapshot Now</button>
+            </div>
+        `;
+        return;
+    }
+
+    let series = metric.series(trendPoints);
+    if (series.length === 0) {
+        chart.innerHTML = '<div class="empty-state"><p>No data for this chart in the selected range.</p></div>';
+        return;
+    }
+    if (percent) {
+        series = toPercentages(series, trendPoints.length);
+    }
+
+    const dates = trendPoints.map(p => new Date(p.date));
+    chart.innerHTML = `
+        ${renderTrendSvg(dates, series, metric.stacked, percent)}
+        ${renderTrendLegend(series, percent)}
+        ${trendPoints.length === 1 ? '<p class="trend-note">Only one day recorded so far; the trend fills in as daily snapshots accumulate.</p>' : ''}
+    `;
+}
+
+export async function loadLibraryTrends() {
+    const chart = document.getElementById('trendChart');
+    if (!chart) return;
+
+    const days = document.getElementById('trendRange')?.value ?? '90';
+    chart.innerHTML = '<div class="loading-placeholder">Loading trends...</div>';
+
+    try {
+        const response = await fetch(`/api/library/dashboard/trends?days=${encodeURIComponent(days)}`);
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || `Failed to load trends: ${response.status}`);
+        }
+
+        trendPoints = await response.json();
+        renderLibraryTrends();
+    } catch (error) {
+        console.error('Error loading library trends:', error);
+        chart.innerHTML = `<div class="error-state">Error loading trends: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+export async function captureLibrarySnapshot() {
+    try {
+        const response = await fetch('/api/library/dashboard/trends/snapshot', { method: 'POST' });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Failed to record snapshot');
+        }
+        await loadLibraryTrends();
+    } catch (error) {
+        console.error('Error recording library snapshot:', error);
+        alert(`Error recording snapshot: ${error.message}`);
+    }
+}
+
+// Export to window for onclick handlers
+window.loadLibraryTrends = loadLibraryTrends;
+window.renderLibraryTrends = renderLibraryTrends;
+window.captureLibrarySnapshot = captureLibrarySnapshot;
@@ -58,6 +58,11 @@ export function formatFileSize(bytes) {
     return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
 }
 
+// Local date and time of an API timestamp, or the fallback when there is none
+export function formatDateTime(value, fallback = '') {
+    return value ? new Date(value).toLocaleString() : fallback;
+}
+
 export function formatTimeSpan(timeSpan) {
     if (!timeSpan) return '-';
     